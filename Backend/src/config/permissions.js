@@ -0,0 +1,293 @@
+/**
+ * Permission catalogue and built-in roles
+ *
+ * Routes check named permissions instead of role lists. A user's effective permissions are
+ * those of their role (built-in below or a custom Role document) plus their per-user grants,
+ * minus their per-user revocations. '*' and 'prefix.*' patterns match every permission
+ * (under the prefix).
+ */
+
+const PERMISSIONS = {
+  // Sales invoices
+  'invoice.sales.view': 'View sales invoice statistics',
+  'invoice.sales.create': 'Create sales invoices',
+  'invoice.sales.update': 'Edit draft sales invoices and warranty details',
+  'invoice.sales.delete': 'Delete sales invoices',
+  'invoice.sales.status': 'Change sales invoice status',
+  'invoice.sales.confirm': 'Confirm sales invoices',
+  'invoice.sales.payment': 'Record payments against sales invoices',
+  'estimate.convert': 'Convert estimates to sales invoices',
+
+  // Purchase invoices
+  'invoice.purchase.view': 'View purchase invoice statistics',
+  'invoice.purchase.create': 'Create purchase invoices',
+  'invoice.purchase.update': 'Edit draft purchase invoices',
+  'invoice.purchase.delete': 'Delete purchase invoices',
+  'invoice.purchase.status': 'Change purchase invoice status',
+  'invoice.purchase.confirm': 'Confirm purchase invoices',
+  'invoice.purchase.payment': 'Record payments against purchase invoices',
+  'invoice.purchase.return': 'Create purchase returns',
+  'invoice.cancel': 'Cancel sales and purchase invoices',
+
+  // Purchase orders
+  'purchase_order.create': 'Create purchase orders and convert them to invoices',
+  'purchase_order.update': 'Edit purchase orders',
+  'purchase_order.approve': 'Approve purchase orders',
+  'purchase_order.delete': 'Delete purchase orders',
+
+  // Parties
+  'customer.statistics': 'View customer statistics',
+  'customer.create': 'Create customers',
+  'customer.update': 'Edit customers, including credit terms',
+  'customer.status': 'Activate and deactivate customers',
+  'customer.delete': 'Delete and restore customers',
+  'portal.manage': 'Open, reset and close customer portal logins',
+  'pricelist.view': 'View customer price lists and contract prices',
+  'pricelist.manage': 'Create and edit customer price lists',
+  'supplier.statistics': 'View supplier statistics',
+  'supplier.create': 'Create suppliers',
+  'supplier.update': 'Edit suppliers',
+  'supplier.status': 'Activate and deactivate suppliers',
+  'supplier.delete': 'Delete and restore suppliers',
+  'salesman.manage': 'Create and edit salesmen',
+  'salesman.delete': 'Delete salesmen',
+  'salesman.self': 'Use the salesman self-service endpoints',
+  'route.manage': 'Create, edit and assign sales routes, and plan their weekday beats',
+  'visit.view': 'View daily visit sheets and the unvisited customers report',
+  'visit.record': 'Generate visit sheets, record visit outcomes and close sheets',
+  'commission.view': 'View commission plans and salesman commission statements',
+  'commission.manage': 'Set up commission plans and calculate monthly commission statements',
+  'commission.approve': 'Lock commission statements and post them as payable',
+  'target.view': 'View sales targets and their achievement',
+  'target.manage': 'Set and change sales targets',
+
+  // Inventory
+  'item.manage': 'Create, edit and delete items',
+  'item.stock': 'Adjust and transfer item stock',
+  'batch.manage': 'Create, edit and delete batches',
+  'warehouse.manage': 'Manage warehouses',
+  'transfer.view': 'View warehouse transfers and receipt discrepancies',
+  'transfer.manage': 'Create, dispatch and cancel warehouse transfers and resolve discrepancies',
+  'transfer.receive': 'Confirm or reject receipt of warehouse transfers',
+  'stocktake.view': 'View stock takes, variance reports and the cycle count schedule',
+  'stocktake.manage': 'Open, complete and cancel stock takes',
+  'stocktake.count': 'Submit counted quantities to a stock take',
+  'stocktake.approve': 'Approve stock takes and post their adjustments',
+  'reservation.view': 'View stock reservations and reserved quantities',
+  'reservation.manage': 'Reserve stock for estimates and sales orders and release it',
+  'recall.manage': 'Open, quarantine and close batch recalls',
+  'recall.returns': 'Generate and update recall return requests',
+  'expiry.view': 'View short-dated batches due for supplier return and supplier expiry claims',
+  'expiry.manage': 'Return short-dated batches to suppliers and write off expired stock',
+  'expiry.claims': 'Record supplier settlements and rejections of expiry claims',
+
+  // Accounts
+  'ledger.view': 'View ledger entries, balances, trial balance and summaries',
+  'account.balance.view': 'View a single account balance and statement',
+  'receivables.view': 'View receivables aging and customer summaries',
+  'payables.view': 'View supplier payables',
+  'journal.view': 'View journal vouchers',
+  'journal.manage': 'Create, edit, post and reverse journal vouchers',
+  'fiscal.view': 'View fiscal years and periods',
+  'fiscal.manage': 'Create fiscal years, close periods and close the year',
+  'fiscal.reopen': 'Reopen closed fiscal periods',
+  'cash.receipt.view': 'View cash receipts',
+  'cash.receipt.create': 'Record cash receipts, post-dated cheques and apply receipts to invoices',
+  'cash.receipt.manage': 'Review pending receipts, edit, clear and cancel receipts and handle cheques',
+  'recovery.view': 'View recovery summaries and cash handover differences',
+  'recovery.manage': 'Generate and edit recovery summaries',
+  'recovery.post': 'Post recoveries as cash receipts and reconcile the cash handed over',
+  'statement.view': 'Download customer statements of account',
+  'statement.send': 'Email customer statements of account',
+  'pdc.view': 'View the post-dated cheque register, deposit slips and bounced-cheque holds',
+  'pdc.manage': 'Prepare and confirm deposit slips, charge bounces, lift holds and send maturity alerts',
+  'bank.reconciliation.view': 'View bank reconciliations and their reports',
+  'bank.reconciliation.manage': 'Start bank reconciliations, import bank statements and match them against the books',
+  'credit.view': 'View customer credit status, score and the reasons behind it',
+  'credit.manage': 'Recompute customer credit status against the credit policy',
+  'credit.override': 'Override customer credit status as credit manager',
+  'cash.payment.view': 'View cash payments',
+  'cash.payment.create': 'Record cash payments',
+  'cash.payment.manage': 'Review pending payments, edit, clear and cancel cash payments',
+  'cashbook.view': 'View cash book balance, summary, cash flow and daily book',
+  'tax.config.manage': 'Manage tax configurations',
+  'tax.withholding.manage': 'Aggregate withholding tax, record challans and issue certificates',
+
+  // Reports
+  'report.sales.view': 'View sales reports',
+  'report.purchase.view': 'View purchase reports',
+  'report.inventory.view': 'View inventory reports',
+  'report.warehouse.view': 'View warehouse stock reports',
+  'report.aging.view': 'View the aging report',
+  'report.salesman.view': 'View salesman sales, collection and performance reports',
+  'report.financial.view': 'View financial statements, analytics, tax, scheme and dimension reports',
+  'report.dashboard.view': 'View the analytics dashboard and real-time KPIs',
+
+  // Approvals
+  'approval.view': 'View approval requests and the pending-approvals inbox',
+  'approval.decide': 'Approve or reject pending approval requests',
+  'approval.rules.manage': 'Configure approval rules and thresholds',
+
+  // Administration
+  'user.manage': 'Manage users and their permission overrides',
+  'role.manage': 'Manage custom roles',
+  'audit.view': 'View the audit trail',
+  'system.monitor': 'View monitoring metrics and clear caches',
+};
+
+const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: ['*'],
+  },
+  sales: {
+    description: 'Sales staff and salesmen',
+    permissions: [
+      'invoice.sales.view',
+      'invoice.sales.create',
+      'invoice.sales.update',
+      'invoice.sales.status',
+      'invoice.sales.confirm',
+      'estimate.convert',
+      'reservation.view',
+      'reservation.manage',
+      'customer.create',
+      'customer.update',
+      'customer.status',
+      'portal.manage',
+      'pricelist.view',
+      'salesman.manage',
+      'salesman.self',
+      'target.view',
+      'visit.view',
+      'visit.record',
+      'recall.returns',
+      'account.balance.view',
+      'receivables.view',
+      'cash.receipt.view',
+      'cash.receipt.create',
+      'recovery.view',
+      'recovery.manage',
+      'statement.view',
+      'pdc.view',
+      'credit.view',
+      'report.sales.view',
+      'report.inventory.view',
+      'report.aging.view',
+      'report.salesman.view',
+    ],
+  },
+  purchase: {
+    description: 'Purchasing staff',
+    permissions: [
+      'invoice.purchase.view',
+      'invoice.purchase.create',
+      'invoice.purchase.update',
+      'invoice.purchase.status',
+      'invoice.purchase.confirm',
+      'invoice.purchase.return',
+      'expiry.view',
+      'expiry.claims',
+      'purchase_order.create',
+      'purchase_order.update',
+      'supplier.create',
+      'supplier.update',
+      'supplier.status',
+      'account.balance.view',
+      'payables.view',
+      'cash.payment.view',
+      'cash.payment.create',
+      'report.purchase.view',
+      'report.inventory.view',
+    ],
+  },
+  inventory: {
+    description: 'Store and inventory staff',
+    permissions: [
+      'item.manage',
+      'item.stock',
+      'batch.manage',
+      'warehouse.manage',
+      'transfer.view',
+      'transfer.manage',
+      'transfer.receive',
+      'stocktake.view',
+      'stocktake.manage',
+      'stocktake.count',
+      'reservation.view',
+      'recall.manage',
+      'recall.returns',
+      'expiry.view',
+      'expiry.manage',
+      'report.inventory.view',
+      'report.warehouse.view',
+    ],
+  },
+  accountant: {
+    description: 'Accounts staff',
+    permissions: [
+      'invoice.sales.view',
+      'invoice.sales.status',
+      'invoice.sales.confirm',
+      'invoice.sales.payment',
+      'estimate.convert',
+      'invoice.purchase.view',
+      'invoice.purchase.status',
+      'invoice.purchase.confirm',
+      'invoice.purchase.payment',
+      'customer.statistics',
+      'supplier.statistics',
+      'ledger.view',
+      'account.balance.view',
+      'receivables.view',
+      'payables.view',
+      'journal.view',
+      'journal.manage',
+      'fiscal.view',
+      'fiscal.manage',
+      'cash.*',
+      'cashbook.view',
+      'recovery.*',
+      'statement.*',
+      'pdc.*',
+      'bank.reconciliation.*',
+      'credit.*',
+      'tax.withholding.manage',
+      'stocktake.view',
+      'stocktake.approve',
+      'expiry.view',
+      'expiry.claims',
+      'commission.view',
+      'commission.approve',
+      'target.view',
+      'approval.view',
+      'approval.decide',
+      'audit.view',
+      'report.sales.view',
+      'report.purchase.view',
+      'report.inventory.view',
+      'report.warehouse.view',
+      'report.aging.view',
+      'report.salesman.view',
+      'report.financial.view',
+    ],
+  },
+  data_entry: {
+    description: 'Data entry operators',
+    permissions: [
+      'invoice.sales.create',
+      'invoice.sales.update',
+      'invoice.purchase.create',
+      'invoice.purchase.update',
+      'customer.create',
+      'customer.update',
+      'supplier.create',
+      'supplier.update',
+    ],
+  },
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+};
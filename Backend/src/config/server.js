@@ -10,6 +10,7 @@ const {
   responseTimeMiddleware,
   requestTrackingMiddleware,
 } = require('../middleware/performanceMonitoring');
+const { requestContextMiddleware } = require('../utils/requestContext');
 
 class ServerConfig {
   constructor() {
@@ -76,6 +77,9 @@ class ServerConfig {
     // Body parsing middleware
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Request context (user, IP) for the audit trail
+    this.app.use(requestContextMiddleware);
   }
 
   setupRoutes() {
@@ -101,7 +101,7 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['admin', 'sales', 'purchase', 'inventory', 'accountant', 'data_entry'],
+              description: 'Built-in role (admin, sales, purchase, inventory, accountant, data_entry) or a custom role',
               example: 'admin',
             },
             isActive: {
@@ -360,7 +360,7 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['draft', 'confirmed', 'paid', 'cancelled'],
+              enum: ['draft', 'pending_approval', 'confirmed', 'paid', 'cancelled'],
               example: 'confirmed',
             },
             paymentStatus: {
@@ -370,6 +370,81 @@ const options = {
             },
           },
         },
+        StockTransfer: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            transferNumber: {
+              type: 'string',
+              example: 'TRF2024000001',
+            },
+            fromWarehouse: {
+              type: 'string',
+            },
+            toWarehouse: {
+              type: 'string',
+            },
+            transferDate: {
+              type: 'string',
+              format: 'date-time',
+            },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: {
+                    type: 'string',
+                  },
+                  itemId: {
+                    type: 'string',
+                  },
+                  batchNumber: {
+                    type: 'string',
+                  },
+                  quantity: {
+                    type: 'number',
+                    example: 100,
+                  },
+                  receivedQuantity: {
+                    type: 'number',
+                    example: 95,
+                  },
+                  damagedQuantity: {
+                    type: 'number',
+                    example: 2,
+                  },
+                  shortQuantity: {
+                    type: 'number',
+                    example: 3,
+                  },
+                },
+              },
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'in_transit', 'completed', 'cancelled', 'rejected'],
+              example: 'in_transit',
+            },
+            discrepancy: {
+              type: 'object',
+              properties: {
+                status: {
+                  type: 'string',
+                  enum: ['open', 'resolved'],
+                },
+                shortQuantity: {
+                  type: 'number',
+                },
+                damagedQuantity: {
+                  type: 'number',
+                },
+              },
+            },
+          },
+        },
         Pagination: {
           type: 'object',
           properties: {
@@ -0,0 +1,25 @@
+// What a commission plan pays on
+const COMMISSION_BASIS = {
+  SALES: 'sales',
+  COLLECTIONS: 'collections',
+};
+
+// Invoice lines a commission rule applies to; the most specific matching rule wins,
+// in this order: scheme item, manufacturer, category
+const COMMISSION_RULE_SCOPES = {
+  SCHEME_ITEM: 'scheme_item',
+  MANUFACTURER: 'manufacturer',
+  CATEGORY: 'category',
+};
+
+// Monthly commission statement status constants
+const COMMISSION_STATEMENT_STATUS = {
+  DRAFT: 'draft',
+  LOCKED: 'locked',
+};
+
+module.exports = {
+  COMMISSION_BASIS,
+  COMMISSION_RULE_SCOPES,
+  COMMISSION_STATEMENT_STATUS,
+};
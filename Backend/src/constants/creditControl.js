@@ -0,0 +1,20 @@
+// Customer credit status set by the credit policy: watch needs approval to sell on credit, hold blocks it
+const CREDIT_STATUS = {
+  ACTIVE: 'active',
+  WATCH: 'watch',
+  HOLD: 'hold',
+};
+
+// Credit policy settings used when the CREDIT_* environment variables are not set
+const CREDIT_POLICY_DEFAULTS = {
+  graceDays: 15, // days past credit days before an unpaid invoice puts the customer on hold
+  bounceHoldCount: 2, // bounced cheques within the lookback that put the customer on hold
+  bounceLookbackDays: 180,
+  watchUtilisation: 80, // percent of the credit limit in use that puts the customer on watch
+  reviewHour: 1, // hour of the night the credit review runs
+};
+
+module.exports = {
+  CREDIT_STATUS,
+  CREDIT_POLICY_DEFAULTS,
+};
@@ -0,0 +1,13 @@
+// Audience of customer portal tokens; staff authentication refuses them and the portal accepts nothing else
+const PORTAL_TOKEN_AUDIENCE = 'customer-portal';
+
+// Where a sales invoice came from: entered by staff, or requested by the customer on the portal
+const ORDER_SOURCES = {
+  STAFF: 'staff',
+  CUSTOMER_PORTAL: 'customer_portal',
+};
+
+module.exports = {
+  PORTAL_TOKEN_AUDIENCE,
+  ORDER_SOURCES,
+};
@@ -0,0 +1,19 @@
+// Supplier expiry claim status constants
+const EXPIRY_CLAIM_STATUS = {
+  OPEN: 'open',
+  PARTIALLY_SETTLED: 'partially_settled',
+  SETTLED: 'settled',
+  REJECTED: 'rejected',
+};
+
+// How a supplier settles credit owed for returned short-dated stock
+const EXPIRY_CLAIM_SETTLEMENT_METHODS = {
+  CREDIT_NOTE: 'credit_note',
+  CASH: 'cash',
+  REPLACEMENT: 'replacement',
+};
+
+module.exports = {
+  EXPIRY_CLAIM_STATUS,
+  EXPIRY_CLAIM_SETTLEMENT_METHODS,
+};
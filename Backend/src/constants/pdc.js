@@ -0,0 +1,18 @@
+// Deposit slip status constants
+const DEPOSIT_SLIP_STATUS = {
+  OPEN: 'open',
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled',
+};
+
+// What the bank did with a cheque on a deposit slip; pending until the slip is confirmed
+const DEPOSIT_CHEQUE_OUTCOMES = {
+  PENDING: 'pending',
+  CLEARED: 'cleared',
+  BOUNCED: 'bounced',
+};
+
+module.exports = {
+  DEPOSIT_SLIP_STATUS,
+  DEPOSIT_CHEQUE_OUTCOMES,
+};
@@ -0,0 +1,35 @@
+// Beat plan weekdays, indexed as Date#getDay()
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Daily visit sheet status constants
+const VISIT_SHEET_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+// What happened at a shop on a visit sheet; pending visits become not_visited when the sheet closes
+const VISIT_OUTCOMES = {
+  PENDING: 'pending',
+  ORDER_TAKEN: 'order_taken',
+  PAYMENT_COLLECTED: 'payment_collected',
+  SHOP_CLOSED: 'shop_closed',
+  NO_ORDER: 'no_order',
+  NOT_VISITED: 'not_visited',
+};
+
+// Why a shop that was visited placed no order
+const NO_ORDER_REASONS = {
+  STOCK_SUFFICIENT: 'stock_sufficient',
+  CREDIT_HOLD: 'credit_hold',
+  PRICE_ISSUE: 'price_issue',
+  BUYER_ABSENT: 'buyer_absent',
+  COMPETITOR: 'competitor',
+  OTHER: 'other',
+};
+
+module.exports = {
+  WEEKDAYS,
+  VISIT_SHEET_STATUS,
+  VISIT_OUTCOMES,
+  NO_ORDER_REASONS,
+};
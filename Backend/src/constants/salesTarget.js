@@ -0,0 +1,27 @@
+// Length of a sales target's period
+const TARGET_PERIOD_TYPES = {
+  MONTHLY: 'monthly',
+  QUARTERLY: 'quarterly',
+};
+
+// What a sales target is set on. Item and manufacturer targets can be narrowed to one salesman.
+const TARGET_SCOPES = {
+  SALESMAN: 'salesman',
+  ROUTE: 'route',
+  ITEM: 'item',
+  MANUFACTURER: 'manufacturer',
+};
+
+// Where a target stands against its run-rate projection
+const TARGET_PROGRESS_STATUS = {
+  NOT_STARTED: 'not_started',
+  BEHIND: 'behind',
+  ON_TRACK: 'on_track',
+  ACHIEVED: 'achieved',
+};
+
+module.exports = {
+  TARGET_PERIOD_TYPES,
+  TARGET_SCOPES,
+  TARGET_PROGRESS_STATUS,
+};
@@ -0,0 +1,22 @@
+// Stock reservation status constants
+const STOCK_RESERVATION_STATUS = {
+  ACTIVE: 'active',
+  RELEASED: 'released',
+  CONVERTED: 'converted',
+  EXPIRED: 'expired',
+};
+
+// Documents stock can be reserved for
+const STOCK_RESERVATION_SOURCES = {
+  ESTIMATE: 'estimate',
+  SALES_ORDER: 'sales_order',
+};
+
+// Hours a reservation holds stock when STOCK_RESERVATION_HOLD_HOURS is not set
+const DEFAULT_RESERVATION_HOLD_HOURS = 48;
+
+module.exports = {
+  STOCK_RESERVATION_STATUS,
+  STOCK_RESERVATION_SOURCES,
+  DEFAULT_RESERVATION_HOLD_HOURS,
+};
@@ -0,0 +1,32 @@
+// Stock take session status constants
+const STOCK_TAKE_STATUS = {
+  COUNTING: 'counting',
+  COMPLETED: 'completed',
+  POSTED: 'posted',
+  CANCELLED: 'cancelled',
+};
+
+// Reason codes an approver gives for each variance posted from a stock take
+const STOCK_TAKE_REASONS = {
+  MISCOUNT: 'miscount',
+  DAMAGED: 'damaged',
+  EXPIRED: 'expired',
+  THEFT: 'theft',
+  UNRECORDED_RECEIPT: 'unrecorded_receipt',
+  UNRECORDED_ISSUE: 'unrecorded_issue',
+  DATA_ENTRY_ERROR: 'data_entry_error',
+  OTHER: 'other',
+};
+
+// How often items of each ABC class are counted, in days
+const CYCLE_COUNT_FREQUENCY_DAYS = {
+  A: 30,
+  B: 90,
+  C: 180,
+};
+
+module.exports = {
+  STOCK_TAKE_STATUS,
+  STOCK_TAKE_REASONS,
+  CYCLE_COUNT_FREQUENCY_DAYS,
+};
@@ -0,0 +1,9 @@
+// Inventory valuation method constants
+const VALUATION_METHODS = {
+  FIFO: 'fifo',
+  WEIGHTED_AVERAGE: 'weighted_average',
+};
+
+module.exports = {
+  VALUATION_METHODS,
+};
@@ -1,4 +1,7 @@
 const ledgerService = require('../services/ledgerService');
+const journalVoucherService = require('../services/journalVoucherService');
+const fiscalPeriodService = require('../services/fiscalPeriodService');
+const fiscalYearCloseService = require('../services/fiscalYearCloseService');
 
 /**
  * Accounts Controller
@@ -346,6 +349,328 @@ class AccountsController {
       });
     }
   }
+
+  /**
+   * Create a draft journal voucher
+   * POST /api/accounts/journal-vouchers
+   */
+  async createJournalVoucher(req, res) {
+    try {
+      const voucher = await journalVoucherService.createJournalVoucher({
+        ...req.body,
+        createdBy: req.user._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Journal voucher created successfully',
+        data: { voucher },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to create journal voucher',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get journal vouchers with filtering and pagination
+   * GET /api/accounts/journal-vouchers
+   */
+  async getJournalVouchers(req, res) {
+    try {
+      const {
+        status,
+        voucherType,
+        accountId,
+        startDate,
+        endDate,
+        page,
+        limit,
+      } = req.query;
+
+      const result = await journalVoucherService.getJournalVouchers(
+        {
+          status,
+          voucherType,
+          accountId,
+          startDate,
+          endDate,
+        },
+        {
+          page: parseInt(page, 10) || 1,
+          limit: parseInt(limit, 10) || 50,
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Journal vouchers retrieved successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to retrieve journal vouchers',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get journal voucher by ID
+   * GET /api/accounts/journal-vouchers/:id
+   */
+  async getJournalVoucherById(req, res) {
+    try {
+      const voucher = await journalVoucherService.getJournalVoucherById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Journal voucher retrieved successfully',
+        data: { voucher },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to retrieve journal voucher',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update a draft journal voucher
+   * PUT /api/accounts/journal-vouchers/:id
+   */
+  async updateJournalVoucher(req, res) {
+    try {
+      const voucher = await journalVoucherService.updateJournalVoucher(req.params.id, req.body, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Journal voucher updated successfully',
+        data: { voucher },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to update journal voucher',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a draft journal voucher
+   * DELETE /api/accounts/journal-vouchers/:id
+   */
+  async deleteJournalVoucher(req, res) {
+    try {
+      await journalVoucherService.deleteJournalVoucher(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Journal voucher deleted successfully',
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to delete journal voucher',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Post a journal voucher to the ledger (must balance)
+   * POST /api/accounts/journal-vouchers/:id/post
+   */
+  async postJournalVoucher(req, res) {
+    try {
+      const voucher = await journalVoucherService.postJournalVoucher(req.params.id, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Journal voucher posted successfully',
+        data: { voucher },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: error.code === 'UNBALANCED_ENTRY' ? 'Journal voucher is not balanced' : 'Failed to post journal voucher',
+        message: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
+
+  /**
+   * Reverse a posted journal voucher
+   * POST /api/accounts/journal-vouchers/:id/reverse
+   */
+  async reverseJournalVoucher(req, res) {
+    try {
+      const result = await journalVoucherService.reverseJournalVoucher(req.params.id, req.user._id, req.body.reason);
+
+      res.status(200).json({
+        success: true,
+        message: 'Journal voucher reversed successfully',
+        data: result,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to reverse journal voucher',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create a fiscal year with monthly periods
+   * POST /api/accounts/fiscal-years
+   */
+  async createFiscalYear(req, res) {
+    try {
+      const fiscalYear = await fiscalPeriodService.createFiscalYear({
+        ...req.body,
+        createdBy: req.user._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Fiscal year created successfully',
+        data: { fiscalYear },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to create fiscal year',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get all fiscal years
+   * GET /api/accounts/fiscal-years
+   */
+  async getFiscalYears(req, res) {
+    try {
+      const fiscalYears = await fiscalPeriodService.getFiscalYears();
+
+      res.status(200).json({
+        success: true,
+        message: 'Fiscal years retrieved successfully',
+        data: { fiscalYears },
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to retrieve fiscal years',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get fiscal year by ID with its periods and audit log
+   * GET /api/accounts/fiscal-years/:id
+   */
+  async getFiscalYearById(req, res) {
+    try {
+      const fiscalYear = await fiscalPeriodService.getFiscalYearById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Fiscal year retrieved successfully',
+        data: { fiscalYear },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to retrieve fiscal year',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Close a monthly accounting period
+   * POST /api/accounts/fiscal-years/:id/periods/:periodId/close
+   */
+  async closePeriod(req, res) {
+    try {
+      const fiscalYear = await fiscalPeriodService.closePeriod(req.params.id, req.params.periodId, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Period closed successfully',
+        data: { fiscalYear },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to close period',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Reopen a closed accounting period (admin only, reason required)
+   * POST /api/accounts/fiscal-years/:id/periods/:periodId/reopen
+   */
+  async reopenPeriod(req, res) {
+    try {
+      const fiscalYear = await fiscalPeriodService.reopenPeriod(
+        req.params.id,
+        req.params.periodId,
+        req.user._id,
+        req.body.reason
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Period reopened successfully',
+        data: { fiscalYear },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to reopen period',
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Close a fiscal year, moving revenue and expense balances to retained earnings
+   * POST /api/accounts/fiscal-years/:id/close
+   */
+  async closeFiscalYear(req, res) {
+    try {
+      const fiscalYear = await fiscalYearCloseService.closeFiscalYear(req.params.id, req.user._id, {
+        retainedEarningsAccountId: req.body.retainedEarningsAccountId,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Fiscal year closed successfully',
+        data: { fiscalYear },
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        error: 'Failed to close fiscal year',
+        message: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+  }
 }
 
 module.exports = new AccountsController();
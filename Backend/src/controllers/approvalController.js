@@ -0,0 +1,145 @@
+const approvalService = require('../services/approvalService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Approval Controller
+ * Handles HTTP requests for approval rules, the pending-approvals inbox and decisions
+ */
+
+/**
+ * Get the approval rules
+ * @route GET /api/v1/approvals/rules
+ */
+const getRules = catchAsync(async (req, res) => {
+  const rules = await approvalService.getRules();
+
+  res.status(200).json({
+    success: true,
+    data: rules,
+    message: 'Approval rules retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update an approval rule
+ * @route PUT /api/v1/approvals/rules/:type
+ */
+const updateRule = catchAsync(async (req, res) => {
+  const rule = await approvalService.updateRule(req.params.type, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+    message: 'Approval rule updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the pending requests the current user can decide
+ * @route GET /api/v1/approvals/inbox
+ */
+const getInbox = catchAsync(async (req, res) => {
+  const requests = await approvalService.getInbox(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: requests,
+    message: 'Pending approvals retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get approval requests
+ * @route GET /api/v1/approvals
+ */
+const getApprovalRequests = catchAsync(async (req, res) => {
+  const {
+    status,
+    documentType,
+    documentId,
+    action,
+    requestedBy,
+    page,
+    limit,
+  } = req.query;
+
+  const result = await approvalService.getApprovalRequests(
+    {
+      status,
+      documentType,
+      documentId,
+      action,
+      requestedBy,
+    },
+    {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 50,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.requests,
+    pagination: result.pagination,
+    message: 'Approval requests retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get an approval request
+ * @route GET /api/v1/approvals/:id
+ */
+const getApprovalRequestById = catchAsync(async (req, res) => {
+  const request = await approvalService.getApprovalRequestById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: request,
+    message: 'Approval request retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Approve a pending request
+ * @route POST /api/v1/approvals/:id/approve
+ */
+const approve = catchAsync(async (req, res) => {
+  const request = await approvalService.approve(req.params.id, req.user._id, req.body.comment);
+
+  res.status(200).json({
+    success: true,
+    data: request,
+    message: 'Request approved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Reject a pending request
+ * @route POST /api/v1/approvals/:id/reject
+ */
+const reject = catchAsync(async (req, res) => {
+  const request = await approvalService.reject(req.params.id, req.user._id, req.body.comment);
+
+  res.status(200).json({
+    success: true,
+    data: request,
+    message: 'Request rejected successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getRules,
+  updateRule,
+  getInbox,
+  getApprovalRequests,
+  getApprovalRequestById,
+  approve,
+  reject,
+};
@@ -0,0 +1,69 @@
+const auditService = require('../services/auditService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Audit Controller
+ * Handles HTTP requests for the audit trail of financial documents
+ */
+
+/**
+ * Get audit log entries
+ * @route GET /api/v1/audit
+ */
+const getAuditLogs = catchAsync(async (req, res) => {
+  const {
+    entityType,
+    entityId,
+    userId,
+    action,
+    path,
+    startDate,
+    endDate,
+    page,
+    limit,
+  } = req.query;
+
+  const result = await auditService.getAuditLogs(
+    {
+      entityType,
+      entityId,
+      userId,
+      action,
+      path,
+      startDate,
+      endDate,
+    },
+    {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 50,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.logs,
+    pagination: result.pagination,
+    message: 'Audit log retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the change history of one document
+ * @route GET /api/v1/audit/:entityType/:entityId
+ */
+const getEntityHistory = catchAsync(async (req, res) => {
+  const logs = await auditService.getEntityHistory(req.params.entityType, req.params.entityId);
+
+  res.status(200).json({
+    success: true,
+    data: logs,
+    message: 'Audit history retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getAuditLogs,
+  getEntityHistory,
+};
@@ -0,0 +1,134 @@
+const bankReconciliationService = require('../services/bankReconciliationService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Bank Reconciliation Controller
+ * Handles HTTP requests for bank reconciliations and bank statement imports
+ */
+
+/**
+ * Start a bank reconciliation for a statement period
+ * @route POST /api/v1/bank-reconciliations
+ */
+const createReconciliation = catchAsync(async (req, res) => {
+  const {
+    bankAccount, statementPeriod, openingBalance, closingBalance, notes,
+  } = req.body;
+  const reconciliation = await bankReconciliationService.createBankReconciliation({
+    bankAccount,
+    statementPeriod,
+    openingBalance,
+    closingBalance,
+    notes,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: reconciliation,
+    message: 'Bank reconciliation created successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get bank reconciliations
+ * @route GET /api/v1/bank-reconciliations
+ */
+const getReconciliations = catchAsync(async (req, res) => {
+  const {
+    status, accountNumber, startDate, endDate,
+  } = req.query;
+  const result = await bankReconciliationService.getAllBankReconciliations(
+    {
+      status, accountNumber, startDate, endDate,
+    },
+    {
+      page: parseInt(req.query.page, 10) || 1,
+      limit: Math.min(parseInt(req.query.limit, 10) || 10, 100),
+    },
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.reconciliations,
+    pagination: result.pagination,
+    message: 'Bank reconciliations retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a bank reconciliation with its items and proposed entries
+ * @route GET /api/v1/bank-reconciliations/:id
+ */
+const getReconciliationById = catchAsync(async (req, res) => {
+  const reconciliation = await bankReconciliationService.getBankReconciliationById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: reconciliation,
+    message: 'Bank reconciliation retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Import a bank statement (CSV, MT940 or OFX) and match it against the books
+ * @route POST /api/v1/bank-reconciliations/:id/import
+ */
+const importStatement = catchAsync(async (req, res) => {
+  const {
+    format, content, columnMapping, delimiter, dateFormat,
+  } = req.body;
+  const reconciliation = await bankReconciliationService.importStatement(req.params.id, {
+    format, content, columnMapping, delimiter, dateFormat,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: reconciliation,
+    message: `Bank statement imported: ${reconciliation.summary.matchedItems} matched, `
+      + `${reconciliation.proposedEntries.length} bank charge(s) proposed`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Match statement lines already shaped as JSON against the books
+ * @route POST /api/v1/bank-reconciliations/:id/match
+ */
+const matchTransactions = catchAsync(async (req, res) => {
+  const reconciliation = await bankReconciliationService.matchTransactions(req.params.id, req.body.items || []);
+
+  res.status(200).json({
+    success: true,
+    data: reconciliation,
+    message: 'Bank statement matched successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the reconciliation report
+ * @route GET /api/v1/bank-reconciliations/:id/report
+ */
+const getReconciliationReport = catchAsync(async (req, res) => {
+  const report = await bankReconciliationService.getReconciliationReport(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: report,
+    message: 'Bank reconciliation report retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  createReconciliation,
+  getReconciliations,
+  getReconciliationById,
+  importStatement,
+  matchTransactions,
+  getReconciliationReport,
+};
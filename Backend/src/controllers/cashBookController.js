@@ -180,7 +180,9 @@ class CashBookController {
 
       res.status(201).json({
         success: true,
-        message: 'Cash payment created successfully',
+        message: payment.status === 'pending_approval'
+          ? 'Cash payment created and submitted for approval'
+          : 'Cash payment created successfully',
         data: { payment },
       });
     } catch (error) {
@@ -0,0 +1,165 @@
+const commissionService = require('../services/commissionService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Commission Controller
+ * Handles HTTP requests for salesman commission plans and monthly commission statements
+ */
+
+/**
+ * Get commission plans
+ * @route GET /api/v1/commissions/plans
+ */
+const getPlans = catchAsync(async (req, res) => {
+  const plans = await commissionService.getPlans({ isActive: req.query.isActive });
+
+  res.status(200).json({
+    success: true,
+    data: plans,
+    message: 'Commission plans retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a commission plan and the salesmen on it
+ * @route GET /api/v1/commissions/plans/:id
+ */
+const getPlanById = catchAsync(async (req, res) => {
+  const result = await commissionService.getPlanById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Commission plan retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create a commission plan
+ * @route POST /api/v1/commissions/plans
+ */
+const createPlan = catchAsync(async (req, res) => {
+  const plan = await commissionService.createPlan(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: plan,
+    message: 'Commission plan created successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a commission plan
+ * @route PUT /api/v1/commissions/plans/:id
+ */
+const updatePlan = catchAsync(async (req, res) => {
+  const plan = await commissionService.updatePlan(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: plan,
+    message: 'Commission plan updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Put salesmen on a commission plan
+ * @route POST /api/v1/commissions/plans/:id/assign
+ */
+const assignPlan = catchAsync(async (req, res) => {
+  const result = await commissionService.assignPlan(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Commission plan assigned successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Work out draft commission statements for a month
+ * @route POST /api/v1/commissions/statements/generate
+ */
+const generateStatements = catchAsync(async (req, res) => {
+  const { year, month, salesmanId } = req.body;
+  const result = await commissionService.generateStatements({ year, month, salesmanId }, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `${result.statements.length} commission statement(s) calculated`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get commission statements
+ * @route GET /api/v1/commissions/statements
+ */
+const getStatements = catchAsync(async (req, res) => {
+  const {
+    salesmanId, year, month, status,
+  } = req.query;
+  const result = await commissionService.getStatements(
+    {
+      salesmanId, year, month, status,
+    },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.statements,
+    pagination: result.pagination,
+    message: 'Commission statements retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a commission statement
+ * @route GET /api/v1/commissions/statements/:id
+ */
+const getStatementById = catchAsync(async (req, res) => {
+  const statement = await commissionService.getStatementById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: statement,
+    message: 'Commission statement retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Lock a commission statement and post it as payable
+ * @route POST /api/v1/commissions/statements/:id/lock
+ */
+const lockStatement = catchAsync(async (req, res) => {
+  const statement = await commissionService.lockStatement(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: statement,
+    message: 'Commission statement locked and posted',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getPlans,
+  getPlanById,
+  createPlan,
+  updatePlan,
+  assignPlan,
+  generateStatements,
+  getStatements,
+  getStatementById,
+  lockStatement,
+};
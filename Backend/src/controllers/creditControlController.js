@@ -0,0 +1,135 @@
+const creditControlService = require('../services/creditControlService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Credit Control Controller
+ * Handles HTTP requests for customer credit status, credit reviews and credit manager overrides
+ */
+
+/**
+ * Get the credit policy settings
+ * @route GET /api/v1/credit-control/policy
+ */
+const getPolicy = catchAsync(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: creditControlService.getPolicy(),
+    message: 'Credit policy retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get customers by credit status
+ * @route GET /api/v1/credit-control/customers
+ */
+const getCustomers = catchAsync(async (req, res) => {
+  const { status, routeId } = req.query;
+  const result = await creditControlService.getCustomers(
+    { status, routeId },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.customers,
+    pagination: result.pagination,
+    message: 'Customer credit status retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a customer's credit status
+ * @route GET /api/v1/credit-control/customers/:customerId
+ */
+const getCustomerCredit = catchAsync(async (req, res) => {
+  const credit = await creditControlService.getCustomerCredit(req.params.customerId);
+
+  res.status(200).json({
+    success: true,
+    data: credit,
+    message: 'Customer credit status retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Recompute a customer's credit status now
+ * @route POST /api/v1/credit-control/customers/:customerId/review
+ */
+const reviewCustomer = catchAsync(async (req, res) => {
+  const credit = await creditControlService.reviewCustomer(req.params.customerId);
+
+  res.status(200).json({
+    success: true,
+    data: credit,
+    message: 'Customer credit status recomputed successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Recompute every customer's credit status now
+ * @route POST /api/v1/credit-control/review
+ */
+const reviewAllCustomers = catchAsync(async (req, res) => {
+  const result = await creditControlService.reviewAllCustomers();
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `Credit status recomputed for ${result.reviewed} customer(s)`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Override a customer's credit status
+ * @route POST /api/v1/credit-control/customers/:customerId/override
+ */
+const overrideStatus = catchAsync(async (req, res) => {
+  const { status, reason, expiresAt } = req.body;
+  const credit = await creditControlService.overrideStatus(
+    req.params.customerId,
+    { status, reason, expiresAt },
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: credit,
+    message: 'Customer credit status overridden successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Remove a customer's credit status override
+ * @route DELETE /api/v1/credit-control/customers/:customerId/override
+ */
+const clearOverride = catchAsync(async (req, res) => {
+  const credit = await creditControlService.clearOverride(
+    req.params.customerId,
+    { reason: req.body.reason },
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: credit,
+    message: 'Customer credit status override removed successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getPolicy,
+  getCustomers,
+  getCustomerCredit,
+  reviewCustomer,
+  reviewAllCustomers,
+  overrideStatus,
+  clearOverride,
+};
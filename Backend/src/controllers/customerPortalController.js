@@ -0,0 +1,269 @@
+const customerPortalService = require('../services/customerPortalService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Customer Portal Controller
+ * Handles HTTP requests from customer portal logins, always for req.customerId,
+ * and staff requests to manage those logins
+ */
+
+/**
+ * Log in to the customer portal
+ * @route POST /api/v1/portal/auth/login
+ */
+const login = catchAsync(async (req, res) => {
+  const result = await customerPortalService.login(req.body.identifier, req.body.password);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Login successful',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the logged-in customer's account
+ * @route GET /api/v1/portal/me
+ */
+const getProfile = catchAsync(async (req, res) => {
+  const customer = await customerPortalService.getProfile(req.customerId);
+
+  res.status(200).json({
+    success: true,
+    data: { user: req.portalUser, customer },
+    message: 'Profile retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the outstanding balance
+ * @route GET /api/v1/portal/balance
+ */
+const getBalance = catchAsync(async (req, res) => {
+  const balance = await customerPortalService.getBalance(req.customerId);
+
+  res.status(200).json({
+    success: true,
+    data: balance,
+    message: 'Balance retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the customer's invoices
+ * @route GET /api/v1/portal/invoices
+ */
+const getInvoices = catchAsync(async (req, res) => {
+  const { paymentStatus, startDate, endDate } = req.query;
+  const result = await customerPortalService.getInvoices(
+    req.customerId,
+    { paymentStatus, startDate, endDate },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.invoices,
+    pagination: result.pagination,
+    message: 'Invoices retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get one of the customer's invoices
+ * @route GET /api/v1/portal/invoices/:id
+ */
+const getInvoiceById = catchAsync(async (req, res) => {
+  const invoice = await customerPortalService.getInvoiceById(req.customerId, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: invoice,
+    message: 'Invoice retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the statement of account, as JSON or as the PDF with format=pdf
+ * @route GET /api/v1/portal/statement
+ */
+const getStatement = catchAsync(async (req, res) => {
+  const { startDate, endDate, format } = req.query;
+  const { statement, filename, content } = await customerPortalService.getStatement(req.customerId, {
+    startDate,
+    endDate,
+  });
+
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(content);
+    return;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: statement,
+    message: 'Statement retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the schemes on offer to the customer
+ * @route GET /api/v1/portal/schemes
+ */
+const getSchemes = catchAsync(async (req, res) => {
+  const schemes = await customerPortalService.getSchemes(req.customerId, { itemId: req.query.itemId });
+
+  res.status(200).json({
+    success: true,
+    data: schemes,
+    message: 'Schemes retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get items with the customer's price and current availability
+ * @route GET /api/v1/portal/items
+ */
+const getItems = catchAsync(async (req, res) => {
+  const { search, inStock } = req.query;
+  const result = await customerPortalService.getItems(
+    req.customerId,
+    { search, inStock },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.items,
+    pagination: result.pagination,
+    message: 'Items retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Place an order request
+ * @route POST /api/v1/portal/orders
+ */
+const createOrderRequest = catchAsync(async (req, res) => {
+  const order = await customerPortalService.createOrderRequest(req.portalUser, {
+    items: req.body.items,
+    notes: req.body.notes,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: order,
+    message: `Order request ${order.invoiceNumber} sent to your salesman for confirmation`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the customer's order requests
+ * @route GET /api/v1/portal/orders
+ */
+const getOrders = catchAsync(async (req, res) => {
+  const result = await customerPortalService.getOrders(
+    req.customerId,
+    { status: req.query.status },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.orders,
+    pagination: result.pagination,
+    message: 'Order requests retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Open a portal login for a customer
+ * @route POST /api/v1/portal-logins
+ */
+const createLogin = catchAsync(async (req, res) => {
+  const {
+    customerId, username, password, name, email, phone,
+  } = req.body;
+  const portalUser = await customerPortalService.createLogin(customerId, {
+    username, password, name, email, phone,
+  }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: portalUser,
+    message: 'Portal login created successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get portal logins
+ * @route GET /api/v1/portal-logins
+ */
+const getLogins = catchAsync(async (req, res) => {
+  const { customerId, isActive } = req.query;
+  const result = await customerPortalService.getLogins(
+    { customerId, isActive },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.logins,
+    pagination: result.pagination,
+    message: 'Portal logins retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update, reset the password of, close or reopen a portal login
+ * @route PUT /api/v1/portal-logins/:id
+ */
+const updateLogin = catchAsync(async (req, res) => {
+  const {
+    name, email, phone, password, isActive,
+  } = req.body;
+  const portalUser = await customerPortalService.updateLogin(req.params.id, {
+    name, email, phone, password, isActive,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: portalUser,
+    message: 'Portal login updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  login,
+  getProfile,
+  getBalance,
+  getInvoices,
+  getInvoiceById,
+  getStatement,
+  getSchemes,
+  getItems,
+  createOrderRequest,
+  getOrders,
+  createLogin,
+  getLogins,
+  updateLogin,
+};
@@ -0,0 +1,136 @@
+const expiryManagementService = require('../services/expiryManagementService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Expiry Controller
+ * Handles HTTP requests for supplier returns of short-dated stock, expiry write-offs
+ * and supplier expiry claims
+ */
+
+/**
+ * Get batches inside their supplier's return window
+ * @route GET /api/v1/expiry/returnable-batches
+ */
+const getReturnableBatches = catchAsync(async (req, res) => {
+  const { supplierId, warehouseId, asOf } = req.query;
+  const result = await expiryManagementService.getReturnableBatches({ supplierId, warehouseId, asOf });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Returnable batches retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Return short-dated batches to their suppliers
+ * @route POST /api/v1/expiry/supplier-returns
+ */
+const createSupplierReturns = catchAsync(async (req, res) => {
+  const {
+    batchIds, supplierId, warehouseId, returnNotes,
+  } = req.body;
+  const result = await expiryManagementService.createSupplierReturns({
+    batchIds, supplierId, warehouseId, returnNotes,
+  }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: result,
+    message: `${result.returns.length} supplier return(s) created`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Write off expired stock
+ * @route POST /api/v1/expiry/write-offs
+ */
+const writeOffExpiredStock = catchAsync(async (req, res) => {
+  const { batchIds, warehouseId, notes } = req.body;
+  const result = await expiryManagementService.writeOffExpiredStock({ batchIds, warehouseId, notes }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: result,
+    message: 'Expired stock written off successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get supplier expiry claims
+ * @route GET /api/v1/expiry/claims
+ */
+const getClaims = catchAsync(async (req, res) => {
+  const { supplierId, status } = req.query;
+  const result = await expiryManagementService.getClaims(
+    { supplierId, status },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.claims,
+    pagination: result.pagination,
+    message: 'Expiry claims retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a supplier expiry claim
+ * @route GET /api/v1/expiry/claims/:id
+ */
+const getClaimById = catchAsync(async (req, res) => {
+  const claim = await expiryManagementService.getClaimById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: claim,
+    message: 'Expiry claim retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Record credit the supplier gave against a claim
+ * @route POST /api/v1/expiry/claims/:id/settlements
+ */
+const recordSettlement = catchAsync(async (req, res) => {
+  const claim = await expiryManagementService.recordSettlement(req.params.id, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: claim,
+    message: 'Claim settlement recorded successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Record that the supplier refused a claim
+ * @route POST /api/v1/expiry/claims/:id/reject
+ */
+const rejectClaim = catchAsync(async (req, res) => {
+  const claim = await expiryManagementService.rejectClaim(req.params.id, req.body.reason, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: claim,
+    message: 'Expiry claim rejected',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getReturnableBatches,
+  createSupplierReturns,
+  writeOffExpiredStock,
+  getClaims,
+  getClaimById,
+  recordSettlement,
+  rejectClaim,
+};
@@ -0,0 +1,66 @@
+const notificationService = require('../services/notificationService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Notification Controller
+ * Handles HTTP requests for the current user's in-app notifications
+ */
+
+/**
+ * Get the current user's notifications
+ * @route GET /api/v1/notifications
+ */
+const getMyNotifications = catchAsync(async (req, res) => {
+  const { unreadOnly, page, limit } = req.query;
+
+  const result = await notificationService.getUserNotifications(req.user._id, {
+    unreadOnly: unreadOnly === 'true',
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result.notifications,
+    unreadCount: result.unreadCount,
+    pagination: result.pagination,
+    message: 'Notifications retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Mark a notification as read
+ * @route PATCH /api/v1/notifications/:id/read
+ */
+const markAsRead = catchAsync(async (req, res) => {
+  const notification = await notificationService.markAsRead(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: notification,
+    message: 'Notification marked as read',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Mark all of the current user's notifications as read
+ * @route PATCH /api/v1/notifications/read-all
+ */
+const markAllAsRead = catchAsync(async (req, res) => {
+  const count = await notificationService.markAllAsRead(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: { count },
+    message: 'Notifications marked as read',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getMyNotifications,
+  markAsRead,
+  markAllAsRead,
+};
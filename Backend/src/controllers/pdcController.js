@@ -0,0 +1,216 @@
+const pdcService = require('../services/pdcService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * PDC Controller
+ * Handles HTTP requests for the post-dated cheque register, deposit slips and bounced cheques
+ */
+
+/**
+ * Get the register of cheques in hand, grouped by bank
+ * @route GET /api/v1/pdc
+ */
+const getRegister = catchAsync(async (req, res) => {
+  const register = await pdcService.getRegister(req.query.dueDate);
+
+  res.status(200).json({
+    success: true,
+    data: register,
+    message: 'Post-dated cheque register retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get post-dated cheques in any status
+ * @route GET /api/v1/pdc/cheques
+ */
+const getCheques = catchAsync(async (req, res) => {
+  const {
+    chequeStatus, customerId, bankName, depositSlipId, startDate, endDate,
+  } = req.query;
+  const result = await pdcService.getCheques(
+    {
+      chequeStatus, customerId, bankName, depositSlipId, startDate, endDate,
+    },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.cheques,
+    pagination: result.pagination,
+    message: 'Post-dated cheques retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Batch the cheques due into deposit slips, one per bank
+ * @route POST /api/v1/pdc/deposit-slips/generate
+ */
+const generateDepositSlips = catchAsync(async (req, res) => {
+  const {
+    date, bankName, depositAccount, notes,
+  } = req.body;
+  const slips = await pdcService.generateDepositSlips({
+    date, bankName, depositAccount, notes,
+  }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: slips,
+    message: `${slips.length} deposit slip(s) generated`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get deposit slips
+ * @route GET /api/v1/pdc/deposit-slips
+ */
+const getDepositSlips = catchAsync(async (req, res) => {
+  const {
+    status, bankName, startDate, endDate,
+  } = req.query;
+  const result = await pdcService.getDepositSlips(
+    {
+      status, bankName, startDate, endDate,
+    },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.slips,
+    pagination: result.pagination,
+    message: 'Deposit slips retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a deposit slip with its cheques
+ * @route GET /api/v1/pdc/deposit-slips/:id
+ */
+const getDepositSlipById = catchAsync(async (req, res) => {
+  const slip = await pdcService.getDepositSlipById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: slip,
+    message: 'Deposit slip retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Confirm a deposit slip from the bank's response
+ * @route POST /api/v1/pdc/deposit-slips/:id/confirm
+ */
+const confirmDepositSlip = catchAsync(async (req, res) => {
+  const { bounced, notes } = req.body;
+  const slip = await pdcService.confirmDepositSlip(req.params.id, { bounced, notes }, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: slip,
+    message: 'Deposit slip confirmed successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Cancel an open deposit slip
+ * @route POST /api/v1/pdc/deposit-slips/:id/cancel
+ */
+const cancelDepositSlip = catchAsync(async (req, res) => {
+  const slip = await pdcService.cancelDepositSlip(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: slip,
+    message: 'Deposit slip cancelled successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Charge a bounced cheque's bank charges to the customer
+ * @route POST /api/v1/pdc/cheques/:id/bounce-charges
+ */
+const recordBounceCharges = catchAsync(async (req, res) => {
+  const receipt = await pdcService.recordBounceCharges(req.params.id, req.body.amount, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: receipt,
+    message: 'Bounce charges posted successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Resolve a bounced cheque
+ * @route POST /api/v1/pdc/cheques/:id/resolve
+ */
+const resolveBouncedCheque = catchAsync(async (req, res) => {
+  const receipt = await pdcService.resolveBouncedCheque(
+    req.params.id,
+    { resolution: req.body.resolution },
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: receipt,
+    message: 'Bounced cheque resolved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get customers on credit hold for bounced cheques
+ * @route GET /api/v1/pdc/bounced-holds
+ */
+const getBouncedChequeHolds = catchAsync(async (req, res) => {
+  const holds = await pdcService.getBouncedChequeHolds({ customerId: req.query.customerId });
+
+  res.status(200).json({
+    success: true,
+    data: holds,
+    message: 'Bounced cheque holds retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Send maturity reminders for cheques due soon
+ * @route POST /api/v1/pdc/reminders/run
+ */
+const sendMaturityReminders = catchAsync(async (req, res) => {
+  const result = await pdcService.sendMaturityReminders({ daysAhead: req.body.daysAhead });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `Maturity reminder sent for ${result.count} cheque(s)`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getRegister,
+  getCheques,
+  generateDepositSlips,
+  getDepositSlips,
+  getDepositSlipById,
+  confirmDepositSlip,
+  cancelDepositSlip,
+  recordBounceCharges,
+  resolveBouncedCheque,
+  getBouncedChequeHolds,
+  sendMaturityReminders,
+};
@@ -0,0 +1,122 @@
+const permissionService = require('../services/permissionService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Permission Controller
+ * Handles HTTP requests for the permission catalogue, custom roles and per-user overrides
+ */
+
+/**
+ * Get the permission catalogue
+ * @route GET /api/v1/roles/permissions
+ */
+const getPermissions = catchAsync(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: permissionService.getPermissionCatalogue(),
+    message: 'Permissions retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get built-in and custom roles
+ * @route GET /api/v1/roles
+ */
+const getRoles = catchAsync(async (req, res) => {
+  const roles = await permissionService.getRoles();
+
+  res.status(200).json({
+    success: true,
+    data: roles,
+    message: 'Roles retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create a custom role
+ * @route POST /api/v1/roles
+ */
+const createRole = catchAsync(async (req, res) => {
+  const role = await permissionService.createRole(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: role,
+    message: 'Role created successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a custom role
+ * @route PUT /api/v1/roles/:id
+ */
+const updateRole = catchAsync(async (req, res) => {
+  const role = await permissionService.updateRole(req.params.id, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: role,
+    message: 'Role updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Delete a custom role
+ * @route DELETE /api/v1/roles/:id
+ */
+const deleteRole = catchAsync(async (req, res) => {
+  await permissionService.deleteRole(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the current user's effective permissions
+ * @route GET /api/v1/users/profile/permissions
+ */
+const getMyPermissions = catchAsync(async (req, res) => {
+  const permissions = await permissionService.getUserPermissions(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      role: req.user.role,
+      ...permissions,
+    },
+    message: 'Permissions retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Set a user's granted and revoked permission overrides
+ * @route PUT /api/v1/users/:id/permissions
+ */
+const setUserPermissions = catchAsync(async (req, res) => {
+  const result = await permissionService.setUserOverrides(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'User permissions updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getMyPermissions,
+  setUserPermissions,
+};
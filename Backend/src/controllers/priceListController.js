@@ -0,0 +1,97 @@
+const priceListService = require('../services/priceListService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Price List Controller
+ * Handles HTTP requests for customer price lists and contract pricing
+ */
+
+/**
+ * Get price lists
+ * @route GET /api/v1/price-lists
+ */
+const getPriceLists = catchAsync(async (req, res) => {
+  const {
+    isActive, customerId, routeId, customerType, itemId, activeOn,
+  } = req.query;
+  const priceLists = await priceListService.getPriceLists({
+    isActive, customerId, routeId, customerType, itemId, activeOn,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: priceLists,
+    message: 'Price lists retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a customer's list prices for a set of items
+ * @route GET /api/v1/price-lists/resolve
+ */
+const resolvePrices = catchAsync(async (req, res) => {
+  const { customerId, itemIds, date } = req.query;
+  const ids = Array.isArray(itemIds) ? itemIds : String(itemIds || '').split(',').filter(Boolean);
+  const prices = await priceListService.resolvePrices(customerId, ids, date ? new Date(date) : new Date());
+
+  res.status(200).json({
+    success: true,
+    data: prices,
+    message: 'Prices resolved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a price list with its items
+ * @route GET /api/v1/price-lists/:id
+ */
+const getPriceListById = catchAsync(async (req, res) => {
+  const priceList = await priceListService.getPriceListById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: priceList,
+    message: 'Price list retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create a price list
+ * @route POST /api/v1/price-lists
+ */
+const createPriceList = catchAsync(async (req, res) => {
+  const priceList = await priceListService.createPriceList(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: priceList,
+    message: 'Price list created successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a price list
+ * @route PUT /api/v1/price-lists/:id
+ */
+const updatePriceList = catchAsync(async (req, res) => {
+  const priceList = await priceListService.updatePriceList(req.params.id, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: priceList,
+    message: 'Price list updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getPriceLists,
+  resolvePrices,
+  getPriceListById,
+  createPriceList,
+  updatePriceList,
+};
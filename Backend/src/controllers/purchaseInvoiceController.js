@@ -721,6 +721,16 @@ const cancelPurchaseInvoice = async (req, res) => {
 
     const invoice = await purchaseInvoiceService.cancelPurchaseInvoice(id, userId, reason);
 
+    // Without approval rights the cancellation is only requested
+    if (invoice.status !== 'cancelled') {
+      return res.status(202).json({
+        success: true,
+        data: invoice,
+        message: 'Purchase invoice cancellation submitted for approval',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
     return res.status(200).json({
       success: true,
       data: invoice,
@@ -1,4 +1,5 @@
 const purchaseOrderService = require('../services/purchaseOrderService');
+const replenishmentService = require('../services/replenishmentService');
 
 /**
  * Purchase Order Controller
@@ -262,6 +263,57 @@ class PurchaseOrderController {
       next(error);
     }
   }
+
+  /**
+   * Get reorder suggestions grouped by supplier
+   * @route GET /api/purchase-orders/reorder-suggestions
+   */
+  async getReorderSuggestions(req, res, next) {
+    try {
+      const suggestions = await replenishmentService.getReorderSuggestions({
+        warehouseId: req.query.warehouseId,
+        supplierId: req.query.supplierId,
+        itemIds: req.query.itemIds ? String(req.query.itemIds).split(',') : undefined,
+        lookbackDays: req.query.lookbackDays,
+        safetyDays: req.query.safetyDays,
+        coverDays: req.query.coverDays,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: suggestions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Raise draft purchase orders from the reorder suggestions
+   * @route POST /api/purchase-orders/reorder-suggestions/generate
+   */
+  async generateReorderPurchaseOrders(req, res, next) {
+    try {
+      const {
+        warehouseId, supplierId, itemIds, lookbackDays, safetyDays, coverDays,
+      } = req.body;
+
+      const result = await replenishmentService.generateDraftPurchaseOrders(
+        {
+          warehouseId, supplierId, itemIds, lookbackDays, safetyDays, coverDays,
+        },
+        req.user._id
+      );
+
+      res.status(201).json({
+        success: true,
+        data: result,
+        message: `${result.purchaseOrders.length} draft purchase order(s) created`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new PurchaseOrderController();
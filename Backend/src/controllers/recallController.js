@@ -0,0 +1,173 @@
+const recallService = require('../services/recallService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Recall Controller
+ * Handles HTTP requests for batch recall management
+ */
+
+/**
+ * Trace a batch number or supplier lot to invoices, customers, routes and salesmen
+ * @route GET /api/v1/recalls/trace
+ */
+const traceBatch = catchAsync(async (req, res) => {
+  const { batchNumber, supplierLotNumber, itemId } = req.query;
+  const trace = await recallService.traceBatch({ batchNumber, supplierLotNumber, itemId });
+
+  res.status(200).json({
+    success: true,
+    data: trace,
+    message: 'Batch trace retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Open a recall
+ * @route POST /api/v1/recalls
+ */
+const createRecall = catchAsync(async (req, res) => {
+  const recall = await recallService.createRecall({
+    ...req.body,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: recall,
+    message: 'Recall created successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get recalls
+ * @route GET /api/v1/recalls
+ */
+const getRecalls = catchAsync(async (req, res) => {
+  const { status, itemId, batchNumber } = req.query;
+  const result = await recallService.getRecalls(
+    { status, itemId, batchNumber },
+    {
+      page: parseInt(req.query.page, 10) || 1,
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.recalls,
+    pagination: result.pagination,
+    message: 'Recalls retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get recall by ID
+ * @route GET /api/v1/recalls/:id
+ */
+const getRecall = catchAsync(async (req, res) => {
+  const recall = await recallService.getRecallById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: recall,
+    message: 'Recall retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Trace the batches covered by a recall
+ * @route GET /api/v1/recalls/:id/trace
+ */
+const getRecallTrace = catchAsync(async (req, res) => {
+  const trace = await recallService.getRecallTrace(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: trace,
+    message: 'Recall trace retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Quarantine the recalled batches
+ * @route POST /api/v1/recalls/:id/quarantine
+ */
+const quarantineRecall = catchAsync(async (req, res) => {
+  const recall = await recallService.quarantineRecall(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: recall,
+    message: 'Recalled batches quarantined successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Generate return requests for customers that received recalled units
+ * @route POST /api/v1/recalls/:id/return-requests
+ */
+const generateReturnRequests = catchAsync(async (req, res) => {
+  const recall = await recallService.generateReturnRequests(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: recall.returnRequests,
+    message: 'Return requests generated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update the status of a return request
+ * @route PATCH /api/v1/recalls/:id/return-requests/:requestId
+ */
+const updateReturnRequestStatus = catchAsync(async (req, res) => {
+  const recall = await recallService.updateReturnRequestStatus(
+    req.params.id,
+    req.params.requestId,
+    req.body.status
+  );
+
+  res.status(200).json({
+    success: true,
+    data: recall,
+    message: 'Return request updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Close a recall
+ * @route POST /api/v1/recalls/:id/close
+ */
+const closeRecall = catchAsync(async (req, res) => {
+  const recall = await recallService.closeRecall(req.params.id, req.user._id, {
+    releaseBatches: req.body.releaseBatches === true,
+    notes: req.body.notes,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: recall,
+    message: 'Recall closed successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  traceBatch,
+  createRecall,
+  getRecalls,
+  getRecall,
+  getRecallTrace,
+  quarantineRecall,
+  generateReturnRequests,
+  updateReturnRequestStatus,
+  closeRecall,
+};
@@ -29,6 +29,74 @@ class RecoverySummaryController {
         }
     }
 
+    /**
+     * Generate a recovery summary from a salesman's unpaid invoices in a town
+     * POST /api/recovery-summaries/generate
+     */
+    async generateRecoverySummary(req, res, next) {
+        try {
+            const data = {
+                ...req.body,
+                createdBy: req.user._id
+            };
+
+            const summary = await recoverySummaryService.generateRecoverySummary(data);
+
+            res.status(201).json({
+                success: true,
+                data: summary,
+                message: 'Recovery summary generated successfully'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Post collected amounts as cash receipts against the summary's invoices
+     * POST /api/recovery-summaries/:id/post
+     */
+    async postRecoveries(req, res, next) {
+        try {
+            const summary = await recoverySummaryService.postRecoveries(req.params.id, {
+                accounts: req.body.accounts,
+                createdBy: req.user._id
+            });
+
+            res.status(200).json({
+                success: true,
+                data: summary,
+                message: 'Recoveries posted as cash receipts successfully'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reconcile the cash handed over against the posted receipts
+     * POST /api/recovery-summaries/:id/reconcile
+     */
+    async reconcileCash(req, res, next) {
+        try {
+            const summary = await recoverySummaryService.reconcileCash(req.params.id, {
+                cashHandedOver: req.body.cashHandedOver,
+                notes: req.body.notes,
+                reconciledBy: req.user._id
+            });
+
+            res.status(200).json({
+                success: true,
+                data: summary,
+                message: summary.hasCashDifference
+                    ? `Cash handed over differs from receipts by ${summary.cashDifference}`
+                    : 'Cash handed over tallies with receipts'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Get all recovery summaries with filters
      * GET /api/recovery-summaries
@@ -40,6 +108,8 @@ class RecoverySummaryController {
                 endDate: req.query.endDate,
                 salesmanId: req.query.salesmanId,
                 town: req.query.town,
+                status: req.query.status,
+                hasCashDifference: req.query.hasCashDifference,
                 page: parseInt(req.query.page) || 1,
                 limit: parseInt(req.query.limit) || 50
             };
@@ -3,6 +3,8 @@ const financialReportService = require('../services/financialReportService');
 const analyticsService = require('../services/analyticsService');
 const exportService = require('../services/exportService');
 const inventoryService = require('../services/inventoryService');
+const salesTaxReturnService = require('../services/salesTaxReturnService');
+const inventoryValuationService = require('../services/inventoryValuationService');
 
 /**
  * Report Controller
@@ -106,6 +108,24 @@ class ReportController {
     }
   }
 
+  /**
+   * Get stock on hand valued from cost layers (FIFO or weighted average)
+   */
+  async getInventoryValuation(req, res, next) {
+    try {
+      const { itemId, warehouseId } = req.query;
+
+      const report = await inventoryValuationService.getInventoryValuation({ itemId, warehouseId });
+
+      res.status(200).json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Generate profit & loss statement
    */
@@ -869,6 +889,49 @@ class ReportController {
     }
   }
 
+  /**
+   * Get FBR sales tax return annexure (Annex-C sales / Annex-A purchases) for a month
+   * Returns rows with validation errors as JSON, or the IRIS import file when format is csv/excel
+   * @route GET /api/reports/sales-tax-return/:annex
+   */
+  async getSalesTaxReturn(req, res, next) {
+    try {
+      const { annex } = req.params;
+      const { period, format } = req.query;
+
+      if (!period) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tax period (YYYY-MM) is required',
+        });
+      }
+
+      if (format) {
+        const file = await salesTaxReturnService.exportAnnexure(annex, period, format);
+
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.setHeader('X-Validation-Error-Count', file.annexure.errors.length);
+        return res.send(file.content);
+      }
+
+      const annexure = await salesTaxReturnService.getAnnexure(annex, period);
+
+      res.status(200).json({
+        success: true,
+        data: annexure,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * Get scheme analysis report
    * @route GET /api/reports/scheme-analysis
@@ -0,0 +1,191 @@
+const routePlanningService = require('../services/routePlanningService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Route Planning Controller
+ * Handles HTTP requests for beat plans, daily visit sheets and visit outcomes
+ */
+
+/**
+ * Get beat plans
+ * @route GET /api/v1/route-planning/beat-plans
+ */
+const getBeatPlans = catchAsync(async (req, res) => {
+  const {
+    routeId, salesmanId, weekday, isActive,
+  } = req.query;
+  const plans = await routePlanningService.getBeatPlans({
+    routeId, salesmanId, weekday, isActive,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: plans,
+    message: 'Beat plans retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a beat plan
+ * @route GET /api/v1/route-planning/beat-plans/:id
+ */
+const getBeatPlanById = catchAsync(async (req, res) => {
+  const plan = await routePlanningService.getBeatPlanById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: plan,
+    message: 'Beat plan retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Create a beat plan
+ * @route POST /api/v1/route-planning/beat-plans
+ */
+const createBeatPlan = catchAsync(async (req, res) => {
+  const plan = await routePlanningService.createBeatPlan(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: plan,
+    message: 'Beat plan created successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Update a beat plan
+ * @route PUT /api/v1/route-planning/beat-plans/:id
+ */
+const updateBeatPlan = catchAsync(async (req, res) => {
+  const plan = await routePlanningService.updateBeatPlan(req.params.id, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: plan,
+    message: 'Beat plan updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Generate the day's visit sheets from the beat plans
+ * @route POST /api/v1/route-planning/visit-sheets/generate
+ */
+const generateVisitSheets = catchAsync(async (req, res) => {
+  const { date, salesmanId, routeId } = req.body;
+  const result = await routePlanningService.generateVisitSheets({ date, salesmanId, routeId }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: result,
+    message: `${result.created.length} visit sheet(s) generated`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get visit sheets
+ * @route GET /api/v1/route-planning/visit-sheets
+ */
+const getVisitSheets = catchAsync(async (req, res) => {
+  const {
+    salesmanId, routeId, status, startDate, endDate,
+  } = req.query;
+  const result = await routePlanningService.getVisitSheets(
+    {
+      salesmanId, routeId, status, startDate, endDate,
+    },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.sheets,
+    pagination: result.pagination,
+    message: 'Visit sheets retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a visit sheet
+ * @route GET /api/v1/route-planning/visit-sheets/:id
+ */
+const getVisitSheetById = catchAsync(async (req, res) => {
+  const sheet = await routePlanningService.getVisitSheetById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: sheet,
+    message: 'Visit sheet retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Record the outcome of a visit to a shop
+ * @route POST /api/v1/route-planning/visit-sheets/:id/visits/:customerId
+ */
+const recordVisit = catchAsync(async (req, res) => {
+  const sheet = await routePlanningService.recordVisit(req.params.id, req.params.customerId, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: sheet,
+    message: 'Visit recorded successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Close a visit sheet
+ * @route POST /api/v1/route-planning/visit-sheets/:id/close
+ */
+const closeVisitSheet = catchAsync(async (req, res) => {
+  const sheet = await routePlanningService.closeVisitSheet(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: sheet,
+    message: 'Visit sheet closed successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the customers left unvisited over a period
+ * @route GET /api/v1/route-planning/unvisited
+ */
+const getUnvisitedCustomers = catchAsync(async (req, res) => {
+  const {
+    startDate, endDate, salesmanId, routeId,
+  } = req.query;
+  const report = await routePlanningService.getUnvisitedCustomers({
+    startDate, endDate, salesmanId, routeId,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: report,
+    message: 'Unvisited customers report generated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getBeatPlans,
+  getBeatPlanById,
+  createBeatPlan,
+  updateBeatPlan,
+  generateVisitSheets,
+  getVisitSheets,
+  getVisitSheetById,
+  recordVisit,
+  closeVisitSheet,
+  getUnvisitedCustomers,
+};
@@ -225,7 +225,9 @@ const createSalesInvoice = async (req, res) => {
     return res.status(201).json({
       success: true,
       data: invoice,
-      message: 'Sales invoice created successfully',
+      message: invoice.status === 'pending_approval'
+        ? 'Sales invoice created and submitted for approval'
+        : 'Sales invoice created successfully',
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -726,6 +728,16 @@ const cancelSalesInvoice = async (req, res) => {
 
     const invoice = await salesInvoiceService.cancelSalesInvoice(id, userId, reason);
 
+    // Without approval rights the cancellation is only requested
+    if (invoice.status !== 'cancelled') {
+      return res.status(202).json({
+        success: true,
+        data: invoice,
+        message: 'Sales invoice cancellation submitted for approval',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
     return res.status(200).json({
       success: true,
       data: invoice,
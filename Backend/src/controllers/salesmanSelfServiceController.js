@@ -6,6 +6,7 @@
 const Salesman = require('../models/Salesman');
 const Invoice = require('../models/Invoice');
 const reportService = require('../services/reportService');
+const targetService = require('../services/targetService');
 
 /**
  * Get logged-in salesman's profile
@@ -196,12 +197,19 @@ const getMyPerformance = async (req, res, next) => {
             ]),
         ]);
 
+        // Targets running at the end of the period, with run-rate projections
+        const targets = await targetService.getSalesmanTargetProgress(
+            salesman._id,
+            endDate ? new Date(endDate) : new Date(),
+        );
+
         res.json({
             success: true,
             data: {
                 salesmanName: salesman.name,
                 salesmanCode: salesman.code,
                 period: { startDate, endDate },
+                targets,
                 stats: {
                     totalInvoices,
                     confirmedInvoices,
@@ -0,0 +1,83 @@
+const statementService = require('../services/statementService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Statement Controller
+ * Handles HTTP requests for customer statements of account
+ */
+
+/**
+ * Download a customer's statement of account
+ * @route GET /api/v1/statements/customers/:customerId
+ */
+const getCustomerStatement = catchAsync(async (req, res) => {
+  const { startDate, endDate } = req.query;
+  const { filename, content } = await statementService.generateStatement(req.params.customerId, {
+    startDate,
+    endDate,
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(content);
+});
+
+/**
+ * Email a customer their statement of account
+ * @route POST /api/v1/statements/customers/:customerId/email
+ */
+const emailCustomerStatement = catchAsync(async (req, res) => {
+  const { startDate, endDate, to } = req.body;
+  const result = await statementService.emailStatement(req.params.customerId, { startDate, endDate, to });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `Statement emailed to ${result.email}`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Download statements for a route or customers above a balance, as one PDF
+ * @route POST /api/v1/statements/bulk
+ */
+const getBulkStatements = catchAsync(async (req, res) => {
+  const {
+    startDate, endDate, routeId, minBalance,
+  } = req.body;
+  const { filename, content } = await statementService.generateBulkStatements({
+    startDate, endDate, routeId, minBalance,
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(content);
+});
+
+/**
+ * Email statements to every customer on a route or above a balance
+ * @route POST /api/v1/statements/bulk/email
+ */
+const emailBulkStatements = catchAsync(async (req, res) => {
+  const {
+    startDate, endDate, routeId, minBalance,
+  } = req.body;
+  const result = await statementService.emailBulkStatements({
+    startDate, endDate, routeId, minBalance,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `${result.summary.sent} of ${result.summary.statements} statement(s) emailed`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getCustomerStatement,
+  emailCustomerStatement,
+  getBulkStatements,
+  emailBulkStatements,
+};
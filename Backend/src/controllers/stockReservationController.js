@@ -0,0 +1,108 @@
+const stockReservationService = require('../services/stockReservationService');
+const { STOCK_RESERVATION_STATUS } = require('../constants/stockReservationStatus');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Stock Reservation Controller
+ * Handles HTTP requests for stock held by estimates and sales orders
+ */
+
+/**
+ * Get stock reservations
+ * @route GET /api/v1/stock-reservations
+ */
+const getReservations = catchAsync(async (req, res) => {
+  const {
+    itemId, warehouseId, sourceId, status,
+  } = req.query;
+  const result = await stockReservationService.getReservations(
+    {
+      itemId, warehouseId, sourceId, status,
+    },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: result.pagination,
+    message: 'Stock reservations retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get stock on hand, reserved and available for an item
+ * @route GET /api/v1/stock-reservations/availability/:itemId
+ */
+const getItemAvailability = catchAsync(async (req, res) => {
+  const availability = await stockReservationService.getItemAvailability(req.params.itemId);
+
+  res.status(200).json({
+    success: true,
+    data: availability,
+    message: 'Stock availability retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Reserve the stock of a draft sales order or estimate
+ * @route POST /api/v1/stock-reservations
+ */
+const reserveStock = catchAsync(async (req, res) => {
+  const result = await stockReservationService.reserveForInvoice(req.body.invoiceId, req.user._id, {
+    holdHours: req.body.holdHours,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: result,
+    message: 'Stock reserved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Release the stock held for a sales order or estimate
+ * @route POST /api/v1/stock-reservations/release
+ */
+const releaseStock = catchAsync(async (req, res) => {
+  const released = await stockReservationService.releaseReservations(
+    req.body.invoiceId,
+    STOCK_RESERVATION_STATUS.RELEASED,
+    req.user._id,
+    req.body.reason || 'Released manually'
+  );
+
+  res.status(200).json({
+    success: true,
+    data: { released: released.length },
+    message: 'Stock reservations released successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Mark reservations past their hold time as expired
+ * @route POST /api/v1/stock-reservations/release-expired
+ */
+const releaseExpiredReservations = catchAsync(async (req, res) => {
+  const result = await stockReservationService.releaseExpiredReservations();
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Expired stock reservations released successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getReservations,
+  getItemAvailability,
+  reserveStock,
+  releaseStock,
+  releaseExpiredReservations,
+};
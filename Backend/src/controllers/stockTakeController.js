@@ -0,0 +1,175 @@
+const stockTakeService = require('../services/stockTakeService');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Stock Take Controller
+ * Handles HTTP requests for stock-take sessions and cycle count scheduling
+ */
+
+/**
+ * Propose what to count in a warehouse today by ABC class
+ * @route GET /api/v1/stock-takes/cycle-count-schedule
+ */
+const getCycleCountSchedule = catchAsync(async (req, res) => {
+  const { warehouseId, date, lookbackDays } = req.query;
+  const schedule = await stockTakeService.getCycleCountSchedule({ warehouseId, date, lookbackDays });
+
+  res.status(200).json({
+    success: true,
+    data: schedule,
+    message: 'Cycle count schedule retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Open a stock-take session
+ * @route POST /api/v1/stock-takes
+ */
+const createStockTake = catchAsync(async (req, res) => {
+  const stockTake = await stockTakeService.createStockTake({
+    ...req.body,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: stockTake,
+    message: 'Stock take opened successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get stock takes
+ * @route GET /api/v1/stock-takes
+ */
+const getStockTakes = catchAsync(async (req, res) => {
+  const {
+    warehouse, status, startDate, endDate,
+  } = req.query;
+  const result = await stockTakeService.getStockTakes(
+    {
+      warehouse, status, startDate, endDate,
+    },
+    parseInt(req.query.page, 10) || 1,
+    Math.min(parseInt(req.query.limit, 10) || 10, 100)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: result.pagination,
+    message: 'Stock takes retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get stock take by ID
+ * @route GET /api/v1/stock-takes/:id
+ */
+const getStockTake = catchAsync(async (req, res, next) => {
+  const stockTake = await stockTakeService.getStockTakeById(req.params.id);
+
+  if (!stockTake) {
+    return next(new AppError('Stock take not found', 404));
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: stockTake,
+    message: 'Stock take retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Submit counted quantities from a device
+ * @route POST /api/v1/stock-takes/:id/counts
+ */
+const submitCounts = catchAsync(async (req, res) => {
+  const stockTake = await stockTakeService.submitCounts(req.params.id, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: stockTake,
+    message: 'Counts recorded successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Close counting
+ * @route POST /api/v1/stock-takes/:id/complete
+ */
+const completeStockTake = catchAsync(async (req, res) => {
+  const stockTake = await stockTakeService.completeStockTake(req.params.id, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: stockTake,
+    message: 'Stock take completed successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get the variance report of a stock take
+ * @route GET /api/v1/stock-takes/:id/variance
+ */
+const getVarianceReport = catchAsync(async (req, res) => {
+  const report = await stockTakeService.getVarianceReport(req.params.id, {
+    varianceOnly: req.query.varianceOnly === 'true',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: report,
+    message: 'Variance report retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Post the variances as stock adjustments
+ * @route POST /api/v1/stock-takes/:id/post
+ */
+const postStockTake = catchAsync(async (req, res) => {
+  const stockTake = await stockTakeService.postStockTake(req.params.id, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: stockTake,
+    message: 'Stock take adjustments posted successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Cancel a stock take
+ * @route POST /api/v1/stock-takes/:id/cancel
+ */
+const cancelStockTake = catchAsync(async (req, res) => {
+  const stockTake = await stockTakeService.cancelStockTake(req.params.id, req.body.reason, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: stockTake,
+    message: 'Stock take cancelled successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getCycleCountSchedule,
+  createStockTake,
+  getStockTakes,
+  getStockTake,
+  submitCounts,
+  completeStockTake,
+  getVarianceReport,
+  postStockTake,
+  cancelStockTake,
+};
@@ -11,9 +11,12 @@ const catchAsync = require('../utils/catchAsync');
 
 /**
  * @swagger
- * /api/stock-transfers:
+ * /api/v1/stock-transfers:
  *   post:
  *     summary: Create a new stock transfer
+ *     description: |
+ *       Creates a pending transfer document. Stock moves only when the transfer is dispatched
+ *       and received.
  *     tags: [Stock Transfers]
  *     security:
  *       - bearerAuth: []
@@ -59,19 +62,12 @@ const catchAsync = require('../utils/catchAsync');
  *                       type: number
  *                       minimum: 0.0001
  *                       description: Quantity to transfer
- *                     batchInfo:
- *                       type: object
- *                       properties:
- *                         batchNumber:
- *                           type: string
- *                           description: Batch number (required if item is batch tracked)
- *                         expiryDate:
- *                           type: string
- *                           format: date
- *                           description: Expiry date of the batch
+ *                     batchNumber:
+ *                       type: string
+ *                       description: Source batch to transfer from (for batch-tracked items)
  *     responses:
  *       201:
- *         description: Stock transfer created successfully
+ *         description: Pending stock transfer created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -99,7 +95,7 @@ const createTransfer = catchAsync(async (req, res, next) => {
 
 /**
  * @swagger
- * /api/stock-transfers/{id}:
+ * /api/v1/stock-transfers/{id}:
  *   get:
  *     summary: Get a stock transfer by ID
  *     tags: [Stock Transfers]
@@ -140,7 +136,7 @@ const getTransfer = catchAsync(async (req, res, next) => {
 
 /**
  * @swagger
- * /api/stock-transfers:
+ * /api/v1/stock-transfers:
  *   get:
  *     summary: Get all stock transfers with filtering
  *     tags: [Stock Transfers]
@@ -237,9 +233,107 @@ const getTransfers = catchAsync(async (req, res, next) => {
 
 /**
  * @swagger
- * /api/stock-transfers/{id}/status:
- *   patch:
- *     summary: Update transfer status
+ * /api/v1/stock-transfers/{id}/dispatch:
+ *   post:
+ *     summary: Dispatch a pending transfer
+ *     description: |
+ *       Debits the source warehouse and source batches and holds the stock in the in-transit
+ *       warehouse until the destination confirms receipt.
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer in transit
+ *       400:
+ *         description: Transfer is not pending or source stock is insufficient
+ *       404:
+ *         description: Transfer or batch not found
+ */
+const dispatchTransfer = catchAsync(async (req, res) => {
+  const transfer = await StockTransferService.dispatchTransfer(req.params.id, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      transfer,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/stock-transfers/{id}/receive:
+ *   post:
+ *     summary: Confirm receipt of a transfer in transit
+ *     description: |
+ *       Credits the destination with the quantity received in good condition. Lines left out
+ *       are taken as fully received. Short or damaged lines raise an open discrepancy.
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - lineId
+ *                   properties:
+ *                     lineId:
+ *                       type: string
+ *                       description: ID of the transfer line
+ *                     receivedQuantity:
+ *                       type: number
+ *                       description: Quantity received in good condition
+ *                     damagedQuantity:
+ *                       type: number
+ *                       description: Quantity received damaged
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Transfer completed
+ *       400:
+ *         description: Transfer is not in transit or quantities exceed what was sent
+ *       404:
+ *         description: Transfer not found
+ */
+const receiveTransfer = catchAsync(async (req, res) => {
+  const transfer = await StockTransferService.receiveTransfer(req.params.id, req.body, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      transfer,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/stock-transfers/{id}/reject:
+ *   post:
+ *     summary: Reject a transfer in transit and return the stock to the source warehouse
  *     tags: [Stock Transfers]
  *     security:
  *       - bearerAuth: []
@@ -257,34 +351,152 @@ const getTransfers = catchAsync(async (req, res, next) => {
  *           schema:
  *             type: object
  *             required:
- *               - status
+ *               - reason
  *             properties:
- *               status:
+ *               reason:
  *                 type: string
- *                 enum: [pending, in_transit, completed, cancelled, rejected]
- *                 description: New status
  *     responses:
  *       200:
- *         description: Status updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/StockTransfer'
+ *         description: Transfer rejected
  *       400:
- *         description: Invalid status transition
+ *         description: Transfer is not in transit or reason missing
  *       404:
  *         description: Transfer not found
  */
-const updateTransferStatus = catchAsync(async (req, res, next) => {
-  const { id } = req.params;
-  const { status } = req.body;
-  
-  const transfer = await StockTransferService.updateTransferStatus(
-    id,
-    status,
+const rejectTransfer = catchAsync(async (req, res) => {
+  const transfer = await StockTransferService.rejectTransfer(req.params.id, req.body.reason, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      transfer,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/stock-transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a transfer that has not been dispatched
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       400:
+ *         description: Transfer is not pending
+ *       404:
+ *         description: Transfer not found
+ */
+const cancelTransfer = catchAsync(async (req, res) => {
+  const transfer = await StockTransferService.cancelTransfer(req.params.id, req.body.reason, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      transfer,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/stock-transfers/discrepancies:
+ *   get:
+ *     summary: Get transfers received short or damaged
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *           default: open
+ *       - in: query
+ *         name: fromWarehouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: toWarehouse
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfers with their discrepancy
+ */
+const getDiscrepancies = catchAsync(async (req, res) => {
+  const { status, fromWarehouse, toWarehouse } = req.query;
+  const transfers = await StockTransferService.getDiscrepancies({ status, fromWarehouse, toWarehouse });
+
+  res.status(200).json({
+    status: 'success',
+    results: transfers.length,
+    data: {
+      transfers,
+    },
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/stock-transfers/{id}/discrepancy/resolve:
+ *   post:
+ *     summary: Resolve an open receipt discrepancy
+ *     tags: [Stock Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolution
+ *             properties:
+ *               resolution:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Discrepancy resolved
+ *       400:
+ *         description: No open discrepancy or resolution missing
+ *       404:
+ *         description: Transfer not found
+ */
+const resolveDiscrepancy = catchAsync(async (req, res) => {
+  const transfer = await StockTransferService.resolveDiscrepancy(
+    req.params.id,
+    req.body.resolution,
     req.user.id
   );
-  
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -297,5 +509,10 @@ module.exports = {
   createTransfer,
   getTransfer,
   getTransfers,
-  updateTransferStatus,
+  dispatchTransfer,
+  receiveTransfer,
+  rejectTransfer,
+  cancelTransfer,
+  getDiscrepancies,
+  resolveDiscrepancy,
 };
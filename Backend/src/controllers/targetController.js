@@ -0,0 +1,122 @@
+const targetService = require('../services/targetService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Target Controller
+ * Handles HTTP requests for sales targets and their achievement
+ */
+
+/**
+ * Pick the list filters off the query string
+ * @param {Object} query - Request query
+ * @returns {Object} Filters
+ */
+const getFilters = (query) => {
+  const {
+    scope, salesmanId, routeId, itemId, manufacturer, periodType, year, month, quarter, isActive,
+  } = query;
+  return {
+    scope, salesmanId, routeId, itemId, manufacturer, periodType, year, month, quarter, isActive,
+  };
+};
+
+/**
+ * Get sales targets
+ * @route GET /api/v1/targets
+ */
+const getTargets = catchAsync(async (req, res) => {
+  const targets = await targetService.getTargets(getFilters(req.query));
+
+  res.status(200).json({
+    success: true,
+    data: targets,
+    message: 'Sales targets retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get progress of the targets running on a date
+ * @route GET /api/v1/targets/progress
+ */
+const getTargetProgress = catchAsync(async (req, res) => {
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+  const progress = await targetService.getTargetProgress(getFilters(req.query), asOf);
+
+  res.status(200).json({
+    success: true,
+    data: progress,
+    message: 'Target progress retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get a sales target with its achievement
+ * @route GET /api/v1/targets/:id
+ */
+const getTargetById = catchAsync(async (req, res) => {
+  const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+  const progress = await targetService.getTargetById(req.params.id, asOf);
+
+  res.status(200).json({
+    success: true,
+    data: progress,
+    message: 'Sales target retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Set a sales target
+ * @route POST /api/v1/targets
+ */
+const createTarget = catchAsync(async (req, res) => {
+  const target = await targetService.createTarget(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: target,
+    message: 'Sales target created successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Change a sales target
+ * @route PUT /api/v1/targets/:id
+ */
+const updateTarget = catchAsync(async (req, res) => {
+  const target = await targetService.updateTarget(req.params.id, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: target,
+    message: 'Sales target updated successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Delete a sales target
+ * @route DELETE /api/v1/targets/:id
+ */
+const deleteTarget = catchAsync(async (req, res) => {
+  await targetService.deleteTarget(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: 'Sales target deleted successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+module.exports = {
+  getTargets,
+  getTargetProgress,
+  getTargetById,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+};
@@ -0,0 +1,111 @@
+const withholdingTaxService = require('../services/withholdingTaxService');
+const catchAsync = require('../utils/catchAsync');
+
+/**
+ * Withholding Tax Controller
+ * Handles HTTP requests for withholding tax records, challans and certificates
+ */
+
+/**
+ * Aggregate withholding tax for a month from confirmed invoices
+ * @route POST /api/v1/withholding-tax/aggregate
+ */
+const aggregatePeriod = catchAsync(async (req, res) => {
+  const result = await withholdingTaxService.aggregatePeriod(req.body.period);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `Withholding tax aggregated for ${result.period}`,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Get withholding records per party, section and month
+ * @route GET /api/v1/withholding-tax
+ */
+const getRecords = catchAsync(async (req, res) => {
+  const {
+    period,
+    fromPeriod,
+    toPeriod,
+    section,
+    direction,
+    partyId,
+    status,
+    page,
+    limit,
+  } = req.query;
+
+  const result = await withholdingTaxService.getRecords(
+    {
+      period,
+      fromPeriod,
+      toPeriod,
+      section,
+      direction,
+      partyId,
+      status,
+    },
+    {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || 50,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.records,
+    totals: result.totals,
+    pagination: result.pagination,
+    message: 'Withholding tax records retrieved successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Record the challan (CPR) for a set of withholding records
+ * @route POST /api/v1/withholding-tax/challans
+ */
+const recordChallan = catchAsync(async (req, res) => {
+  const records = await withholdingTaxService.recordChallan(req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: records,
+    message: 'Challan recorded successfully',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Download a withholding certificate PDF for a party and section
+ * @route GET /api/v1/withholding-tax/certificates
+ */
+const getCertificate = catchAsync(async (req, res) => {
+  const {
+    partyId,
+    section,
+    fromPeriod,
+    toPeriod,
+  } = req.query;
+
+  const certificate = await withholdingTaxService.generateCertificate({
+    partyId,
+    section,
+    fromPeriod,
+    toPeriod: toPeriod || fromPeriod,
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${certificate.filename}"`);
+  res.status(200).send(certificate.content);
+});
+
+module.exports = {
+  aggregatePeriod,
+  getRecords,
+  recordChallan,
+  getCertificate,
+};
@@ -1,4 +1,7 @@
 const authService = require('../services/authService');
+const permissionService = require('../services/permissionService');
+const customerPortalService = require('../services/customerPortalService');
+const { setRequestUser } = require('../utils/requestContext');
 
 /**
  * Middleware to authenticate JWT tokens
@@ -37,8 +40,9 @@ const authenticate = async (req, res, next) => {
     // Validate token and get user
     const user = await authService.validateTokenAndGetUser(token);
 
-    // Attach user to request object
+    // Attach user to request object and to the request context used by the audit trail
     req.user = user;
+    setRequestUser(user);
     next();
   } catch (error) {
     if (error.message === 'Token has expired') {
@@ -79,6 +83,7 @@ const authenticate = async (req, res, next) => {
 
 /**
  * Middleware to authorize based on user roles
+ * Prefer requirePermission; role lists do not cover custom roles or per-user overrides.
  * @param {string|string[]} allowedRoles - Single role or array of allowed roles
  */
 const authorize = (allowedRoles) => (req, res, next) => {
@@ -112,6 +117,43 @@ const authorize = (allowedRoles) => (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authorize based on named permissions (see config/permissions)
+ * The user's role permissions and per-user overrides are resolved once per request.
+ * @param {string|string[]} requiredPermissions - Permission, or list of which any one suffices
+ */
+const requirePermission = (requiredPermissions) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not authenticated',
+      });
+    }
+
+    const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+
+    if (!req.permissions) {
+      req.permissions = await permissionService.getUserPermissions(req.user);
+    }
+
+    if (!permissions.some((permission) => permissionService.hasPermission(req.permissions, permission))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Access denied. Required permission: ${permissions.join(' or ')}`,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred during authorization',
+    });
+  }
+};
+
 /**
  * Middleware for admin-only access
  */
@@ -163,6 +205,7 @@ const optionalAuth = async (req, res, next) => {
         try {
           const user = await authService.validateTokenAndGetUser(token);
           req.user = user;
+          setRequestUser(user);
         } catch (error) {
           // Ignore authentication errors in optional auth
           console.log('Optional auth failed:', error.message);
@@ -177,9 +220,60 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate customer portal tokens
+ * Only tokens issued for the portal audience pass; staff tokens are refused.
+ * Sets req.portalUser and req.customerId, which every portal handler scopes its data to.
+ */
+const authenticateCustomer = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ') || !authHeader.substring(7)) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'No token provided',
+    });
+  }
+
+  try {
+    const portalUser = await customerPortalService.validateTokenAndGetPortalUser(authHeader.substring(7));
+
+    req.portalUser = portalUser;
+    req.customerId = String(portalUser.customerId);
+    next();
+  } catch (error) {
+    if (error.message === 'Token has expired') {
+      return res.status(401).json({
+        error: 'Token expired',
+        message: 'Your session has expired. Please login again.',
+      });
+    }
+
+    if (error.message === 'Invalid token') {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'Invalid authentication token',
+      });
+    }
+
+    if (error.message === 'User not found' || error.message === 'User account is inactive') {
+      return res.status(401).json({
+        error: 'Account inactive',
+        message: 'Portal access for this account is closed',
+      });
+    }
+
+    console.error('Portal authentication error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'An error occurred during authentication',
+    });
+  }
+};
+
 module.exports = {
   authenticate,
   authorize,
+  requirePermission,
   requireAdmin,
   requireSales,
   requirePurchase,
@@ -188,4 +282,5 @@ module.exports = {
   requireDataEntry,
   requireRoles,
   optionalAuth,
+  authenticateCustomer,
 };
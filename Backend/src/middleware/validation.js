@@ -1,4 +1,5 @@
 const { validationResult } = require('express-validator');
+const permissionService = require('../services/permissionService');
 
 /**
  * Middleware to handle validation errors from express-validator
@@ -41,11 +42,14 @@ const isValidDate = (value) => {
 };
 
 /**
- * Custom validation helper to check if value is a valid role
+ * Custom validation helper to check if value is a valid built-in or custom role
+ * Async: rejects when the role does not exist
  */
-const isValidRole = (value) => {
-  const validRoles = ['admin', 'sales', 'purchase', 'inventory', 'accountant', 'data_entry'];
-  return validRoles.includes(value);
+const isValidRole = async (value) => {
+  if (!(await permissionService.roleExists(value))) {
+    throw new Error('Invalid role');
+  }
+  return true;
 };
 
 /**
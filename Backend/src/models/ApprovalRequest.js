@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * Request to approve an action on a document that broke one or more approval rules
+ */
+const approvalRequestSchema = new mongoose.Schema({
+  requestNumber: {
+    type: String,
+    required: [true, 'Request number is required'],
+    unique: true,
+    trim: true,
+  },
+  documentType: {
+    type: String,
+    required: [true, 'Document type is required'],
+    enum: {
+      values: ['sales_invoice', 'purchase_invoice', 'cash_payment'],
+      message: 'Document type must be one of: sales_invoice, purchase_invoice, cash_payment',
+    },
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Document ID is required'],
+  },
+  documentNumber: {
+    type: String,
+    trim: true,
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ['confirm', 'cancel', 'post'],
+      message: 'Action must be one of: confirm, cancel, post',
+    },
+  },
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  reasons: [{
+    _id: false,
+    rule: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    approverPermission: {
+      type: String,
+      required: true,
+    },
+  }],
+  // Requester's note, e.g. the cancellation reason
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+  // Confirm the document as soon as it is approved (invoices created with status 'confirmed')
+  autoConfirm: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'approved', 'rejected'],
+      message: 'Status must be one of: pending, approved, rejected',
+    },
+    default: 'pending',
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requested by user is required'],
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  decidedAt: {
+    type: Date,
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+approvalRequestSchema.index({ status: 1, createdAt: 1 });
+approvalRequestSchema.index({ documentType: 1, documentId: 1 });
+approvalRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+
+// Static method to generate next request number
+approvalRequestSchema.statics.generateRequestNumber = async function () {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    requestNumber: new RegExp(`^APR${year}`),
+  });
+  return `APR${year}${String(count + 1).padStart(6, '0')}`;
+};
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stored settings of an approval rule
+ * Rules without a document here use the defaults in approvalService.
+ */
+const approvalRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Rule type is required'],
+    unique: true,
+    enum: {
+      values: [
+        'credit_limit', 'credit_watch', 'discount_percent', 'below_cost', 'cancellation', 'cash_payment_amount',
+      ],
+      message: 'Rule type must be one of: credit_limit, credit_watch, discount_percent, below_cost, cancellation, '
+        + 'cash_payment_amount',
+    },
+  },
+  isActive: {
+    type: Boolean,
+    default: false,
+  },
+  threshold: {
+    type: Number,
+    min: [0, 'Threshold cannot be negative'],
+  },
+  approverPermission: {
+    type: String,
+    trim: true,
+    default: 'approval.decide',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('ApprovalRule', approvalRuleSchema);
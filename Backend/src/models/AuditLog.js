@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const auditChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true,
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+}, {
+  _id: false,
+});
+
+/**
+ * Append-only record of a change to an audited document
+ */
+const auditLogSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: {
+      values: ['Invoice', 'CashReceipt', 'CashPayment', 'LedgerEntry', 'Customer', 'Item', 'Scheme'],
+      message: 'Entity type must be one of: Invoice, CashReceipt, CashPayment, LedgerEntry, Customer, Item, Scheme',
+    },
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required'],
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ['create', 'update', 'delete'],
+      message: 'Action must be one of: create, update, delete',
+    },
+  },
+  changes: [auditChangeSchema],
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  username: String,
+  ip: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  versionKey: false,
+});
+
+// Indexes
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ userId: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+// Audit entries are immutable once written
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, rejectChange);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
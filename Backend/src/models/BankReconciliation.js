@@ -21,6 +21,9 @@ const reconciliationItemSchema = new mongoose.Schema(
     bankStatementDate: Date,
     bankStatementAmount: Number,
     bankReference: String,
+    bankDescription: String,
+    // Items matched together (one statement line to several book transactions, or the reverse)
+    matchGroup: String,
     status: {
       type: String,
       enum: ['matched', 'unmatched', 'discrepancy'],
@@ -32,6 +35,38 @@ const reconciliationItemSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Payment entries proposed for statement lines with no book transaction, e.g. bank charges
+const proposedEntrySchema = new mongoose.Schema(
+  {
+    entryType: {
+      type: String,
+      required: true,
+      enum: ['bank_charge'],
+    },
+    paymentDate: {
+      type: Date,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Amount must be greater than 0'],
+    },
+    paymentMethod: {
+      type: String,
+      default: 'bank_transfer',
+    },
+    referenceNumber: String,
+    description: String,
+    status: {
+      type: String,
+      enum: ['proposed', 'recorded', 'dismissed'],
+      default: 'proposed',
+    },
+  },
+  { _id: false },
+);
+
 const bankReconciliationSchema = new mongoose.Schema(
   {
     reconciliationNumber: {
@@ -97,6 +132,7 @@ const bankReconciliationSchema = new mongoose.Schema(
       },
     },
     items: [reconciliationItemSchema],
+    proposedEntries: [proposedEntrySchema],
     summary: {
       totalReceipts: {
         type: Number,
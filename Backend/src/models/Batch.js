@@ -33,6 +33,13 @@ const batchSchema = new Schema(
       ref: 'Supplier',
       index: true,
     },
+    // Lot number printed by the supplier/manufacturer, used to trace recalls
+    supplierLotNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
     manufacturingDate: {
       type: Date,
       required: true,
@@ -159,13 +166,15 @@ batchSchema.methods.updateRemainingQuantity = async function (quantityChange) {
 batchSchema.pre('save', async function (next) {
   const now = new Date();
 
-  // Update status based on dates
-  if (this.expiryDate < now) {
-    this.status = 'expired';
-  } else if (this.manufacturingDate > now) {
-    this.status = 'pending';
-  } else {
-    this.status = 'active';
+  // Update status based on dates (quarantined batches are only released by their recall)
+  if (this.status !== 'quarantined') {
+    if (this.expiryDate < now) {
+      this.status = 'expired';
+    } else if (this.manufacturingDate > now) {
+      this.status = 'pending';
+    } else {
+      this.status = 'active';
+    }
   }
 
   // Calculate days until expiry
@@ -328,7 +337,7 @@ batchSchema.statics.updateBatchStatuses = async function () {
   const expiredResult = await this.updateMany(
     {
       expiryDate: { $lt: now },
-      status: { $ne: 'expired' }
+      status: { $nin: ['expired', 'quarantined'] }
     },
     {
       $set: {
@@ -342,7 +351,7 @@ batchSchema.statics.updateBatchStatuses = async function () {
     {
       expiryDate: { $gte: now },
       manufacturingDate: { $lte: now },
-      status: { $nin: ['active', 'expired', 'depleted'] }
+      status: { $nin: ['active', 'expired', 'depleted', 'quarantined'] }
     },
     {
       $set: { status: 'active' }
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../constants/routePlanning');
+
+const { Schema } = mongoose;
+
+/**
+ * BeatPlan Model
+ * The shops a salesman calls on along a route on one weekday, in calling order. Daily visit
+ * sheets are generated from the beat plans for that weekday.
+ */
+
+const beatStopSchema = new Schema({
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required'],
+  },
+  sequence: {
+    type: Number,
+    required: [true, 'Sequence is required'],
+    min: [1, 'Sequence must be at least 1'],
+  },
+}, { _id: false });
+
+const beatPlanSchema = new Schema({
+  routeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required'],
+  },
+  weekday: {
+    type: String,
+    enum: {
+      values: WEEKDAYS,
+      message: `Weekday must be one of: ${WEEKDAYS.join(', ')}`,
+    },
+    required: [true, 'Weekday is required'],
+  },
+  // Salesman working the beat; the route's salesman when not set
+  salesmanId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Salesman',
+    default: null,
+  },
+  customers: [beatStopSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+beatPlanSchema.index({ routeId: 1, weekday: 1 }, { unique: true });
+beatPlanSchema.index({ weekday: 1, isActive: 1 });
+beatPlanSchema.index({ salesmanId: 1 });
+
+module.exports = mongoose.model('BeatPlan', beatPlanSchema);
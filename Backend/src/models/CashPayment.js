@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const cashPaymentSchema = new mongoose.Schema(
   {
@@ -66,8 +67,8 @@ const cashPaymentSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Status is required'],
       enum: {
-        values: ['pending', 'cleared', 'cancelled'],
-        message: 'Status must be one of: pending, cleared, cancelled',
+        values: ['pending_approval', 'pending', 'cleared', 'cancelled'],
+        message: 'Status must be one of: pending_approval, pending, cleared, cancelled',
       },
       default: 'pending',
     },
@@ -171,4 +172,7 @@ cashPaymentSchema.pre('save', function (next) {
   next();
 });
 
+// Audit trail of every change
+cashPaymentSchema.plugin(auditTrail, { entityType: 'CashPayment' });
+
 module.exports = mongoose.model('CashPayment', cashPaymentSchema);
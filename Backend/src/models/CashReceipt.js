@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const cashReceiptSchema = new mongoose.Schema(
   {
@@ -66,8 +67,8 @@ const cashReceiptSchema = new mongoose.Schema(
     chequeStatus: {
       type: String,
       enum: {
-        values: ['pending', 'cleared', 'bounced'],
-        message: 'Cheque status must be one of: pending, cleared, bounced',
+        values: ['pending', 'deposited', 'cleared', 'bounced'],
+        message: 'Cheque status must be one of: pending, deposited, cleared, bounced',
       },
     },
     bounceReason: {
@@ -75,6 +76,40 @@ const cashReceiptSchema = new mongoose.Schema(
       trim: true,
       maxlength: [500, 'Bounce reason cannot exceed 500 characters'],
     },
+    // PDC register - deposit slip the cheque was banked on
+    depositSlipId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChequeDeposit',
+      default: null,
+    },
+    depositedDate: {
+      type: Date,
+    },
+    // Bank charges for a bounced cheque, charged to the customer's account
+    bounceCharges: {
+      type: Number,
+      default: 0,
+      min: [0, 'Bounce charges cannot be negative'],
+    },
+    // A bounced cheque holds the customer's credit sales until it is resolved (replaced or paid)
+    bounceResolvedAt: {
+      type: Date,
+      default: null,
+    },
+    bounceResolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    bounceResolution: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Bounce resolution cannot exceed 500 characters'],
+    },
+    // When the maturity reminder for the cheque went out
+    maturityReminderAt: {
+      type: Date,
+      default: null,
+    },
     // Phase 2 - Invoice Payment Tracking (Requirement 8.1, 8.3, 8.4)
     invoicePayments: [
       {
@@ -151,6 +186,8 @@ cashReceiptSchema.index({ postDatedCheque: 1, 'bankDetails.chequeDate': 1 });
 cashReceiptSchema.index({ chequeStatus: 1 });
 cashReceiptSchema.index({ 'bankDetails.bankName': 1, 'bankDetails.chequeNumber': 1 });
 cashReceiptSchema.index({ salesmanId: 1 });
+cashReceiptSchema.index({ depositSlipId: 1 });
+cashReceiptSchema.index({ customerId: 1, chequeStatus: 1, bounceResolvedAt: 1 });
 
 // Virtual for days since receipt
 cashReceiptSchema.virtual('daysSinceReceipt').get(function () {
@@ -229,6 +266,15 @@ cashReceiptSchema.statics.findPostDatedChequesByDueDate = function (startDate, e
     .sort({ 'bankDetails.chequeDate': 1 });
 };
 
+// Bounced cheques not yet resolved; while a customer has any, credit sales to them are held
+cashReceiptSchema.statics.findUnresolvedBouncedCheques = function (customerId) {
+  return this.find({
+    customerId,
+    chequeStatus: 'bounced',
+    bounceResolvedAt: null,
+  }).sort({ 'bankDetails.chequeDate': 1 });
+};
+
 // Phase 2: Static method to find pending post-dated cheques (Requirement 7.5)
 cashReceiptSchema.statics.findPendingPostDatedCheques = function () {
   return this.find({
@@ -326,4 +372,7 @@ cashReceiptSchema.pre('save', function (next) {
   next();
 });
 
+// Audit trail of every change
+cashReceiptSchema.plugin(auditTrail, { entityType: 'CashReceipt' });
+
 module.exports = mongoose.model('CashReceipt', cashReceiptSchema);
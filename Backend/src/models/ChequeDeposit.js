@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const {
+  DEPOSIT_SLIP_STATUS,
+  DEPOSIT_CHEQUE_OUTCOMES,
+} = require('../constants/pdc');
+
+const { Schema } = mongoose;
+
+/**
+ * ChequeDeposit Model
+ * A deposit slip batching the post-dated cheques of one bank that are banked together. When the
+ * slip is confirmed each cheque is marked cleared or bounced from the bank's response.
+ */
+
+const depositChequeSchema = new Schema({
+  receiptId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CashReceipt',
+    required: [true, 'Cash receipt is required'],
+  },
+  receiptNumber: String,
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+  },
+  chequeNumber: String,
+  chequeDate: Date,
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  outcome: {
+    type: String,
+    enum: {
+      values: Object.values(DEPOSIT_CHEQUE_OUTCOMES),
+      message: `Outcome must be one of: ${Object.values(DEPOSIT_CHEQUE_OUTCOMES).join(', ')}`,
+    },
+    default: DEPOSIT_CHEQUE_OUTCOMES.PENDING,
+  },
+  bounceReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bounce reason cannot exceed 500 characters'],
+  },
+  bounceCharges: {
+    type: Number,
+    default: 0,
+    min: [0, 'Bounce charges cannot be negative'],
+  },
+}, { _id: false });
+
+const chequeDepositSchema = new Schema({
+  slipNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  depositDate: {
+    type: Date,
+    required: [true, 'Deposit date is required'],
+  },
+  // Bank the cheques are drawn on
+  bankName: {
+    type: String,
+    required: [true, 'Bank name is required'],
+    trim: true,
+  },
+  // Our account the slip is paid into
+  depositAccount: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Deposit account cannot exceed 100 characters'],
+  },
+  cheques: [depositChequeSchema],
+  chequeCount: {
+    type: Number,
+    default: 0,
+  },
+  totalAmount: {
+    type: Number,
+    default: 0,
+  },
+  clearedAmount: {
+    type: Number,
+    default: 0,
+  },
+  bouncedAmount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(DEPOSIT_SLIP_STATUS),
+      message: `Status must be one of: ${Object.values(DEPOSIT_SLIP_STATUS).join(', ')}`,
+    },
+    default: DEPOSIT_SLIP_STATUS.OPEN,
+  },
+  confirmedAt: Date,
+  confirmedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+chequeDepositSchema.index({ depositDate: -1, status: 1 });
+chequeDepositSchema.index({ bankName: 1 });
+chequeDepositSchema.index({ 'cheques.receiptId': 1 });
+
+// Static method to generate deposit slip number
+chequeDepositSchema.statics.generateSlipNumber = async function () {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    slipNumber: new RegExp(`^DS${year}`),
+  });
+  return `DS${year}${String(count + 1).padStart(6, '0')}`;
+};
+
+// Pre-save middleware to generate deposit slip number
+chequeDepositSchema.pre('save', async function (next) {
+  if (!this.slipNumber && this.isNew) {
+    this.slipNumber = await this.constructor.generateSlipNumber();
+  }
+  next();
+});
+
+module.exports = mongoose.model('ChequeDeposit', chequeDepositSchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const {
+  COMMISSION_BASIS,
+  COMMISSION_RULE_SCOPES,
+} = require('../constants/commissionPlan');
+
+const { Schema } = mongoose;
+
+/**
+ * CommissionPlan Model
+ * How a salesman's monthly commission is worked out: rates by item category, manufacturer or
+ * scheme item, a payout slab by achievement of the monthly sales target, and deductions for
+ * returns, late collections and sales to overdue accounts. Salesmen are put on a plan through
+ * Salesman.commissionPlanId.
+ */
+
+const commissionRuleSchema = new Schema({
+  scope: {
+    type: String,
+    required: [true, 'Rule scope is required'],
+    enum: {
+      values: Object.values(COMMISSION_RULE_SCOPES),
+      message: `Rule scope must be one of: ${Object.values(COMMISSION_RULE_SCOPES).join(', ')}`,
+    },
+  },
+  // Category or manufacturer name the rule matches; not used by scheme item rules
+  value: {
+    type: String,
+    trim: true,
+    required: [
+      function () { return this.scope !== COMMISSION_RULE_SCOPES.SCHEME_ITEM; },
+      'Category or manufacturer is required',
+    ],
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Commission rate is required'],
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot exceed 100%'],
+  },
+}, { _id: false });
+
+const targetSlabSchema = new Schema({
+  // Lowest target achievement (percent) the slab applies from
+  minAchievementPercent: {
+    type: Number,
+    required: [true, 'Minimum achievement is required'],
+    min: [0, 'Minimum achievement cannot be negative'],
+  },
+  // Share of the earned commission paid out in this slab; over 100 pays a bonus
+  payoutPercent: {
+    type: Number,
+    required: [true, 'Payout percent is required'],
+    min: [0, 'Payout percent cannot be negative'],
+    max: [500, 'Payout percent cannot exceed 500%'],
+  },
+}, { _id: false });
+
+const commissionPlanSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  basis: {
+    type: String,
+    enum: {
+      values: Object.values(COMMISSION_BASIS),
+      message: `Basis must be one of: ${Object.values(COMMISSION_BASIS).join(', ')}`,
+    },
+    default: COMMISSION_BASIS.SALES,
+  },
+  // Rate for lines no rule matches
+  defaultRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Default rate cannot be negative'],
+    max: [100, 'Default rate cannot exceed 100%'],
+  },
+  rules: [commissionRuleSchema],
+  // Without slabs, or without a target for the salesman, the full commission is paid
+  targetSlabs: [targetSlabSchema],
+  // Take back the commission on goods the salesman's customers return
+  deductReturns: {
+    type: Boolean,
+    default: true,
+  },
+  // Take back part of the commission on invoices collected more than afterDays after invoicing
+  lateCollection: {
+    afterDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Days cannot be negative'],
+    },
+    deductionPercent: {
+      type: Number,
+      default: 0,
+      min: [0, 'Deduction cannot be negative'],
+      max: [100, 'Deduction cannot exceed 100%'],
+    },
+  },
+  // Pay nothing on customers with invoices more than overdueGraceDays past due at month end
+  zeroOnOverdue: {
+    type: Boolean,
+    default: true,
+  },
+  overdueGraceDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Grace days cannot be negative'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+commissionPlanSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('CommissionPlan', commissionPlanSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { COMMISSION_STATEMENT_STATUS } = require('../constants/commissionPlan');
+
+const { Schema } = mongoose;
+
+/**
+ * CommissionStatement Model
+ * A salesman's commission for one calendar month under their commission plan. Drafts can be
+ * recalculated; locking a statement freezes it and posts the commission as payable.
+ */
+
+const earningSchema = new Schema({
+  invoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  invoiceNumber: String,
+  // Collections plans - receipt the amount came in on
+  receiptNumber: String,
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+  },
+  // Invoiced or collected amount the commission is paid on
+  baseAmount: {
+    type: Number,
+    default: 0,
+  },
+  commission: {
+    type: Number,
+    default: 0,
+  },
+  // Set when the amount earned nothing, e.g. the customer's account is overdue
+  excludedReason: String,
+}, { _id: false });
+
+const deductionSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['return', 'late_collection'],
+    required: true,
+  },
+  invoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  invoiceNumber: String,
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  notes: String,
+}, { _id: false });
+
+const commissionStatementSchema = new Schema({
+  statementNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  salesmanId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Salesman',
+    required: [true, 'Salesman is required'],
+  },
+  planId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CommissionPlan',
+  },
+  // Plan name at the time of calculation; salesmen without a plan are paid their flat rate
+  planName: String,
+  basis: String,
+  period: {
+    year: {
+      type: Number,
+      required: [true, 'Year is required'],
+    },
+    month: {
+      type: Number,
+      required: [true, 'Month is required'],
+      min: [1, 'Month must be between 1 and 12'],
+      max: [12, 'Month must be between 1 and 12'],
+    },
+    startDate: Date,
+    endDate: Date,
+  },
+  target: {
+    type: Number,
+    default: 0,
+  },
+  netSales: {
+    type: Number,
+    default: 0,
+  },
+  achievementPercent: Number,
+  payoutPercent: {
+    type: Number,
+    default: 100,
+  },
+  earnings: [earningSchema],
+  deductions: [deductionSchema],
+  totals: {
+    grossCommission: { type: Number, default: 0 },
+    returnDeductions: { type: Number, default: 0 },
+    slabAdjustment: { type: Number, default: 0 },
+    lateCollectionDeductions: { type: Number, default: 0 },
+    netCommission: { type: Number, default: 0 },
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(COMMISSION_STATEMENT_STATUS),
+      message: `Status must be one of: ${Object.values(COMMISSION_STATEMENT_STATUS).join(', ')}`,
+    },
+    default: COMMISSION_STATEMENT_STATUS.DRAFT,
+  },
+  calculatedAt: Date,
+  lockedAt: Date,
+  lockedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+commissionStatementSchema.index({ salesmanId: 1, 'period.year': 1, 'period.month': 1 }, { unique: true });
+commissionStatementSchema.index({ status: 1, 'period.year': -1, 'period.month': -1 });
+
+module.exports = mongoose.model('CommissionStatement', commissionStatementSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { VALUATION_METHODS } = require('../constants/valuationMethods');
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -40,6 +41,14 @@ const companySchema = new mongoose.Schema({
     uppercase: true,
     maxlength: [15, 'GSTIN cannot exceed 15 characters']
   },
+  // Costs the company's items; the INVENTORY_VALUATION_METHOD setting when not set
+  inventoryValuationMethod: {
+    type: String,
+    enum: {
+      values: Object.values(VALUATION_METHODS),
+      message: 'Inventory valuation method must be fifo or weighted_average'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true,
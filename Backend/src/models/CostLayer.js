@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * CostLayer Model
+ * A quantity of an item received at one unit cost. Purchases add layers and sales consume them,
+ * oldest first. Under weighted average costing every open layer of an item carries the item's
+ * moving average cost.
+ */
+const costLayerSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required'],
+  },
+  warehouseId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Warehouse',
+  },
+  batchId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Batch',
+  },
+  batchNumber: {
+    type: String,
+    trim: true,
+  },
+  sourceType: {
+    type: String,
+    required: [true, 'Source type is required'],
+    enum: {
+      values: ['purchase_invoice', 'opening_balance', 'adjustment'],
+      message: 'Source type must be one of: purchase_invoice, opening_balance, adjustment',
+    },
+  },
+  sourceId: {
+    type: Schema.Types.ObjectId,
+  },
+  sourceNumber: {
+    type: String,
+    trim: true,
+  },
+  receivedDate: {
+    type: Date,
+    required: [true, 'Received date is required'],
+    default: Date.now,
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative'],
+  },
+  remainingQuantity: {
+    type: Number,
+    required: [true, 'Remaining quantity is required'],
+    min: [0, 'Remaining quantity cannot be negative'],
+  },
+  // Cost the layer is carried at; revalued to the moving average under weighted average costing
+  unitCost: {
+    type: Number,
+    required: [true, 'Unit cost is required'],
+    min: [0, 'Unit cost cannot be negative'],
+  },
+  // Cost the layer was received at
+  originalUnitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative'],
+  },
+}, {
+  timestamps: true,
+});
+
+costLayerSchema.index({ itemId: 1, remainingQuantity: 1, receivedDate: 1 });
+costLayerSchema.index({ sourceType: 1, sourceId: 1 });
+costLayerSchema.index({ warehouseId: 1, itemId: 1 });
+
+module.exports = mongoose.model('CostLayer', costLayerSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Named sequence; each call to next() hands out the following number exactly once
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter name is required'],
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  versionKey: false,
+});
+
+/**
+ * Take the next number of a sequence, creating the sequence on first use
+ * @param {string} name - Sequence name (e.g. 'JV2026')
+ * @param {Object} [options] - Options
+ * @param {number} [options.floor] - Highest number already issued outside the counter; the sequence never goes below it
+ * @param {Object} [options.session] - Session of an enclosing transaction
+ * @returns {Promise<number>} Next number
+ */
+counterSchema.statics.next = async function (name, options = {}) {
+  const session = options.session || null;
+
+  if (options.floor) {
+    await this.updateOne({ _id: name }, { $max: { seq: options.floor } }, { upsert: true, session });
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { CREDIT_STATUS } = require('../constants/creditControl');
 
 const customerSchema = new mongoose.Schema({
   code: {
@@ -143,6 +145,62 @@ const customerSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Due invoice quantity cannot be negative'],
   },
+  // Credit policy assessment, recomputed nightly; a credit manager's override takes precedence until it expires
+  creditControl: {
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(CREDIT_STATUS),
+        message: `Credit status must be one of: ${Object.values(CREDIT_STATUS).join(', ')}`,
+      },
+      default: CREDIT_STATUS.ACTIVE,
+    },
+    score: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100,
+    },
+    reasons: [String],
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    overdueAmount: {
+      type: Number,
+      default: 0,
+    },
+    oldestOverdueDays: {
+      type: Number,
+      default: 0,
+    },
+    bouncedCheques: {
+      type: Number,
+      default: 0,
+    },
+    evaluatedAt: Date,
+    override: {
+      status: {
+        type: String,
+        enum: {
+          values: [...Object.values(CREDIT_STATUS), null],
+          message: `Override status must be one of: ${Object.values(CREDIT_STATUS).join(', ')}`,
+        },
+        default: null,
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Override reason cannot exceed 500 characters'],
+      },
+      expiresAt: Date,
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      overriddenAt: Date,
+    },
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -159,6 +217,7 @@ customerSchema.index({ 'contactInfo.city': 1 });
 customerSchema.index({ 'contactInfo.town': 1 });
 customerSchema.index({ 'financialInfo.creditLimit': 1 });
 customerSchema.index({ dueInvoiceQty: 1 });
+customerSchema.index({ 'creditControl.status': 1 });
 customerSchema.index({ name: 'text', code: 'text', 'contactInfo.phone': 'text', 'contactInfo.email': 'text' });
 customerSchema.index({ code: 1, name: 1, isActive: 1 });
 
@@ -229,4 +288,7 @@ customerSchema.pre('save', async function (next) {
   next();
 });
 
+// Audit trail of credit limit, terms and tax registration changes, and credit status overrides
+customerSchema.plugin(auditTrail, { entityType: 'Customer', paths: ['financialInfo', 'creditControl.override'] });
+
 module.exports = mongoose.model('Customer', customerSchema);
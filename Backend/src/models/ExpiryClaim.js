@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const {
+  EXPIRY_CLAIM_STATUS,
+  EXPIRY_CLAIM_SETTLEMENT_METHODS,
+} = require('../constants/expiryClaimStatus');
+
+const { Schema } = mongoose;
+
+/**
+ * ExpiryClaim Model
+ * Credit owed by a supplier for short-dated or expired batches sent back on a purchase return.
+ * The claim stays open until the supplier's credit notes, cash or replacement stock cover it,
+ * or the supplier refuses it.
+ */
+
+const claimLineSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required'],
+  },
+  batchId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Batch',
+  },
+  batchNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  expiryDate: {
+    type: Date,
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.01, 'Quantity must be greater than 0'],
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative'],
+  },
+}, { _id: false });
+
+const settlementSchema = new Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Settlement amount is required'],
+    min: [0.01, 'Settlement amount must be greater than 0'],
+  },
+  method: {
+    type: String,
+    required: [true, 'Settlement method is required'],
+    enum: {
+      values: Object.values(EXPIRY_CLAIM_SETTLEMENT_METHODS),
+      message: `Settlement method must be one of: ${Object.values(EXPIRY_CLAIM_SETTLEMENT_METHODS).join(', ')}`,
+    },
+  },
+  // Supplier's credit note or payment reference
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+  settledAt: {
+    type: Date,
+    default: Date.now,
+  },
+  settledBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+const expiryClaimSchema = new Schema({
+  claimNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  supplierId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required'],
+  },
+  // Purchase return the stock went back on, and the purchase it was bought on
+  returnInvoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Return invoice is required'],
+  },
+  originalInvoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  lines: [claimLineSchema],
+  claimAmount: {
+    type: Number,
+    required: [true, 'Claim amount is required'],
+    min: [0, 'Claim amount cannot be negative'],
+  },
+  settledAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Settled amount cannot be negative'],
+  },
+  settlements: [settlementSchema],
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(EXPIRY_CLAIM_STATUS),
+      message: `Status must be one of: ${Object.values(EXPIRY_CLAIM_STATUS).join(', ')}`,
+    },
+    default: EXPIRY_CLAIM_STATUS.OPEN,
+  },
+  rejectedAt: Date,
+  rejectedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters'],
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+expiryClaimSchema.index({ supplierId: 1, status: 1, createdAt: -1 });
+expiryClaimSchema.index({ returnInvoiceId: 1 });
+
+// Credit still to come from the supplier
+expiryClaimSchema.virtual('outstandingAmount').get(function () {
+  return Math.max(0, Math.round((this.claimAmount - this.settledAmount) * 100) / 100);
+});
+
+// Static method to generate next claim number
+expiryClaimSchema.statics.generateClaimNumber = async function () {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    claimNumber: new RegExp(`^EXC${year}`),
+  });
+  return `EXC${year}${String(count + 1).padStart(6, '0')}`;
+};
+
+// Pre-save middleware to generate claim number
+expiryClaimSchema.pre('save', async function (next) {
+  if (!this.claimNumber && this.isNew) {
+    this.claimNumber = await this.constructor.generateClaimNumber();
+  }
+  next();
+});
+
+module.exports = mongoose.model('ExpiryClaim', expiryClaimSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const accountingPeriodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Period name is required'],
+    trim: true,
+  },
+  periodNumber: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12,
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Period start date is required'],
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Period end date is required'],
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['open', 'closed'],
+      message: 'Period status must be either open or closed',
+    },
+    default: 'open',
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+const periodAuditSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['close_period', 'reopen_period', 'close_year'],
+  },
+  periodName: {
+    type: String,
+    trim: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+const fiscalYearSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Fiscal year name is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Fiscal year name cannot exceed 20 characters'],
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['open', 'closed'],
+      message: 'Fiscal year status must be either open or closed',
+    },
+    default: 'open',
+  },
+  periods: [accountingPeriodSchema],
+  retainedEarningsAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+  },
+  // Journal voucher that moved revenue and expense balances to retained earnings
+  closingVoucherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher',
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Append-only record of closes and reopens
+  auditLog: [periodAuditSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+fiscalYearSchema.index({ startDate: 1, endDate: 1 });
+
+// Instance method to find the period containing a date
+fiscalYearSchema.methods.findPeriodForDate = function (date) {
+  const time = new Date(date).getTime();
+  return this.periods.find(period => period.startDate.getTime() <= time && period.endDate.getTime() >= time);
+};
+
+// Static method to find the fiscal year containing a date
+fiscalYearSchema.statics.findByDate = function (date) {
+  const when = new Date(date);
+  return this.findOne({
+    startDate: { $lte: when },
+    endDate: { $gte: when },
+  });
+};
+
+module.exports = mongoose.model('FiscalYear', fiscalYearSchema);
@@ -43,6 +43,13 @@ const inventorySchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Reorder point cannot be negative'],
   },
+  // Area of the warehouse the stock is kept in (aisle, rack, cold room), used to scope stock takes
+  section: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Section cannot exceed 50 characters'],
+  },
+  // Set when a stock take counting the item in this warehouse is posted
   lastCounted: {
     type: Date,
   },
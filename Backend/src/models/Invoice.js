@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { ORDER_SOURCES } = require('../constants/customerPortal');
 
 const invoiceItemSchema = new mongoose.Schema({
   itemId: {
@@ -45,11 +47,72 @@ const invoiceItemSchema = new mongoose.Schema({
       type: Date,
     },
   },
+  // FEFO batch allocation - one entry per batch the line was picked from
+  batchAllocations: [{
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Batch',
+    },
+    batchNumber: {
+      type: String,
+      trim: true,
+    },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+    },
+    expiryDate: {
+      type: Date,
+    },
+    manufacturingDate: {
+      type: Date,
+    },
+    quantity: {
+      type: Number,
+      min: [0, 'Allocated quantity cannot be negative'],
+    },
+    _id: false,
+  }],
+  // Sales invoices - cost of the quantity sold, drawn from cost layers on confirmation
+  costOfGoods: {
+    unitCost: {
+      type: Number,
+      min: [0, 'Unit cost cannot be negative'],
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Cost amount cannot be negative'],
+    },
+    layers: [{
+      layerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CostLayer',
+      },
+      quantity: {
+        type: Number,
+        min: [0, 'Costed quantity cannot be negative'],
+      },
+      unitCost: {
+        type: Number,
+        min: [0, 'Unit cost cannot be negative'],
+      },
+      _id: false,
+    }],
+  },
   // Phase 2 - Warehouse tracking (Requirement 3)
   warehouseId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Warehouse',
   },
+  // Sales invoices - customer price list the line was priced from, and its price at the time
+  priceListId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceList',
+  },
+  listPrice: {
+    type: Number,
+    min: [0, 'List price cannot be negative'],
+  },
   // Phase 2 - Box/Unit quantities (Requirement 12)
   boxQuantity: {
     type: Number,
@@ -209,6 +272,20 @@ const invoiceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Salesman',
   },
+  // Order requests customers place on the portal arrive as drafts for their salesman to confirm
+  orderSource: {
+    type: String,
+    enum: {
+      values: Object.values(ORDER_SOURCES),
+      message: `Order source must be one of: ${Object.values(ORDER_SOURCES).join(', ')}`,
+    },
+    default: ORDER_SOURCES.STAFF,
+  },
+  portalUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerPortalUser',
+    default: null,
+  },
   poNumber: {
     type: String,
     trim: true,
@@ -445,16 +522,44 @@ const invoiceSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Due amount cannot be negative'],
     },
+    // Sales invoices - cost of the stock sold, set on confirmation
+    costOfGoodsSold: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cost of goods sold cannot be negative'],
+    },
   },
   status: {
     type: String,
     required: [true, 'Status is required'],
     enum: {
-      values: ['draft', 'confirmed', 'paid', 'cancelled'],
-      message: 'Status must be one of: draft, confirmed, paid, cancelled',
+      values: ['draft', 'pending_approval', 'confirmed', 'paid', 'cancelled'],
+      message: 'Status must be one of: draft, pending_approval, confirmed, paid, cancelled',
     },
     default: 'draft',
   },
+  // Latest approval request raised for this invoice (see approvalService)
+  approval: {
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApprovalRequest',
+    },
+    action: {
+      type: String,
+      enum: ['confirm', 'cancel'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: {
+      type: Date,
+    },
+  },
   paymentStatus: {
     type: String,
     required: [true, 'Payment status is required'],
@@ -490,6 +595,7 @@ invoiceSchema.index({ originalInvoiceId: 1 });
 invoiceSchema.index({ supplierBillNo: 1, supplierId: 1 });
 invoiceSchema.index({ dimension: 1 });
 invoiceSchema.index({ salesmanId: 1 });
+invoiceSchema.index({ orderSource: 1, status: 1 });
 invoiceSchema.index({ poId: 1 });
 invoiceSchema.index({ expiryDate: 1 });
 
@@ -628,6 +734,7 @@ invoiceSchema.methods.calculateTotals = async function () {
     incomeTaxTotal: existingTotals.incomeTaxTotal || 0,
     paidAmount: existingTotals.paidAmount || 0,
     dueAmount: (subtotal - totalDiscount - to1Amount - to2Amount + totalTax) - (existingTotals.paidAmount || 0),
+    costOfGoodsSold: existingTotals.costOfGoodsSold || 0,
   };
 
   return this.totals;
@@ -681,9 +788,17 @@ invoiceSchema.statics.findByDateRange = function (startDate, endDate) {
   });
 };
 
+// Invoice number prefix per invoice type; returns get their own series
+const INVOICE_NUMBER_PREFIXES = {
+  sales: 'SI',
+  purchase: 'PI',
+  return_sales: 'SR',
+  return_purchase: 'PR',
+};
+
 // Static method to generate next invoice number
 invoiceSchema.statics.generateInvoiceNumber = async function (type) {
-  const prefix = type === 'sales' ? 'SI' : 'PI';
+  const prefix = INVOICE_NUMBER_PREFIXES[type] || 'PI';
   const year = new Date().getFullYear();
   const count = await this.countDocuments({
     type,
@@ -841,4 +956,7 @@ invoiceSchema.pre('save', async function (next) {
   }
 });
 
+// Audit trail of every change
+invoiceSchema.plugin(auditTrail, { entityType: 'Invoice' });
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const itemSchema = new mongoose.Schema({
   code: {
@@ -74,6 +75,12 @@ const itemSchema = new mongoose.Schema({
       maxlength: [50, 'Tax category cannot exceed 50 characters'],
       default: 'standard',
     },
+    // Pakistan Customs Tariff heading reported on FBR sales tax annexures (e.g. 3004.9099)
+    hsCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}(\.\d{2,4})?$/, 'HS code must be a 4-digit heading, optionally followed by a dot and 2-4 digits'],
+    },
   },
   inventory: {
     currentStock: {
@@ -122,6 +129,16 @@ const itemSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Company the item is stocked under; its inventory valuation method costs the item
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+  },
+  // Supplier reorder suggestions are raised with; defaults to the last supplier invoiced
+  preferredSupplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+  },
   // Phase 2 - Warranty Management (Requirement 32 - Task 76.5)
   defaultWarrantyMonths: {
     type: Number,
@@ -276,4 +293,7 @@ itemSchema.pre('save', function (next) {
   next();
 });
 
+// Audit trail of price changes
+itemSchema.plugin(auditTrail, { entityType: 'Item', paths: ['pricing'] });
+
 module.exports = mongoose.model('Item', itemSchema);
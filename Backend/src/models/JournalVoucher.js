@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const journalVoucherLineSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Account ID is required'],
+    refPath: 'lines.accountType',
+  },
+  accountType: {
+    type: String,
+    required: [true, 'Account type is required'],
+    enum: {
+      values: ['Customer', 'Supplier', 'User', 'Account'],
+      message: 'Account type must be one of: Customer, Supplier, User, Account',
+    },
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Debit cannot be negative'],
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit cannot be negative'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Line description cannot exceed 500 characters'],
+  },
+}, {
+  _id: true,
+});
+
+const journalVoucherSchema = new mongoose.Schema({
+  voucherNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+    uppercase: true,
+  },
+  voucherDate: {
+    type: Date,
+    required: [true, 'Voucher date is required'],
+    default: Date.now,
+  },
+  voucherType: {
+    type: String,
+    enum: {
+      values: ['general', 'accrual', 'correction', 'opening_balance', 'reversal', 'closing'],
+      message: 'Voucher type must be one of: general, accrual, correction, opening_balance, reversal, closing',
+    },
+    default: 'general',
+  },
+  narration: {
+    type: String,
+    required: [true, 'Narration is required'],
+    trim: true,
+    maxlength: [500, 'Narration cannot exceed 500 characters'],
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'],
+  },
+  lines: {
+    type: [journalVoucherLineSchema],
+    validate: {
+      validator(lines) {
+        return lines.length >= 2;
+      },
+      message: 'A journal voucher needs at least two lines',
+    },
+  },
+  totals: {
+    debit: {
+      type: Number,
+      default: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+    },
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'posted', 'reversed'],
+      message: 'Status must be one of: draft, posted, reversed',
+    },
+    default: 'draft',
+  },
+  postedAt: Date,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reversedAt: Date,
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reversalReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reversal reason cannot exceed 500 characters'],
+  },
+  // Voucher that reversed this one / voucher this one reverses
+  reversedByVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher',
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalVoucher',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required'],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+journalVoucherSchema.index({ voucherDate: -1 });
+journalVoucherSchema.index({ status: 1 });
+journalVoucherSchema.index({ 'lines.accountId': 1 });
+
+// Virtual for balance check (compared in paisa to avoid floating point drift)
+journalVoucherSchema.virtual('isBalanced').get(function () {
+  return Math.round(this.totals.debit * 100) === Math.round(this.totals.credit * 100);
+});
+
+// Static method to generate next voucher number
+// Numbers come from a counter so deleted drafts and concurrent creates never reuse one;
+// the highest number already on file keeps the counter ahead of vouchers numbered before it existed
+journalVoucherSchema.statics.generateVoucherNumber = async function (options = {}) {
+  const prefix = `JV${new Date().getFullYear()}`;
+  const latest = await this.findOne({ voucherNumber: new RegExp(`^${prefix}`) })
+    .sort({ voucherNumber: -1 })
+    .select('voucherNumber')
+    .session(options.session || null);
+  const floor = latest ? parseInt(latest.voucherNumber.slice(prefix.length), 10) || 0 : 0;
+
+  const seq = await Counter.next(prefix, { floor, session: options.session });
+  return `${prefix}${String(seq).padStart(6, '0')}`;
+};
+
+// Pre-save middleware to generate voucher number and recalculate totals
+journalVoucherSchema.pre('save', async function (next) {
+  if (!this.voucherNumber && this.isNew) {
+    this.voucherNumber = await this.constructor.generateVoucherNumber({ session: this.$session() });
+  }
+
+  this.totals.debit = this.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  this.totals.credit = this.lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+
+  next();
+});
+
+module.exports = mongoose.model('JournalVoucher', journalVoucherSchema);
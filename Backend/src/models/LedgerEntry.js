@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const ledgerEntrySchema = new mongoose.Schema({
   accountId: {
@@ -37,14 +38,18 @@ const ledgerEntrySchema = new mongoose.Schema({
     type: String,
     required: [true, 'Reference type is required'],
     enum: {
-      values: ['invoice', 'payment', 'adjustment', 'opening_balance', 'cash_receipt', 'cash_payment'],
-      message: 'Reference type must be one of: invoice, payment, adjustment, opening_balance, cash_receipt, cash_payment',
+      values: [
+        'invoice', 'invoice_adjustment', 'payment', 'adjustment', 'opening_balance', 'cash_receipt', 'cash_payment', 'journal',
+      ],
+      message: 'Reference type must be one of: invoice, invoice_adjustment, payment, adjustment, opening_balance, '
+        + 'cash_receipt, cash_payment, journal',
     },
   },
   referenceId: {
     type: mongoose.Schema.Types.ObjectId,
     required() {
-      return ['invoice', 'payment', 'cash_receipt', 'cash_payment'].includes(this.referenceType);
+      return ['invoice', 'invoice_adjustment', 'payment', 'cash_receipt', 'cash_payment', 'journal']
+        .includes(this.referenceType);
     },
   },
   transactionDate: {
@@ -96,11 +101,13 @@ ledgerEntrySchema.virtual('signedAmount').get(function () {
 ledgerEntrySchema.methods.getTransactionDescription = function () {
   const descriptions = {
     invoice: 'Invoice transaction',
+    invoice_adjustment: 'Invoice trade offer adjustment',
     payment: 'Payment received/made',
     adjustment: 'Account adjustment',
     opening_balance: 'Opening balance',
     cash_receipt: 'Cash receipt',
     cash_payment: 'Cash payment',
+    journal: 'Journal voucher',
   };
 
   return descriptions[this.referenceType] || 'Unknown transaction';
@@ -257,4 +264,7 @@ ledgerEntrySchema.pre('save', function (next) {
   next();
 });
 
+// Audit trail of every change
+ledgerEntrySchema.plugin(auditTrail, { entityType: 'LedgerEntry' });
+
 module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-app notification for a user
+ */
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: [
+        'approval_requested', 'approval_decided', 'transfer_discrepancy',
+        'cheque_maturing', 'cheque_bounced', 'credit_hold', 'portal_order',
+      ],
+      message: 'Notification type must be one of: approval_requested, approval_decided, transfer_discrepancy, '
+        + 'cheque_maturing, cheque_bounced, credit_hold, portal_order',
+    },
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters'],
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters'],
+  },
+  referenceType: {
+    type: String,
+    trim: true,
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  isRead: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * PriceList Model
+ * Named, dated sales prices for customer types, routes or individual customers, e.g. a hospital's
+ * contracted rates. Sales invoice lines take their price from the most specific list that applies:
+ * customer over route over customer type, then the higher priority.
+ */
+
+const priceListItemSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required'],
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative'],
+  },
+  // Lowest unit price a salesman may sell at under this list
+  minPrice: {
+    type: Number,
+    min: [0, 'Minimum price cannot be negative'],
+  },
+  // Most combined discount (percent) allowed on the line
+  maxDiscountPercent: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    max: [100, 'Maximum discount cannot exceed 100%'],
+  },
+}, { _id: false });
+
+const priceListSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Price list name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+  },
+  validFrom: {
+    type: Date,
+    required: [true, 'Valid from date is required'],
+  },
+  // Open-ended when not set
+  validTo: {
+    type: Date,
+    default: null,
+  },
+  // Breaks ties between lists at the same level of assignment; higher wins
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  // Matches Customer.type
+  customerTypes: [{
+    type: String,
+    trim: true,
+  }],
+  routeIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Route',
+  }],
+  customerIds: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+  }],
+  items: [priceListItemSchema],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+priceListSchema.index({ isActive: 1, validFrom: 1, validTo: 1 });
+priceListSchema.index({ customerIds: 1 });
+priceListSchema.index({ routeIds: 1 });
+priceListSchema.index({ customerTypes: 1 });
+priceListSchema.index({ 'items.itemId': 1 });
+
+module.exports = mongoose.model('PriceList', priceListSchema);
@@ -60,6 +60,11 @@ const purchaseOrderSchema = new mongoose.Schema(
       required: [true, 'PO date is required'],
       default: Date.now,
     },
+    // Warehouse the goods are ordered for
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+    },
     status: {
       type: String,
       required: true,
@@ -134,6 +139,15 @@ purchaseOrderSchema.index({ poDate: 1 });
 purchaseOrderSchema.index({ isDeleted: 1 });
 purchaseOrderSchema.index({ createdAt: -1 });
 
+// Static method to generate next PO number
+purchaseOrderSchema.statics.generatePONumber = async function () {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    poNumber: new RegExp(`^PO${year}`),
+  });
+  return `PO${year}${String(count + 1).padStart(6, '0')}`;
+};
+
 // Pre-save middleware to calculate pending quantities
 purchaseOrderSchema.pre('save', function (next) {
   if (this.items && this.items.length > 0) {
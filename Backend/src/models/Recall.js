@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+/**
+ * Recall Model
+ * A product recall raised against a batch number or supplier lot (e.g. DRAP recall notices).
+ * Keeps the batches it covers, their status before quarantine and the return requests
+ * issued to customers who received units.
+ */
+
+const recalledBatchSchema = new Schema(
+  {
+    batch: {
+      type: Schema.Types.ObjectId,
+      ref: 'Batch',
+      required: true,
+    },
+    batchNumber: {
+      type: String,
+      trim: true,
+    },
+    warehouse: {
+      type: Schema.Types.ObjectId,
+      ref: 'Warehouse',
+    },
+    // Status the batch had before it was quarantined, restored when the recall is closed
+    previousStatus: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const returnRequestInvoiceSchema = new Schema(
+  {
+    invoice: {
+      type: Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true,
+    },
+    invoiceNumber: {
+      type: String,
+      trim: true,
+    },
+    invoiceDate: {
+      type: Date,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const returnRequestSchema = new Schema({
+  requestNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+  },
+  invoices: [returnRequestInvoiceSchema],
+  totalQuantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'collected', 'cancelled'],
+      message: 'Return request status must be one of: pending, collected, cancelled',
+    },
+    default: 'pending',
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const recallSchema = new Schema(
+  {
+    recallNumber: {
+      type: String,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    batchNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    supplierLotNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
+    item: {
+      type: Schema.Types.ObjectId,
+      ref: 'Item',
+    },
+    supplier: {
+      type: Schema.Types.ObjectId,
+      ref: 'Supplier',
+    },
+    reason: {
+      type: String,
+      required: [true, 'Recall reason is required'],
+      trim: true,
+      maxlength: [500, 'Recall reason cannot exceed 500 characters'],
+    },
+    // Reference of the regulator's recall notice, e.g. the DRAP letter number
+    authorityReference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Authority reference cannot exceed 100 characters'],
+    },
+    batches: [recalledBatchSchema],
+    status: {
+      type: String,
+      enum: {
+        values: ['open', 'quarantined', 'closed'],
+        message: 'Recall status must be one of: open, quarantined, closed',
+      },
+      default: 'open',
+      index: true,
+    },
+    returnRequests: [returnRequestSchema],
+    quarantinedAt: Date,
+    quarantinedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    closedAt: Date,
+    closedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user is required'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recallSchema.index({ 'batches.batch': 1, status: 1 });
+
+// Static method to generate next recall number
+recallSchema.statics.generateRecallNumber = async function () {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    recallNumber: new RegExp(`^RCL${year}`),
+  });
+  return `RCL${year}${String(count + 1).padStart(4, '0')}`;
+};
+
+// Pre-save middleware to generate recall number
+recallSchema.pre('save', async function (next) {
+  if (!this.recallNumber && this.isNew) {
+    this.recallNumber = await this.constructor.generateRecallNumber();
+  }
+  next();
+});
+
+module.exports = mongoose.model('Recall', recallSchema);
@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 
+/**
+ * Recovery Summary Invoice Schema
+ * An unpaid sales invoice making up an account's balance
+ */
+const recoverySummaryInvoiceSchema = new mongoose.Schema({
+    invoiceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        required: [true, 'Invoice ID is required']
+    },
+    invoiceNumber: {
+        type: String,
+        trim: true
+    },
+    invoiceDate: {
+        type: Date
+    },
+    dueAmount: {
+        type: Number,
+        min: [0, 'Due amount cannot be negative'],
+        default: 0
+    },
+    recoveredAmount: {
+        type: Number,
+        min: [0, 'Recovered amount cannot be negative'],
+        default: 0
+    }
+}, { _id: false });
+
 /**
  * Recovery Summary Account Schema
  * Represents individual account recovery details within a summary
@@ -27,6 +56,13 @@ const recoverySummaryAccountSchema = new mongoose.Schema({
         required: [true, 'Recovery amount is required'],
         min: [0, 'Recovery amount cannot be negative'],
         default: 0
+    },
+    // Outstanding bills the balance is made of, on summaries generated from invoices
+    invoices: [recoverySummaryInvoiceSchema],
+    // Receipt the recovery was posted as
+    cashReceiptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashReceipt'
     }
 }, { _id: false });
 
@@ -88,6 +124,62 @@ const recoverySummarySchema = new mongoose.Schema(
             trim: true,
             maxlength: [500, 'Notes cannot exceed 500 characters']
         },
+        // Route the sheet was generated for
+        routeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Route'
+        },
+        // manual: keyed in by hand; generated: built from the route's unpaid invoices
+        source: {
+            type: String,
+            enum: {
+                values: ['manual', 'generated'],
+                message: 'Source must be one of: manual, generated'
+            },
+            default: 'manual'
+        },
+        // open -> posted (recoveries posted as cash receipts) -> reconciled (cash counted)
+        status: {
+            type: String,
+            enum: {
+                values: ['open', 'posted', 'reconciled'],
+                message: 'Status must be one of: open, posted, reconciled'
+            },
+            default: 'open',
+            index: true
+        },
+        postedAt: {
+            type: Date
+        },
+        postedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Cash the salesman handed over, against the receipts posted from the sheet
+        cashHandedOver: {
+            type: Number,
+            min: [0, 'Cash handed over cannot be negative']
+        },
+        receiptsTotal: {
+            type: Number,
+            default: 0
+        },
+        cashDifference: {
+            type: Number,
+            default: 0
+        },
+        hasCashDifference: {
+            type: Boolean,
+            default: false,
+            index: true
+        },
+        reconciledAt: {
+            type: Date
+        },
+        reconciledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Custom role defined by an admin on top of the built-in roles in config/permissions
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters'],
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, digits and underscores'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  permissions: [{
+    type: String,
+    trim: true,
+  }],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+roleSchema.index({ isActive: 1 });
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { TARGET_PERIOD_TYPES, TARGET_SCOPES } = require('../constants/salesTarget');
+
+const { Schema } = mongoose;
+
+/**
+ * SalesTarget Model
+ * A monthly or quarterly value and/or quantity target set on a salesman, route, item or
+ * manufacturer. Achievement is never stored; it is worked out from confirmed sales invoices
+ * net of returns whenever the target is read.
+ */
+
+const salesTargetSchema = new Schema({
+  periodType: {
+    type: String,
+    enum: {
+      values: Object.values(TARGET_PERIOD_TYPES),
+      message: `Period type must be one of: ${Object.values(TARGET_PERIOD_TYPES).join(', ')}`,
+    },
+    required: [true, 'Period type is required'],
+  },
+  year: {
+    type: Number,
+    required: [true, 'Year is required'],
+  },
+  // Monthly targets
+  month: {
+    type: Number,
+    min: [1, 'Month must be between 1 and 12'],
+    max: [12, 'Month must be between 1 and 12'],
+  },
+  // Quarterly targets
+  quarter: {
+    type: Number,
+    min: [1, 'Quarter must be between 1 and 4'],
+    max: [4, 'Quarter must be between 1 and 4'],
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+  scope: {
+    type: String,
+    enum: {
+      values: Object.values(TARGET_SCOPES),
+      message: `Scope must be one of: ${Object.values(TARGET_SCOPES).join(', ')}`,
+    },
+    required: [true, 'Scope is required'],
+  },
+  // Salesman targets, or the salesman an item/manufacturer target is narrowed to
+  salesmanId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Salesman',
+    default: null,
+  },
+  routeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Route',
+    default: null,
+  },
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    default: null,
+  },
+  // Matches Item.manufacturer
+  manufacturer: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  valueTarget: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value target cannot be negative'],
+  },
+  quantityTarget: {
+    type: Number,
+    default: 0,
+    min: [0, 'Quantity target cannot be negative'],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+salesTargetSchema.index({
+  scope: 1, salesmanId: 1, routeId: 1, itemId: 1, manufacturer: 1, startDate: 1, endDate: 1,
+}, { unique: true });
+salesTargetSchema.index({ startDate: 1, endDate: 1, isActive: 1 });
+salesTargetSchema.index({ salesmanId: 1, startDate: -1 });
+salesTargetSchema.index({ routeId: 1, startDate: -1 });
+
+module.exports = mongoose.model('SalesTarget', salesTargetSchema);
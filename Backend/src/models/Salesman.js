@@ -40,6 +40,18 @@ const salesmanSchema = new mongoose.Schema(
       min: [0, 'Commission rate cannot be negative'],
       max: [100, 'Commission rate cannot exceed 100%'],
     },
+    // Plan monthly commission statements are worked out under; without one the flat
+    // commissionRate is paid on sales
+    commissionPlanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionPlan',
+    },
+    // Monthly sales value the commission plan's target slabs are measured against
+    monthlySalesTarget: {
+      type: Number,
+      default: 0,
+      min: [0, 'Sales target cannot be negative'],
+    },
     routeId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Route',
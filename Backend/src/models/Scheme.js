@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const schemeSchema = new mongoose.Schema({
   name: {
@@ -205,6 +206,9 @@ schemeSchema.methods.qualifiesForScheme = function (quantity) {
   return true;
 };
 
+// Audit trail of every change
+schemeSchema.plugin(auditTrail, { entityType: 'Scheme' });
+
 const Scheme = mongoose.model('Scheme', schemeSchema);
 
 module.exports = Scheme;
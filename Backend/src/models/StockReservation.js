@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const {
+  STOCK_RESERVATION_STATUS,
+  STOCK_RESERVATION_SOURCES,
+} = require('../constants/stockReservationStatus');
+
+const { Schema } = mongoose;
+
+/**
+ * StockReservation Model
+ * Stock held in a warehouse (and batch, for batch-tracked items) for an estimate or an approved
+ * sales order until it is invoiced, cancelled or the hold runs out. Active reservations that have
+ * not yet expired reduce the stock other documents can sell.
+ */
+const stockReservationSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required'],
+  },
+  warehouseId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Warehouse is required'],
+  },
+  batchId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Batch',
+  },
+  batchNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.01, 'Quantity must be greater than 0'],
+  },
+  sourceType: {
+    type: String,
+    required: [true, 'Source type is required'],
+    enum: {
+      values: Object.values(STOCK_RESERVATION_SOURCES),
+      message: `Source type must be one of: ${Object.values(STOCK_RESERVATION_SOURCES).join(', ')}`,
+    },
+  },
+  // Sales invoice the stock is held for (an estimate or a draft sales order)
+  sourceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Source document is required'],
+  },
+  sourceNumber: {
+    type: String,
+    trim: true,
+  },
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(STOCK_RESERVATION_STATUS),
+      message: `Status must be one of: ${Object.values(STOCK_RESERVATION_STATUS).join(', ')}`,
+    },
+    default: STOCK_RESERVATION_STATUS.ACTIVE,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required'],
+  },
+  releasedAt: Date,
+  releasedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  releaseReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Release reason cannot exceed 500 characters'],
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+stockReservationSchema.index({ itemId: 1, status: 1, expiresAt: 1 });
+stockReservationSchema.index({ sourceId: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
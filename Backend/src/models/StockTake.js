@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const { STOCK_TAKE_STATUS, STOCK_TAKE_REASONS } = require('../constants/stockTakeStatus');
+
+const { Schema } = mongoose;
+
+/**
+ * StockTake Model
+ * A physical count of a warehouse, or of one section or category of it. Expected quantities
+ * are frozen by item and batch when the session opens; counters submit counted quantities and
+ * an approver posts the variances as stock adjustments in one go.
+ */
+
+const countSchema = new Schema({
+  // Device or counter the count came from; a later count from the same device replaces it
+  deviceId: {
+    type: String,
+    trim: true,
+    required: [true, 'Device ID is required'],
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Counted quantity is required'],
+    min: [0, 'Counted quantity cannot be negative'],
+  },
+  countedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  countedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const stockTakeLineSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required'],
+  },
+  batchId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Batch',
+  },
+  batchNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  expiryDate: {
+    type: Date,
+  },
+  // Quantity on the books when the session was opened
+  expectedQuantity: {
+    type: Number,
+    required: [true, 'Expected quantity is required'],
+    min: [0, 'Expected quantity cannot be negative'],
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unit cost cannot be negative'],
+  },
+  counts: [countSchema],
+  // Sum of the counts of every device; unset until the line is counted
+  countedQuantity: {
+    type: Number,
+    min: [0, 'Counted quantity cannot be negative'],
+  },
+  variance: {
+    type: Number,
+  },
+  // Stock found during the count that was not on the books
+  addedDuringCount: {
+    type: Boolean,
+    default: false,
+  },
+  reasonCode: {
+    type: String,
+    enum: {
+      values: Object.values(STOCK_TAKE_REASONS),
+      message: `Reason code must be one of: ${Object.values(STOCK_TAKE_REASONS).join(', ')}`,
+    },
+  },
+  reasonNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason notes cannot exceed 500 characters'],
+  },
+  // Cost of the posted variance; negative for losses
+  valueImpact: {
+    type: Number,
+  },
+});
+
+const stockTakeSchema = new Schema({
+  stockTakeNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  warehouse: {
+    type: Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Warehouse is required'],
+  },
+  // Optional scope within the warehouse
+  section: {
+    type: String,
+    trim: true,
+  },
+  category: {
+    type: String,
+    trim: true,
+  },
+  // 'cycle' sessions count a chosen list of items, usually from the cycle count schedule
+  countType: {
+    type: String,
+    enum: ['full', 'cycle'],
+    default: 'full',
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(STOCK_TAKE_STATUS),
+      message: `Status must be one of: ${Object.values(STOCK_TAKE_STATUS).join(', ')}`,
+    },
+    default: STOCK_TAKE_STATUS.COUNTING,
+  },
+  frozenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+  lines: [stockTakeLineSchema],
+  totals: {
+    gainQuantity: { type: Number, default: 0 },
+    lossQuantity: { type: Number, default: 0 },
+    gainValue: { type: Number, default: 0 },
+    lossValue: { type: Number, default: 0 },
+  },
+  completedAt: Date,
+  completedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  postedAt: Date,
+  postedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+stockTakeSchema.index({ warehouse: 1, status: 1, createdAt: -1 });
+stockTakeSchema.index({ 'lines.itemId': 1 });
+
+// Static method to generate next stock take number
+stockTakeSchema.statics.generateStockTakeNumber = async function () {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    stockTakeNumber: new RegExp(`^STK${year}`),
+  });
+  return `STK${year}${String(count + 1).padStart(6, '0')}`;
+};
+
+// Pre-save middleware to generate stock take number
+stockTakeSchema.pre('save', async function (next) {
+  if (!this.stockTakeNumber && this.isNew) {
+    this.stockTakeNumber = await this.constructor.generateStockTakeNumber();
+  }
+  next();
+});
+
+module.exports = mongoose.model('StockTake', stockTakeSchema);
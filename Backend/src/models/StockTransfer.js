@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { TRANSFER_STATUS } = require('../constants/transferStatus');
+
+const { Schema } = mongoose;
+
+/**
+ * StockTransfer Model
+ * A warehouse-to-warehouse transfer document. Stock leaves the source warehouse on dispatch,
+ * is held in the in-transit warehouse and reaches the destination only when the receiving
+ * warehouse confirms the quantities it actually received.
+ */
+
+const transferLineSchema = new Schema({
+  itemId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required'],
+  },
+  batchNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  // Quantity sent by the source warehouse
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.0001, 'Quantity must be greater than 0'],
+  },
+  // Taken from the source batch on dispatch and carried to the destination batch on receipt
+  expiryDate: {
+    type: Date,
+  },
+  manufacturingDate: {
+    type: Date,
+  },
+  unitCost: {
+    type: Number,
+    min: 0,
+  },
+  // Quantity received in good condition and credited to the destination
+  receivedQuantity: {
+    type: Number,
+    min: [0, 'Received quantity cannot be negative'],
+  },
+  damagedQuantity: {
+    type: Number,
+    min: [0, 'Damaged quantity cannot be negative'],
+  },
+  // Sent but neither received nor reported damaged
+  shortQuantity: {
+    type: Number,
+    min: 0,
+  },
+  receiptNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Receipt notes cannot exceed 500 characters'],
+  },
+});
+
+const stockTransferSchema = new Schema({
+  transferNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  fromWarehouse: {
+    type: Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Source warehouse is required'],
+  },
+  toWarehouse: {
+    type: Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Destination warehouse is required'],
+  },
+  transferDate: {
+    type: Date,
+    default: Date.now,
+  },
+  referenceNumber: {
+    type: String,
+    trim: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+  items: {
+    type: [transferLineSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A transfer needs at least one item',
+    },
+  },
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(TRANSFER_STATUS),
+      message: `Status must be one of: ${Object.values(TRANSFER_STATUS).join(', ')}`,
+    },
+    default: TRANSFER_STATUS.PENDING,
+  },
+  dispatchedAt: Date,
+  dispatchedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  receivedAt: Date,
+  receivedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters'],
+  },
+  // Raised when a receipt is short or damaged
+  discrepancy: {
+    status: {
+      type: String,
+      enum: ['open', 'resolved'],
+    },
+    shortQuantity: {
+      type: Number,
+      min: 0,
+    },
+    damagedQuantity: {
+      type: Number,
+      min: 0,
+    },
+    resolution: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Resolution cannot exceed 500 characters'],
+    },
+    resolvedAt: Date,
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+stockTransferSchema.index({ fromWarehouse: 1, status: 1, transferDate: -1 });
+stockTransferSchema.index({ toWarehouse: 1, status: 1, transferDate: -1 });
+stockTransferSchema.index({ 'discrepancy.status': 1 });
+stockTransferSchema.index({ 'items.itemId': 1 });
+
+// Static method to generate next transfer number
+stockTransferSchema.statics.generateTransferNumber = async function () {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    transferNumber: new RegExp(`^TRF${year}`),
+  });
+  return `TRF${year}${String(count + 1).padStart(6, '0')}`;
+};
+
+// Pre-save middleware to generate transfer number
+stockTransferSchema.pre('save', async function (next) {
+  if (!this.transferNumber && this.isNew) {
+    this.transferNumber = await this.constructor.generateTransferNumber();
+  }
+  next();
+});
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
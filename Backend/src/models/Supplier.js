@@ -132,6 +132,33 @@ const supplierSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Route cannot exceed 100 characters'],
   },
+  // Days from placing an order to receiving it, used by reorder suggestions
+  leadTimeDays: {
+    type: Number,
+    default: 7,
+    min: [0, 'Lead time cannot be negative'],
+    max: [365, 'Lead time cannot exceed 365 days'],
+  },
+  // Which short-dated stock the supplier takes back for credit: batches from
+  // daysBeforeExpiry before their expiry date until daysAfterExpiry after it
+  expiryReturnPolicy: {
+    acceptsReturns: {
+      type: Boolean,
+      default: false,
+    },
+    daysBeforeExpiry: {
+      type: Number,
+      default: 90,
+      min: [0, 'Days before expiry cannot be negative'],
+      max: [730, 'Days before expiry cannot exceed 730 days'],
+    },
+    daysAfterExpiry: {
+      type: Number,
+      default: 0,
+      min: [0, 'Days after expiry cannot be negative'],
+      max: [365, 'Days after expiry cannot exceed 365 days'],
+    },
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -24,13 +24,24 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Password is required'],
       minlength: [6, 'Password must be at least 6 characters long'],
     },
+    // Built-in role (admin, sales, purchase, inventory, accountant, data_entry) or a custom Role name;
+    // validated against both by userService
     role: {
       type: String,
       required: [true, 'Role is required'],
-      enum: {
-        values: ['admin', 'sales', 'purchase', 'inventory', 'accountant', 'data_entry'],
-        message: 'Role must be one of: admin, sales, purchase, inventory, accountant, data_entry',
-      },
+      trim: true,
+      lowercase: true,
+    },
+    // Per-user exceptions to the role's permissions
+    permissionOverrides: {
+      granted: [{
+        type: String,
+        trim: true,
+      }],
+      revoked: [{
+        type: String,
+        trim: true,
+      }],
     },
     isActive: {
       type: Boolean,
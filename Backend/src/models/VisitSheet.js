@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const {
+  VISIT_SHEET_STATUS,
+  VISIT_OUTCOMES,
+  NO_ORDER_REASONS,
+} = require('../constants/routePlanning');
+
+const { Schema } = mongoose;
+
+/**
+ * VisitSheet Model
+ * A salesman's calls for one day on one route, generated from the weekday's beat plan. Each
+ * visit carries the shop's outstanding bills at the time the sheet was generated and, once the
+ * shop is called on, the outcome of the visit.
+ */
+
+const dueInvoiceSchema = new Schema({
+  invoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  invoiceNumber: String,
+  invoiceDate: Date,
+  dueDate: Date,
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  daysOverdue: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
+const visitSchema = new Schema({
+  customerId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required'],
+  },
+  sequence: Number,
+  dueAmount: {
+    type: Number,
+    default: 0,
+  },
+  overdueAmount: {
+    type: Number,
+    default: 0,
+  },
+  dueInvoices: [dueInvoiceSchema],
+  outcome: {
+    type: String,
+    enum: {
+      values: Object.values(VISIT_OUTCOMES),
+      message: `Outcome must be one of: ${Object.values(VISIT_OUTCOMES).join(', ')}`,
+    },
+    default: VISIT_OUTCOMES.PENDING,
+  },
+  noOrderReason: {
+    type: String,
+    enum: {
+      values: [...Object.values(NO_ORDER_REASONS), null],
+      message: `No order reason must be one of: ${Object.values(NO_ORDER_REASONS).join(', ')}`,
+    },
+    default: null,
+  },
+  // Sales invoice booked on the visit
+  orderInvoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  collectedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Collected amount cannot be negative'],
+  },
+  cashReceiptId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CashReceipt',
+  },
+  visitedAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+  },
+}, { _id: false });
+
+const visitSheetSchema = new Schema({
+  sheetNumber: {
+    type: String,
+    unique: true,
+    trim: true,
+  },
+  visitDate: {
+    type: Date,
+    required: [true, 'Visit date is required'],
+  },
+  salesmanId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Salesman',
+    required: [true, 'Salesman is required'],
+  },
+  routeId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required'],
+  },
+  beatPlanId: {
+    type: Schema.Types.ObjectId,
+    ref: 'BeatPlan',
+  },
+  visits: [visitSchema],
+  status: {
+    type: String,
+    enum: {
+      values: Object.values(VISIT_SHEET_STATUS),
+      message: `Status must be one of: ${Object.values(VISIT_SHEET_STATUS).join(', ')}`,
+    },
+    default: VISIT_SHEET_STATUS.OPEN,
+  },
+  closedAt: Date,
+  closedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+visitSheetSchema.index({ salesmanId: 1, routeId: 1, visitDate: 1 }, { unique: true });
+visitSheetSchema.index({ visitDate: -1, status: 1 });
+visitSheetSchema.index({ 'visits.customerId': 1 });
+
+// Static method to generate visit sheet number
+visitSheetSchema.statics.generateSheetNumber = async function () {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    sheetNumber: new RegExp(`^VS${year}`),
+  });
+  return `VS${year}${String(count + 1).padStart(6, '0')}`;
+};
+
+// Pre-save middleware to generate visit sheet number
+visitSheetSchema.pre('save', async function (next) {
+  if (!this.sheetNumber && this.isNew) {
+    this.sheetNumber = await this.constructor.generateSheetNumber();
+  }
+  next();
+});
+
+module.exports = mongoose.model('VisitSheet', visitSheetSchema);
@@ -63,6 +63,11 @@ const warehouseSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Virtual warehouse holding stock dispatched on a transfer and not yet received
+  isTransit: {
+    type: Boolean,
+    default: false,
+  },
   capacity: {
     type: Number,
     min: [0, 'Capacity cannot be negative'],
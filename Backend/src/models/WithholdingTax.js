@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const withholdingInvoiceSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true,
+  },
+  invoiceNumber: String,
+  invoiceDate: Date,
+  taxableAmount: {
+    type: Number,
+    default: 0,
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  _id: false,
+});
+
+const challanSchema = new mongoose.Schema({
+  // Computerized Payment Receipt number issued when the tax is deposited
+  cprNumber: {
+    type: String,
+    required: [true, 'CPR number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'CPR number cannot exceed 50 characters'],
+  },
+  challanDate: {
+    type: Date,
+    required: [true, 'Challan date is required'],
+  },
+  bankName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Bank name cannot exceed 100 characters'],
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * Withholding tax deducted by us or from us, per party, section and month
+ */
+const withholdingTaxSchema = new mongoose.Schema({
+  // Tax month as YYYY-MM
+  period: {
+    type: String,
+    required: [true, 'Period is required'],
+    match: [/^\d{4}-\d{2}$/, 'Period must be in YYYY-MM format'],
+  },
+  section: {
+    type: String,
+    required: [true, 'Section is required'],
+    enum: {
+      values: ['153', '236G', '236H'],
+      message: 'Section must be one of: 153, 236G, 236H',
+    },
+  },
+  direction: {
+    type: String,
+    required: [true, 'Direction is required'],
+    enum: {
+      values: ['deducted_by_us', 'deducted_from_us'],
+      message: 'Direction must be either deducted_by_us or deducted_from_us',
+    },
+  },
+  partyType: {
+    type: String,
+    required: true,
+    enum: ['Customer', 'Supplier'],
+  },
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Party is required'],
+    refPath: 'partyType',
+  },
+  partyName: String,
+  partyNTN: String,
+  partyCNIC: String,
+  taxableAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Taxable amount cannot be negative'],
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative'],
+  },
+  invoices: [withholdingInvoiceSchema],
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'deposited'],
+      message: 'Status must be either pending or deposited',
+    },
+    default: 'pending',
+  },
+  challan: challanSchema,
+  lastCertificateAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes
+withholdingTaxSchema.index({
+  period: 1,
+  section: 1,
+  direction: 1,
+  partyId: 1,
+}, { unique: true });
+withholdingTaxSchema.index({ partyId: 1, section: 1, period: 1 });
+withholdingTaxSchema.index({ 'challan.cprNumber': 1 });
+
+module.exports = mongoose.model('WithholdingTax', withholdingTaxSchema);
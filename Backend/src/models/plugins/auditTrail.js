@@ -0,0 +1,172 @@
+const AuditLog = require('../AuditLog');
+const { getRequestContext } = require('../../utils/requestContext');
+
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+const isPlainObject = value => value !== null
+  && typeof value === 'object'
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+// Compare through JSON so ObjectIds, dates and arrays of subdocuments compare by value
+const serialize = value => (value === undefined ? undefined : JSON.stringify(value));
+
+/**
+ * Flatten a document into dot paths; arrays are kept whole so a changed invoice line
+ * shows as the before/after item list
+ * @param {Object} source - Plain object
+ * @param {string} [prefix] - Path prefix
+ * @param {Object} [result] - Accumulator
+ * @returns {Object} Map of path to value
+ */
+const flatten = (source, prefix = '', result = {}) => {
+  Object.keys(source || {}).forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = source[key];
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Diff two snapshots of a document
+ * @param {Object} before - Snapshot before the change ({} for a create)
+ * @param {Object} after - Snapshot after the change ({} for a delete)
+ * @param {Array<string>} [paths] - Only report changes under these paths (all when empty)
+ * @returns {Array} Changes {path, before, after}
+ */
+const diffSnapshots = (before, after, paths = []) => {
+  const beforeValues = flatten(before);
+  const afterValues = flatten(after);
+  const isTracked = path => !IGNORED_FIELDS.includes(path.split('.')[0])
+    && (paths.length === 0 || paths.some(tracked => path === tracked || path.startsWith(`${tracked}.`)));
+
+  return Array.from(new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)]))
+    .filter(path => isTracked(path) && serialize(beforeValues[path]) !== serialize(afterValues[path]))
+    .map(path => ({ path, before: beforeValues[path], after: afterValues[path] }));
+};
+
+const toSnapshot = doc => (typeof doc.toObject === 'function'
+  ? doc.toObject({ depopulate: true, virtuals: false, getters: false })
+  : doc);
+
+/**
+ * Mongoose plugin that writes an AuditLog entry for every create, update and delete of a
+ * document, whether it goes through save(), insertMany() or a query update/delete. The
+ * acting user and IP come from the request context.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {string} options.entityType - Entity name recorded on the log
+ * @param {Array<string>} [options.paths] - Only audit these paths (e.g. ['financialInfo'])
+ */
+const auditTrail = (schema, options) => {
+  const { entityType, paths = [] } = options;
+
+  const writeLog = (action, before, after, session) => {
+    const changes = diffSnapshots(before, after, paths);
+    if (changes.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    const context = getRequestContext();
+    const fallbackUser = action === 'create' ? after.createdBy : after.updatedBy;
+    return AuditLog.create([{
+      entityType,
+      entityId: (after._id || before._id),
+      action,
+      changes,
+      userId: context.userId || fallbackUser,
+      username: context.username,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    }], { session: session || undefined });
+  };
+
+  const isTrackedChange = doc => (paths.length === 0
+    ? doc.isModified()
+    : paths.some(path => doc.isModified(path)));
+
+  // Documents: load the stored version before an update so the diff is against the database
+  schema.pre('save', async function () {
+    this.$locals.auditSkip = !this.isNew && !isTrackedChange(this);
+    if (this.isNew || this.$locals.auditSkip) {
+      this.$locals.auditBefore = {};
+      return;
+    }
+    this.$locals.auditBefore = await this.constructor.findById(this._id)
+      .session(this.$session())
+      .lean() || {};
+  });
+
+  schema.post('save', async (doc) => {
+    if (doc.$locals.auditSkip) {
+      return;
+    }
+    const action = doc.$locals.auditBefore && doc.$locals.auditBefore._id ? 'update' : 'create';
+    await writeLog(action, doc.$locals.auditBefore || {}, toSnapshot(doc), doc.$session());
+  });
+
+  schema.post('insertMany', async (docs) => {
+    await Promise.all((docs || []).map(doc => writeLog(
+      'create',
+      {},
+      toSnapshot(doc),
+      typeof doc.$session === 'function' ? doc.$session() : null
+    )));
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function () {
+    await writeLog('delete', toSnapshot(this), {}, this.$session());
+  });
+
+  // Queries: capture the matched documents before the operation runs
+  const loadMatched = (query) => {
+    const { session, sort } = query.getOptions();
+    const find = query.model.find(query.getFilter()).session(session || null).lean();
+    if (query.op === 'updateMany' || query.op === 'deleteMany') {
+      return find;
+    }
+    return find.sort(sort || null).limit(1);
+  };
+
+  schema.pre(UPDATE_QUERIES, async function () {
+    this.auditBefore = await loadMatched(this);
+  });
+
+  schema.post(UPDATE_QUERIES, async function () {
+    const auditBefore = this.auditBefore || [];
+    const { session, upsert } = this.getOptions();
+    const ids = auditBefore.map(doc => doc._id);
+
+    const after = ids.length > 0 || !upsert
+      ? await this.model.find({ _id: { $in: ids } }).session(session || null).lean()
+      : await loadMatched(this);
+    const beforeById = new Map(auditBefore.map(doc => [String(doc._id), doc]));
+
+    await Promise.all(after.map((doc) => {
+      const before = beforeById.get(String(doc._id));
+      return writeLog(before ? 'update' : 'create', before || {}, doc, session);
+    }));
+  });
+
+  schema.pre(DELETE_QUERIES, { document: false, query: true }, async function () {
+    this.auditBefore = await loadMatched(this);
+  });
+
+  schema.post(DELETE_QUERIES, { document: false, query: true }, async function () {
+    const auditBefore = this.auditBefore || [];
+    const { session } = this.getOptions();
+
+    await Promise.all(auditBefore.map(doc => writeLog('delete', doc, {}, session)));
+  });
+};
+
+auditTrail.diffSnapshots = diffSnapshots;
+
+module.exports = auditTrail;
@@ -700,6 +700,163 @@ class BatchRepository {
   async updateBatchStatuses() {
     return Batch.updateBatchStatuses();
   }
+
+  /**
+   * Find batches that can be sold for an item, earliest expiry first (FEFO)
+   * Expired, quarantined and depleted batches are excluded
+   * @param {string} itemId - Item ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.warehouseId] - Restrict to a warehouse
+   * @param {Object} [options.session] - Mongo session to read within
+   * @returns {Promise<Array>} Array of sellable batches sorted by expiry date
+   */
+  async findSellableBatches(itemId, options = {}) {
+    const query = {
+      item: itemId,
+      status: 'active',
+      remainingQuantity: { $gt: 0 },
+      expiryDate: { $gt: new Date() }
+    };
+
+    if (options.warehouseId) {
+      query.warehouse = options.warehouseId;
+    }
+
+    return Batch.find(query)
+      .sort({ expiryDate: 1, createdAt: 1 })
+      .session(options.session || null)
+      .lean();
+  }
+
+  /**
+   * Count all batches recorded for an item, regardless of status
+   * @param {string} itemId - Item ID
+   * @returns {Promise<number>} Number of batches
+   */
+  async countByItem(itemId) {
+    return Batch.countDocuments({ item: itemId });
+  }
+
+  /**
+   * Atomically decrement the remaining quantity of a batch
+   * Fails (returns null) if the batch no longer holds enough stock
+   * @param {string} id - Batch ID
+   * @param {number} quantity - Quantity to take out of the batch
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Mongo session to write within
+   * @returns {Promise<Object|null>} Updated batch or null if not enough stock
+   */
+  async decrementRemainingQuantity(id, quantity, options = {}) {
+    const { session } = options;
+    const batch = await Batch.findOneAndUpdate(
+      { _id: id, remainingQuantity: { $gte: quantity } },
+      { $inc: { remainingQuantity: -quantity } },
+      { new: true, session }
+    );
+
+    if (batch && batch.remainingQuantity === 0) {
+      return Batch.findByIdAndUpdate(id, { $set: { status: 'depleted' } }, { new: true, session });
+    }
+
+    return batch;
+  }
+
+  /**
+   * Atomically return quantity to a batch (e.g. on invoice cancellation)
+   * Depleted batches are reactivated
+   * @param {string} id - Batch ID
+   * @param {number} quantity - Quantity to put back into the batch
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Mongo session to write within
+   * @returns {Promise<Object|null>} Updated batch or null if not found
+   */
+  async incrementRemainingQuantity(id, quantity, options = {}) {
+    const { session } = options;
+    const batch = await Batch.findByIdAndUpdate(
+      id,
+      { $inc: { remainingQuantity: quantity } },
+      { new: true, session }
+    );
+
+    if (batch && batch.status === 'depleted' && batch.remainingQuantity > 0) {
+      return Batch.findByIdAndUpdate(id, { $set: { status: 'active' } }, { new: true, session });
+    }
+
+    return batch;
+  }
+
+  /**
+   * Find every batch matching a batch number or supplier lot, across all warehouses
+   * @param {Object} criteria - Search criteria
+   * @param {string} [criteria.batchNumber] - Batch number
+   * @param {string} [criteria.supplierLotNumber] - Supplier lot number
+   * @param {string} [criteria.itemId] - Restrict to an item
+   * @returns {Promise<Array>} Array of batches
+   */
+  async findByBatchOrLot(criteria = {}) {
+    const query = {};
+
+    if (criteria.batchNumber) {
+      query.batchNumber = criteria.batchNumber.trim().toUpperCase();
+    }
+
+    if (criteria.supplierLotNumber) {
+      query.supplierLotNumber = criteria.supplierLotNumber.trim().toUpperCase();
+    }
+
+    if (criteria.itemId) {
+      query.item = criteria.itemId;
+    }
+
+    return Batch.find(query)
+      .populate('item', 'name code')
+      .populate('warehouse', 'name code')
+      .populate('supplier', 'name code')
+      .sort({ batchNumber: 1 })
+      .lean();
+  }
+
+  /**
+   * Find batches by their IDs
+   * @param {Array<string>} ids - Batch IDs
+   * @returns {Promise<Array>} Array of batches
+   */
+  async findByIds(ids) {
+    return Batch.find({ _id: { $in: ids } })
+      .populate('item', 'name code')
+      .populate('warehouse', 'name code')
+      .populate('supplier', 'name code')
+      .lean();
+  }
+
+  /**
+   * Find quarantined batches of an item with the given batch number
+   * @param {string} itemId - Item ID
+   * @param {string} batchNumber - Batch number
+   * @returns {Promise<Array>} Array of quarantined batches
+   */
+  async findQuarantined(itemId, batchNumber) {
+    return Batch.find({
+      item: itemId,
+      batchNumber: batchNumber.trim().toUpperCase(),
+      status: 'quarantined'
+    }).lean();
+  }
+
+  /**
+   * Set the status of a batch without running the date-based status hook
+   * @param {string} id - Batch ID
+   * @param {string} status - New status
+   * @param {string} [updatedBy] - User making the change
+   * @returns {Promise<Object|null>} Updated batch or null if not found
+   */
+  async setStatus(id, status, updatedBy) {
+    return Batch.findByIdAndUpdate(
+      id,
+      { $set: { status, updatedBy } },
+      { new: true }
+    );
+  }
 }
 
 module.exports = new BatchRepository();
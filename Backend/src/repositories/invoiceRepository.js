@@ -7,9 +7,11 @@ const Invoice = require('../models/Invoice');
 class InvoiceRepository {
   /**
    * Find invoice by ID
+   * Pass options.session to read within a transaction
    */
-  async findById(id) {
+  async findById(id, options = {}) {
     return Invoice.findById(id)
+      .session(options.session || null)
       .populate('customerId', 'code name contactInfo financialInfo')
       .populate('supplierId', 'code name contactInfo financialInfo')
       .populate('items.itemId', 'code name unit pricing')
@@ -139,12 +141,13 @@ class InvoiceRepository {
 
   /**
    * Update invoice
+   * Pass options.session to write within a transaction
    */
-  async update(id, updateData) {
+  async update(id, updateData, options = {}) {
     return Invoice.findByIdAndUpdate(
       id,
       { $set: updateData },
-      { new: true, runValidators: true }
+      { new: true, runValidators: true, session: options.session }
     ).populate('customerId', 'code name')
      .populate('supplierId', 'code name')
      .populate('items.itemId', 'code name unit pricing')
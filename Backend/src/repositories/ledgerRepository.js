@@ -9,20 +9,24 @@ class LedgerRepository {
   /**
    * Create a new ledger entry
    * @param {Object} entryData - Ledger entry data
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Mongo session to write within
    * @returns {Promise<Object>} Created ledger entry
    */
-  async create(entryData) {
+  async create(entryData, options = {}) {
     const entry = new LedgerEntry(entryData);
-    return entry.save();
+    return entry.save({ session: options.session });
   }
 
   /**
    * Create multiple ledger entries in bulk
    * @param {Array} entriesData - Array of ledger entry data
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Mongo session to write within
    * @returns {Promise<Array>} Created ledger entries
    */
-  async createBulk(entriesData) {
-    return LedgerEntry.insertMany(entriesData);
+  async createBulk(entriesData, options = {}) {
+    return LedgerEntry.insertMany(entriesData, { session: options.session });
   }
 
   /**
@@ -34,48 +38,59 @@ class LedgerRepository {
    * @param {string} referenceType - Reference type
    * @param {string} referenceId - Reference ID
    * @param {string} createdBy - User ID creating the entry
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction; when given,
+   *   both entries are written within it instead of a transaction of their own
    * @returns {Promise<Object>} Created entries
    */
-  async createDoubleEntry(debitAccount, creditAccount, amount, description, referenceType, referenceId, createdBy) {
+  async createDoubleEntry(debitAccount, creditAccount, amount, description, referenceType, referenceId, createdBy, options = {}) {
+    const saveEntries = async (session) => {
+      // Create debit entry
+      const debitEntry = new LedgerEntry({
+        accountId: debitAccount.accountId,
+        accountType: debitAccount.accountType,
+        transactionType: 'debit',
+        amount,
+        description,
+        referenceType,
+        referenceId,
+        transactionDate: new Date(),
+        currency: debitAccount.currency || 'PKR',
+        exchangeRate: debitAccount.exchangeRate || 1,
+        createdBy,
+      });
+
+      // Create credit entry
+      const creditEntry = new LedgerEntry({
+        accountId: creditAccount.accountId,
+        accountType: creditAccount.accountType,
+        transactionType: 'credit',
+        amount,
+        description,
+        referenceType,
+        referenceId,
+        transactionDate: new Date(),
+        currency: creditAccount.currency || 'PKR',
+        exchangeRate: creditAccount.exchangeRate || 1,
+        createdBy,
+      });
+
+      await debitEntry.save({ session });
+      await creditEntry.save({ session });
+
+      return { debitEntry, creditEntry };
+    };
+
+    if (options.session) {
+      return saveEntries(options.session);
+    }
+
     const session = await mongoose.startSession();
     let result;
 
     try {
       await session.withTransaction(async () => {
-        // Create debit entry
-        const debitEntry = new LedgerEntry({
-          accountId: debitAccount.accountId,
-          accountType: debitAccount.accountType,
-          transactionType: 'debit',
-          amount,
-          description,
-          referenceType,
-          referenceId,
-          transactionDate: new Date(),
-          currency: debitAccount.currency || 'PKR',
-          exchangeRate: debitAccount.exchangeRate || 1,
-          createdBy,
-        });
-
-        // Create credit entry
-        const creditEntry = new LedgerEntry({
-          accountId: creditAccount.accountId,
-          accountType: creditAccount.accountType,
-          transactionType: 'credit',
-          amount,
-          description,
-          referenceType,
-          referenceId,
-          transactionDate: new Date(),
-          currency: creditAccount.currency || 'PKR',
-          exchangeRate: creditAccount.exchangeRate || 1,
-          createdBy,
-        });
-
-        await debitEntry.save({ session });
-        await creditEntry.save({ session });
-
-        result = { debitEntry, creditEntry };
+        result = await saveEntries(session);
       });
 
       return result;
@@ -115,6 +130,33 @@ class LedgerRepository {
     return LedgerEntry.findByReference(referenceType, referenceId);
   }
 
+  /**
+   * Post a reversing entry for every ledger entry of a reference
+   * Reversals keep the original reference so the document's entries net to zero
+   * @param {string} referenceType - Reference type
+   * @param {string} referenceId - Reference ID
+   * @param {string} reason - Reversal reason used in the description
+   * @param {string} createdBy - User ID posting the reversal
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Mongo session to write within
+   * @returns {Promise<Array>} Created reversing entries
+   */
+  async reverseByReference(referenceType, referenceId, reason, createdBy, options = {}) {
+    const { session } = options;
+    const entries = await LedgerEntry.find({ referenceType, referenceId }).session(session || null);
+
+    const reversals = [];
+    for (const entry of entries) {
+      const reversal = entry.createReverseEntry(reason);
+      reversal.referenceType = referenceType;
+      reversal.referenceId = referenceId;
+      reversal.createdBy = createdBy;
+      reversals.push(await reversal.save({ session }));
+    }
+
+    return reversals;
+  }
+
   /**
    * Find ledger entries by date range
    * @param {Date} startDate - Start date
@@ -274,6 +316,38 @@ class LedgerRepository {
 
     return Object.values(accountBalances);
   }
+
+  /**
+   * Get net balances (debits minus credits) per account for a date range
+   * @param {Array<string>} accountIds - Account IDs
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Promise<Array>} Balances {_id: accountId, debitTotal, creditTotal, balance}
+   */
+  async getNetBalancesByAccount(accountIds, startDate, endDate) {
+    return LedgerEntry.aggregate([
+      {
+        $match: {
+          accountId: { $in: accountIds.map(id => new mongoose.Types.ObjectId(id)) },
+          transactionDate: { $gte: startDate, $lte: endDate },
+        },
+      },
+      {
+        $group: {
+          _id: '$accountId',
+          debitTotal: { $sum: { $cond: [{ $eq: ['$transactionType', 'debit'] }, '$amount', 0] } },
+          creditTotal: { $sum: { $cond: [{ $eq: ['$transactionType', 'credit'] }, '$amount', 0] } },
+        },
+      },
+      {
+        $project: {
+          debitTotal: 1,
+          creditTotal: 1,
+          balance: { $subtract: ['$debitTotal', '$creditTotal'] },
+        },
+      },
+    ]);
+  }
 }
 
 module.exports = new LedgerRepository();
@@ -8,11 +8,13 @@ class StockMovementRepository {
   /**
    * Create a new stock movement
    * @param {Object} movementData - Stock movement data
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Mongo session to write within
    * @returns {Promise<Object>} Created stock movement
    */
-  async create(movementData) {
+  async create(movementData, options = {}) {
     const movement = new StockMovement(movementData);
-    return await movement.save();
+    return await movement.save({ session: options.session });
   }
 
   /**
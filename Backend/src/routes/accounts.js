@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const accountsController = require('../controllers/accountsController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * Accounts Routes
@@ -13,14 +13,14 @@ const { authenticate, authorize } = require('../middleware/auth');
 router.get(
   '/ledger',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('ledger.view'),
   accountsController.getLedgerEntries
 );
 
 router.get(
   '/ledger/:id',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('ledger.view'),
   accountsController.getLedgerEntryById
 );
 
@@ -28,14 +28,14 @@ router.get(
 router.get(
   '/balance/:accountId',
   authenticate,
-  authorize(['accountant', 'admin', 'sales', 'purchase']),
+  requirePermission('account.balance.view'),
   accountsController.getAccountBalance
 );
 
 router.post(
   '/balances',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('ledger.view'),
   accountsController.getAccountBalances
 );
 
@@ -43,7 +43,7 @@ router.post(
 router.get(
   '/statement/:accountId',
   authenticate,
-  authorize(['accountant', 'admin', 'sales', 'purchase']),
+  requirePermission('account.balance.view'),
   accountsController.getAccountStatement
 );
 
@@ -51,14 +51,14 @@ router.get(
 router.get(
   '/receivables/aging',
   authenticate,
-  authorize(['accountant', 'admin', 'sales']),
+  requirePermission('receivables.view'),
   accountsController.getReceivablesAging
 );
 
 router.get(
   '/receivables/summary/:customerId',
   authenticate,
-  authorize(['accountant', 'admin', 'sales']),
+  requirePermission('receivables.view'),
   accountsController.getCustomerReceivablesSummary
 );
 
@@ -66,14 +66,14 @@ router.get(
 router.get(
   '/payables',
   authenticate,
-  authorize(['accountant', 'admin', 'purchase']),
+  requirePermission('payables.view'),
   accountsController.getSupplierPayables
 );
 
 router.get(
   '/payables/summary/:supplierId',
   authenticate,
-  authorize(['accountant', 'admin', 'purchase']),
+  requirePermission('payables.view'),
   accountsController.getSupplierPayablesSummary
 );
 
@@ -81,15 +81,108 @@ router.get(
 router.get(
   '/trial-balance',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('ledger.view'),
   accountsController.getTrialBalance
 );
 
 router.get(
   '/summary/:accountType',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('ledger.view'),
   accountsController.getLedgerSummary
 );
 
+// Journal voucher routes
+router.get(
+  '/journal-vouchers',
+  authenticate,
+  requirePermission('journal.view'),
+  accountsController.getJournalVouchers
+);
+
+router.post(
+  '/journal-vouchers',
+  authenticate,
+  requirePermission('journal.manage'),
+  accountsController.createJournalVoucher
+);
+
+router.get(
+  '/journal-vouchers/:id',
+  authenticate,
+  requirePermission('journal.view'),
+  accountsController.getJournalVoucherById
+);
+
+router.put(
+  '/journal-vouchers/:id',
+  authenticate,
+  requirePermission('journal.manage'),
+  accountsController.updateJournalVoucher
+);
+
+router.delete(
+  '/journal-vouchers/:id',
+  authenticate,
+  requirePermission('journal.manage'),
+  accountsController.deleteJournalVoucher
+);
+
+router.post(
+  '/journal-vouchers/:id/post',
+  authenticate,
+  requirePermission('journal.manage'),
+  accountsController.postJournalVoucher
+);
+
+router.post(
+  '/journal-vouchers/:id/reverse',
+  authenticate,
+  requirePermission('journal.manage'),
+  accountsController.reverseJournalVoucher
+);
+
+// Fiscal year and period close routes
+router.get(
+  '/fiscal-years',
+  authenticate,
+  requirePermission('fiscal.view'),
+  accountsController.getFiscalYears
+);
+
+router.post(
+  '/fiscal-years',
+  authenticate,
+  requirePermission('fiscal.manage'),
+  accountsController.createFiscalYear
+);
+
+router.get(
+  '/fiscal-years/:id',
+  authenticate,
+  requirePermission('fiscal.view'),
+  accountsController.getFiscalYearById
+);
+
+router.post(
+  '/fiscal-years/:id/periods/:periodId/close',
+  authenticate,
+  requirePermission('fiscal.manage'),
+  accountsController.closePeriod
+);
+
+router.post(
+  '/fiscal-years/:id/periods/:periodId/reopen',
+  authenticate,
+  requirePermission('fiscal.reopen'),
+  accountsController.reopenPeriod
+);
+
+router.post(
+  '/fiscal-years/:id/close',
+  authenticate,
+  requirePermission('fiscal.manage'),
+  accountsController.closeFiscalYear
+);
+
 module.exports = router;
@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const approvalController = require('../controllers/approvalController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Approvals
+ *   description: Approval rules, the pending-approvals inbox and approve/reject decisions
+ */
+
+/**
+ * @swagger
+ * /api/v1/approvals/rules:
+ *   get:
+ *     summary: Get the approval rules with their thresholds and approver permissions
+ *     description: |
+ *       Rules are credit_limit, credit_watch (customer on credit watch), discount_percent
+ *       (threshold in percent), below_cost, cancellation and cash_payment_amount (threshold as
+ *       an amount). All rules are inactive until enabled.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Approval rules
+ */
+router.get('/rules', authenticate, requirePermission('approval.view'), approvalController.getRules);
+
+/**
+ * @swagger
+ * /api/v1/approvals/rules/{type}:
+ *   put:
+ *     summary: Enable or disable an approval rule, or change its threshold or approver permission
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [credit_limit, credit_watch, discount_percent, below_cost, cancellation, cash_payment_amount]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *               threshold:
+ *                 type: number
+ *                 example: 15
+ *               approverPermission:
+ *                 type: string
+ *                 example: approval.decide
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid threshold or unknown permission
+ *       404:
+ *         description: Unknown rule
+ */
+router.put(
+  '/rules/:type',
+  authenticate,
+  requirePermission('approval.rules.manage'),
+  approvalController.updateRule
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/inbox:
+ *   get:
+ *     summary: Get the pending requests the current user can decide, oldest first
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending approval requests
+ */
+router.get('/inbox', authenticate, requirePermission('approval.view'), approvalController.getInbox);
+
+/**
+ * @swagger
+ * /api/v1/approvals:
+ *   get:
+ *     summary: Get approval requests
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *           enum: [sales_invoice, purchase_invoice, cash_payment]
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [confirm, cancel, post]
+ *       - in: query
+ *         name: requestedBy
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Approval requests with pagination
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission('approval.view'),
+  approvalController.getApprovalRequests
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/{id}:
+ *   get:
+ *     summary: Get an approval request
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval request
+ *       404:
+ *         description: Approval request not found
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermission('approval.view'),
+  approvalController.getApprovalRequestById
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/{id}/approve:
+ *   post:
+ *     summary: Approve a pending request and carry out the held-back action
+ *     description: |
+ *       A held sales invoice returns to draft (and is confirmed if it was created as confirmed),
+ *       a held cash payment is posted to the ledger and an invoice cancellation is carried out.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request approved
+ *       403:
+ *         description: Own request, or missing the rule's approver permission
+ *       409:
+ *         description: Request already decided
+ */
+router.post(
+  '/:id/approve',
+  authenticate,
+  requirePermission('approval.decide'),
+  approvalController.approve
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/{id}/reject:
+ *   post:
+ *     summary: Reject a pending request
+ *     description: |
+ *       A held sales invoice is cancelled and a held cash payment is cancelled; a requested
+ *       invoice cancellation is dropped.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       400:
+ *         description: Comment missing
+ *       409:
+ *         description: Request already decided
+ */
+router.post(
+  '/:id/reject',
+  authenticate,
+  requirePermission('approval.decide'),
+  approvalController.reject
+);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const auditController = require('../controllers/auditController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Immutable audit trail of changes to financial documents, credit terms and prices
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit:
+ *   get:
+ *     summary: Get audit log entries
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [Invoice, CashReceipt, CashPayment, LedgerEntry, Customer, Item, Scheme]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: path
+ *         description: Changed field, e.g. financialInfo.creditLimit or pricing
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first, with before/after values of each changed field
+ */
+router.get('/', authenticate, requirePermission('audit.view'), auditController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/audit/{entityType}/{entityId}:
+ *   get:
+ *     summary: Get the change history of one document, oldest first
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entityType
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit entries for the document
+ *       400:
+ *         description: Unknown entity type
+ */
+router.get(
+  '/:entityType/:entityId',
+  authenticate,
+  requirePermission('audit.view'),
+  auditController.getEntityHistory
+);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const bankReconciliationController = require('../controllers/bankReconciliationController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All bank reconciliation routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/v1/bank-reconciliations
+ * @desc    Start a bank reconciliation for a statement period
+ * @access  Private (bank.reconciliation.manage)
+ * @body    bankAccount {accountName, accountNumber, bankName}, statementPeriod {startDate, endDate},
+ *          openingBalance, closingBalance, notes
+ */
+router.post('/', requirePermission('bank.reconciliation.manage'), bankReconciliationController.createReconciliation);
+
+/**
+ * @route   GET /api/v1/bank-reconciliations
+ * @desc    Get bank reconciliations
+ * @access  Private (bank.reconciliation.view)
+ * @query   status, accountNumber, startDate, endDate, page, limit
+ */
+router.get('/', requirePermission('bank.reconciliation.view'), bankReconciliationController.getReconciliations);
+
+/**
+ * @route   GET /api/v1/bank-reconciliations/:id
+ * @desc    Get a bank reconciliation with its items and proposed bank charge entries
+ * @access  Private (bank.reconciliation.view)
+ */
+router.get('/:id', requirePermission('bank.reconciliation.view'), bankReconciliationController.getReconciliationById);
+
+/**
+ * @route   GET /api/v1/bank-reconciliations/:id/report
+ * @desc    Get the reconciliation report
+ * @access  Private (bank.reconciliation.view)
+ */
+router.get(
+  '/:id/report',
+  requirePermission('bank.reconciliation.view'),
+  bankReconciliationController.getReconciliationReport,
+);
+
+/**
+ * @route   POST /api/v1/bank-reconciliations/:id/import
+ * @desc    Import a bank statement and match it against receipts and payments
+ * @access  Private (bank.reconciliation.manage)
+ * @body    format (csv, mt940, ofx), content (file content as text),
+ *          columnMapping {date, description, reference, chequeNumber, debit, credit, amount, type} (csv),
+ *          delimiter (csv, default ','), dateFormat (csv: DD/MM/YYYY, MM/DD/YYYY or YYYY-MM-DD)
+ */
+router.post(
+  '/:id/import',
+  requirePermission('bank.reconciliation.manage'),
+  bankReconciliationController.importStatement,
+);
+
+/**
+ * @route   POST /api/v1/bank-reconciliations/:id/match
+ * @desc    Match statement lines already shaped as JSON against receipts and payments
+ * @access  Private (bank.reconciliation.manage)
+ * @body    items: [{type (credit, debit), amount, date, reference, chequeNumber, description}]
+ */
+router.post(
+  '/:id/match',
+  requirePermission('bank.reconciliation.manage'),
+  bankReconciliationController.matchTransactions,
+);
+
+module.exports = router;
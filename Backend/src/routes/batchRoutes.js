@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const batchController = require('../controllers/batchController');
 
 /**
@@ -16,11 +16,11 @@ router.get('/expiring-soon', authenticate, batchController.getExpiringBatches);
 router.get('/expired', authenticate, batchController.getExpiredBatches);
 
 // Base routes (assuming mounted at /api/v1/batches)
-router.post('/', authenticate, authorize(['admin', 'inventory_manager']), batchController.createBatch);
+router.post('/', authenticate, requirePermission('batch.manage'), batchController.createBatch);
 router.get('/', authenticate, batchController.getAllBatches);
 router.get('/:id', authenticate, batchController.getBatch);
-router.put('/:id', authenticate, authorize(['admin', 'inventory_manager']), batchController.updateBatch);
-router.delete('/:id', authenticate, authorize(['admin', 'inventory_manager']), batchController.deleteBatch);
-router.patch('/:id/quantity', authenticate, authorize(['admin', 'inventory_manager']), batchController.updateBatchQuantity);
+router.put('/:id', authenticate, requirePermission('batch.manage'), batchController.updateBatch);
+router.delete('/:id', authenticate, requirePermission('batch.manage'), batchController.deleteBatch);
+router.patch('/:id/quantity', authenticate, requirePermission('batch.manage'), batchController.updateBatchQuantity);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const cashBookController = require('../controllers/cashBookController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * Cash Book Routes
@@ -13,56 +13,56 @@ const { authenticate, authorize } = require('../middleware/auth');
 router.post(
   '/receipts',
   authenticate,
-  authorize(['accountant', 'admin', 'sales']),
+  requirePermission('cash.receipt.create'),
   cashBookController.createCashReceipt
 );
 
 router.get(
   '/receipts',
   authenticate,
-  authorize(['accountant', 'admin', 'sales']),
+  requirePermission('cash.receipt.view'),
   cashBookController.getAllCashReceipts
 );
 
 router.get(
   '/receipts/pending',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.receipt.manage'),
   cashBookController.getPendingReceipts
 );
 
 router.get(
   '/receipts/statistics',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.receipt.manage'),
   cashBookController.getReceiptStatistics
 );
 
 router.get(
   '/receipts/:id',
   authenticate,
-  authorize(['accountant', 'admin', 'sales']),
+  requirePermission('cash.receipt.view'),
   cashBookController.getCashReceiptById
 );
 
 router.put(
   '/receipts/:id',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.receipt.manage'),
   cashBookController.updateCashReceipt
 );
 
 router.post(
   '/receipts/:id/clear',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.receipt.manage'),
   cashBookController.clearCashReceipt
 );
 
 router.post(
   '/receipts/:id/cancel',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.receipt.manage'),
   cashBookController.cancelCashReceipt
 );
 
@@ -70,28 +70,28 @@ router.post(
 router.post(
   '/receipts/post-dated-cheque',
   authenticate,
-  authorize(['accountant', 'admin', 'sales']),
+  requirePermission('cash.receipt.create'),
   cashBookController.recordPostDatedCheque
 );
 
 router.post(
   '/receipts/:id/clear-cheque',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.receipt.manage'),
   cashBookController.clearCheque
 );
 
 router.post(
   '/receipts/:id/bounce-cheque',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.receipt.manage'),
   cashBookController.bounceCheque
 );
 
 router.get(
   '/receipts/pending-cheques',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.receipt.manage'),
   cashBookController.getPendingCheques
 );
 
@@ -99,14 +99,14 @@ router.get(
 router.post(
   '/receipts/apply-to-invoices',
   authenticate,
-  authorize(['accountant', 'admin', 'sales']),
+  requirePermission('cash.receipt.create'),
   cashBookController.applyPaymentToInvoices
 );
 
 router.get(
   '/customers/:customerId/pending-invoices',
   authenticate,
-  authorize(['accountant', 'admin', 'sales']),
+  requirePermission('cash.receipt.view'),
   cashBookController.getPendingInvoices
 );
 
@@ -114,56 +114,56 @@ router.get(
 router.post(
   '/payments',
   authenticate,
-  authorize(['accountant', 'admin', 'purchase']),
+  requirePermission('cash.payment.create'),
   cashBookController.createCashPayment
 );
 
 router.get(
   '/payments',
   authenticate,
-  authorize(['accountant', 'admin', 'purchase']),
+  requirePermission('cash.payment.view'),
   cashBookController.getAllCashPayments
 );
 
 router.get(
   '/payments/pending',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.payment.manage'),
   cashBookController.getPendingPayments
 );
 
 router.get(
   '/payments/statistics',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.payment.manage'),
   cashBookController.getPaymentStatistics
 );
 
 router.get(
   '/payments/:id',
   authenticate,
-  authorize(['accountant', 'admin', 'purchase']),
+  requirePermission('cash.payment.view'),
   cashBookController.getCashPaymentById
 );
 
 router.put(
   '/payments/:id',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.payment.manage'),
   cashBookController.updateCashPayment
 );
 
 router.post(
   '/payments/:id/clear',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.payment.manage'),
   cashBookController.clearCashPayment
 );
 
 router.post(
   '/payments/:id/cancel',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cash.payment.manage'),
   cashBookController.cancelCashPayment
 );
 
@@ -171,28 +171,28 @@ router.post(
 router.get(
   '/balance',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cashbook.view'),
   cashBookController.getCashBookBalance
 );
 
 router.get(
   '/summary',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cashbook.view'),
   cashBookController.getCashBookSummary
 );
 
 router.get(
   '/cash-flow',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cashbook.view'),
   cashBookController.getCashFlowStatement
 );
 
 router.get(
   '/daily',
   authenticate,
-  authorize(['accountant', 'admin']),
+  requirePermission('cashbook.view'),
   cashBookController.getDailyCashBook
 );
 
@@ -0,0 +1,83 @@
+const express = require('express');
+const commissionController = require('../controllers/commissionController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All commission routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/commissions/plans
+ * @desc    Get commission plans
+ * @access  Private (commission.view)
+ * @query   isActive
+ */
+router.get('/plans', requirePermission('commission.view'), commissionController.getPlans);
+
+/**
+ * @route   POST /api/v1/commissions/plans
+ * @desc    Create a commission plan
+ * @access  Private (commission.manage)
+ * @body    name (required), basis, defaultRate, rules, targetSlabs, deductReturns, lateCollection,
+ *          zeroOnOverdue, overdueGraceDays
+ */
+router.post('/plans', requirePermission('commission.manage'), commissionController.createPlan);
+
+/**
+ * @route   GET /api/v1/commissions/plans/:id
+ * @desc    Get a commission plan and the salesmen on it
+ * @access  Private (commission.view)
+ */
+router.get('/plans/:id', requirePermission('commission.view'), commissionController.getPlanById);
+
+/**
+ * @route   PUT /api/v1/commissions/plans/:id
+ * @desc    Update a commission plan
+ * @access  Private (commission.manage)
+ */
+router.put('/plans/:id', requirePermission('commission.manage'), commissionController.updatePlan);
+
+/**
+ * @route   POST /api/v1/commissions/plans/:id/assign
+ * @desc    Put salesmen on a commission plan
+ * @access  Private (commission.manage)
+ * @body    salesmanIds (required), monthlySalesTarget
+ */
+router.post('/plans/:id/assign', requirePermission('commission.manage'), commissionController.assignPlan);
+
+/**
+ * @route   POST /api/v1/commissions/statements/generate
+ * @desc    Work out draft commission statements for a month, replacing earlier drafts
+ * @access  Private (commission.manage)
+ * @body    year (required), month (required), salesmanId (default: every active salesman)
+ */
+router.post(
+  '/statements/generate',
+  requirePermission('commission.manage'),
+  commissionController.generateStatements
+);
+
+/**
+ * @route   GET /api/v1/commissions/statements
+ * @desc    Get commission statements with filtering and pagination
+ * @access  Private (commission.view)
+ * @query   salesmanId, year, month, status, page, limit
+ */
+router.get('/statements', requirePermission('commission.view'), commissionController.getStatements);
+
+/**
+ * @route   GET /api/v1/commissions/statements/:id
+ * @desc    Get a commission statement with its earnings and deductions
+ * @access  Private (commission.view)
+ */
+router.get('/statements/:id', requirePermission('commission.view'), commissionController.getStatementById);
+
+/**
+ * @route   POST /api/v1/commissions/statements/:id/lock
+ * @desc    Lock a draft statement and post its commission as payable to the salesman
+ * @access  Private (commission.approve)
+ */
+router.post('/statements/:id/lock', requirePermission('commission.approve'), commissionController.lockStatement);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const creditControlController = require('../controllers/creditControlController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All credit control routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/credit-control/policy
+ * @desc    Credit policy settings: grace days, bounced-cheque limits, watch utilisation, review hour
+ * @access  Private (credit.view)
+ */
+router.get('/policy', requirePermission('credit.view'), creditControlController.getPolicy);
+
+/**
+ * @route   POST /api/v1/credit-control/review
+ * @desc    Recompute every customer's credit status now (also runs nightly)
+ * @access  Private (credit.manage)
+ */
+router.post('/review', requirePermission('credit.manage'), creditControlController.reviewAllCustomers);
+
+/**
+ * @route   GET /api/v1/credit-control/customers
+ * @desc    Get customers with their credit status, lowest score first
+ * @access  Private (credit.view)
+ * @query   status (active, watch, hold - the status in force, including overrides), routeId, page, limit
+ */
+router.get('/customers', requirePermission('credit.view'), creditControlController.getCustomers);
+
+/**
+ * @route   GET /api/v1/credit-control/customers/:customerId
+ * @desc    Get a customer's credit status, score and the reasons behind it
+ * @access  Private (credit.view)
+ */
+router.get('/customers/:customerId', requirePermission('credit.view'), creditControlController.getCustomerCredit);
+
+/**
+ * @route   POST /api/v1/credit-control/customers/:customerId/review
+ * @desc    Recompute a customer's credit status now
+ * @access  Private (credit.manage)
+ */
+router.post(
+  '/customers/:customerId/review',
+  requirePermission('credit.manage'),
+  creditControlController.reviewCustomer
+);
+
+/**
+ * @route   POST /api/v1/credit-control/customers/:customerId/override
+ * @desc    Override a customer's credit status; recorded in the customer's audit trail
+ * @access  Private (credit.override)
+ * @body    status (required: active, watch, hold), reason (required), expiresAt
+ */
+router.post(
+  '/customers/:customerId/override',
+  requirePermission('credit.override'),
+  creditControlController.overrideStatus
+);
+
+/**
+ * @route   DELETE /api/v1/credit-control/customers/:customerId/override
+ * @desc    Remove a credit status override so the policy rating applies again
+ * @access  Private (credit.override)
+ * @body    reason
+ */
+router.delete(
+  '/customers/:customerId/override',
+  requirePermission('credit.override'),
+  creditControlController.clearOverride
+);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { body } = require('express-validator');
+const customerPortalController = require('../controllers/customerPortalController');
+const { authenticateCustomer } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/portal/auth/login
+ * @desc    Log a customer in; the token is only accepted by the portal routes
+ * @access  Public
+ * @body    { identifier: username or email, password }
+ */
+router.post(
+  '/auth/login',
+  [
+    body('identifier')
+      .trim()
+      .notEmpty()
+      .withMessage('Username or email is required'),
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    validate,
+  ],
+  customerPortalController.login
+);
+
+// Every other portal route needs a customer portal token and only sees that customer's data
+router.use(authenticateCustomer);
+
+/**
+ * @route   GET /api/v1/portal/me
+ * @desc    The logged-in portal user and their customer account, credit terms and credit status
+ * @access  Customer portal
+ */
+router.get('/me', customerPortalController.getProfile);
+
+/**
+ * @route   GET /api/v1/portal/balance
+ * @desc    Outstanding balance, overdue amount, available credit, aging and unpaid invoices
+ * @access  Customer portal
+ */
+router.get('/balance', customerPortalController.getBalance);
+
+/**
+ * @route   GET /api/v1/portal/invoices
+ * @desc    The customer's confirmed and paid invoices, newest first
+ * @access  Customer portal
+ * @query   paymentStatus, startDate, endDate, page, limit
+ */
+router.get('/invoices', customerPortalController.getInvoices);
+
+/**
+ * @route   GET /api/v1/portal/invoices/:id
+ * @desc    One of the customer's invoices
+ * @access  Customer portal
+ */
+router.get('/invoices/:id', customerPortalController.getInvoiceById);
+
+/**
+ * @route   GET /api/v1/portal/statement
+ * @desc    Ledger statement of account (default: month to date)
+ * @access  Customer portal
+ * @query   startDate, endDate, format (pdf to download the PDF)
+ */
+router.get('/statement', customerPortalController.getStatement);
+
+/**
+ * @route   GET /api/v1/portal/schemes
+ * @desc    Active schemes the customer is eligible for
+ * @access  Customer portal
+ * @query   itemId (only the schemes on this item)
+ */
+router.get('/schemes', customerPortalController.getSchemes);
+
+/**
+ * @route   GET /api/v1/portal/items
+ * @desc    Active items with the customer's price and the quantity free to sell now
+ * @access  Customer portal
+ * @query   search, inStock (true for available items only), page, limit
+ */
+router.get('/items', customerPortalController.getItems);
+
+/**
+ * @route   GET /api/v1/portal/orders
+ * @desc    The customer's order requests and their status
+ * @access  Customer portal
+ * @query   status (draft until the salesman confirms), page, limit
+ */
+router.get('/orders', customerPortalController.getOrders);
+
+/**
+ * @route   POST /api/v1/portal/orders
+ * @desc    Request an order; it lands as a draft sales order for the route salesman to confirm
+ * @access  Customer portal
+ * @body    items (required: [{ itemId, quantity }]), notes
+ */
+router.post('/orders', customerPortalController.createOrderRequest);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const customerController = require('../controllers/customerController');
-const { authenticate, requireRoles } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate, isValidObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -14,7 +14,7 @@ const router = express.Router();
 router.get(
   '/statistics',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('customer.statistics'),
   customerController.getCustomerStatistics,
 );
 
@@ -96,7 +96,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireRoles(['admin', 'sales', 'data_entry']),
+  requirePermission('customer.create'),
   [
     body('name')
       .trim()
@@ -160,7 +160,7 @@ router.get(
 router.put(
   '/:id',
   authenticate,
-  requireRoles(['admin', 'sales', 'data_entry']),
+  requirePermission('customer.update'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -210,7 +210,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireRoles(['admin']),
+  requirePermission('customer.delete'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -228,7 +228,7 @@ router.delete(
 router.post(
   '/:id/restore',
   authenticate,
-  requireRoles(['admin']),
+  requirePermission('customer.delete'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -246,7 +246,7 @@ router.post(
 router.patch(
   '/:id/toggle-status',
   authenticate,
-  requireRoles(['admin', 'sales']),
+  requirePermission('customer.status'),
   [
     param('id')
       .custom(isValidObjectId)
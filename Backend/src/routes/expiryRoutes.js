@@ -0,0 +1,65 @@
+const express = require('express');
+const expiryController = require('../controllers/expiryController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All expiry routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/expiry/returnable-batches
+ * @desc    Get batches with stock left that are inside their supplier's return window, by supplier
+ * @access  Private (expiry.view)
+ * @query   supplierId, warehouseId, asOf
+ */
+router.get('/returnable-batches', requirePermission('expiry.view'), expiryController.getReturnableBatches);
+
+/**
+ * @route   POST /api/v1/expiry/supplier-returns
+ * @desc    Create purchase returns for returnable batches and open a claim for each
+ * @access  Private (expiry.manage)
+ * @body    batchIds (default: every returnable batch), supplierId, warehouseId, returnNotes
+ */
+router.post('/supplier-returns', requirePermission('expiry.manage'), expiryController.createSupplierReturns);
+
+/**
+ * @route   POST /api/v1/expiry/write-offs
+ * @desc    Write off expired stock to the expiry loss account
+ * @access  Private (expiry.manage)
+ * @body    batchIds (default: expired batches no supplier will take back), warehouseId, notes
+ */
+router.post('/write-offs', requirePermission('expiry.manage'), expiryController.writeOffExpiredStock);
+
+/**
+ * @route   GET /api/v1/expiry/claims
+ * @desc    Get supplier expiry claims with filtering and pagination
+ * @access  Private (expiry.view)
+ * @query   supplierId, status, page, limit
+ */
+router.get('/claims', requirePermission('expiry.view'), expiryController.getClaims);
+
+/**
+ * @route   GET /api/v1/expiry/claims/:id
+ * @desc    Get a supplier expiry claim
+ * @access  Private (expiry.view)
+ */
+router.get('/claims/:id', requirePermission('expiry.view'), expiryController.getClaimById);
+
+/**
+ * @route   POST /api/v1/expiry/claims/:id/settlements
+ * @desc    Record a credit note, payment or replacement stock against a claim
+ * @access  Private (expiry.claims)
+ * @body    amount (required), method (required), reference, notes
+ */
+router.post('/claims/:id/settlements', requirePermission('expiry.claims'), expiryController.recordSettlement);
+
+/**
+ * @route   POST /api/v1/expiry/claims/:id/reject
+ * @desc    Record that the supplier refused a claim and charge the unsettled credit to expiry loss
+ * @access  Private (expiry.claims)
+ * @body    reason (required)
+ */
+router.post('/claims/:id/reject', requirePermission('expiry.claims'), expiryController.rejectClaim);
+
+module.exports = router;
@@ -23,6 +23,27 @@ const quotationHistoryRoutes = require('./quotationHistory');
 const rateSuggestionRoutes = require('./rateSuggestions');
 const printRoutes = require('./printRoutes');
 const smsRoutes = require('./smsRoutes');
+const recallRoutes = require('./recallRoutes');
+const withholdingTaxRoutes = require('./withholdingTaxRoutes');
+const auditRoutes = require('./auditRoutes');
+const roleRoutes = require('./roleRoutes');
+const approvalRoutes = require('./approvalRoutes');
+const notificationRoutes = require('./notificationRoutes');
+const stockTransferRoutes = require('./stockTransferRoutes');
+const stockTakeRoutes = require('./stockTakeRoutes');
+const stockReservationRoutes = require('./stockReservationRoutes');
+const expiryRoutes = require('./expiryRoutes');
+const commissionRoutes = require('./commissionRoutes');
+const targetRoutes = require('./targetRoutes');
+const priceListRoutes = require('./priceListRoutes');
+const routePlanningRoutes = require('./routePlanningRoutes');
+const recoverySummaryRoutes = require('./recoverySummaryRoutes');
+const statementRoutes = require('./statementRoutes');
+const pdcRoutes = require('./pdcRoutes');
+const bankReconciliationRoutes = require('./bankReconciliationRoutes');
+const creditControlRoutes = require('./creditControlRoutes');
+const customerPortalRoutes = require('./customerPortalRoutes');
+const portalLoginRoutes = require('./portalLoginRoutes');
 
 const router = express.Router();
 
@@ -54,6 +75,26 @@ router.get('/', (req, res) => {
       rateSuggestions: '/api/rate-suggestions',
       print: '/api/print',
       sms: '/api/sms',
+      recalls: '/api/v1/recalls',
+      withholdingTax: '/api/v1/withholding-tax',
+      audit: '/api/v1/audit',
+      roles: '/api/v1/roles',
+      approvals: '/api/v1/approvals',
+      notifications: '/api/v1/notifications',
+      stockTransfers: '/api/v1/stock-transfers',
+      stockTakes: '/api/v1/stock-takes',
+      stockReservations: '/api/v1/stock-reservations',
+      expiry: '/api/v1/expiry',
+      commissions: '/api/v1/commissions',
+      targets: '/api/v1/targets',
+      priceLists: '/api/v1/price-lists',
+      routePlanning: '/api/v1/route-planning',
+      recoverySummaries: '/api/v1/recovery-summaries',
+      statements: '/api/v1/statements',
+      pdc: '/api/v1/pdc',
+      creditControl: '/api/v1/credit-control',
+      portal: '/api/v1/portal',
+      portalLogins: '/api/v1/portal-logins',
     },
   });
 });
@@ -85,6 +126,27 @@ router.use('/quotation-history', quotationHistoryRoutes); // Quotation history r
 router.use('/rate-suggestions', rateSuggestionRoutes); // Rate suggestion routes
 router.use('/print', printRoutes); // Print routes
 router.use('/v1/sms', smsRoutes); // SMS routes
+router.use('/v1/recalls', recallRoutes); // Batch recall routes
+router.use('/v1/withholding-tax', withholdingTaxRoutes); // Withholding tax routes
+router.use('/v1/audit', auditRoutes); // Audit trail routes
+router.use('/v1/roles', roleRoutes); // Role and permission routes
+router.use('/v1/approvals', approvalRoutes); // Approval workflow routes
+router.use('/v1/notifications', notificationRoutes); // In-app notification routes
+router.use('/v1/stock-transfers', stockTransferRoutes); // Warehouse transfer document routes
+router.use('/v1/stock-takes', stockTakeRoutes); // Stock take and cycle count routes
+router.use('/v1/stock-reservations', stockReservationRoutes); // Stock held for estimates and sales orders
+router.use('/v1/expiry', expiryRoutes); // Expiry returns to suppliers, write-offs and supplier claims
+router.use('/v1/commissions', commissionRoutes); // Salesman commission plans and statements
+router.use('/v1/targets', targetRoutes); // Sales targets and achievement tracking
+router.use('/v1/price-lists', priceListRoutes); // Customer price lists and contract pricing
+router.use('/v1/route-planning', routePlanningRoutes); // Beat plans, visit sheets and visit outcomes
+router.use('/v1/recovery-summaries', recoverySummaryRoutes); // Recovery sheets, receipt posting and cash reconciliation
+router.use('/v1/statements', statementRoutes); // Customer statements of account (PDF and email)
+router.use('/v1/pdc', pdcRoutes); // Post-dated cheque register, deposit slips and bounced-cheque holds
+router.use('/v1/bank-reconciliations', bankReconciliationRoutes); // Bank statement import and matching
+router.use('/v1/credit-control', creditControlRoutes); // Customer credit status, nightly credit review and overrides
+router.use('/v1/portal', customerPortalRoutes); // Customer portal: own invoices, balance, statement, schemes, orders
+router.use('/v1/portal-logins', portalLoginRoutes); // Staff management of customer portal logins
 
 // Health check for API
 router.get('/health', (req, res) => {
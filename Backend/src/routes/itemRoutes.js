@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const itemController = require('../controllers/itemController');
 const batchController = require('../controllers/batchController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -228,7 +228,7 @@ router.get('/:id', authenticate, itemController.getItemById);
  *       500:
  *         description: Internal server error
  */
-router.post('/', authenticate, authorize(['admin', 'inventory_manager']), itemController.createItem);
+router.post('/', authenticate, requirePermission('item.manage'), itemController.createItem);
 
 /**
  * @swagger
@@ -299,7 +299,7 @@ router.post('/', authenticate, authorize(['admin', 'inventory_manager']), itemCo
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', authenticate, authorize(['admin', 'inventory_manager']), itemController.updateItem);
+router.put('/:id', authenticate, requirePermission('item.manage'), itemController.updateItem);
 
 /**
  * @swagger
@@ -324,7 +324,7 @@ router.put('/:id', authenticate, authorize(['admin', 'inventory_manager']), item
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', authenticate, authorize(['admin', 'inventory_manager']), itemController.deleteItem);
+router.delete('/:id', authenticate, requirePermission('item.manage'), itemController.deleteItem);
 
 /**
  * @swagger
@@ -369,7 +369,7 @@ router.delete('/:id', authenticate, authorize(['admin', 'inventory_manager']), i
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/stock', authenticate, authorize(['admin', 'inventory_manager']), itemController.updateItemStock);
+router.patch('/:id/stock', authenticate, requirePermission('item.stock'), itemController.updateItemStock);
 
 /**
  * @swagger
@@ -415,7 +415,7 @@ router.patch('/:id/stock', authenticate, authorize(['admin', 'inventory_manager'
  *       404:
  *         description: Warehouse or item not found
  */
-router.post('/transfer', authenticate, authorize(['admin', 'inventory_manager']), itemController.transferStock);
+router.post('/transfer', authenticate, requirePermission('item.stock'), itemController.transferStock);
 
 // Batch related item routes
 router.get('/:itemId/next-batch-number', authenticate, batchController.getNextBatchNumber);
@@ -5,7 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const {
   getMetrics,
   getSlowRoutes,
@@ -89,7 +89,7 @@ router.get('/health/detailed', async (req, res) => {
  * @desc    Get performance metrics
  * @access  Private (Admin only)
  */
-router.get('/metrics', authenticate, requireAdmin, (req, res) => {
+router.get('/metrics', authenticate, requirePermission('system.monitor'), (req, res) => {
   try {
     const metrics = getMetrics();
 
@@ -113,7 +113,7 @@ router.get('/metrics', authenticate, requireAdmin, (req, res) => {
  * @desc    Get dashboard data with all metrics
  * @access  Private (Admin only)
  */
-router.get('/metrics/dashboard', authenticate, requireAdmin, (req, res) => {
+router.get('/metrics/dashboard', authenticate, requirePermission('system.monitor'), (req, res) => {
   try {
     const dashboard = getDashboardData();
 
@@ -137,7 +137,7 @@ router.get('/metrics/dashboard', authenticate, requireAdmin, (req, res) => {
  * @desc    Get slowest routes
  * @access  Private (Admin only)
  */
-router.get('/metrics/slow-routes', authenticate, requireAdmin, (req, res) => {
+router.get('/metrics/slow-routes', authenticate, requirePermission('system.monitor'), (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const slowRoutes = getSlowRoutes(limit);
@@ -162,7 +162,7 @@ router.get('/metrics/slow-routes', authenticate, requireAdmin, (req, res) => {
  * @desc    Get routes with most errors
  * @access  Private (Admin only)
  */
-router.get('/metrics/error-routes', authenticate, requireAdmin, (req, res) => {
+router.get('/metrics/error-routes', authenticate, requirePermission('system.monitor'), (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const errorRoutes = getErrorRoutes(limit);
@@ -187,7 +187,7 @@ router.get('/metrics/error-routes', authenticate, requireAdmin, (req, res) => {
  * @desc    Get cache statistics
  * @access  Private (Admin only)
  */
-router.get('/metrics/cache', authenticate, requireAdmin, (req, res) => {
+router.get('/metrics/cache', authenticate, requirePermission('system.monitor'), (req, res) => {
   try {
     const cacheStats = CacheManager.getAllStats();
 
@@ -211,7 +211,7 @@ router.get('/metrics/cache', authenticate, requireAdmin, (req, res) => {
  * @desc    Get database index statistics
  * @access  Private (Admin only)
  */
-router.get('/metrics/database', authenticate, requireAdmin, async (req, res) => {
+router.get('/metrics/database', authenticate, requirePermission('system.monitor'), async (req, res) => {
   try {
     const indexStats = await getAllIndexStats();
 
@@ -235,7 +235,7 @@ router.get('/metrics/database', authenticate, requireAdmin, async (req, res) =>
  * @desc    Reset performance metrics
  * @access  Private (Admin only)
  */
-router.post('/metrics/reset', authenticate, requireAdmin, (req, res) => {
+router.post('/metrics/reset', authenticate, requirePermission('system.monitor'), (req, res) => {
   try {
     resetMetrics();
 
@@ -259,7 +259,7 @@ router.post('/metrics/reset', authenticate, requireAdmin, (req, res) => {
  * @desc    Clear all caches
  * @access  Private (Admin only)
  */
-router.post('/cache/clear', authenticate, requireAdmin, (req, res) => {
+router.post('/cache/clear', authenticate, requirePermission('system.monitor'), (req, res) => {
   try {
     const { duration } = req.body;
 
@@ -291,7 +291,7 @@ router.post('/cache/clear', authenticate, requireAdmin, (req, res) => {
  * @desc    Get system information
  * @access  Private (Admin only)
  */
-router.get('/system/info', authenticate, requireAdmin, (req, res) => {
+router.get('/system/info', authenticate, requirePermission('system.monitor'), (req, res) => {
   try {
     const info = {
       node: {
@@ -0,0 +1,97 @@
+const express = require('express');
+const pdcController = require('../controllers/pdcController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All post-dated cheque routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/pdc
+ * @desc    Post-dated cheque register: cheques in hand grouped by bank
+ * @access  Private (pdc.view)
+ * @query   dueDate - only cheques due on or before this date
+ */
+router.get('/', requirePermission('pdc.view'), pdcController.getRegister);
+
+/**
+ * @route   GET /api/v1/pdc/cheques
+ * @desc    Get post-dated cheques in any status
+ * @access  Private (pdc.view)
+ * @query   chequeStatus (pending, deposited, cleared, bounced), customerId, bankName, depositSlipId,
+ *          startDate, endDate (cheque date), page, limit
+ */
+router.get('/cheques', requirePermission('pdc.view'), pdcController.getCheques);
+
+/**
+ * @route   POST /api/v1/pdc/cheques/:id/bounce-charges
+ * @desc    Charge a bounced cheque's bank charges to the customer's account
+ * @access  Private (pdc.manage)
+ * @body    amount (required)
+ */
+router.post('/cheques/:id/bounce-charges', requirePermission('pdc.manage'), pdcController.recordBounceCharges);
+
+/**
+ * @route   POST /api/v1/pdc/cheques/:id/resolve
+ * @desc    Resolve a bounced cheque, lifting the customer's credit hold for it
+ * @access  Private (pdc.manage)
+ * @body    resolution (required)
+ */
+router.post('/cheques/:id/resolve', requirePermission('pdc.manage'), pdcController.resolveBouncedCheque);
+
+/**
+ * @route   GET /api/v1/pdc/bounced-holds
+ * @desc    Customers whose credit sales are held for bounced cheques
+ * @access  Private (pdc.view)
+ * @query   customerId
+ */
+router.get('/bounced-holds', requirePermission('pdc.view'), pdcController.getBouncedChequeHolds);
+
+/**
+ * @route   POST /api/v1/pdc/deposit-slips/generate
+ * @desc    Batch the cheques in hand due by a date into deposit slips, one per bank
+ * @access  Private (pdc.manage)
+ * @body    date (default: today), bankName, depositAccount, notes
+ */
+router.post('/deposit-slips/generate', requirePermission('pdc.manage'), pdcController.generateDepositSlips);
+
+/**
+ * @route   GET /api/v1/pdc/deposit-slips
+ * @desc    Get deposit slips
+ * @access  Private (pdc.view)
+ * @query   status, bankName, startDate, endDate, page, limit
+ */
+router.get('/deposit-slips', requirePermission('pdc.view'), pdcController.getDepositSlips);
+
+/**
+ * @route   GET /api/v1/pdc/deposit-slips/:id
+ * @desc    Get a deposit slip with its cheques
+ * @access  Private (pdc.view)
+ */
+router.get('/deposit-slips/:id', requirePermission('pdc.view'), pdcController.getDepositSlipById);
+
+/**
+ * @route   POST /api/v1/pdc/deposit-slips/:id/confirm
+ * @desc    Confirm a deposit slip: listed cheques bounce, the rest clear
+ * @access  Private (pdc.manage)
+ * @body    bounced: [{receiptId, reason, charges}], notes
+ */
+router.post('/deposit-slips/:id/confirm', requirePermission('pdc.manage'), pdcController.confirmDepositSlip);
+
+/**
+ * @route   POST /api/v1/pdc/deposit-slips/:id/cancel
+ * @desc    Cancel an open deposit slip, putting its cheques back in hand
+ * @access  Private (pdc.manage)
+ */
+router.post('/deposit-slips/:id/cancel', requirePermission('pdc.manage'), pdcController.cancelDepositSlip);
+
+/**
+ * @route   POST /api/v1/pdc/reminders/run
+ * @desc    Alert cheque managers to cheques maturing soon (also runs daily)
+ * @access  Private (pdc.manage)
+ * @body    daysAhead (default: PDC_REMINDER_DAYS, or 3)
+ */
+router.post('/reminders/run', requirePermission('pdc.manage'), pdcController.sendMaturityReminders);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const customerPortalController = require('../controllers/customerPortalController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Portal logins are managed by staff
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/portal-logins
+ * @desc    Get customer portal logins
+ * @access  Private (portal.manage)
+ * @query   customerId, isActive, page, limit
+ */
+router.get('/', requirePermission('portal.manage'), customerPortalController.getLogins);
+
+/**
+ * @route   POST /api/v1/portal-logins
+ * @desc    Open a customer portal login for a customer
+ * @access  Private (portal.manage)
+ * @body    customerId (required), username (required), password (required, 8+ characters), name (required),
+ *          email, phone
+ */
+router.post('/', requirePermission('portal.manage'), customerPortalController.createLogin);
+
+/**
+ * @route   PUT /api/v1/portal-logins/:id
+ * @desc    Change a portal login, reset its password, or close (isActive false) and reopen it
+ * @access  Private (portal.manage)
+ * @body    name, email, phone, password, isActive
+ */
+router.put('/:id', requirePermission('portal.manage'), customerPortalController.updateLogin);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const priceListController = require('../controllers/priceListController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All price list routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/price-lists
+ * @desc    Get price lists (without their items)
+ * @access  Private (pricelist.view)
+ * @query   isActive, customerId, routeId, customerType, itemId, activeOn
+ */
+router.get('/', requirePermission('pricelist.view'), priceListController.getPriceLists);
+
+/**
+ * @route   GET /api/v1/price-lists/resolve
+ * @desc    Get the list price, minimum price and maximum discount a customer gets on each item
+ * @access  Private (pricelist.view)
+ * @query   customerId (required), itemIds (required, comma separated), date (default: today)
+ */
+router.get('/resolve', requirePermission('pricelist.view'), priceListController.resolvePrices);
+
+/**
+ * @route   POST /api/v1/price-lists
+ * @desc    Create a price list
+ * @access  Private (pricelist.manage)
+ * @body    name (required), validFrom (required), validTo, priority, description,
+ *          customerTypes, routeIds, customerIds (at least one), items [{itemId, price, minPrice, maxDiscountPercent}]
+ */
+router.post('/', requirePermission('pricelist.manage'), priceListController.createPriceList);
+
+/**
+ * @route   GET /api/v1/price-lists/:id
+ * @desc    Get a price list with its items
+ * @access  Private (pricelist.view)
+ */
+router.get('/:id', requirePermission('pricelist.view'), priceListController.getPriceListById);
+
+/**
+ * @route   PUT /api/v1/price-lists/:id
+ * @desc    Update a price list; items replaces the whole item list
+ * @access  Private (pricelist.manage)
+ */
+router.put('/:id', requirePermission('pricelist.manage'), priceListController.updatePriceList);
+
+module.exports = router;
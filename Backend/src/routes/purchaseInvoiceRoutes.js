@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const purchaseInvoiceController = require('../controllers/purchaseInvoiceController');
-const { authenticate, requireRoles } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate, isValidObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -14,7 +14,7 @@ const router = express.Router();
 router.get(
   '/statistics',
   authenticate,
-  requireRoles(['admin', 'purchase', 'accountant']),
+  requirePermission('invoice.purchase.view'),
   purchaseInvoiceController.getPurchaseStatistics,
 );
 
@@ -109,7 +109,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireRoles(['admin', 'purchase', 'data_entry']),
+  requirePermission('invoice.purchase.create'),
   [
     body('supplierId')
       .notEmpty()
@@ -190,7 +190,7 @@ router.get(
 router.put(
   '/:id',
   authenticate,
-  requireRoles(['admin', 'purchase', 'data_entry']),
+  requirePermission('invoice.purchase.update'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -258,7 +258,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireRoles(['admin']),
+  requirePermission('invoice.purchase.delete'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -276,7 +276,7 @@ router.delete(
 router.patch(
   '/:id/status',
   authenticate,
-  requireRoles(['admin', 'purchase', 'accountant']),
+  requirePermission('invoice.purchase.status'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -299,7 +299,7 @@ router.patch(
 router.patch(
   '/:id/payment-status',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('invoice.purchase.payment'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -322,7 +322,7 @@ router.patch(
 router.patch(
   '/:id/confirm',
   authenticate,
-  requireRoles(['admin', 'purchase', 'accountant']),
+  requirePermission('invoice.purchase.confirm'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -340,7 +340,7 @@ router.patch(
 router.patch(
   '/:id/payment',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('invoice.purchase.payment'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -386,7 +386,7 @@ router.patch(
 router.post(
   '/:id/mark-paid',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('invoice.purchase.payment'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -423,7 +423,7 @@ router.post(
 router.post(
   '/:id/mark-partial-paid',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('invoice.purchase.payment'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -455,7 +455,7 @@ router.post(
 router.patch(
   '/:id/cancel',
   authenticate,
-  requireRoles(['admin']),
+  requirePermission('invoice.cancel'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -560,7 +560,12 @@ module.exports = router;
  *       500:
  *         description: Internal server error
  */
-router.post('/return', authenticate, requireRoles(['admin', 'purchase_manager']), purchaseInvoiceController.createPurchaseReturn);
+router.post(
+  '/return',
+  authenticate,
+  requirePermission('invoice.purchase.return'),
+  purchaseInvoiceController.createPurchaseReturn,
+);
 
 /**
  * @swagger
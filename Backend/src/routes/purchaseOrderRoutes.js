@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const purchaseOrderController = require('../controllers/purchaseOrderController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * Purchase Order Routes
@@ -17,7 +17,7 @@ router.use(authenticate);
  * @desc    Create a new purchase order
  * @access  Private (Admin, Purchase)
  */
-router.post('/', authorize('admin', 'purchase'), purchaseOrderController.createPurchaseOrder);
+router.post('/', requirePermission('purchase_order.create'), purchaseOrderController.createPurchaseOrder);
 
 /**
  * @route   GET /api/purchase-orders
@@ -34,6 +34,30 @@ router.get('/', purchaseOrderController.getPurchaseOrders);
  */
 router.get('/rate-lookup', purchaseOrderController.getPORate);
 
+/**
+ * @route   GET /api/purchase-orders/reorder-suggestions
+ * @desc    Get reorder suggestions per item and warehouse, grouped by supplier
+ * @access  Private (Admin, Purchase)
+ * @query   warehouseId, supplierId, itemIds (comma separated), lookbackDays, safetyDays, coverDays
+ */
+router.get(
+  '/reorder-suggestions',
+  requirePermission('purchase_order.create'),
+  purchaseOrderController.getReorderSuggestions
+);
+
+/**
+ * @route   POST /api/purchase-orders/reorder-suggestions/generate
+ * @desc    Raise draft purchase orders from the reorder suggestions, one per supplier and warehouse
+ * @access  Private (Admin, Purchase)
+ * @body    warehouseId, supplierId, itemIds, lookbackDays, safetyDays, coverDays
+ */
+router.post(
+  '/reorder-suggestions/generate',
+  requirePermission('purchase_order.create'),
+  purchaseOrderController.generateReorderPurchaseOrders
+);
+
 /**
  * @route   GET /api/purchase-orders/:id
  * @desc    Get purchase order by ID
@@ -46,21 +70,21 @@ router.get('/:id', purchaseOrderController.getPurchaseOrderById);
  * @desc    Approve a purchase order
  * @access  Private (Admin only)
  */
-router.post('/:id/approve', authorize('admin'), purchaseOrderController.approvePurchaseOrder);
+router.post('/:id/approve', requirePermission('purchase_order.approve'), purchaseOrderController.approvePurchaseOrder);
 
 /**
  * @route   PUT /api/purchase-orders/:id
  * @desc    Update a purchase order
  * @access  Private (Admin, Purchase)
  */
-router.put('/:id', authorize('admin', 'purchase'), purchaseOrderController.updatePurchaseOrder);
+router.put('/:id', requirePermission('purchase_order.update'), purchaseOrderController.updatePurchaseOrder);
 
 /**
  * @route   DELETE /api/purchase-orders/:id
  * @desc    Delete a purchase order (soft delete)
  * @access  Private (Admin only)
  */
-router.delete('/:id', authorize('admin'), purchaseOrderController.deletePurchaseOrder);
+router.delete('/:id', requirePermission('purchase_order.delete'), purchaseOrderController.deletePurchaseOrder);
 
 /**
  * @route   POST /api/purchase-orders/:id/convert-to-invoice
@@ -70,7 +94,7 @@ router.delete('/:id', authorize('admin'), purchaseOrderController.deletePurchase
  */
 router.post(
   '/:id/convert-to-invoice',
-  authorize('admin', 'purchase'),
+  requirePermission('purchase_order.create'),
   purchaseOrderController.convertPOToInvoice
 );
 
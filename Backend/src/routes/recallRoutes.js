@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const recallController = require('../controllers/recallController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recalls
+ *   description: Batch recall tracing, quarantine and customer return requests
+ */
+
+/**
+ * @swagger
+ * /api/v1/recalls/trace:
+ *   get:
+ *     summary: Trace a batch number or supplier lot to every invoice, customer, route and salesman
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: batchNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: supplierLotNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Trace report including quantity still held per warehouse
+ *       404:
+ *         description: No batches found
+ */
+router.get('/trace', authenticate, recallController.traceBatch);
+
+/**
+ * @swagger
+ * /api/v1/recalls:
+ *   post:
+ *     summary: Open a recall for a batch number or supplier lot
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               batchNumber:
+ *                 type: string
+ *               supplierLotNumber:
+ *                 type: string
+ *               itemId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               authorityReference:
+ *                 type: string
+ *                 description: Regulator notice reference (e.g. DRAP letter number)
+ *               quarantine:
+ *                 type: boolean
+ *                 description: Quarantine the batches immediately
+ *     responses:
+ *       201:
+ *         description: Recall created
+ */
+router.post('/', authenticate, requirePermission('recall.manage'), recallController.createRecall);
+router.get('/', authenticate, recallController.getRecalls);
+router.get('/:id', authenticate, recallController.getRecall);
+router.get('/:id/trace', authenticate, recallController.getRecallTrace);
+
+/**
+ * @swagger
+ * /api/v1/recalls/{id}/quarantine:
+ *   post:
+ *     summary: Quarantine the recalled batches, blocking further allocation and sale
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batches quarantined
+ */
+router.post('/:id/quarantine', authenticate, requirePermission('recall.manage'), recallController.quarantineRecall);
+
+/**
+ * @swagger
+ * /api/v1/recalls/{id}/return-requests:
+ *   post:
+ *     summary: Generate one return request per customer that received recalled units
+ *     tags: [Recalls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return requests generated
+ */
+router.post(
+  '/:id/return-requests',
+  authenticate,
+  requirePermission('recall.returns'),
+  recallController.generateReturnRequests
+);
+router.patch(
+  '/:id/return-requests/:requestId',
+  authenticate,
+  requirePermission('recall.returns'),
+  recallController.updateReturnRequestStatus
+);
+router.post('/:id/close', authenticate, requirePermission('recall.manage'), recallController.closeRecall);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const recoverySummaryController = require('../controllers/recoverySummaryController');
-const { protect } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * Recovery Summary Routes
@@ -10,24 +10,31 @@ const { protect } = require('../middleware/auth');
  */
 
 // Apply authentication middleware to all routes
-router.use(protect);
+router.use(authenticate);
 
 // Statistics endpoint (must be before /:id route)
-router.get('/statistics', recoverySummaryController.getRecoveryStatistics);
+router.get('/statistics', requirePermission('recovery.view'), recoverySummaryController.getRecoveryStatistics);
+
+// Generate from the unpaid invoices on a salesman's route in a town
+router.post('/generate', requirePermission('recovery.manage'), recoverySummaryController.generateRecoverySummary);
 
 // Print endpoint
-router.get('/:id/print', recoverySummaryController.getRecoverySummaryPrint);
+router.get('/:id/print', requirePermission('recovery.view'), recoverySummaryController.getRecoverySummaryPrint);
+
+// Post collected amounts as cash receipts, then reconcile the cash handed over
+router.post('/:id/post', requirePermission('recovery.post'), recoverySummaryController.postRecoveries);
+router.post('/:id/reconcile', requirePermission('recovery.post'), recoverySummaryController.reconcileCash);
 
 // CRUD routes
 router
     .route('/')
-    .post(recoverySummaryController.createRecoverySummary)
-    .get(recoverySummaryController.getRecoverySummaries);
+    .post(requirePermission('recovery.manage'), recoverySummaryController.createRecoverySummary)
+    .get(requirePermission('recovery.view'), recoverySummaryController.getRecoverySummaries);
 
 router
     .route('/:id')
-    .get(recoverySummaryController.getRecoverySummaryById)
-    .put(recoverySummaryController.updateRecoverySummary)
-    .delete(recoverySummaryController.deleteRecoverySummary);
+    .get(requirePermission('recovery.view'), recoverySummaryController.getRecoverySummaryById)
+    .put(requirePermission('recovery.manage'), recoverySummaryController.updateRecoverySummary)
+    .delete(requirePermission('recovery.manage'), recoverySummaryController.deleteRecoverySummary);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const reportController = require('../controllers/reportController');
-const { authenticate, requireRoles, requireAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -13,7 +13,7 @@ router.use(authenticate);
  * @access  Private
  * @query   startDate, endDate, customerId (optional), groupBy (optional), format (optional)
  */
-router.get('/sales', requireRoles(['admin', 'sales', 'accountant']), reportController.getSalesReport);
+router.get('/sales', requirePermission('report.sales.view'), reportController.getSalesReport);
 
 /**
  * @route   GET /api/v1/reports/purchase
@@ -21,7 +21,7 @@ router.get('/sales', requireRoles(['admin', 'sales', 'accountant']), reportContr
  * @access  Private
  * @query   startDate, endDate, supplierId (optional), groupBy (optional), format (optional)
  */
-router.get('/purchase', requireRoles(['admin', 'purchase', 'accountant']), reportController.getPurchaseReport);
+router.get('/purchase', requirePermission('report.purchase.view'), reportController.getPurchaseReport);
 
 /**
  * @route   GET /api/v1/reports/inventory
@@ -29,7 +29,15 @@ router.get('/purchase', requireRoles(['admin', 'purchase', 'accountant']), repor
  * @access  Private
  * @query   category (optional), lowStockOnly (optional), includeInactive (optional), format (optional)
  */
-router.get('/inventory', requireRoles(['admin', 'inventory', 'sales', 'purchase', 'accountant']), reportController.getInventoryReport);
+router.get('/inventory', requirePermission('report.inventory.view'), reportController.getInventoryReport);
+
+/**
+ * @route   GET /api/v1/reports/inventory/valuation
+ * @desc    Value stock on hand from cost layers using the configured valuation method
+ * @access  Private
+ * @query   itemId (optional), warehouseId (optional)
+ */
+router.get('/inventory/valuation', requirePermission('report.inventory.view'), reportController.getInventoryValuation);
 
 /**
  * @route   GET /api/v1/reports/financial/profit-loss
@@ -37,7 +45,7 @@ router.get('/inventory', requireRoles(['admin', 'inventory', 'sales', 'purchase'
  * @access  Private
  * @query   startDate, endDate, format (optional)
  */
-router.get('/financial/profit-loss', requireRoles(['admin', 'accountant']), reportController.getProfitLossStatement);
+router.get('/financial/profit-loss', requirePermission('report.financial.view'), reportController.getProfitLossStatement);
 
 /**
  * @route   GET /api/v1/reports/financial/balance-sheet
@@ -45,7 +53,7 @@ router.get('/financial/profit-loss', requireRoles(['admin', 'accountant']), repo
  * @access  Private
  * @query   asOfDate, format (optional)
  */
-router.get('/financial/balance-sheet', requireRoles(['admin', 'accountant']), reportController.getBalanceSheet);
+router.get('/financial/balance-sheet', requirePermission('report.financial.view'), reportController.getBalanceSheet);
 
 /**
  * @route   GET /api/v1/reports/financial/cash-flow
@@ -53,7 +61,7 @@ router.get('/financial/balance-sheet', requireRoles(['admin', 'accountant']), re
  * @access  Private
  * @query   startDate, endDate, format (optional)
  */
-router.get('/financial/cash-flow', requireRoles(['admin', 'accountant']), reportController.getCashFlowStatement);
+router.get('/financial/cash-flow', requirePermission('report.financial.view'), reportController.getCashFlowStatement);
 
 /**
  * @route   GET /api/v1/reports/financial/tax-compliance
@@ -61,7 +69,7 @@ router.get('/financial/cash-flow', requireRoles(['admin', 'accountant']), report
  * @access  Private
  * @query   startDate, endDate, format (optional)
  */
-router.get('/financial/tax-compliance', requireRoles(['admin', 'accountant']), reportController.getTaxComplianceReport);
+router.get('/financial/tax-compliance', requirePermission('report.financial.view'), reportController.getTaxComplianceReport);
 
 /**
  * @route   GET /api/v1/reports/financial/summary
@@ -69,14 +77,14 @@ router.get('/financial/tax-compliance', requireRoles(['admin', 'accountant']), r
  * @access  Private
  * @query   startDate, endDate, format (optional)
  */
-router.get('/financial/summary', requireRoles(['admin', 'accountant']), reportController.getFinancialSummary);
+router.get('/financial/summary', requirePermission('report.financial.view'), reportController.getFinancialSummary);
 
 /**
  * @route   GET /api/v1/reports/analytics/dashboard
  * @desc    Get dashboard summary
  * @access  Private
  */
-router.get('/analytics/dashboard', requireAdmin, reportController.getDashboardSummary);
+router.get('/analytics/dashboard', requirePermission('report.dashboard.view'), reportController.getDashboardSummary);
 
 /**
  * @route   GET /api/v1/reports/analytics/sales-trends
@@ -84,7 +92,7 @@ router.get('/analytics/dashboard', requireAdmin, reportController.getDashboardSu
  * @access  Private
  * @query   startDate, endDate, interval (optional: daily, weekly, monthly)
  */
-router.get('/analytics/sales-trends', requireRoles(['admin', 'accountant']), reportController.getSalesTrends);
+router.get('/analytics/sales-trends', requirePermission('report.financial.view'), reportController.getSalesTrends);
 
 /**
  * @route   GET /api/v1/reports/analytics/top-customers
@@ -92,7 +100,7 @@ router.get('/analytics/sales-trends', requireRoles(['admin', 'accountant']), rep
  * @access  Private
  * @query   startDate, endDate, limit (optional, default: 10)
  */
-router.get('/analytics/top-customers', requireRoles(['admin', 'accountant']), reportController.getTopCustomers);
+router.get('/analytics/top-customers', requirePermission('report.financial.view'), reportController.getTopCustomers);
 
 /**
  * @route   GET /api/v1/reports/analytics/top-items
@@ -100,7 +108,7 @@ router.get('/analytics/top-customers', requireRoles(['admin', 'accountant']), re
  * @access  Private
  * @query   startDate, endDate, limit (optional, default: 10)
  */
-router.get('/analytics/top-items', requireRoles(['admin', 'accountant']), reportController.getTopSellingItems);
+router.get('/analytics/top-items', requirePermission('report.financial.view'), reportController.getTopSellingItems);
 
 /**
  * @route   GET /api/v1/reports/analytics/revenue-by-category
@@ -108,7 +116,7 @@ router.get('/analytics/top-items', requireRoles(['admin', 'accountant']), report
  * @access  Private
  * @query   startDate, endDate
  */
-router.get('/analytics/revenue-by-category', requireRoles(['admin', 'accountant']), reportController.getRevenueByCategory);
+router.get('/analytics/revenue-by-category', requirePermission('report.financial.view'), reportController.getRevenueByCategory);
 
 /**
  * @route   GET /api/v1/reports/analytics/profit-margins
@@ -116,7 +124,7 @@ router.get('/analytics/revenue-by-category', requireRoles(['admin', 'accountant'
  * @access  Private
  * @query   startDate, endDate
  */
-router.get('/analytics/profit-margins', requireRoles(['admin', 'accountant']), reportController.getProfitMargins);
+router.get('/analytics/profit-margins', requirePermission('report.financial.view'), reportController.getProfitMargins);
 
 /**
  * @route   GET /api/v1/reports/analytics/collection-efficiency
@@ -124,7 +132,7 @@ router.get('/analytics/profit-margins', requireRoles(['admin', 'accountant']), r
  * @access  Private
  * @query   asOfDate (optional, defaults to today)
  */
-router.get('/analytics/collection-efficiency', requireRoles(['admin', 'accountant']), reportController.getPaymentCollectionEfficiency);
+router.get('/analytics/collection-efficiency', requirePermission('report.financial.view'), reportController.getPaymentCollectionEfficiency);
 
 /**
  * @route   GET /api/v1/reports/analytics/inventory-turnover
@@ -132,14 +140,14 @@ router.get('/analytics/collection-efficiency', requireRoles(['admin', 'accountan
  * @access  Private
  * @query   startDate, endDate
  */
-router.get('/analytics/inventory-turnover', requireRoles(['admin', 'accountant']), reportController.getInventoryTurnover);
+router.get('/analytics/inventory-turnover', requirePermission('report.financial.view'), reportController.getInventoryTurnover);
 
 /**
  * @route   GET /api/v1/reports/analytics/kpis
  * @desc    Get real-time KPIs
  * @access  Private
  */
-router.get('/analytics/kpis', requireAdmin, reportController.getRealTimeKPIs);
+router.get('/analytics/kpis', requirePermission('report.dashboard.view'), reportController.getRealTimeKPIs);
 
 /**
  * @route   GET /api/v1/reports/purchase-gst-breakdown
@@ -147,7 +155,7 @@ router.get('/analytics/kpis', requireAdmin, reportController.getRealTimeKPIs);
  * @access  Private
  * @query   startDate, endDate, supplierId (optional), format (optional)
  */
-router.get('/purchase-gst-breakdown', requireRoles(['admin', 'accountant']), reportController.getPurchaseGSTBreakdown);
+router.get('/purchase-gst-breakdown', requirePermission('report.financial.view'), reportController.getPurchaseGSTBreakdown);
 
 /**
  * @route   GET /api/v1/reports/purchase-summary-gst
@@ -155,7 +163,7 @@ router.get('/purchase-gst-breakdown', requireRoles(['admin', 'accountant']), rep
  * @access  Private
  * @query   startDate, endDate, supplierId (optional), format (optional)
  */
-router.get('/purchase-summary-gst', requireRoles(['admin', 'accountant']), reportController.getPurchaseSummaryWithGST);
+router.get('/purchase-summary-gst', requirePermission('report.financial.view'), reportController.getPurchaseSummaryWithGST);
 
 /**
  * @route   GET /api/v1/reports/supplier-wise-gst
@@ -163,7 +171,7 @@ router.get('/purchase-summary-gst', requireRoles(['admin', 'accountant']), repor
  * @access  Private
  * @query   startDate, endDate, format (optional)
  */
-router.get('/supplier-wise-gst', requireRoles(['admin', 'accountant']), reportController.getSupplierWiseGSTReport);
+router.get('/supplier-wise-gst', requirePermission('report.financial.view'), reportController.getSupplierWiseGSTReport);
 
 /**
  * @route   GET /api/reports/warehouse-stock
@@ -171,7 +179,7 @@ router.get('/supplier-wise-gst', requireRoles(['admin', 'accountant']), reportCo
  * @access  Private
  * @query   warehouseId (required)
  */
-router.get('/warehouse-stock', requireRoles(['admin', 'inventory', 'accountant']), reportController.getWarehouseStockReport);
+router.get('/warehouse-stock', requirePermission('report.warehouse.view'), reportController.getWarehouseStockReport);
 
 /**
  * @route   GET /api/reports/warehouse-comparison/:itemId
@@ -179,7 +187,7 @@ router.get('/warehouse-stock', requireRoles(['admin', 'inventory', 'accountant']
  * @access  Private
  * @param   itemId - Item ID
  */
-router.get('/warehouse-comparison/:itemId', requireRoles(['admin', 'inventory', 'accountant']), reportController.getWarehouseComparisonReport);
+router.get('/warehouse-comparison/:itemId', requirePermission('report.warehouse.view'), reportController.getWarehouseComparisonReport);
 
 /**
  * @route   GET /api/reports/discount-breakdown
@@ -188,7 +196,7 @@ router.get('/warehouse-comparison/:itemId', requireRoles(['admin', 'inventory',
  * @query   startDate (required), endDate (required), invoiceType (optional: sales, purchase, all), 
  *          discountType (optional: discount1, discount2, all), claimAccountId (optional), format (optional)
  */
-router.get('/discount-breakdown', requireRoles(['admin', 'accountant']), reportController.getDiscountBreakdown);
+router.get('/discount-breakdown', requirePermission('report.financial.view'), reportController.getDiscountBreakdown);
 
 /**
  * @route   GET /api/reports/tax-summary
@@ -199,7 +207,17 @@ router.get('/discount-breakdown', requireRoles(['admin', 'accountant']), reportC
  * @query   startDate (required), endDate (required), invoiceType (optional: sales, purchase, all),
  *          customerId (optional), supplierId (optional), format (optional)
  */
-router.get('/tax-summary', requireRoles(['admin', 'accountant']), reportController.getTaxSummary);
+router.get('/tax-summary', requirePermission('report.financial.view'), reportController.getTaxSummary);
+
+/**
+ * @route   GET /api/reports/sales-tax-return/:annex
+ * @desc    FBR monthly sales tax return annexure for IRIS: annex-c (sales) or annex-a (purchases)
+ *          Rows carry party NTN/CNIC/STRN, HS code, value, rate and tax; parties missing
+ *          NTN/CNIC and items missing HS codes are listed as validation errors
+ * @access  Private
+ * @query   period (required: YYYY-MM), format (optional: csv, excel)
+ */
+router.get('/sales-tax-return/:annex', requirePermission('report.financial.view'), reportController.getSalesTaxReturn);
 
 /**
  * @route   GET /api/reports/scheme-analysis
@@ -208,7 +226,7 @@ router.get('/tax-summary', requireRoles(['admin', 'accountant']), reportControll
  * @query   startDate (required), endDate (required), customerId (optional), supplierId (optional),
  *          invoiceType (optional: sales, purchase), format (optional)
  */
-router.get('/scheme-analysis', requireRoles(['admin', 'accountant']), reportController.getSchemeAnalysis);
+router.get('/scheme-analysis', requirePermission('report.financial.view'), reportController.getSchemeAnalysis);
 
 /**
  * @route   GET /api/reports/scheme-invoices/:schemeId
@@ -217,7 +235,7 @@ router.get('/scheme-analysis', requireRoles(['admin', 'accountant']), reportCont
  * @param   schemeId - Scheme ID
  * @query   startDate (required), endDate (required), invoiceType (optional: sales, purchase), format (optional)
  */
-router.get('/scheme-invoices/:schemeId', requireRoles(['admin', 'accountant']), reportController.getSchemeInvoices);
+router.get('/scheme-invoices/:schemeId', requirePermission('report.financial.view'), reportController.getSchemeInvoices);
 
 /**
  * Phase 2: Post-Dated Cheque Reports (Requirement 7.5)
@@ -226,7 +244,7 @@ router.get('/scheme-invoices/:schemeId', requireRoles(['admin', 'accountant']),
  * @access  Private
  * @query   dueDate (optional - filter by cheques due on or before this date), format (optional)
  */
-router.get('/pending-cheques', requireRoles(['admin', 'accountant']), reportController.getPendingChequesReport);
+router.get('/pending-cheques', requirePermission('report.financial.view'), reportController.getPendingChequesReport);
 
 /**
  * Phase 2: Aging Report (Requirement 8.5)
@@ -235,7 +253,7 @@ router.get('/pending-cheques', requireRoles(['admin', 'accountant']), reportCont
  * @access  Private
  * @query   accountId (optional - filter by specific customer), format (optional)
  */
-router.get('/aging', requireRoles(['admin', 'accountant', 'sales']), reportController.getAgingReport);
+router.get('/aging', requirePermission('report.aging.view'), reportController.getAgingReport);
 
 /**
  * Phase 2: Salesman Reports (Requirement 9.3, 9.4)
@@ -244,7 +262,7 @@ router.get('/aging', requireRoles(['admin', 'accountant', 'sales']), reportContr
  * @access  Private
  * @query   salesmanId (optional), startDate (required), endDate (required), format (optional)
  */
-router.get('/salesman-sales', requireRoles(['admin', 'sales', 'accountant']), reportController.getSalesmanSalesReport);
+router.get('/salesman-sales', requirePermission('report.salesman.view'), reportController.getSalesmanSalesReport);
 
 /**
  * @route   GET /api/reports/salesman-collections
@@ -252,7 +270,7 @@ router.get('/salesman-sales', requireRoles(['admin', 'sales', 'accountant']), re
  * @access  Private
  * @query   salesmanId (optional), startDate (required), endDate (required), format (optional)
  */
-router.get('/salesman-collections', requireRoles(['admin', 'sales', 'accountant']), reportController.getSalesmanCollectionsReport);
+router.get('/salesman-collections', requirePermission('report.salesman.view'), reportController.getSalesmanCollectionsReport);
 
 /**
  * @route   GET /api/reports/salesman-performance
@@ -260,7 +278,7 @@ router.get('/salesman-collections', requireRoles(['admin', 'sales', 'accountant'
  * @access  Private
  * @query   salesmanId (required), startDate (required), endDate (required), format (optional)
  */
-router.get('/salesman-performance', requireRoles(['admin', 'sales', 'accountant']), reportController.getSalesmanPerformanceReport);
+router.get('/salesman-performance', requirePermission('report.salesman.view'), reportController.getSalesmanPerformanceReport);
 
 /**
  * Phase 2: Salesman Commission Report (Requirement 9.5 - Task 40.2)
@@ -274,7 +292,7 @@ router.get('/salesman-performance', requireRoles(['admin', 'sales', 'accountant'
  *          collectionsCommissionRate (optional - override collections commission rate),
  *          format (optional)
  */
-router.get('/salesman-commission', requireRoles(['admin', 'accountant']), reportController.getSalesmanCommissionReport);
+router.get('/salesman-commission', requirePermission('report.financial.view'), reportController.getSalesmanCommissionReport);
 
 /**
  * Phase 2: Dimension Reporting (Task 68 - Requirement 24)
@@ -286,7 +304,7 @@ router.get('/salesman-commission', requireRoles(['admin', 'accountant']), report
  * @access  Private
  * @query   startDate (required), endDate (required), format (optional)
  */
-router.get('/dimension-expenses', requireRoles(['admin', 'accountant']), reportController.getDimensionExpenses);
+router.get('/dimension-expenses', requirePermission('report.financial.view'), reportController.getDimensionExpenses);
 
 /**
  * @route   GET /api/reports/dimension-budget/:dimension
@@ -295,7 +313,7 @@ router.get('/dimension-expenses', requireRoles(['admin', 'accountant']), reportC
  * @param   dimension - Dimension value
  * @query   startDate (required), endDate (required), format (optional)
  */
-router.get('/dimension-budget/:dimension', requireRoles(['admin', 'accountant']), reportController.getDimensionBudgetComparison);
+router.get('/dimension-budget/:dimension', requirePermission('report.financial.view'), reportController.getDimensionBudgetComparison);
 
 /**
  * @route   GET /api/reports/dimension/:dimension
@@ -304,6 +322,6 @@ router.get('/dimension-budget/:dimension', requireRoles(['admin', 'accountant'])
  * @param   dimension - Dimension value
  * @query   startDate (required), endDate (required), format (optional)
  */
-router.get('/dimension/:dimension', requireRoles(['admin', 'accountant']), reportController.getDimensionReport);
+router.get('/dimension/:dimension', requirePermission('report.financial.view'), reportController.getDimensionReport);
 
 module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const permissionController = require('../controllers/permissionController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Permission catalogue and custom roles
+ */
+
+/**
+ * @swagger
+ * /api/v1/roles/permissions:
+ *   get:
+ *     summary: Get every named permission that roles and user overrides can grant
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names and descriptions
+ */
+router.get('/permissions', authenticate, requirePermission('role.manage'), permissionController.getPermissions);
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   get:
+ *     summary: Get built-in and custom roles with their permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles
+ */
+router.get('/', authenticate, requirePermission('role.manage'), permissionController.getRoles);
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: branch_manager
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['invoice.sales.*', 'invoice.cancel', 'report.financial.view']
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Unknown permission
+ *       409:
+ *         description: Role name already taken
+ */
+router.post('/', authenticate, requirePermission('role.manage'), permissionController.createRole);
+
+/**
+ * @swagger
+ * /api/v1/roles/{id}:
+ *   put:
+ *     summary: Update a custom role's description, permissions or active flag
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       409:
+ *         description: Cannot deactivate a role that users hold
+ */
+router.put('/:id', authenticate, requirePermission('role.manage'), permissionController.updateRole);
+
+/**
+ * @swagger
+ * /api/v1/roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role that no user holds
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       409:
+ *         description: Role is assigned to users
+ */
+router.delete('/:id', authenticate, requirePermission('role.manage'), permissionController.deleteRole);
+
+module.exports = router;
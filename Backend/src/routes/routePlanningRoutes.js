@@ -0,0 +1,93 @@
+const express = require('express');
+const routePlanningController = require('../controllers/routePlanningController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All route planning routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/route-planning/beat-plans
+ * @desc    Get weekday beat plans
+ * @access  Private (visit.view)
+ * @query   routeId, salesmanId, weekday, isActive
+ */
+router.get('/beat-plans', requirePermission('visit.view'), routePlanningController.getBeatPlans);
+
+/**
+ * @route   POST /api/v1/route-planning/beat-plans
+ * @desc    Plan the shops called on along a route on a weekday, in calling order
+ * @access  Private (route.manage)
+ * @body    routeId (required), weekday (required), customers (required): [{customerId, sequence}],
+ *          salesmanId (default: the route's salesman), notes
+ */
+router.post('/beat-plans', requirePermission('route.manage'), routePlanningController.createBeatPlan);
+
+/**
+ * @route   GET /api/v1/route-planning/beat-plans/:id
+ * @desc    Get a beat plan with its shops in calling order
+ * @access  Private (visit.view)
+ */
+router.get('/beat-plans/:id', requirePermission('visit.view'), routePlanningController.getBeatPlanById);
+
+/**
+ * @route   PUT /api/v1/route-planning/beat-plans/:id
+ * @desc    Change a beat plan's shops, salesman, notes or active flag
+ * @access  Private (route.manage)
+ * @body    customers, salesmanId, notes, isActive
+ */
+router.put('/beat-plans/:id', requirePermission('route.manage'), routePlanningController.updateBeatPlan);
+
+/**
+ * @route   POST /api/v1/route-planning/visit-sheets/generate
+ * @desc    Generate each salesman's visit sheet for a day from that weekday's beat plans
+ * @access  Private (visit.record)
+ * @body    date (default: today), salesmanId, routeId
+ */
+router.post('/visit-sheets/generate', requirePermission('visit.record'), routePlanningController.generateVisitSheets);
+
+/**
+ * @route   GET /api/v1/route-planning/visit-sheets
+ * @desc    Get visit sheets
+ * @access  Private (visit.view)
+ * @query   salesmanId, routeId, status, startDate, endDate, page, limit
+ */
+router.get('/visit-sheets', requirePermission('visit.view'), routePlanningController.getVisitSheets);
+
+/**
+ * @route   GET /api/v1/route-planning/visit-sheets/:id
+ * @desc    Get a visit sheet with each shop's outstanding bills
+ * @access  Private (visit.view)
+ */
+router.get('/visit-sheets/:id', requirePermission('visit.view'), routePlanningController.getVisitSheetById);
+
+/**
+ * @route   POST /api/v1/route-planning/visit-sheets/:id/visits/:customerId
+ * @desc    Record the outcome of a visit to a shop
+ * @access  Private (visit.record)
+ * @body    outcome (required), noOrderReason (required for no_order), orderInvoiceId,
+ *          collectedAmount (required for payment_collected), cashReceiptId, visitedAt, notes
+ */
+router.post(
+  '/visit-sheets/:id/visits/:customerId',
+  requirePermission('visit.record'),
+  routePlanningController.recordVisit
+);
+
+/**
+ * @route   POST /api/v1/route-planning/visit-sheets/:id/close
+ * @desc    Close a visit sheet; shops not called on are marked not visited
+ * @access  Private (visit.record)
+ */
+router.post('/visit-sheets/:id/close', requirePermission('visit.record'), routePlanningController.closeVisitSheet);
+
+/**
+ * @route   GET /api/v1/route-planning/unvisited
+ * @desc    Shops left unvisited over a period, with beat coverage by salesman
+ * @access  Private (visit.view)
+ * @query   startDate (required), endDate (default: startDate), salesmanId, routeId
+ */
+router.get('/unvisited', requirePermission('visit.view'), routePlanningController.getUnvisitedCustomers);
+
+module.exports = router;
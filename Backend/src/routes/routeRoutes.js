@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const routeController = require('../controllers/routeController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 // Protect all routes
 router.use(authenticate);
@@ -9,15 +9,15 @@ router.use(authenticate);
 // Routes
 router
     .route('/')
-    .post(authorize('admin', 'manager'), routeController.createRoute)
+    .post(requirePermission('route.manage'), routeController.createRoute)
     .get(routeController.getRoutes);
 
 router
     .route('/:id')
     .get(routeController.getRouteById)
-    .put(authorize('admin', 'manager'), routeController.updateRoute)
-    .delete(authorize('admin', 'manager'), routeController.deleteRoute);
+    .put(requirePermission('route.manage'), routeController.updateRoute)
+    .delete(requirePermission('route.manage'), routeController.deleteRoute);
 
-router.post('/:id/assign', authorize('admin', 'manager'), routeController.assignSalesman);
+router.post('/:id/assign', requirePermission('route.manage'), routeController.assignSalesman);
 
 module.exports = router;
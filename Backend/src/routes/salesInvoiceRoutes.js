@@ -1,7 +1,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const salesInvoiceController = require('../controllers/salesInvoiceController');
-const { authenticate, requireRoles } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate, isValidObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -14,7 +14,7 @@ const router = express.Router();
 router.get(
   '/statistics',
   authenticate,
-  requireRoles(['admin', 'sales', 'accountant']),
+  requirePermission('invoice.sales.view'),
   salesInvoiceController.getSalesStatistics,
 );
 
@@ -113,7 +113,7 @@ router.get(
       .withMessage('Limit must be between 1 and 1000'),
     query('status')
       .optional()
-      .isIn(['draft', 'confirmed', 'paid', 'cancelled'])
+      .isIn(['draft', 'pending_approval', 'confirmed', 'paid', 'cancelled'])
       .withMessage('Invalid status'),
     query('paymentStatus')
       .optional()
@@ -140,7 +140,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireRoles(['admin', 'sales', 'data_entry']),
+  requirePermission('invoice.sales.create'),
   [
     body('customerId')
       .notEmpty()
@@ -208,7 +208,7 @@ router.get(
 router.put(
   '/:id',
   authenticate,
-  requireRoles(['admin', 'sales', 'data_entry']),
+  requirePermission('invoice.sales.update'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -263,7 +263,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireRoles(['admin']),
+  requirePermission('invoice.sales.delete'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -281,7 +281,7 @@ router.delete(
 router.patch(
   '/:id/status',
   authenticate,
-  requireRoles(['admin', 'sales', 'accountant']),
+  requirePermission('invoice.sales.status'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -304,7 +304,7 @@ router.patch(
 router.patch(
   '/:id/payment-status',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('invoice.sales.payment'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -327,7 +327,7 @@ router.patch(
 router.patch(
   '/:id/confirm',
   authenticate,
-  requireRoles(['admin', 'sales', 'accountant']),
+  requirePermission('invoice.sales.confirm'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -345,7 +345,7 @@ router.patch(
 router.patch(
   '/:id/payment',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('invoice.sales.payment'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -391,7 +391,7 @@ router.patch(
 router.post(
   '/:id/mark-paid',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('invoice.sales.payment'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -428,7 +428,7 @@ router.post(
 router.post(
   '/:id/mark-partial-paid',
   authenticate,
-  requireRoles(['admin', 'accountant']),
+  requirePermission('invoice.sales.payment'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -460,7 +460,7 @@ router.post(
 router.patch(
   '/:id/cancel',
   authenticate,
-  requireRoles(['admin']),
+  requirePermission('invoice.cancel'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -531,7 +531,7 @@ router.post(
 router.post(
   '/:id/convert-estimate',
   authenticate,
-  requireRoles(['admin', 'sales', 'accountant']),
+  requirePermission('estimate.convert'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -622,7 +622,7 @@ router.get(
 router.put(
   '/:id/warranty',
   authenticate,
-  requireRoles(['admin', 'sales', 'data_entry']),
+  requirePermission('invoice.sales.update'),
   [
     param('id')
       .custom(isValidObjectId)
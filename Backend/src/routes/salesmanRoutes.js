@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const salesmanController = require('../controllers/salesmanController');
 const salesmanSelfServiceController = require('../controllers/salesmanSelfServiceController');
-const { authenticate, authorize, requireSales } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * Salesman Routes
@@ -18,28 +18,48 @@ const { authenticate, authorize, requireSales } = require('../middleware/auth');
  * @desc    Get logged-in salesman's profile
  * @access  Private (sales role)
  */
-router.get('/me', authenticate, requireSales, salesmanSelfServiceController.getMyProfile);
+router.get(
+  '/me',
+  authenticate,
+  requirePermission('salesman.self'),
+  salesmanSelfServiceController.getMyProfile
+);
 
 /**
  * @route   GET /api/v1/salesmen/my-invoices
  * @desc    Get logged-in salesman's invoices
  * @access  Private (sales role)
  */
-router.get('/my-invoices', authenticate, requireSales, salesmanSelfServiceController.getMyInvoices);
+router.get(
+  '/my-invoices',
+  authenticate,
+  requirePermission('salesman.self'),
+  salesmanSelfServiceController.getMyInvoices
+);
 
 /**
  * @route   GET /api/v1/salesmen/my-commission
  * @desc    Get logged-in salesman's commission
  * @access  Private (sales role)
  */
-router.get('/my-commission', authenticate, requireSales, salesmanSelfServiceController.getMyCommission);
+router.get(
+  '/my-commission',
+  authenticate,
+  requirePermission('salesman.self'),
+  salesmanSelfServiceController.getMyCommission
+);
 
 /**
  * @route   GET /api/v1/salesmen/my-performance
  * @desc    Get logged-in salesman's performance stats
  * @access  Private (sales role)
  */
-router.get('/my-performance', authenticate, requireSales, salesmanSelfServiceController.getMyPerformance);
+router.get(
+  '/my-performance',
+  authenticate,
+  requirePermission('salesman.self'),
+  salesmanSelfServiceController.getMyPerformance
+);
 
 // ========================================
 // ADMIN ROUTES (admin/sales role)
@@ -49,7 +69,7 @@ router.get('/my-performance', authenticate, requireSales, salesmanSelfServiceCon
 router.post(
   '/',
   authenticate,
-  authorize(['admin', 'sales']),
+  requirePermission('salesman.manage'),
   salesmanController.createSalesman
 );
 
@@ -78,7 +98,7 @@ router.get(
 router.put(
   '/:id',
   authenticate,
-  authorize(['admin', 'sales']),
+  requirePermission('salesman.manage'),
   salesmanController.updateSalesman
 );
 
@@ -86,7 +106,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize(['admin']),
+  requirePermission('salesman.delete'),
   salesmanController.deleteSalesman
 );
 
@@ -6,14 +6,19 @@
 const express = require('express');
 const router = express.Router();
 const salesmanSelfServiceController = require('../controllers/salesmanSelfServiceController');
-const { authenticate, requireSales } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 
 /**
  * @route   GET /api/salesmen/me
  * @desc    Get logged-in salesman's profile
  * @access  Private (sales role)
  */
-router.get('/me', authenticate, requireSales, salesmanSelfServiceController.getMyProfile);
+router.get(
+  '/me',
+  authenticate,
+  requirePermission('salesman.self'),
+  salesmanSelfServiceController.getMyProfile
+);
 
 /**
  * @route   GET /api/salesmen/my-invoices
@@ -21,7 +26,12 @@ router.get('/me', authenticate, requireSales, salesmanSelfServiceController.getM
  * @access  Private (sales role)
  * @query   page, limit, status, startDate, endDate
  */
-router.get('/my-invoices', authenticate, requireSales, salesmanSelfServiceController.getMyInvoices);
+router.get(
+  '/my-invoices',
+  authenticate,
+  requirePermission('salesman.self'),
+  salesmanSelfServiceController.getMyInvoices
+);
 
 /**
  * @route   GET /api/salesmen/my-commission
@@ -29,7 +39,12 @@ router.get('/my-invoices', authenticate, requireSales, salesmanSelfServiceContro
  * @access  Private (sales role)
  * @query   startDate (required), endDate (required)
  */
-router.get('/my-commission', authenticate, requireSales, salesmanSelfServiceController.getMyCommission);
+router.get(
+  '/my-commission',
+  authenticate,
+  requirePermission('salesman.self'),
+  salesmanSelfServiceController.getMyCommission
+);
 
 /**
  * @route   GET /api/salesmen/my-performance
@@ -37,6 +52,11 @@ router.get('/my-commission', authenticate, requireSales, salesmanSelfServiceCont
  * @access  Private (sales role)
  * @query   startDate, endDate
  */
-router.get('/my-performance', authenticate, requireSales, salesmanSelfServiceController.getMyPerformance);
+router.get(
+  '/my-performance',
+  authenticate,
+  requirePermission('salesman.self'),
+  salesmanSelfServiceController.getMyPerformance
+);
 
 module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const statementController = require('../controllers/statementController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All statement routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/statements/customers/:customerId
+ * @desc    Download a customer's statement of account as PDF
+ * @access  Private (statement.view)
+ * @query   startDate (default: start of the month), endDate (default: today)
+ */
+router.get('/customers/:customerId', requirePermission('statement.view'), statementController.getCustomerStatement);
+
+/**
+ * @route   POST /api/v1/statements/customers/:customerId/email
+ * @desc    Email a customer their statement of account
+ * @access  Private (statement.send)
+ * @body    startDate, endDate, to (default: the customer's email)
+ */
+router.post(
+  '/customers/:customerId/email',
+  requirePermission('statement.send'),
+  statementController.emailCustomerStatement
+);
+
+/**
+ * @route   POST /api/v1/statements/bulk
+ * @desc    Download statements for every customer on a route or owing more than a balance, as one PDF
+ * @access  Private (statement.view)
+ * @body    routeId and/or minBalance (one required), startDate, endDate
+ */
+router.post('/bulk', requirePermission('statement.view'), statementController.getBulkStatements);
+
+/**
+ * @route   POST /api/v1/statements/bulk/email
+ * @desc    Email statements to every customer on a route or owing more than a balance
+ * @access  Private (statement.send)
+ * @body    routeId and/or minBalance (one required), startDate, endDate
+ */
+router.post('/bulk/email', requirePermission('statement.send'), statementController.emailBulkStatements);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const stockReservationController = require('../controllers/stockReservationController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All stock reservation routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/stock-reservations
+ * @desc    Get stock reservations with filtering and pagination
+ * @access  Private (reservation.view)
+ * @query   itemId, warehouseId, sourceId, status, page, limit
+ */
+router.get('/', requirePermission('reservation.view'), stockReservationController.getReservations);
+
+/**
+ * @route   GET /api/v1/stock-reservations/availability/:itemId
+ * @desc    Get stock on hand, reserved and available for an item
+ * @access  Private (reservation.view)
+ */
+router.get(
+  '/availability/:itemId',
+  requirePermission('reservation.view'),
+  stockReservationController.getItemAvailability
+);
+
+/**
+ * @route   POST /api/v1/stock-reservations
+ * @desc    Reserve the stock of a draft sales order or estimate, replacing any earlier reservation
+ * @access  Private (reservation.manage)
+ * @body    invoiceId (required), holdHours
+ */
+router.post('/', requirePermission('reservation.manage'), stockReservationController.reserveStock);
+
+/**
+ * @route   POST /api/v1/stock-reservations/release
+ * @desc    Release the stock held for a sales order or estimate
+ * @access  Private (reservation.manage)
+ * @body    invoiceId (required), reason
+ */
+router.post('/release', requirePermission('reservation.manage'), stockReservationController.releaseStock);
+
+/**
+ * @route   POST /api/v1/stock-reservations/release-expired
+ * @desc    Mark reservations past their hold time as expired and free their allocation
+ * @access  Private (reservation.manage)
+ */
+router.post(
+  '/release-expired',
+  requirePermission('reservation.manage'),
+  stockReservationController.releaseExpiredReservations
+);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const stockTakeController = require('../controllers/stockTakeController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All stock take routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/stock-takes/cycle-count-schedule
+ * @desc    Propose the items to count in a warehouse today, by ABC class
+ * @access  Private (stocktake.view)
+ * @query   warehouseId (required), date, lookbackDays (default 365)
+ */
+router.get(
+  '/cycle-count-schedule',
+  requirePermission('stocktake.view'),
+  stockTakeController.getCycleCountSchedule
+);
+
+/**
+ * @route   GET /api/v1/stock-takes
+ * @desc    Get stock takes with filtering and pagination
+ * @access  Private (stocktake.view)
+ * @query   warehouse, status, startDate, endDate, page, limit
+ */
+router.get('/', requirePermission('stocktake.view'), stockTakeController.getStockTakes);
+
+/**
+ * @route   POST /api/v1/stock-takes
+ * @desc    Open a stock take and freeze the expected quantities
+ * @access  Private (stocktake.manage)
+ * @body    warehouse (required), section, category, itemIds, notes
+ */
+router.post('/', requirePermission('stocktake.manage'), stockTakeController.createStockTake);
+
+/**
+ * @route   GET /api/v1/stock-takes/:id
+ * @desc    Get a stock take by ID
+ * @access  Private (stocktake.view)
+ */
+router.get('/:id', requirePermission('stocktake.view'), stockTakeController.getStockTake);
+
+/**
+ * @route   GET /api/v1/stock-takes/:id/variance
+ * @desc    Get the variance report of a stock take
+ * @access  Private (stocktake.view)
+ * @query   varianceOnly (optional)
+ */
+router.get('/:id/variance', requirePermission('stocktake.view'), stockTakeController.getVarianceReport);
+
+/**
+ * @route   POST /api/v1/stock-takes/:id/counts
+ * @desc    Submit counted quantities from a device
+ * @access  Private (stocktake.count)
+ * @body    deviceId, counts [{lineId | itemId, batchNumber, quantity}]
+ */
+router.post('/:id/counts', requirePermission('stocktake.count'), stockTakeController.submitCounts);
+
+/**
+ * @route   POST /api/v1/stock-takes/:id/complete
+ * @desc    Close counting and send the variances for approval
+ * @access  Private (stocktake.manage)
+ */
+router.post('/:id/complete', requirePermission('stocktake.manage'), stockTakeController.completeStockTake);
+
+/**
+ * @route   POST /api/v1/stock-takes/:id/post
+ * @desc    Approve and post the variances as stock adjustments
+ * @access  Private (stocktake.approve)
+ * @body    reasons [{lineId, reasonCode, notes}], defaultReasonCode
+ */
+router.post('/:id/post', requirePermission('stocktake.approve'), stockTakeController.postStockTake);
+
+/**
+ * @route   POST /api/v1/stock-takes/:id/cancel
+ * @desc    Cancel a stock take that has not been posted
+ * @access  Private (stocktake.manage)
+ */
+router.post('/:id/cancel', requirePermission('stocktake.manage'), stockTakeController.cancelStockTake);
+
+module.exports = router;
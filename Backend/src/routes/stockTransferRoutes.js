@@ -0,0 +1,79 @@
+const express = require('express');
+const stockTransferController = require('../controllers/stockTransferController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All stock transfer routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/stock-transfers/discrepancies
+ * @desc    Get transfers received short or damaged
+ * @access  Private (transfer.view)
+ * @query   status (open | resolved), fromWarehouse, toWarehouse
+ */
+router.get('/discrepancies', requirePermission('transfer.view'), stockTransferController.getDiscrepancies);
+
+/**
+ * @route   GET /api/v1/stock-transfers
+ * @desc    Get stock transfers with filtering and pagination
+ * @access  Private (transfer.view)
+ * @query   fromWarehouse, toWarehouse, status, startDate, endDate, page, limit
+ */
+router.get('/', requirePermission('transfer.view'), stockTransferController.getTransfers);
+
+/**
+ * @route   POST /api/v1/stock-transfers
+ * @desc    Create a pending stock transfer
+ * @access  Private (transfer.manage)
+ */
+router.post('/', requirePermission('transfer.manage'), stockTransferController.createTransfer);
+
+/**
+ * @route   GET /api/v1/stock-transfers/:id
+ * @desc    Get a stock transfer by ID
+ * @access  Private (transfer.view)
+ */
+router.get('/:id', requirePermission('transfer.view'), stockTransferController.getTransfer);
+
+/**
+ * @route   POST /api/v1/stock-transfers/:id/dispatch
+ * @desc    Dispatch a pending transfer into transit
+ * @access  Private (transfer.manage)
+ */
+router.post('/:id/dispatch', requirePermission('transfer.manage'), stockTransferController.dispatchTransfer);
+
+/**
+ * @route   POST /api/v1/stock-transfers/:id/receive
+ * @desc    Confirm receipt of a transfer with the quantities actually received
+ * @access  Private (transfer.receive)
+ */
+router.post('/:id/receive', requirePermission('transfer.receive'), stockTransferController.receiveTransfer);
+
+/**
+ * @route   POST /api/v1/stock-transfers/:id/reject
+ * @desc    Reject a transfer in transit and return the stock to the source warehouse
+ * @access  Private (transfer.receive)
+ */
+router.post('/:id/reject', requirePermission('transfer.receive'), stockTransferController.rejectTransfer);
+
+/**
+ * @route   POST /api/v1/stock-transfers/:id/cancel
+ * @desc    Cancel a transfer that has not been dispatched
+ * @access  Private (transfer.manage)
+ */
+router.post('/:id/cancel', requirePermission('transfer.manage'), stockTransferController.cancelTransfer);
+
+/**
+ * @route   POST /api/v1/stock-transfers/:id/discrepancy/resolve
+ * @desc    Resolve an open receipt discrepancy
+ * @access  Private (transfer.manage)
+ */
+router.post(
+  '/:id/discrepancy/resolve',
+  requirePermission('transfer.manage'),
+  stockTransferController.resolveDiscrepancy
+);
+
+module.exports = router;
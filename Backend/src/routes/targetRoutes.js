@@ -0,0 +1,58 @@
+const express = require('express');
+const targetController = require('../controllers/targetController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All target routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/targets
+ * @desc    Get sales targets
+ * @access  Private (target.view)
+ * @query   scope, salesmanId, routeId, itemId, manufacturer, periodType, year, month, quarter, isActive
+ */
+router.get('/', requirePermission('target.view'), targetController.getTargets);
+
+/**
+ * @route   GET /api/v1/targets/progress
+ * @desc    Target against achievement, with run-rate projections, for the targets running on a date
+ * @access  Private (target.view)
+ * @query   asOf (default: today), scope, salesmanId, routeId, itemId, manufacturer, periodType
+ */
+router.get('/progress', requirePermission('target.view'), targetController.getTargetProgress);
+
+/**
+ * @route   POST /api/v1/targets
+ * @desc    Set a monthly or quarterly sales target
+ * @access  Private (target.manage)
+ * @body    periodType (required), year (required), month or quarter (required), scope (required),
+ *          salesmanId, routeId, itemId, manufacturer, valueTarget, quantityTarget, notes
+ */
+router.post('/', requirePermission('target.manage'), targetController.createTarget);
+
+/**
+ * @route   GET /api/v1/targets/:id
+ * @desc    Get a sales target with its achievement so far
+ * @access  Private (target.view)
+ * @query   asOf (default: today)
+ */
+router.get('/:id', requirePermission('target.view'), targetController.getTargetById);
+
+/**
+ * @route   PUT /api/v1/targets/:id
+ * @desc    Change a target's value or quantity, notes or active flag
+ * @access  Private (target.manage)
+ * @body    valueTarget, quantityTarget, notes, isActive
+ */
+router.put('/:id', requirePermission('target.manage'), targetController.updateTarget);
+
+/**
+ * @route   DELETE /api/v1/targets/:id
+ * @desc    Delete a sales target
+ * @access  Private (target.manage)
+ */
+router.delete('/:id', requirePermission('target.manage'), targetController.deleteTarget);
+
+module.exports = router;
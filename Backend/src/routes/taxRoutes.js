@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const { 
   // Configuration management
   createTaxConfig,
@@ -48,7 +48,7 @@ const {
  *     security:
  *       - bearerAuth: []
  */
-router.post('/config', auth, authorize('admin'), createTaxConfig);
+router.post('/config', auth, requirePermission('tax.config.manage'), createTaxConfig);
 
 /**
  * @swagger
@@ -81,7 +81,7 @@ router.get('/config/:id', auth, getTaxConfigById);
  *     security:
  *       - bearerAuth: []
  */
-router.put('/config/:id', auth, authorize('admin'), updateTaxConfig);
+router.put('/config/:id', auth, requirePermission('tax.config.manage'), updateTaxConfig);
 
 /**
  * @swagger
@@ -92,7 +92,7 @@ router.put('/config/:id', auth, authorize('admin'), updateTaxConfig);
  *     security:
  *       - bearerAuth: []
  */
-router.delete('/config/:id', auth, authorize('admin'), deleteTaxConfig);
+router.delete('/config/:id', auth, requirePermission('tax.config.manage'), deleteTaxConfig);
 
 /**
  * @swagger
@@ -103,7 +103,7 @@ router.delete('/config/:id', auth, authorize('admin'), deleteTaxConfig);
  *     security:
  *       - bearerAuth: []
  */
-router.patch('/config/:id/activate', auth, authorize('admin'), activateTaxConfig);
+router.patch('/config/:id/activate', auth, requirePermission('tax.config.manage'), activateTaxConfig);
 
 /**
  * @swagger
@@ -114,7 +114,7 @@ router.patch('/config/:id/activate', auth, authorize('admin'), activateTaxConfig
  *     security:
  *       - bearerAuth: []
  */
-router.patch('/config/:id/deactivate', auth, authorize('admin'), deactivateTaxConfig);
+router.patch('/config/:id/deactivate', auth, requirePermission('tax.config.manage'), deactivateTaxConfig);
 
 /**
  * @swagger
@@ -125,7 +125,7 @@ router.patch('/config/:id/deactivate', auth, authorize('admin'), deactivateTaxCo
  *     security:
  *       - bearerAuth: []
  */
-router.patch('/config/:id/set-default', auth, authorize('admin'), setDefaultTaxConfig);
+router.patch('/config/:id/set-default', auth, requirePermission('tax.config.manage'), setDefaultTaxConfig);
 
 /**
  * @swagger
@@ -254,6 +254,6 @@ router.get('/rates/effective', auth, getEffectiveTaxRates);
  *     security:
  *       - bearerAuth: []
  */
-router.post('/report', auth, authorize('admin', 'accountant'), generateTaxReport);
+router.post('/report', auth, requirePermission('report.financial.view'), generateTaxReport);
 
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const userController = require('../controllers/userController');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const permissionController = require('../controllers/permissionController');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { validate, isValidObjectId, isValidRole } = require('../middleware/validation');
 
 const router = express.Router();
@@ -14,7 +15,7 @@ const router = express.Router();
 router.get(
   '/statistics',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   userController.getUserStatistics,
 );
 
@@ -29,6 +30,17 @@ router.get(
   userController.getMyProfile,
 );
 
+/**
+ * @route   GET /api/users/profile/permissions
+ * @desc    Get current user's effective permissions
+ * @access  Private
+ */
+router.get(
+  '/profile/permissions',
+  authenticate,
+  permissionController.getMyPermissions,
+);
+
 /**
  * @route   PUT /api/users/profile/me
  * @desc    Update current user profile
@@ -84,11 +96,11 @@ router.post(
 router.get(
   '/role/:role',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     param('role')
       .custom(isValidRole)
-      .withMessage('Invalid role. Must be one of: admin, sales, purchase, inventory, accountant, data_entry'),
+      .withMessage('Invalid role. Must be a built-in role or an active custom role'),
     validate,
   ],
   userController.getUsersByRole,
@@ -102,7 +114,7 @@ router.get(
 router.get(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     query('page')
       .optional()
@@ -138,7 +150,7 @@ router.get(
 router.post(
   '/',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     body('username')
       .trim()
@@ -162,7 +174,7 @@ router.post(
       .notEmpty()
       .withMessage('Role is required')
       .custom(isValidRole)
-      .withMessage('Invalid role. Must be one of: admin, sales, purchase, inventory, accountant, data_entry'),
+      .withMessage('Invalid role. Must be a built-in role or an active custom role'),
     body('isActive')
       .optional()
       .isBoolean()
@@ -180,7 +192,7 @@ router.post(
 router.get(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -198,7 +210,7 @@ router.get(
 router.put(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -217,7 +229,7 @@ router.put(
     body('role')
       .optional()
       .custom(isValidRole)
-      .withMessage('Invalid role. Must be one of: admin, sales, purchase, inventory, accountant, data_entry'),
+      .withMessage('Invalid role. Must be a built-in role or an active custom role'),
     body('isActive')
       .optional()
       .isBoolean()
@@ -235,7 +247,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -253,7 +265,7 @@ router.delete(
 router.post(
   '/:id/restore',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -271,7 +283,7 @@ router.post(
 router.post(
   '/:id/reset-password',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -294,7 +306,7 @@ router.post(
 router.patch(
   '/:id/role',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -303,7 +315,7 @@ router.patch(
       .notEmpty()
       .withMessage('Role is required')
       .custom(isValidRole)
-      .withMessage('Invalid role. Must be one of: admin, sales, purchase, inventory, accountant, data_entry'),
+      .withMessage('Invalid role. Must be a built-in role or an active custom role'),
     validate,
   ],
   userController.updateUserRole,
@@ -317,7 +329,7 @@ router.patch(
 router.patch(
   '/:id/toggle-status',
   authenticate,
-  requireAdmin,
+  requirePermission('user.manage'),
   [
     param('id')
       .custom(isValidObjectId)
@@ -327,4 +339,30 @@ router.patch(
   userController.toggleUserStatus,
 );
 
+/**
+ * @route   PUT /api/users/:id/permissions
+ * @desc    Set permissions granted or revoked for this user on top of their role
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/:id/permissions',
+  authenticate,
+  requirePermission('user.manage'),
+  [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid user ID format'),
+    body('granted')
+      .optional()
+      .isArray()
+      .withMessage('Granted permissions must be an array'),
+    body('revoked')
+      .optional()
+      .isArray()
+      .withMessage('Revoked permissions must be an array'),
+    validate,
+  ],
+  permissionController.setUserPermissions,
+);
+
 module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requirePermission } = require('../middleware/auth');
+const withholdingTaxController = require('../controllers/withholdingTaxController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Withholding Tax
+ *   description: Income tax withheld per party and month, challan (CPR) tracking and certificates
+ */
+
+/**
+ * @swagger
+ * /api/v1/withholding-tax/aggregate:
+ *   post:
+ *     summary: Aggregate withholding tax for a month from confirmed sales and purchase invoices
+ *     description: Records that already have a challan recorded are not recalculated.
+ *     tags: [Withholding Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - period
+ *             properties:
+ *               period:
+ *                 type: string
+ *                 example: '2026-03'
+ *     responses:
+ *       200:
+ *         description: Aggregated and skipped (already deposited) records
+ *       400:
+ *         description: Invalid period
+ */
+router.post(
+  '/aggregate',
+  authenticate,
+  requirePermission('tax.withholding.manage'),
+  withholdingTaxController.aggregatePeriod
+);
+
+/**
+ * @swagger
+ * /api/v1/withholding-tax:
+ *   get:
+ *     summary: Get withholding records per party, section and month
+ *     tags: [Withholding Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fromPeriod
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: toPeriod
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *           enum: ['153', '236G', '236H']
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [deducted_by_us, deducted_from_us]
+ *       - in: query
+ *         name: partyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, deposited]
+ *     responses:
+ *       200:
+ *         description: Records with totals per direction and status
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission('tax.withholding.manage'),
+  withholdingTaxController.getRecords
+);
+
+/**
+ * @swagger
+ * /api/v1/withholding-tax/challans:
+ *   post:
+ *     summary: Record the challan (CPR) the listed withholding amounts were deposited under
+ *     tags: [Withholding Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recordIds
+ *               - cprNumber
+ *               - challanDate
+ *             properties:
+ *               recordIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               cprNumber:
+ *                 type: string
+ *               challanDate:
+ *                 type: string
+ *                 format: date
+ *               bankName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Records marked as deposited
+ *       409:
+ *         description: A challan is already recorded for one of the records
+ */
+router.post(
+  '/challans',
+  authenticate,
+  requirePermission('tax.withholding.manage'),
+  withholdingTaxController.recordChallan
+);
+
+/**
+ * @swagger
+ * /api/v1/withholding-tax/certificates:
+ *   get:
+ *     summary: Download a section 153/236G/236H withholding certificate for a party
+ *     tags: [Withholding Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: partyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: section
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: ['153', '236G', '236H']
+ *       - in: query
+ *         name: fromPeriod
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: toPeriod
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       422:
+ *         description: A month in the range has no challan recorded yet
+ */
+router.get(
+  '/certificates',
+  authenticate,
+  requirePermission('tax.withholding.manage'),
+  withholdingTaxController.getCertificate
+);
+
+module.exports = router;
@@ -30,6 +30,13 @@ class Server {
         console.log(`Health check: http://localhost:${this.port}/health`);
       });
 
+      // Daily post-dated cheque maturity reminders, the nightly credit review and hourly stock reservation expiry
+      if (process.env.NODE_ENV !== 'test') {
+        require('./services/pdcService').startReminderSchedule();
+        require('./services/creditControlService').startNightlyReview();
+        require('./services/stockReservationService').startExpirySchedule();
+      }
+
       // Graceful shutdown handling
       this.setupGracefulShutdown();
     } catch (error) {
@@ -1,6 +1,7 @@
 const Account = require('../models/Account');
 const LedgerEntry = require('../models/LedgerEntry');
 const ledgerService = require('./ledgerService');
+const accountService = require('./accountService');
 
 /**
  * Adjustment Account Service
@@ -10,11 +11,22 @@ const ledgerService = require('./ledgerService');
 class AdjustmentAccountService {
   /**
    * Create adjustment ledger entries for discounts
+   * Each adjustment is posted as a double entry against sales revenue, like trade offers
    * @param {Object} invoice - Invoice object
-   * @returns {Promise<Array>} Created ledger entries
+   * @param {string} [userId] - User ID posting the entries (defaults to the invoice creator)
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Array>} Created double entries
    */
-  async createAdjustmentEntries(invoice) {
+  async createAdjustmentEntries(invoice, userId = invoice.createdBy, options = {}) {
     const entries = [];
+    let salesRevenueAccount = null;
+    const getSalesRevenueAccount = async () => {
+      if (!salesRevenueAccount) {
+        salesRevenueAccount = await accountService.getAccountByCode('SALES_REVENUE');
+      }
+      return salesRevenueAccount;
+    };
 
     // Calculate total discount amount
     let totalDiscountAmount = 0;
@@ -38,18 +50,18 @@ class AdjustmentAccountService {
         throw new Error(`Adjustment account ${adjustmentAccount.name} is not active`);
       }
 
-      // Debit adjustment account (expense increases)
-      const adjustmentEntry = await ledgerService.createLedgerEntry({
-        accountId: invoice.adjustmentAccountId,
-        accountType: 'Account',
-        debit: totalDiscountAmount,
-        credit: 0,
-        description: `Discount adjustment for invoice ${invoice.invoiceNumber}`,
-        transactionType: 'adjustment',
-        referenceId: invoice._id,
-        referenceModel: 'Invoice',
-        transactionDate: invoice.invoiceDate,
-      });
+      // Debit adjustment account (expense increases), credit sales revenue
+      const revenueAccount = await getSalesRevenueAccount();
+      const adjustmentEntry = await ledgerService.createDoubleEntry(
+        { accountId: invoice.adjustmentAccountId, accountType: 'Account' },
+        { accountId: revenueAccount._id, accountType: 'Account' },
+        totalDiscountAmount,
+        `Discount adjustment for invoice ${invoice.invoiceNumber}`,
+        'invoice_adjustment',
+        invoice._id,
+        userId,
+        options,
+      );
 
       entries.push(adjustmentEntry);
     }
@@ -74,18 +86,18 @@ class AdjustmentAccountService {
           throw new Error(`Claim account ${claimAccount.name} is not active`);
         }
 
-        // Debit claim account (expense increases)
-        const claimEntry = await ledgerService.createLedgerEntry({
-          accountId: invoice.claimAccountId,
-          accountType: 'Account',
-          debit: totalSchemeAmount,
-          credit: 0,
-          description: `Scheme claim for invoice ${invoice.invoiceNumber}`,
-          transactionType: 'scheme_claim',
-          referenceId: invoice._id,
-          referenceModel: 'Invoice',
-          transactionDate: invoice.invoiceDate,
-        });
+        // Debit claim account (expense increases), credit sales revenue
+        const revenueAccount = await getSalesRevenueAccount();
+        const claimEntry = await ledgerService.createDoubleEntry(
+          { accountId: invoice.claimAccountId, accountType: 'Account' },
+          { accountId: revenueAccount._id, accountType: 'Account' },
+          totalSchemeAmount,
+          `Scheme claim for invoice ${invoice.invoiceNumber}`,
+          'invoice_adjustment',
+          invoice._id,
+          userId,
+          options,
+        );
 
         entries.push(claimEntry);
       }
@@ -113,7 +125,7 @@ class AdjustmentAccountService {
     // Build query
     const query = {
       accountId: accountId,
-      transactionType: { $in: ['adjustment', 'scheme_claim'] },
+      referenceType: 'invoice_adjustment',
     };
 
     if (startDate || endDate) {
@@ -137,8 +149,11 @@ class AdjustmentAccountService {
     let totalCredit = 0;
 
     entries.forEach((entry) => {
-      totalDebit += entry.debit || 0;
-      totalCredit += entry.credit || 0;
+      if (entry.transactionType === 'debit') {
+        totalDebit += entry.amount;
+      } else {
+        totalCredit += entry.amount;
+      }
     });
 
     const balance = totalDebit - totalCredit;
@@ -166,8 +181,8 @@ class AdjustmentAccountService {
         date: entry.transactionDate,
         description: entry.description,
         transactionType: entry.transactionType,
-        debit: entry.debit,
-        credit: entry.credit,
+        debit: entry.transactionType === 'debit' ? entry.amount : 0,
+        credit: entry.transactionType === 'credit' ? entry.amount : 0,
         invoiceNumber: entry.referenceId?.invoiceNumber,
         invoiceId: entry.referenceId?._id,
       })),
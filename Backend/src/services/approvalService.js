@@ -0,0 +1,492 @@
+const ApprovalRule = require('../models/ApprovalRule');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Item = require('../models/Item');
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const balanceCalculationService = require('./balanceCalculationService');
+const creditControlService = require('./creditControlService');
+const notificationService = require('./notificationService');
+const permissionService = require('./permissionService');
+const { CacheManager } = require('../utils/cache');
+const AppError = require('../utils/appError');
+
+const RULES_CACHE_KEY = 'approval-rules';
+const DEFAULT_APPROVER_PERMISSION = 'approval.decide';
+
+/**
+ * Approval rules with their default thresholds. Every rule is inactive until configured.
+ * The discount_percent threshold is a percent, the cash_payment_amount threshold an amount.
+ */
+const RULE_DEFAULTS = {
+  credit_limit: {
+    description: 'A sales invoice takes the customer balance over their credit limit',
+    threshold: null
+  },
+  credit_watch: {
+    description: 'A sales invoice is for a customer the credit policy has put on watch',
+    threshold: null
+  },
+  discount_percent: {
+    description: 'A sales invoice line is discounted by more than the threshold percent',
+    threshold: 10
+  },
+  below_cost: {
+    description: 'A sales invoice line is priced below the item cost price',
+    threshold: null
+  },
+  cancellation: {
+    description: 'A confirmed sales or purchase invoice is cancelled',
+    threshold: null
+  },
+  cash_payment_amount: {
+    description: 'A cash payment is above the threshold amount',
+    threshold: 100000
+  }
+};
+
+const DOCUMENT_LABELS = {
+  sales_invoice: 'Sales invoice',
+  purchase_invoice: 'Purchase invoice',
+  cash_payment: 'Cash payment'
+};
+
+/**
+ * Services that carry out a decision on each document type.
+ * Required lazily because those services depend on this one.
+ */
+const DOCUMENT_SERVICES = {
+  sales_invoice: () => require('./salesInvoiceService'),
+  purchase_invoice: () => require('./purchaseInvoiceService'),
+  cash_payment: () => require('./cashPaymentService')
+};
+
+/**
+ * ID of a reference that may or may not be populated
+ * @param {Object|string} value - ObjectId, string or populated document
+ * @returns {Object|string} ID
+ */
+const refId = value => (value && value._id ? value._id : value);
+
+/**
+ * Approval Service
+ * Evaluates documents against the approval rules, opens approval requests, notifies approvers
+ * and hands approve/reject decisions back to the document's service.
+ */
+class ApprovalService {
+  /**
+   * Get every approval rule with its stored settings or defaults
+   * @returns {Promise<Array>} Rules {type, description, isActive, threshold, approverPermission}
+   */
+  async getRules() {
+    const cached = CacheManager.get(RULES_CACHE_KEY, 'short');
+    if (cached) {
+      return cached;
+    }
+
+    const stored = await ApprovalRule.find().lean();
+    const rules = Object.keys(RULE_DEFAULTS).map((type) => {
+      const rule = stored.find(storedRule => storedRule.type === type) || {};
+      return {
+        type,
+        description: RULE_DEFAULTS[type].description,
+        isActive: Boolean(rule.isActive),
+        threshold: rule.threshold !== undefined && rule.threshold !== null
+          ? rule.threshold
+          : RULE_DEFAULTS[type].threshold,
+        approverPermission: rule.approverPermission || DEFAULT_APPROVER_PERMISSION
+      };
+    });
+
+    CacheManager.set(RULES_CACHE_KEY, rules, 'short');
+    return rules;
+  }
+
+  /**
+   * Get a rule if it is active
+   * @param {string} type - Rule type
+   * @returns {Promise<Object|null>} Rule or null when inactive
+   */
+  async getActiveRule(type) {
+    const rules = await this.getRules();
+    return rules.find(rule => rule.type === type && rule.isActive) || null;
+  }
+
+  /**
+   * Update a rule's active flag, threshold or approver permission
+   * @param {string} type - Rule type
+   * @param {Object} data - {isActive, threshold, approverPermission}
+   * @param {string} userId - User updating the rule
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(type, data, userId) {
+    if (!RULE_DEFAULTS[type]) {
+      throw new AppError(`Unknown approval rule: ${type}`, 404);
+    }
+
+    const update = { type, updatedBy: userId };
+    if (data.isActive !== undefined) {
+      update.isActive = Boolean(data.isActive);
+    }
+    if (data.threshold !== undefined) {
+      if (RULE_DEFAULTS[type].threshold === null) {
+        throw new AppError(`Rule ${type} does not take a threshold`, 400);
+      }
+      const threshold = Number(data.threshold);
+      if (!Number.isFinite(threshold) || threshold < 0) {
+        throw new AppError('Threshold must be a non-negative number', 400);
+      }
+      if (type === 'discount_percent' && threshold > 100) {
+        throw new AppError('Discount threshold cannot exceed 100 percent', 400);
+      }
+      update.threshold = threshold;
+    }
+    if (data.approverPermission !== undefined) {
+      [update.approverPermission] = permissionService.validatePermissions([data.approverPermission]);
+    }
+
+    await ApprovalRule.findOneAndUpdate({ type }, update, {
+      upsert: true,
+      new: true,
+      runValidators: true,
+      setDefaultsOnInsert: true
+    });
+    CacheManager.del(RULES_CACHE_KEY, 'short');
+
+    const rules = await this.getRules();
+    return rules.find(rule => rule.type === type);
+  }
+
+  /**
+   * Check a sales invoice against the credit limit, credit watch, discount and below-cost rules
+   * @param {Object} invoice - Invoice or invoice data (customerId, invoiceDate, items, totals)
+   * @returns {Promise<Array>} Broken rules {rule, message, approverPermission}
+   */
+  async evaluateSalesInvoice(invoice) {
+    const [creditRule, watchRule, discountRule, costRule] = await Promise.all([
+      this.getActiveRule('credit_limit'),
+      this.getActiveRule('credit_watch'),
+      this.getActiveRule('discount_percent'),
+      this.getActiveRule('below_cost')
+    ]);
+    const reasons = [];
+
+    if (watchRule) {
+      const customer = await Customer.findById(refId(invoice.customerId)).select('creditControl').lean();
+      const creditStatus = creditControlService.getEffectiveStatus(customer);
+      if (creditStatus.status === 'watch') {
+        reasons.push(this.buildReason(
+          watchRule,
+          `Customer is on credit watch: ${creditStatus.reasons.join('; ')}`
+        ));
+      }
+    }
+
+    const grandTotal = invoice.totals ? invoice.totals.grandTotal : 0;
+    if (creditRule && grandTotal > 0) {
+      const summary = await balanceCalculationService.calculateBalanceSummary(
+        refId(invoice.customerId),
+        invoice.invoiceDate || new Date(),
+        grandTotal,
+        'Customer'
+      );
+      if (summary.creditLimitExceeded) {
+        reasons.push(this.buildReason(
+          creditRule,
+          `Customer balance ${summary.totalBalance} would exceed the credit limit of ${summary.creditLimit}`
+        ));
+      }
+    }
+
+    if (!discountRule && !costRule) {
+      return reasons;
+    }
+
+    const items = await Item.find({ _id: { $in: invoice.items.map(line => refId(line.itemId)) } })
+      .select('name pricing.costPrice')
+      .lean();
+
+    invoice.items.forEach((line) => {
+      const item = items.find(candidate => String(candidate._id) === String(refId(line.itemId)));
+      const itemName = item ? item.name : String(refId(line.itemId));
+      const lineSubtotal = line.quantity * line.unitPrice;
+
+      if (discountRule && lineSubtotal > 0) {
+        const discountPercent = ((line.totalDiscountAmount || 0) / lineSubtotal) * 100;
+        if (discountPercent > discountRule.threshold) {
+          const rounded = Math.round(discountPercent * 100) / 100;
+          reasons.push(this.buildReason(
+            discountRule,
+            `${itemName} is discounted ${rounded}%, above the ${discountRule.threshold}% limit`
+          ));
+        }
+      }
+
+      if (costRule && item && line.unitPrice < item.pricing.costPrice) {
+        reasons.push(this.buildReason(
+          costRule,
+          `${itemName} is priced at ${line.unitPrice}, below its cost of ${item.pricing.costPrice}`
+        ));
+      }
+    });
+
+    return reasons;
+  }
+
+  /**
+   * Check a cash payment against the payment amount rule
+   * @param {Object} payment - Payment data (amount)
+   * @returns {Promise<Array>} Broken rules
+   */
+  async evaluateCashPayment(payment) {
+    const rule = await this.getActiveRule('cash_payment_amount');
+    if (!rule || Number(payment.amount) <= rule.threshold) {
+      return [];
+    }
+    return [this.buildReason(rule, `Payment of ${payment.amount} is above the approval limit of ${rule.threshold}`)];
+  }
+
+  /**
+   * Check the cancellation of a confirmed invoice against the cancellation rule
+   * @returns {Promise<Array>} Broken rules
+   */
+  async evaluateCancellation() {
+    const rule = await this.getActiveRule('cancellation');
+    return rule ? [this.buildReason(rule, 'Cancelling a confirmed invoice requires approval')] : [];
+  }
+
+  /**
+   * Drop the broken rules the requesting user may approve themselves
+   * @param {Array} reasons - Broken rules
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Array>} Broken rules that still need someone else's approval
+   */
+  async reasonsNeedingApproval(reasons, userId) {
+    if (reasons.length === 0) {
+      return reasons;
+    }
+
+    const user = await User.findById(userId).select('role permissionOverrides').lean();
+    if (!user) {
+      return reasons;
+    }
+
+    const permissions = await permissionService.getUserPermissions(user);
+    return reasons.filter(reason => !permissionService.hasPermission(permissions, reason.approverPermission));
+  }
+
+  /**
+   * Open an approval request and notify the users who can decide it
+   * Returns the pending request if one is already open for the same document and action.
+   * @param {Object} data - {documentType, documentId, documentNumber, action, amount, reasons,
+   *   requestedBy, reason, autoConfirm}
+   * @returns {Promise<Object>} Approval request
+   */
+  async openRequest(data) {
+    const existing = await ApprovalRequest.findOne({
+      documentType: data.documentType,
+      documentId: data.documentId,
+      action: data.action,
+      status: 'pending'
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const request = await ApprovalRequest.create({
+      ...data,
+      requestNumber: await ApprovalRequest.generateRequestNumber()
+    });
+
+    await this.sendNotification(() => notificationService.notifyPermissionHolders(
+      this.getApproverPermissions(request),
+      {
+        type: 'approval_requested',
+        title: `${DOCUMENT_LABELS[request.documentType]} ${request.documentNumber} needs approval to ${request.action}`,
+        message: request.reasons.map(reason => reason.message).join('; '),
+        referenceType: 'ApprovalRequest',
+        referenceId: request._id
+      },
+      { excludeUserId: request.requestedBy }
+    ));
+
+    return request;
+  }
+
+  /**
+   * Get the pending requests a user can decide, oldest first
+   * @param {Object} user - User with role and permissionOverrides
+   * @returns {Promise<Array>} Approval requests
+   */
+  async getInbox(user) {
+    const permissions = await permissionService.getUserPermissions(user);
+    const pending = await ApprovalRequest.find({ status: 'pending' }).sort({ createdAt: 1 });
+
+    const decidable = pending.filter(request => String(request.requestedBy) !== String(user._id)
+      && this.getApproverPermissions(request)
+        .every(permission => permissionService.hasPermission(permissions, permission)));
+
+    return ApprovalRequest.populate(decidable, { path: 'requestedBy', select: 'username email' });
+  }
+
+  /**
+   * Get approval requests with filtering and pagination, newest first
+   * @param {Object} [filters] - Filters (status, documentType, documentId, action, requestedBy)
+   * @param {Object} [options] - Pagination options (page, limit)
+   * @returns {Promise<Object>} Requests and pagination info
+   */
+  async getApprovalRequests(filters = {}, options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 50;
+    const query = {};
+    ['status', 'documentType', 'documentId', 'action', 'requestedBy'].forEach((field) => {
+      if (filters[field]) query[field] = filters[field];
+    });
+
+    const [requests, total] = await Promise.all([
+      ApprovalRequest.find(query)
+        .populate('requestedBy', 'username email')
+        .populate('decidedBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ApprovalRequest.countDocuments(query)
+    ]);
+
+    return {
+      requests,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get an approval request by ID
+   * @param {string} id - Request ID
+   * @returns {Promise<Object>} Approval request
+   */
+  async getApprovalRequestById(id) {
+    const request = await ApprovalRequest.findById(id)
+      .populate('requestedBy', 'username email')
+      .populate('decidedBy', 'username email');
+    if (!request) {
+      throw new AppError('Approval request not found', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Approve a pending request and carry out the held-back action
+   * @param {string} id - Request ID
+   * @param {string} userId - Approving user ID
+   * @param {string} [comment] - Approver's comment
+   * @returns {Promise<Object>} Approved request
+   */
+  async approve(id, userId, comment) {
+    return this.decide(id, 'approved', userId, comment);
+  }
+
+  /**
+   * Reject a pending request; a comment is required
+   * @param {string} id - Request ID
+   * @param {string} userId - Rejecting user ID
+   * @param {string} comment - Reason for the rejection
+   * @returns {Promise<Object>} Rejected request
+   */
+  async reject(id, userId, comment) {
+    if (!comment || !comment.trim()) {
+      throw new AppError('A comment is required to reject an approval request', 400);
+    }
+    return this.decide(id, 'rejected', userId, comment);
+  }
+
+  /**
+   * Record a decision on a pending request
+   * The document's service applies the decision first, so a failure there leaves the request pending.
+   * @param {string} id - Request ID
+   * @param {string} status - 'approved' or 'rejected'
+   * @param {string} userId - Deciding user ID
+   * @param {string} [comment] - Comment
+   * @returns {Promise<Object>} Decided request
+   */
+  async decide(id, status, userId, comment) {
+    const request = await ApprovalRequest.findById(id);
+    if (!request) {
+      throw new AppError('Approval request not found', 404);
+    }
+    if (request.status !== 'pending') {
+      throw new AppError(`Approval request ${request.requestNumber} is already ${request.status}`, 409);
+    }
+    if (String(request.requestedBy) === String(userId)) {
+      throw new AppError('You cannot decide your own approval request', 403);
+    }
+
+    const user = await User.findById(userId).select('role permissionOverrides').lean();
+    const permissions = user
+      ? await permissionService.getUserPermissions(user)
+      : { granted: [], revoked: [] };
+    const missing = this.getApproverPermissions(request)
+      .filter(permission => !permissionService.hasPermission(permissions, permission));
+    if (missing.length > 0) {
+      throw new AppError(`Access denied. Required permission: ${missing.join(', ')}`, 403);
+    }
+
+    request.status = status;
+    request.decidedBy = userId;
+    request.decidedAt = new Date();
+    request.comment = comment;
+
+    await DOCUMENT_SERVICES[request.documentType]().resolveApproval(request);
+    await request.save();
+
+    await this.sendNotification(() => notificationService.notifyUsers([request.requestedBy], {
+      type: 'approval_decided',
+      title: `${DOCUMENT_LABELS[request.documentType]} ${request.documentNumber}: ${request.action} ${status}`,
+      message: comment || '',
+      referenceType: 'ApprovalRequest',
+      referenceId: request._id
+    }));
+
+    return request;
+  }
+
+  /**
+   * Build a broken-rule entry
+   * @param {Object} rule - Rule
+   * @param {string} message - What broke the rule
+   * @returns {Object} {rule, message, approverPermission}
+   */
+  buildReason(rule, message) {
+    return {
+      rule: rule.type,
+      message,
+      approverPermission: rule.approverPermission
+    };
+  }
+
+  /**
+   * Permissions a user needs to decide a request
+   * @param {Object} request - Approval request
+   * @returns {Array<string>} Distinct approver permissions
+   */
+  getApproverPermissions(request) {
+    return Array.from(new Set(request.reasons.map(reason => reason.approverPermission)));
+  }
+
+  /**
+   * Send a notification without letting a failure undo the approval step that triggered it
+   * @param {Function} send - Sends the notification
+   */
+  async sendNotification(send) {
+    try {
+      await send();
+    } catch (error) {
+      console.error('Failed to send approval notification:', error.message);
+    }
+  }
+}
+
+module.exports = new ApprovalService();
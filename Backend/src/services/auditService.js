@@ -0,0 +1,102 @@
+const AuditLog = require('../models/AuditLog');
+const AppError = require('../utils/appError');
+
+const ENTITY_TYPES = AuditLog.schema.path('entityType').enumValues;
+
+/**
+ * Audit Service
+ * Read access to the audit trail written by the auditTrail model plugin
+ */
+class AuditService {
+  /**
+   * Get audit log entries with filtering and pagination
+   * @param {Object} [filters] - Filters (entityType, entityId, userId, action, path, startDate, endDate)
+   * @param {Object} [options] - Pagination options (page, limit)
+   * @returns {Promise<Object>} Entries and pagination info
+   */
+  async getAuditLogs(filters = {}, options = {}) {
+    const query = this.buildQuery(filters);
+    const page = options.page || 1;
+    const limit = options.limit || 50;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('userId', 'username email role')
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get the full change history of one document, oldest first
+   * @param {string} entityType - Audited entity (e.g. Customer)
+   * @param {string} entityId - Document ID
+   * @returns {Promise<Array>} Entries
+   */
+  async getEntityHistory(entityType, entityId) {
+    const query = this.buildQuery({ entityType, entityId });
+
+    return AuditLog.find(query)
+      .populate('userId', 'username email role')
+      .sort({ timestamp: 1 });
+  }
+
+  /**
+   * Build the Mongo query for audit filters
+   * @param {Object} filters - Filters
+   * @returns {Object} Query
+   */
+  buildQuery(filters) {
+    const {
+      entityType,
+      entityId,
+      userId,
+      action,
+      path,
+      startDate,
+      endDate
+    } = filters;
+    const query = {};
+
+    if (entityType) {
+      if (!ENTITY_TYPES.includes(entityType)) {
+        throw new AppError(`Entity type must be one of: ${ENTITY_TYPES.join(', ')}`, 400);
+      }
+      query.entityType = entityType;
+    }
+    if (entityId) query.entityId = entityId;
+    if (userId) query.userId = userId;
+    if (action) query.action = action;
+    // e.g. path=financialInfo.creditLimit or path=pricing
+    if (path) query['changes.path'] = { $regex: `^${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\.|$)` };
+
+    if (startDate || endDate) {
+      query.timestamp = {};
+      if (startDate) query.timestamp.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.timestamp.$lte = end;
+      }
+      if (Object.values(query.timestamp).some(date => Number.isNaN(date.getTime()))) {
+        throw new AppError('Invalid start or end date', 400);
+      }
+    }
+
+    return query;
+  }
+}
+
+module.exports = new AuditService();
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const { PORTAL_TOKEN_AUDIENCE } = require('../constants/customerPortal');
 
 class AuthService {
   /**
@@ -30,8 +31,9 @@ class AuthService {
    * @throws {Error} If token is invalid or expired
    */
   verifyAccessToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, process.env.JWT_SECRET);
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         throw new Error('Token has expired');
@@ -41,6 +43,12 @@ class AuthService {
       }
       throw error;
     }
+
+    // Customer portal tokens share the secret but never authenticate staff
+    if (decoded.aud === PORTAL_TOKEN_AUDIENCE) {
+      throw new Error('Invalid token');
+    }
+    return decoded;
   }
 
   /**
@@ -2,6 +2,82 @@ const BankReconciliation = require('../models/BankReconciliation');
 const CashReceipt = require('../models/CashReceipt');
 const CashPayment = require('../models/CashPayment');
 const cashBookService = require('./cashBookService');
+const bankStatementService = require('./bankStatementService');
+const AppError = require('../utils/appError');
+
+// Statement narrations that mark bank charges, proposed as payment entries when unmatched
+const BANK_CHARGE_PATTERN = /\b(charges?|fees?|commission|excise|fed|sms alert|service charge)\b/i;
+
+// Bounds on the search for several entries adding up to one amount
+const MAX_COMBINATION_CANDIDATES = 12;
+const MAX_COMBINATION_SIZE = 5;
+
+/**
+ * Reconciliation item fields of a receipt or payment
+ */
+const transactionItem = (transaction) => ({
+  transactionType: transaction.transactionType,
+  transactionId: transaction.document._id,
+  transactionModel: transaction.transactionModel,
+  transactionNumber: transaction.transactionNumber,
+  transactionDate: transaction.transactionDate,
+  amount: transaction.amount,
+});
+
+/**
+ * Reconciliation item fields of the statement lines matched to one item
+ */
+const statementFields = (statementLines) => {
+  const latest = statementLines.reduce((last, line) => (new Date(line.date) > new Date(last.date) ? line : last));
+  return {
+    bankStatementDate: latest.date,
+    bankStatementAmount: Math.round(statementLines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100,
+    bankReference: statementLines.map((line) => line.reference).filter(Boolean).join(', '),
+    bankDescription: statementLines.map((line) => line.description).filter(Boolean).join('; '),
+  };
+};
+
+/**
+ * Find two or more entries whose amounts add up to the target, among the first few candidates
+ */
+const findCombination = (entries, target, amountOf) => {
+  const candidates = entries.slice(0, MAX_COMBINATION_CANDIDATES);
+  const targetCents = Math.round(target * 100);
+  const cents = candidates.map((entry) => Math.round(amountOf(entry) * 100));
+
+  const search = (start, remaining, chosen) => {
+    if (remaining === 0) {
+      return chosen.length >= 2 ? chosen : null;
+    }
+    if (chosen.length === MAX_COMBINATION_SIZE) {
+      return null;
+    }
+    for (let i = start; i < candidates.length; i += 1) {
+      if (cents[i] > 0 && cents[i] <= remaining) {
+        const found = search(i + 1, remaining - cents[i], [...chosen, candidates[i]]);
+        if (found) {
+          return found;
+        }
+      }
+    }
+    return null;
+  };
+
+  return search(0, targetCents, []);
+};
+
+/**
+ * Cheque numbers compared without spaces, dashes or leading zeros
+ */
+const normaliseChequeNumber = (chequeNumber) => String(chequeNumber || '')
+  .replace(/[^0-9a-z]/gi, '')
+  .replace(/^0+/, '')
+  .toUpperCase();
+
+/**
+ * Whether a statement line reads as a bank charge
+ */
+const isBankCharge = (line) => BANK_CHARGE_PATTERN.test(`${line.description || ''} ${line.reference || ''}`);
 
 /**
  * Bank Reconciliation Service
@@ -49,7 +125,11 @@ class BankReconciliationService {
     }
 
     // Create reconciliation
-    const reconciliation = new BankReconciliation(reconciliationData);
+    const reconciliation = new BankReconciliation({
+      ...reconciliationData,
+      reconciliationNumber: reconciliationData.reconciliationNumber
+        || await BankReconciliation.generateReconciliationNumber(),
+    });
     await reconciliation.save();
 
     await reconciliation.populate('createdBy', 'username email');
@@ -132,20 +212,41 @@ class BankReconciliationService {
     };
   }
 
+  /**
+   * Import a bank statement file and match its lines against the books
+   * @param {string} reconciliationId - Reconciliation ID
+   * @param {Object} statement - { format (csv, mt940, ofx), content, columnMapping, delimiter, dateFormat }
+   * @returns {Promise<Object>} Updated reconciliation with matched items
+   */
+  async importStatement(reconciliationId, statement = {}) {
+    const bankStatementItems = bankStatementService.parse(statement.content, statement.format, {
+      columnMapping: statement.columnMapping,
+      delimiter: statement.delimiter,
+      dateFormat: statement.dateFormat,
+    });
+
+    return this.matchTransactions(reconciliationId, bankStatementItems);
+  }
+
   /**
    * Match transactions with bank statement
+   * Matching runs in passes, each on what the earlier passes left unmatched: cheque number,
+   * exact amount within 3 days, one statement line against several book transactions, and
+   * several statement lines against one book transaction. Bank charges left over are proposed
+   * as payment entries. Earlier items and proposals of the reconciliation are replaced.
    * @param {string} reconciliationId - Reconciliation ID
    * @param {Array} bankStatementItems - Bank statement items
+   *   ({ type: 'credit'|'debit', amount, date, reference, chequeNumber, description })
    * @returns {Promise<Object>} Updated reconciliation with matched items
    */
   async matchTransactions(reconciliationId, bankStatementItems) {
     const reconciliation = await BankReconciliation.findById(reconciliationId);
     if (!reconciliation) {
-      throw new Error('Bank reconciliation not found');
+      throw new AppError('Bank reconciliation not found', 404);
     }
 
     if (reconciliation.status !== 'draft') {
-      throw new Error('Can only match transactions for draft reconciliations');
+      throw new AppError('Can only match transactions for draft reconciliations', 400);
     }
 
     // Get all receipts and payments for the period
@@ -166,96 +267,159 @@ class BankReconciliationService {
       }).populate('supplierId', 'code name'),
     ]);
 
-    // Match receipts
-    receipts.forEach((receipt) => {
-      const matchedStatement = bankStatementItems.find(
-        (item) =>
-          item.type === 'credit' &&
-          Math.abs(item.amount - receipt.amount) < 0.01 && // Allow small rounding differences
-          this._isDateClose(item.date, receipt.receiptDate, 3) // Within 3 days
-      );
-
-      const reconciliationItem = {
+    const transactions = [
+      ...receipts.map((receipt) => ({
+        document: receipt,
+        lineType: 'credit',
         transactionType: 'receipt',
-        transactionId: receipt._id,
         transactionModel: 'CashReceipt',
         transactionNumber: receipt.receiptNumber,
         transactionDate: receipt.receiptDate,
         amount: receipt.amount,
-        status: 'unmatched',
-      };
-
-      if (matchedStatement) {
-        reconciliationItem.status = 'matched';
-        reconciliationItem.bankStatementDate = matchedStatement.date;
-        reconciliationItem.bankStatementAmount = matchedStatement.amount;
-        reconciliationItem.bankReference = matchedStatement.reference;
-
-        // Check for discrepancy
-        if (Math.abs(matchedStatement.amount - receipt.amount) > 0.01) {
-          reconciliationItem.status = 'discrepancy';
-          reconciliationItem.discrepancyAmount = matchedStatement.amount - receipt.amount;
-          reconciliationItem.discrepancyReason = 'Amount mismatch';
-        }
-
-        // Mark statement item as matched
-        matchedStatement.matched = true;
-      }
-
-      reconciliation.items.push(reconciliationItem);
-    });
-
-    // Match payments
-    payments.forEach((payment) => {
-      const matchedStatement = bankStatementItems.find(
-        (item) =>
-          item.type === 'debit' &&
-          Math.abs(item.amount - payment.amount) < 0.01 &&
-          this._isDateClose(item.date, payment.paymentDate, 3)
-      );
-
-      const reconciliationItem = {
+        chequeNumber: receipt.bankDetails?.chequeNumber,
+      })),
+      ...payments.map((payment) => ({
+        document: payment,
+        lineType: 'debit',
         transactionType: 'payment',
-        transactionId: payment._id,
         transactionModel: 'CashPayment',
         transactionNumber: payment.paymentNumber,
         transactionDate: payment.paymentDate,
         amount: payment.amount,
-        status: 'unmatched',
-      };
+        chequeNumber: payment.bankDetails?.chequeNumber,
+      })),
+    ];
+    const lines = bankStatementItems.map((line) => ({ ...line }));
+
+    const matchedTransactions = new Set();
+    const matchedLines = new Set();
+    const items = [];
+    let groupCount = 0;
+
+    const isWithinDays = (date1, date2) => this._isDateClose(date1, date2, 3);
+    const openLines = (transaction) => lines.filter(
+      (line) => !matchedLines.has(line) && line.type === transaction.lineType,
+    );
+    const record = (transaction, statementLines, fields = {}) => {
+      matchedTransactions.add(transaction);
+      statementLines.forEach((line) => matchedLines.add(line));
+      items.push({
+        ...transactionItem(transaction),
+        ...statementFields(statementLines),
+        status: 'matched',
+        ...fields,
+      });
+    };
 
-      if (matchedStatement) {
-        reconciliationItem.status = 'matched';
-        reconciliationItem.bankStatementDate = matchedStatement.date;
-        reconciliationItem.bankStatementAmount = matchedStatement.amount;
-        reconciliationItem.bankReference = matchedStatement.reference;
+    // 1. Cheque number against the cheque details of the receipt or payment
+    transactions
+      .filter((transaction) => transaction.chequeNumber)
+      .forEach((transaction) => {
+        const chequeNumber = normaliseChequeNumber(transaction.chequeNumber);
+        const line = openLines(transaction).find(
+          (candidate) => normaliseChequeNumber(candidate.chequeNumber || candidate.reference) === chequeNumber,
+        );
+        if (!line) {
+          return;
+        }
 
-        if (Math.abs(matchedStatement.amount - payment.amount) > 0.01) {
-          reconciliationItem.status = 'discrepancy';
-          reconciliationItem.discrepancyAmount = matchedStatement.amount - payment.amount;
-          reconciliationItem.discrepancyReason = 'Amount mismatch';
+        if (Math.abs(line.amount - transaction.amount) > 0.01) {
+          record(transaction, [line], {
+            status: 'discrepancy',
+            discrepancyAmount: line.amount - transaction.amount,
+            discrepancyReason: 'Amount mismatch',
+          });
+        } else {
+          record(transaction, [line]);
         }
+      });
 
-        matchedStatement.matched = true;
-      }
+    // 2. Exact amount within 3 days
+    transactions
+      .filter((transaction) => !matchedTransactions.has(transaction))
+      .forEach((transaction) => {
+        const line = openLines(transaction).find(
+          (candidate) => Math.abs(candidate.amount - transaction.amount) < 0.01 // Allow small rounding differences
+            && isWithinDays(candidate.date, transaction.transactionDate), // Within 3 days
+        );
+        if (line) {
+          record(transaction, [line]);
+        }
+      });
 
-      reconciliation.items.push(reconciliationItem);
-    });
+    // 3. One statement line covering several book transactions, e.g. one deposit of several receipts
+    lines
+      .filter((line) => !matchedLines.has(line))
+      .forEach((line) => {
+        const candidates = transactions.filter(
+          (transaction) => !matchedTransactions.has(transaction)
+            && transaction.lineType === line.type
+            && isWithinDays(line.date, transaction.transactionDate),
+        );
+        const combination = findCombination(candidates, line.amount, (transaction) => transaction.amount);
+        if (!combination) {
+          return;
+        }
+
+        groupCount += 1;
+        combination.forEach((transaction) => record(transaction, [line], {
+          bankStatementAmount: transaction.amount,
+          matchGroup: `G${groupCount}`,
+        }));
+      });
+
+    // 4. Several statement lines settling one book transaction, e.g. a payment sent in parts
+    transactions
+      .filter((transaction) => !matchedTransactions.has(transaction))
+      .forEach((transaction) => {
+        const candidates = openLines(transaction).filter(
+          (line) => isWithinDays(line.date, transaction.transactionDate),
+        );
+        const combination = findCombination(candidates, transaction.amount, (line) => line.amount);
+        if (!combination) {
+          return;
+        }
+
+        groupCount += 1;
+        record(transaction, combination, { matchGroup: `G${groupCount}` });
+      });
+
+    // Book transactions the bank has not shown yet
+    transactions
+      .filter((transaction) => !matchedTransactions.has(transaction))
+      .forEach((transaction) => {
+        items.push({ ...transactionItem(transaction), status: 'unmatched' });
+      });
+
+    // Statement lines with no book transaction; bank charges are proposed as payment entries
+    const proposedEntries = [];
+    lines
+      .filter((line) => !matchedLines.has(line))
+      .forEach((line) => {
+        const isCharge = line.type === 'debit' && isBankCharge(line);
+        if (isCharge) {
+          proposedEntries.push({
+            entryType: 'bank_charge',
+            paymentDate: line.date,
+            amount: line.amount,
+            paymentMethod: 'bank_transfer',
+            referenceNumber: line.reference,
+            description: line.description || 'Bank charges',
+            status: 'proposed',
+          });
+        }
 
-    // Add unmatched bank statement items
-    bankStatementItems
-      .filter((item) => !item.matched)
-      .forEach((item) => {
-        reconciliation.items.push({
-          transactionType: item.type === 'credit' ? 'receipt' : 'payment',
-          bankStatementDate: item.date,
-          bankStatementAmount: item.amount,
-          bankReference: item.reference,
+        items.push({
+          transactionType: line.type === 'credit' ? 'receipt' : 'payment',
+          ...statementFields([line]),
           status: 'unmatched',
-          discrepancyReason: 'No matching book transaction',
+          discrepancyReason: isCharge ? 'Bank charge - payment entry proposed' : 'No matching book transaction',
         });
       });
 
+    reconciliation.items = items;
+    reconciliation.proposedEntries = proposedEntries;
+
     await reconciliation.save();
     return reconciliation;
   }
@@ -0,0 +1,315 @@
+const AppError = require('../utils/appError');
+
+/**
+ * Column headings of a bank CSV export, used when no column mapping is given
+ */
+const DEFAULT_CSV_COLUMNS = {
+  date: 'Date',
+  description: 'Description',
+  reference: 'Reference',
+  chequeNumber: 'Cheque No',
+  debit: 'Debit',
+  credit: 'Credit',
+};
+
+const STATEMENT_FORMATS = ['csv', 'mt940', 'ofx'];
+
+/**
+ * Build a statement line from a signed amount (negative = debit)
+ */
+const toStatementLine = (signedAmount, date, details) => ({
+  type: signedAmount < 0 ? 'debit' : 'credit',
+  amount: Math.round(Math.abs(signedAmount) * 100) / 100,
+  date,
+  reference: details.reference || '',
+  chequeNumber: details.chequeNumber || '',
+  description: details.description || '',
+});
+
+/**
+ * Parse an amount, allowing thousands separators, a trailing Dr/Cr or brackets for negatives
+ */
+const parseAmount = (text) => {
+  const value = String(text || '').trim();
+  if (value === '') {
+    return 0;
+  }
+
+  const negative = /^\(.*\)$/.test(value) || /^-/.test(value) || /dr$/i.test(value);
+  const amount = parseFloat(value.replace(/[^0-9.]/g, ''));
+  if (Number.isNaN(amount)) {
+    return 0;
+  }
+  return negative ? -amount : amount;
+};
+
+/**
+ * Parse a date in the given format (DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, YYMMDD or YYYYMMDD)
+ */
+const parseDate = (text, format) => {
+  const digits = String(text || '').match(/\d+/g);
+  if (!digits) {
+    return null;
+  }
+
+  let year;
+  let month;
+  let day;
+  if (format === 'YYMMDD' || format === 'YYYYMMDD') {
+    const compact = digits.join('');
+    const yearLength = format === 'YYMMDD' ? 2 : 4;
+    year = parseInt(compact.slice(0, yearLength), 10);
+    month = parseInt(compact.slice(yearLength, yearLength + 2), 10);
+    day = parseInt(compact.slice(yearLength + 2, yearLength + 4), 10);
+  } else if (digits.length === 3) {
+    const parts = digits.map((part) => parseInt(part, 10));
+    if (format === 'YYYY-MM-DD') {
+      [year, month, day] = parts;
+    } else if (format === 'MM/DD/YYYY') {
+      [month, day, year] = parts;
+    } else {
+      [day, month, year] = parts;
+    }
+  } else {
+    return null;
+  }
+
+  if (year < 100) {
+    year += 2000;
+  }
+  const date = new Date(year, month - 1, day);
+  if (Number.isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Split CSV content into rows of cells, honouring quoted cells
+ */
+const splitCsv = (content, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows;
+};
+
+/**
+ * Bank Statement Service
+ * Parses bank statement exports (CSV, MT940, OFX) into statement lines for reconciliation.
+ * Every parser returns lines shaped as
+ * { type: 'credit'|'debit', amount, date, reference, chequeNumber, description }
+ */
+class BankStatementService {
+  /**
+   * Parse a bank statement in any supported format
+   * @param {string} content - Statement file content
+   * @param {string} format - csv, mt940 or ofx
+   * @param {Object} options - CSV options (see parseCsv)
+   * @returns {Array} Statement lines
+   */
+  parse(content, format, options = {}) {
+    if (!content || typeof content !== 'string') {
+      throw new AppError('Statement content is required', 400);
+    }
+
+    const statementFormat = String(format || '').toLowerCase();
+    if (!STATEMENT_FORMATS.includes(statementFormat)) {
+      throw new AppError(`Statement format must be one of: ${STATEMENT_FORMATS.join(', ')}`, 400);
+    }
+
+    let lines;
+    if (statementFormat === 'csv') {
+      lines = this.parseCsv(content, options);
+    } else if (statementFormat === 'mt940') {
+      lines = this.parseMt940(content);
+    } else {
+      lines = this.parseOfx(content);
+    }
+
+    if (lines.length === 0) {
+      throw new AppError('No transactions found in the bank statement', 400);
+    }
+    return lines;
+  }
+
+  /**
+   * Parse a bank CSV export
+   * The column mapping names the heading of each field. Amounts come either from separate
+   * debit and credit columns, or from one amount column that is signed (negative = debit)
+   * or paired with a type column holding DR/CR.
+   * @param {string} content - CSV content with a heading row
+   * @param {Object} options - { columnMapping, delimiter (default ','), dateFormat (default DD/MM/YYYY) }
+   * @returns {Array} Statement lines
+   */
+  parseCsv(content, options = {}) {
+    const columns = { ...DEFAULT_CSV_COLUMNS, ...options.columnMapping };
+    const delimiter = options.delimiter || ',';
+    const dateFormat = options.dateFormat || 'DD/MM/YYYY';
+
+    const rows = splitCsv(content, delimiter).filter((row) => row.some((cell) => cell !== ''));
+    if (rows.length < 2) {
+      return [];
+    }
+
+    const headings = rows[0].map((heading) => heading.toLowerCase());
+    const indexOf = (field) => (columns[field] ? headings.indexOf(String(columns[field]).toLowerCase()) : -1);
+    const index = {
+      date: indexOf('date'),
+      description: indexOf('description'),
+      reference: indexOf('reference'),
+      chequeNumber: indexOf('chequeNumber'),
+      debit: indexOf('debit'),
+      credit: indexOf('credit'),
+      amount: indexOf('amount'),
+      type: indexOf('type'),
+    };
+
+    if (index.date === -1) {
+      throw new AppError(`Date column "${columns.date}" not found in the statement`, 400);
+    }
+    if (index.amount === -1 && (index.debit === -1 || index.credit === -1)) {
+      throw new AppError('Statement must have debit and credit columns, or an amount column', 400);
+    }
+
+    return rows.slice(1).map((row, rowNumber) => {
+      const cell = (field) => (index[field] === -1 ? '' : (row[index[field]] || '').trim());
+
+      let signedAmount;
+      if (index.amount !== -1) {
+        signedAmount = parseAmount(cell('amount'));
+        const type = cell('type').toUpperCase();
+        if (type.startsWith('D')) {
+          signedAmount = -Math.abs(signedAmount);
+        } else if (type.startsWith('C')) {
+          signedAmount = Math.abs(signedAmount);
+        }
+      } else {
+        signedAmount = parseAmount(cell('credit')) - parseAmount(cell('debit'));
+      }
+
+      const date = parseDate(cell('date'), dateFormat);
+      if (!date) {
+        throw new AppError(`Invalid date "${cell('date')}" on statement row ${rowNumber + 2}`, 400);
+      }
+
+      return toStatementLine(signedAmount, date, {
+        reference: cell('reference'),
+        chequeNumber: cell('chequeNumber'),
+        description: cell('description'),
+      });
+    }).filter((line) => line.amount > 0);
+  }
+
+  /**
+   * Parse a SWIFT MT940 statement
+   * Each :61: statement line becomes a line; the :86: field after it is its description.
+   * The customer reference of a cheque entry (type NCHK) is its cheque number.
+   * @param {string} content - MT940 content
+   * @returns {Array} Statement lines
+   */
+  parseMt940(content) {
+    // Field values may run over several lines
+    const fields = [];
+    content.split(/\r?\n/).forEach((raw) => {
+      const tag = raw.match(/^:(\d{2}[A-Z]?):(.*)$/);
+      if (tag) {
+        fields.push({ tag: tag[1], value: tag[2] });
+      } else if (fields.length > 0 && raw.trim() !== '' && !raw.startsWith('-')) {
+        fields[fields.length - 1].value += `\n${raw}`;
+      }
+    });
+
+    const lines = [];
+    fields.forEach((field) => {
+      if (field.tag === '61') {
+        const [statementLine] = field.value.split('\n');
+        const match = statementLine.match(/^(\d{6})(\d{4})?(R?[CD])[A-Z]?(\d+,\d*)([A-Z][A-Z0-9]{3})(.*)$/);
+        if (!match) {
+          throw new AppError(`Invalid MT940 statement line ":61:${statementLine}"`, 400);
+        }
+
+        const [, valueDate, , mark, amount, transactionType, references] = match;
+        const [customerReference, bankReference] = references.split('//');
+        // A reversed credit (RC) takes money out, a reversed debit (RD) puts it back
+        const isCredit = mark === 'C' || mark === 'RD';
+        const signedAmount = parseAmount(amount.replace(',', '.')) * (isCredit ? 1 : -1);
+        const reference = (customerReference || '').trim();
+
+        lines.push(toStatementLine(signedAmount, parseDate(valueDate, 'YYMMDD'), {
+          reference: reference === 'NONREF' ? (bankReference || '').trim() : reference,
+          chequeNumber: transactionType === 'NCHK' ? reference : '',
+          description: '',
+        }));
+      } else if (field.tag === '86' && lines.length > 0) {
+        lines[lines.length - 1].description = field.value.replace(/\n/g, ' ').trim();
+      }
+    });
+
+    return lines.filter((line) => line.amount > 0);
+  }
+
+  /**
+   * Parse an OFX statement (SGML 1.x or XML 2.x)
+   * @param {string} content - OFX content
+   * @returns {Array} Statement lines
+   */
+  parseOfx(content) {
+    const blocks = content.split(/<STMTTRN>/i).slice(1);
+
+    return blocks.map((rawBlock) => {
+      const [block] = rawBlock.split(/<\/STMTTRN>/i);
+      // SGML OFX leaves elements unclosed, so a value runs to the next tag or line end
+      const value = (name) => {
+        const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].trim() : '';
+      };
+
+      const date = parseDate(value('DTPOSTED').slice(0, 8), 'YYYYMMDD');
+      if (!date) {
+        throw new AppError(`Invalid OFX posting date "${value('DTPOSTED')}"`, 400);
+      }
+
+      return toStatementLine(parseAmount(value('TRNAMT')), date, {
+        reference: value('REFNUM') || value('FITID'),
+        chequeNumber: value('CHECKNUM'),
+        description: [value('NAME'), value('MEMO')].filter(Boolean).join(' - '),
+      });
+    }).filter((line) => line.amount > 0);
+  }
+}
+
+module.exports = new BankStatementService();
@@ -326,6 +326,133 @@ class BatchService {
     return batchRepository.updateBatchStatuses();
   }
 
+  /**
+   * Allocate a quantity of an item across batches, earliest expiry first (FEFO)
+   * Expired and quarantined batches are never picked. Remaining quantities are
+   * decremented atomically; if any batch runs short mid-way, batches already
+   * decremented are restored before the error is thrown.
+   * @param {string} itemId - Item ID
+   * @param {number} quantity - Quantity to allocate
+   * @param {Object} [options] - Options
+   * @param {string} [options.warehouseId] - Restrict allocation to a warehouse
+   * @param {Map} [options.reservedByBatch] - Quantity of each batch held for other documents
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Array>} Allocations (batchId, batchNumber, warehouseId, expiryDate, quantity)
+   */
+  async allocateBatchesFEFO(itemId, quantity, options = {}) {
+    if (!itemId) {
+      throw new Error('Item ID is required');
+    }
+    if (!quantity || quantity <= 0) {
+      throw new Error('Quantity must be greater than 0');
+    }
+
+    const { warehouseId, session, reservedByBatch } = options;
+    const batches = (await batchRepository.findSellableBatches(itemId, { warehouseId, session }))
+      .map(batch => ({
+        ...batch,
+        freeQuantity: batch.remainingQuantity - ((reservedByBatch && reservedByBatch.get(String(batch._id))) || 0)
+      }))
+      .filter(batch => batch.freeQuantity > 0);
+
+    const available = batches.reduce((sum, batch) => sum + batch.freeQuantity, 0);
+    if (available < quantity) {
+      const error = new Error(
+        `Insufficient batch stock for item ${itemId}. ` +
+        `Available in sellable batches: ${available}, Requested: ${quantity}`
+      );
+      error.code = 'INSUFFICIENT_BATCH_STOCK';
+      error.statusCode = 422;
+      error.details = { itemId, warehouseId: warehouseId || null, requested: quantity, available };
+      throw error;
+    }
+
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const batch of batches) {
+      if (remaining <= 0) break;
+
+      const take = Math.min(batch.freeQuantity, remaining);
+      const updated = await batchRepository.decrementRemainingQuantity(batch._id, take, { session });
+
+      if (!updated) {
+        // Another transaction consumed this batch in the meantime - undo and report
+        await this.releaseBatchAllocations(allocations, { session });
+        const error = new Error(`Batch ${batch.batchNumber} no longer has enough stock. Please retry.`);
+        error.code = 'BATCH_ALLOCATION_CONFLICT';
+        error.statusCode = 409;
+        throw error;
+      }
+
+      allocations.push({
+        batchId: batch._id,
+        batchNumber: batch.batchNumber,
+        warehouseId: batch.warehouse,
+        expiryDate: batch.expiryDate,
+        manufacturingDate: batch.manufacturingDate,
+        quantity: take
+      });
+      remaining -= take;
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Return previously allocated quantities to their batches
+   * @param {Array} allocations - Allocations as returned by allocateBatchesFEFO
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Array>} Updated batches
+   */
+  async releaseBatchAllocations(allocations = [], options = {}) {
+    const released = [];
+
+    for (const allocation of allocations) {
+      if (allocation.batchId && allocation.quantity > 0) {
+        const batch = await batchRepository.incrementRemainingQuantity(
+          allocation.batchId,
+          allocation.quantity,
+          { session: options.session }
+        );
+        released.push(batch);
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Check whether an item is batch-tracked (has any batch records at all)
+   * @param {string} itemId - Item ID
+   * @returns {Promise<boolean>} True if the item has batches
+   */
+  async isBatchTracked(itemId) {
+    const count = await batchRepository.countByItem(itemId);
+    return count > 0;
+  }
+
+  /**
+   * Ensure a batch picked on an invoice line is not quarantined under a recall
+   * @param {string} itemId - Item ID
+   * @param {string} batchNumber - Batch number on the invoice line
+   * @throws {Error} BATCH_QUARANTINED if the batch is blocked from sale
+   */
+  async assertBatchSellable(itemId, batchNumber) {
+    if (!itemId || !batchNumber) {
+      return;
+    }
+
+    const quarantined = await batchRepository.findQuarantined(itemId, batchNumber);
+    if (quarantined.length > 0) {
+      const error = new Error(`Batch ${batchNumber} is quarantined under a recall and cannot be sold`);
+      error.code = 'BATCH_QUARANTINED';
+      error.statusCode = 422;
+      throw error;
+    }
+  }
+
   /**
    * Get next available batch number for an item
    * @param {string} itemId - Item ID
@@ -1,6 +1,8 @@
 const CashPayment = require('../models/CashPayment');
 const Supplier = require('../models/Supplier');
 const ledgerService = require('./ledgerService');
+const fiscalPeriodService = require('./fiscalPeriodService');
+const approvalService = require('./approvalService');
 
 /**
  * Cash Payment Service
@@ -9,6 +11,8 @@ const ledgerService = require('./ledgerService');
 class CashPaymentService {
   /**
    * Create a new cash payment
+   * Payments above the approval limit are saved as 'pending_approval' and only posted to the
+   * ledger once approved.
    * @param {Object} paymentData - Cash payment data
    * @returns {Promise<Object>} Created cash payment
    */
@@ -27,6 +31,8 @@ class CashPaymentService {
       throw new Error('Created by user ID is required');
     }
 
+    await fiscalPeriodService.assertPeriodOpen(paymentData.paymentDate, 'Cash payment');
+
     // Validate supplier exists and is active
     const supplier = await Supplier.findById(paymentData.supplierId);
     if (!supplier) {
@@ -36,32 +42,87 @@ class CashPaymentService {
       throw new Error('Supplier is not active');
     }
 
+    const approvalReasons = await approvalService.reasonsNeedingApproval(
+      await approvalService.evaluateCashPayment(paymentData),
+      paymentData.createdBy
+    );
+
     // Create cash payment
     const payment = new CashPayment(paymentData);
+    if (approvalReasons.length > 0) {
+      payment.status = 'pending_approval';
+    }
     await payment.save();
 
-    // Create ledger entries for cash payment
-    // Debit: Supplier Account (payable decreases)
-    // Credit: Cash/Bank Account (asset decreases)
-    await ledgerService.createDoubleEntry(
+    if (approvalReasons.length > 0) {
+      await approvalService.openRequest({
+        documentType: 'cash_payment',
+        documentId: payment._id,
+        documentNumber: payment.paymentNumber,
+        action: 'post',
+        amount: payment.amount,
+        reasons: approvalReasons,
+        requestedBy: paymentData.createdBy,
+      });
+    } else {
+      await this.postToLedger(payment, paymentData.createdBy);
+    }
+
+    // Populate supplier details
+    await payment.populate('supplierId', 'code name contactInfo');
+    await payment.populate('createdBy', 'username email');
+
+    return payment;
+  }
+
+  /**
+   * Post a cash payment to the ledger
+   * Debit: Supplier Account (payable decreases)
+   * Credit: Cash/Bank Account (asset decreases)
+   * @param {Object} payment - Cash payment
+   * @param {string} userId - User ID the entries are created by
+   * @returns {Promise<Object>} Created ledger entries
+   */
+  async postToLedger(payment, userId) {
+    return ledgerService.createDoubleEntry(
       {
-        accountId: paymentData.supplierId,
+        accountId: payment.supplierId,
         accountType: 'Supplier',
       },
       {
         accountId: 'CASH_ACCOUNT', // This would be a cash/bank account ID
         accountType: 'Asset',
       },
-      paymentData.amount,
+      payment.amount,
       `Cash payment ${payment.paymentNumber} to supplier`,
       'cash_payment',
       payment._id,
-      paymentData.createdBy
+      userId
     );
+  }
 
-    // Populate supplier details
-    await payment.populate('supplierId', 'code name contactInfo');
-    await payment.populate('createdBy', 'username email');
+  /**
+   * Apply an approval decision to a payment held back for approval
+   * Approved payments become 'pending' and are posted to the ledger; rejected ones are cancelled.
+   * @param {Object} request - Decided approval request
+   * @returns {Promise<Object>} Updated cash payment
+   */
+  async resolveApproval(request) {
+    const status = request.status === 'approved' ? 'pending' : 'cancelled';
+
+    // Claim the payment atomically so two approvers cannot post it twice
+    const payment = await CashPayment.findOneAndUpdate(
+      { _id: request.documentId, status: 'pending_approval' },
+      { status },
+      { new: true }
+    );
+    if (!payment) {
+      throw new Error('Cash payment is not awaiting approval');
+    }
+
+    if (status === 'pending') {
+      await this.postToLedger(payment, request.requestedBy);
+    }
 
     return payment;
   }
@@ -161,6 +222,17 @@ class CashPaymentService {
       throw new Error(`Cannot update ${payment.status} payment`);
     }
 
+    // The approver decides on the payment as submitted
+    if (payment.status === 'pending_approval') {
+      throw new Error('Cannot update payment awaiting approval');
+    }
+
+    // Neither the current nor the new date may fall in a closed period
+    await fiscalPeriodService.assertPeriodOpen(payment.paymentDate, 'Cash payment');
+    if (updateData.paymentDate !== undefined) {
+      await fiscalPeriodService.assertPeriodOpen(updateData.paymentDate, 'Cash payment');
+    }
+
     // Update allowed fields
     const allowedFields = [
       'paymentDate',
@@ -213,6 +285,8 @@ class CashPaymentService {
       throw new Error('Cash payment not found');
     }
 
+    await fiscalPeriodService.assertPeriodOpen(payment.paymentDate, 'Cash payment');
+
     await payment.cancelPayment();
     await payment.populate('supplierId', 'code name');
     await payment.populate('createdBy', 'username');
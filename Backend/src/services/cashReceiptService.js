@@ -1,6 +1,9 @@
 const CashReceipt = require('../models/CashReceipt');
 const Customer = require('../models/Customer');
 const ledgerService = require('./ledgerService');
+const accountService = require('./accountService');
+const fiscalPeriodService = require('./fiscalPeriodService');
+const { runInTransaction } = require('../utils/transaction');
 
 /**
  * Cash Receipt Service
@@ -28,6 +31,8 @@ class CashReceiptService {
       throw new Error('Created by user ID is required');
     }
 
+    await fiscalPeriodService.assertPeriodOpen(receiptData.receiptDate, 'Cash receipt');
+
     // Validate customer exists and is active
     const customer = await Customer.findById(receiptData.customerId);
     if (!customer) {
@@ -167,6 +172,12 @@ class CashReceiptService {
       throw new Error(`Cannot update ${receipt.status} receipt`);
     }
 
+    // Neither the current nor the new date may fall in a closed period
+    await fiscalPeriodService.assertPeriodOpen(receipt.receiptDate, 'Cash receipt');
+    if (updateData.receiptDate !== undefined) {
+      await fiscalPeriodService.assertPeriodOpen(updateData.receiptDate, 'Cash receipt');
+    }
+
     // Update allowed fields
     const allowedFields = [
       'receiptDate',
@@ -256,6 +267,8 @@ class CashReceiptService {
       throw new Error('Cash receipt not found');
     }
 
+    await fiscalPeriodService.assertPeriodOpen(receipt.receiptDate, 'Cash receipt');
+
     await receipt.cancelReceipt();
     await receipt.populate('customerId', 'code name');
     await receipt.populate('createdBy', 'username');
@@ -369,6 +382,8 @@ class CashReceiptService {
       throw new Error('Created by user ID is required');
     }
 
+    await fiscalPeriodService.assertPeriodOpen(receiptData.receiptDate, 'Cash receipt');
+
     // Validate post-dated cheque specific fields
     if (!receiptData.bankDetails || !receiptData.bankDetails.bankName) {
       throw new Error('Bank name is required for post-dated cheques');
@@ -409,61 +424,92 @@ class CashReceiptService {
     return receipt;
   }
 
+  /**
+   * System account the money of a receipt lands in: cash in hand for cash,
+   * the bank account for cheques and transfers
+   * @param {string} paymentMethod - Receipt payment method
+   * @returns {Promise<Object>} Cash or bank account
+   */
+  async getReceivingAccount(paymentMethod) {
+    if (paymentMethod === 'cash') {
+      return accountService.getOrCreateSystemAccount('CASH_IN_HAND', {
+        name: 'Cash in Hand',
+        accountType: 'asset',
+        description: 'Physical cash at the counter',
+      });
+    }
+    return accountService.getOrCreateSystemAccount('BANK_ACCOUNT', {
+      name: 'Main Bank Account',
+      accountType: 'asset',
+      description: 'Primary bank account for payments',
+    });
+  }
+
   /**
    * Phase 2: Clear post-dated cheque (Requirement 7.3)
    * Updates cheque status to 'cleared'
    * Updates cash balance on clearance
    * Sets clearedDate
+   * The status change and the ledger posting are written in one transaction.
    * @param {string} receiptId - Receipt ID
    * @param {string} userId - User ID performing the clearance
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Cleared cash receipt
    */
-  async clearCheque(receiptId, userId) {
-    const receipt = await CashReceipt.findById(receiptId);
-    if (!receipt) {
-      throw new Error('Cash receipt not found');
-    }
+  async clearCheque(receiptId, userId, options = {}) {
+    const clear = async (session) => {
+      const receipt = await CashReceipt.findById(receiptId, null, { session });
+      if (!receipt) {
+        throw new Error('Cash receipt not found');
+      }
 
-    // Validate it's a post-dated cheque
-    if (!receipt.postDatedCheque) {
-      throw new Error('This is not a post-dated cheque');
-    }
+      // Validate it's a post-dated cheque
+      if (!receipt.postDatedCheque) {
+        throw new Error('This is not a post-dated cheque');
+      }
 
-    // Validate current status
-    if (receipt.chequeStatus !== 'pending') {
-      throw new Error(`Cannot clear cheque with status: ${receipt.chequeStatus}`);
-    }
+      // Validate current status - in hand, or banked on a deposit slip
+      if (!['pending', 'deposited'].includes(receipt.chequeStatus)) {
+        throw new Error(`Cannot clear cheque with status: ${receipt.chequeStatus}`);
+      }
 
-    // Update cheque status
-    receipt.chequeStatus = 'cleared';
-    receipt.status = 'cleared';
-    receipt.clearedDate = new Date();
-    await receipt.save();
+      // Update cheque status
+      receipt.chequeStatus = 'cleared';
+      receipt.status = 'cleared';
+      receipt.clearedDate = new Date();
+      await receipt.save({ session });
 
-    // Now create ledger entries for the cleared cheque
-    // Debit: Cash/Bank Account (asset increases)
-    // Credit: Customer Account (receivable decreases)
-    await ledgerService.createDoubleEntry(
-      {
-        accountId: 'CASH_ACCOUNT', // This would be a cash/bank account ID
-        accountType: 'Asset',
-      },
-      {
-        accountId: receipt.customerId,
-        accountType: 'Customer',
-      },
-      receipt.amount,
-      `Post-dated cheque cleared - ${receipt.receiptNumber} from ${receipt.bankDetails.bankName}`,
-      'cash_receipt',
-      receipt._id,
-      userId
-    );
+      // Now create ledger entries for the cleared cheque
+      // Debit: Bank Account (asset increases)
+      // Credit: Customer Account (receivable decreases)
+      const bankAccount = await this.getReceivingAccount(receipt.paymentMethod);
+      await ledgerService.createDoubleEntry(
+        {
+          accountId: bankAccount._id,
+          accountType: 'Account',
+        },
+        {
+          accountId: receipt.customerId,
+          accountType: 'Customer',
+        },
+        receipt.amount,
+        `Post-dated cheque cleared - ${receipt.receiptNumber} from ${receipt.bankDetails.bankName}`,
+        'cash_receipt',
+        receipt._id,
+        userId,
+        { session }
+      );
 
-    // Populate customer details
-    await receipt.populate('customerId', 'code name contactInfo');
-    await receipt.populate('createdBy', 'username email');
+      return receipt;
+    };
 
-    return receipt;
+    if (options.session) {
+      return clear(options.session);
+    }
+
+    const receipt = await runInTransaction(clear);
+    return this.getCashReceiptById(receipt._id);
   }
 
   /**
@@ -471,62 +517,72 @@ class CashReceiptService {
    * Updates cheque status to 'bounced'
    * Reverses the receipt entry if it was cleared
    * Restores customer balance
+   * The status change and the reversal are written in one transaction.
    * @param {string} receiptId - Receipt ID
    * @param {string} reason - Bounce reason
    * @param {string} userId - User ID performing the action
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Updated cash receipt
    */
-  async bounceCheque(receiptId, reason, userId) {
-    const receipt = await CashReceipt.findById(receiptId);
-    if (!receipt) {
-      throw new Error('Cash receipt not found');
-    }
+  async bounceCheque(receiptId, reason, userId, options = {}) {
+    const bounce = async (session) => {
+      const receipt = await CashReceipt.findById(receiptId, null, { session });
+      if (!receipt) {
+        throw new Error('Cash receipt not found');
+      }
 
-    // Validate it's a post-dated cheque
-    if (!receipt.postDatedCheque) {
-      throw new Error('This is not a post-dated cheque');
-    }
+      // Validate it's a post-dated cheque
+      if (!receipt.postDatedCheque) {
+        throw new Error('This is not a post-dated cheque');
+      }
 
-    // Validate current status
-    if (receipt.chequeStatus === 'bounced') {
-      throw new Error('Cheque is already marked as bounced');
-    }
+      // Validate current status
+      if (receipt.chequeStatus === 'bounced') {
+        throw new Error('Cheque is already marked as bounced');
+      }
 
-    const wasCleared = receipt.chequeStatus === 'cleared';
+      const wasCleared = receipt.chequeStatus === 'cleared';
+
+      // Update cheque status
+      receipt.chequeStatus = 'bounced';
+      receipt.status = 'bounced';
+      receipt.bounceReason = reason;
+      await receipt.save({ session });
+
+      // If the cheque was already cleared, reverse the ledger entries
+      if (wasCleared) {
+        // Create reverse ledger entries
+        // Debit: Customer Account (receivable increases - restore balance)
+        // Credit: Bank Account (asset decreases)
+        const bankAccount = await this.getReceivingAccount(receipt.paymentMethod);
+        await ledgerService.createDoubleEntry(
+          {
+            accountId: receipt.customerId,
+            accountType: 'Customer',
+          },
+          {
+            accountId: bankAccount._id,
+            accountType: 'Account',
+          },
+          receipt.amount,
+          `Cheque bounced - Reversal of ${receipt.receiptNumber}. Reason: ${reason}`,
+          'cash_receipt',
+          receipt._id,
+          userId,
+          { session }
+        );
+      }
 
-    // Update cheque status
-    receipt.chequeStatus = 'bounced';
-    receipt.status = 'bounced';
-    receipt.bounceReason = reason;
-    await receipt.save();
+      return receipt;
+    };
 
-    // If the cheque was already cleared, reverse the ledger entries
-    if (wasCleared) {
-      // Create reverse ledger entries
-      // Debit: Customer Account (receivable increases - restore balance)
-      // Credit: Cash/Bank Account (asset decreases)
-      await ledgerService.createDoubleEntry(
-        {
-          accountId: receipt.customerId,
-          accountType: 'Customer',
-        },
-        {
-          accountId: 'CASH_ACCOUNT',
-          accountType: 'Asset',
-        },
-        receipt.amount,
-        `Cheque bounced - Reversal of ${receipt.receiptNumber}. Reason: ${reason}`,
-        'cash_receipt_reversal',
-        receipt._id,
-        userId
-      );
+    if (options.session) {
+      return bounce(options.session);
     }
 
-    // Populate customer details
-    await receipt.populate('customerId', 'code name contactInfo');
-    await receipt.populate('createdBy', 'username email');
-
-    return receipt;
+    const receipt = await runInTransaction(bounce);
+    return this.getCashReceiptById(receipt._id);
   }
 
   /**
@@ -561,10 +617,13 @@ class CashReceiptService {
    * Allows partial payment against multiple invoices
    * Calculates and stores difference amounts
    * Updates invoice payment status
+   * The receipt, the invoice updates and the ledger posting are written in one transaction.
    * @param {Object} receiptData - Receipt data with invoice payments
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Created cash receipt with invoice payments
    */
-  async applyPaymentToInvoices(receiptData) {
+  async applyPaymentToInvoices(receiptData, options = {}) {
     const { customerId, amount, invoicePayments, createdBy } = receiptData;
 
     // Validate required fields
@@ -581,6 +640,8 @@ class CashReceiptService {
       throw new Error('Created by user ID is required');
     }
 
+    await fiscalPeriodService.assertPeriodOpen(receiptData.receiptDate, 'Cash receipt');
+
     // Validate customer exists
     const customer = await Customer.findById(customerId);
     if (!customer) {
@@ -594,124 +655,139 @@ class CashReceiptService {
     const salesInvoiceService = require('./salesInvoiceService');
     const Invoice = require('../models/Invoice');
 
-    // Validate and enrich invoice payments
-    const enrichedPayments = [];
-    let totalPaidAmount = 0;
-
-    for (const payment of invoicePayments) {
-      const { invoiceId, paidAmount } = payment;
-
-      if (!invoiceId) {
-        throw new Error('Invoice ID is required for each payment');
-      }
-      if (!paidAmount || paidAmount <= 0) {
-        throw new Error('Paid amount must be greater than 0');
-      }
-
-      // Get invoice
-      const invoice = await Invoice.findById(invoiceId);
-      if (!invoice) {
-        throw new Error(`Invoice not found: ${invoiceId}`);
+    const apply = async (session) => {
+      // Validate and enrich invoice payments
+      const enrichedPayments = [];
+      const invoices = [];
+      let totalPaidAmount = 0;
+
+      for (const payment of invoicePayments) {
+        const { invoiceId, paidAmount } = payment;
+
+        if (!invoiceId) {
+          throw new Error('Invoice ID is required for each payment');
+        }
+        if (!paidAmount || paidAmount <= 0) {
+          throw new Error('Paid amount must be greater than 0');
+        }
+
+        // Get invoice
+        const invoice = await Invoice.findById(invoiceId, null, { session });
+        if (!invoice) {
+          throw new Error(`Invoice not found: ${invoiceId}`);
+        }
+
+        // Validate invoice belongs to customer
+        if (invoice.customerId.toString() !== customerId.toString()) {
+          throw new Error(`Invoice ${invoice.invoiceNumber} does not belong to this customer`);
+        }
+
+        // Validate invoice is confirmed
+        if (invoice.status !== 'confirmed') {
+          throw new Error(`Invoice ${invoice.invoiceNumber} is not confirmed`);
+        }
+
+        // Calculate invoice age
+        const daysOld = salesInvoiceService.calculateInvoiceAge(invoice.invoiceDate);
+
+        // Calculate due amount
+        const totalAmount = invoice.totals.grandTotal;
+        const previouslyPaid = invoice.totals.paidAmount || 0;
+        const dueAmount = totalAmount - previouslyPaid;
+
+        // Validate paid amount doesn't exceed due amount
+        if (paidAmount > dueAmount) {
+          throw new Error(
+            `Paid amount (${paidAmount}) exceeds due amount (${dueAmount}) for invoice ${invoice.invoiceNumber}`
+          );
+        }
+
+        // Calculate difference
+        const difference = dueAmount - paidAmount;
+
+        enrichedPayments.push({
+          invoiceId: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          daysOld,
+          dueAmount,
+          paidAmount,
+          difference,
+        });
+        invoices.push(invoice);
+
+        totalPaidAmount += paidAmount;
       }
 
-      // Validate invoice belongs to customer
-      if (invoice.customerId.toString() !== customerId.toString()) {
-        throw new Error(`Invoice ${invoice.invoiceNumber} does not belong to this customer`);
-      }
-
-      // Validate invoice is confirmed
-      if (invoice.status !== 'confirmed') {
-        throw new Error(`Invoice ${invoice.invoiceNumber} is not confirmed`);
-      }
-
-      // Calculate invoice age
-      const daysOld = salesInvoiceService.calculateInvoiceAge(invoice.invoiceDate);
-
-      // Calculate due amount
-      const totalAmount = invoice.totals.grandTotal;
-      const previouslyPaid = invoice.totals.paidAmount || 0;
-      const dueAmount = totalAmount - previouslyPaid;
-
-      // Validate paid amount doesn't exceed due amount
-      if (paidAmount > dueAmount) {
+      // Validate total paid amount matches receipt amount
+      if (Math.abs(totalPaidAmount - amount) > 0.01) {
         throw new Error(
-          `Paid amount (${paidAmount}) exceeds due amount (${dueAmount}) for invoice ${invoice.invoiceNumber}`
+          `Total paid amount (${totalPaidAmount}) does not match receipt amount (${amount})`
         );
       }
 
-      // Calculate difference
-      const difference = dueAmount - paidAmount;
-
-      enrichedPayments.push({
-        invoiceId: invoice._id,
-        invoiceNumber: invoice.invoiceNumber,
-        daysOld,
-        dueAmount,
-        paidAmount,
-        difference,
+      // Create cash receipt with invoice payments
+      const receipt = new CashReceipt({
+        ...receiptData,
+        invoicePayments: enrichedPayments,
       });
+      await receipt.save({ session });
 
-      totalPaidAmount += paidAmount;
-    }
+      // Update invoice payment status and paid amounts
+      for (const [index, payment] of enrichedPayments.entries()) {
+        const invoice = invoices[index];
 
-    // Validate total paid amount matches receipt amount
-    if (Math.abs(totalPaidAmount - amount) > 0.01) {
-      throw new Error(
-        `Total paid amount (${totalPaidAmount}) does not match receipt amount (${amount})`
-      );
-    }
+        // Update paid amount
+        const previouslyPaid = invoice.totals.paidAmount || 0;
+        invoice.totals.paidAmount = previouslyPaid + payment.paidAmount;
 
-    // Create cash receipt with invoice payments
-    const receipt = new CashReceipt({
-      ...receiptData,
-      invoicePayments: enrichedPayments,
-    });
-    await receipt.save();
+        // Update payment status
+        const totalAmount = invoice.totals.grandTotal;
+        const newPaidAmount = invoice.totals.paidAmount;
 
-    // Update invoice payment status and paid amounts
-    for (const payment of enrichedPayments) {
-      const invoice = await Invoice.findById(payment.invoiceId);
-      
-      // Update paid amount
-      const previouslyPaid = invoice.totals.paidAmount || 0;
-      invoice.totals.paidAmount = previouslyPaid + payment.paidAmount;
-
-      // Update payment status
-      const totalAmount = invoice.totals.grandTotal;
-      const newPaidAmount = invoice.totals.paidAmount;
-
-      if (newPaidAmount >= totalAmount) {
-        invoice.paymentStatus = 'paid';
-      } else if (newPaidAmount > 0) {
-        invoice.paymentStatus = 'partial';
+        if (newPaidAmount >= totalAmount) {
+          invoice.paymentStatus = 'paid';
+        } else if (newPaidAmount > 0) {
+          invoice.paymentStatus = 'partial';
+        }
+
+        await invoice.save({ session });
       }
 
-      await invoice.save();
-    }
+      // Create ledger entries
+      // Debit: Cash/Bank Account (asset increases)
+      // Credit: Customer Account (receivable decreases)
+      const receivingAccount = await this.getReceivingAccount(receiptData.paymentMethod);
+      await ledgerService.createDoubleEntry(
+        {
+          accountId: receivingAccount._id,
+          accountType: 'Account',
+        },
+        {
+          accountId: customerId,
+          accountType: 'Customer',
+        },
+        amount,
+        `Cash receipt ${receipt.receiptNumber} - Payment against ${enrichedPayments.length} invoice(s)`,
+        'cash_receipt',
+        receipt._id,
+        createdBy,
+        { session }
+      );
 
-    // Create ledger entries
-    await ledgerService.createDoubleEntry(
-      {
-        accountId: 'CASH_ACCOUNT',
-        accountType: 'Asset',
-      },
-      {
-        accountId: customerId,
-        accountType: 'Customer',
-      },
-      amount,
-      `Cash receipt ${receipt.receiptNumber} - Payment against ${enrichedPayments.length} invoice(s)`,
-      'cash_receipt',
-      receipt._id,
-      createdBy
-    );
+      return receipt;
+    };
 
-    // Populate and return
-    await receipt.populate('customerId', 'code name contactInfo');
-    await receipt.populate('createdBy', 'username email');
-    await receipt.populate('invoicePayments.invoiceId', 'invoiceNumber invoiceDate totals');
+    if (options.session) {
+      return apply(options.session);
+    }
 
-    return receipt;
+    const receipt = await runInTransaction(apply);
+
+    // Reload and populate outside the finished transaction
+    return CashReceipt.findById(receipt._id)
+      .populate('customerId', 'code name contactInfo')
+      .populate('createdBy', 'username email')
+      .populate('invoicePayments.invoiceId', 'invoiceNumber invoiceDate totals');
   }
 
   /**
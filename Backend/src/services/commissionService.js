@@ -0,0 +1,588 @@
+const CommissionPlan = require('../models/CommissionPlan');
+const CommissionStatement = require('../models/CommissionStatement');
+const Salesman = require('../models/Salesman');
+const Invoice = require('../models/Invoice');
+const CashReceipt = require('../models/CashReceipt');
+const accountService = require('./accountService');
+const ledgerService = require('./ledgerService');
+const targetService = require('./targetService');
+const {
+  COMMISSION_BASIS,
+  COMMISSION_RULE_SCOPES,
+  COMMISSION_STATEMENT_STATUS
+} = require('../constants/commissionPlan');
+const { runInTransaction } = require('../utils/transaction');
+const AppError = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+const sameText = (a, b) => Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Commission Service
+ * Commission plans for salesmen and the monthly commission statements worked out under them
+ */
+class CommissionService {
+  /**
+   * Create a commission plan
+   * @param {Object} data - Plan data
+   * @param {string} userId - User creating the plan
+   * @returns {Promise<Object>} Created plan
+   */
+  async createPlan(data, userId) {
+    this.validateSlabs(data.targetSlabs);
+    return CommissionPlan.create({ ...data, createdBy: userId });
+  }
+
+  /**
+   * Update a commission plan. Locked statements keep the figures they were worked out with.
+   * @param {string} id - Plan ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated plan
+   */
+  async updatePlan(id, data) {
+    const plan = await CommissionPlan.findById(id);
+    if (!plan) {
+      throw new AppError('Commission plan not found', 404);
+    }
+
+    if (data.targetSlabs) {
+      this.validateSlabs(data.targetSlabs);
+    }
+
+    plan.set({ ...data, createdBy: plan.createdBy });
+    return plan.save();
+  }
+
+  /**
+   * Get commission plans
+   * @param {Object} [filters] - {isActive}
+   * @returns {Promise<Array>} Plans
+   */
+  async getPlans(filters = {}) {
+    const query = {};
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === 'true';
+    }
+    return CommissionPlan.find(query).sort({ name: 1 });
+  }
+
+  /**
+   * Get a commission plan and the salesmen on it
+   * @param {string} id - Plan ID
+   * @returns {Promise<Object>} {plan, salesmen}
+   */
+  async getPlanById(id) {
+    const plan = await CommissionPlan.findById(id);
+    if (!plan) {
+      throw new AppError('Commission plan not found', 404);
+    }
+    const salesmen = await Salesman.find({ commissionPlanId: id }).select('code name monthlySalesTarget');
+    return { plan, salesmen };
+  }
+
+  /**
+   * Put salesmen on a commission plan, optionally setting their monthly sales target
+   * @param {string} planId - Plan ID
+   * @param {Object} assignment - {salesmanIds, monthlySalesTarget}
+   * @returns {Promise<Object>} {assigned}
+   */
+  async assignPlan(planId, assignment) {
+    const { salesmanIds, monthlySalesTarget } = assignment || {};
+    if (!Array.isArray(salesmanIds) || salesmanIds.length === 0) {
+      throw new AppError('At least one salesman is required', 400);
+    }
+
+    const plan = await CommissionPlan.findById(planId);
+    if (!plan) {
+      throw new AppError('Commission plan not found', 404);
+    }
+    if (!plan.isActive) {
+      throw new AppError(`Commission plan ${plan.name} is inactive`, 400);
+    }
+
+    const update = { commissionPlanId: plan._id };
+    if (monthlySalesTarget !== undefined) {
+      const target = Number(monthlySalesTarget);
+      if (!Number.isFinite(target) || target < 0) {
+        throw new AppError('Monthly sales target cannot be negative', 400);
+      }
+      update.monthlySalesTarget = target;
+    }
+
+    const result = await Salesman.updateMany({ _id: { $in: salesmanIds } }, { $set: update });
+    return { assigned: result.modifiedCount };
+  }
+
+  /**
+   * Check target slabs do not repeat a threshold
+   * @param {Array} [slabs] - Target slabs
+   */
+  validateSlabs(slabs) {
+    if (!Array.isArray(slabs)) {
+      return;
+    }
+    const thresholds = slabs.map(slab => Number(slab.minAchievementPercent));
+    if (new Set(thresholds).size !== thresholds.length) {
+      throw new AppError('Each target slab needs a different minimum achievement', 400);
+    }
+  }
+
+  /**
+   * First and last moment of a calendar month
+   * @param {number|string} year - Year
+   * @param {number|string} month - Month (1-12)
+   * @returns {Object} {year, month, startDate, endDate}
+   */
+  getPeriod(year, month) {
+    const y = parseInt(year, 10);
+    const m = parseInt(month, 10);
+    if (!Number.isInteger(y) || y < 2000 || !Number.isInteger(m) || m < 1 || m > 12) {
+      throw new AppError('A valid year and month (1-12) are required', 400);
+    }
+
+    return {
+      year: y,
+      month: m,
+      startDate: new Date(y, m - 1, 1),
+      endDate: new Date(y, m, 0, 23, 59, 59, 999)
+    };
+  }
+
+  /**
+   * Plan for a salesman, or a flat-rate plan on sales at their commission rate
+   * @param {Object} salesman - Salesman document
+   * @returns {Promise<Object>} Plan
+   */
+  async getSalesmanPlan(salesman) {
+    if (salesman.commissionPlanId) {
+      const plan = await CommissionPlan.findById(salesman.commissionPlanId).lean();
+      if (plan) {
+        return plan;
+      }
+    }
+
+    return {
+      name: 'Flat rate',
+      basis: COMMISSION_BASIS.SALES,
+      defaultRate: salesman.commissionRate || 0,
+      rules: [],
+      targetSlabs: [],
+      deductReturns: true,
+      lateCollection: { afterDays: 0, deductionPercent: 0 },
+      zeroOnOverdue: false
+    };
+  }
+
+  /**
+   * Commission rate for an invoice line; the item must be populated with category and manufacturer
+   * @param {Object} plan - Commission plan
+   * @param {Object} line - Invoice line
+   * @returns {number} Rate in percent
+   */
+  getLineRate(plan, line) {
+    const item = line.itemId || {};
+    const rules = plan.rules || [];
+    const isSchemeLine = (line.scheme1Quantity || 0) + (line.scheme2Quantity || 0) > 0;
+
+    const rule = (isSchemeLine && rules.find(entry => entry.scope === COMMISSION_RULE_SCOPES.SCHEME_ITEM))
+      || rules.find(entry => entry.scope === COMMISSION_RULE_SCOPES.MANUFACTURER
+        && sameText(entry.value, item.manufacturer))
+      || rules.find(entry => entry.scope === COMMISSION_RULE_SCOPES.CATEGORY && sameText(entry.value, item.category));
+
+    return rule ? rule.rate : plan.defaultRate || 0;
+  }
+
+  /**
+   * Commission an invoice earns in full under a plan
+   * @param {Object} plan - Commission plan
+   * @param {Object} invoice - Invoice with populated line items
+   * @returns {number} Commission
+   */
+  getInvoiceCommission(plan, invoice) {
+    return (invoice.items || [])
+      .reduce((sum, line) => sum + (Math.abs(line.lineTotal || 0) * this.getLineRate(plan, line)) / 100, 0);
+  }
+
+  /**
+   * Payout percent of the slab a target achievement falls in
+   * @param {Array} slabs - Target slabs
+   * @param {number|null} achievementPercent - Achievement, or null without a target
+   * @returns {number} Payout percent
+   */
+  getPayoutPercent(slabs, achievementPercent) {
+    if (!slabs || slabs.length === 0 || achievementPercent === null) {
+      return 100;
+    }
+
+    const slab = [...slabs]
+      .sort((a, b) => b.minAchievementPercent - a.minAchievementPercent)
+      .find(entry => achievementPercent >= entry.minAchievementPercent);
+    return slab ? slab.payoutPercent : 0;
+  }
+
+  /**
+   * Work out a salesman's commission for a month
+   * @param {Object} salesman - Salesman document
+   * @param {Object} period - {year, month, startDate, endDate}
+   * @returns {Promise<Object>} Statement data
+   */
+  async calculateStatement(salesman, period) {
+    const plan = await this.getSalesmanPlan(salesman);
+    const inPeriod = { $gte: period.startDate, $lte: period.endDate };
+
+    const salesInvoices = await Invoice.find({
+      type: 'sales',
+      salesmanId: salesman._id,
+      status: { $in: ['confirmed', 'paid'] },
+      invoiceDate: inPeriod
+    })
+      .populate('items.itemId', 'category manufacturer')
+      .lean();
+
+    let overdueCustomers = new Set();
+    if (plan.zeroOnOverdue) {
+      const cutoff = new Date(period.endDate.getTime() - (plan.overdueGraceDays || 0) * DAY_MS);
+      const customerIds = await Invoice.distinct('customerId', {
+        type: 'sales',
+        salesmanId: salesman._id,
+        status: 'confirmed',
+        paymentStatus: { $ne: 'paid' },
+        dueDate: { $lt: cutoff }
+      });
+      overdueCustomers = new Set(customerIds.map(String));
+    }
+    const isOverdue = customerId => overdueCustomers.has(refId(customerId));
+
+    const earnings = [];
+    const deductions = [];
+    let grossCommission = 0;
+    let netSales = salesInvoices.reduce((sum, invoice) => sum + invoice.totals.grandTotal, 0);
+
+    const lateCollection = plan.lateCollection || {};
+    const needsReceipts = plan.basis === COMMISSION_BASIS.COLLECTIONS
+      || (lateCollection.afterDays > 0 && lateCollection.deductionPercent > 0);
+
+    if (plan.basis === COMMISSION_BASIS.SALES) {
+      for (const invoice of salesInvoices) {
+        const excluded = isOverdue(invoice.customerId);
+        const commission = excluded ? 0 : roundAmount(this.getInvoiceCommission(plan, invoice));
+        earnings.push({
+          invoiceId: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          customerId: invoice.customerId,
+          baseAmount: invoice.totals.grandTotal,
+          commission,
+          excludedReason: excluded ? 'Customer account overdue' : undefined
+        });
+        grossCommission += commission;
+      }
+    }
+
+    if (needsReceipts) {
+      const receipts = await CashReceipt.find({
+        salesmanId: salesman._id,
+        status: { $in: ['pending', 'cleared'] },
+        receiptDate: inPeriod
+      }).lean();
+
+      const paidInvoiceIds = receipts.flatMap(receipt => (receipt.invoicePayments || [])
+        .map(payment => payment.invoiceId));
+      const paidInvoices = paidInvoiceIds.length > 0
+        ? await Invoice.find({ _id: { $in: paidInvoiceIds } }).populate('items.itemId', 'category manufacturer').lean()
+        : [];
+      const rateByInvoice = new Map(paidInvoices.map((invoice) => {
+        const total = invoice.totals.grandTotal;
+        return [refId(invoice), total > 0 ? this.getInvoiceCommission(plan, invoice) / total : 0];
+      }));
+
+      for (const receipt of receipts) {
+        const excluded = isOverdue(receipt.customerId);
+        let allocated = 0;
+
+        for (const payment of receipt.invoicePayments || []) {
+          const effectiveRate = rateByInvoice.get(refId(payment.invoiceId)) || 0;
+          allocated += payment.paidAmount;
+
+          if (plan.basis === COMMISSION_BASIS.COLLECTIONS) {
+            const commission = excluded ? 0 : roundAmount(payment.paidAmount * effectiveRate);
+            earnings.push({
+              invoiceId: payment.invoiceId,
+              invoiceNumber: payment.invoiceNumber,
+              receiptNumber: receipt.receiptNumber,
+              customerId: receipt.customerId,
+              baseAmount: payment.paidAmount,
+              commission,
+              excludedReason: excluded ? 'Customer account overdue' : undefined
+            });
+            grossCommission += commission;
+          }
+
+          if (lateCollection.afterDays > 0 && payment.daysOld > lateCollection.afterDays) {
+            const amount = roundAmount((payment.paidAmount * effectiveRate * lateCollection.deductionPercent) / 100);
+            if (amount > 0) {
+              deductions.push({
+                type: 'late_collection',
+                invoiceId: payment.invoiceId,
+                invoiceNumber: payment.invoiceNumber,
+                amount,
+                notes: `Collected after ${payment.daysOld} days on receipt ${receipt.receiptNumber}`
+              });
+            }
+          }
+        }
+
+        const unallocated = roundAmount(receipt.amount - allocated);
+        if (plan.basis === COMMISSION_BASIS.COLLECTIONS && unallocated > 0) {
+          const commission = excluded ? 0 : roundAmount((unallocated * (plan.defaultRate || 0)) / 100);
+          earnings.push({
+            receiptNumber: receipt.receiptNumber,
+            customerId: receipt.customerId,
+            baseAmount: unallocated,
+            commission,
+            excludedReason: excluded ? 'Customer account overdue' : undefined
+          });
+          grossCommission += commission;
+        }
+      }
+    }
+
+    const returns = await Invoice.find({
+      type: 'return_sales',
+      status: { $in: ['confirmed', 'paid'] },
+      invoiceDate: inPeriod
+    })
+      .populate({
+        path: 'originalInvoiceId',
+        select: 'invoiceNumber salesmanId items',
+        populate: { path: 'items.itemId', select: 'category manufacturer' }
+      })
+      .lean();
+
+    const salesmanReturns = returns.filter(entry => entry.originalInvoiceId
+      && refId(entry.originalInvoiceId.salesmanId) === refId(salesman._id));
+
+    for (const returnInvoice of salesmanReturns) {
+      const original = returnInvoice.originalInvoiceId;
+      netSales -= Math.abs(returnInvoice.totals.grandTotal);
+
+      if (plan.deductReturns) {
+        const amount = roundAmount(returnInvoice.items.reduce((sum, line) => {
+          const originalLine = original.items.find(entry => refId(entry.itemId) === refId(line.itemId));
+          const rate = originalLine ? this.getLineRate(plan, originalLine) : plan.defaultRate || 0;
+          return sum + (Math.abs(line.lineTotal || 0) * rate) / 100;
+        }, 0));
+
+        if (amount > 0) {
+          deductions.push({
+            type: 'return',
+            invoiceId: returnInvoice._id,
+            invoiceNumber: returnInvoice.invoiceNumber,
+            amount,
+            notes: `Return against ${original.invoiceNumber}`
+          });
+        }
+      }
+    }
+
+    const target = await targetService.getSalesmanValueTarget(salesman, period.startDate, period.endDate);
+    netSales = roundAmount(netSales);
+    const achievementPercent = target > 0 ? roundAmount((netSales / target) * 100) : null;
+    const payoutPercent = this.getPayoutPercent(plan.targetSlabs, achievementPercent);
+
+    const sumOf = type => roundAmount(deductions
+      .filter(entry => entry.type === type)
+      .reduce((sum, entry) => sum + entry.amount, 0));
+    const returnDeductions = sumOf('return');
+    const lateCollectionDeductions = sumOf('late_collection');
+    const afterReturns = Math.max(0, roundAmount(grossCommission) - returnDeductions);
+    const slabAdjustment = roundAmount((afterReturns * payoutPercent) / 100 - afterReturns);
+
+    return {
+      salesmanId: salesman._id,
+      planId: plan._id,
+      planName: plan.name,
+      basis: plan.basis,
+      period,
+      target,
+      netSales,
+      achievementPercent: achievementPercent === null ? undefined : achievementPercent,
+      payoutPercent,
+      earnings,
+      deductions,
+      totals: {
+        grossCommission: roundAmount(grossCommission),
+        returnDeductions,
+        slabAdjustment,
+        lateCollectionDeductions,
+        netCommission: Math.max(0, roundAmount(afterReturns + slabAdjustment - lateCollectionDeductions))
+      },
+      calculatedAt: new Date()
+    };
+  }
+
+  /**
+   * Work out draft commission statements for a month, replacing earlier drafts.
+   * Salesmen whose statement for the month is already locked are skipped.
+   * @param {Object} request - {year, month, salesmanId}
+   * @param {string} userId - User generating the statements
+   * @returns {Promise<Object>} {statements, skipped}
+   */
+  async generateStatements(request, userId) {
+    const { year, month, salesmanId } = request || {};
+    const period = this.getPeriod(year, month);
+
+    let salesmen;
+    if (salesmanId) {
+      const salesman = await Salesman.findById(salesmanId);
+      if (!salesman) {
+        throw new AppError('Salesman not found', 404);
+      }
+      salesmen = [salesman];
+    } else {
+      salesmen = await Salesman.find({ isActive: true });
+    }
+
+    const statements = [];
+    const skipped = [];
+
+    for (const salesman of salesmen) {
+      const existing = await CommissionStatement.findOne({
+        salesmanId: salesman._id,
+        'period.year': period.year,
+        'period.month': period.month
+      });
+
+      if (existing && existing.status === COMMISSION_STATEMENT_STATUS.LOCKED) {
+        skipped.push({
+          salesmanId: salesman._id,
+          statementNumber: existing.statementNumber,
+          reason: 'Statement is locked'
+        });
+      } else {
+        const data = await this.calculateStatement(salesman, period);
+        const statement = existing || new CommissionStatement({
+          statementNumber: `COM${period.year}${String(period.month).padStart(2, '0')}-${salesman.code}`,
+          createdBy: userId
+        });
+        statement.set(data);
+        statements.push(await statement.save());
+      }
+    }
+
+    return { statements, skipped };
+  }
+
+  /**
+   * Get commission statements with filtering and pagination
+   * @param {Object} [filters] - {salesmanId, year, month, status}
+   * @param {number} [page] - Page number
+   * @param {number} [limit] - Page size
+   * @returns {Promise<Object>} {statements, pagination}
+   */
+  async getStatements(filters = {}, page = 1, limit = 10) {
+    const query = {};
+    if (filters.salesmanId) {
+      query.salesmanId = filters.salesmanId;
+    }
+    if (filters.year) {
+      query['period.year'] = parseInt(filters.year, 10);
+    }
+    if (filters.month) {
+      query['period.month'] = parseInt(filters.month, 10);
+    }
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    const skip = (page - 1) * limit;
+    const [statements, total] = await Promise.all([
+      CommissionStatement.find(query)
+        .select('-earnings -deductions')
+        .populate('salesmanId', 'code name')
+        .sort({ 'period.year': -1, 'period.month': -1 })
+        .skip(skip)
+        .limit(limit),
+      CommissionStatement.countDocuments(query)
+    ]);
+
+    return {
+      statements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a commission statement with its earnings and deductions
+   * @param {string} id - Statement ID
+   * @returns {Promise<Object>} Statement
+   */
+  async getStatementById(id) {
+    const statement = await CommissionStatement.findById(id)
+      .populate('salesmanId', 'code name')
+      .populate('earnings.customerId', 'code name');
+
+    if (!statement) {
+      throw new AppError('Commission statement not found', 404);
+    }
+    return statement;
+  }
+
+  /**
+   * Lock a draft statement and post its commission as payable to the salesman
+   * @param {string} id - Statement ID
+   * @param {string} userId - User locking the statement
+   * @returns {Promise<Object>} Locked statement
+   */
+  async lockStatement(id, userId) {
+    return runInTransaction(async (session) => {
+      const statement = await CommissionStatement.findById(id).session(session);
+      if (!statement) {
+        throw new AppError('Commission statement not found', 404);
+      }
+      if (statement.status !== COMMISSION_STATEMENT_STATUS.DRAFT) {
+        throw new AppError(`Statement ${statement.statementNumber} is already locked`, 400);
+      }
+
+      const amount = statement.totals.netCommission;
+      if (amount > 0) {
+        const salesman = await Salesman.findById(statement.salesmanId).session(session);
+        const expenseAccount = await accountService.getOrCreateSystemAccount('SALES_COMMISSION', {
+          name: 'Sales Commission',
+          accountType: 'expense',
+          description: 'Commission earned by salesmen'
+        });
+        const payableAccount = await accountService.getOrCreateSystemAccount('COMMISSION_PAYABLE', {
+          name: 'Commission Payable',
+          accountType: 'liability',
+          description: 'Commission owed to salesmen under locked statements'
+        });
+        const period = `${String(statement.period.month).padStart(2, '0')}/${statement.period.year}`;
+
+        await ledgerService.createDoubleEntry(
+          { accountId: expenseAccount._id, accountType: 'Account' },
+          { accountId: payableAccount._id, accountType: 'Account' },
+          amount,
+          `Commission ${statement.statementNumber} payable to ${salesman ? salesman.name : 'salesman'} for ${period}`,
+          'adjustment',
+          statement._id,
+          userId,
+          { session }
+        );
+      }
+
+      statement.status = COMMISSION_STATEMENT_STATUS.LOCKED;
+      statement.lockedAt = new Date();
+      statement.lockedBy = userId;
+      return statement.save({ session });
+    });
+  }
+}
+
+module.exports = new CommissionService();
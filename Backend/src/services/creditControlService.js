@@ -0,0 +1,536 @@
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const CashReceipt = require('../models/CashReceipt');
+const notificationService = require('./notificationService');
+const { CREDIT_STATUS, CREDIT_POLICY_DEFAULTS } = require('../constants/creditControl');
+const AppError = require('../utils/appError');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses from least to most restrictive
+const STATUS_ORDER = [CREDIT_STATUS.ACTIVE, CREDIT_STATUS.WATCH, CREDIT_STATUS.HOLD];
+
+/**
+ * Midnight at the start of a date
+ * @param {Date|string} [date] - Date (default: today)
+ * @returns {Date} Start of the day
+ */
+const startOfDay = (date) => {
+  const day = date ? new Date(date) : new Date();
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Numeric setting from the environment, or its default
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default
+ * @returns {number} Setting
+ */
+const numberSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0
+    ? value
+    : fallback;
+};
+
+/**
+ * Credit Control Service
+ * Credit policy engine: rates each customer active, watch or hold from their overdue invoices,
+ * bounced cheques and balance against the credit limit, recomputes the rating nightly, and lets
+ * a credit manager override it. Sales to customers on hold are blocked; sales to customers on
+ * watch need approval when the credit_watch approval rule is active.
+ */
+class CreditControlService {
+  constructor() {
+    this.reviewTimer = null;
+  }
+
+  /**
+   * Credit policy settings (CREDIT_* environment variables, or the defaults)
+   * @returns {Object} {graceDays, bounceHoldCount, bounceLookbackDays, watchUtilisation, reviewHour}
+   */
+  getPolicy() {
+    return {
+      graceDays: numberSetting('CREDIT_GRACE_DAYS', CREDIT_POLICY_DEFAULTS.graceDays),
+      bounceHoldCount: Math.max(1, numberSetting('CREDIT_BOUNCE_HOLD_COUNT', CREDIT_POLICY_DEFAULTS.bounceHoldCount)),
+      bounceLookbackDays: numberSetting('CREDIT_BOUNCE_LOOKBACK_DAYS', CREDIT_POLICY_DEFAULTS.bounceLookbackDays),
+      watchUtilisation: numberSetting('CREDIT_WATCH_UTILISATION', CREDIT_POLICY_DEFAULTS.watchUtilisation),
+      reviewHour: numberSetting('CREDIT_REVIEW_HOUR', CREDIT_POLICY_DEFAULTS.reviewHour) % 24
+    };
+  }
+
+  /**
+   * Credit status in force for a customer: an unexpired override, otherwise the policy rating
+   * @param {Object} customer - Customer (with creditControl)
+   * @param {Date} [now] - Current time
+   * @returns {Object} {status, overridden, reasons}
+   */
+  getEffectiveStatus(customer, now = new Date()) {
+    const creditControl = (customer && customer.creditControl) || {};
+    const override = creditControl.override || {};
+
+    if (override.status && (!override.expiresAt || new Date(override.expiresAt) > now)) {
+      return {
+        status: override.status,
+        overridden: true,
+        reasons: [`Set by credit manager: ${override.reason}`]
+      };
+    }
+
+    return {
+      status: creditControl.status || CREDIT_STATUS.ACTIVE,
+      overridden: false,
+      reasons: creditControl.reasons || []
+    };
+  }
+
+  /**
+   * Rate a customer against the credit policy
+   * Invoices are due after the customer's credit days (their payment terms when no credit days are set).
+   * @param {Object} customer - Customer with financialInfo
+   * @param {Array} invoices - Unpaid confirmed sales invoices {invoiceNumber, invoiceDate, totals}
+   * @param {number} bouncedCheques - Cheques bounced within the policy lookback
+   * @param {Object} policy - Credit policy settings
+   * @param {Date} [now] - Current time
+   * @returns {Object} {status, score, reasons, balance, overdueAmount, oldestOverdueDays, bouncedCheques}
+   */
+  assessCustomer(customer, invoices, bouncedCheques, policy, now = new Date()) {
+    const financialInfo = customer.financialInfo || {};
+    const creditDays = financialInfo.creditDays || financialInfo.paymentTerms || 0;
+    const creditLimit = Number(financialInfo.creditLimit) || 0;
+    const today = startOfDay(now);
+
+    let balance = 0;
+    let overdueAmount = 0;
+    let oldestOverdueDays = 0;
+    let overdueInvoices = 0;
+    let pastGraceInvoices = 0;
+
+    for (const invoice of invoices) {
+      const totals = invoice.totals || {};
+      const due = roundAmount((totals.grandTotal || 0) - (totals.paidAmount || 0));
+      if (due > 0) {
+        balance += due;
+        const daysPastTerms = Math.floor((today - startOfDay(invoice.invoiceDate)) / ONE_DAY_MS) - creditDays;
+        if (daysPastTerms > 0) {
+          overdueInvoices += 1;
+          overdueAmount += due;
+          oldestOverdueDays = Math.max(oldestOverdueDays, daysPastTerms);
+          if (daysPastTerms > policy.graceDays) {
+            pastGraceInvoices += 1;
+          }
+        }
+      }
+    }
+    balance = roundAmount(balance);
+    overdueAmount = roundAmount(overdueAmount);
+
+    const breaches = [];
+    if (pastGraceInvoices > 0) {
+      breaches.push({
+        status: CREDIT_STATUS.HOLD,
+        reason: `${pastGraceInvoices} invoice(s) more than ${policy.graceDays} days past ${creditDays} credit days, `
+          + `oldest ${oldestOverdueDays} days`
+      });
+    } else if (overdueInvoices > 0) {
+      breaches.push({
+        status: CREDIT_STATUS.WATCH,
+        reason: `${overdueInvoices} invoice(s) past ${creditDays} credit days, oldest ${oldestOverdueDays} days`
+      });
+    }
+
+    if (bouncedCheques > 0) {
+      breaches.push({
+        status: bouncedCheques >= policy.bounceHoldCount ? CREDIT_STATUS.HOLD : CREDIT_STATUS.WATCH,
+        reason: `${bouncedCheques} bounced cheque(s) in the last ${policy.bounceLookbackDays} days`
+      });
+    }
+
+    const utilisation = creditLimit > 0 ? (balance / creditLimit) * 100 : 0;
+    if (creditLimit > 0 && balance > creditLimit) {
+      breaches.push({
+        status: CREDIT_STATUS.HOLD,
+        reason: `Balance ${balance} is over the credit limit of ${creditLimit}`
+      });
+    } else if (creditLimit > 0 && utilisation >= policy.watchUtilisation) {
+      breaches.push({
+        status: CREDIT_STATUS.WATCH,
+        reason: `Balance ${balance} uses ${Math.round(utilisation)}% of the credit limit of ${creditLimit}`
+      });
+    }
+
+    const status = breaches.reduce(
+      (worst, breach) => (STATUS_ORDER.indexOf(breach.status) > STATUS_ORDER.indexOf(worst) ? breach.status : worst),
+      CREDIT_STATUS.ACTIVE
+    );
+
+    let limitPenalty = 0;
+    if (creditLimit > 0 && utilisation > 100) {
+      limitPenalty = 20;
+    } else if (creditLimit > 0 && utilisation >= policy.watchUtilisation) {
+      limitPenalty = 10;
+    }
+    const penalty = Math.min(40, oldestOverdueDays) + 15 * bouncedCheques + limitPenalty;
+    const score = Math.max(0, Math.min(100, 100 - penalty));
+
+    return {
+      status,
+      score,
+      reasons: breaches.map(breach => breach.reason),
+      balance,
+      overdueAmount,
+      oldestOverdueDays,
+      bouncedCheques
+    };
+  }
+
+  /**
+   * Query for the unpaid sales invoices the policy looks at
+   * @param {Object} [customerFilter] - Customer condition
+   * @returns {Object} Invoice query
+   */
+  openInvoiceQuery(customerFilter) {
+    const query = {
+      type: 'sales',
+      status: 'confirmed',
+      paymentStatus: { $in: ['pending', 'partial'] }
+    };
+    if (customerFilter) {
+      query.customerId = customerFilter;
+    }
+    return query;
+  }
+
+  /**
+   * Query for the cheques bounced within the policy lookback
+   * @param {Object} policy - Credit policy settings
+   * @param {Object} [customerFilter] - Customer condition
+   * @param {Date} [now] - Current time
+   * @returns {Object} Cash receipt query
+   */
+  bouncedChequeQuery(policy, customerFilter, now = new Date()) {
+    const query = {
+      chequeStatus: 'bounced',
+      'bankDetails.chequeDate': { $gte: new Date(startOfDay(now).getTime() - policy.bounceLookbackDays * ONE_DAY_MS) }
+    };
+    if (customerFilter) {
+      query.customerId = customerFilter;
+    }
+    return query;
+  }
+
+  /**
+   * Fields written back to the customer for an assessment
+   * @param {Object} assessment - Result of assessCustomer
+   * @param {Date} evaluatedAt - When the assessment was made
+   * @returns {Object} $set update
+   */
+  toUpdate(assessment, evaluatedAt) {
+    return {
+      'creditControl.status': assessment.status,
+      'creditControl.score': assessment.score,
+      'creditControl.reasons': assessment.reasons,
+      'creditControl.balance': assessment.balance,
+      'creditControl.overdueAmount': assessment.overdueAmount,
+      'creditControl.oldestOverdueDays': assessment.oldestOverdueDays,
+      'creditControl.bouncedCheques': assessment.bouncedCheques,
+      'creditControl.evaluatedAt': evaluatedAt
+    };
+  }
+
+  /**
+   * Recompute one customer's credit status now
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Credit status (see getCustomerCredit)
+   */
+  async reviewCustomer(customerId) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const now = new Date();
+    const policy = this.getPolicy();
+    const [invoices, bouncedCheques] = await Promise.all([
+      Invoice.find(this.openInvoiceQuery(customer._id)).select('invoiceNumber invoiceDate totals'),
+      CashReceipt.countDocuments(this.bouncedChequeQuery(policy, customer._id, now))
+    ]);
+
+    const assessment = this.assessCustomer(customer, invoices, bouncedCheques, policy, now);
+    const update = this.toUpdate(assessment, now);
+    await Customer.updateOne({ _id: customer._id }, { $set: update });
+
+    customer.set(update);
+    return this.describe(customer, now);
+  }
+
+  /**
+   * Recompute every active customer's credit status (runs nightly) and tell credit managers
+   * about customers newly put on hold
+   * @returns {Promise<Object>} {reviewed, counts, newlyOnHold}
+   */
+  async reviewAllCustomers() {
+    const now = new Date();
+    const policy = this.getPolicy();
+    const [customers, invoices, bounced] = await Promise.all([
+      Customer.find({ isActive: true, type: { $ne: 'supplier' } }).select('code name financialInfo creditControl'),
+      Invoice.find(this.openInvoiceQuery()).select('customerId invoiceDate totals'),
+      CashReceipt.find(this.bouncedChequeQuery(policy, null, now)).select('customerId')
+    ]);
+
+    const invoicesByCustomer = new Map();
+    for (const invoice of invoices) {
+      const key = refId(invoice.customerId);
+      if (!invoicesByCustomer.has(key)) {
+        invoicesByCustomer.set(key, []);
+      }
+      invoicesByCustomer.get(key).push(invoice);
+    }
+    const bouncesByCustomer = new Map();
+    for (const receipt of bounced) {
+      const key = refId(receipt.customerId);
+      bouncesByCustomer.set(key, (bouncesByCustomer.get(key) || 0) + 1);
+    }
+
+    const counts = { [CREDIT_STATUS.ACTIVE]: 0, [CREDIT_STATUS.WATCH]: 0, [CREDIT_STATUS.HOLD]: 0 };
+    const newlyOnHold = [];
+    const operations = customers.map((customer) => {
+      const key = refId(customer._id);
+      const assessment = this.assessCustomer(
+        customer,
+        invoicesByCustomer.get(key) || [],
+        bouncesByCustomer.get(key) || 0,
+        policy,
+        now
+      );
+      counts[assessment.status] += 1;
+
+      const previous = customer.creditControl ? customer.creditControl.status : CREDIT_STATUS.ACTIVE;
+      if (assessment.status === CREDIT_STATUS.HOLD && previous !== CREDIT_STATUS.HOLD) {
+        newlyOnHold.push({ customerId: customer._id, code: customer.code, name: customer.name });
+      }
+
+      return { updateOne: { filter: { _id: customer._id }, update: { $set: this.toUpdate(assessment, now) } } };
+    });
+
+    if (operations.length > 0) {
+      await Customer.bulkWrite(operations, { ordered: false });
+    }
+
+    await this.notifyNewHolds(newlyOnHold);
+
+    return { reviewed: customers.length, counts, newlyOnHold };
+  }
+
+  /**
+   * Tell credit managers which customers the review has put on hold
+   * @param {Array} customers - [{code, name}]
+   */
+  async notifyNewHolds(customers) {
+    if (customers.length === 0) {
+      return;
+    }
+
+    try {
+      await notificationService.notifyPermissionHolders(['credit.override'], {
+        type: 'credit_hold',
+        title: `${customers.length} customer(s) put on credit hold`,
+        message: customers.map(customer => `${customer.code} ${customer.name}`).join(', '),
+        referenceType: 'customer',
+        referenceId: customers.length === 1 ? customers[0].customerId : undefined
+      });
+    } catch (error) {
+      // The holds are saved either way; they show on the customer list and block new invoices
+    }
+  }
+
+  /**
+   * Credit status summary of a customer
+   * @param {Object} customer - Customer
+   * @param {Date} [now] - Current time
+   * @returns {Object} {customer, creditLimit, creditDays, effectiveStatus, creditControl}
+   */
+  describe(customer, now = new Date()) {
+    const financialInfo = customer.financialInfo || {};
+    return {
+      customer: { _id: customer._id, code: customer.code, name: customer.name },
+      creditLimit: financialInfo.creditLimit || 0,
+      creditDays: financialInfo.creditDays || financialInfo.paymentTerms || 0,
+      effectiveStatus: this.getEffectiveStatus(customer, now),
+      creditControl: customer.creditControl
+    };
+  }
+
+  /**
+   * Get a customer's credit status
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Credit status
+   */
+  async getCustomerCredit(customerId) {
+    const customer = await Customer.findById(customerId)
+      .select('code name financialInfo creditControl')
+      .populate('creditControl.override.overriddenBy', 'username');
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+    return this.describe(customer);
+  }
+
+  /**
+   * Get customers by credit status in force
+   * @param {Object} [filters] - {status, routeId}
+   * @param {number} [page] - Page number
+   * @param {number} [limit] - Page size
+   * @returns {Promise<Object>} {customers, pagination}
+   */
+  async getCustomers(filters = {}, page = 1, limit = 10) {
+    const now = new Date();
+    const query = { isActive: true, type: { $ne: 'supplier' } };
+    if (filters.routeId) {
+      query.routeId = filters.routeId;
+    }
+    if (filters.status) {
+      if (!STATUS_ORDER.includes(filters.status)) {
+        throw new AppError(`Credit status must be one of: ${STATUS_ORDER.join(', ')}`, 400);
+      }
+      query.$or = [
+        {
+          'creditControl.override.status': filters.status,
+          $or: [{ 'creditControl.override.expiresAt': null }, { 'creditControl.override.expiresAt': { $gt: now } }]
+        },
+        {
+          'creditControl.status': filters.status,
+          $or: [{ 'creditControl.override.status': null }, { 'creditControl.override.expiresAt': { $lte: now } }]
+        }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .select('code name routeId financialInfo creditControl')
+        .sort({ 'creditControl.score': 1, name: 1 })
+        .skip(skip)
+        .limit(limit),
+      Customer.countDocuments(query)
+    ]);
+
+    return {
+      customers: customers.map(customer => this.describe(customer, now)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Override a customer's credit status. The change is kept in the customer's audit trail.
+   * @param {string} customerId - Customer ID
+   * @param {Object} data - {status, reason, expiresAt}
+   * @param {string} userId - Credit manager
+   * @returns {Promise<Object>} Credit status
+   */
+  async overrideStatus(customerId, data, userId) {
+    if (!STATUS_ORDER.includes(data.status)) {
+      throw new AppError(`Credit status must be one of: ${STATUS_ORDER.join(', ')}`, 400);
+    }
+    if (!data.reason || !String(data.reason).trim()) {
+      throw new AppError('A reason is required to override a credit status', 400);
+    }
+    let expiresAt;
+    if (data.expiresAt) {
+      expiresAt = new Date(data.expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw new AppError('Override expiry must be a future date', 400);
+      }
+    }
+
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    customer.creditControl.override = {
+      status: data.status,
+      reason: String(data.reason).trim(),
+      expiresAt,
+      overriddenBy: userId,
+      overriddenAt: new Date()
+    };
+    await customer.save();
+
+    return this.describe(customer);
+  }
+
+  /**
+   * Remove a credit manager's override so the policy rating applies again
+   * @param {string} customerId - Customer ID
+   * @param {Object} data - {reason}
+   * @param {string} userId - Credit manager
+   * @returns {Promise<Object>} Credit status
+   */
+  async clearOverride(customerId, data, userId) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+    if (!customer.creditControl.override || !customer.creditControl.override.status) {
+      throw new AppError(`Customer ${customer.code} has no credit status override`, 400);
+    }
+
+    customer.creditControl.override = {
+      status: null,
+      reason: data.reason ? String(data.reason).trim() : 'Override removed',
+      overriddenBy: userId,
+      overriddenAt: new Date()
+    };
+    await customer.save();
+
+    return this.describe(customer);
+  }
+
+  /**
+   * Review every customer each night at CREDIT_REVIEW_HOUR
+   */
+  startNightlyReview() {
+    if (this.reviewTimer) {
+      return;
+    }
+
+    // A failed review leaves statuses as they were; the next night's run reviews every customer again
+    const run = () => this.reviewAllCustomers().catch(() => {});
+
+    const next = new Date();
+    next.setHours(this.getPolicy().reviewHour, 0, 0, 0);
+    if (next <= new Date()) {
+      next.setDate(next.getDate() + 1);
+    }
+
+    this.reviewTimer = setTimeout(() => {
+      run();
+      this.reviewTimer = setInterval(run, ONE_DAY_MS);
+      this.reviewTimer.unref();
+    }, next - new Date());
+    this.reviewTimer.unref();
+  }
+
+  /**
+   * Stop the nightly credit review
+   */
+  stopNightlyReview() {
+    if (this.reviewTimer) {
+      clearTimeout(this.reviewTimer);
+      clearInterval(this.reviewTimer);
+      this.reviewTimer = null;
+    }
+  }
+}
+
+module.exports = new CreditControlService();
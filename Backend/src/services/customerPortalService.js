@@ -0,0 +1,573 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const CustomerPortalUser = require('../models/CustomerPortalUser');
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const Item = require('../models/Item');
+const Route = require('../models/Route');
+const Salesman = require('../models/Salesman');
+const ledgerService = require('./ledgerService');
+const statementService = require('./statementService');
+const schemeService = require('./schemeService');
+const priceListService = require('./priceListService');
+const stockReservationService = require('./stockReservationService');
+const salesInvoiceService = require('./salesInvoiceService');
+const creditControlService = require('./creditControlService');
+const notificationService = require('./notificationService');
+const { PORTAL_TOKEN_AUDIENCE, ORDER_SOURCES } = require('../constants/customerPortal');
+const AppError = require('../utils/appError');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Invoice fields a customer sees; costs, approvals and internal references stay with staff
+const INVOICE_FIELDS = [
+  'invoiceNumber', 'invoiceDate', 'dueDate', 'status', 'paymentStatus', 'orderSource', 'notes',
+  'items.itemId', 'items.quantity', 'items.unitPrice', 'items.discount', 'items.taxAmount', 'items.lineTotal',
+  'items.batchInfo', 'totals.subtotal', 'totals.totalDiscount', 'totals.totalTax', 'totals.grandTotal',
+  'totals.paidAmount'
+].join(' ');
+
+// Scheme fields a customer sees
+const SCHEME_FIELDS = [
+  'name', 'type', 'schemeFormat', 'description', 'discountPercent', 'discount2Percent', 'startDate', 'endDate',
+  'minimumQuantity', 'maximumQuantity', 'applicableItems'
+];
+
+// Invoices shown as bills; drafts and cancelled documents are not the customer's debt
+const BILLED_STATUSES = ['confirmed', 'paid'];
+
+const MAX_ORDER_LINES = 100;
+
+/**
+ * Customer Portal Service
+ * Logins and data for the customer portal. Portal tokens carry their own audience and a customer ID,
+ * and every read is scoped to that customer. Order requests become draft sales invoices for the
+ * customer's route salesman to confirm.
+ */
+class CustomerPortalService {
+  /**
+   * Sign a portal access token
+   * @param {Object} portalUser - Portal login
+   * @returns {string} JWT
+   */
+  generateToken(portalUser) {
+    return jwt.sign(
+      { portalUserId: portalUser._id, customerId: refId(portalUser.customerId) },
+      process.env.JWT_SECRET,
+      { audience: PORTAL_TOKEN_AUDIENCE, expiresIn: process.env.PORTAL_JWT_EXPIRES_IN || '1d' }
+    );
+  }
+
+  /**
+   * Verify a portal access token; staff tokens are refused
+   * @param {string} token - JWT
+   * @returns {Object} Decoded payload
+   * @throws {Error} 'Token has expired' or 'Invalid token'
+   */
+  verifyToken(token) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET, { audience: PORTAL_TOKEN_AUDIENCE });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Token has expired');
+      }
+      if (error.name === 'JsonWebTokenError') {
+        throw new Error('Invalid token');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Log a customer in to the portal
+   * @param {string} identifier - Username or email
+   * @param {string} password - Password
+   * @returns {Promise<Object>} { user, customer, accessToken }
+   * @throws {AppError} 401 for wrong credentials or a closed login
+   */
+  async login(identifier, password) {
+    const name = String(identifier || '').trim().toLowerCase();
+    const portalUser = await CustomerPortalUser.findOne({ $or: [{ username: name }, { email: name }] });
+    if (!portalUser || !(await portalUser.comparePassword(password))) {
+      throw new AppError('Invalid credentials', 401);
+    }
+
+    const customer = await Customer.findById(portalUser.customerId).select('code name isActive');
+    if (!portalUser.isActive || !customer || !customer.isActive) {
+      throw new AppError('Portal access for this account is closed', 401);
+    }
+
+    portalUser.lastLogin = new Date();
+    await portalUser.save();
+
+    return {
+      user: portalUser.toJSON(),
+      customer: { _id: customer._id, code: customer.code, name: customer.name },
+      accessToken: this.generateToken(portalUser)
+    };
+  }
+
+  /**
+   * Validate a portal token and load its login
+   * @param {string} token - JWT
+   * @returns {Promise<Object>} Portal login
+   * @throws {Error} 'Token has expired', 'Invalid token', 'User not found' or 'User account is inactive'
+   */
+  async validateTokenAndGetPortalUser(token) {
+    const decoded = this.verifyToken(token);
+
+    const portalUser = await CustomerPortalUser.findById(decoded.portalUserId);
+    if (!portalUser || refId(portalUser.customerId) !== String(decoded.customerId)) {
+      throw new Error('User not found');
+    }
+    if (!portalUser.isActive) {
+      throw new Error('User account is inactive');
+    }
+
+    return portalUser;
+  }
+
+  /**
+   * Open a portal login for a customer
+   * @param {string} customerId - Customer ID
+   * @param {Object} data - {username, password, name, email, phone}
+   * @param {string} userId - Staff user opening the login
+   * @returns {Promise<Object>} Portal login
+   */
+  async createLogin(customerId, data, userId) {
+    const customer = await Customer.findById(customerId).select('code name isActive');
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+    if (!customer.isActive) {
+      throw new AppError(`Customer ${customer.code} is not active`, 400);
+    }
+
+    const portalUser = new CustomerPortalUser({
+      customerId,
+      username: data.username,
+      password: data.password,
+      name: data.name,
+      email: data.email || undefined,
+      phone: data.phone,
+      createdBy: userId
+    });
+    try {
+      await portalUser.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('Username or email is already used by another portal login', 409);
+      }
+      throw error;
+    }
+
+    return portalUser;
+  }
+
+  /**
+   * Get portal logins with pagination
+   * @param {Object} filters - customerId, isActive
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { logins, pagination }
+   */
+  async getLogins(filters = {}, page = 1, limit = 10) {
+    const query = {};
+    if (filters.customerId) {
+      query.customerId = filters.customerId;
+    }
+    if (filters.isActive !== undefined && filters.isActive !== '') {
+      query.isActive = String(filters.isActive) === 'true';
+    }
+
+    const [logins, total] = await Promise.all([
+      CustomerPortalUser.find(query)
+        .populate('customerId', 'code name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CustomerPortalUser.countDocuments(query)
+    ]);
+
+    return {
+      logins,
+      pagination: {
+        page, limit, total, pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Change a portal login's details, reset its password or close and reopen it
+   * @param {string} id - Portal login ID
+   * @param {Object} data - {name, email, phone, password, isActive}
+   * @returns {Promise<Object>} Portal login
+   */
+  async updateLogin(id, data) {
+    const portalUser = await CustomerPortalUser.findById(id);
+    if (!portalUser) {
+      throw new AppError('Portal login not found', 404);
+    }
+
+    ['name', 'email', 'phone', 'password'].forEach((field) => {
+      if (data[field] !== undefined) {
+        // A cleared email is removed so it does not clash with other logins on the unique index
+        portalUser[field] = field === 'email' && !data.email ? undefined : data[field];
+      }
+    });
+    if (data.isActive !== undefined) {
+      portalUser.isActive = Boolean(data.isActive);
+    }
+    await portalUser.save();
+
+    return portalUser;
+  }
+
+  /**
+   * The customer behind a portal login
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Customer
+   */
+  async getCustomer(customerId) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+    return customer;
+  }
+
+  /**
+   * The customer's account as the portal shows it
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Profile with credit terms and credit status
+   */
+  async getProfile(customerId) {
+    const customer = await this.getCustomer(customerId);
+    const financialInfo = customer.financialInfo || {};
+    const credit = creditControlService.getEffectiveStatus(customer);
+
+    return {
+      _id: customer._id,
+      code: customer.code,
+      name: customer.name,
+      contactInfo: customer.contactInfo,
+      creditLimit: financialInfo.creditLimit || 0,
+      creditDays: financialInfo.creditDays || financialInfo.paymentTerms || 0,
+      creditStatus: credit.status
+    };
+  }
+
+  /**
+   * Outstanding balance with its aging
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} { balance, outstanding, overdue, creditLimit, availableCredit, aging, unpaidInvoices }
+   */
+  async getBalance(customerId) {
+    const customer = await this.getCustomer(customerId);
+    const asOf = new Date();
+    const [balance, agingReport] = await Promise.all([
+      ledgerService.calculateAccountBalance(customerId, asOf),
+      ledgerService.getCustomerReceivablesAging(asOf, customerId)
+    ]);
+    const [receivable] = agingReport.customers;
+    const aging = receivable ? receivable.aging : {
+      current: 0, days1to30: 0, days31to60: 0, days61to90: 0, over90: 0, total: 0
+    };
+    const creditLimit = (customer.financialInfo && customer.financialInfo.creditLimit) || 0;
+
+    return {
+      asOf,
+      balance: roundAmount(balance || 0),
+      outstanding: roundAmount(aging.total),
+      overdue: roundAmount(aging.total - aging.current),
+      creditLimit,
+      availableCredit: creditLimit > 0 ? roundAmount(Math.max(0, creditLimit - (balance || 0))) : null,
+      aging,
+      unpaidInvoices: receivable ? receivable.invoices : []
+    };
+  }
+
+  /**
+   * The customer's invoices
+   * @param {string} customerId - Customer ID
+   * @param {Object} filters - paymentStatus, startDate, endDate
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { invoices, pagination }
+   */
+  async getInvoices(customerId, filters = {}, page = 1, limit = 10) {
+    const query = { customerId, type: 'sales', status: { $in: BILLED_STATUSES } };
+    if (filters.paymentStatus) {
+      query.paymentStatus = filters.paymentStatus;
+    }
+    if (filters.startDate || filters.endDate) {
+      query.invoiceDate = {};
+      if (filters.startDate) query.invoiceDate.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.invoiceDate.$lte = new Date(filters.endDate);
+    }
+
+    return this.findInvoices(query, page, limit);
+  }
+
+  /**
+   * One of the customer's invoices
+   * @param {string} customerId - Customer ID
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Promise<Object>} Invoice
+   * @throws {AppError} 404 for another customer's invoice as for a missing one
+   */
+  async getInvoiceById(customerId, invoiceId) {
+    const invoice = await Invoice.findOne({
+      _id: invoiceId, customerId, type: 'sales', status: { $in: BILLED_STATUSES }
+    })
+      .select(INVOICE_FIELDS)
+      .populate('items.itemId', 'code name unit packSize');
+    if (!invoice) {
+      throw new AppError('Invoice not found', 404);
+    }
+    return invoice;
+  }
+
+  /**
+   * The customer's statement of account
+   * @param {string} customerId - Customer ID
+   * @param {Object} params - {startDate, endDate}
+   * @returns {Promise<Object>} { statement, content, filename }
+   */
+  async getStatement(customerId, params = {}) {
+    return statementService.generateStatement(customerId, params);
+  }
+
+  /**
+   * Schemes on offer to the customer
+   * @param {string} customerId - Customer ID
+   * @param {Object} [filters] - itemId to see only the schemes on one item
+   * @returns {Promise<Array>} Schemes
+   */
+  async getSchemes(customerId, filters = {}) {
+    const schemes = filters.itemId
+      ? await schemeService.getApplicableSchemes(filters.itemId, customerId)
+      : (await schemeService.getActiveSchemes()).filter(scheme => scheme.isCustomerEligible(customerId));
+
+    return schemes.map(scheme => SCHEME_FIELDS.reduce(
+      (shown, field) => ({ ...shown, [field]: scheme[field] }),
+      { _id: scheme._id }
+    ));
+  }
+
+  /**
+   * Items with the customer's price and what is free to sell now
+   * @param {string} customerId - Customer ID
+   * @param {Object} filters - search, inStock ('true' for available items only)
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { items, pagination }
+   */
+  async getItems(customerId, filters = {}, page = 1, limit = 10) {
+    const customer = await this.getCustomer(customerId);
+    const query = { isActive: true };
+    if (filters.search) {
+      const pattern = new RegExp(escapeRegExp(filters.search), 'i');
+      query.$or = [{ code: pattern }, { name: pattern }];
+    }
+    if (String(filters.inStock) === 'true') {
+      query['inventory.currentStock'] = { $gt: 0 };
+    }
+
+    const [items, total] = await Promise.all([
+      Item.find(query)
+        .select('code name unit packSize manufacturer pricing.salePrice inventory.currentStock')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Item.countDocuments(query)
+    ]);
+
+    const itemIds = items.map(item => item._id);
+    const [{ byItem }, prices] = await Promise.all([
+      stockReservationService.getReservedQuantities(itemIds),
+      priceListService.getPricesForCustomer(customer, itemIds)
+    ]);
+
+    return {
+      items: items.map((item) => {
+        const onHand = (item.inventory && item.inventory.currentStock) || 0;
+        const available = Math.max(0, onHand - (byItem.get(String(item._id)) || 0));
+        const listPrice = prices.get(String(item._id));
+        return {
+          _id: item._id,
+          code: item.code,
+          name: item.name,
+          unit: item.unit,
+          packSize: item.packSize,
+          manufacturer: item.manufacturer,
+          price: listPrice ? listPrice.price : (item.pricing && item.pricing.salePrice) || 0,
+          available,
+          inStock: available > 0
+        };
+      }),
+      pagination: {
+        page, limit, total, pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Place an order request; it lands as a draft sales invoice for the route salesman to confirm
+   * Lines are priced from the customer's price lists, or the item's sale price where none applies.
+   * @param {Object} portalUser - Portal login placing the order
+   * @param {Object} data - {items: [{itemId, quantity}], notes}
+   * @returns {Promise<Object>} Draft sales invoice
+   */
+  async createOrderRequest(portalUser, data = {}) {
+    const lines = data.items;
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new AppError('At least one item is required', 400);
+    }
+    if (lines.length > MAX_ORDER_LINES) {
+      throw new AppError(`An order request cannot have more than ${MAX_ORDER_LINES} items`, 400);
+    }
+    lines.forEach((line) => {
+      if (!line || !line.itemId) {
+        throw new AppError('Item is required on every line', 400);
+      }
+      if (!mongoose.Types.ObjectId.isValid(String(line.itemId))) {
+        throw new AppError(`Invalid item ID: ${line.itemId}`, 400);
+      }
+      if (!(Number(line.quantity) > 0)) {
+        throw new AppError(`Quantity must be greater than 0 for item ${line.itemId}`, 400);
+      }
+    });
+
+    const customer = await this.getCustomer(portalUser.customerId);
+    const itemIds = lines.map(line => String(line.itemId));
+    const [items, prices] = await Promise.all([
+      Item.find({ _id: { $in: itemIds }, isActive: true }).select('code name pricing.salePrice'),
+      priceListService.getPricesForCustomer(customer, itemIds)
+    ]);
+    const itemsById = new Map(items.map(item => [String(item._id), item]));
+    const missing = itemIds.filter(itemId => !itemsById.has(itemId));
+    if (missing.length > 0) {
+      throw new AppError(`Items not available to order: ${missing.join(', ')}`, 400);
+    }
+
+    const salesman = await this.getRouteSalesman(customer);
+    const notes = data.notes ? String(data.notes).trim().slice(0, 400) : '';
+
+    const invoice = await salesInvoiceService.createSalesInvoice({
+      customerId: customer._id,
+      items: lines.map(line => ({
+        itemId: line.itemId,
+        quantity: Number(line.quantity),
+        // Unpriced lines take the customer's list price
+        unitPrice: prices.has(String(line.itemId))
+          ? undefined
+          : itemsById.get(String(line.itemId)).pricing.salePrice
+      })),
+      notes: notes ? `Portal order request: ${notes}` : 'Portal order request',
+      salesmanId: salesman ? salesman._id : null,
+      orderSource: ORDER_SOURCES.CUSTOMER_PORTAL,
+      portalUserId: portalUser._id,
+      createdBy: (salesman && salesman.userId) || portalUser.createdBy
+    });
+
+    await this.notifyOrderRequest(invoice, customer, salesman);
+
+    return invoice;
+  }
+
+  /**
+   * The active salesman of the customer's route, if any
+   * @param {Object} customer - Customer
+   * @returns {Promise<Object|null>} Salesman
+   */
+  async getRouteSalesman(customer) {
+    if (!customer.routeId) {
+      return null;
+    }
+    const route = await Route.findById(customer.routeId).select('salesmanId');
+    if (!route || !route.salesmanId) {
+      return null;
+    }
+    const salesman = await Salesman.findById(route.salesmanId).select('name userId isActive');
+    return salesman && salesman.isActive ? salesman : null;
+  }
+
+  /**
+   * Tell the salesman about a new order request, or everyone who confirms sales when there is none
+   * @param {Object} invoice - Draft sales invoice
+   * @param {Object} customer - Customer
+   * @param {Object|null} salesman - Route salesman
+   */
+  async notifyOrderRequest(invoice, customer, salesman) {
+    const data = {
+      type: 'portal_order',
+      title: `Order request ${invoice.invoiceNumber} from ${customer.name}`,
+      message: `${customer.code} ${customer.name} placed an order request of ${roundAmount(invoice.totals.grandTotal)}`,
+      referenceType: 'invoice',
+      referenceId: invoice._id
+    };
+
+    try {
+      if (salesman && salesman.userId) {
+        await notificationService.notifyUsers([salesman.userId], data);
+      } else {
+        await notificationService.notifyPermissionHolders(['invoice.sales.confirm'], data);
+      }
+    } catch (error) {
+      // The order request is saved either way; it shows on the draft sales invoice list
+    }
+  }
+
+  /**
+   * The customer's order requests and what became of them
+   * @param {string} customerId - Customer ID
+   * @param {Object} filters - status, one of the invoice statuses
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { orders, pagination }
+   */
+  async getOrders(customerId, filters = {}, page = 1, limit = 10) {
+    const query = { customerId, type: 'sales', orderSource: ORDER_SOURCES.CUSTOMER_PORTAL };
+    if (filters.status) {
+      const statuses = Invoice.schema.path('status').enumValues;
+      if (!statuses.includes(filters.status)) {
+        throw new AppError(`Status must be one of: ${statuses.join(', ')}`, 400);
+      }
+      query.status = filters.status;
+    }
+
+    const { invoices, pagination } = await this.findInvoices(query, page, limit);
+    return { orders: invoices, pagination };
+  }
+
+  /**
+   * Page through invoices showing only the fields customers see
+   * @param {Object} query - Invoice query
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { invoices, pagination }
+   */
+  async findInvoices(query, page, limit) {
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .select(INVOICE_FIELDS)
+        .populate('items.itemId', 'code name')
+        .sort({ invoiceDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(query)
+    ]);
+
+    return {
+      invoices,
+      pagination: {
+        page, limit, total, pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new CustomerPortalService();
@@ -133,7 +133,10 @@ class CustomerService {
       }
     }
 
-    return customerRepository.create(customerData);
+    // Credit status is set by the credit policy and overridden through credit control only
+    const data = { ...customerData };
+    delete data.creditControl;
+    return customerRepository.create(data);
   }
 
   /**
@@ -181,7 +184,10 @@ class CustomerService {
       }
     }
 
-    return customerRepository.update(id, updateData);
+    // Credit status is set by the credit policy and overridden through credit control only
+    const changes = { ...updateData };
+    delete changes.creditControl;
+    return customerRepository.update(id, changes);
   }
 
   /**
@@ -1,5 +1,7 @@
 const Invoice = require('../models/Invoice');
 const Customer = require('../models/Customer');
+const stockReservationService = require('./stockReservationService');
+const { STOCK_RESERVATION_STATUS } = require('../constants/stockReservationStatus');
 
 /**
  * Estimate Service
@@ -50,6 +52,14 @@ class EstimateService {
         // Save the invoice
         await estimate.save();
 
+        // Stock held for the estimate now belongs to the invoice
+        await stockReservationService.releaseReservations(
+            estimate._id,
+            STOCK_RESERVATION_STATUS.CONVERTED,
+            null,
+            `Estimate converted to invoice ${estimate.invoiceNumber}`
+        );
+
         // Populate references for return
         await estimate.populate('customerId', 'code name address city phone email');
         await estimate.populate('items.itemId', 'code name unit');
@@ -227,6 +237,13 @@ class EstimateService {
 
         await invoice.save();
 
+        await stockReservationService.releaseReservations(
+            invoice._id,
+            STOCK_RESERVATION_STATUS.EXPIRED,
+            null,
+            'Estimate expired'
+        );
+
         return invoice;
     }
 
@@ -0,0 +1,620 @@
+const Batch = require('../models/Batch');
+const Supplier = require('../models/Supplier');
+const Invoice = require('../models/Invoice');
+const Inventory = require('../models/Inventory');
+const Item = require('../models/Item');
+const ExpiryClaim = require('../models/ExpiryClaim');
+const batchRepository = require('../repositories/batchRepository');
+const stockMovementRepository = require('../repositories/stockMovementRepository');
+const purchaseReturnService = require('./purchaseReturnService');
+const inventoryValuationService = require('./inventoryValuationService');
+const accountService = require('./accountService');
+const ledgerService = require('./ledgerService');
+const {
+  EXPIRY_CLAIM_STATUS,
+  EXPIRY_CLAIM_SETTLEMENT_METHODS
+} = require('../constants/expiryClaimStatus');
+const { runInTransaction } = require('../utils/transaction');
+const AppError = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_LOSS_ACCOUNT_CODE = 'EXPIRY_LOSS';
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+
+/**
+ * Expiry Management Service
+ * Sends short-dated batches back to suppliers that take them, writes off expired stock
+ * nobody will take back, and tracks the credit suppliers owe for returned stock
+ */
+class ExpiryManagementService {
+  /**
+   * Dates between which a supplier takes back a batch
+   * @param {Object} policy - Supplier expiry return policy
+   * @param {Date} expiryDate - Batch expiry date
+   * @returns {Object|null} {opensAt, closesAt}, or null if the supplier takes no returns
+   */
+  getReturnWindow(policy, expiryDate) {
+    if (!policy || !policy.acceptsReturns || !expiryDate) {
+      return null;
+    }
+
+    const expiry = new Date(expiryDate).getTime();
+    return {
+      opensAt: new Date(expiry - (policy.daysBeforeExpiry || 0) * DAY_MS),
+      closesAt: new Date(expiry + (policy.daysAfterExpiry || 0) * DAY_MS)
+    };
+  }
+
+  /**
+   * Batches with stock left that are inside their supplier's return window, by supplier
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.supplierId] - Only this supplier
+   * @param {string} [filters.warehouseId] - Only batches in this warehouse
+   * @param {Date|string} [filters.asOf] - Date to check the windows on (default: now)
+   * @returns {Promise<Object>} {asOf, suppliers: [{supplier, policy, batches, totals}], totals}
+   */
+  async getReturnableBatches(filters = {}) {
+    const asOf = filters.asOf ? new Date(filters.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) {
+      throw new AppError('Invalid as-of date', 400);
+    }
+
+    const supplierQuery = { 'expiryReturnPolicy.acceptsReturns': true };
+    if (filters.supplierId) {
+      supplierQuery._id = filters.supplierId;
+    }
+
+    const suppliers = await Supplier.find(supplierQuery).select('code name expiryReturnPolicy').lean();
+    if (suppliers.length === 0) {
+      return { asOf, suppliers: [], totals: { batches: 0, quantity: 0, value: 0 } };
+    }
+
+    const longestLead = Math.max(...suppliers.map(supplier => supplier.expiryReturnPolicy.daysBeforeExpiry || 0));
+    const batchQuery = {
+      supplier: { $in: suppliers.map(supplier => supplier._id) },
+      status: { $in: ['active', 'expired'] },
+      remainingQuantity: { $gt: 0 },
+      expiryDate: { $lte: new Date(asOf.getTime() + longestLead * DAY_MS) }
+    };
+    if (filters.warehouseId) {
+      batchQuery.warehouse = filters.warehouseId;
+    }
+
+    const batches = await Batch.find(batchQuery)
+      .populate('item', 'code name')
+      .populate('warehouse', 'code name')
+      .sort({ expiryDate: 1 })
+      .lean();
+
+    const groups = suppliers.map(supplier => ({
+      supplier: { _id: supplier._id, code: supplier.code, name: supplier.name },
+      policy: supplier.expiryReturnPolicy,
+      batches: [],
+      totals: { quantity: 0, value: 0 }
+    }));
+    const totals = { batches: 0, quantity: 0, value: 0 };
+
+    for (const batch of batches) {
+      const group = groups.find(entry => refId(entry.supplier) === refId(batch.supplier));
+      const window = group && this.getReturnWindow(group.policy, batch.expiryDate);
+
+      if (window && window.opensAt <= asOf && asOf <= window.closesAt) {
+        const value = roundAmount(batch.remainingQuantity * (batch.unitCost || 0));
+        group.batches.push({
+          batchId: batch._id,
+          batchNumber: batch.batchNumber,
+          item: batch.item,
+          warehouse: batch.warehouse,
+          expiryDate: batch.expiryDate,
+          daysToExpiry: Math.ceil((new Date(batch.expiryDate) - asOf) / DAY_MS),
+          returnDeadline: window.closesAt,
+          quantity: batch.remainingQuantity,
+          unitCost: batch.unitCost || 0,
+          value
+        });
+        group.totals.quantity += batch.remainingQuantity;
+        group.totals.value = roundAmount(group.totals.value + value);
+        totals.batches += 1;
+        totals.quantity += batch.remainingQuantity;
+        totals.value = roundAmount(totals.value + value);
+      }
+    }
+
+    return {
+      asOf,
+      suppliers: groups.filter(group => group.batches.length > 0),
+      totals
+    };
+  }
+
+  /**
+   * Send returnable batches back to their suppliers, one purchase return per purchase invoice
+   * the stock was bought on. Each return opens an expiry claim for the credit owed. Batches
+   * whose purchase cannot be found, or whose return fails, are reported rather than failing
+   * the rest.
+   * @param {Object} request - Return request
+   * @param {Array} [request.batchIds] - Batches to return (default: every returnable batch)
+   * @param {string} [request.supplierId] - Only this supplier's batches
+   * @param {string} [request.warehouseId] - Only batches in this warehouse
+   * @param {string} [request.returnNotes] - Notes printed on the returns
+   * @param {string} userId - User raising the returns
+   * @returns {Promise<Object>} {returns: [{returnInvoice, claim}], skipped: [{batchId, batchNumber, reason}]}
+   */
+  async createSupplierReturns(request, userId) {
+    const {
+      batchIds,
+      supplierId,
+      warehouseId,
+      returnNotes
+    } = request || {};
+    const returnable = await this.getReturnableBatches({ supplierId, warehouseId });
+
+    let selected = returnable.suppliers.flatMap(group => group.batches
+      .map(batch => ({ ...batch, supplierId: group.supplier._id })));
+
+    if (Array.isArray(batchIds) && batchIds.length > 0) {
+      const requested = batchIds.map(String);
+      const outside = requested.filter(id => !selected.some(batch => refId(batch.batchId) === id));
+      if (outside.length > 0) {
+        throw new AppError(`Batches not inside their supplier's return window: ${outside.join(', ')}`, 400);
+      }
+      selected = selected.filter(batch => requested.includes(refId(batch.batchId)));
+    }
+
+    if (selected.length === 0) {
+      throw new AppError('No batches are due for return to their suppliers', 400);
+    }
+
+    const skipped = [];
+    const byInvoice = new Map();
+
+    for (const batch of selected) {
+      const purchase = await this.findPurchaseInvoiceForBatch(batch);
+      if (!purchase) {
+        skipped.push({
+          batchId: batch.batchId,
+          batchNumber: batch.batchNumber,
+          reason: 'No confirmed purchase invoice found for this batch'
+        });
+      } else {
+        const key = refId(purchase);
+        if (!byInvoice.has(key)) {
+          byInvoice.set(key, { purchase, batches: [] });
+        }
+        byInvoice.get(key).batches.push(batch);
+      }
+    }
+
+    const returns = [];
+
+    for (const { purchase, batches } of byInvoice.values()) {
+      try {
+        const result = await runInTransaction(async (session) => {
+          const returnInvoice = await purchaseReturnService.createPurchaseReturn({
+            originalInvoiceId: purchase._id,
+            returnItems: batches.map(batch => ({
+              itemId: refId(batch.item),
+              quantity: batch.quantity,
+              batchId: batch.batchId,
+              batchNumber: batch.batchNumber,
+              expiryDate: batch.expiryDate,
+              warehouseId: batch.warehouse ? batch.warehouse._id : undefined
+            })),
+            returnReason: 'expired',
+            returnNotes: returnNotes || 'Short-dated stock returned under the supplier expiry policy',
+            createdBy: userId
+          }, { session });
+
+          // The return takes the stock off the item and the batch; the warehouse record goes down too
+          for (const batch of batches) {
+            await this.reduceWarehouseStock(
+              refId(batch.item),
+              batch.warehouse ? batch.warehouse._id : undefined,
+              batch.quantity,
+              session
+            );
+          }
+
+          const claim = new ExpiryClaim({
+            supplierId: purchase.supplierId,
+            returnInvoiceId: returnInvoice._id,
+            originalInvoiceId: purchase._id,
+            lines: batches.map((batch) => {
+              const line = returnInvoice.items
+                .find(entry => (entry.batchInfo && entry.batchInfo.batchNumber) === batch.batchNumber);
+              return {
+                itemId: refId(batch.item),
+                batchId: batch.batchId,
+                batchNumber: batch.batchNumber,
+                expiryDate: batch.expiryDate,
+                quantity: batch.quantity,
+                amount: line ? Math.abs(line.lineTotal) : 0
+              };
+            }),
+            claimAmount: roundAmount(Math.abs(returnInvoice.totals.grandTotal)),
+            createdBy: userId
+          });
+          await claim.save({ session });
+
+          return { returnInvoice, claim };
+        });
+        returns.push(result);
+      } catch (error) {
+        batches.forEach(batch => skipped.push({
+          batchId: batch.batchId,
+          batchNumber: batch.batchNumber,
+          reason: error.message
+        }));
+      }
+    }
+
+    return { returns, skipped };
+  }
+
+  /**
+   * Latest confirmed purchase invoice from the batch's supplier that brought the batch in
+   * @param {Object} batch - Returnable batch entry
+   * @returns {Promise<Object|null>} Purchase invoice
+   */
+  async findPurchaseInvoiceForBatch(batch) {
+    return Invoice.findOne({
+      type: 'purchase',
+      status: { $in: ['confirmed', 'paid'] },
+      supplierId: batch.supplierId,
+      items: {
+        $elemMatch: {
+          itemId: refId(batch.item),
+          'batchInfo.batchNumber': batch.batchNumber
+        }
+      }
+    })
+      .sort({ invoiceDate: -1 })
+      .select('invoiceNumber supplierId invoiceDate')
+      .lean();
+  }
+
+  /**
+   * Write off expired stock to the expiry loss expense account. Without a list of batches,
+   * every expired batch that no supplier will still take back is written off.
+   * @param {Object} request - Write-off request
+   * @param {Array} [request.batchIds] - Expired batches to write off
+   * @param {string} [request.warehouseId] - Only batches in this warehouse
+   * @param {string} [request.notes] - Notes recorded on the stock movements
+   * @param {string} userId - User writing the stock off
+   * @returns {Promise<Object>} {writtenOff: [...], totals: {batches, quantity, value}}
+   */
+  async writeOffExpiredStock(request, userId) {
+    const { batchIds, warehouseId, notes } = request || {};
+    const now = new Date();
+    let batches;
+
+    if (Array.isArray(batchIds) && batchIds.length > 0) {
+      batches = await Batch.find({ _id: { $in: batchIds } }).lean();
+      const requested = batchIds.map(String);
+      const missing = requested.filter(id => !batches.some(batch => refId(batch) === id));
+      if (missing.length > 0) {
+        throw new AppError(`Batches not found: ${missing.join(', ')}`, 404);
+      }
+
+      const notExpired = batches.filter(batch => new Date(batch.expiryDate) > now || batch.remainingQuantity <= 0);
+      if (notExpired.length > 0) {
+        throw new AppError(
+          `Only expired batches with stock left can be written off: ${notExpired.map(b => b.batchNumber).join(', ')}`,
+          400
+        );
+      }
+    } else {
+      const query = {
+        status: { $in: ['active', 'expired'] },
+        remainingQuantity: { $gt: 0 },
+        expiryDate: { $lte: now }
+      };
+      if (warehouseId) {
+        query.warehouse = warehouseId;
+      }
+
+      const expired = await Batch.find(query).sort({ expiryDate: 1 }).lean();
+      const returnable = await this.getReturnableBatches({ warehouseId, asOf: now });
+      const stillReturnable = new Set(returnable.suppliers
+        .flatMap(group => group.batches.map(batch => refId(batch.batchId))));
+
+      batches = expired.filter(batch => !stillReturnable.has(refId(batch)));
+    }
+
+    if (batches.length === 0) {
+      throw new AppError('No expired stock to write off', 400);
+    }
+
+    return runInTransaction(async (session) => {
+      const { expiryLoss, inventory } = await this.getWriteOffAccounts();
+      const writtenOff = [];
+      const totals = { batches: 0, quantity: 0, value: 0 };
+
+      for (const batch of batches) {
+        const quantity = batch.remainingQuantity;
+
+        const updated = await batchRepository.decrementRemainingQuantity(batch._id, quantity, { session });
+        if (!updated) {
+          throw new AppError(`Batch ${batch.batchNumber} changed while writing it off. Please retry.`, 409);
+        }
+
+        await this.reduceWarehouseStock(batch.item, batch.warehouse, quantity, session);
+        await this.reduceItemStock(batch.item, quantity, session);
+        const cost = await inventoryValuationService.consumeLayers(batch.item, quantity, {
+          batchId: batch._id,
+          batchNumber: batch.batchNumber,
+          warehouseId: batch.warehouse,
+          session
+        });
+
+        await stockMovementRepository.create({
+          itemId: batch.item,
+          movementType: 'adjustment',
+          quantity: -quantity,
+          referenceType: 'adjustment',
+          referenceId: batch._id,
+          warehouse: batch.warehouse,
+          batchInfo: {
+            batchNumber: batch.batchNumber,
+            expiryDate: batch.expiryDate,
+            manufacturingDate: batch.manufacturingDate
+          },
+          movementDate: now,
+          notes: `Expired batch ${batch.batchNumber} written off${notes ? `: ${notes}` : ''}`,
+          createdBy: userId
+        }, { session });
+
+        if (cost.amount > 0) {
+          await ledgerService.createDoubleEntry(
+            expiryLoss,
+            inventory,
+            cost.amount,
+            `Expired batch ${batch.batchNumber} written off`,
+            'adjustment',
+            batch._id,
+            userId,
+            { session }
+          );
+        }
+
+        writtenOff.push({
+          batchId: batch._id,
+          batchNumber: batch.batchNumber,
+          itemId: batch.item,
+          warehouseId: batch.warehouse,
+          expiryDate: batch.expiryDate,
+          quantity,
+          value: cost.amount
+        });
+        totals.batches += 1;
+        totals.quantity += quantity;
+        totals.value = roundAmount(totals.value + cost.amount);
+      }
+
+      return { writtenOff, totals };
+    });
+  }
+
+  /**
+   * Ledger sides of an expiry write-off. The expense account code comes from
+   * EXPIRY_LOSS_ACCOUNT_CODE and is created on first use.
+   * @returns {Promise<Object>} {expiryLoss, inventory} ledger account references
+   */
+  async getWriteOffAccounts() {
+    const code = (process.env.EXPIRY_LOSS_ACCOUNT_CODE || DEFAULT_EXPIRY_LOSS_ACCOUNT_CODE).trim();
+
+    const expiryLossAccount = await accountService.getOrCreateSystemAccount(code, {
+      name: 'Expired Stock Loss',
+      accountType: 'expense',
+      description: 'Cost of expired stock written off'
+    });
+    const inventoryAccount = await accountService.getOrCreateSystemAccount('INVENTORY_ASSET', {
+      name: 'Inventory Asset',
+      accountType: 'asset',
+      description: 'Inventory/Stock asset account'
+    });
+
+    return {
+      expiryLoss: { accountId: expiryLossAccount._id, accountType: 'Account' },
+      inventory: { accountId: inventoryAccount._id, accountType: 'Account' }
+    };
+  }
+
+  /**
+   * Take written-off or returned stock out of the warehouse's inventory record
+   * @param {string} itemId - Item ID
+   * @param {string} warehouseId - Warehouse ID
+   * @param {number} quantity - Quantity taken out
+   * @param {Object} session - Session of the enclosing transaction
+   */
+  async reduceWarehouseStock(itemId, warehouseId, quantity, session) {
+    const inventory = await Inventory.findOne({ item: itemId, warehouse: warehouseId }).session(session);
+    if (!inventory) {
+      return;
+    }
+
+    inventory.quantity = Math.max(0, inventory.quantity - quantity);
+    await inventory.save({ session });
+  }
+
+  /**
+   * Take written-off stock out of the item's total stock
+   * @param {string} itemId - Item ID
+   * @param {number} quantity - Quantity written off
+   * @param {Object} session - Session of the enclosing transaction
+   */
+  async reduceItemStock(itemId, quantity, session) {
+    const item = await Item.findById(itemId).session(session);
+    if (!item) {
+      throw new AppError(`Item ${itemId} not found`, 404);
+    }
+
+    item.inventory.currentStock = Math.max(0, (item.inventory.currentStock || 0) - quantity);
+    await item.save({ session });
+  }
+
+  /**
+   * Get expiry claims with filtering and pagination
+   * @param {Object} [filters] - {supplierId, status}
+   * @param {number} [page] - Page number
+   * @param {number} [limit] - Page size
+   * @returns {Promise<Object>} {claims, pagination}
+   */
+  async getClaims(filters = {}, page = 1, limit = 10) {
+    const query = {};
+    if (filters.supplierId) {
+      query.supplierId = filters.supplierId;
+    }
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    const skip = (page - 1) * limit;
+    const [claims, total] = await Promise.all([
+      ExpiryClaim.find(query)
+        .populate('supplierId', 'code name')
+        .populate('returnInvoiceId', 'invoiceNumber invoiceDate')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ExpiryClaim.countDocuments(query)
+    ]);
+
+    return {
+      claims,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get an expiry claim
+   * @param {string} id - Claim ID
+   * @returns {Promise<Object>} Claim
+   */
+  async getClaimById(id) {
+    const claim = await ExpiryClaim.findById(id)
+      .populate('supplierId', 'code name')
+      .populate('returnInvoiceId', 'invoiceNumber invoiceDate totals')
+      .populate('lines.itemId', 'code name');
+
+    if (!claim) {
+      throw new AppError('Expiry claim not found', 404);
+    }
+    return claim;
+  }
+
+  /**
+   * Record credit received from the supplier against a claim. The purchase return already
+   * took the amount off the supplier's balance; this tracks how the supplier honoured it.
+   * @param {string} id - Claim ID
+   * @param {Object} settlement - {amount, method, reference, notes}
+   * @param {string} userId - User recording the settlement
+   * @returns {Promise<Object>} Updated claim
+   */
+  async recordSettlement(id, settlement, userId) {
+    const {
+      amount,
+      method,
+      reference,
+      notes
+    } = settlement || {};
+    const methods = Object.values(EXPIRY_CLAIM_SETTLEMENT_METHODS);
+
+    if (!methods.includes(method)) {
+      throw new AppError(`Settlement method must be one of: ${methods.join(', ')}`, 400);
+    }
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new AppError('Settlement amount must be greater than 0', 400);
+    }
+
+    const claim = await this.getOpenClaim(id, 'settled');
+    const outstanding = roundAmount(claim.claimAmount - claim.settledAmount);
+    if (roundAmount(value) > outstanding) {
+      throw new AppError(
+        `Settlement of ${value} exceeds the ${outstanding} outstanding on claim ${claim.claimNumber}`,
+        400
+      );
+    }
+
+    claim.settlements.push({
+      amount: roundAmount(value),
+      method,
+      reference,
+      notes,
+      settledBy: userId
+    });
+    claim.settledAmount = roundAmount(claim.settledAmount + value);
+    claim.status = claim.settledAmount >= claim.claimAmount
+      ? EXPIRY_CLAIM_STATUS.SETTLED
+      : EXPIRY_CLAIM_STATUS.PARTIALLY_SETTLED;
+
+    return claim.save();
+  }
+
+  /**
+   * Close a claim the supplier refuses. The unsettled credit goes back on the supplier's
+   * balance and is charged to the expiry loss account.
+   * @param {string} id - Claim ID
+   * @param {string} reason - Why the supplier refused it
+   * @param {string} userId - User recording the rejection
+   * @returns {Promise<Object>} Updated claim
+   */
+  async rejectClaim(id, reason, userId) {
+    if (!reason || !String(reason).trim()) {
+      throw new AppError('Rejection reason is required', 400);
+    }
+
+    return runInTransaction(async (session) => {
+      const claim = await this.getOpenClaim(id, 'rejected', session);
+      const outstanding = roundAmount(claim.claimAmount - claim.settledAmount);
+
+      if (outstanding > 0) {
+        const { expiryLoss } = await this.getWriteOffAccounts();
+        await ledgerService.createDoubleEntry(
+          expiryLoss,
+          { accountId: claim.supplierId, accountType: 'Supplier' },
+          outstanding,
+          `Expiry claim ${claim.claimNumber} rejected by supplier`,
+          'adjustment',
+          claim._id,
+          userId,
+          { session }
+        );
+      }
+
+      claim.status = EXPIRY_CLAIM_STATUS.REJECTED;
+      claim.rejectedAt = new Date();
+      claim.rejectedBy = userId;
+      claim.rejectionReason = reason;
+
+      return claim.save({ session });
+    });
+  }
+
+  /**
+   * Load a claim that is still waiting on the supplier
+   * @param {string} id - Claim ID
+   * @param {string} action - Past tense of the action, for the error message
+   * @param {Object} [session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Claim document
+   */
+  async getOpenClaim(id, action, session = null) {
+    const claim = await ExpiryClaim.findById(id).session(session);
+    if (!claim) {
+      throw new AppError('Expiry claim not found', 404);
+    }
+    if (![EXPIRY_CLAIM_STATUS.OPEN, EXPIRY_CLAIM_STATUS.PARTIALLY_SETTLED].includes(claim.status)) {
+      throw new AppError(`Claim ${claim.claimNumber} is ${claim.status} and cannot be ${action}`, 400);
+    }
+    return claim;
+  }
+}
+
+module.exports = new ExpiryManagementService();
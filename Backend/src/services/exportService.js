@@ -46,6 +46,37 @@ class ExportService {
     }
 
     const workbook = new ExcelJS.Workbook();
+    this._addWorksheet(workbook, data, columns, sheetName);
+
+    // Generate buffer
+    return await workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Export several data sets to one Excel workbook, one sheet each
+   * Sheets without rows are skipped
+   * @param {Array} sheets - Sheet definitions {name, data, columns}
+   * @returns {Promise<Buffer>} Excel file buffer
+   */
+  async exportSheetsToExcel(sheets) {
+    const populated = (sheets || []).filter((sheet) => sheet.data && sheet.data.length > 0);
+    if (populated.length === 0) {
+      throw new Error('No data to export');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    populated.forEach((sheet) => {
+      this._addWorksheet(workbook, sheet.data, sheet.columns, sheet.name);
+    });
+
+    return await workbook.xlsx.writeBuffer();
+  }
+
+  /**
+   * Add a worksheet with a styled header row and auto-fitted columns
+   * @private
+   */
+  _addWorksheet(workbook, data, columns, sheetName) {
     const worksheet = workbook.addWorksheet(sheetName);
 
     // Set up columns
@@ -84,8 +115,7 @@ class ExportService {
       column.width = Math.min(maxLength + 2, 50);
     });
 
-    // Generate buffer
-    return await workbook.xlsx.writeBuffer();
+    return worksheet;
   }
 
   /**
@@ -102,12 +132,61 @@ class ExportService {
       includeFooter = true,
     } = options;
 
+    return this.renderPDF((doc) => {
+      // Header
+      if (includeHeader) {
+        doc.fontSize(20).text(title, { align: 'center' });
+        doc.moveDown();
+        doc.fontSize(10).text(`Generated: ${new Date().toLocaleString()}`, { align: 'right' });
+        doc.moveDown();
+      }
+
+      // Content
+      if (reportData.summary) {
+        doc.fontSize(14).text('Summary', { underline: true });
+        doc.moveDown(0.5);
+        doc.fontSize(10);
+        Object.entries(reportData.summary).forEach(([key, value]) => {
+          doc.text(`${this._formatLabel(key)}: ${this._formatValue(value)}`);
+        });
+        doc.moveDown();
+      }
+
+      // Table data
+      if (reportData.data && Array.isArray(reportData.data)) {
+        this._drawTable(doc, reportData.data, reportData.columns || []);
+      }
+
+      // Footer
+      if (includeFooter) {
+        const pages = doc.bufferedPageRange();
+        for (let i = 0; i < pages.count; i++) {
+          doc.switchToPage(i);
+          doc.fontSize(8).text(
+            `Page ${i + 1} of ${pages.count}`,
+            50,
+            doc.page.height - 50,
+            { align: 'center' }
+          );
+        }
+      }
+    }, { layout: orientation });
+  }
+
+  /**
+   * Render a PDF document with PDFKit and collect it into a buffer
+   * @param {Function} draw - Receives the PDFKit document and draws the content
+   * @param {Object} options - PDFKit document options (size, layout, margin)
+   * @returns {Promise<Buffer>} PDF file buffer
+   */
+  renderPDF(draw, options = {}) {
     return new Promise((resolve, reject) => {
       try {
         const doc = new PDFDocument({
           size: 'A4',
-          layout: orientation,
+          layout: 'portrait',
           margin: 50,
+          ...options,
         });
 
         const chunks = [];
@@ -115,43 +194,7 @@ class ExportService {
         doc.on('end', () => resolve(Buffer.concat(chunks)));
         doc.on('error', reject);
 
-        // Header
-        if (includeHeader) {
-          doc.fontSize(20).text(title, { align: 'center' });
-          doc.moveDown();
-          doc.fontSize(10).text(`Generated: ${new Date().toLocaleString()}`, { align: 'right' });
-          doc.moveDown();
-        }
-
-        // Content
-        if (reportData.summary) {
-          doc.fontSize(14).text('Summary', { underline: true });
-          doc.moveDown(0.5);
-          doc.fontSize(10);
-          Object.entries(reportData.summary).forEach(([key, value]) => {
-            doc.text(`${this._formatLabel(key)}: ${this._formatValue(value)}`);
-          });
-          doc.moveDown();
-        }
-
-        // Table data
-        if (reportData.data && Array.isArray(reportData.data)) {
-          this._drawTable(doc, reportData.data, reportData.columns || []);
-        }
-
-        // Footer
-        if (includeFooter) {
-          const pages = doc.bufferedPageRange();
-          for (let i = 0; i < pages.count; i++) {
-            doc.switchToPage(i);
-            doc.fontSize(8).text(
-              `Page ${i + 1} of ${pages.count}`,
-              50,
-              doc.page.height - 50,
-              { align: 'center' }
-            );
-          }
-        }
+        draw(doc);
 
         doc.end();
       } catch (error) {
@@ -40,8 +40,10 @@ class FinancialReportService {
     };
     revenue.netSales = revenue.sales - revenue.salesDiscount;
 
-    // Calculate cost of goods sold
+    // Calculate cost of goods sold - the cost layers consumed by the period's sales;
+    // purchases are shown for reference only
     const cogs = {
+      costOfSales: salesInvoices.reduce((sum, inv) => sum + (inv.totals.costOfGoodsSold || 0), 0),
       purchases: purchaseInvoices.reduce((sum, inv) => sum + inv.totals.grandTotal, 0),
       purchaseDiscount: purchaseInvoices.reduce((sum, inv) => sum + inv.totals.totalDiscount, 0),
       netPurchases: 0,
@@ -49,7 +51,7 @@ class FinancialReportService {
     cogs.netPurchases = cogs.purchases - cogs.purchaseDiscount;
 
     // Calculate gross profit
-    const grossProfit = revenue.netSales - cogs.netPurchases;
+    const grossProfit = revenue.netSales - cogs.costOfSales;
     const grossProfitMargin = revenue.netSales > 0 ? (grossProfit / revenue.netSales) * 100 : 0;
 
     // Calculate taxes
@@ -80,7 +82,7 @@ class FinancialReportService {
       },
       summary: {
         totalRevenue: revenue.netSales,
-        totalExpenses: cogs.netPurchases + taxes.netTax,
+        totalExpenses: cogs.costOfSales + taxes.netTax,
         netIncome: netProfit,
       },
     };
@@ -269,7 +271,7 @@ class FinancialReportService {
       period: { startDate, endDate },
       profitability: {
         revenue: profitLoss.revenue.netSales,
-        expenses: profitLoss.costOfGoodsSold.netPurchases,
+        expenses: profitLoss.costOfGoodsSold.costOfSales,
         netProfit: profitLoss.netProfit.amount,
         profitMargin: profitLoss.netProfit.margin,
       },
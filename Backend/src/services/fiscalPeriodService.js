@@ -0,0 +1,217 @@
+const FiscalYear = require('../models/FiscalYear');
+const Account = require('../models/Account');
+
+/**
+ * Fiscal Period Service
+ * Handles fiscal years, monthly accounting periods and period close locks
+ */
+class FiscalPeriodService {
+  /**
+   * Create a fiscal year with twelve monthly periods
+   * @param {Object} yearData - Fiscal year data
+   * @param {string} yearData.name - Fiscal year name (e.g. FY2025-26)
+   * @param {Date|string} yearData.startDate - First day of the fiscal year
+   * @param {string} [yearData.retainedEarningsAccountId] - Equity account for year-end close
+   * @param {string} yearData.createdBy - User ID creating the fiscal year
+   * @returns {Promise<Object>} Created fiscal year
+   */
+  async createFiscalYear(yearData) {
+    const {
+      name,
+      startDate,
+      retainedEarningsAccountId,
+      createdBy
+    } = yearData;
+
+    if (!name) {
+      throw new Error('Fiscal year name is required');
+    }
+    if (!startDate || Number.isNaN(new Date(startDate).getTime())) {
+      throw new Error('A valid start date is required');
+    }
+    if (!createdBy) {
+      throw new Error('Created by user ID is required');
+    }
+
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+
+    const periods = [];
+    for (let month = 0; month < 12; month += 1) {
+      const periodStart = new Date(start.getFullYear(), start.getMonth() + month, 1);
+      const periodEnd = new Date(start.getFullYear(), start.getMonth() + month + 1, 0, 23, 59, 59, 999);
+      periods.push({
+        name: `${periodStart.getFullYear()}-${String(periodStart.getMonth() + 1).padStart(2, '0')}`,
+        periodNumber: month + 1,
+        startDate: month === 0 ? start : periodStart,
+        endDate: periodEnd
+      });
+    }
+    const end = periods[periods.length - 1].endDate;
+
+    const overlapping = await FiscalYear.findOne({
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    });
+    if (overlapping) {
+      throw new Error(`Fiscal year overlaps with existing fiscal year ${overlapping.name}`);
+    }
+
+    if (retainedEarningsAccountId) {
+      await this.validateRetainedEarningsAccount(retainedEarningsAccountId);
+    }
+
+    return FiscalYear.create({
+      name,
+      startDate: start,
+      endDate: end,
+      periods,
+      retainedEarningsAccountId,
+      createdBy
+    });
+  }
+
+  /**
+   * Get all fiscal years, latest first
+   * @returns {Promise<Array>} Fiscal years
+   */
+  async getFiscalYears() {
+    return FiscalYear.find().sort({ startDate: -1 });
+  }
+
+  /**
+   * Get fiscal year by ID
+   * @param {string} id - Fiscal year ID
+   * @returns {Promise<Object>} Fiscal year
+   */
+  async getFiscalYearById(id) {
+    const fiscalYear = await FiscalYear.findById(id);
+    if (!fiscalYear) {
+      const error = new Error('Fiscal year not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return fiscalYear;
+  }
+
+  /**
+   * Ensure a transaction date falls in an open period
+   * Dates outside any defined fiscal year are not locked.
+   * @param {Date|string} date - Transaction date
+   * @param {string} [documentLabel] - What is being posted, used in the error message
+   * @throws {Error} PERIOD_CLOSED if the date is inside a closed period or year
+   */
+  async assertPeriodOpen(date, documentLabel = 'Transaction') {
+    const when = date ? new Date(date) : new Date();
+    const fiscalYear = await FiscalYear.findByDate(when);
+
+    if (!fiscalYear) {
+      return;
+    }
+
+    const period = fiscalYear.findPeriodForDate(when);
+    if (fiscalYear.status === 'closed' || (period && period.status === 'closed')) {
+      const periodName = period ? period.name : fiscalYear.name;
+      const error = new Error(
+        `${documentLabel} dated ${when.toISOString().split('T')[0]} falls in closed period ${periodName}`
+      );
+      error.code = 'PERIOD_CLOSED';
+      error.statusCode = 409;
+      error.details = { fiscalYear: fiscalYear.name, period: periodName };
+      throw error;
+    }
+  }
+
+  /**
+   * Close a monthly period
+   * @param {string} fiscalYearId - Fiscal year ID
+   * @param {string} periodId - Period ID
+   * @param {string} userId - User closing the period
+   * @returns {Promise<Object>} Updated fiscal year
+   */
+  async closePeriod(fiscalYearId, periodId, userId) {
+    const fiscalYear = await this.getFiscalYearById(fiscalYearId);
+    const period = this.getPeriod(fiscalYear, periodId);
+
+    if (period.status === 'closed') {
+      throw new Error(`Period ${period.name} is already closed`);
+    }
+
+    period.status = 'closed';
+    period.closedAt = new Date();
+    period.closedBy = userId;
+    fiscalYear.auditLog.push({ action: 'close_period', periodName: period.name, performedBy: userId });
+
+    return fiscalYear.save();
+  }
+
+  /**
+   * Reopen a closed monthly period (admin only); the reason is kept in the audit log
+   * @param {string} fiscalYearId - Fiscal year ID
+   * @param {string} periodId - Period ID
+   * @param {string} userId - Admin reopening the period
+   * @param {string} reason - Why the period is being reopened
+   * @returns {Promise<Object>} Updated fiscal year
+   */
+  async reopenPeriod(fiscalYearId, periodId, userId, reason) {
+    if (!reason) {
+      throw new Error('Reason is required to reopen a period');
+    }
+
+    const fiscalYear = await this.getFiscalYearById(fiscalYearId);
+    const period = this.getPeriod(fiscalYear, periodId);
+
+    if (fiscalYear.status === 'closed') {
+      throw new Error(`Fiscal year ${fiscalYear.name} is closed; its periods cannot be reopened`);
+    }
+    if (period.status === 'open') {
+      throw new Error(`Period ${period.name} is already open`);
+    }
+
+    period.status = 'open';
+    period.closedAt = undefined;
+    period.closedBy = undefined;
+    fiscalYear.auditLog.push({
+      action: 'reopen_period',
+      periodName: period.name,
+      reason,
+      performedBy: userId
+    });
+
+    return fiscalYear.save();
+  }
+
+  /**
+   * Ensure the retained earnings account exists and is an active equity account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} Account
+   */
+  async validateRetainedEarningsAccount(accountId) {
+    const account = await Account.findById(accountId);
+    if (!account) {
+      throw new Error('Retained earnings account not found');
+    }
+    if (account.accountType !== 'equity' || !account.isActive) {
+      throw new Error('Retained earnings account must be an active equity account');
+    }
+    return account;
+  }
+
+  /**
+   * Find a period of a fiscal year by ID
+   * @param {Object} fiscalYear - Fiscal year
+   * @param {string} periodId - Period ID
+   * @returns {Object} Period
+   */
+  getPeriod(fiscalYear, periodId) {
+    const period = fiscalYear.periods.id(periodId);
+    if (!period) {
+      const error = new Error('Accounting period not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return period;
+  }
+}
+
+module.exports = new FiscalPeriodService();
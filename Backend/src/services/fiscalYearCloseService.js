@@ -0,0 +1,124 @@
+const Account = require('../models/Account');
+const ledgerRepository = require('../repositories/ledgerRepository');
+const fiscalPeriodService = require('./fiscalPeriodService');
+const journalVoucherService = require('./journalVoucherService');
+const { runInTransaction } = require('../utils/transaction');
+
+/**
+ * Fiscal Year Close Service
+ * Handles year-end close: the closing journal voucher and the year lock.
+ * Kept apart from the fiscal period service, which the ledger and journal voucher services depend on.
+ */
+class FiscalYearCloseService {
+  /**
+   * Close a fiscal year: move revenue and expense balances to retained earnings
+   * through a closing journal voucher, then lock the whole year.
+   * All monthly periods must be closed first. The voucher, its ledger entries and
+   * the year lock are written in one transaction.
+   * @param {string} id - Fiscal year ID
+   * @param {string} userId - User closing the year
+   * @param {Object} [options] - Options
+   * @param {string} [options.retainedEarningsAccountId] - Overrides the year's retained earnings account
+   * @returns {Promise<Object>} Closed fiscal year
+   */
+  async closeFiscalYear(id, userId, options = {}) {
+    const fiscalYear = await fiscalPeriodService.getFiscalYearById(id);
+
+    if (fiscalYear.status === 'closed') {
+      throw new Error(`Fiscal year ${fiscalYear.name} is already closed`);
+    }
+
+    const openPeriods = fiscalYear.periods.filter((period) => period.status !== 'closed');
+    if (openPeriods.length > 0) {
+      throw new Error(`Close all periods first. Open periods: ${openPeriods.map((period) => period.name).join(', ')}`);
+    }
+
+    const retainedEarningsAccountId = options.retainedEarningsAccountId || fiscalYear.retainedEarningsAccountId;
+    if (!retainedEarningsAccountId) {
+      throw new Error('Retained earnings account is required to close the fiscal year');
+    }
+    await fiscalPeriodService.validateRetainedEarningsAccount(retainedEarningsAccountId);
+
+    const lines = await this.buildClosingLines(fiscalYear, retainedEarningsAccountId);
+
+    fiscalYear.status = 'closed';
+    fiscalYear.closedAt = new Date();
+    fiscalYear.closedBy = userId;
+    fiscalYear.retainedEarningsAccountId = retainedEarningsAccountId;
+    fiscalYear.auditLog.push({ action: 'close_year', performedBy: userId });
+
+    return runInTransaction(async (session) => {
+      if (lines.length > 0) {
+        const voucher = await journalVoucherService.createJournalVoucher({
+          voucherDate: fiscalYear.endDate,
+          voucherType: 'closing',
+          narration: `Year-end close of ${fiscalYear.name}`,
+          reference: fiscalYear.name,
+          lines,
+          createdBy: userId,
+        }, { allowClosedPeriod: true, session });
+
+        await journalVoucherService.postJournalVoucher(voucher._id, userId, { allowClosedPeriod: true, session });
+        fiscalYear.closingVoucherId = voucher._id;
+      }
+
+      return fiscalYear.save({ session });
+    });
+  }
+
+  /**
+   * Build closing voucher lines that zero revenue and expense accounts for the year
+   * and book the net result against retained earnings
+   * @param {Object} fiscalYear - Fiscal year
+   * @param {string} retainedEarningsAccountId - Retained earnings account ID
+   * @returns {Promise<Array>} Voucher lines
+   */
+  async buildClosingLines(fiscalYear, retainedEarningsAccountId) {
+    const accounts = await Account.find({ accountType: { $in: ['revenue', 'expense'] } }).select('_id name');
+    if (accounts.length === 0) {
+      return [];
+    }
+
+    const balances = await ledgerRepository.getNetBalancesByAccount(
+      accounts.map((account) => account._id),
+      fiscalYear.startDate,
+      fiscalYear.endDate,
+    );
+
+    const toPaisa = (amount) => Math.round(amount * 100);
+    const lines = [];
+    let net = 0; // paisa; positive means net debit (loss)
+
+    balances.forEach((entry) => {
+      const balance = toPaisa(entry.balance);
+      if (balance === 0) return;
+
+      // Reverse the balance so the account ends the year at zero
+      lines.push({
+        accountId: entry._id,
+        accountType: 'Account',
+        debit: balance < 0 ? -balance / 100 : 0,
+        credit: balance > 0 ? balance / 100 : 0,
+        description: 'Year-end closing',
+      });
+      net += balance;
+    });
+
+    if (lines.length === 0) {
+      return [];
+    }
+
+    lines.push({
+      accountId: retainedEarningsAccountId,
+      accountType: 'Account',
+      debit: net > 0 ? net / 100 : 0,
+      credit: net < 0 ? -net / 100 : 0,
+      description: net < 0 ? 'Net profit for the year' : 'Net loss for the year',
+    });
+
+    // A year that nets to exactly zero needs no retained earnings line
+    return lines.filter((line) => line.debit > 0 || line.credit > 0);
+  }
+}
+
+module.exports = new FiscalYearCloseService();
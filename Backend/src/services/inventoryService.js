@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const inventoryRepository = require('../repositories/inventoryRepository');
 const itemService = require('./itemService');
 
@@ -271,7 +272,7 @@ class InventoryService {
     // For now, we'll just return the transaction data
     return {
       ...transactionData,
-      _id: require('mongoose').Types.ObjectId(),
+      _id: new mongoose.Types.ObjectId(),
       timestamp: new Date()
     };
   }
@@ -572,6 +573,8 @@ class InventoryService {
    * @param {string} operation - Operation type ('increase' or 'decrease')
    * @param {string} reason - Reason for adjustment
    * @param {Object} [options] - Additional options
+   * @param {string} [options.userId] - User performing the adjustment
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Updated inventory
    */
   async adjustInventory(itemId, quantity, operation, reason, options = {}) {
@@ -603,14 +606,14 @@ class InventoryService {
 
     // Update item inventory
     const Item = require('../models/Item');
-    const itemDoc = await Item.findById(itemId);
+    const itemDoc = await Item.findById(itemId).session(options.session || null);
 
     if (!itemDoc) {
       throw new Error('Item not found');
     }
 
     itemDoc.inventory.currentStock = Math.max(0, (itemDoc.inventory.currentStock || 0) + adjustmentAmount);
-    await itemDoc.save();
+    await itemDoc.save({ session: options.session });
 
     // Log the transaction
     await this.logTransaction({
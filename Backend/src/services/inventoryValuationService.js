@@ -0,0 +1,483 @@
+const mongoose = require('mongoose');
+const CostLayer = require('../models/CostLayer');
+const Batch = require('../models/Batch');
+const Item = require('../models/Item');
+const { VALUATION_METHODS } = require('../constants/valuationMethods');
+const AppError = require('../utils/appError');
+
+/**
+ * ID of a reference that may or may not be populated
+ * @param {Object|string} value - ObjectId, string or populated document
+ * @returns {Object|string} ID
+ */
+const refId = value => (value && value._id ? value._id : value);
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const roundUnitCost = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Inventory Valuation Service
+ * Keeps cost layers for received stock and consumes them on sale, by FIFO or moving weighted
+ * average. The method is set per company on the item's company, defaulting to the
+ * INVENTORY_VALUATION_METHOD setting.
+ */
+class InventoryValuationService {
+  /**
+   * Get the default valuation method, used for items whose company sets none
+   * @returns {string} 'fifo' or 'weighted_average'
+   */
+  getValuationMethod() {
+    const method = (process.env.INVENTORY_VALUATION_METHOD || VALUATION_METHODS.FIFO).trim().toLowerCase();
+
+    if (!Object.values(VALUATION_METHODS).includes(method)) {
+      throw new AppError(
+        `Unknown inventory valuation method: ${method}. Use one of: ${Object.values(VALUATION_METHODS).join(', ')}`,
+        500
+      );
+    }
+
+    return method;
+  }
+
+  /**
+   * Get the valuation method of an item: its company's method, or the default
+   * @param {string} itemId - Item ID
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<string>} 'fifo' or 'weighted_average'
+   */
+  async getItemValuationMethod(itemId, options = {}) {
+    const item = await Item.findById(itemId)
+      .select('company')
+      .populate('company', 'inventoryValuationMethod')
+      .session(options.session || null);
+
+    const companyMethod = item && item.company ? item.company.inventoryValuationMethod : null;
+    return companyMethod || this.getValuationMethod();
+  }
+
+  /**
+   * Create cost layers for the lines of a confirmed purchase invoice
+   * A line received into a batch is costed at the batch unit cost, other lines at their
+   * invoiced cost after discounts and before tax.
+   * @param {Object} invoice - Purchase invoice
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Array>} Created layers
+   */
+  async createLayersForPurchase(invoice, options = {}) {
+    const { session } = options;
+    const layers = [];
+
+    for (const line of invoice.items) {
+      const itemId = refId(line.itemId);
+      const batchNumber = line.batchInfo && line.batchInfo.batchNumber
+        ? String(line.batchInfo.batchNumber).toUpperCase()
+        : null;
+      const batch = batchNumber
+        ? await Batch.findOne({ item: itemId, batchNumber }).sort({ createdAt: -1 }).session(session || null)
+        : null;
+      const unitCost = roundUnitCost(batch ? batch.unitCost : this.getLineUnitCost(line));
+
+      layers.push({
+        itemId,
+        warehouseId: line.warehouseId || (batch ? batch.warehouse : undefined),
+        batchId: batch ? batch._id : undefined,
+        batchNumber: batchNumber || undefined,
+        sourceType: 'purchase_invoice',
+        sourceId: invoice._id,
+        sourceNumber: invoice.invoiceNumber,
+        receivedDate: invoice.invoiceDate || new Date(),
+        quantity: line.quantity,
+        remainingQuantity: line.quantity,
+        unitCost,
+        originalUnitCost: unitCost
+      });
+    }
+
+    if (layers.length === 0) {
+      return [];
+    }
+
+    const created = await CostLayer.insertMany(layers, { session });
+    await this.reaverage(layers.map(layer => layer.itemId), options);
+
+    return created;
+  }
+
+  /**
+   * Open a single cost layer for stock found or received outside a purchase (e.g. a stock take gain)
+   * @param {Object} layerData - {itemId, warehouseId, batchId, batchNumber, sourceType, sourceId,
+   *   sourceNumber, quantity, unitCost}
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Created layer
+   */
+  async addLayer(layerData, options = {}) {
+    const unitCost = roundUnitCost(layerData.unitCost || 0);
+    const [layer] = await CostLayer.create([{
+      ...layerData,
+      receivedDate: layerData.receivedDate || new Date(),
+      remainingQuantity: layerData.quantity,
+      unitCost,
+      originalUnitCost: unitCost
+    }], { session: options.session });
+
+    await this.reaverage([layerData.itemId], options);
+    return layer;
+  }
+
+  /**
+   * Invoiced unit cost of a purchase line, after discounts and before tax
+   * @param {Object} line - Invoice line
+   * @returns {number} Unit cost
+   */
+  getLineUnitCost(line) {
+    if (!line.quantity) {
+      return 0;
+    }
+
+    const netAmount = line.taxableAmount !== undefined
+      ? line.taxableAmount
+      : (line.lineTotal || 0) - (line.taxAmount || 0);
+
+    return Math.max(0, netAmount / line.quantity);
+  }
+
+  /**
+   * Take a quantity of an item out of its cost layers
+   * Layers of the lot being issued go first: those the given source document received, then
+   * the lot's batch, then the same lot number (a lot moved to another warehouse becomes a new
+   * batch there), then layers received into the issuing warehouse, then any other; oldest first
+   * within each. Stock received before cost layers were kept has no layer; any quantity the
+   * layers do not cover is costed at the item's cost price. Run this inside a transaction so
+   * a conflict rolls back the layers already consumed.
+   * @param {string} itemId - Item ID
+   * @param {number} quantity - Quantity sold
+   * @param {Object} [options] - Options
+   * @param {string} [options.batchId] - Batch the quantity is issued from (FEFO allocation)
+   * @param {string} [options.batchNumber] - Lot number the quantity is issued from
+   * @param {string} [options.warehouseId] - Warehouse the quantity is issued from
+   * @param {string} [options.sourceId] - Document whose layers go first (e.g. the purchase being returned)
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} {quantity, unitCost, amount, layers: [{layerId, quantity, unitCost}]}
+   */
+  async consumeLayers(itemId, quantity, options = {}) {
+    const { session } = options;
+    const found = await CostLayer.find({ itemId, remainingQuantity: { $gt: 0 } })
+      .sort({ receivedDate: 1, _id: 1 })
+      .session(session || null);
+
+    const matches = (value, expected) => Boolean(expected) && Boolean(value) && String(value) === String(expected);
+    const rank = (layer) => {
+      if (matches(layer.sourceId, options.sourceId)) return 0;
+      if (matches(layer.batchId, options.batchId)) return 1;
+      if (options.batchNumber && layer.batchNumber === String(options.batchNumber).toUpperCase()) return 2;
+      if (matches(layer.warehouseId, options.warehouseId)) return 3;
+      return 4;
+    };
+    // Array sort is stable, so layers keep their age order within a rank
+    const layers = found
+      .map(layer => ({ layer, rank: rank(layer) }))
+      .sort((a, b) => a.rank - b.rank)
+      .map(entry => entry.layer);
+
+    const consumed = [];
+    let remaining = quantity;
+    let amount = 0;
+
+    for (const layer of layers) {
+      if (remaining <= 0) break;
+
+      const take = Math.min(layer.remainingQuantity, remaining);
+      const updated = await CostLayer.findOneAndUpdate(
+        { _id: layer._id, remainingQuantity: { $gte: take } },
+        { $inc: { remainingQuantity: -take } },
+        { new: true, session }
+      );
+
+      if (!updated) {
+        throw new AppError('Cost layers changed while costing the sale. Please retry.', 409);
+      }
+
+      consumed.push({ layerId: layer._id, quantity: take, unitCost: layer.unitCost });
+      amount += take * layer.unitCost;
+      remaining -= take;
+    }
+
+    if (remaining > 0) {
+      const item = await Item.findById(itemId).select('pricing.costPrice').session(session || null);
+      const costPrice = item && item.pricing ? item.pricing.costPrice || 0 : 0;
+
+      consumed.push({ quantity: remaining, unitCost: costPrice });
+      amount += remaining * costPrice;
+    }
+
+    return {
+      quantity,
+      unitCost: quantity > 0 ? roundUnitCost(amount / quantity) : 0,
+      amount: roundAmount(amount),
+      layers: consumed
+    };
+  }
+
+  /**
+   * Cost the lines of a sales invoice being confirmed
+   * A line picked from batches is costed from the layers of each batch allocated to it.
+   * @param {Array} items - Invoice lines (plain objects)
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} {items: lines with costOfGoods, totalCost}
+   */
+  async costInvoiceItems(items, options = {}) {
+    const costedItems = [];
+    let totalCost = 0;
+
+    for (const line of items) {
+      const itemId = refId(line.itemId);
+      const allocations = line.batchAllocations && line.batchAllocations.length > 0
+        ? line.batchAllocations
+        : [{ quantity: line.quantity, warehouseId: line.warehouseId }];
+
+      const costs = [];
+      for (const allocation of allocations) {
+        costs.push(await this.consumeLayers(itemId, allocation.quantity, {
+          batchId: allocation.batchId,
+          batchNumber: allocation.batchNumber,
+          warehouseId: allocation.warehouseId,
+          session: options.session
+        }));
+      }
+
+      const amount = roundAmount(costs.reduce((sum, cost) => sum + cost.amount, 0));
+      const costOfGoods = {
+        quantity: line.quantity,
+        unitCost: line.quantity > 0 ? roundUnitCost(amount / line.quantity) : 0,
+        amount,
+        layers: costs.flatMap(cost => cost.layers)
+      };
+      costedItems.push({ ...line, costOfGoods });
+      totalCost += costOfGoods.amount;
+    }
+
+    return { items: costedItems, totalCost: roundAmount(totalCost) };
+  }
+
+  /**
+   * Put consumed quantities back into their layers (e.g. when a sale is cancelled)
+   * Quantities that were costed without a layer are not restored.
+   * @param {Array} items - Invoice lines with costOfGoods
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<number>} Number of layers restored
+   */
+  async restoreInvoiceLayers(items, options = {}) {
+    const { session } = options;
+    const entries = items.flatMap(line => (line.costOfGoods && line.costOfGoods.layers) || [])
+      .filter(entry => entry.layerId && entry.quantity > 0);
+
+    for (const entry of entries) {
+      await CostLayer.findByIdAndUpdate(entry.layerId, { $inc: { remainingQuantity: entry.quantity } }, { session });
+    }
+
+    await this.reaverage(items.map(line => refId(line.itemId)), options);
+    return entries.length;
+  }
+
+  /**
+   * Put the quantity of a sales return back into the layers its sale consumed
+   * The layers the sale drew from last are refilled first, less what earlier returns of the
+   * sale already put back. Quantity the sale costed without a layer comes back at that cost
+   * without refilling a layer, as when the sale is cancelled.
+   * @param {Object} saleLine - Line of the original sales invoice, with costOfGoods
+   * @param {number} quantity - Quantity returned
+   * @param {Array} [returnedLayers] - costOfGoods.layers of earlier returns of the line
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} {quantity, unitCost, amount, layers: [{layerId, quantity, unitCost}]}
+   */
+  async restoreReturnedQuantity(saleLine, quantity, returnedLayers = [], options = {}) {
+    const { session } = options;
+    const layerKey = entry => (entry.layerId ? String(entry.layerId) : 'none');
+
+    const alreadyReturned = new Map();
+    for (const entry of returnedLayers) {
+      alreadyReturned.set(layerKey(entry), (alreadyReturned.get(layerKey(entry)) || 0) + entry.quantity);
+    }
+
+    const sold = (saleLine.costOfGoods && saleLine.costOfGoods.layers) || [];
+    const restored = [];
+    let remaining = quantity;
+    let amount = 0;
+
+    for (const entry of [...sold].reverse()) {
+      if (remaining <= 0) break;
+
+      const returnedBefore = alreadyReturned.get(layerKey(entry)) || 0;
+      const available = entry.quantity - returnedBefore;
+      alreadyReturned.set(layerKey(entry), Math.max(0, returnedBefore - entry.quantity));
+
+      if (available > 0) {
+        const take = Math.min(available, remaining);
+        if (entry.layerId) {
+          await CostLayer.findByIdAndUpdate(entry.layerId, { $inc: { remainingQuantity: take } }, { session });
+        }
+
+        restored.push({ layerId: entry.layerId, quantity: take, unitCost: entry.unitCost });
+        amount += take * entry.unitCost;
+        remaining -= take;
+      }
+    }
+
+    // Sold before cost layers were kept: nothing was costed, so nothing comes back
+    if (remaining > 0) {
+      restored.push({ quantity: remaining, unitCost: 0 });
+    }
+
+    if (restored.some(entry => entry.layerId)) {
+      await this.reaverage([refId(saleLine.itemId)], options);
+    }
+
+    return {
+      quantity,
+      unitCost: quantity > 0 ? roundUnitCost(amount / quantity) : 0,
+      amount: roundAmount(amount),
+      layers: restored
+    };
+  }
+
+  /**
+   * Empty the remaining quantity of every layer a document created (e.g. a cancelled purchase)
+   * Quantities already sold stay in cost of goods sold.
+   * @param {string} sourceType - Source type of the layers
+   * @param {string} sourceId - Source document ID
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<number>} Number of layers retired
+   */
+  async retireLayers(sourceType, sourceId, options = {}) {
+    const { session } = options;
+    const layers = await CostLayer.find({ sourceType, sourceId, remainingQuantity: { $gt: 0 } })
+      .session(session || null);
+
+    if (layers.length === 0) {
+      return 0;
+    }
+
+    await CostLayer.updateMany(
+      { _id: { $in: layers.map(layer => layer._id) } },
+      { $set: { remainingQuantity: 0 } },
+      { session }
+    );
+    await this.reaverage(layers.map(layer => layer.itemId), options);
+
+    return layers.length;
+  }
+
+  /**
+   * Revalue the open layers of items to their moving average cost
+   * Items valued by FIFO are left as they are.
+   * @param {Array} itemIds - Item IDs
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   */
+  async reaverage(itemIds, options = {}) {
+    const { session } = options;
+    const uniqueIds = Array.from(new Set(itemIds.map(String)));
+
+    const averagedIds = [];
+    for (const itemId of uniqueIds) {
+      if (await this.getItemValuationMethod(itemId, options) === VALUATION_METHODS.WEIGHTED_AVERAGE) {
+        averagedIds.push(itemId);
+      }
+    }
+
+    for (const itemId of averagedIds) {
+      const layers = await CostLayer.find({ itemId, remainingQuantity: { $gt: 0 } }).session(session || null);
+      const quantity = layers.reduce((sum, layer) => sum + layer.remainingQuantity, 0);
+
+      if (quantity > 0) {
+        const value = layers.reduce((sum, layer) => sum + layer.remainingQuantity * layer.unitCost, 0);
+        await CostLayer.updateMany(
+          { itemId, remainingQuantity: { $gt: 0 } },
+          { $set: { unitCost: roundUnitCost(value / quantity) } },
+          { session }
+        );
+      }
+    }
+  }
+
+  /**
+   * Value stock on hand from the open cost layers
+   * @param {Object} [options] - Options
+   * @param {string} [options.itemId] - Limit to an item
+   * @param {string} [options.warehouseId] - Limit to layers received into a warehouse
+   * @returns {Promise<Object>} {method, items: [{itemId, code, name, quantity, unitCost, value}], totals}
+   */
+  async getInventoryValuation(options = {}) {
+    const match = { remainingQuantity: { $gt: 0 } };
+    if (options.itemId) {
+      match.itemId = new mongoose.Types.ObjectId(options.itemId);
+    }
+    if (options.warehouseId) {
+      match.warehouseId = new mongoose.Types.ObjectId(options.warehouseId);
+    }
+
+    const rows = await CostLayer.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$itemId',
+          quantity: { $sum: '$remainingQuantity' },
+          value: { $sum: { $multiply: ['$remainingQuantity', '$unitCost'] } },
+          layerCount: { $sum: 1 },
+          oldestLayer: { $min: '$receivedDate' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'items',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'item'
+        }
+      },
+      { $unwind: { path: '$item', preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: 'companies',
+          localField: 'item.company',
+          foreignField: '_id',
+          as: 'company'
+        }
+      },
+      { $unwind: { path: '$company', preserveNullAndEmptyArrays: true } },
+      { $sort: { 'item.name': 1 } }
+    ]);
+
+    const defaultMethod = this.getValuationMethod();
+    const items = rows.map(row => ({
+      itemId: row._id,
+      code: row.item ? row.item.code : null,
+      name: row.item ? row.item.name : null,
+      method: (row.company && row.company.inventoryValuationMethod) || defaultMethod,
+      quantity: row.quantity,
+      unitCost: roundUnitCost(row.value / row.quantity),
+      value: roundAmount(row.value),
+      layerCount: row.layerCount,
+      oldestLayer: row.oldestLayer
+    }));
+
+    return {
+      method: defaultMethod,
+      asOfDate: new Date(),
+      items,
+      totals: {
+        quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        value: roundAmount(items.reduce((sum, item) => sum + item.value, 0))
+      }
+    };
+  }
+}
+
+module.exports = new InventoryValuationService();
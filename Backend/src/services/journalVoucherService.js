@@ -0,0 +1,317 @@
+const JournalVoucher = require('../models/JournalVoucher');
+const ledgerService = require('./ledgerService');
+const fiscalPeriodService = require('./fiscalPeriodService');
+const { runInTransaction } = require('../utils/transaction');
+
+const JOURNAL_REFERENCE_TYPE = 'journal';
+
+/**
+ * Journal Voucher Service
+ * Handles manual multi-line journal vouchers (accruals, corrections, opening balances).
+ * A voucher is only posted to the ledger when its debits equal its credits.
+ */
+class JournalVoucherService {
+  /**
+   * Create a draft journal voucher
+   * @param {Object} voucherData - Voucher data
+   * @param {Array} voucherData.lines - Lines {accountId, accountType, debit, credit, description}
+   * @param {string} voucherData.narration - Voucher narration
+   * @param {string} voucherData.createdBy - User ID creating the voucher
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.allowClosedPeriod] - Allow a date in a closed period (year-end closing only)
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Created voucher
+   */
+  async createJournalVoucher(voucherData, options = {}) {
+    const {
+      voucherDate,
+      voucherType,
+      narration,
+      reference,
+      lines,
+      createdBy
+    } = voucherData;
+
+    if (!narration) {
+      throw new Error('Narration is required');
+    }
+    if (!createdBy) {
+      throw new Error('Created by user ID is required');
+    }
+    if (!options.allowClosedPeriod) {
+      await fiscalPeriodService.assertPeriodOpen(voucherDate, 'Journal voucher');
+    }
+
+    const voucher = new JournalVoucher({
+      voucherDate: voucherDate || new Date(),
+      voucherType,
+      narration,
+      reference,
+      lines: this.validateLines(lines),
+      createdBy
+    });
+
+    return voucher.save({ session: options.session });
+  }
+
+  /**
+   * Validate voucher lines: at least two, each with exactly one positive side
+   * @param {Array} lines - Voucher lines
+   * @returns {Array} Normalized lines
+   */
+  validateLines(lines) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+      throw new Error('A journal voucher needs at least two lines');
+    }
+
+    return lines.map((line, index) => {
+      const debit = Number(line.debit) || 0;
+      const credit = Number(line.credit) || 0;
+
+      if (!line.accountId || !line.accountType) {
+        throw new Error(`Line ${index + 1}: account ID and account type are required`);
+      }
+      if (debit < 0 || credit < 0) {
+        throw new Error(`Line ${index + 1}: debit and credit cannot be negative`);
+      }
+      if ((debit > 0) === (credit > 0)) {
+        throw new Error(`Line ${index + 1}: enter either a debit or a credit amount`);
+      }
+
+      return {
+        accountId: line.accountId,
+        accountType: line.accountType,
+        debit,
+        credit,
+        description: line.description
+      };
+    });
+  }
+
+  /**
+   * Get journal voucher by ID
+   * @param {string} id - Voucher ID
+   * @returns {Promise<Object>} Voucher
+   */
+  async getJournalVoucherById(id) {
+    const voucher = await JournalVoucher.findById(id)
+      .populate('createdBy', 'username')
+      .populate('postedBy', 'username')
+      .populate('reversedBy', 'username');
+
+    if (!voucher) {
+      const error = new Error('Journal voucher not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return voucher;
+  }
+
+  /**
+   * Get journal vouchers with filtering and pagination
+   * @param {Object} [filters] - Filters (status, voucherType, startDate, endDate, accountId)
+   * @param {Object} [options] - Pagination options (page, limit)
+   * @returns {Promise<Object>} Vouchers and pagination info
+   */
+  async getJournalVouchers(filters = {}, options = {}) {
+    const query = {};
+
+    if (filters.status) query.status = filters.status;
+    if (filters.voucherType) query.voucherType = filters.voucherType;
+    if (filters.accountId) query['lines.accountId'] = filters.accountId;
+    if (filters.startDate || filters.endDate) {
+      query.voucherDate = {};
+      if (filters.startDate) query.voucherDate.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.voucherDate.$lte = new Date(filters.endDate);
+    }
+
+    const page = options.page || 1;
+    const limit = options.limit || 50;
+
+    const [vouchers, total] = await Promise.all([
+      JournalVoucher.find(query)
+        .sort({ voucherDate: -1, voucherNumber: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JournalVoucher.countDocuments(query)
+    ]);
+
+    return {
+      vouchers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Update a draft journal voucher
+   * @param {string} id - Voucher ID
+   * @param {Object} updateData - Fields to update
+   * @param {string} userId - User updating the voucher
+   * @returns {Promise<Object>} Updated voucher
+   */
+  async updateJournalVoucher(id, updateData, userId) {
+    const voucher = await this.getJournalVoucherById(id);
+    this.assertStatus(voucher, 'draft', 'Only draft vouchers can be edited');
+    await fiscalPeriodService.assertPeriodOpen(voucher.voucherDate, 'Journal voucher');
+    if (updateData.voucherDate !== undefined) {
+      await fiscalPeriodService.assertPeriodOpen(updateData.voucherDate, 'Journal voucher');
+    }
+
+    ['voucherDate', 'voucherType', 'narration', 'reference'].forEach((field) => {
+      if (updateData[field] !== undefined) {
+        voucher[field] = updateData[field];
+      }
+    });
+
+    if (updateData.lines) {
+      voucher.lines = this.validateLines(updateData.lines);
+    }
+
+    voucher.updatedBy = userId;
+    return voucher.save();
+  }
+
+  /**
+   * Delete a draft journal voucher
+   * @param {string} id - Voucher ID
+   * @returns {Promise<Object>} Deleted voucher
+   */
+  async deleteJournalVoucher(id) {
+    const voucher = await this.getJournalVoucherById(id);
+    this.assertStatus(voucher, 'draft', 'Only draft vouchers can be deleted');
+
+    await JournalVoucher.deleteOne({ _id: voucher._id });
+    return voucher;
+  }
+
+  /**
+   * Post a draft voucher to the ledger
+   * Fails without writing anything if the voucher does not balance
+   * @param {string} id - Voucher ID
+   * @param {string} userId - User posting the voucher
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.allowClosedPeriod] - Allow posting into a closed period (year-end closing only)
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Posted voucher
+   */
+  async postJournalVoucher(id, userId, options = {}) {
+    const postVoucher = async (session) => {
+      const voucher = await JournalVoucher.findById(id).session(session);
+
+      if (!voucher) {
+        const error = new Error('Journal voucher not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      this.assertStatus(voucher, 'draft', 'Only draft vouchers can be posted');
+
+      await ledgerService.postBalancedEntries(this.buildLedgerEntries(voucher, userId), { ...options, session });
+
+      voucher.status = 'posted';
+      voucher.postedAt = new Date();
+      voucher.postedBy = userId;
+
+      return voucher.save({ session });
+    };
+
+    return options.session ? postVoucher(options.session) : runInTransaction(postVoucher);
+  }
+
+  /**
+   * Reverse a posted voucher by posting a mirror voucher with debits and credits swapped
+   * @param {string} id - Voucher ID
+   * @param {string} userId - User reversing the voucher
+   * @param {string} reason - Reversal reason
+   * @returns {Promise<Object>} Reversed voucher and its reversing voucher
+   */
+  async reverseJournalVoucher(id, userId, reason) {
+    if (!reason) {
+      throw new Error('Reason for reversal is required');
+    }
+
+    return runInTransaction(async (session) => {
+      const voucher = await JournalVoucher.findById(id).session(session);
+
+      if (!voucher) {
+        const error = new Error('Journal voucher not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      this.assertStatus(voucher, 'posted', 'Only posted vouchers can be reversed');
+
+      const reversal = new JournalVoucher({
+        voucherDate: new Date(),
+        voucherType: 'reversal',
+        narration: `${reason} - Reversal of ${voucher.voucherNumber}`,
+        reference: voucher.voucherNumber,
+        lines: voucher.lines.map(line => ({
+          accountId: line.accountId,
+          accountType: line.accountType,
+          debit: line.credit,
+          credit: line.debit,
+          description: line.description
+        })),
+        status: 'posted',
+        postedAt: new Date(),
+        postedBy: userId,
+        reversalOf: voucher._id,
+        createdBy: userId
+      });
+      await reversal.save({ session });
+
+      await ledgerService.postBalancedEntries(this.buildLedgerEntries(reversal, userId), { session });
+
+      voucher.status = 'reversed';
+      voucher.reversedAt = new Date();
+      voucher.reversedBy = userId;
+      voucher.reversalReason = reason;
+      voucher.reversedByVoucher = reversal._id;
+      await voucher.save({ session });
+
+      return { voucher, reversal };
+    });
+  }
+
+  /**
+   * Build the ledger entries for a voucher, one per line
+   * @param {Object} voucher - Journal voucher
+   * @param {string} userId - User posting the entries
+   * @returns {Array} Ledger entry data
+   */
+  buildLedgerEntries(voucher, userId) {
+    return voucher.lines.map(line => ({
+      accountId: line.accountId,
+      accountType: line.accountType,
+      transactionType: line.debit > 0 ? 'debit' : 'credit',
+      amount: line.debit > 0 ? line.debit : line.credit,
+      description: `${voucher.voucherNumber} - ${line.description || voucher.narration}`,
+      referenceType: JOURNAL_REFERENCE_TYPE,
+      referenceId: voucher._id,
+      transactionDate: voucher.voucherDate,
+      createdBy: userId
+    }));
+  }
+
+  /**
+   * Ensure a voucher is in the expected status
+   * @param {Object} voucher - Journal voucher
+   * @param {string} status - Expected status
+   * @param {string} message - Error message when it is not
+   */
+  assertStatus(voucher, status, message) {
+    if (voucher.status !== status) {
+      const error = new Error(`${message}. Voucher ${voucher.voucherNumber} is ${voucher.status}`);
+      error.code = 'INVALID_VOUCHER_STATUS';
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+}
+
+module.exports = new JournalVoucherService();
@@ -1,47 +1,14 @@
 const ledgerRepository = require('../repositories/ledgerRepository');
 const Customer = require('../models/Customer');
 const Supplier = require('../models/Supplier');
+const fiscalPeriodService = require('./fiscalPeriodService');
+const { runInTransaction } = require('../utils/transaction');
 
 /**
  * Ledger Service
  * Handles business logic for ledger operations and double-entry bookkeeping
  */
 class LedgerService {
-  /**
-   * Create a ledger entry
-   * @param {Object} entryData - Ledger entry data
-   * @returns {Promise<Object>} Created ledger entry
-   */
-  async createLedgerEntry(entryData) {
-    // Validate required fields
-    if (!entryData.accountId) {
-      throw new Error('Account ID is required');
-    }
-    if (!entryData.accountType) {
-      throw new Error('Account type is required');
-    }
-    if (!entryData.transactionType) {
-      throw new Error('Transaction type is required');
-    }
-    if (!entryData.amount || entryData.amount <= 0) {
-      throw new Error('Amount must be greater than 0');
-    }
-    if (!entryData.description) {
-      throw new Error('Description is required');
-    }
-    if (!entryData.referenceType) {
-      throw new Error('Reference type is required');
-    }
-    if (!entryData.createdBy) {
-      throw new Error('Created by user ID is required');
-    }
-
-    // Validate account exists
-    await this.validateAccount(entryData.accountId, entryData.accountType);
-
-    return ledgerRepository.create(entryData);
-  }
-
   /**
    * Create double entry (debit and credit)
    * @param {Object} debitAccount - Debit account details {accountId, accountType}
@@ -51,9 +18,12 @@ class LedgerService {
    * @param {string} referenceType - Reference type
    * @param {string} referenceId - Reference ID
    * @param {string} createdBy - User ID creating the entry
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @param {boolean} [options.allowClosedPeriod] - Skip the closed period check (year-end closing only)
    * @returns {Promise<Object>} Created entries
    */
-  async createDoubleEntry(debitAccount, creditAccount, amount, description, referenceType, referenceId, createdBy) {
+  async createDoubleEntry(debitAccount, creditAccount, amount, description, referenceType, referenceId, createdBy, options = {}) {
     // Validate inputs
     if (!debitAccount || !debitAccount.accountId || !debitAccount.accountType) {
       throw new Error('Valid debit account details are required');
@@ -74,6 +44,9 @@ class LedgerService {
       throw new Error('Created by user ID is required');
     }
 
+    // Double entries are dated today
+    await this.assertPeriodOpen(new Date(), options);
+
     // Validate both accounts exist
     await this.validateAccount(debitAccount.accountId, debitAccount.accountType);
     await this.validateAccount(creditAccount.accountId, creditAccount.accountType);
@@ -85,10 +58,121 @@ class LedgerService {
       description,
       referenceType,
       referenceId,
-      createdBy
+      createdBy,
+      options
     );
   }
 
+  /**
+   * Post a set of ledger entries that must balance (total debits equal total credits)
+   * All entries are written in one transaction, or not at all
+   * @param {Array} entries - Ledger entries (accountId, accountType, transactionType, amount, ...)
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @param {boolean} [options.allowClosedPeriod] - Skip the closed period check (year-end closing only)
+   * @returns {Promise<Array>} Created ledger entries
+   */
+  async postBalancedEntries(entries, options = {}) {
+    if (!Array.isArray(entries) || entries.length < 2) {
+      throw new Error('At least two ledger entries are required for a balanced posting');
+    }
+
+    entries.forEach((entry) => {
+      if (!entry.accountId || !entry.accountType) {
+        throw new Error('Account ID and account type are required for every entry');
+      }
+      if (!['debit', 'credit'].includes(entry.transactionType)) {
+        throw new Error('Transaction type must be either debit or credit');
+      }
+      if (!entry.amount || entry.amount <= 0) {
+        throw new Error('Amount must be greater than 0');
+      }
+      if (!entry.description || !entry.referenceType || !entry.createdBy) {
+        throw new Error('Description, reference type and created by user ID are required for every entry');
+      }
+    });
+
+    const totals = this.calculateEntryTotals(entries);
+    if (totals.difference !== 0) {
+      const error = new Error(
+        `Ledger entries are not balanced. Debits: ${totals.debit}, Credits: ${totals.credit}`
+      );
+      error.code = 'UNBALANCED_ENTRY';
+      error.statusCode = 422;
+      error.details = totals;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      await this.assertPeriodOpen(entry.transactionDate, options);
+      await this.validateAccount(entry.accountId, entry.accountType);
+    }
+
+    if (options.session) {
+      return ledgerRepository.createBulk(entries, options);
+    }
+
+    return runInTransaction(session => ledgerRepository.createBulk(entries, { session }));
+  }
+
+  /**
+   * Ensure a ledger posting date falls in an open accounting period
+   * @param {Date} transactionDate - Posting date (defaults to today)
+   * @param {Object} [options] - Posting options
+   * @param {boolean} [options.allowClosedPeriod] - Skip the check
+   */
+  async assertPeriodOpen(transactionDate, options = {}) {
+    if (options.allowClosedPeriod) {
+      return;
+    }
+    await fiscalPeriodService.assertPeriodOpen(transactionDate, 'Ledger entry');
+  }
+
+  /**
+   * Total the debit and credit side of a set of entries, rounded to the paisa
+   * @param {Array} entries - Ledger entries
+   * @returns {Object} Totals {debit, credit, difference}
+   */
+  calculateEntryTotals(entries) {
+    const toPaisa = amount => Math.round((Number(amount) || 0) * 100);
+    const debit = entries
+      .filter(entry => entry.transactionType === 'debit')
+      .reduce((sum, entry) => sum + toPaisa(entry.amount), 0);
+    const credit = entries
+      .filter(entry => entry.transactionType === 'credit')
+      .reduce((sum, entry) => sum + toPaisa(entry.amount), 0);
+
+    return {
+      debit: debit / 100,
+      credit: credit / 100,
+      difference: (debit - credit) / 100
+    };
+  }
+
+  /**
+   * Reverse all ledger entries posted for a document (e.g. a cancelled invoice)
+   * @param {string} referenceType - Reference type
+   * @param {string} referenceId - Reference ID
+   * @param {string} reason - Reversal reason
+   * @param {string} createdBy - User ID posting the reversal
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Array>} Created reversing entries
+   */
+  async reverseEntriesForReference(referenceType, referenceId, reason, createdBy, options = {}) {
+    if (!referenceType || !referenceId) {
+      throw new Error('Reference type and reference ID are required');
+    }
+    if (!createdBy) {
+      throw new Error('Created by user ID is required');
+    }
+
+    // Reversing entries are dated today
+    await this.assertPeriodOpen(new Date(), options);
+
+    return ledgerRepository.reverseByReference(referenceType, referenceId, reason, createdBy, options);
+  }
+
   /**
    * Validate that an account exists
    * @param {string} accountId - Account ID
@@ -389,9 +473,11 @@ class LedgerService {
    * @param {string} referenceId - Reference ID
    * @param {string} reason - Reason for reversal
    * @param {string} createdBy - User ID creating the reversal
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Array>} Created reversal entries
    */
-  async reverseLedgerEntries(referenceType, referenceId, reason, createdBy) {
+  async reverseLedgerEntries(referenceType, referenceId, reason, createdBy, options = {}) {
     if (!referenceType || !referenceId) {
       throw new Error('Reference type and ID are required');
     }
@@ -409,29 +495,21 @@ class LedgerService {
       throw new Error('No ledger entries found for the given reference');
     }
 
-    // Create reversal entries
-    const reversalEntries = [];
-
-    for (const entry of originalEntries) {
-      const reversalType = entry.transactionType === 'debit' ? 'credit' : 'debit';
-
-      const reversalEntry = await this.createLedgerEntry({
-        accountId: entry.accountId,
-        accountType: entry.accountType,
-        transactionType: reversalType,
-        amount: entry.amount,
-        description: `${reason} - Reverse of: ${entry.description}`,
-        referenceType: 'adjustment',
-        referenceId: entry._id,
-        currency: entry.currency,
-        exchangeRate: entry.exchangeRate,
-        createdBy,
-      });
-
-      reversalEntries.push(reversalEntry);
-    }
-
-    return reversalEntries;
+    // Mirror every entry on the opposite side; the set balances because the originals did
+    const reversalEntries = originalEntries.map(entry => ({
+      accountId: entry.accountId,
+      accountType: entry.accountType,
+      transactionType: entry.transactionType === 'debit' ? 'credit' : 'debit',
+      amount: entry.amount,
+      description: `${reason} - Reverse of: ${entry.description}`,
+      referenceType: 'adjustment',
+      referenceId: entry._id,
+      currency: entry.currency,
+      exchangeRate: entry.exchangeRate,
+      createdBy,
+    }));
+
+    return this.postBalancedEntries(reversalEntries, options);
   }
 
   /**
@@ -0,0 +1,75 @@
+const nodemailer = require('nodemailer');
+const AppError = require('../utils/appError');
+
+/**
+ * Mail Service
+ * Sends email through a pluggable transport. By default an SMTP transport is built from the
+ * SMTP_* settings; any object with a nodemailer-style sendMail(message) can be plugged in instead.
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Replace the transport, e.g. with another nodemailer transport or a stub
+   * @param {Object|null} transport - Object with sendMail(message); null falls back to SMTP settings
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Transport in use, building the SMTP transport from the environment on first use
+   * @returns {Object} Transport
+   */
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    const host = process.env.SMTP_HOST;
+    if (!host) {
+      throw new AppError('Email is not configured; set SMTP_HOST', 503);
+    }
+
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+    this.transport = nodemailer.createTransport({
+      host,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - {to, subject, text, html, attachments: [{filename, content, contentType}]}
+   * @returns {Promise<Object>} {messageId, accepted, rejected}
+   */
+  async sendMail(message) {
+    if (!message || !message.to) {
+      throw new AppError('Recipient email address is required', 400);
+    }
+    if (!message.subject) {
+      throw new AppError('Email subject is required', 400);
+    }
+
+    const info = await this.getTransport().sendMail({
+      from: process.env.MAIL_FROM || process.env.SMTP_USER,
+      ...message
+    });
+
+    return {
+      messageId: info.messageId,
+      accepted: info.accepted || [],
+      rejected: info.rejected || []
+    };
+  }
+}
+
+module.exports = new MailService();
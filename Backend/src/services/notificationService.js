@@ -0,0 +1,113 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const permissionService = require('./permissionService');
+const AppError = require('../utils/appError');
+
+/**
+ * Notification Service
+ * Creates and reads in-app notifications
+ */
+class NotificationService {
+  /**
+   * Notify a list of users
+   * @param {Array} userIds - Recipient user IDs
+   * @param {Object} data - {type, title, message, referenceType, referenceId}
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notifyUsers(userIds, data) {
+    const recipients = Array.from(new Set(userIds.filter(Boolean).map(String)));
+    if (recipients.length === 0) {
+      return [];
+    }
+
+    return Notification.insertMany(recipients.map(userId => ({ ...data, userId })));
+  }
+
+  /**
+   * Notify every active user holding all of the given permissions
+   * @param {Array<string>} permissions - Permissions a user needs to be notified
+   * @param {Object} data - Notification data
+   * @param {Object} [options] - Options
+   * @param {string} [options.excludeUserId] - User not to notify (e.g. the one who triggered it)
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notifyPermissionHolders(permissions, data, options = {}) {
+    const users = await User.find({ isActive: true }).select('role permissionOverrides').lean();
+    const candidates = users.filter(user => String(user._id) !== String(options.excludeUserId));
+
+    const qualifies = await Promise.all(candidates.map(async (user) => {
+      const userPermissions = await permissionService.getUserPermissions(user);
+      return permissions.every(permission => permissionService.hasPermission(userPermissions, permission));
+    }));
+
+    return this.notifyUsers(candidates.filter((user, index) => qualifies[index]).map(user => user._id), data);
+  }
+
+  /**
+   * Get a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} [options] - {unreadOnly, page, limit}
+   * @returns {Promise<Object>} Notifications, unread count and pagination info
+   */
+  async getUserNotifications(userId, options = {}) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const query = { userId };
+    if (options.unreadOnly) {
+      query.isRead = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId, isRead: false })
+    ]);
+
+    return {
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Mark one of a user's notifications as read
+   * @param {string} id - Notification ID
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Updated notification
+   */
+  async markAsRead(id, userId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, userId },
+      { isRead: true, readAt: new Date() },
+      { new: true }
+    );
+    if (!notification) {
+      throw new AppError('Notification not found', 404);
+    }
+    return notification;
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllAsRead(userId) {
+    const result = await Notification.updateMany(
+      { userId, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,544 @@
+const ChequeDeposit = require('../models/ChequeDeposit');
+const CashReceipt = require('../models/CashReceipt');
+const cashReceiptService = require('./cashReceiptService');
+const ledgerService = require('./ledgerService');
+const accountService = require('./accountService');
+const notificationService = require('./notificationService');
+const reportService = require('./reportService');
+const { DEPOSIT_SLIP_STATUS, DEPOSIT_CHEQUE_OUTCOMES } = require('../constants/pdc');
+const AppError = require('../utils/appError');
+const { runInTransaction } = require('../utils/transaction');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DEFAULT_BOUNCE_CHARGES_ACCOUNT_CODE = 'CHEQUE_BOUNCE_CHARGES';
+const DEFAULT_REMINDER_DAYS = 3;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight at the start of a date
+ * @param {Date|string} [date] - Date (default: today)
+ * @returns {Date} Start of the day
+ */
+const startOfDay = (date) => {
+  const day = date ? new Date(date) : new Date();
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Last millisecond of a date
+ * @param {Date|string} [date] - Date (default: today)
+ * @returns {Date} End of the day
+ */
+const endOfDay = (date) => {
+  const day = date ? new Date(date) : new Date();
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+const formatDate = date => new Date(date).toLocaleDateString('en-GB');
+const formatAmount = value => `Rs. ${Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+/**
+ * PDC Service
+ * Register of post-dated cheques: deposit slips batching the cheques due per bank, clearing and
+ * bouncing them when the bank confirms the slip, bounce charges, the credit hold a bounced cheque
+ * puts on its customer, and alerts before cheques mature
+ */
+class PdcService {
+  constructor() {
+    this.reminderTimer = null;
+  }
+
+  /**
+   * Register's default view: cheques in hand, grouped by bank
+   * @param {Date|string} [dueDate] - Only cheques due on or before this date
+   * @returns {Promise<Object>} Pending cheques report
+   */
+  async getRegister(dueDate) {
+    return reportService.getPendingCheques(dueDate ? endOfDay(dueDate) : null);
+  }
+
+  /**
+   * Get post-dated cheques in any status
+   * @param {Object} [filters] - {chequeStatus, customerId, bankName, depositSlipId, startDate, endDate}
+   * @param {number} [page] - Page number
+   * @param {number} [limit] - Page size
+   * @returns {Promise<Object>} {cheques, pagination}
+   */
+  async getCheques(filters = {}, page = 1, limit = 10) {
+    const query = { postDatedCheque: true };
+    ['chequeStatus', 'customerId', 'depositSlipId'].forEach((field) => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+    if (filters.bankName) {
+      query['bankDetails.bankName'] = new RegExp(`^${escapeRegExp(filters.bankName)}$`, 'i');
+    }
+    if (filters.startDate || filters.endDate) {
+      query['bankDetails.chequeDate'] = {};
+      if (filters.startDate) query['bankDetails.chequeDate'].$gte = startOfDay(filters.startDate);
+      if (filters.endDate) query['bankDetails.chequeDate'].$lte = endOfDay(filters.endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [cheques, total] = await Promise.all([
+      CashReceipt.find(query)
+        .populate('customerId', 'code name')
+        .populate('depositSlipId', 'slipNumber depositDate status')
+        .sort({ 'bankDetails.chequeDate': 1 })
+        .skip(skip)
+        .limit(limit),
+      CashReceipt.countDocuments(query)
+    ]);
+
+    return {
+      cheques,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Batch the cheques in hand that are due by a date into deposit slips, one per bank
+   * @param {Object} options - {date (default: today), bankName, depositAccount, notes}
+   * @param {string} userId - User preparing the slips
+   * @returns {Promise<Array>} Created deposit slips
+   */
+  async generateDepositSlips(options, userId) {
+    const depositDate = startOfDay(options.date);
+    const query = {
+      postDatedCheque: true,
+      chequeStatus: 'pending',
+      'bankDetails.chequeDate': { $lte: endOfDay(depositDate) }
+    };
+    if (options.bankName) {
+      query['bankDetails.bankName'] = new RegExp(`^${escapeRegExp(options.bankName)}$`, 'i');
+    }
+
+    const cheques = await CashReceipt.find(query).sort({ 'bankDetails.chequeDate': 1 });
+    if (cheques.length === 0) {
+      throw new AppError(`No post-dated cheques in hand are due by ${formatDate(depositDate)}`, 400);
+    }
+
+    const byBank = new Map();
+    for (const cheque of cheques) {
+      const { bankName } = cheque.bankDetails;
+      const key = bankName.toLowerCase();
+      if (!byBank.has(key)) {
+        byBank.set(key, { bankName, cheques: [] });
+      }
+      byBank.get(key).cheques.push(cheque);
+    }
+
+    const slips = [];
+    for (const { bankName, cheques: bankCheques } of byBank.values()) {
+      const totalAmount = roundAmount(bankCheques.reduce((sum, cheque) => sum + cheque.amount, 0));
+      const slip = new ChequeDeposit({
+        depositDate,
+        bankName,
+        depositAccount: options.depositAccount,
+        notes: options.notes,
+        cheques: bankCheques.map(cheque => ({
+          receiptId: cheque._id,
+          receiptNumber: cheque.receiptNumber,
+          customerId: cheque.customerId,
+          chequeNumber: cheque.bankDetails.chequeNumber,
+          chequeDate: cheque.bankDetails.chequeDate,
+          amount: cheque.amount
+        })),
+        chequeCount: bankCheques.length,
+        totalAmount,
+        createdBy: userId
+      });
+      await slip.save();
+
+      await CashReceipt.updateMany(
+        { _id: { $in: bankCheques.map(cheque => cheque._id) }, chequeStatus: 'pending' },
+        { $set: { chequeStatus: 'deposited', depositSlipId: slip._id, depositedDate: depositDate } }
+      );
+      slips.push(slip);
+    }
+
+    return slips;
+  }
+
+  /**
+   * Get deposit slips
+   * @param {Object} [filters] - {status, bankName, startDate, endDate}
+   * @param {number} [page] - Page number
+   * @param {number} [limit] - Page size
+   * @returns {Promise<Object>} {slips, pagination}
+   */
+  async getDepositSlips(filters = {}, page = 1, limit = 10) {
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.bankName) {
+      query.bankName = new RegExp(`^${escapeRegExp(filters.bankName)}$`, 'i');
+    }
+    if (filters.startDate || filters.endDate) {
+      query.depositDate = {};
+      if (filters.startDate) query.depositDate.$gte = startOfDay(filters.startDate);
+      if (filters.endDate) query.depositDate.$lte = endOfDay(filters.endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [slips, total] = await Promise.all([
+      ChequeDeposit.find(query)
+        .select('-cheques')
+        .sort({ depositDate: -1 })
+        .skip(skip)
+        .limit(limit),
+      ChequeDeposit.countDocuments(query)
+    ]);
+
+    return {
+      slips,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a deposit slip with its cheques
+   * @param {string} id - Deposit slip ID
+   * @returns {Promise<Object>} Deposit slip
+   */
+  async getDepositSlipById(id) {
+    const slip = await ChequeDeposit.findById(id)
+      .populate('cheques.customerId', 'code name')
+      .populate('createdBy', 'username')
+      .populate('confirmedBy', 'username');
+    if (!slip) {
+      throw new AppError('Deposit slip not found', 404);
+    }
+    return slip;
+  }
+
+  /**
+   * Confirm a deposit slip from the bank's response. Cheques not listed as bounced are cleared.
+   * Each cheque's status change, its postings and its line on the slip are written in one
+   * transaction, so confirming again after a failure carries on from the cheque that failed.
+   * @param {string} id - Deposit slip ID
+   * @param {Object} data - {bounced: [{receiptId, reason, charges}], notes}
+   * @param {string} userId - User confirming the slip
+   * @returns {Promise<Object>} Confirmed deposit slip
+   */
+  async confirmDepositSlip(id, data, userId) {
+    const slip = await ChequeDeposit.findById(id);
+    if (!slip) {
+      throw new AppError('Deposit slip not found', 404);
+    }
+    if (slip.status !== DEPOSIT_SLIP_STATUS.OPEN) {
+      throw new AppError(`Deposit slip ${slip.slipNumber} is already ${slip.status}`, 400);
+    }
+
+    const bounced = new Map();
+    for (const entry of data.bounced || []) {
+      const receiptId = refId(entry.receiptId);
+      const line = slip.cheques.find(cheque => refId(cheque.receiptId) === receiptId);
+      if (!line) {
+        throw new AppError(`Cheque ${receiptId} is not on deposit slip ${slip.slipNumber}`, 400);
+      }
+      if (!entry.reason || !String(entry.reason).trim()) {
+        throw new AppError(`A bounce reason is required for cheque ${line.chequeNumber}`, 400);
+      }
+      const charges = Number(entry.charges || 0);
+      if (!Number.isFinite(charges) || charges < 0) {
+        throw new AppError(`Bounce charges for cheque ${line.chequeNumber} cannot be negative`, 400);
+      }
+      bounced.set(receiptId, { reason: String(entry.reason).trim(), charges: roundAmount(charges) });
+    }
+
+    for (const line of slip.cheques) {
+      if (line.outcome === DEPOSIT_CHEQUE_OUTCOMES.PENDING) {
+        const bounce = bounced.get(refId(line.receiptId));
+        await runInTransaction(async (session) => {
+          if (bounce) {
+            await cashReceiptService.bounceCheque(line.receiptId, bounce.reason, userId, { session });
+            if (bounce.charges > 0) {
+              await this.recordBounceCharges(line.receiptId, bounce.charges, userId, { session });
+            }
+            line.outcome = DEPOSIT_CHEQUE_OUTCOMES.BOUNCED;
+            line.bounceReason = bounce.reason;
+            line.bounceCharges = bounce.charges;
+          } else {
+            await cashReceiptService.clearCheque(line.receiptId, userId, { session });
+            line.outcome = DEPOSIT_CHEQUE_OUTCOMES.CLEARED;
+          }
+          await slip.save({ session });
+        });
+      }
+    }
+
+    const totalFor = outcome => roundAmount(slip.cheques
+      .filter(line => line.outcome === outcome)
+      .reduce((sum, line) => sum + line.amount, 0));
+    slip.clearedAmount = totalFor(DEPOSIT_CHEQUE_OUTCOMES.CLEARED);
+    slip.bouncedAmount = totalFor(DEPOSIT_CHEQUE_OUTCOMES.BOUNCED);
+    slip.status = DEPOSIT_SLIP_STATUS.CONFIRMED;
+    slip.confirmedAt = new Date();
+    slip.confirmedBy = userId;
+    if (data.notes !== undefined) {
+      slip.notes = data.notes;
+    }
+    // The per-cheque transactions have ended; save outside them
+    await slip.save({ session: null });
+
+    await this.notifyBounces(slip, userId);
+
+    return slip;
+  }
+
+  /**
+   * Tell cheque managers about the cheques that bounced on a confirmed slip
+   * @param {Object} slip - Confirmed deposit slip
+   * @param {string} userId - User who confirmed it
+   */
+  async notifyBounces(slip, userId) {
+    const bounced = slip.cheques.filter(line => line.outcome === DEPOSIT_CHEQUE_OUTCOMES.BOUNCED);
+    if (bounced.length === 0) {
+      return;
+    }
+
+    try {
+      await notificationService.notifyPermissionHolders(['pdc.manage'], {
+        type: 'cheque_bounced',
+        title: `${bounced.length} cheque(s) bounced on deposit slip ${slip.slipNumber}`,
+        message: bounced
+          .map(line => `Cheque ${line.chequeNumber} for ${formatAmount(line.amount)}: ${line.bounceReason}`)
+          .join('; '),
+        referenceType: 'cheque_deposit',
+        referenceId: slip._id
+      }, { excludeUserId: userId });
+    } catch (error) {
+      // The slip is confirmed either way; the bounced cheques show on the bounced cheque holds list
+    }
+  }
+
+  /**
+   * Cancel an open deposit slip; its cheques go back in hand
+   * @param {string} id - Deposit slip ID
+   * @returns {Promise<Object>} Cancelled deposit slip
+   */
+  async cancelDepositSlip(id) {
+    const slip = await ChequeDeposit.findById(id);
+    if (!slip) {
+      throw new AppError('Deposit slip not found', 404);
+    }
+    if (slip.status !== DEPOSIT_SLIP_STATUS.OPEN) {
+      throw new AppError(`Deposit slip ${slip.slipNumber} is already ${slip.status}`, 400);
+    }
+    if (slip.cheques.some(line => line.outcome !== DEPOSIT_CHEQUE_OUTCOMES.PENDING)) {
+      throw new AppError(`Some cheques on deposit slip ${slip.slipNumber} are already cleared or bounced`, 400);
+    }
+
+    await CashReceipt.updateMany(
+      { depositSlipId: slip._id, chequeStatus: 'deposited' },
+      { $set: { chequeStatus: 'pending', depositSlipId: null }, $unset: { depositedDate: 1 } }
+    );
+
+    slip.status = DEPOSIT_SLIP_STATUS.CANCELLED;
+    return slip.save();
+  }
+
+  /**
+   * Charge the bank's bounce charges to the customer's account. The income account code
+   * comes from CHEQUE_BOUNCE_CHARGES_ACCOUNT_CODE and is created on first use.
+   * @param {string} receiptId - Cash receipt ID of the bounced cheque
+   * @param {number} amount - Charges to recover from the customer
+   * @param {string} userId - User posting the charges
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Updated cash receipt
+   */
+  async recordBounceCharges(receiptId, amount, userId, options = {}) {
+    const charges = roundAmount(Number(amount));
+    if (!Number.isFinite(charges) || charges <= 0) {
+      throw new AppError('Bounce charges must be greater than 0', 400);
+    }
+
+    const receipt = await CashReceipt.findById(receiptId, null, { session: options.session });
+    if (!receipt) {
+      throw new AppError('Cash receipt not found', 404);
+    }
+    if (receipt.chequeStatus !== 'bounced') {
+      throw new AppError(`Cheque ${receipt.bankDetails.chequeNumber} has not bounced`, 400);
+    }
+
+    const code = (process.env.CHEQUE_BOUNCE_CHARGES_ACCOUNT_CODE || DEFAULT_BOUNCE_CHARGES_ACCOUNT_CODE).trim();
+    const chargesAccount = await accountService.getOrCreateSystemAccount(code, {
+      name: 'Cheque Bounce Charges',
+      accountType: 'revenue',
+      description: 'Bank charges on bounced cheques recovered from customers'
+    });
+
+    await ledgerService.createDoubleEntry(
+      { accountId: receipt.customerId, accountType: 'Customer' },
+      { accountId: chargesAccount._id, accountType: 'Account' },
+      charges,
+      `Bounce charges - cheque ${receipt.bankDetails.chequeNumber} (${receipt.receiptNumber})`,
+      'adjustment',
+      receipt._id,
+      userId,
+      { session: options.session }
+    );
+
+    receipt.bounceCharges = roundAmount((receipt.bounceCharges || 0) + charges);
+    return receipt.save({ session: options.session });
+  }
+
+  /**
+   * Resolve a bounced cheque (replaced, paid in cash, written off), lifting the customer's credit
+   * hold once none of their bounced cheques is outstanding
+   * @param {string} receiptId - Cash receipt ID of the bounced cheque
+   * @param {Object} data - {resolution}
+   * @param {string} userId - User resolving the cheque
+   * @returns {Promise<Object>} Updated cash receipt
+   */
+  async resolveBouncedCheque(receiptId, data, userId) {
+    if (!data.resolution || !String(data.resolution).trim()) {
+      throw new AppError('Say how the bounced cheque was resolved', 400);
+    }
+
+    const receipt = await CashReceipt.findById(receiptId);
+    if (!receipt) {
+      throw new AppError('Cash receipt not found', 404);
+    }
+    if (receipt.chequeStatus !== 'bounced') {
+      throw new AppError(`Cheque ${receipt.bankDetails.chequeNumber} has not bounced`, 400);
+    }
+    if (receipt.bounceResolvedAt) {
+      throw new AppError(`Bounced cheque ${receipt.bankDetails.chequeNumber} is already resolved`, 400);
+    }
+
+    receipt.bounceResolvedAt = new Date();
+    receipt.bounceResolvedBy = userId;
+    receipt.bounceResolution = String(data.resolution).trim();
+    return receipt.save();
+  }
+
+  /**
+   * Customers on credit hold for bounced cheques
+   * @param {Object} [filters] - {customerId}
+   * @returns {Promise<Array>} [{customer, cheques, totalAmount, totalCharges}]
+   */
+  async getBouncedChequeHolds(filters = {}) {
+    const query = { chequeStatus: 'bounced', bounceResolvedAt: null };
+    if (filters.customerId) {
+      query.customerId = filters.customerId;
+    }
+
+    const cheques = await CashReceipt.find(query)
+      .populate('customerId', 'code name')
+      .sort({ 'bankDetails.chequeDate': 1 });
+
+    const byCustomer = new Map();
+    for (const cheque of cheques) {
+      const key = refId(cheque.customerId);
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, {
+          customer: cheque.customerId, cheques: [], totalAmount: 0, totalCharges: 0
+        });
+      }
+      const hold = byCustomer.get(key);
+      hold.cheques.push({
+        receiptId: cheque._id,
+        receiptNumber: cheque.receiptNumber,
+        bankName: cheque.bankDetails.bankName,
+        chequeNumber: cheque.bankDetails.chequeNumber,
+        chequeDate: cheque.bankDetails.chequeDate,
+        amount: cheque.amount,
+        bounceReason: cheque.bounceReason,
+        bounceCharges: cheque.bounceCharges || 0
+      });
+      hold.totalAmount = roundAmount(hold.totalAmount + cheque.amount);
+      hold.totalCharges = roundAmount(hold.totalCharges + (cheque.bounceCharges || 0));
+    }
+
+    return Array.from(byCustomer.values());
+  }
+
+  /**
+   * Alert cheque managers to cheques in hand maturing within the next few days. Each cheque is
+   * alerted once.
+   * @param {Object} [options] - {daysAhead} (default: PDC_REMINDER_DAYS, or 3)
+   * @returns {Promise<Object>} {dueBy, count, totalAmount}
+   */
+  async sendMaturityReminders(options = {}) {
+    const daysAhead = Number(options.daysAhead !== undefined ? options.daysAhead : process.env.PDC_REMINDER_DAYS);
+    const days = Number.isFinite(daysAhead) && daysAhead >= 0 ? daysAhead : DEFAULT_REMINDER_DAYS;
+    const dueBy = endOfDay(new Date(Date.now() + days * ONE_DAY_MS));
+
+    const cheques = await CashReceipt.find({
+      postDatedCheque: true,
+      chequeStatus: 'pending',
+      maturityReminderAt: null,
+      'bankDetails.chequeDate': { $lte: dueBy }
+    }).sort({ 'bankDetails.chequeDate': 1 });
+
+    const totalAmount = roundAmount(cheques.reduce((sum, cheque) => sum + cheque.amount, 0));
+    if (cheques.length === 0) {
+      return { dueBy, count: 0, totalAmount };
+    }
+
+    const banks = Array.from(new Set(cheques.map(cheque => cheque.bankDetails.bankName)));
+    await notificationService.notifyPermissionHolders(['pdc.manage'], {
+      type: 'cheque_maturing',
+      title: `${cheques.length} post-dated cheque(s) worth ${formatAmount(totalAmount)} mature by ${formatDate(dueBy)}`,
+      message: `Prepare deposit slips for ${banks.join(', ')}`,
+      referenceType: 'cash_receipt'
+    });
+
+    await CashReceipt.updateMany(
+      { _id: { $in: cheques.map(cheque => cheque._id) } },
+      { $set: { maturityReminderAt: new Date() } }
+    );
+
+    return { dueBy, count: cheques.length, totalAmount };
+  }
+
+  /**
+   * Send maturity reminders now and then once a day
+   */
+  startReminderSchedule() {
+    if (this.reminderTimer) {
+      return;
+    }
+
+    // Cheques missed by a failed run stay unmarked, so the next day's run alerts them
+    const run = () => this.sendMaturityReminders().catch(() => {});
+    run();
+    this.reminderTimer = setInterval(run, ONE_DAY_MS);
+    this.reminderTimer.unref();
+  }
+
+  /**
+   * Stop the daily maturity reminders
+   */
+  stopReminderSchedule() {
+    if (this.reminderTimer) {
+      clearInterval(this.reminderTimer);
+      this.reminderTimer = null;
+    }
+  }
+}
+
+module.exports = new PdcService();
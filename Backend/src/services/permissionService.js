@@ -0,0 +1,254 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const { CacheManager } = require('../utils/cache');
+const AppError = require('../utils/appError');
+
+const CACHE_PREFIX = 'role-permissions:';
+
+/**
+ * Does a granted permission pattern cover a required permission
+ * @param {string} pattern - Granted permission, '*' or 'prefix.*'
+ * @param {string} permission - Required permission
+ * @returns {boolean}
+ */
+const matches = (pattern, permission) => {
+  if (pattern === '*' || pattern === permission) return true;
+  return pattern.endsWith('.*') && permission.startsWith(pattern.slice(0, -1));
+};
+
+/**
+ * Permission Service
+ * Resolves the permissions of users from built-in and custom roles plus per-user overrides,
+ * and manages custom roles.
+ */
+class PermissionService {
+  /**
+   * Get the permission catalogue
+   * @returns {Array} Permissions {name, description}
+   */
+  getPermissionCatalogue() {
+    return Object.keys(PERMISSIONS).map(name => ({ name, description: PERMISSIONS[name] }));
+  }
+
+  /**
+   * Get the permissions granted by a role
+   * Custom roles are cached for a few minutes and the cache is cleared when a role changes.
+   * @param {string} roleName - Role name
+   * @returns {Promise<Array<string>>} Permission patterns (empty for unknown or inactive roles)
+   */
+  async getRolePermissions(roleName) {
+    if (BUILT_IN_ROLES[roleName]) {
+      return BUILT_IN_ROLES[roleName].permissions;
+    }
+
+    const cached = CacheManager.get(`${CACHE_PREFIX}${roleName}`, 'short');
+    if (cached) {
+      return cached;
+    }
+
+    const role = await Role.findOne({ name: roleName, isActive: true }).lean();
+    const permissions = role ? role.permissions : [];
+    CacheManager.set(`${CACHE_PREFIX}${roleName}`, permissions, 'short');
+    return permissions;
+  }
+
+  /**
+   * Get a user's effective permissions
+   * @param {Object} user - User with role and permissionOverrides
+   * @returns {Promise<Object>} {granted, revoked} permission patterns
+   */
+  async getUserPermissions(user) {
+    const overrides = user.permissionOverrides || {};
+    const rolePermissions = await this.getRolePermissions(user.role);
+
+    return {
+      granted: [...rolePermissions, ...(overrides.granted || [])],
+      revoked: [...(overrides.revoked || [])]
+    };
+  }
+
+  /**
+   * Check a resolved permission set; a revocation wins over any grant
+   * @param {Object} permissions - {granted, revoked} from getUserPermissions
+   * @param {string} permission - Required permission
+   * @returns {boolean}
+   */
+  hasPermission(permissions, permission) {
+    if (permissions.revoked.some(pattern => matches(pattern, permission))) {
+      return false;
+    }
+    return permissions.granted.some(pattern => matches(pattern, permission));
+  }
+
+  /**
+   * Check whether a user holds a permission
+   * @param {Object} user - User
+   * @param {string} permission - Required permission
+   * @returns {Promise<boolean>}
+   */
+  async userHasPermission(user, permission) {
+    return this.hasPermission(await this.getUserPermissions(user), permission);
+  }
+
+  /**
+   * Check whether a role exists (built-in or active custom role)
+   * @param {string} roleName - Role name
+   * @returns {Promise<boolean>}
+   */
+  async roleExists(roleName) {
+    if (BUILT_IN_ROLES[roleName]) {
+      return true;
+    }
+    return Boolean(await Role.exists({ name: roleName, isActive: true }));
+  }
+
+  /**
+   * Get built-in and custom roles
+   * @returns {Promise<Array>} Roles {name, description, permissions, builtIn}
+   */
+  async getRoles() {
+    const customRoles = await Role.find().sort({ name: 1 });
+
+    return [
+      ...Object.keys(BUILT_IN_ROLES).map(name => ({
+        name,
+        description: BUILT_IN_ROLES[name].description,
+        permissions: BUILT_IN_ROLES[name].permissions,
+        builtIn: true,
+        isActive: true
+      })),
+      ...customRoles.map(role => ({ ...role.toObject(), builtIn: false }))
+    ];
+  }
+
+  /**
+   * Create a custom role
+   * @param {Object} roleData - {name, description, permissions}
+   * @param {string} userId - Admin creating the role
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole(roleData, userId) {
+    const name = (roleData.name || '').trim().toLowerCase();
+    if (BUILT_IN_ROLES[name]) {
+      throw new AppError(`${name} is a built-in role`, 409);
+    }
+    if (await Role.exists({ name })) {
+      throw new AppError(`Role ${name} already exists`, 409);
+    }
+
+    const role = await Role.create({
+      name,
+      description: roleData.description,
+      permissions: this.validatePermissions(roleData.permissions),
+      createdBy: userId
+    });
+    CacheManager.del(`${CACHE_PREFIX}${name}`, 'short');
+    return role;
+  }
+
+  /**
+   * Update a custom role's description, permissions or active flag
+   * The name cannot change as users reference roles by name.
+   * @param {string} id - Role ID
+   * @param {Object} updateData - {description, permissions, isActive}
+   * @param {string} userId - Admin updating the role
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(id, updateData, userId) {
+    const role = await Role.findById(id);
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+
+    if (updateData.description !== undefined) role.description = updateData.description;
+    if (updateData.permissions !== undefined) {
+      role.permissions = this.validatePermissions(updateData.permissions);
+    }
+    if (updateData.isActive !== undefined) {
+      if (!updateData.isActive) {
+        await this.assertRoleUnused(role.name);
+      }
+      role.isActive = Boolean(updateData.isActive);
+    }
+    role.updatedBy = userId;
+
+    await role.save();
+    CacheManager.del(`${CACHE_PREFIX}${role.name}`, 'short');
+    return role;
+  }
+
+  /**
+   * Delete a custom role that no user holds
+   * @param {string} id - Role ID
+   * @returns {Promise<Object>} Deleted role
+   */
+  async deleteRole(id) {
+    const role = await Role.findById(id);
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+
+    await this.assertRoleUnused(role.name);
+    await Role.deleteOne({ _id: role._id });
+    CacheManager.del(`${CACHE_PREFIX}${role.name}`, 'short');
+    return role;
+  }
+
+  /**
+   * Set a user's granted and revoked permission overrides
+   * @param {string} userId - User ID
+   * @param {Object} overrides - {granted, revoked}
+   * @returns {Promise<Object>} User with effective permissions
+   */
+  async setUserOverrides(userId, overrides) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    user.permissionOverrides = {
+      granted: this.validatePermissions(overrides.granted || []),
+      revoked: this.validatePermissions(overrides.revoked || [])
+    };
+    await user.save();
+
+    return {
+      user,
+      permissions: await this.getUserPermissions(user)
+    };
+  }
+
+  /**
+   * Check permission names against the catalogue
+   * @param {Array<string>} permissions - Permission names or patterns
+   * @returns {Array<string>} De-duplicated permissions
+   */
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new AppError('Permissions must be an array', 400);
+    }
+
+    const names = Object.keys(PERMISSIONS);
+    const unknown = permissions.filter(permission => typeof permission !== 'string'
+      || !names.some(name => matches(permission, name)));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown permission(s): ${unknown.join(', ')}`, 400);
+    }
+
+    return Array.from(new Set(permissions));
+  }
+
+  /**
+   * Refuse to remove a role that users still hold
+   * @param {string} roleName - Role name
+   */
+  async assertRoleUnused(roleName) {
+    const userCount = await User.countDocuments({ role: roleName });
+    if (userCount > 0) {
+      throw new AppError(`Role ${roleName} is assigned to ${userCount} user(s)`, 409);
+    }
+  }
+}
+
+module.exports = new PermissionService();
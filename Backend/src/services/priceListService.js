@@ -0,0 +1,294 @@
+const PriceList = require('../models/PriceList');
+const Customer = require('../models/Customer');
+const AppError = require('../utils/appError');
+
+const refId = value => String(value && value._id ? value._id : value);
+
+// How specifically a list is assigned to a customer; the most specific list prices the line
+const ASSIGNMENT_LEVELS = {
+  customer: 3,
+  route: 2,
+  customer_type: 1,
+};
+
+/**
+ * Price List Service
+ * Customer-specific price lists and contract pricing for sales invoices
+ */
+class PriceListService {
+  /**
+   * Check and tidy price list fields
+   * @param {Object} data - Price list fields
+   * @param {Object} [current] - Existing list when updating
+   * @returns {Object} Fields to save
+   */
+  validatePriceList(data, current = {}) {
+    const fields = { ...data };
+    delete fields.createdBy;
+
+    const validFrom = new Date(fields.validFrom !== undefined ? fields.validFrom : current.validFrom);
+    const validTo = fields.validTo !== undefined ? fields.validTo : current.validTo;
+    if (Number.isNaN(validFrom.getTime())) {
+      throw new AppError('A valid from date is required', 400);
+    }
+    if (validTo && new Date(validTo) < validFrom) {
+      throw new AppError('Valid to date cannot be before the valid from date', 400);
+    }
+
+    if (fields.customerTypes !== undefined) {
+      const allowed = Customer.schema.path('type').enumValues;
+      const unknown = (fields.customerTypes || []).filter(type => !allowed.includes(type));
+      if (unknown.length > 0) {
+        throw new AppError(`Unknown customer type(s): ${unknown.join(', ')}`, 400);
+      }
+    }
+
+    const assigned = ['customerTypes', 'routeIds', 'customerIds']
+      .some(field => ((fields[field] !== undefined ? fields[field] : current[field]) || []).length > 0);
+    if (!assigned) {
+      throw new AppError('Assign the price list to at least one customer type, route or customer', 400);
+    }
+
+    if (fields.items !== undefined) {
+      const seen = new Set();
+      (fields.items || []).forEach((entry) => {
+        const id = refId(entry.itemId);
+        if (!entry.itemId) {
+          throw new AppError('Every price list line needs an item', 400);
+        }
+        if (seen.has(id)) {
+          throw new AppError(`Item ${id} appears more than once on the price list`, 400);
+        }
+        seen.add(id);
+        if (entry.minPrice !== undefined && entry.minPrice !== null && Number(entry.minPrice) > Number(entry.price)) {
+          throw new AppError(`Minimum price for item ${id} cannot be above its list price`, 400);
+        }
+      });
+    }
+
+    return fields;
+  }
+
+  /**
+   * Create a price list
+   * @param {Object} data - name, description, validFrom, validTo, priority, customerTypes, routeIds,
+   *   customerIds, items
+   * @param {string} userId - User creating the list
+   * @returns {Promise<Object>} Created price list
+   */
+  async createPriceList(data, userId) {
+    const fields = this.validatePriceList(data);
+    return PriceList.create({ ...fields, createdBy: userId });
+  }
+
+  /**
+   * Update a price list. Invoices already priced from it keep their prices.
+   * @param {string} id - Price list ID
+   * @param {Object} data - Fields to change; items replaces the whole item list
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Updated price list
+   */
+  async updatePriceList(id, data, userId) {
+    const priceList = await PriceList.findById(id);
+    if (!priceList) {
+      throw new AppError('Price list not found', 404);
+    }
+
+    const fields = this.validatePriceList(data, priceList);
+    priceList.set({ ...fields, updatedBy: userId });
+    return priceList.save();
+  }
+
+  /**
+   * Get price lists
+   * @param {Object} [filters] - isActive, customerId, routeId, customerType, itemId, activeOn
+   * @returns {Promise<Array>} Price lists
+   */
+  async getPriceLists(filters = {}) {
+    const query = {};
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === 'true';
+    }
+    if (filters.customerId) {
+      query.customerIds = filters.customerId;
+    }
+    if (filters.routeId) {
+      query.routeIds = filters.routeId;
+    }
+    if (filters.customerType) {
+      query.customerTypes = filters.customerType;
+    }
+    if (filters.itemId) {
+      query['items.itemId'] = filters.itemId;
+    }
+    if (filters.activeOn) {
+      Object.assign(query, this.validOn(new Date(filters.activeOn)));
+    }
+
+    return PriceList.find(query)
+      .select('-items')
+      .sort({ priority: -1, validFrom: -1 });
+  }
+
+  /**
+   * Get a price list with its items
+   * @param {string} id - Price list ID
+   * @returns {Promise<Object>} Price list
+   */
+  async getPriceListById(id) {
+    const priceList = await PriceList.findById(id)
+      .populate('items.itemId', 'code name pricing.salePrice')
+      .populate('routeIds', 'code name')
+      .populate('customerIds', 'code name type');
+    if (!priceList) {
+      throw new AppError('Price list not found', 404);
+    }
+    return priceList;
+  }
+
+  /**
+   * Query for lists in force on a date
+   * @param {Date} date - Date
+   * @returns {Object} Mongo query
+   */
+  validOn(date) {
+    return {
+      validFrom: { $lte: date },
+      $or: [{ validTo: null }, { validTo: { $gte: date } }]
+    };
+  }
+
+  /**
+   * How specifically a list is assigned to a customer
+   * @param {Object} priceList - Price list
+   * @param {Object} customer - Customer
+   * @returns {number} Assignment level (0 when the list does not apply)
+   */
+  getAssignmentLevel(priceList, customer) {
+    const customerId = refId(customer._id);
+    if ((priceList.customerIds || []).some(id => refId(id) === customerId)) {
+      return ASSIGNMENT_LEVELS.customer;
+    }
+    if (customer.routeId && (priceList.routeIds || []).some(id => refId(id) === refId(customer.routeId))) {
+      return ASSIGNMENT_LEVELS.route;
+    }
+    if ((priceList.customerTypes || []).includes(customer.type)) {
+      return ASSIGNMENT_LEVELS.customer_type;
+    }
+    return 0;
+  }
+
+  /**
+   * Contract prices that apply to a customer for a set of items
+   * @param {Object} customer - Customer with _id, type and routeId
+   * @param {Array} itemIds - Item IDs
+   * @param {Date} [date] - Date the prices must be in force on (default: now)
+   * @returns {Promise<Map>} Item ID -> {priceListId, priceListName, price, minPrice, maxDiscountPercent}
+   */
+  async getPricesForCustomer(customer, itemIds, date = new Date()) {
+    const prices = new Map();
+    if (!customer || !itemIds || itemIds.length === 0) {
+      return prices;
+    }
+
+    const assignedTo = [{ customerIds: customer._id }];
+    if (customer.routeId) {
+      assignedTo.push({ routeIds: refId(customer.routeId) });
+    }
+    if (customer.type) {
+      assignedTo.push({ customerTypes: customer.type });
+    }
+
+    const at = new Date(date);
+    const { $or: validity, ...inForce } = this.validOn(at);
+    const lists = await PriceList.find({
+      ...inForce,
+      isActive: true,
+      'items.itemId': { $in: itemIds },
+      $and: [{ $or: validity }, { $or: assignedTo }]
+    }).lean();
+
+    const ranked = lists
+      .map(list => ({ list, level: this.getAssignmentLevel(list, customer) }))
+      .filter(entry => entry.level > 0)
+      .sort((a, b) => (b.level - a.level)
+        || ((b.list.priority || 0) - (a.list.priority || 0))
+        || (new Date(b.list.validFrom) - new Date(a.list.validFrom)));
+
+    const wanted = new Set(itemIds.map(refId));
+    ranked.forEach(({ list }) => {
+      (list.items || []).forEach((entry) => {
+        const itemId = refId(entry.itemId);
+        if (wanted.has(itemId) && !prices.has(itemId)) {
+          prices.set(itemId, {
+            priceListId: list._id,
+            priceListName: list.name,
+            price: entry.price,
+            minPrice: entry.minPrice,
+            maxDiscountPercent: entry.maxDiscountPercent
+          });
+        }
+      });
+    });
+
+    return prices;
+  }
+
+  /**
+   * Contract prices for a customer, for filling in a sales invoice
+   * @param {string} customerId - Customer ID
+   * @param {Array} itemIds - Item IDs
+   * @param {Date} [date] - Date (default: now)
+   * @returns {Promise<Array>} One entry per item; price is null where no list applies
+   */
+  async resolvePrices(customerId, itemIds, date = new Date()) {
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      throw new AppError('At least one item is required', 400);
+    }
+    const customer = await Customer.findById(customerId).select('type routeId').lean();
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const prices = await this.getPricesForCustomer(customer, itemIds, date);
+    return itemIds.map((itemId) => {
+      const entry = prices.get(refId(itemId));
+      return entry ? { itemId, ...entry } : { itemId, price: null };
+    });
+  }
+
+  /**
+   * Check a sales line keeps within its price list's minimum price and maximum discount
+   * @param {Object} entry - Contract price from getPricesForCustomer
+   * @param {Object} line - {unitPrice, discount1Percent, discount2Percent, itemName}
+   */
+  assertWithinContract(entry, line) {
+    const {
+      unitPrice, discount1Percent = 0, discount2Percent = 0, itemName
+    } = line;
+
+    if (entry.minPrice !== undefined && entry.minPrice !== null && unitPrice < entry.minPrice) {
+      const error = new Error(
+        `Price ${unitPrice} for ${itemName} is below the minimum ${entry.minPrice} on price list ${entry.priceListName}`
+      );
+      error.code = 'PRICE_BELOW_LIST_MINIMUM';
+      error.statusCode = 422;
+      throw error;
+    }
+
+    if (entry.maxDiscountPercent !== undefined && entry.maxDiscountPercent !== null) {
+      const combined = 100 - ((100 - discount1Percent) * (100 - discount2Percent)) / 100;
+      if (combined > entry.maxDiscountPercent + 1e-9) {
+        const error = new Error(
+          `Discount ${Math.round(combined * 100) / 100}% for ${itemName} exceeds the `
+          + `${entry.maxDiscountPercent}% allowed on price list ${entry.priceListName}`
+        );
+        error.code = 'DISCOUNT_ABOVE_LIST_MAXIMUM';
+        error.statusCode = 422;
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = new PriceListService();
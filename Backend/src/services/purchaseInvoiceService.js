@@ -6,7 +6,12 @@ const stockMovementRepository = require('../repositories/stockMovementRepository
 const ledgerService = require('./ledgerService');
 const accountService = require('./accountService');
 const discountCalculationService = require('./discountCalculationService');
+const fiscalPeriodService = require('./fiscalPeriodService');
+const approvalService = require('./approvalService');
+const inventoryValuationService = require('./inventoryValuationService');
+const { runInTransaction } = require('../utils/transaction');
 const Item = require('../models/Item');
+const Warehouse = require('../models/Warehouse');
 
 /**
  * Purchase Invoice Service
@@ -38,6 +43,9 @@ class PurchaseInvoiceService {
       throw new Error('Created by user ID is required');
     }
 
+    // Invoices cannot be dated inside a closed accounting period
+    await fiscalPeriodService.assertPeriodOpen(invoiceDate, 'Invoice');
+
     // Validate supplier exists and is active
     const supplier = await supplierService.getSupplierById(supplierId);
     if (!supplier.isActive) {
@@ -314,10 +322,12 @@ class PurchaseInvoiceService {
   /**
    * Get purchase invoice by ID
    * @param {string} id - Invoice ID
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Invoice
    */
-  async getPurchaseInvoiceById(id) {
-    const invoice = await invoiceRepository.findById(id);
+  async getPurchaseInvoiceById(id, options = {}) {
+    const invoice = await invoiceRepository.findById(id, options);
     if (!invoice) {
       throw new Error('Purchase invoice not found');
     }
@@ -411,6 +421,12 @@ class PurchaseInvoiceService {
       throw error;
     }
 
+    // Neither the current nor the new invoice date may fall in a closed period
+    await fiscalPeriodService.assertPeriodOpen(existingInvoice.invoiceDate, 'Invoice');
+    if (updateData.invoiceDate) {
+      await fiscalPeriodService.assertPeriodOpen(updateData.invoiceDate, 'Invoice');
+    }
+
     // If items are being updated, reprocess them
     if (updateData.items) {
       updateData.items = await this.processInvoiceItems(updateData.items);
@@ -434,6 +450,8 @@ class PurchaseInvoiceService {
       throw new Error('Cannot delete confirmed or paid invoices. Cancel the invoice instead.');
     }
 
+    await fiscalPeriodService.assertPeriodOpen(invoice.invoiceDate, 'Invoice');
+
     return invoiceRepository.delete(id);
   }
 
@@ -489,52 +507,63 @@ class PurchaseInvoiceService {
 
   /**
    * Confirm purchase invoice and update inventory
+   * Stock movements, inventory, cost layers, ledger entries and the invoice status
+   * are written in one transaction - either all of them post or none do.
    * @param {string} id - Invoice ID
    * @param {string} userId - User ID performing the confirmation
    * @returns {Promise<Object>} Confirmed invoice with stock movements
    */
   async confirmPurchaseInvoice(id, userId) {
-    // Get the invoice
-    const invoice = await this.getPurchaseInvoiceById(id);
+    return runInTransaction(async (session) => {
+      // Get the invoice (read within the transaction so a retry sees the committed status)
+      const invoice = await this.getPurchaseInvoiceById(id, { session });
 
-    // Validate invoice status
-    if (invoice.status !== 'draft') {
-      throw new Error(`Cannot confirm invoice with status: ${invoice.status}. Only draft invoices can be confirmed.`);
-    }
+      // Validate invoice status
+      if (invoice.status !== 'draft') {
+        throw new Error(`Cannot confirm invoice with status: ${invoice.status}. Only draft invoices can be confirmed.`);
+      }
 
-    // Create stock movements for each item
-    const stockMovements = await this.createStockMovementsForInvoice(invoice, userId);
+      await fiscalPeriodService.assertPeriodOpen(invoice.invoiceDate, 'Invoice');
 
-    // Update item inventory levels
-    await this.updateInventoryLevels(invoice.items, 'add');
+      // Create stock movements for each item
+      const stockMovements = await this.createStockMovementsForInvoice(invoice, userId, { session });
 
-    // Create batches if batch info is provided
-    await this.createBatchesFromInvoice(invoice);
+      // Update item inventory levels
+      await this.updateInventoryLevels(invoice.items, 'add', { session });
 
-    // Create ledger entries for supplier payables
-    const ledgerEntries = await this.createLedgerEntriesForPurchaseInvoice(invoice, userId);
+      // Create batches if batch info is provided
+      await this.createBatchesFromInvoice(invoice);
 
-    // Update invoice status to confirmed
-    const confirmedInvoice = await invoiceRepository.update(id, {
-      status: 'confirmed',
-      confirmedAt: new Date(),
-      confirmedBy: userId
-    });
+      // Open cost layers for the received stock
+      await inventoryValuationService.createLayersForPurchase(invoice, { session });
 
-    return {
-      invoice: confirmedInvoice,
-      stockMovements,
-      ledgerEntries
-    };
+      // Create ledger entries for supplier payables
+      const ledgerEntries = await this.createLedgerEntriesForPurchaseInvoice(invoice, userId, { session });
+
+      // Update invoice status to confirmed
+      const confirmedInvoice = await invoiceRepository.update(id, {
+        status: 'confirmed',
+        confirmedAt: new Date(),
+        confirmedBy: userId
+      }, { session });
+
+      return {
+        invoice: confirmedInvoice,
+        stockMovements,
+        ledgerEntries
+      };
+    });
   }
 
   /**
    * Create ledger entries for purchase invoice (supplier payables)
    * @param {Object} invoice - Invoice object
    * @param {string} userId - User ID creating the entries
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Created ledger entries
    */
-  async createLedgerEntriesForPurchaseInvoice(invoice, userId) {
+  async createLedgerEntriesForPurchaseInvoice(invoice, userId, options = {}) {
     const description = `Purchase Invoice ${invoice.invoiceNumber} - ${invoice.notes || 'Purchase transaction'}`;
 
     // Get Inventory Asset account
@@ -557,27 +586,38 @@ class PurchaseInvoiceService {
       description,
       'invoice',
       invoice._id,
-      userId
+      userId,
+      options
     );
 
     return ledgerEntries;
   }
 
+  /**
+   * Get the warehouse lines without their own warehouse are received into
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<string|null>} First active non-transit warehouse ID, or null
+   */
+  async getDefaultWarehouseId(options = {}) {
+    const defaultWarehouse = await Warehouse.findOne({ isActive: true, isTransit: { $ne: true } })
+      .sort({ createdAt: 1 })
+      .session(options.session || null);
+
+    return defaultWarehouse ? defaultWarehouse._id : null;
+  }
+
   /**
    * Create stock movements for invoice items
    * @param {Object} invoice - Invoice object
    * @param {string} userId - User ID creating the movements
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Array>} Created stock movements
    */
-  async createStockMovementsForInvoice(invoice, userId) {
+  async createStockMovementsForInvoice(invoice, userId, options = {}) {
     const movements = [];
-    const Warehouse = require('../models/Warehouse');
-
-    let defaultWarehouseId = null;
-    const defaultWarehouse = await Warehouse.findOne({ isActive: true }).sort({ createdAt: 1 });
-    if (defaultWarehouse) {
-      defaultWarehouseId = defaultWarehouse._id;
-    }
+    const defaultWarehouseId = await this.getDefaultWarehouseId(options);
 
     for (const item of invoice.items) {
       const warehouseId = item.warehouseId || defaultWarehouseId;
@@ -599,7 +639,7 @@ class PurchaseInvoiceService {
         createdBy: userId
       };
 
-      const movement = await stockMovementRepository.create(movementData);
+      const movement = await stockMovementRepository.create(movementData, options);
       movements.push(movement);
     }
 
@@ -610,13 +650,16 @@ class PurchaseInvoiceService {
    * Update inventory levels for invoice items
    * @param {Array} items - Invoice items
    * @param {string} operation - Operation type ('add' or 'subtract')
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Array>} Updated items
    */
-  async updateInventoryLevels(items, operation = 'add') {
+  async updateInventoryLevels(items, operation = 'add', options = {}) {
     const updatedItems = [];
 
     for (const item of items) {
-      const itemDoc = await Item.findById(item.itemId);
+      // Documents loaded with a session are saved within that session
+      const itemDoc = await Item.findById(item.itemId, null, { session: options.session });
 
       if (!itemDoc) {
         throw new Error(`Item not found: ${item.itemId}`);
@@ -731,12 +774,17 @@ class PurchaseInvoiceService {
 
   /**
    * Cancel purchase invoice and reverse inventory
+   * The stock reversal, retired cost layers and the status change are written in one transaction.
+   * Under the cancellation approval rule a confirmed invoice is only cancelled once approved;
+   * until then the invoice is returned unchanged with a pending approval.
    * @param {string} id - Invoice ID
    * @param {string} userId - User ID performing the cancellation
    * @param {string} reason - Cancellation reason
-   * @returns {Promise<Object>} Cancelled invoice
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.approved] - The cancellation has already been approved
+   * @returns {Promise<Object>} Cancelled invoice, or the invoice awaiting cancellation approval
    */
-  async cancelPurchaseInvoice(id, userId, reason = '') {
+  async cancelPurchaseInvoice(id, userId, reason = '', options = {}) {
     const invoice = await this.getPurchaseInvoiceById(id);
 
     // Validate invoice status
@@ -751,21 +799,76 @@ class PurchaseInvoiceService {
       throw error;
     }
 
-    // If invoice was confirmed, reverse the stock movements
-    if (invoice.status === 'confirmed') {
-      await this.reverseStockMovements(invoice, userId, reason);
-      await this.updateInventoryLevels(invoice.items, 'subtract');
+    await fiscalPeriodService.assertPeriodOpen(invoice.invoiceDate, 'Invoice');
+
+    if (invoice.status === 'confirmed' && !options.approved) {
+      const approvalReasons = await approvalService.reasonsNeedingApproval(
+        await approvalService.evaluateCancellation(),
+        userId
+      );
+      if (approvalReasons.length > 0) {
+        const request = await approvalService.openRequest({
+          documentType: 'purchase_invoice',
+          documentId: invoice._id,
+          documentNumber: invoice.invoiceNumber,
+          action: 'cancel',
+          amount: invoice.totals.grandTotal,
+          reasons: approvalReasons,
+          requestedBy: userId,
+          reason
+        });
+
+        return invoiceRepository.update(id, {
+          approval: { requestId: request._id, action: 'cancel', status: 'pending' }
+        });
+      }
     }
 
-    // Update invoice status to cancelled
-    const updateData = {
-      status: 'cancelled',
-      cancelledAt: new Date(),
-      cancelledBy: userId,
-      cancellationReason: reason
-    };
+    return runInTransaction(async (session) => {
+      // Read again within the transaction so a retry sees the committed status
+      const current = await this.getPurchaseInvoiceById(id, { session });
+      if (current.status === 'cancelled') {
+        throw new Error('Invoice is already cancelled');
+      }
 
-    return invoiceRepository.update(id, updateData);
+      // If invoice was confirmed, reverse the stock movements
+      if (current.status === 'confirmed') {
+        await this.reverseStockMovements(current, userId, reason, { session });
+        await this.updateInventoryLevels(current.items, 'subtract', { session });
+        await inventoryValuationService.retireLayers('purchase_invoice', current._id, { session });
+      }
+
+      // Update invoice status to cancelled
+      const updateData = {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: userId,
+        cancellationReason: reason
+      };
+
+      return invoiceRepository.update(id, updateData, { session });
+    });
+  }
+
+  /**
+   * Apply a decision on a cancellation approval request
+   * @param {Object} request - Decided approval request
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async resolveApproval(request) {
+    if (request.status === 'approved') {
+      await this.cancelPurchaseInvoice(request.documentId, request.requestedBy, request.reason, { approved: true });
+    }
+
+    return invoiceRepository.update(request.documentId, {
+      approval: {
+        requestId: request._id,
+        action: request.action,
+        status: request.status,
+        decidedBy: request.decidedBy,
+        decidedAt: request.decidedAt
+      }
+    });
   }
 
   /**
@@ -773,10 +876,13 @@ class PurchaseInvoiceService {
    * @param {Object} invoice - Invoice object
    * @param {string} userId - User ID performing the reversal
    * @param {string} reason - Reversal reason
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Array>} Created reversal stock movements
    */
-  async reverseStockMovements(invoice, userId, reason) {
+  async reverseStockMovements(invoice, userId, reason, options = {}) {
     const movements = [];
+    const defaultWarehouseId = await this.getDefaultWarehouseId(options);
 
     for (const item of invoice.items) {
       const movementData = {
@@ -785,13 +891,15 @@ class PurchaseInvoiceService {
         quantity: item.quantity, // Positive for outward movement (reversal)
         referenceType: 'purchase_invoice',
         referenceId: invoice._id,
+        // Taken out of the warehouse the confirmation received it into
+        warehouse: item.warehouseId || defaultWarehouseId,
         batchInfo: item.batchInfo || {},
         movementDate: new Date(),
         notes: `Reversal: Purchase invoice ${invoice.invoiceNumber} cancelled. Reason: ${reason}`,
         createdBy: userId
       };
 
-      const movement = await stockMovementRepository.create(movementData);
+      const movement = await stockMovementRepository.create(movementData, options);
       movements.push(movement);
     }
 
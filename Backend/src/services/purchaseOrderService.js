@@ -10,11 +10,14 @@ const Item = require('../models/Item');
 class PurchaseOrderService {
   /**
    * Create a new purchase order
+   * A PO number is generated when none is given.
    * @param {Object} data - Purchase order data
    * @returns {Promise<Object>} Created purchase order
    */
   async createPurchaseOrder(data) {
-    const { poNumber, supplierId, poDate, items, notes, createdBy } = data;
+    const {
+      poNumber, supplierId, warehouseId, poDate, items, notes, createdBy
+    } = data;
 
     // Validate supplier exists
     const supplier = await Supplier.findById(supplierId);
@@ -44,8 +47,9 @@ class PurchaseOrderService {
 
     // Create purchase order
     const purchaseOrder = await PurchaseOrder.create({
-      poNumber,
+      poNumber: poNumber || await PurchaseOrder.generatePONumber(),
       supplierId,
+      warehouseId,
       poDate: poDate || new Date(),
       items: processedItems,
       subtotal,
@@ -1,7 +1,12 @@
 const Invoice = require('../models/Invoice');
+const Warehouse = require('../models/Warehouse');
 const inventoryService = require('./inventoryService');
 const stockMovementRepository = require('../repositories/stockMovementRepository');
 const ledgerService = require('./ledgerService');
+const accountService = require('./accountService');
+const batchRepository = require('../repositories/batchRepository');
+const inventoryValuationService = require('./inventoryValuationService');
+const { runInTransaction } = require('../utils/transaction');
 
 /**
  * Purchase Return Service
@@ -162,10 +167,14 @@ class PurchaseReturnService {
 
   /**
    * Create a purchase return invoice
+   * Return items may name the batch they come out of (batchId, batchNumber, expiryDate,
+   * warehouseId); that batch's remaining quantity is reduced with the item stock.
    * @param {Object} returnData - Return invoice data
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Created return invoice
    */
-  async createPurchaseReturn(returnData) {
+  async createPurchaseReturn(returnData, options = {}) {
     const {
       originalInvoiceId,
       returnItems,
@@ -195,7 +204,7 @@ class PurchaseReturnService {
       throw new Error(`Return validation failed: ${validation.errors.join(', ')}`);
     }
 
-    // Build return invoice items with negative quantities
+    // Build return invoice items; quantities and amounts are positive, the return type gives the direction
     const returnInvoiceItems = [];
     let subtotal = 0;
     let totalTax = 0;
@@ -219,84 +228,162 @@ class PurchaseReturnService {
         gst4Total += gstAmount;
       }
 
-      returnInvoiceItems.push({
+      const returnLine = {
         itemId: returnItem.itemId,
-        quantity: -returnItem.quantity, // Negative for return
+        quantity: returnItem.quantity,
         unitPrice: originalItem.unitPrice,
         discount: originalItem.discount || 0,
-        gstRate: originalItem.gstRate || 18,
-        gstAmount: -gstAmount, // Negative GST
-        taxAmount: -gstAmount,
-        lineTotal: -(itemSubtotal + gstAmount)
-      });
+        gstRate: originalItem.gstRate || 0,
+        gstAmount,
+        taxAmount: gstAmount,
+        lineTotal: itemSubtotal + gstAmount
+      };
+
+      if (returnItem.batchId) {
+        returnLine.warehouseId = returnItem.warehouseId;
+        returnLine.batchInfo = {
+          batchNumber: returnItem.batchNumber,
+          expiryDate: returnItem.expiryDate
+        };
+        returnLine.batchAllocations = [{
+          batchId: returnItem.batchId,
+          batchNumber: returnItem.batchNumber,
+          warehouseId: returnItem.warehouseId,
+          expiryDate: returnItem.expiryDate,
+          quantity: returnItem.quantity
+        }];
+      }
 
-      subtotal -= itemSubtotal;
-      totalTax -= gstAmount;
+      returnInvoiceItems.push(returnLine);
+
+      subtotal += itemSubtotal;
+      totalTax += gstAmount;
     }
 
-    // Create return invoice
-    const returnInvoice = new Invoice({
-      type: 'return_purchase',
-      supplierId: originalInvoice.supplierId,
-      supplierBillNo: `${originalInvoice.supplierBillNo}-RET`,
-      originalInvoiceId,
-      invoiceDate: new Date(),
-      dueDate: new Date(),
-      items: returnInvoiceItems,
-      totals: {
-        subtotal,
-        totalDiscount: 0,
-        totalTax,
-        gst18Total: -gst18Total,
-        gst4Total: -gst4Total,
-        grandTotal: subtotal + totalTax
-      },
-      returnMetadata: {
-        returnReason,
-        returnNotes,
-        returnDate: new Date()
-      },
-      status: 'confirmed',
-      paymentStatus: 'pending',
-      createdBy
-    });
+    // Each return against a bill needs its own bill number; the supplier bill number is unique per supplier
+    const invoiceNumber = await Invoice.generateInvoiceNumber('return_purchase');
+    const earlierReturns = await Invoice.countDocuments({ originalInvoiceId, type: 'return_purchase' });
+    const returnSuffix = earlierReturns > 0 ? `-RET${earlierReturns + 1}` : '-RET';
+
+    // Invoice, inventory, stock movements and ledger post in one transaction
+    const postReturn = async (session) => {
+      // Create return invoice
+      const returnInvoice = new Invoice({
+        invoiceNumber,
+        type: 'return_purchase',
+        supplierId: originalInvoice.supplierId,
+        supplierBillNo: `${originalInvoice.supplierBillNo}${returnSuffix}`,
+        originalInvoiceId,
+        invoiceDate: new Date(),
+        dueDate: new Date(),
+        items: returnInvoiceItems,
+        totals: {
+          subtotal,
+          totalDiscount: 0,
+          totalTax,
+          gst18Total,
+          gst4Total,
+          grandTotal: subtotal + totalTax
+        },
+        returnMetadata: {
+          returnReason,
+          returnNotes,
+          returnDate: new Date()
+        },
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        createdBy
+      });
 
-    await returnInvoice.save();
+      await returnInvoice.save({ session });
 
-    // Reverse inventory
-    await this.reverseInventory(returnInvoiceItems);
+      // Reverse inventory
+      await this.reverseInventory(returnInvoiceItems, { session, returnInvoice });
 
-    // Create reverse ledger entries
-    await this.createReverseLedgerEntries(returnInvoice, originalInvoice);
+      // Create reverse ledger entries
+      await this.createReverseLedgerEntries(returnInvoice, originalInvoice, { session });
+
+      return returnInvoice;
+    };
 
-    return returnInvoice;
+    return options.session ? postReturn(options.session) : runInTransaction(postReturn);
   }
 
   /**
    * Reverse inventory for purchase returns
+   * The returned stock leaves the cost layers of the purchase being returned first.
    * @param {Array} returnItems - Return items
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @param {Object} [options.returnInvoice] - Return invoice the stock goes back on
    */
-  async reverseInventory(returnItems) {
+  async reverseInventory(returnItems, options = {}) {
+    const returnInvoice = options.returnInvoice || {};
+
+    // Lines without a warehouse of their own go out of the default warehouse, as on the purchase
+    let defaultWarehouseId = null;
+    if (returnItems.some(item => !item.warehouseId)) {
+      const defaultWarehouse = await Warehouse.findOne({ isActive: true, isTransit: { $ne: true } })
+        .sort({ createdAt: 1 });
+      defaultWarehouseId = defaultWarehouse ? defaultWarehouse._id : null;
+    }
+
     for (const item of returnItems) {
       const quantity = Math.abs(item.quantity);
-      
+      const warehouseId = item.warehouseId || defaultWarehouseId;
+
+      if (!warehouseId) {
+        throw new Error(
+          'No active warehouse found to assign stock movement. Please ensure at least one warehouse exists.'
+        );
+      }
+
+      for (const allocation of item.batchAllocations || []) {
+        const batch = await batchRepository.decrementRemainingQuantity(
+          allocation.batchId,
+          allocation.quantity,
+          { session: options.session }
+        );
+        if (!batch) {
+          throw new Error(`Batch ${allocation.batchNumber} no longer holds ${allocation.quantity} units to return`);
+        }
+      }
+
+      const portions = item.batchAllocations && item.batchAllocations.length > 0
+        ? item.batchAllocations
+        : [{ quantity, batchNumber: item.batchInfo && item.batchInfo.batchNumber }];
+      for (const portion of portions) {
+        await inventoryValuationService.consumeLayers(item.itemId, portion.quantity, {
+          sourceId: returnInvoice.originalInvoiceId,
+          batchId: portion.batchId,
+          batchNumber: portion.batchNumber,
+          warehouseId: portion.warehouseId || warehouseId,
+          session: options.session
+        });
+      }
+
       // Decrease inventory (return to supplier)
       await inventoryService.adjustInventory(
         item.itemId,
         quantity,
         'decrease',
-        'Purchase return'
+        'Purchase return',
+        { session: options.session, userId: returnInvoice.createdBy }
       );
 
       // Create stock movement record
       await stockMovementRepository.create({
         itemId: item.itemId,
-        movementType: 'return_to_supplier',
-        quantity: -quantity,
-        date: new Date(),
-        reference: 'Purchase Return',
-        notes: 'Item returned to supplier'
-      });
+        movementType: 'out',
+        quantity, // Positive quantity, type indicates direction
+        referenceType: 'purchase_invoice',
+        referenceId: returnInvoice._id,
+        warehouse: warehouseId,
+        batchInfo: item.batchInfo || {},
+        movementDate: returnInvoice.invoiceDate || new Date(),
+        notes: `Purchase return ${returnInvoice.invoiceNumber} - Item returned to supplier`,
+        createdBy: returnInvoice.createdBy
+      }, { session: options.session });
     }
   }
 
@@ -304,46 +391,29 @@ class PurchaseReturnService {
    * Create reverse ledger entries for purchase returns
    * @param {Object} returnInvoice - Return invoice
    * @param {Object} originalInvoice - Original invoice
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object|null>} Created debit and credit entries
    */
-  async createReverseLedgerEntries(returnInvoice, originalInvoice) {
+  async createReverseLedgerEntries(returnInvoice, originalInvoice, options = {}) {
     const amount = Math.abs(returnInvoice.totals.grandTotal);
-    const taxAmount = Math.abs(returnInvoice.totals.totalTax);
-    const subtotal = Math.abs(returnInvoice.totals.subtotal);
-
-    // Credit Inventory Account (reduce asset)
-    await ledgerService.createLedgerEntry({
-      accountId: 'INVENTORY_ACCOUNT', // Should be from config
-      date: returnInvoice.invoiceDate,
-      description: `Purchase Return - Invoice ${returnInvoice.invoiceNumber}`,
-      debit: 0,
-      credit: subtotal,
-      referenceType: 'Invoice',
-      referenceId: returnInvoice._id
-    });
-
-    // Debit Accounts Payable (reduce liability)
-    await ledgerService.createLedgerEntry({
-      accountId: originalInvoice.supplierId,
-      date: returnInvoice.invoiceDate,
-      description: `Purchase Return - Invoice ${returnInvoice.invoiceNumber}`,
-      debit: amount,
-      credit: 0,
-      referenceType: 'Invoice',
-      referenceId: returnInvoice._id
-    });
-
-    // Credit GST Input (reverse tax credit)
-    if (taxAmount > 0) {
-      await ledgerService.createLedgerEntry({
-        accountId: 'GST_INPUT_ACCOUNT', // Should be from config
-        date: returnInvoice.invoiceDate,
-        description: `Purchase Return GST - Invoice ${returnInvoice.invoiceNumber}`,
-        debit: 0,
-        credit: taxAmount,
-        referenceType: 'Invoice',
-        referenceId: returnInvoice._id
-      });
+    if (!amount) {
+      return null;
     }
+
+    // The purchase debited inventory and credited the supplier with the grand total; the return reverses that
+    const inventoryAssetAccount = await accountService.getAccountByCode('INVENTORY_ASSET');
+
+    return ledgerService.createDoubleEntry(
+      { accountId: originalInvoice.supplierId, accountType: 'Supplier' },
+      { accountId: inventoryAssetAccount._id, accountType: 'Account' },
+      amount,
+      `Purchase Return ${returnInvoice.invoiceNumber} against Invoice ${originalInvoice.invoiceNumber}`,
+      'invoice',
+      returnInvoice._id,
+      returnInvoice.createdBy,
+      { session: options.session }
+    );
   }
 }
 
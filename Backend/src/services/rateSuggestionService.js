@@ -1,5 +1,6 @@
 const quotationHistoryService = require('./quotationHistoryService');
 const purchaseOrderService = require('./purchaseOrderService');
+const priceListService = require('./priceListService');
 const Invoice = require('../models/Invoice');
 
 /**
@@ -39,6 +40,7 @@ class RateSuggestionService {
             transactionType,
             quotationHistory: null,
             poRate: null,
+            priceList: null,
             recommendedRate: null,
             generatedAt: new Date()
         };
@@ -96,6 +98,26 @@ class RateSuggestionService {
             }
         }
 
+        // For sales transactions, the customer's price list rate
+        if (transactionType === 'sales') {
+            try {
+                const [listPrice] = await priceListService.resolvePrices(partyId, [itemId]);
+
+                if (listPrice && listPrice.price !== null) {
+                    suggestions.priceList = {
+                        rate: listPrice.price,
+                        minPrice: listPrice.minPrice,
+                        maxDiscountPercent: listPrice.maxDiscountPercent,
+                        priceListId: listPrice.priceListId,
+                        priceListName: listPrice.priceListName
+                    };
+                }
+            } catch (error) {
+                console.error('Error fetching price list rate:', error.message);
+                // Continue even if price list lookup fails
+            }
+        }
+
         // Determine recommended rate
         suggestions.recommendedRate = this._determineRecommendedRate(suggestions);
 
@@ -207,7 +229,16 @@ class RateSuggestionService {
      * @returns {Object|null} Recommended rate
      */
     _determineRecommendedRate(suggestions) {
-        // Priority: PO rate > Latest quotation history
+        // Priority: Price list rate > PO rate > Latest quotation history
+
+        if (suggestions.priceList && suggestions.priceList.rate !== undefined) {
+            return {
+                rate: suggestions.priceList.rate,
+                source: 'price_list',
+                reason: `Contract rate on price list ${suggestions.priceList.priceListName}`,
+                date: null
+            };
+        }
 
         if (suggestions.poRate && suggestions.poRate.rate) {
             return {
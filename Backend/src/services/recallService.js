@@ -0,0 +1,473 @@
+const Recall = require('../models/Recall');
+const Invoice = require('../models/Invoice');
+const batchRepository = require('../repositories/batchRepository');
+const AppError = require('../utils/appError');
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Recall Service
+ * Traces a recalled batch number or supplier lot to every customer, route and salesman
+ * that received units, quarantines the batches and issues return requests per customer
+ */
+class RecallService {
+  /**
+   * Trace a batch number or supplier lot through stock and sales
+   * @param {Object} criteria - Search criteria
+   * @param {string} [criteria.batchNumber] - Batch number
+   * @param {string} [criteria.supplierLotNumber] - Supplier lot number
+   * @param {string} [criteria.itemId] - Restrict to an item
+   * @returns {Promise<Object>} Batches, warehouse stock, invoices, customers, routes and salesmen
+   */
+  async traceBatch(criteria = {}) {
+    if (!criteria.batchNumber && !criteria.supplierLotNumber) {
+      throw new AppError('Batch number or supplier lot number is required', 400);
+    }
+
+    const batches = await batchRepository.findByBatchOrLot(criteria);
+    if (batches.length === 0) {
+      throw new AppError('No batches found for the given batch number or supplier lot', 404);
+    }
+
+    return this.buildTrace(batches);
+  }
+
+  /**
+   * Build the trace report for a set of batches
+   * @param {Array} batches - Batches (with item and warehouse populated)
+   * @returns {Promise<Object>} Trace report
+   */
+  async buildTrace(batches) {
+    const invoices = await this.findInvoicesForBatches(batches);
+    const sales = invoices
+      .map(invoice => this.summarizeInvoice(invoice, batches))
+      .filter(sale => sale.quantity > 0);
+
+    const warehouseStock = this.groupStockByWarehouse(batches);
+
+    return {
+      batches: batches.map(batch => ({
+        _id: batch._id,
+        batchNumber: batch.batchNumber,
+        supplierLotNumber: batch.supplierLotNumber,
+        item: batch.item,
+        warehouse: batch.warehouse,
+        supplier: batch.supplier,
+        expiryDate: batch.expiryDate,
+        quantity: batch.quantity,
+        remainingQuantity: batch.remainingQuantity,
+        status: batch.status
+      })),
+      warehouseStock,
+      invoices: sales,
+      customers: this.groupSales(sales, sale => sale.customer),
+      routes: this.groupSales(sales, sale => sale.route),
+      salesmen: this.groupSales(sales, sale => sale.salesman),
+      totals: {
+        receivedQuantity: batches.reduce((sum, batch) => sum + batch.quantity, 0),
+        soldQuantity: sales.reduce((sum, sale) => sum + sale.quantity, 0),
+        inStockQuantity: warehouseStock.reduce((sum, stock) => sum + stock.quantity, 0),
+        invoiceCount: sales.length
+      }
+    };
+  }
+
+  /**
+   * Find confirmed sales invoices with lines drawn from the given batches
+   * Lines allocated FEFO are matched by batch ID, older lines by item and batch number
+   * @param {Array} batches - Batches
+   * @returns {Promise<Array>} Invoices with customer (and route) and salesman populated
+   */
+  async findInvoicesForBatches(batches) {
+    const batchIds = batches.map(batch => batch._id);
+    const lineMatches = batches.map(batch => ({
+      items: {
+        $elemMatch: {
+          itemId: batch.item._id || batch.item,
+          'batchInfo.batchNumber': new RegExp(`^${escapeRegExp(batch.batchNumber)}$`, 'i')
+        }
+      }
+    }));
+
+    return Invoice.find({
+      type: 'sales',
+      status: { $in: ['confirmed', 'paid'] },
+      $or: [{ 'items.batchAllocations.batchId': { $in: batchIds } }, ...lineMatches]
+    })
+      .populate({
+        path: 'customerId',
+        select: 'code name phone routeId',
+        populate: { path: 'routeId', select: 'code name' }
+      })
+      .populate('salesmanId', 'code name')
+      .sort({ invoiceDate: 1 })
+      .lean();
+  }
+
+  /**
+   * Work out how many units of the recalled batches an invoice carried
+   * @param {Object} invoice - Sales invoice
+   * @param {Array} batches - Recalled batches
+   * @returns {Object} Invoice summary with the recalled quantity
+   */
+  summarizeInvoice(invoice, batches) {
+    const batchIds = new Set(batches.map(batch => batch._id.toString()));
+    const batchKeys = new Set(batches.map(batch => `${batch.item._id || batch.item}:${batch.batchNumber}`));
+
+    const quantity = invoice.items.reduce((sum, line) => {
+      if (line.batchAllocations && line.batchAllocations.length > 0) {
+        return sum + line.batchAllocations
+          .filter(allocation => batchIds.has(allocation.batchId.toString()))
+          .reduce((lineSum, allocation) => lineSum + allocation.quantity, 0);
+      }
+
+      const batchNumber = line.batchInfo && line.batchInfo.batchNumber;
+      if (batchNumber && batchKeys.has(`${line.itemId}:${batchNumber.toUpperCase()}`)) {
+        return sum + line.quantity;
+      }
+
+      return sum;
+    }, 0);
+
+    const customer = invoice.customerId || null;
+
+    return {
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      customer: customer && {
+        _id: customer._id,
+        code: customer.code,
+        name: customer.name,
+        phone: customer.phone
+      },
+      route: (customer && customer.routeId) || null,
+      salesman: invoice.salesmanId || null,
+      quantity
+    };
+  }
+
+  /**
+   * Group sales lines by customer, route or salesman
+   * @param {Array} sales - Invoice summaries
+   * @param {Function} keyOf - Returns the populated document to group by
+   * @returns {Array} One entry per distinct document with quantity and invoice count
+   */
+  groupSales(sales, keyOf) {
+    const groups = new Map();
+
+    sales.forEach(sale => {
+      const key = keyOf(sale);
+      if (!key) return;
+
+      const id = key._id.toString();
+      if (!groups.has(id)) {
+        groups.set(id, {
+          _id: key._id, code: key.code, name: key.name, quantity: 0, invoiceCount: 0
+        });
+      }
+
+      const group = groups.get(id);
+      group.quantity += sale.quantity;
+      group.invoiceCount += 1;
+    });
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Sum the remaining quantity of the batches per warehouse
+   * @param {Array} batches - Batches (with warehouse populated)
+   * @returns {Array} Stock per warehouse
+   */
+  groupStockByWarehouse(batches) {
+    const warehouses = new Map();
+
+    batches.forEach(batch => {
+      const warehouse = batch.warehouse || {};
+      const id = (warehouse._id || warehouse).toString();
+
+      if (!warehouses.has(id)) {
+        warehouses.set(id, {
+          warehouse: { _id: warehouse._id || warehouse, code: warehouse.code, name: warehouse.name },
+          quantity: 0,
+          batches: []
+        });
+      }
+
+      const entry = warehouses.get(id);
+      entry.quantity += batch.remainingQuantity;
+      entry.batches.push({
+        batchId: batch._id,
+        batchNumber: batch.batchNumber,
+        remainingQuantity: batch.remainingQuantity,
+        status: batch.status
+      });
+    });
+
+    return Array.from(warehouses.values());
+  }
+
+  /**
+   * Open a recall for a batch number or supplier lot
+   * @param {Object} recallData - Recall data
+   * @param {string} [recallData.batchNumber] - Batch number
+   * @param {string} [recallData.supplierLotNumber] - Supplier lot number
+   * @param {string} [recallData.itemId] - Restrict to an item
+   * @param {string} recallData.reason - Reason for the recall
+   * @param {string} [recallData.authorityReference] - Regulator notice reference
+   * @param {boolean} [recallData.quarantine] - Quarantine the batches immediately
+   * @param {string} recallData.createdBy - User opening the recall
+   * @returns {Promise<Object>} Created recall
+   */
+  async createRecall(recallData) {
+    const {
+      batchNumber,
+      supplierLotNumber,
+      itemId,
+      reason,
+      authorityReference,
+      notes,
+      quarantine = false,
+      createdBy
+    } = recallData;
+
+    if (!batchNumber && !supplierLotNumber) {
+      throw new AppError('Batch number or supplier lot number is required', 400);
+    }
+    if (!reason) {
+      throw new AppError('Recall reason is required', 400);
+    }
+
+    const batches = await batchRepository.findByBatchOrLot({ batchNumber, supplierLotNumber, itemId });
+    if (batches.length === 0) {
+      throw new AppError('No batches found for the given batch number or supplier lot', 404);
+    }
+
+    const [first] = batches;
+    const recall = await Recall.create({
+      batchNumber,
+      supplierLotNumber,
+      item: itemId || first.item._id || first.item,
+      supplier: first.supplier ? first.supplier._id || first.supplier : undefined,
+      reason,
+      authorityReference,
+      notes,
+      batches: batches.map(batch => ({
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        warehouse: batch.warehouse._id || batch.warehouse
+      })),
+      createdBy
+    });
+
+    if (quarantine) {
+      return this.quarantineRecall(recall._id, createdBy);
+    }
+
+    return recall;
+  }
+
+  /**
+   * Get recall by ID
+   * @param {string} id - Recall ID
+   * @returns {Promise<Object>} Recall
+   */
+  async getRecallById(id) {
+    const recall = await Recall.findById(id)
+      .populate('item', 'name code')
+      .populate('supplier', 'name code')
+      .populate('returnRequests.customer', 'code name phone');
+
+    if (!recall) {
+      throw new AppError('Recall not found', 404);
+    }
+
+    return recall;
+  }
+
+  /**
+   * Get recalls with filtering and pagination
+   * @param {Object} [filters] - Filters (status, itemId, batchNumber)
+   * @param {Object} [options] - Pagination options (page, limit)
+   * @returns {Promise<Object>} Recalls and pagination info
+   */
+  async getRecalls(filters = {}, options = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.itemId) query.item = filters.itemId;
+    if (filters.batchNumber) query.batchNumber = filters.batchNumber.toUpperCase();
+
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+
+    const [recalls, total] = await Promise.all([
+      Recall.find(query)
+        .populate('item', 'name code')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Recall.countDocuments(query)
+    ]);
+
+    return {
+      recalls,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Trace the batches covered by a recall
+   * @param {string} id - Recall ID
+   * @returns {Promise<Object>} Trace report
+   */
+  async getRecallTrace(id) {
+    const recall = await this.getRecallById(id);
+    const batches = await batchRepository.findByIds(recall.batches.map(entry => entry.batch));
+
+    return this.buildTrace(batches);
+  }
+
+  /**
+   * Quarantine the recalled batches so they can no longer be allocated or sold
+   * @param {string} id - Recall ID
+   * @param {string} userId - User quarantining the batches
+   * @returns {Promise<Object>} Updated recall
+   */
+  async quarantineRecall(id, userId) {
+    const recall = await this.getRecallById(id);
+
+    if (recall.status === 'closed') {
+      throw new AppError('Cannot quarantine batches of a closed recall', 400);
+    }
+
+    const batches = await batchRepository.findByIds(recall.batches.map(entry => entry.batch));
+    const statusById = new Map(batches.map(batch => [batch._id.toString(), batch.status]));
+
+    for (const entry of recall.batches) {
+      const currentStatus = statusById.get(entry.batch.toString());
+      if (currentStatus && currentStatus !== 'quarantined') {
+        entry.previousStatus = currentStatus;
+        await batchRepository.setStatus(entry.batch, 'quarantined', userId);
+      }
+    }
+
+    recall.status = 'quarantined';
+    recall.quarantinedAt = new Date();
+    recall.quarantinedBy = userId;
+
+    return recall.save();
+  }
+
+  /**
+   * Generate one return request per customer that received recalled units
+   * Customers that already have a pending request on this recall are skipped
+   * @param {string} id - Recall ID
+   * @returns {Promise<Object>} Recall with its return requests
+   */
+  async generateReturnRequests(id) {
+    const recall = await this.getRecallById(id);
+
+    if (recall.status === 'closed') {
+      throw new AppError('Cannot generate return requests for a closed recall', 400);
+    }
+
+    const trace = await this.getRecallTrace(id);
+    const pendingCustomers = new Set(recall.returnRequests
+      .filter(request => request.status === 'pending')
+      .map(request => (request.customer._id || request.customer).toString()));
+
+    const invoicesByCustomer = new Map();
+    trace.invoices.forEach(sale => {
+      if (!sale.customer) return;
+      const customerId = sale.customer._id.toString();
+      if (pendingCustomers.has(customerId)) return;
+
+      if (!invoicesByCustomer.has(customerId)) {
+        invoicesByCustomer.set(customerId, { customer: sale.customer._id, invoices: [] });
+      }
+      invoicesByCustomer.get(customerId).invoices.push({
+        invoice: sale.invoiceId,
+        invoiceNumber: sale.invoiceNumber,
+        invoiceDate: sale.invoiceDate,
+        quantity: sale.quantity
+      });
+    });
+
+    let sequence = recall.returnRequests.length;
+    invoicesByCustomer.forEach(({ customer, invoices }) => {
+      sequence += 1;
+      recall.returnRequests.push({
+        requestNumber: `${recall.recallNumber}-RR${String(sequence).padStart(3, '0')}`,
+        customer,
+        invoices,
+        totalQuantity: invoices.reduce((sum, invoice) => sum + invoice.quantity, 0)
+      });
+    });
+
+    await recall.save();
+    return this.getRecallById(id);
+  }
+
+  /**
+   * Update the status of a return request (e.g. once the stock is collected)
+   * @param {string} id - Recall ID
+   * @param {string} requestId - Return request ID
+   * @param {string} status - New status (pending, collected, cancelled)
+   * @returns {Promise<Object>} Updated recall
+   */
+  async updateReturnRequestStatus(id, requestId, status) {
+    const recall = await this.getRecallById(id);
+    const request = recall.returnRequests.id(requestId);
+
+    if (!request) {
+      throw new AppError('Return request not found', 404);
+    }
+
+    request.status = status;
+    return recall.save();
+  }
+
+  /**
+   * Close a recall
+   * Batches stay quarantined unless releaseBatches is set, in which case they go back
+   * to the status they had before quarantine
+   * @param {string} id - Recall ID
+   * @param {string} userId - User closing the recall
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.releaseBatches] - Lift the quarantine on the batches
+   * @param {string} [options.notes] - Closing notes
+   * @returns {Promise<Object>} Closed recall
+   */
+  async closeRecall(id, userId, options = {}) {
+    const recall = await this.getRecallById(id);
+
+    if (recall.status === 'closed') {
+      throw new AppError('Recall is already closed', 400);
+    }
+
+    if (options.releaseBatches) {
+      for (const entry of recall.batches) {
+        if (entry.previousStatus) {
+          await batchRepository.setStatus(entry.batch, entry.previousStatus, userId);
+        }
+      }
+    }
+
+    recall.status = 'closed';
+    recall.closedAt = new Date();
+    recall.closedBy = userId;
+    if (options.notes) {
+      recall.notes = recall.notes ? `${recall.notes}\n${options.notes}` : options.notes;
+    }
+
+    return recall.save();
+  }
+}
+
+module.exports = new RecallService();
@@ -1,6 +1,18 @@
 const RecoverySummary = require('../models/RecoverySummary');
 const Salesman = require('../models/Salesman');
 const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const CashReceipt = require('../models/CashReceipt');
+const cashReceiptService = require('./cashReceiptService');
+const AppError = require('../utils/appError');
+const { runInTransaction } = require('../utils/transaction');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Receipts that no longer count towards the cash a salesman should hand over
+const VOID_RECEIPT_STATUSES = ['cancelled', 'bounced'];
 
 /**
  * Recovery Summary Service
@@ -73,7 +85,9 @@ class RecoverySummaryService {
      * @returns {Promise<Array>} List of recovery summaries
      */
     async getRecoverySummaries(filters = {}) {
-        const { startDate, endDate, salesmanId, town, page = 1, limit = 50 } = filters;
+        const {
+            startDate, endDate, salesmanId, town, status, hasCashDifference, page = 1, limit = 50
+        } = filters;
 
         const query = { isDeleted: false };
 
@@ -98,6 +112,15 @@ class RecoverySummaryService {
             query.town = new RegExp(town, 'i'); // Case-insensitive search
         }
 
+        if (status) {
+            query.status = status;
+        }
+
+        // Sheets where the cash handed over did not tally with the receipts
+        if (hasCashDifference !== undefined) {
+            query.hasCashDifference = hasCashDifference === true || hasCashDifference === 'true';
+        }
+
         const skip = (page - 1) * limit;
 
         const summaries = await RecoverySummary.find(query)
@@ -152,6 +175,13 @@ class RecoverySummaryService {
             throw new Error('Recovery summary not found');
         }
 
+        if (summary.status !== 'open') {
+            throw new AppError('A recovery summary cannot be changed once its recoveries are posted', 400);
+        }
+        if (summary.source === 'generated' && data.accounts !== undefined) {
+            throw new AppError('Accounts on a generated recovery summary come from its invoices', 400);
+        }
+
         // Update allowed fields
         const allowedFields = ['date', 'town', 'accounts', 'notes'];
         allowedFields.forEach(field => {
@@ -192,6 +222,10 @@ class RecoverySummaryService {
             throw new Error('Recovery summary not found');
         }
 
+        if (summary.accounts.some(account => account.cashReceiptId)) {
+            throw new AppError('A recovery summary with posted cash receipts cannot be deleted', 400);
+        }
+
         summary.isDeleted = true;
         await summary.save();
 
@@ -225,13 +259,19 @@ class RecoverySummaryService {
             totalBalance: 0,
             totalRecovery: 0,
             averageRecoveryPercentage: 0,
-            totalOutstanding: 0
+            totalOutstanding: 0,
+            summariesWithCashDifference: 0,
+            totalCashDifference: 0
         };
 
         summaries.forEach(summary => {
             stats.totalInvoiceAmount += summary.totalInvoiceAmount;
             stats.totalBalance += summary.totalBalance;
             stats.totalRecovery += summary.totalRecovery;
+            if (summary.hasCashDifference) {
+                stats.summariesWithCashDifference += 1;
+                stats.totalCashDifference += summary.cashDifference;
+            }
         });
 
         stats.totalOutstanding = stats.totalInvoiceAmount - stats.totalRecovery;
@@ -245,6 +285,7 @@ class RecoverySummaryService {
         stats.totalRecovery = Math.round(stats.totalRecovery * 100) / 100;
         stats.totalOutstanding = Math.round(stats.totalOutstanding * 100) / 100;
         stats.averageRecoveryPercentage = Math.round(stats.averageRecoveryPercentage * 100) / 100;
+        stats.totalCashDifference = Math.round(stats.totalCashDifference * 100) / 100;
 
         return stats;
     }
@@ -309,6 +350,269 @@ class RecoverySummaryService {
             accounts: accountRows
         };
     }
+
+    /**
+     * Generate a recovery summary for a salesman and town from the unpaid sales invoices
+     * of the customers on the salesman's route
+     * @param {Object} data - {salesmanId, town, date, routeId (default: the salesman's route), notes, createdBy}
+     * @returns {Promise<Object>} Generated recovery summary
+     */
+    async generateRecoverySummary(data) {
+        const { date, salesmanId, town, notes, createdBy } = data;
+
+        if (!salesmanId) {
+            throw new AppError('Salesman ID is required', 400);
+        }
+        if (!town) {
+            throw new AppError('Town is required', 400);
+        }
+        if (!createdBy) {
+            throw new AppError('Created by user is required', 400);
+        }
+
+        const salesman = await Salesman.findById(salesmanId);
+        if (!salesman) {
+            throw new AppError('Salesman not found', 404);
+        }
+        if (!salesman.isActive) {
+            throw new AppError(`Salesman ${salesman.name} is not active`, 400);
+        }
+
+        const routeId = data.routeId || salesman.routeId;
+        if (!routeId) {
+            throw new AppError(`Salesman ${salesman.name} has no route`, 400);
+        }
+
+        const customers = await Customer.find({
+            routeId,
+            'contactInfo.town': new RegExp(`^${escapeRegExp(String(town).trim())}$`, 'i')
+        }).select('_id');
+
+        // Only confirmed invoices can take a receipt through applyPaymentToInvoices
+        const invoices = await Invoice.find({
+            type: 'sales',
+            status: 'confirmed',
+            paymentStatus: { $in: ['pending', 'partial'] },
+            customerId: { $in: customers.map(customer => customer._id) }
+        })
+            .select('customerId invoiceNumber invoiceDate totals')
+            .sort({ invoiceDate: 1 });
+
+        const byCustomer = new Map();
+        invoices.forEach(invoice => {
+            const dueAmount = roundAmount(invoice.totals.grandTotal - (invoice.totals.paidAmount || 0));
+            if (dueAmount <= 0) {
+                return;
+            }
+
+            const key = refId(invoice.customerId);
+            if (!byCustomer.has(key)) {
+                byCustomer.set(key, {
+                    accountId: invoice.customerId,
+                    invoiceAmount: 0,
+                    balance: 0,
+                    recoveryAmount: 0,
+                    invoices: []
+                });
+            }
+            const account = byCustomer.get(key);
+            account.invoiceAmount = roundAmount(account.invoiceAmount + invoice.totals.grandTotal);
+            account.balance = roundAmount(account.balance + dueAmount);
+            account.invoices.push({
+                invoiceId: invoice._id,
+                invoiceNumber: invoice.invoiceNumber,
+                invoiceDate: invoice.invoiceDate,
+                dueAmount
+            });
+        });
+
+        if (byCustomer.size === 0) {
+            throw new AppError(`No unpaid invoices for customers in ${town} on the salesman's route`, 400);
+        }
+
+        const recoverySummary = new RecoverySummary({
+            date: date || new Date(),
+            salesmanId,
+            town: String(town).trim(),
+            routeId,
+            source: 'generated',
+            accounts: [...byCustomer.values()],
+            notes,
+            createdBy
+        });
+
+        await recoverySummary.save();
+
+        await recoverySummary.populate('salesmanId', 'code name');
+        await recoverySummary.populate('accounts.accountId', 'code name');
+
+        return recoverySummary;
+    }
+
+    /**
+     * Post the amounts a salesman collected as cash receipts against the sheet's invoices,
+     * oldest invoice first. Accounts already posted on an earlier attempt are skipped.
+     * @param {string} id - Recovery summary ID
+     * @param {Object} data - {accounts: [{accountId, recoveryAmount}], createdBy}
+     * @returns {Promise<Object>} Posted recovery summary
+     */
+    async postRecoveries(id, data) {
+        const { accounts, createdBy } = data;
+
+        const summary = await RecoverySummary.findOne({ _id: id, isDeleted: false });
+        if (!summary) {
+            throw new AppError('Recovery summary not found', 404);
+        }
+        if (summary.source !== 'generated') {
+            throw new AppError('Only recovery summaries generated from invoices can be posted', 400);
+        }
+        if (summary.status !== 'open') {
+            throw new AppError('Recoveries on this summary have already been posted', 400);
+        }
+        if (!Array.isArray(accounts)) {
+            throw new AppError('Accounts with their recovery amounts are required', 400);
+        }
+
+        const collected = new Map();
+        accounts.forEach(entry => {
+            const amount = Number(entry.recoveryAmount || 0);
+            if (!summary.accounts.some(account => refId(account.accountId) === refId(entry.accountId))) {
+                throw new AppError(`Account ${refId(entry.accountId)} is not on this recovery summary`, 400);
+            }
+            if (!Number.isFinite(amount) || amount < 0) {
+                throw new AppError('Recovery amounts cannot be negative', 400);
+            }
+            collected.set(refId(entry.accountId), roundAmount(amount));
+        });
+
+        // Work out every receipt before posting any, so a bad amount does not leave half a sheet posted
+        const postings = [];
+        for (const account of summary.accounts) {
+            if (!account.cashReceiptId) {
+                const amount = collected.get(refId(account.accountId)) || 0;
+                account.recoveryAmount = amount;
+
+                if (amount > 0) {
+                    const invoices = await Invoice.find({
+                        _id: { $in: account.invoices.map(line => line.invoiceId) },
+                        status: 'confirmed'
+                    })
+                        .select('invoiceNumber invoiceDate totals')
+                        .sort({ invoiceDate: 1 });
+
+                    const invoicePayments = [];
+                    let remaining = amount;
+                    invoices.forEach(invoice => {
+                        const dueAmount = roundAmount(invoice.totals.grandTotal - (invoice.totals.paidAmount || 0));
+                        if (remaining > 0 && dueAmount > 0) {
+                            const paidAmount = roundAmount(Math.min(dueAmount, remaining));
+                            invoicePayments.push({ invoiceId: invoice._id, paidAmount });
+                            remaining = roundAmount(remaining - paidAmount);
+                        }
+                    });
+
+                    if (remaining > 0) {
+                        throw new AppError(
+                            `Recovery of ${amount} from account ${refId(account.accountId)} is more than the `
+                            + `${roundAmount(amount - remaining)} still due on its invoices`,
+                            400
+                        );
+                    }
+
+                    postings.push({ account, amount, invoicePayments });
+                }
+            }
+        }
+
+        for (const posting of postings) {
+            const receiptNumber = await CashReceipt.generateReceiptNumber();
+
+            // Each receipt commits with its line on the sheet, so a retry picks up where a failure left off
+            await runInTransaction(async (session) => {
+                const receipt = await cashReceiptService.applyPaymentToInvoices({
+                    receiptNumber,
+                    receiptDate: summary.date,
+                    customerId: refId(posting.account.accountId),
+                    amount: posting.amount,
+                    paymentMethod: 'cash',
+                    invoicePayments: posting.invoicePayments,
+                    salesmanId: summary.salesmanId,
+                    description: `Recovery ${summary.town} ${new Date(summary.date).toLocaleDateString()}`,
+                    createdBy
+                }, { session });
+
+                posting.account.cashReceiptId = receipt._id;
+                posting.invoicePayments.forEach(payment => {
+                    const line = posting.account.invoices
+                        .find(entry => refId(entry.invoiceId) === refId(payment.invoiceId));
+                    line.recoveredAmount = payment.paidAmount;
+                });
+
+                await summary.save({ session });
+            });
+        }
+
+        summary.receiptsTotal = roundAmount(summary.accounts
+            .filter(account => account.cashReceiptId)
+            .reduce((sum, account) => sum + account.recoveryAmount, 0));
+        summary.status = 'posted';
+        summary.postedAt = new Date();
+        summary.postedBy = createdBy;
+        // The per-receipt transactions have ended; save outside them
+        await summary.save({ session: null });
+
+        await summary.populate('accounts.cashReceiptId', 'receiptNumber amount status');
+
+        return summary;
+    }
+
+    /**
+     * Count the cash a salesman handed over against the receipts posted from the sheet and
+     * flag any difference. Cancelled and bounced receipts do not count.
+     * @param {string} id - Recovery summary ID
+     * @param {Object} data - {cashHandedOver, notes, reconciledBy}
+     * @returns {Promise<Object>} Reconciled recovery summary
+     */
+    async reconcileCash(id, data) {
+        const { cashHandedOver, notes, reconciledBy } = data;
+
+        const summary = await RecoverySummary.findOne({ _id: id, isDeleted: false });
+        if (!summary) {
+            throw new AppError('Recovery summary not found', 404);
+        }
+        if (summary.status === 'open') {
+            throw new AppError('Post the recoveries before reconciling the cash handed over', 400);
+        }
+
+        const cash = Number(cashHandedOver);
+        if (cashHandedOver === undefined || cashHandedOver === null || !Number.isFinite(cash) || cash < 0) {
+            throw new AppError('Cash handed over is required and cannot be negative', 400);
+        }
+
+        const receiptIds = summary.accounts.map(account => account.cashReceiptId).filter(Boolean);
+        const receipts = await CashReceipt.find({
+            _id: { $in: receiptIds },
+            status: { $nin: VOID_RECEIPT_STATUSES }
+        }).select('amount');
+
+        const receiptsTotal = roundAmount(receipts.reduce((sum, receipt) => sum + receipt.amount, 0));
+        const cashDifference = roundAmount(cash - receiptsTotal);
+
+        summary.cashHandedOver = roundAmount(cash);
+        summary.receiptsTotal = receiptsTotal;
+        summary.cashDifference = cashDifference;
+        summary.hasCashDifference = Math.abs(cashDifference) >= 0.01;
+        summary.status = 'reconciled';
+        summary.reconciledAt = new Date();
+        summary.reconciledBy = reconciledBy;
+        if (notes !== undefined) {
+            summary.notes = notes;
+        }
+
+        await summary.save();
+
+        return summary;
+    }
 }
 
 module.exports = new RecoverySummaryService();
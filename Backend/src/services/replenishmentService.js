@@ -0,0 +1,432 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Invoice = require('../models/Invoice');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Warehouse = require('../models/Warehouse');
+const purchaseOrderService = require('./purchaseOrderService');
+const AppError = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+const OPEN_PO_STATUSES = ['draft', 'pending', 'approved'];
+const roundQuantity = value => Math.round(value * 1000) / 1000;
+const roundAmount = value => Math.round(value * 100) / 100;
+const toObjectIds = ids => ids.map(id => new mongoose.Types.ObjectId(id));
+const stockKey = (itemId, warehouseId) => `${itemId}:${warehouseId}`;
+
+/**
+ * Replenishment Service
+ * Reorder suggestions per item and warehouse, and draft purchase orders raised from them.
+ *
+ * For each stocked item in a warehouse:
+ *   safety stock  = max(minimum stock, average daily sales x safety days)
+ *   reorder point = average daily sales x supplier lead time + safety stock
+ *   target level  = reorder point + average daily sales x cover days, capped at maximum stock
+ * An order is suggested when stock on hand plus stock on order falls below the reorder point,
+ * for the quantity that brings it up to the target level, rounded up to whole packs.
+ */
+class ReplenishmentService {
+  /**
+   * Compute reorder suggestions
+   * @param {Object} [options] - Options
+   * @param {string} [options.warehouseId] - Only this warehouse
+   * @param {Array} [options.itemIds] - Only these items
+   * @param {string} [options.supplierId] - Only items supplied by this supplier
+   * @param {number} [options.lookbackDays=90] - Sales history used for the daily average
+   * @param {number} [options.safetyDays=7] - Days of sales held as safety stock
+   * @param {number} [options.coverDays=30] - Days of sales an order should cover beyond the reorder point
+   * @param {Date} [options.asOfDate] - Date the sales history ends (default now)
+   * @returns {Promise<Object>} Suggestions grouped by supplier, and those with no known supplier
+   */
+  async getReorderSuggestions(options = {}) {
+    const lookbackDays = this.parseDays(options.lookbackDays, 90, 'Lookback days', 1);
+    const safetyDays = this.parseDays(options.safetyDays, 7, 'Safety days', 0);
+    const coverDays = this.parseDays(options.coverDays, 30, 'Cover days', 0);
+    const asOfDate = options.asOfDate ? new Date(options.asOfDate) : new Date();
+    const parameters = {
+      lookbackDays,
+      safetyDays,
+      coverDays,
+      asOfDate
+    };
+
+    const stock = await this.getStockPositions(options);
+    if (stock.length === 0) {
+      return this.groupSuggestions([], parameters);
+    }
+
+    const itemIds = [...new Set(stock.map(record => String(record.item._id)))];
+    const [sales, onOrder, lastPurchases] = await Promise.all([
+      this.getSalesByItemAndWarehouse(itemIds, asOfDate, lookbackDays),
+      this.getOpenOrderQuantities(itemIds),
+      this.getLastPurchases(itemIds)
+    ]);
+
+    const supplierIds = new Set();
+    stock.forEach((record) => {
+      const lastPurchase = lastPurchases.get(String(record.item._id));
+      const supplierId = record.item.preferredSupplier || (lastPurchase && lastPurchase.supplierId);
+      if (supplierId) supplierIds.add(String(supplierId));
+    });
+    const suppliers = await Supplier.find({ _id: { $in: [...supplierIds] }, isActive: true })
+      .select('code name leadTimeDays')
+      .lean();
+    const suppliersById = new Map(suppliers.map(supplier => [String(supplier._id), supplier]));
+
+    const positions = stock.map((record) => {
+      const { item } = record;
+      const itemId = String(item._id);
+      const warehouseId = String(record.warehouse._id);
+      const lastPurchase = lastPurchases.get(itemId);
+      const supplierId = item.preferredSupplier || (lastPurchase && lastPurchase.supplierId);
+      const supplier = supplierId ? suppliersById.get(String(supplierId)) : null;
+      const leadTimeDays = supplier && supplier.leadTimeDays != null
+        ? supplier.leadTimeDays
+        : DEFAULT_LEAD_TIME_DAYS;
+
+      const averageDailySales = (sales.get(stockKey(itemId, warehouseId)) || 0) / lookbackDays;
+      const inventory = item.inventory || {};
+      const safetyStock = Math.max(inventory.minimumStock || 0, averageDailySales * safetyDays);
+      const reorderPoint = averageDailySales * leadTimeDays + safetyStock;
+      const coverLevel = reorderPoint + averageDailySales * coverDays;
+      const targetLevel = inventory.maximumStock
+        ? Math.max(reorderPoint, Math.min(inventory.maximumStock, coverLevel))
+        : coverLevel;
+
+      return {
+        record,
+        item,
+        itemId,
+        warehouseId,
+        supplier,
+        leadTimeDays,
+        averageDailySales,
+        safetyStock,
+        reorderPoint,
+        targetLevel,
+        onHand: record.quantity || 0,
+        onOrder: onOrder.byWarehouse.get(stockKey(itemId, warehouseId)) || 0,
+        unitPrice: lastPurchase && lastPurchase.unitPrice != null
+          ? lastPurchase.unitPrice
+          : (item.pricing && item.pricing.costPrice) || 0
+      };
+    });
+
+    this.allocateUntargetedOrders(positions, onOrder.untargeted);
+
+    const suggestions = positions
+      .filter((position) => {
+        if (!options.supplierId) return true;
+        return position.supplier && String(position.supplier._id) === String(options.supplierId);
+      })
+      .map(position => this.buildSuggestion(position))
+      .filter(Boolean);
+
+    return this.groupSuggestions(suggestions, parameters);
+  }
+
+  /**
+   * Raise draft purchase orders from the current reorder suggestions, one per supplier and warehouse
+   * @param {Object} [options] - Same options as getReorderSuggestions
+   * @param {string} userId - User raising the orders
+   * @returns {Promise<Object>} Purchase orders created and the suggestions left without a supplier
+   */
+  async generateDraftPurchaseOrders(options, userId) {
+    const result = await this.getReorderSuggestions(options);
+
+    const purchaseOrders = [];
+    for (const group of result.suppliers) {
+      const byWarehouse = new Map();
+      group.suggestions.forEach((suggestion) => {
+        const lines = byWarehouse.get(suggestion.warehouse._id) || [];
+        lines.push(suggestion);
+        byWarehouse.set(suggestion.warehouse._id, lines);
+      });
+
+      for (const [warehouseId, lines] of byWarehouse) {
+        const purchaseOrder = await purchaseOrderService.createPurchaseOrder({
+          supplierId: group.supplier._id,
+          warehouseId,
+          items: lines.map(line => ({
+            itemId: line.item._id,
+            quantity: line.suggestedQuantity,
+            unitPrice: line.unitPrice
+          })),
+          notes: `Raised from reorder suggestions for ${lines[0].warehouse.name || 'warehouse'}`,
+          createdBy: userId
+        });
+        purchaseOrders.push(purchaseOrder);
+      }
+    }
+
+    return {
+      purchaseOrders,
+      unassigned: result.unassigned
+    };
+  }
+
+  /**
+   * Inventory records in scope, with the item and warehouse populated
+   * Transit warehouses and inactive items are left out.
+   * @param {Object} options - Scope options
+   * @returns {Promise<Array>} Inventory records
+   */
+  async getStockPositions(options) {
+    const transitWarehouses = await Warehouse.find({ isTransit: true }).select('_id').lean();
+    const warehouseFilter = { $nin: transitWarehouses.map(warehouse => warehouse._id) };
+    if (options.warehouseId) {
+      warehouseFilter.$eq = options.warehouseId;
+    }
+
+    const query = { warehouse: warehouseFilter };
+    if (Array.isArray(options.itemIds) && options.itemIds.length > 0) {
+      query.item = { $in: options.itemIds };
+    }
+
+    const records = await Inventory.find(query)
+      .populate('item', 'code name unit packSize inventory pricing preferredSupplier isActive')
+      .populate('warehouse', 'code name')
+      .lean();
+
+    return records.filter(record => record.item && record.item.isActive !== false && record.warehouse);
+  }
+
+  /**
+   * Quantity sold per item and warehouse over the lookback window
+   * Lines picked by batch count against the warehouse of each batch; other lines against their
+   * own warehouse. Lines with no warehouse at all are not counted.
+   * @param {Array} itemIds - Item IDs
+   * @param {Date} asOfDate - End of the window
+   * @param {number} lookbackDays - Length of the window
+   * @returns {Promise<Map>} Quantity sold keyed by item and warehouse
+   */
+  async getSalesByItemAndWarehouse(itemIds, asOfDate, lookbackDays) {
+    const rows = await Invoice.aggregate([
+      {
+        $match: {
+          type: 'sales',
+          status: { $in: ['confirmed', 'paid'] },
+          invoiceDate: { $gte: new Date(asOfDate.getTime() - lookbackDays * DAY_MS), $lte: asOfDate },
+          'items.itemId': { $in: toObjectIds(itemIds) }
+        }
+      },
+      { $unwind: '$items' },
+      { $match: { 'items.itemId': { $in: toObjectIds(itemIds) } } },
+      {
+        $project: {
+          itemId: '$items.itemId',
+          picks: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$items.batchAllocations', []] } }, 0] },
+              '$items.batchAllocations',
+              [{ warehouseId: '$items.warehouseId', quantity: '$items.quantity' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$picks' },
+      { $match: { 'picks.warehouseId': { $ne: null } } },
+      {
+        $group: {
+          _id: { itemId: '$itemId', warehouseId: '$picks.warehouseId' },
+          quantity: { $sum: '$picks.quantity' }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [stockKey(row._id.itemId, row._id.warehouseId), row.quantity]));
+  }
+
+  /**
+   * Quantity still to be received on open purchase orders
+   * @param {Array} itemIds - Item IDs
+   * @returns {Promise<Object>} { byWarehouse: Map keyed by item and warehouse, untargeted: Map keyed by item }
+   */
+  async getOpenOrderQuantities(itemIds) {
+    const orders = await PurchaseOrder.find({
+      isDeleted: false,
+      status: { $in: OPEN_PO_STATUSES },
+      fulfillmentStatus: { $ne: 'fulfilled' },
+      'items.itemId': { $in: itemIds }
+    })
+      .select('warehouseId items.itemId items.pendingQuantity')
+      .lean();
+
+    const wanted = new Set(itemIds.map(String));
+    const byWarehouse = new Map();
+    const untargeted = new Map();
+    orders.forEach((order) => {
+      order.items.forEach((line) => {
+        const itemId = String(line.itemId);
+        if (!wanted.has(itemId) || !(line.pendingQuantity > 0)) return;
+
+        if (order.warehouseId) {
+          const key = stockKey(itemId, order.warehouseId);
+          byWarehouse.set(key, (byWarehouse.get(key) || 0) + line.pendingQuantity);
+        } else {
+          untargeted.set(itemId, (untargeted.get(itemId) || 0) + line.pendingQuantity);
+        }
+      });
+    });
+
+    return { byWarehouse, untargeted };
+  }
+
+  /**
+   * Supplier and unit price of the latest confirmed purchase of each item
+   * @param {Array} itemIds - Item IDs
+   * @returns {Promise<Map>} { supplierId, unitPrice } keyed by item
+   */
+  async getLastPurchases(itemIds) {
+    const rows = await Invoice.aggregate([
+      {
+        $match: {
+          type: 'purchase',
+          status: { $in: ['confirmed', 'paid'] },
+          'items.itemId': { $in: toObjectIds(itemIds) }
+        }
+      },
+      { $sort: { invoiceDate: -1, createdAt: -1 } },
+      { $unwind: '$items' },
+      { $match: { 'items.itemId': { $in: toObjectIds(itemIds) } } },
+      {
+        $group: {
+          _id: '$items.itemId',
+          supplierId: { $first: '$supplierId' },
+          unitPrice: { $first: '$items.unitPrice' }
+        }
+      }
+    ]);
+
+    return new Map(rows.map(row => [String(row._id), { supplierId: row.supplierId, unitPrice: row.unitPrice }]));
+  }
+
+  /**
+   * Spread stock on order without a warehouse over the item's warehouses, neediest first
+   * @param {Array} positions - Stock positions, updated in place
+   * @param {Map} untargeted - Quantity on order without a warehouse, keyed by item
+   */
+  allocateUntargetedOrders(positions, untargeted) {
+    untargeted.forEach((quantity, itemId) => {
+      let remaining = quantity;
+      const candidates = positions
+        .filter(position => position.itemId === itemId)
+        .sort((a, b) => (b.targetLevel - b.onHand - b.onOrder) - (a.targetLevel - a.onHand - a.onOrder));
+
+      for (const position of candidates) {
+        if (remaining <= 0) break;
+        const shortfall = Math.max(0, position.targetLevel - position.onHand - position.onOrder);
+        const allocated = Math.min(shortfall, remaining);
+        position.onOrder += allocated;
+        remaining -= allocated;
+      }
+
+      // Anything left over is still stock on its way; count it against the neediest warehouse
+      if (remaining > 0 && candidates.length > 0) {
+        candidates[0].onOrder += remaining;
+      }
+    });
+  }
+
+  /**
+   * Turn a stock position into a suggestion, or null when no order is needed
+   * @param {Object} position - Stock position
+   * @returns {Object|null} Suggestion
+   */
+  buildSuggestion(position) {
+    const {
+      item, record, supplier, onHand, onOrder, reorderPoint, targetLevel
+    } = position;
+    const stockPosition = onHand + onOrder;
+    if (!(stockPosition < reorderPoint) || targetLevel <= stockPosition) {
+      return null;
+    }
+
+    const packSize = item.packSize || 1;
+    const suggestedQuantity = Math.ceil(roundQuantity((targetLevel - stockPosition) / packSize)) * packSize;
+
+    return {
+      item: {
+        _id: item._id,
+        code: item.code,
+        name: item.name,
+        unit: item.unit,
+        packSize
+      },
+      warehouse: {
+        _id: String(record.warehouse._id),
+        code: record.warehouse.code,
+        name: record.warehouse.name
+      },
+      supplier: supplier
+        ? { _id: supplier._id, code: supplier.code, name: supplier.name }
+        : null,
+      leadTimeDays: position.leadTimeDays,
+      averageDailySales: roundQuantity(position.averageDailySales),
+      onHand,
+      onOrder: roundQuantity(onOrder),
+      safetyStock: roundQuantity(position.safetyStock),
+      reorderPoint: roundQuantity(reorderPoint),
+      targetLevel: roundQuantity(targetLevel),
+      suggestedQuantity,
+      unitPrice: position.unitPrice,
+      estimatedCost: roundAmount(suggestedQuantity * position.unitPrice)
+    };
+  }
+
+  /**
+   * Group suggestions by supplier
+   * @param {Array} suggestions - Suggestions
+   * @param {Object} parameters - Parameters the suggestions were computed with
+   * @returns {Object} Grouped suggestions with totals
+   */
+  groupSuggestions(suggestions, parameters) {
+    const groups = new Map();
+    const unassigned = [];
+    suggestions.forEach((suggestion) => {
+      if (!suggestion.supplier) {
+        unassigned.push(suggestion);
+        return;
+      }
+      const key = String(suggestion.supplier._id);
+      if (!groups.has(key)) {
+        groups.set(key, { supplier: suggestion.supplier, suggestions: [], estimatedCost: 0 });
+      }
+      const group = groups.get(key);
+      group.suggestions.push(suggestion);
+      group.estimatedCost = roundAmount(group.estimatedCost + suggestion.estimatedCost);
+    });
+
+    return {
+      parameters,
+      suppliers: [...groups.values()],
+      unassigned,
+      totals: {
+        suggestions: suggestions.length,
+        estimatedCost: roundAmount(suggestions.reduce((sum, suggestion) => sum + suggestion.estimatedCost, 0))
+      }
+    };
+  }
+
+  /**
+   * Parse a day-count option
+   * @param {*} value - Raw value
+   * @param {number} defaultValue - Value when not given
+   * @param {string} label - Name used in the error message
+   * @param {number} min - Smallest value accepted
+   * @returns {number} Number of days
+   */
+  parseDays(value, defaultValue, label, min) {
+    if (value === undefined || value === null || value === '') {
+      return defaultValue;
+    }
+    const days = Number(value);
+    if (!Number.isFinite(days) || days < min || days > 365) {
+      throw new AppError(`${label} must be between ${min} and 365`, 400);
+    }
+    return days;
+  }
+}
+
+module.exports = new ReplenishmentService();
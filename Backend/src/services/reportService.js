@@ -3,6 +3,8 @@ const Item = require('../models/Item');
 const Customer = require('../models/Customer');
 const Supplier = require('../models/Supplier');
 const Budget = require('../models/Budget');
+const targetService = require('./targetService');
+const { TARGET_SCOPES } = require('../constants/salesTarget');
 
 const normalizeStartDate = (dateStr) => {
   const date = new Date(dateStr);
@@ -2443,9 +2445,10 @@ class ReportService {
     const salesData = salesReport.salesBySalesman[0] || { totalSales: 0, invoiceCount: 0 };
     const collectionsData = collectionsReport.collectionsBySalesman[0] || { totalCollections: 0, receiptCount: 0 };
 
-    // Note: Targets would come from Salesman model when implemented
-    const salesTarget = 1000000; // Placeholder
-    const collectionsTarget = 800000; // Placeholder
+    // Stored salesman targets for the period, else the salesman's monthly sales target.
+    // Collections have no target yet.
+    const salesTarget = await targetService.getSalesmanValueTarget(salesmanId, startDate, endDate);
+    const collectionsTarget = 0;
 
     const salesAchievement = salesTarget > 0 ? Math.round((salesData.totalSales / salesTarget) * 10000) / 100 : 0;
     const collectionsAchievement = collectionsTarget > 0 ? Math.round((collectionsData.totalCollections / collectionsTarget) * 10000) / 100 : 0;
@@ -4195,6 +4198,9 @@ class ReportService {
     const averageSaleValue = totalSalesInvoices > 0 ? netSales / totalSalesInvoices : 0;
     const averageCollectionValue = totalCollectionReceipts > 0 ? totalCollections / totalCollectionReceipts : 0;
 
+    // Targets running at the end of the period, with run-rate projections
+    const targets = await targetService.getSalesmanTargetProgress(salesmanId, endDate ? new Date(endDate) : new Date());
+
     // Build dashboard response
     return {
       reportType: 'salesman_dashboard',
@@ -4230,6 +4236,7 @@ class ReportService {
         totalCommission: Math.round(totalCommission * 100) / 100,
         commissionRate: commissionRate
       },
+      targets,
       topCustomers,
       generatedAt: new Date()
     };
@@ -4831,12 +4838,12 @@ class ReportService {
    * @param {Date} dateRange.startDate - Start date
    * @param {Date} dateRange.endDate - End date
    * @param {Object} targets - Optional targets for the route
-   * @param {number} targets.salesTarget - Sales target amount
+   * @param {number} targets.salesTarget - Sales target amount (default: stored route targets for the period)
    * @param {number} targets.collectionTarget - Collection target amount
    * @param {number} targets.visitTarget - Number of customers to visit
    * @returns {Promise<Object>} Route performance report
    */
-  async getRoutePerformance(routeId, dateRange, targets = {}) {
+  async getRoutePerformance(routeId, dateRange, targets) {
     if (!routeId) {
       throw new Error('Route ID is required');
     }
@@ -4846,7 +4853,7 @@ class ReportService {
     }
 
     const { startDate, endDate } = dateRange;
-    const { salesTarget = 0, collectionTarget = 0, visitTarget = 0 } = targets;
+    const { collectionTarget = 0, visitTarget = 0 } = targets || {};
 
     // Validate route exists
     const Route = require('../models/Route');
@@ -4855,6 +4862,13 @@ class ReportService {
       throw new Error('Route not found');
     }
 
+    // Without an ad-hoc sales target, use the route targets set for the period
+    let { salesTarget } = targets || {};
+    if (salesTarget === undefined) {
+      const stored = await targetService.getValueTarget({ scope: TARGET_SCOPES.ROUTE, routeId }, startDate, endDate);
+      salesTarget = stored || 0;
+    }
+
     // Get all customers on this route
     const customers = await Customer.find({ routeId, isActive: true });
     const customerIds = customers.map(c => c._id);
@@ -0,0 +1,539 @@
+const BeatPlan = require('../models/BeatPlan');
+const VisitSheet = require('../models/VisitSheet');
+const Route = require('../models/Route');
+const Customer = require('../models/Customer');
+const Salesman = require('../models/Salesman');
+const Invoice = require('../models/Invoice');
+const reportService = require('./reportService');
+const {
+  WEEKDAYS,
+  VISIT_SHEET_STATUS,
+  VISIT_OUTCOMES,
+  NO_ORDER_REASONS
+} = require('../constants/routePlanning');
+const AppError = require('../utils/appError');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+
+// Outcomes meaning the salesman did not get to the shop
+const MISSED_OUTCOMES = [VISIT_OUTCOMES.PENDING, VISIT_OUTCOMES.NOT_VISITED];
+
+/**
+ * Midnight at the start of a date
+ * @param {Date|string} [date] - Date (default: today)
+ * @returns {Date} Start of the day
+ */
+const startOfDay = (date) => {
+  const day = date ? new Date(date) : new Date();
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Route Planning Service
+ * Weekday beat plans for routes, the daily visit sheets generated from them, visit outcomes
+ * and the shops left unvisited
+ */
+class RoutePlanningService {
+  /**
+   * Check the calling order of a beat plan: every shop once, all on the route
+   * @param {string} routeId - Route ID
+   * @param {Array} customers - [{customerId, sequence}] or customer IDs; sequence defaults to list order
+   * @returns {Promise<Array>} Stops in calling order
+   */
+  async validateStops(routeId, customers) {
+    if (!Array.isArray(customers) || customers.length === 0) {
+      throw new AppError('A beat plan needs at least one customer', 400);
+    }
+
+    const stops = customers.map((entry, index) => {
+      const customerId = entry && entry.customerId ? entry.customerId : entry;
+      return {
+        customerId,
+        sequence: entry && entry.sequence !== undefined ? Number(entry.sequence) : index + 1
+      };
+    });
+
+    const ids = stops.map(stop => refId(stop.customerId));
+    if (new Set(ids).size !== ids.length) {
+      throw new AppError('A customer can only appear once on a beat plan', 400);
+    }
+
+    const onRoute = await Customer.find({ _id: { $in: ids }, routeId }).select('_id').lean();
+    const onRouteIds = new Set(onRoute.map(customer => refId(customer._id)));
+    const offRoute = ids.filter(id => !onRouteIds.has(id));
+    if (offRoute.length > 0) {
+      throw new AppError(`Customer(s) not on this route: ${offRoute.join(', ')}`, 400);
+    }
+
+    return stops.sort((a, b) => a.sequence - b.sequence);
+  }
+
+  /**
+   * Check a salesman exists and is active
+   * @param {string} salesmanId - Salesman ID
+   */
+  async validateSalesman(salesmanId) {
+    const salesman = await Salesman.findById(salesmanId);
+    if (!salesman) {
+      throw new AppError('Salesman not found', 404);
+    }
+    if (!salesman.isActive) {
+      throw new AppError(`Salesman ${salesman.name} is not active`, 400);
+    }
+  }
+
+  /**
+   * Create a beat plan for a route and weekday
+   * @param {Object} data - {routeId, weekday, salesmanId, customers, notes}
+   * @param {string} userId - User creating the plan
+   * @returns {Promise<Object>} Created beat plan
+   */
+  async createBeatPlan(data, userId) {
+    const {
+      routeId, weekday, salesmanId, customers, notes
+    } = data;
+
+    if (!WEEKDAYS.includes(weekday)) {
+      throw new AppError(`Weekday must be one of: ${WEEKDAYS.join(', ')}`, 400);
+    }
+
+    const route = await Route.findById(routeId);
+    if (!route) {
+      throw new AppError('Route not found', 404);
+    }
+    if (!route.isActive) {
+      throw new AppError(`Route ${route.name} is not active`, 400);
+    }
+
+    const existing = await BeatPlan.findOne({ routeId, weekday });
+    if (existing) {
+      throw new AppError(`Route ${route.name} already has a ${weekday} beat plan`, 409);
+    }
+
+    if (salesmanId) {
+      await this.validateSalesman(salesmanId);
+    }
+
+    const stops = await this.validateStops(routeId, customers);
+
+    return BeatPlan.create({
+      routeId,
+      weekday,
+      salesmanId: salesmanId || null,
+      customers: stops,
+      notes,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Update a beat plan. Visit sheets already generated are not changed.
+   * @param {string} id - Beat plan ID
+   * @param {Object} data - {salesmanId, customers, notes, isActive}
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Updated beat plan
+   */
+  async updateBeatPlan(id, data, userId) {
+    const plan = await BeatPlan.findById(id);
+    if (!plan) {
+      throw new AppError('Beat plan not found', 404);
+    }
+
+    if (data.customers !== undefined) {
+      plan.customers = await this.validateStops(plan.routeId, data.customers);
+    }
+    if (data.salesmanId !== undefined) {
+      if (data.salesmanId) {
+        await this.validateSalesman(data.salesmanId);
+      }
+      plan.salesmanId = data.salesmanId || null;
+    }
+    if (data.notes !== undefined) {
+      plan.notes = data.notes;
+    }
+    if (data.isActive !== undefined) {
+      plan.isActive = data.isActive === true || data.isActive === 'true';
+    }
+    plan.updatedBy = userId;
+
+    return plan.save();
+  }
+
+  /**
+   * Get beat plans
+   * @param {Object} [filters] - {routeId, salesmanId, weekday, isActive}
+   * @returns {Promise<Array>} Beat plans
+   */
+  async getBeatPlans(filters = {}) {
+    const query = {};
+    ['routeId', 'salesmanId', 'weekday'].forEach((field) => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === 'true';
+    }
+
+    return BeatPlan.find(query)
+      .populate('routeId', 'code name')
+      .populate('salesmanId', 'code name')
+      .sort({ routeId: 1, weekday: 1 });
+  }
+
+  /**
+   * Get a beat plan with its shops in calling order
+   * @param {string} id - Beat plan ID
+   * @returns {Promise<Object>} Beat plan
+   */
+  async getBeatPlanById(id) {
+    const plan = await BeatPlan.findById(id)
+      .populate('routeId', 'code name salesmanId')
+      .populate('salesmanId', 'code name')
+      .populate('customers.customerId', 'code name contactInfo');
+    if (!plan) {
+      throw new AppError('Beat plan not found', 404);
+    }
+    return plan;
+  }
+
+  /**
+   * Generate the visit sheets for a day from the beat plans for its weekday. A sheet already
+   * generated for the salesman, route and day is left as it is.
+   * @param {Object} options - {date (default: today), salesmanId, routeId}
+   * @param {string} userId - User generating the sheets
+   * @returns {Promise<Object>} {visitDate, weekday, created, existing, skipped}
+   */
+  async generateVisitSheets(options, userId) {
+    const visitDate = startOfDay(options.date);
+    if (Number.isNaN(visitDate.getTime())) {
+      throw new AppError('A valid date is required', 400);
+    }
+    const weekday = WEEKDAYS[visitDate.getDay()];
+
+    const query = { weekday, isActive: true };
+    if (options.routeId) {
+      query.routeId = options.routeId;
+    }
+    const plans = await BeatPlan.find(query)
+      .populate('routeId', 'code name salesmanId isActive')
+      .lean();
+
+    const created = [];
+    const existing = [];
+    const skipped = [];
+
+    for (const plan of plans) {
+      const route = plan.routeId;
+      const salesmanId = plan.salesmanId || (route && route.salesmanId);
+
+      if (!route || !route.isActive) {
+        skipped.push({ beatPlanId: plan._id, reason: 'Route is not active' });
+      } else if (!salesmanId) {
+        skipped.push({ beatPlanId: plan._id, reason: `No salesman works route ${route.name}` });
+      } else if (!options.salesmanId || refId(salesmanId) === refId(options.salesmanId)) {
+        const sheet = await VisitSheet.findOne({ salesmanId: refId(salesmanId), routeId: route._id, visitDate });
+        if (sheet) {
+          existing.push(sheet);
+        } else {
+          created.push(await this.createVisitSheet(plan, refId(salesmanId), visitDate, userId));
+        }
+      }
+    }
+
+    return {
+      visitDate, weekday, created, existing, skipped
+    };
+  }
+
+  /**
+   * Create one visit sheet from a beat plan, with each shop's outstanding bills
+   * @param {Object} plan - Beat plan with its route populated
+   * @param {string} salesmanId - Salesman working the sheet
+   * @param {Date} visitDate - Day of the sheet
+   * @param {string} userId - User generating the sheet
+   * @returns {Promise<Object>} Created visit sheet
+   */
+  async createVisitSheet(plan, salesmanId, visitDate, userId) {
+    const dueReport = await reportService.getRouteDueInvoices(plan.routeId._id);
+    const dueByCustomer = new Map(dueReport.visitPlan.map(entry => [refId(entry.customer._id), entry]));
+
+    const visits = [...plan.customers]
+      .sort((a, b) => a.sequence - b.sequence)
+      .map((stop) => {
+        const due = dueByCustomer.get(refId(stop.customerId));
+        return {
+          customerId: stop.customerId,
+          sequence: stop.sequence,
+          dueAmount: due ? due.totalDue : 0,
+          overdueAmount: due ? due.overdueAmount : 0,
+          dueInvoices: due
+            ? due.invoices.map(invoice => ({
+              invoiceId: invoice.invoiceId,
+              invoiceNumber: invoice.invoiceNumber,
+              invoiceDate: invoice.invoiceDate,
+              dueDate: invoice.dueDate,
+              amount: invoice.amount,
+              daysOverdue: invoice.daysOverdue
+            }))
+            : [],
+          outcome: VISIT_OUTCOMES.PENDING
+        };
+      });
+
+    return VisitSheet.create({
+      visitDate,
+      salesmanId,
+      routeId: plan.routeId._id,
+      beatPlanId: plan._id,
+      visits,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Get visit sheets
+   * @param {Object} [filters] - {salesmanId, routeId, status, startDate, endDate}
+   * @param {number} [page] - Page number
+   * @param {number} [limit] - Page size
+   * @returns {Promise<Object>} {sheets, pagination}
+   */
+  async getVisitSheets(filters = {}, page = 1, limit = 10) {
+    const query = {};
+    ['salesmanId', 'routeId', 'status'].forEach((field) => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+    if (filters.startDate || filters.endDate) {
+      query.visitDate = {};
+      if (filters.startDate) query.visitDate.$gte = startOfDay(filters.startDate);
+      if (filters.endDate) query.visitDate.$lte = startOfDay(filters.endDate);
+    }
+
+    const skip = (page - 1) * limit;
+    const [sheets, total] = await Promise.all([
+      VisitSheet.find(query)
+        .select('-visits.dueInvoices')
+        .populate('salesmanId', 'code name')
+        .populate('routeId', 'code name')
+        .sort({ visitDate: -1 })
+        .skip(skip)
+        .limit(limit),
+      VisitSheet.countDocuments(query)
+    ]);
+
+    return {
+      sheets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a visit sheet with its shops and their outstanding bills
+   * @param {string} id - Visit sheet ID
+   * @returns {Promise<Object>} Visit sheet
+   */
+  async getVisitSheetById(id) {
+    const sheet = await VisitSheet.findById(id)
+      .populate('salesmanId', 'code name')
+      .populate('routeId', 'code name')
+      .populate('visits.customerId', 'code name contactInfo');
+    if (!sheet) {
+      throw new AppError('Visit sheet not found', 404);
+    }
+    return sheet;
+  }
+
+  /**
+   * Record how a visit to a shop went
+   * @param {string} sheetId - Visit sheet ID
+   * @param {string} customerId - Customer visited
+   * @param {Object} data - {outcome, noOrderReason, orderInvoiceId, collectedAmount, cashReceiptId, visitedAt, notes}
+   * @returns {Promise<Object>} Updated visit sheet
+   */
+  async recordVisit(sheetId, customerId, data) {
+    const sheet = await VisitSheet.findById(sheetId);
+    if (!sheet) {
+      throw new AppError('Visit sheet not found', 404);
+    }
+    if (sheet.status !== VISIT_SHEET_STATUS.OPEN) {
+      throw new AppError(`Visit sheet ${sheet.sheetNumber} is closed`, 400);
+    }
+
+    const visit = sheet.visits.find(entry => refId(entry.customerId) === refId(customerId));
+    if (!visit) {
+      throw new AppError('Customer is not on this visit sheet', 404);
+    }
+
+    const {
+      outcome, noOrderReason, orderInvoiceId, collectedAmount, cashReceiptId, visitedAt, notes
+    } = data;
+    const recordable = Object.values(VISIT_OUTCOMES).filter(value => !MISSED_OUTCOMES.includes(value));
+    if (!recordable.includes(outcome)) {
+      throw new AppError(`Outcome must be one of: ${recordable.join(', ')}`, 400);
+    }
+    if (outcome === VISIT_OUTCOMES.NO_ORDER && !Object.values(NO_ORDER_REASONS).includes(noOrderReason)) {
+      throw new AppError(`No order reason must be one of: ${Object.values(NO_ORDER_REASONS).join(', ')}`, 400);
+    }
+
+    const collected = Number(collectedAmount || 0);
+    if (!Number.isFinite(collected) || collected < 0) {
+      throw new AppError('Collected amount cannot be negative', 400);
+    }
+    if (outcome === VISIT_OUTCOMES.PAYMENT_COLLECTED && collected <= 0) {
+      throw new AppError('Enter the amount collected', 400);
+    }
+
+    if (orderInvoiceId) {
+      const invoice = await Invoice.findById(orderInvoiceId).select('type customerId').lean();
+      if (!invoice || invoice.type !== 'sales' || refId(invoice.customerId) !== refId(customerId)) {
+        throw new AppError('Order must be a sales invoice for this customer', 400);
+      }
+    }
+
+    visit.outcome = outcome;
+    visit.noOrderReason = outcome === VISIT_OUTCOMES.NO_ORDER ? noOrderReason : null;
+    visit.orderInvoiceId = orderInvoiceId || undefined;
+    visit.collectedAmount = roundAmount(collected);
+    visit.cashReceiptId = cashReceiptId || undefined;
+    visit.visitedAt = visitedAt ? new Date(visitedAt) : new Date();
+    if (notes !== undefined) {
+      visit.notes = notes;
+    }
+
+    return sheet.save();
+  }
+
+  /**
+   * Close a visit sheet; shops not called on are marked not visited
+   * @param {string} id - Visit sheet ID
+   * @param {string} userId - User closing the sheet
+   * @returns {Promise<Object>} Closed visit sheet
+   */
+  async closeVisitSheet(id, userId) {
+    const sheet = await VisitSheet.findById(id);
+    if (!sheet) {
+      throw new AppError('Visit sheet not found', 404);
+    }
+    if (sheet.status !== VISIT_SHEET_STATUS.OPEN) {
+      throw new AppError(`Visit sheet ${sheet.sheetNumber} is already closed`, 400);
+    }
+
+    for (const visit of sheet.visits) {
+      if (visit.outcome === VISIT_OUTCOMES.PENDING) {
+        visit.outcome = VISIT_OUTCOMES.NOT_VISITED;
+      }
+    }
+    sheet.status = VISIT_SHEET_STATUS.CLOSED;
+    sheet.closedAt = new Date();
+    sheet.closedBy = userId;
+
+    return sheet.save();
+  }
+
+  /**
+   * Shops on visit sheets that were not called on, with beat coverage by salesman
+   * @param {Object} filters - {startDate, endDate (default: startDate), salesmanId, routeId}
+   * @returns {Promise<Object>} Unvisited customers report
+   */
+  async getUnvisitedCustomers(filters = {}) {
+    if (!filters.startDate) {
+      throw new AppError('Start date is required', 400);
+    }
+    const startDate = startOfDay(filters.startDate);
+    const endDate = startOfDay(filters.endDate || filters.startDate);
+
+    const query = { visitDate: { $gte: startDate, $lte: endDate } };
+    if (filters.salesmanId) {
+      query.salesmanId = filters.salesmanId;
+    }
+    if (filters.routeId) {
+      query.routeId = filters.routeId;
+    }
+
+    const sheets = await VisitSheet.find(query)
+      .populate('salesmanId', 'code name')
+      .populate('routeId', 'code name')
+      .populate('visits.customerId', 'code name contactInfo')
+      .sort({ visitDate: 1 })
+      .lean();
+
+    const bySalesman = new Map();
+    const byCustomer = new Map();
+    let planned = 0;
+    let missed = 0;
+
+    sheets.forEach((sheet) => {
+      const salesmanKey = refId(sheet.salesmanId);
+      if (!bySalesman.has(salesmanKey)) {
+        bySalesman.set(salesmanKey, {
+          salesman: sheet.salesmanId, plannedVisits: 0, completedVisits: 0, missedVisits: 0
+        });
+      }
+      const coverage = bySalesman.get(salesmanKey);
+
+      sheet.visits.forEach((visit) => {
+        planned += 1;
+        coverage.plannedVisits += 1;
+        if (!MISSED_OUTCOMES.includes(visit.outcome)) {
+          coverage.completedVisits += 1;
+          return;
+        }
+
+        missed += 1;
+        coverage.missedVisits += 1;
+        const customerKey = refId(visit.customerId);
+        if (!byCustomer.has(customerKey)) {
+          byCustomer.set(customerKey, {
+            customer: visit.customerId,
+            route: sheet.routeId,
+            salesman: sheet.salesmanId,
+            missedVisits: 0,
+            missedDates: [],
+            dueAmount: 0,
+            overdueAmount: 0
+          });
+        }
+        const entry = byCustomer.get(customerKey);
+        entry.missedVisits += 1;
+        entry.missedDates.push(sheet.visitDate);
+        // Outstanding as of the latest sheet the shop was missed on
+        entry.dueAmount = visit.dueAmount || 0;
+        entry.overdueAmount = visit.overdueAmount || 0;
+      });
+    });
+
+    const coverageBySalesman = [...bySalesman.values()].map(entry => ({
+      ...entry,
+      coveragePercent: entry.plannedVisits > 0
+        ? roundAmount((entry.completedVisits / entry.plannedVisits) * 100)
+        : 0
+    }));
+
+    return {
+      reportType: 'unvisited_customers',
+      period: { startDate, endDate },
+      summary: {
+        sheets: sheets.length,
+        plannedVisits: planned,
+        completedVisits: planned - missed,
+        missedVisits: missed,
+        coveragePercent: planned > 0 ? roundAmount(((planned - missed) / planned) * 100) : 0
+      },
+      coverageBySalesman,
+      unvisitedCustomers: [...byCustomer.values()]
+        .sort((a, b) => b.missedVisits - a.missedVisits || b.overdueAmount - a.overdueAmount),
+      generatedAt: new Date()
+    };
+  }
+}
+
+module.exports = new RoutePlanningService();
@@ -6,8 +6,19 @@ const stockMovementRepository = require('../repositories/stockMovementRepository
 const ledgerService = require('./ledgerService');
 const accountService = require('./accountService');
 const discountCalculationService = require('./discountCalculationService');
+const batchService = require('./batchService');
+const fiscalPeriodService = require('./fiscalPeriodService');
+const approvalService = require('./approvalService');
+const inventoryValuationService = require('./inventoryValuationService');
+const stockReservationService = require('./stockReservationService');
+const priceListService = require('./priceListService');
+const creditControlService = require('./creditControlService');
+const { STOCK_RESERVATION_STATUS } = require('../constants/stockReservationStatus');
+const { ORDER_SOURCES } = require('../constants/customerPortal');
+const { runInTransaction } = require('../utils/transaction');
 const Item = require('../models/Item');
 const Warehouse = require('../models/Warehouse');
+const CashReceipt = require('../models/CashReceipt');
 
 /**
  * Sales Invoice Service
@@ -26,10 +37,13 @@ class SalesInvoiceService {
    * @param {string} invoiceData.poId - Optional Purchase Order ID
    * @param {string} invoiceData.poNumber - Optional Purchase Order Number
    * @param {string} invoiceData.salesmanId - Optional Salesman ID
+   * @param {string} invoiceData.orderSource - Optional order source (default 'staff')
+   * @param {string} invoiceData.portalUserId - Optional portal login that requested the order
    * @returns {Promise<Object>} Created invoice
    */
   async createSalesInvoice(invoiceData) {
     const { customerId, items, createdBy, invoiceDate, dueDate, notes, poId, poNumber, salesmanId, status: requestedStatus } = invoiceData;
+    const { orderSource, portalUserId } = invoiceData;
 
     // Validate required fields
     if (!customerId) {
@@ -42,6 +56,9 @@ class SalesInvoiceService {
       throw new Error('Created by user ID is required');
     }
 
+    // Invoices cannot be dated inside a closed accounting period
+    await fiscalPeriodService.assertPeriodOpen(invoiceDate, 'Invoice');
+
     // Validate customer exists and is active
     const customer = await customerService.getCustomerById(customerId);
     if (!customer.isActive) {
@@ -59,8 +76,8 @@ class SalesInvoiceService {
       linkedPO = await this.validateAndLinkPO(poId);
     }
 
-    // Validate and calculate items
-    const processedItems = await this.processInvoiceItems(items);
+    // Validate and calculate items, pricing from the customer's price lists
+    const processedItems = await this.processInvoiceItems(items, { customer, invoiceDate });
 
     // Calculate totals
     const totals = this.calculateInvoiceTotals(processedItems, customer);
@@ -68,10 +85,20 @@ class SalesInvoiceService {
     // Validate credit limit
     await this.validateCreditLimit(customerId, totals.grandTotal);
 
+    // Check the approval rules (credit exposure, discounts, below-cost prices)
+    const brokenRules = await approvalService.evaluateSalesInvoice({
+      customerId,
+      invoiceDate,
+      items: processedItems,
+      totals
+    });
+    const approvalReasons = await approvalService.reasonsNeedingApproval(brokenRules, createdBy);
+
     // Generate invoice number
     const invoiceNumber = await invoiceRepository.generateInvoiceNumber('sales');
 
-    // Prepare invoice data - always start as 'draft'
+    // Prepare invoice data - always start as 'draft'; an invoice breaking an approval
+    // rule is moved to 'pending_approval' right after it is created
     const invoice = {
       invoiceNumber,
       type: 'sales',
@@ -86,12 +113,21 @@ class SalesInvoiceService {
       poId: poId || null,
       poNumber: poNumber || (linkedPO ? linkedPO.poNumber : null),
       salesmanId: salesmanId || null,
+      orderSource: orderSource || ORDER_SOURCES.STAFF,
+      portalUserId: portalUserId || null,
       createdBy
     };
 
     // Create invoice
     const createdInvoice = await invoiceRepository.create(invoice);
 
+    // Hold the invoice until approved; a requested confirmation happens on approval
+    if (approvalReasons.length > 0) {
+      return this.requestInvoiceApproval(createdInvoice, 'confirm', approvalReasons, createdBy, {
+        autoConfirm: requestedStatus === 'confirmed'
+      });
+    }
+
     // If frontend requested 'confirmed' status (e.g., POS/walk-in sales),
     // automatically confirm the invoice to handle inventory updates
     if (requestedStatus === 'confirmed') {
@@ -113,17 +149,28 @@ class SalesInvoiceService {
   /**
    * Process and validate invoice items with tax calculations
    * @param {Array} items - Array of invoice items
+   * @param {Object} [options] - Pricing options
+   * @param {Object} [options.customer] - Customer whose price lists apply; a line without a unit price
+   *   takes the list price, and a priced line must keep within the list's minimum price and maximum discount
+   * @param {Date} [options.invoiceDate] - Date the price lists must be in force on (default: now)
    * @returns {Promise<Array>} Processed items with calculations
    */
-  async processInvoiceItems(items) {
+  async processInvoiceItems(items, options = {}) {
     const processedItems = [];
     const inventoryService = require('./inventoryService');
 
+    const listPrices = options.customer
+      ? await priceListService.getPricesForCustomer(
+        options.customer,
+        items.map(item => item.itemId).filter(Boolean),
+        options.invoiceDate || new Date()
+      )
+      : new Map();
+
     for (const item of items) {
       const {
         itemId,
         quantity,
-        unitPrice,
         discount = 0, // Legacy single discount support
         discount1Percent = 0,
         discount2Percent = 0,
@@ -132,6 +179,12 @@ class SalesInvoiceService {
         warehouseId
       } = item;
 
+      // Lines left unpriced take the customer's list price
+      const listPrice = itemId ? listPrices.get(String(itemId)) : undefined;
+      const unitPrice = (item.unitPrice === undefined || item.unitPrice === null) && listPrice
+        ? listPrice.price
+        : item.unitPrice;
+
       // Validate item
       if (!itemId) {
         throw new Error('Item ID is required for all items');
@@ -181,6 +234,11 @@ class SalesInvoiceService {
         throw new Error(`Item ${itemDetails.name} (ID: ${itemId}) is not active and cannot be sold.`);
       }
 
+      // Recalled (quarantined) batches cannot be picked on a sale
+      if (batchInfo && batchInfo.batchNumber) {
+        await batchService.assertBatchSellable(itemId, batchInfo.batchNumber);
+      }
+
       // Validate warehouse and check stock availability if warehouse is specified
       if (warehouseId) {
         // Validate warehouse exists
@@ -208,6 +266,16 @@ class SalesInvoiceService {
         }
       }
 
+      // Contract prices carry a floor and a discount ceiling
+      if (listPrice) {
+        priceListService.assertWithinContract(listPrice, {
+          unitPrice,
+          discount1Percent: finalDiscount1Percent,
+          discount2Percent: finalDiscount2Percent,
+          itemName: itemDetails.name
+        });
+      }
+
       // Calculate line subtotal
       const lineSubtotal = quantity * unitPrice;
 
@@ -257,6 +325,8 @@ class SalesInvoiceService {
         lineTotal,
         batchInfo: batchInfo || {},
         warehouseId: warehouseId || null,
+        priceListId: listPrice ? listPrice.priceListId : null,
+        listPrice: listPrice ? listPrice.price : null,
         // Include claim account details if available
         claimAccount: discountResult.claimAccount || null
       });
@@ -364,6 +434,8 @@ class SalesInvoiceService {
 
   /**
    * Validate customer credit limit
+   * Credit sales are held while the customer has a bounced cheque that is not yet resolved
+   * or the credit policy has put the customer on hold
    * @param {string} customerId - Customer ID
    * @param {number} invoiceAmount - Invoice grand total
    * @returns {Promise<boolean>} Validation result
@@ -371,6 +443,25 @@ class SalesInvoiceService {
   async validateCreditLimit(customerId, invoiceAmount) {
     const customer = await customerService.getCustomerById(customerId);
 
+    const bouncedCheques = await CashReceipt.findUnresolvedBouncedCheques(customerId);
+    if (bouncedCheques && bouncedCheques.length > 0) {
+      const chequeNumbers = bouncedCheques.map(receipt => receipt.bankDetails.chequeNumber).join(', ');
+      const error = new Error(
+        `Customer is on credit hold for bounced cheque(s) ${chequeNumbers} until they are resolved`
+      );
+      error.code = 'BOUNCED_CHEQUE_HOLD';
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const creditStatus = creditControlService.getEffectiveStatus(customer);
+    if (creditStatus.status === 'hold') {
+      const error = new Error(`Customer is on credit hold: ${creditStatus.reasons.join('; ')}`);
+      error.code = 'CREDIT_HOLD';
+      error.statusCode = 422;
+      throw error;
+    }
+
     // If no credit limit set, allow transaction
     if (!customer.financialInfo.creditLimit || customer.financialInfo.creditLimit === 0) {
       return true;
@@ -440,10 +531,12 @@ class SalesInvoiceService {
   /**
    * Get sales invoice by ID
    * @param {string} id - Invoice ID
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Invoice
    */
-  async getSalesInvoiceById(id) {
-    const invoice = await invoiceRepository.findById(id);
+  async getSalesInvoiceById(id, options = {}) {
+    const invoice = await invoiceRepository.findById(id, options);
     if (!invoice) {
       throw new Error('Sales invoice not found');
     }
@@ -529,6 +622,14 @@ class SalesInvoiceService {
     // Get existing invoice
     const existingInvoice = await this.getSalesInvoiceById(id);
 
+    // The approver decides on the invoice as submitted
+    if (existingInvoice.status === 'pending_approval') {
+      const error = new Error('Cannot update invoice awaiting approval');
+      error.code = 'INVOICE_PENDING_APPROVAL';
+      error.statusCode = 422;
+      throw error;
+    }
+
     // Prevent updates to confirmed or paid invoices (except payment status updates)
     if ((existingInvoice.status === 'confirmed' || existingInvoice.status === 'paid') && updateData.items) {
       const error = new Error('Cannot modify confirmed invoice items');
@@ -537,18 +638,38 @@ class SalesInvoiceService {
       throw error;
     }
 
+    // Neither the current nor the new invoice date may fall in a closed period
+    await fiscalPeriodService.assertPeriodOpen(existingInvoice.invoiceDate, 'Invoice');
+    if (updateData.invoiceDate) {
+      await fiscalPeriodService.assertPeriodOpen(updateData.invoiceDate, 'Invoice');
+    }
+
     // If items are being updated, reprocess them
     if (updateData.items) {
-      updateData.items = await this.processInvoiceItems(updateData.items);
-
-      // Fetch customer to recalculate taxes
+      // Fetch customer to price from their lists and recalculate taxes
       const customerId = updateData.customerId || existingInvoice.customerId;
       const customer = await customerService.getCustomerById(customerId);
 
+      updateData.items = await this.processInvoiceItems(updateData.items, {
+        customer,
+        invoiceDate: updateData.invoiceDate || existingInvoice.invoiceDate
+      });
+
       updateData.totals = this.calculateInvoiceTotals(updateData.items, customer);
 
       // Revalidate credit limit if customer or total changed
       await this.validateCreditLimit(customerId, updateData.totals.grandTotal);
+
+      // An earlier approval does not cover the changed items; the rules are checked again on confirm
+      updateData.approval = {};
+
+      // Stock held for the old items is freed; reserve again for the new ones
+      await stockReservationService.releaseReservations(
+        existingInvoice._id,
+        STOCK_RESERVATION_STATUS.RELEASED,
+        null,
+        'Invoice items changed'
+      );
     }
 
     // Update invoice
@@ -568,6 +689,19 @@ class SalesInvoiceService {
       throw new Error('Cannot delete confirmed or paid invoices. Cancel the invoice instead.');
     }
 
+    if (invoice.status === 'pending_approval') {
+      throw new Error('Cannot delete invoice awaiting approval. Reject the approval request instead.');
+    }
+
+    await fiscalPeriodService.assertPeriodOpen(invoice.invoiceDate, 'Invoice');
+
+    await stockReservationService.releaseReservations(
+      invoice._id,
+      STOCK_RESERVATION_STATUS.RELEASED,
+      null,
+      'Invoice deleted'
+    );
+
     return invoiceRepository.delete(id);
   }
 
@@ -585,6 +719,7 @@ class SalesInvoiceService {
       paidAmount: 0,
       pendingAmount: 0,
       draftCount: 0,
+      pendingApprovalCount: 0,
       confirmedCount: 0,
       paidCount: 0,
       cancelledCount: 0
@@ -604,6 +739,10 @@ class SalesInvoiceService {
           result.draftCount = count;
           result.pendingAmount += amount;
           break;
+        case 'pending_approval':
+          result.pendingApprovalCount = count;
+          result.pendingAmount += amount;
+          break;
         case 'confirmed':
           result.confirmedCount = count;
           result.pendingAmount += amount;
@@ -623,55 +762,280 @@ class SalesInvoiceService {
 
   /**
    * Confirm sales invoice and update inventory
+   * Batches, stock movements, inventory, ledger entries and the invoice status
+   * are written in one transaction - either all of them post or none do.
+   * A draft that breaks an approval rule is not confirmed but sent for approval.
    * @param {string} id - Invoice ID
    * @param {string} userId - User ID performing the confirmation
    * @returns {Promise<Object>} Confirmed invoice with stock movements
    */
   async confirmSalesInvoice(id, userId) {
-    // Get the invoice
+    await this.assertConfirmationApproved(id, userId);
+
+    return runInTransaction(async (session) => {
+      // Get the invoice (read within the transaction so a retry sees the committed status)
+      const invoice = await this.getSalesInvoiceById(id, { session });
+
+      // Validate invoice status
+      if (invoice.status !== 'draft') {
+        throw new Error(`Cannot confirm invoice with status: ${invoice.status}. Only draft invoices can be confirmed.`);
+      }
+
+      await fiscalPeriodService.assertPeriodOpen(invoice.invoiceDate, 'Invoice');
+
+      // Validate credit limit
+      await this.validateCreditLimit(invoice.customerId, invoice.totals.grandTotal);
+
+      // Validate stock availability for all items; stock this invoice reserved is its own to use
+      await this.validateStockAvailability(invoice.items, { excludeSourceId: invoice._id, session });
+
+      // Pick batches earliest-expiry-first and write them back onto the lines
+      const allocatedItems = await this.allocateBatchesForInvoice(invoice, { session });
+
+      // Create stock movements for each item
+      const stockMovements = await this.createStockMovementsForInvoice(
+        { ...(typeof invoice.toObject === 'function' ? invoice.toObject() : invoice), items: allocatedItems },
+        userId,
+        { session }
+      );
+
+      // Update item inventory levels
+      await this.updateInventoryLevels(allocatedItems, 'subtract', { session });
+
+      // Create ledger entries for customer receivables
+      const ledgerEntries = await this.createLedgerEntriesForSalesInvoice(invoice, userId, { session });
+
+      // Cost the lines from the cost layers and move that cost from inventory to COGS
+      const costing = await inventoryValuationService.costInvoiceItems(allocatedItems, { session });
+      const costOfGoodsEntries = await this.createCostOfGoodsEntries(invoice, costing.totalCost, userId, { session });
+
+      // Update invoice status to confirmed
+      const confirmedInvoice = await invoiceRepository.update(id, {
+        items: costing.items,
+        'totals.costOfGoodsSold': costing.totalCost,
+        status: 'confirmed',
+        confirmedAt: new Date(),
+        confirmedBy: userId
+      }, { session });
+
+      // Stock held for this invoice has now been sold
+      await stockReservationService.releaseReservations(
+        invoice._id,
+        STOCK_RESERVATION_STATUS.CONVERTED,
+        userId,
+        `Invoiced on confirmation of ${invoice.invoiceNumber}`,
+        { session }
+      );
+
+      return {
+        invoice: confirmedInvoice,
+        stockMovements,
+        ledgerEntries,
+        costOfGoodsEntries
+      };
+    });
+  }
+
+  /**
+   * Make sure a draft invoice breaks no approval rule or has been approved
+   * A draft breaking a rule is moved to 'pending_approval' and an approval request is opened.
+   * @param {string} id - Invoice ID
+   * @param {string} userId - User ID performing the confirmation
+   * @throws {Error} APPROVAL_PENDING or APPROVAL_REQUIRED (409)
+   */
+  async assertConfirmationApproved(id, userId) {
     const invoice = await this.getSalesInvoiceById(id);
 
-    // Validate invoice status
-    if (invoice.status !== 'draft') {
-      throw new Error(`Cannot confirm invoice with status: ${invoice.status}. Only draft invoices can be confirmed.`);
+    if (invoice.status === 'pending_approval') {
+      const error = new Error(`Invoice ${invoice.invoiceNumber} is awaiting approval`);
+      error.code = 'APPROVAL_PENDING';
+      error.statusCode = 409;
+      throw error;
     }
 
-    // Validate credit limit
-    await this.validateCreditLimit(invoice.customerId, invoice.totals.grandTotal);
-
-    // Validate stock availability for all items
-    await this.validateStockAvailability(invoice.items);
+    const { approval } = invoice;
+    if (invoice.status !== 'draft'
+      || (approval && approval.action === 'confirm' && approval.status === 'approved')) {
+      return;
+    }
 
-    // Create stock movements for each item
-    const stockMovements = await this.createStockMovementsForInvoice(invoice, userId);
+    const reasons = await approvalService.reasonsNeedingApproval(
+      await approvalService.evaluateSalesInvoice(invoice),
+      userId
+    );
+    if (reasons.length === 0) {
+      return;
+    }
 
-    // Update item inventory levels
-    await this.updateInventoryLevels(invoice.items, 'subtract');
+    await this.requestInvoiceApproval(invoice, 'confirm', reasons, userId);
 
-    // Create ledger entries for customer receivables
-    const ledgerEntries = await this.createLedgerEntriesForSalesInvoice(invoice, userId);
+    const error = new Error(
+      `Invoice ${invoice.invoiceNumber} needs approval: ${reasons.map(reason => reason.message).join('; ')}`
+    );
+    error.code = 'APPROVAL_REQUIRED';
+    error.statusCode = 409;
+    throw error;
+  }
 
-    // Update invoice status to confirmed
-    const confirmedInvoice = await invoiceRepository.update(id, {
-      status: 'confirmed',
-      confirmedAt: new Date(),
-      confirmedBy: userId
+  /**
+   * Open an approval request for confirming or cancelling an invoice
+   * @param {Object} invoice - Invoice
+   * @param {string} action - 'confirm' or 'cancel'
+   * @param {Array} reasons - Broken approval rules
+   * @param {string} userId - Requesting user ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.reason] - Cancellation reason
+   * @param {boolean} [options.autoConfirm] - Confirm the invoice once approved
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async requestInvoiceApproval(invoice, action, reasons, userId, options = {}) {
+    const request = await approvalService.openRequest({
+      documentType: 'sales_invoice',
+      documentId: invoice._id,
+      documentNumber: invoice.invoiceNumber,
+      action,
+      amount: invoice.totals.grandTotal,
+      reasons,
+      requestedBy: userId,
+      reason: options.reason,
+      autoConfirm: Boolean(options.autoConfirm)
     });
 
-    return {
-      invoice: confirmedInvoice,
-      stockMovements,
-      ledgerEntries
+    const updateData = {
+      approval: { requestId: request._id, action, status: 'pending' }
+    };
+    // A confirmation waits in 'pending_approval'; a confirmed invoice stays posted until the
+    // cancellation is approved
+    if (action === 'confirm') {
+      updateData.status = 'pending_approval';
+    }
+
+    return invoiceRepository.update(invoice._id, updateData);
+  }
+
+  /**
+   * Apply an approval decision to an invoice
+   * An approved confirmation returns the invoice to draft (and confirms it if that was requested);
+   * a rejected one cancels the never-posted invoice. An approved cancellation cancels the invoice.
+   * @param {Object} request - Decided approval request
+   * @returns {Promise<Object>} Updated invoice
+   */
+  async resolveApproval(request) {
+    const invoice = await this.getSalesInvoiceById(request.documentId);
+    const approval = {
+      requestId: request._id,
+      action: request.action,
+      status: request.status,
+      decidedBy: request.decidedBy,
+      decidedAt: request.decidedAt
     };
+
+    if (request.action === 'cancel') {
+      if (request.status === 'approved') {
+        await this.cancelSalesInvoice(invoice._id, request.requestedBy, request.reason, { approved: true });
+      }
+      return invoiceRepository.update(invoice._id, { approval });
+    }
+
+    if (invoice.status !== 'pending_approval') {
+      throw new Error(`Invoice ${invoice.invoiceNumber} is not awaiting approval`);
+    }
+
+    if (request.status === 'rejected') {
+      await stockReservationService.releaseReservations(
+        invoice._id,
+        STOCK_RESERVATION_STATUS.RELEASED,
+        request.decidedBy,
+        'Approval rejected'
+      );
+      return invoiceRepository.update(invoice._id, {
+        approval,
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: request.decidedBy,
+        cancellationReason: `Approval rejected: ${request.comment}`
+      });
+    }
+
+    const approvedInvoice = await invoiceRepository.update(invoice._id, { approval, status: 'draft' });
+    if (!request.autoConfirm) {
+      // An approved order holds its stock until it is invoiced
+      try {
+        await stockReservationService.reserveForInvoice(invoice._id, request.requestedBy);
+      } catch (error) {
+        console.error('Stock reservation after approval failed for invoice:', invoice._id, error.message);
+      }
+      return approvedInvoice;
+    }
+
+    try {
+      const result = await this.confirmSalesInvoice(invoice._id, request.requestedBy);
+      return result.invoice;
+    } catch (error) {
+      // The approval stands; the draft can be confirmed once the problem (e.g. stock) is fixed
+      console.error('Auto-confirm after approval failed for invoice:', invoice._id, error.message);
+      return approvedInvoice;
+    }
+  }
+
+  /**
+   * Allocate batches to every invoice line using FEFO (first expiry, first out)
+   * Lines for items without any batch records keep the batch info entered by the user.
+   * Batch stock reserved for other documents is left alone.
+   * A line may be split across several batches; the split is stored in batchAllocations
+   * and batchInfo is set to the earliest-expiring batch picked.
+   * @param {Object} invoice - Invoice object
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Array>} Invoice items with batch allocations applied
+   */
+  async allocateBatchesForInvoice(invoice, options = {}) {
+    const allocatedItems = [];
+
+    // Batch stock reserved for other estimates and orders is not picked
+    const { byBatch: reservedByBatch } = await stockReservationService.getReservedQuantities(
+      invoice.items.map(item => (item.itemId && item.itemId._id ? item.itemId._id : item.itemId)),
+      { excludeSourceId: invoice._id, session: options.session }
+    );
+
+    for (const item of invoice.items) {
+      const line = typeof item.toObject === 'function' ? item.toObject() : { ...item };
+      // items.itemId is populated on invoices loaded through the repository
+      line.itemId = line.itemId && line.itemId._id ? line.itemId._id : line.itemId;
+
+      const isBatchTracked = await batchService.isBatchTracked(line.itemId);
+
+      if (isBatchTracked) {
+        const allocations = await batchService.allocateBatchesFEFO(line.itemId, line.quantity, {
+          warehouseId: line.warehouseId,
+          reservedByBatch,
+          session: options.session
+        });
+
+        const [earliest] = allocations;
+        line.batchAllocations = allocations;
+        line.batchInfo = {
+          batchNumber: earliest.batchNumber,
+          expiryDate: earliest.expiryDate,
+          manufacturingDate: earliest.manufacturingDate
+        };
+      }
+
+      allocatedItems.push(line);
+    }
+
+    return allocatedItems;
   }
 
   /**
    * Create ledger entries for sales invoice (customer receivables)
    * @param {Object} invoice - Invoice object
    * @param {string} userId - User ID creating the entries
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Object>} Created ledger entries
    */
-  async createLedgerEntriesForSalesInvoice(invoice, userId) {
+  async createLedgerEntriesForSalesInvoice(invoice, userId, options = {}) {
     const description = `Sales Invoice ${invoice.invoiceNumber} - ${invoice.notes || 'Sales transaction'}`;
 
     // Get Sales Revenue account
@@ -694,7 +1058,8 @@ class SalesInvoiceService {
       description,
       'invoice',
       invoice._id,
-      userId
+      userId,
+      options
     );
 
     const toAmount = (invoice.to1Amount || 0) + (invoice.to2Amount || 0);
@@ -722,7 +1087,8 @@ class SalesInvoiceService {
         `Trade Offer Adjustment - ${invoice.invoiceNumber}`,
         'invoice_adjustment',
         invoice._id,
-        userId
+        userId,
+        options
       );
 
       return {
@@ -734,24 +1100,75 @@ class SalesInvoiceService {
     return ledgerEntries;
   }
 
+  /**
+   * Post the cost of a confirmed sale: debit Cost of Goods Sold, credit Inventory
+   * Posted against the invoice so cancelling the invoice reverses it with the receivable.
+   * @param {Object} invoice - Invoice object
+   * @param {number} amount - Cost of goods sold
+   * @param {string} userId - User ID creating the entries
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object|null>} Created ledger entries, or null when nothing was costed
+   */
+  async createCostOfGoodsEntries(invoice, amount, userId, options = {}) {
+    if (!(amount > 0)) {
+      return null;
+    }
+
+    const cogsAccount = await accountService.getOrCreateSystemAccount('COGS', {
+      name: 'Cost of Goods Sold',
+      accountType: 'expense',
+      description: 'Cost of products sold'
+    });
+    const inventoryAccount = await accountService.getOrCreateSystemAccount('INVENTORY_ASSET', {
+      name: 'Inventory Asset',
+      accountType: 'asset',
+      description: 'Inventory/Stock asset account'
+    });
+
+    return ledgerService.createDoubleEntry(
+      { accountId: cogsAccount._id, accountType: 'Account' },
+      { accountId: inventoryAccount._id, accountType: 'Account' },
+      amount,
+      `Cost of goods sold - Sales Invoice ${invoice.invoiceNumber}`,
+      'invoice',
+      invoice._id,
+      userId,
+      options
+    );
+  }
+
   /**
    * Validate stock availability for invoice items
+   * Stock held by active reservations of other estimates and orders is not available.
    * @param {Array} items - Invoice items
+   * @param {Object} [options] - Options
+   * @param {string} [options.excludeSourceId] - Invoice whose own reservations may be used
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<boolean>} Validation result
    */
-  async validateStockAvailability(items) {
+  async validateStockAvailability(items, options = {}) {
     const validationErrors = [];
+    const itemIdOf = item => (item.itemId && item.itemId._id ? item.itemId._id : item.itemId);
+    const { byItem: reserved } = await stockReservationService.getReservedQuantities(
+      items.map(itemIdOf),
+      options
+    );
 
     for (const item of items) {
-      const itemDetails = await itemService.getItemById(item.itemId);
+      const itemDetails = await itemService.getItemById(itemIdOf(item));
+      const available = Math.max(
+        0,
+        (itemDetails.inventory?.currentStock || 0) - (reserved.get(String(itemIdOf(item))) || 0)
+      );
 
-      if (!itemDetails.inventory || itemDetails.inventory.currentStock < item.quantity) {
+      if (!itemDetails.inventory || available < item.quantity) {
         validationErrors.push({
           itemId: item.itemId,
           itemName: itemDetails.name,
           itemCode: itemDetails.code,
           requested: item.quantity,
-          available: itemDetails.inventory?.currentStock || 0
+          available
         });
       }
     }
@@ -773,14 +1190,17 @@ class SalesInvoiceService {
    * Create stock movements for invoice items
    * @param {Object} invoice - Invoice object
    * @param {string} userId - User ID creating the movements
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Array>} Created stock movements
    */
-  async createStockMovementsForInvoice(invoice, userId) {
+  async createStockMovementsForInvoice(invoice, userId, options = {}) {
     const movements = [];
 
-    // Get default warehouse (first active one) to fallback to if item has no warehouse
+    // Get default warehouse (first active non-transit one) to fallback to if item has no warehouse
     let defaultWarehouseId = null;
-    const defaultWarehouse = await Warehouse.findOne({ isActive: true }).sort({ createdAt: 1 });
+    const defaultWarehouse = await Warehouse.findOne({ isActive: true, isTransit: { $ne: true } })
+      .sort({ createdAt: 1 });
     if (defaultWarehouse) {
       defaultWarehouseId = defaultWarehouse._id;
     }
@@ -793,37 +1213,65 @@ class SalesInvoiceService {
         throw new Error('No active warehouse found to assign stock movement. Please ensure at least one warehouse exists.');
       }
 
-      const movementData = {
-        itemId: item.itemId,
-        movementType: 'out',
-        quantity: item.quantity, // Positive quantity, type indicates direction
-        referenceType: 'sales_invoice',
-        referenceId: invoice._id,
-        warehouse: warehouseId, // Required field
-        batchInfo: item.batchInfo || {},
-        movementDate: invoice.invoiceDate || new Date(),
-        notes: `Sales invoice ${invoice.invoiceNumber} - Customer: ${invoice.customerId}`,
-        createdBy: userId
-      };
-
-      const movement = await stockMovementRepository.create(movementData);
-      movements.push(movement);
+      for (const portion of this.getBatchPortions(item, warehouseId)) {
+        const movementData = {
+          itemId: item.itemId,
+          movementType: 'out',
+          quantity: portion.quantity, // Positive quantity, type indicates direction
+          referenceType: 'sales_invoice',
+          referenceId: invoice._id,
+          warehouse: portion.warehouse, // Required field
+          batchInfo: portion.batchInfo,
+          movementDate: invoice.invoiceDate || new Date(),
+          notes: `Sales invoice ${invoice.invoiceNumber} - Customer: ${invoice.customerId}`,
+          createdBy: userId
+        };
+
+        const movement = await stockMovementRepository.create(movementData, options);
+        movements.push(movement);
+      }
     }
 
     return movements;
   }
 
+  /**
+   * Split an invoice line into per-batch stock portions
+   * FEFO-allocated lines yield one portion per batch; other lines yield a single portion
+   * @param {Object} item - Invoice item
+   * @param {string} fallbackWarehouseId - Warehouse to use when the allocation has none
+   * @returns {Array} Portions: { quantity, warehouse, batchInfo }
+   */
+  getBatchPortions(item, fallbackWarehouseId) {
+    if (!item.batchAllocations || item.batchAllocations.length === 0) {
+      return [{ quantity: item.quantity, warehouse: fallbackWarehouseId, batchInfo: item.batchInfo || {} }];
+    }
+
+    return item.batchAllocations.map(allocation => ({
+      quantity: allocation.quantity,
+      warehouse: allocation.warehouseId || fallbackWarehouseId,
+      batchInfo: {
+        batchNumber: allocation.batchNumber,
+        expiryDate: allocation.expiryDate,
+        manufacturingDate: allocation.manufacturingDate
+      }
+    }));
+  }
+
   /**
    * Update inventory levels for invoice items
    * @param {Array} items - Invoice items
    * @param {string} operation - Operation type ('add' or 'subtract')
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Array>} Updated items
    */
-  async updateInventoryLevels(items, operation = 'subtract') {
+  async updateInventoryLevels(items, operation = 'subtract', options = {}) {
     const updatedItems = [];
 
     for (const item of items) {
-      const itemDoc = await Item.findById(item.itemId);
+      // Documents loaded with a session are saved within that session
+      const itemDoc = await Item.findById(item.itemId).session(options.session || null);
 
       if (!itemDoc) {
         throw new Error(`Item not found: ${item.itemId}`);
@@ -832,7 +1280,12 @@ class SalesInvoiceService {
       // Check if batch info is available for batch-specific stock update
       const batchNumber = item.batchInfo?.batchNumber;
 
-      if (batchNumber && typeof itemDoc.updateBatchStock === 'function') {
+      if (item.batchAllocations && item.batchAllocations.length > 0 && typeof itemDoc.updateBatchStock === 'function') {
+        // FEFO-allocated line - update each picked batch by its own share
+        for (const allocation of item.batchAllocations) {
+          await itemDoc.updateBatchStock(allocation.batchNumber, allocation.quantity, operation);
+        }
+      } else if (batchNumber && typeof itemDoc.updateBatchStock === 'function') {
         // Use batch-specific stock update (FEFO enforcement)
         await itemDoc.updateBatchStock(batchNumber, item.quantity, operation);
       } else {
@@ -920,41 +1373,96 @@ class SalesInvoiceService {
 
   /**
    * Cancel sales invoice and reverse inventory
+   * Stock, batch, ledger and status changes are written in one transaction.
+   * Under the cancellation approval rule a confirmed invoice is only cancelled once approved;
+   * until then the invoice is returned unchanged with a pending approval.
    * @param {string} id - Invoice ID
    * @param {string} userId - User ID performing the cancellation
    * @param {string} reason - Cancellation reason
-   * @returns {Promise<Object>} Cancelled invoice
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.approved] - The cancellation has already been approved
+   * @returns {Promise<Object>} Cancelled invoice, or the invoice awaiting cancellation approval
    */
-  async cancelSalesInvoice(id, userId, reason = '') {
-    const invoice = await this.getSalesInvoiceById(id);
-
-    // Validate invoice status
-    if (invoice.status === 'cancelled') {
-      throw new Error('Invoice is already cancelled');
+  async cancelSalesInvoice(id, userId, reason = '', options = {}) {
+    if (!options.approved) {
+      const invoice = await this.getSalesInvoiceById(id);
+      if (invoice.status === 'confirmed' && invoice.paymentStatus !== 'paid') {
+        const reasons = await approvalService.reasonsNeedingApproval(
+          await approvalService.evaluateCancellation(),
+          userId
+        );
+        if (reasons.length > 0) {
+          return this.requestInvoiceApproval(invoice, 'cancel', reasons, userId, { reason });
+        }
+      }
     }
 
-    if (invoice.status === 'paid' || invoice.paymentStatus === 'paid') {
-      const error = new Error('Cannot cancel paid invoice. Please process a refund instead.');
-      error.code = 'CANNOT_CANCEL_PAID_INVOICE';
-      error.statusCode = 422;
-      throw error;
-    }
+    return runInTransaction(async (session) => {
+      const invoice = await this.getSalesInvoiceById(id, { session });
 
-    // If invoice was confirmed, reverse the stock movements
-    if (invoice.status === 'confirmed') {
-      await this.reverseStockMovements(invoice, userId, reason);
-      await this.updateInventoryLevels(invoice.items, 'add');
-    }
+      // Validate invoice status
+      if (invoice.status === 'cancelled') {
+        throw new Error('Invoice is already cancelled');
+      }
 
-    // Update invoice status to cancelled
-    const updateData = {
-      status: 'cancelled',
-      cancelledAt: new Date(),
-      cancelledBy: userId,
-      cancellationReason: reason
-    };
+      if (invoice.status === 'pending_approval') {
+        throw new Error('Cannot cancel invoice awaiting approval. Reject the approval request instead.');
+      }
 
-    return invoiceRepository.update(id, updateData);
+      if (invoice.status === 'paid' || invoice.paymentStatus === 'paid') {
+        const error = new Error('Cannot cancel paid invoice. Please process a refund instead.');
+        error.code = 'CANNOT_CANCEL_PAID_INVOICE';
+        error.statusCode = 422;
+        throw error;
+      }
+
+      await fiscalPeriodService.assertPeriodOpen(invoice.invoiceDate, 'Invoice');
+
+      // If invoice was confirmed, reverse stock, batches and ledger in the same transaction
+      if (invoice.status === 'confirmed') {
+        await this.reverseStockMovements(invoice, userId, reason, { session });
+        await this.updateInventoryLevels(invoice.items, 'add', { session });
+
+        // Return FEFO-allocated quantities to their batches
+        await batchService.releaseBatchAllocations(
+          invoice.items.flatMap(item => item.batchAllocations || []),
+          { session }
+        );
+
+        // Put the costed quantities back into their cost layers
+        await inventoryValuationService.restoreInvoiceLayers(invoice.items, { session });
+
+        // Trade offer postings are kept under their own reference type and come off with the invoice
+        for (const referenceType of ['invoice', 'invoice_adjustment']) {
+          await ledgerService.reverseEntriesForReference(
+            referenceType,
+            invoice._id,
+            `Sales invoice ${invoice.invoiceNumber} cancelled${reason ? `: ${reason}` : ''}`,
+            userId,
+            { session }
+          );
+        }
+      }
+
+      // A cancelled order no longer holds stock
+      await stockReservationService.releaseReservations(
+        invoice._id,
+        STOCK_RESERVATION_STATUS.RELEASED,
+        userId,
+        `Invoice cancelled${reason ? `: ${reason}` : ''}`,
+        { session }
+      );
+
+      // Update invoice status to cancelled
+      const updateData = {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: userId,
+        cancellationReason: reason
+      };
+
+      return invoiceRepository.update(id, updateData, { session });
+    });
   }
 
   /**
@@ -962,26 +1470,31 @@ class SalesInvoiceService {
    * @param {Object} invoice - Invoice object
    * @param {string} userId - User ID performing the reversal
    * @param {string} reason - Reversal reason
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
    * @returns {Promise<Array>} Created reversal stock movements
    */
-  async reverseStockMovements(invoice, userId, reason) {
+  async reverseStockMovements(invoice, userId, reason, options = {}) {
     const movements = [];
 
     for (const item of invoice.items) {
-      const movementData = {
-        itemId: item.itemId,
-        movementType: 'in',
-        quantity: item.quantity, // Positive for inward movement (reversal)
-        referenceType: 'sales_invoice',
-        referenceId: invoice._id,
-        batchInfo: item.batchInfo || {},
-        movementDate: new Date(),
-        notes: `Reversal: Sales invoice ${invoice.invoiceNumber} cancelled. Reason: ${reason}`,
-        createdBy: userId
-      };
-
-      const movement = await stockMovementRepository.create(movementData);
-      movements.push(movement);
+      for (const portion of this.getBatchPortions(item, item.warehouseId)) {
+        const movementData = {
+          itemId: item.itemId,
+          movementType: 'in',
+          quantity: portion.quantity, // Positive for inward movement (reversal)
+          referenceType: 'sales_invoice',
+          referenceId: invoice._id,
+          ...(portion.warehouse && { warehouse: portion.warehouse }),
+          batchInfo: portion.batchInfo,
+          movementDate: new Date(),
+          notes: `Reversal: Sales invoice ${invoice.invoiceNumber} cancelled. Reason: ${reason}`,
+          createdBy: userId
+        };
+
+        const movement = await stockMovementRepository.create(movementData, options);
+        movements.push(movement);
+      }
     }
 
     return movements;
@@ -1,7 +1,11 @@
 const Invoice = require('../models/Invoice');
+const Warehouse = require('../models/Warehouse');
 const inventoryService = require('./inventoryService');
+const inventoryValuationService = require('./inventoryValuationService');
 const stockMovementRepository = require('../repositories/stockMovementRepository');
 const ledgerService = require('./ledgerService');
+const accountService = require('./accountService');
+const { runInTransaction } = require('../utils/transaction');
 
 /**
  * Sales Return Service
@@ -195,9 +199,10 @@ class SalesReturnService {
       throw new Error(`Return validation failed: ${validation.errors.join(', ')}`);
     }
 
-    // Build return invoice items with negative quantities
+    // Build return invoice items; quantities and amounts are positive, the return type gives the direction
     const returnInvoiceItems = [];
     let subtotal = 0;
+    let totalDiscount = 0;
     let totalTax = 0;
 
     for (const returnItem of returnItems) {
@@ -205,129 +210,241 @@ class SalesReturnService {
         item => item.itemId.toString() === returnItem.itemId.toString()
       );
 
+      // Tax is reversed at the rate the sale charged
       const itemSubtotal = returnItem.quantity * originalItem.unitPrice;
-      const taxAmount = (itemSubtotal * 18) / 100; // Assuming 18% GST
+      const discountAmount = (itemSubtotal * (originalItem.discount || 0)) / 100;
+      const gstRate = originalItem.gstRate || 0;
+      const taxAmount = ((itemSubtotal - discountAmount) * gstRate) / 100;
 
       returnInvoiceItems.push({
         itemId: returnItem.itemId,
-        quantity: -returnItem.quantity, // Negative for return
+        quantity: returnItem.quantity,
         unitPrice: originalItem.unitPrice,
         discount: originalItem.discount || 0,
-        taxAmount: -taxAmount, // Negative tax
-        lineTotal: -(itemSubtotal + taxAmount)
+        gstRate,
+        gstAmount: taxAmount,
+        taxAmount,
+        lineTotal: itemSubtotal - discountAmount + taxAmount
       });
 
-      subtotal -= itemSubtotal;
-      totalTax -= taxAmount;
+      subtotal += itemSubtotal;
+      totalDiscount += discountAmount;
+      totalTax += taxAmount;
     }
 
-    // Create return invoice
-    const returnInvoice = new Invoice({
-      type: 'return_sales',
-      customerId: originalInvoice.customerId,
-      originalInvoiceId,
-      invoiceDate: new Date(),
-      dueDate: new Date(),
-      items: returnInvoiceItems,
-      totals: {
-        subtotal,
-        totalDiscount: 0,
-        totalTax,
-        grandTotal: subtotal + totalTax
-      },
-      returnMetadata: {
-        returnReason,
-        returnNotes,
-        returnDate: new Date()
-      },
-      status: 'confirmed',
-      paymentStatus: 'pending',
-      createdBy
-    });
+    const invoiceNumber = await Invoice.generateInvoiceNumber('return_sales');
+
+    // Invoice, inventory, cost layers, stock movements and ledger post in one transaction
+    return runInTransaction(async (session) => {
+      // Put the returned stock back into the cost layers the sale consumed
+      const costOfGoodsSold = await this.restoreReturnedCost(originalInvoice, returnInvoiceItems, { session });
+
+      // Create return invoice
+      const returnInvoice = new Invoice({
+        invoiceNumber,
+        type: 'return_sales',
+        customerId: originalInvoice.customerId,
+        originalInvoiceId,
+        invoiceDate: new Date(),
+        dueDate: new Date(),
+        items: returnInvoiceItems,
+        totals: {
+          subtotal,
+          totalDiscount,
+          totalTax,
+          grandTotal: subtotal - totalDiscount + totalTax,
+          costOfGoodsSold
+        },
+        returnMetadata: {
+          returnReason,
+          returnNotes,
+          returnDate: new Date()
+        },
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        createdBy
+      });
 
-    await returnInvoice.save();
+      await returnInvoice.save({ session });
 
-    // Reverse inventory
-    await this.reverseSalesInventory(returnInvoiceItems);
+      // Reverse inventory
+      await this.reverseSalesInventory(returnInvoiceItems, { session, returnInvoice, originalInvoice });
 
-    // Create reverse ledger entries
-    await this.createReverseLedgerEntries(returnInvoice, originalInvoice);
+      // Create reverse ledger entries
+      await this.createReverseLedgerEntries(returnInvoice, originalInvoice, { session });
+      await this.createCostOfGoodsReversal(returnInvoice, originalInvoice, { session });
 
-    return returnInvoice;
+      return returnInvoice;
+    });
+  }
+
+  /**
+   * Restore the cost of returned lines into the layers their sale consumed
+   * Sets costOfGoods on each return line.
+   * @param {Object} originalInvoice - Original sales invoice
+   * @param {Array} returnItems - Return invoice lines
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<number>} Cost of the returned goods
+   */
+  async restoreReturnedCost(originalInvoice, returnItems, options = {}) {
+    const earlierReturns = await Invoice.find(
+      { originalInvoiceId: originalInvoice._id, type: 'return_sales' },
+      null,
+      { session: options.session }
+    );
+
+    let totalCost = 0;
+    for (const returnItem of returnItems) {
+      const itemId = returnItem.itemId.toString();
+      const saleLine = originalInvoice.items.find(item => item.itemId.toString() === itemId);
+      const returnedLayers = earlierReturns
+        .flatMap(earlierReturn => earlierReturn.items)
+        .filter(item => item.itemId.toString() === itemId && item.costOfGoods)
+        .flatMap(item => item.costOfGoods.layers || []);
+
+      const costOfGoods = await inventoryValuationService.restoreReturnedQuantity(
+        saleLine,
+        Math.abs(returnItem.quantity),
+        returnedLayers,
+        options
+      );
+      returnItem.costOfGoods = costOfGoods;
+      totalCost += costOfGoods.amount;
+    }
+
+    return Math.round(totalCost * 100) / 100;
   }
 
   /**
    * Reverse inventory for sales returns
+   * Returned stock goes back into the warehouse the sale took it from.
    * @param {Array} returnItems - Return items
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @param {Object} [options.returnInvoice] - Return invoice the stock comes back on
+   * @param {Object} [options.originalInvoice] - Sales invoice being returned
    */
-  async reverseSalesInventory(returnItems) {
-    for (const item of returnItems) {
+  async reverseSalesInventory(returnItems, options = {}) {
+    const returnInvoice = options.returnInvoice || {};
+    const saleLines = (options.originalInvoice && options.originalInvoice.items) || [];
+    let defaultWarehouseId = null;
+
+    for (const item of returnItems.filter(line => Math.abs(line.quantity) > 0)) {
       const quantity = Math.abs(item.quantity);
-      
+      const saleLine = saleLines.find(line => line.itemId.toString() === item.itemId.toString()) || {};
+      const allocations = saleLine.batchAllocations || [];
+
+      let warehouseId = saleLine.warehouseId || (allocations[0] && allocations[0].warehouseId);
+      if (!warehouseId) {
+        if (!defaultWarehouseId) {
+          const defaultWarehouse = await Warehouse.findOne({ isActive: true, isTransit: { $ne: true } })
+            .sort({ createdAt: 1 });
+          defaultWarehouseId = defaultWarehouse ? defaultWarehouse._id : null;
+        }
+        warehouseId = defaultWarehouseId;
+      }
+
+      if (!warehouseId) {
+        throw new Error(
+          'No active warehouse found to assign stock movement. Please ensure at least one warehouse exists.'
+        );
+      }
+
       // Increase inventory (return to stock)
       await inventoryService.adjustInventory(
         item.itemId,
         quantity,
         'increase',
-        'Sales return'
+        'Sales return',
+        { session: options.session }
       );
 
       // Create stock movement record
       await stockMovementRepository.create({
         itemId: item.itemId,
-        movementType: 'return_from_customer',
+        movementType: 'in',
         quantity,
-        date: new Date(),
-        reference: 'Sales Return',
-        notes: 'Item returned by customer'
-      });
+        referenceType: 'sales_invoice',
+        referenceId: returnInvoice._id,
+        warehouse: warehouseId,
+        batchInfo: allocations.length === 1 ? {
+          batchNumber: allocations[0].batchNumber,
+          expiryDate: allocations[0].expiryDate,
+          manufacturingDate: allocations[0].manufacturingDate
+        } : {},
+        movementDate: returnInvoice.invoiceDate || new Date(),
+        notes: `Sales return ${returnInvoice.invoiceNumber} - Item returned by customer`,
+        createdBy: returnInvoice.createdBy
+      }, { session: options.session });
     }
   }
 
   /**
-   * Create reverse ledger entries for sales returns
-   * @param {Object} returnInvoice - Return invoice
+   * Move the cost of returned goods from COGS back to inventory
+   * @param {Object} returnInvoice - Return invoice, with totals.costOfGoodsSold
    * @param {Object} originalInvoice - Original invoice
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object|null>} Created debit and credit entries
    */
-  async createReverseLedgerEntries(returnInvoice, originalInvoice) {
-    const amount = Math.abs(returnInvoice.totals.grandTotal);
-    const taxAmount = Math.abs(returnInvoice.totals.totalTax);
-    const subtotal = Math.abs(returnInvoice.totals.subtotal);
-
-    // Debit Sales Account (reduce revenue)
-    await ledgerService.createLedgerEntry({
-      accountId: 'SALES_ACCOUNT', // Should be from config
-      date: returnInvoice.invoiceDate,
-      description: `Sales Return - Invoice ${returnInvoice.invoiceNumber}`,
-      debit: subtotal,
-      credit: 0,
-      referenceType: 'Invoice',
-      referenceId: returnInvoice._id
-    });
+  async createCostOfGoodsReversal(returnInvoice, originalInvoice, options = {}) {
+    const amount = returnInvoice.totals.costOfGoodsSold || 0;
+    if (!(amount > 0)) {
+      return null;
+    }
 
-    // Credit Accounts Receivable (reduce asset)
-    await ledgerService.createLedgerEntry({
-      accountId: originalInvoice.customerId,
-      date: returnInvoice.invoiceDate,
-      description: `Sales Return - Invoice ${returnInvoice.invoiceNumber}`,
-      debit: 0,
-      credit: amount,
-      referenceType: 'Invoice',
-      referenceId: returnInvoice._id
+    const inventoryAccount = await accountService.getOrCreateSystemAccount('INVENTORY_ASSET', {
+      name: 'Inventory Asset',
+      accountType: 'asset',
+      description: 'Inventory/Stock asset account'
+    });
+    const cogsAccount = await accountService.getOrCreateSystemAccount('COGS', {
+      name: 'Cost of Goods Sold',
+      accountType: 'expense',
+      description: 'Cost of products sold'
     });
 
-    // Debit GST Output (reverse tax liability)
-    if (taxAmount > 0) {
-      await ledgerService.createLedgerEntry({
-        accountId: 'GST_OUTPUT_ACCOUNT', // Should be from config
-        date: returnInvoice.invoiceDate,
-        description: `Sales Return GST - Invoice ${returnInvoice.invoiceNumber}`,
-        debit: taxAmount,
-        credit: 0,
-        referenceType: 'Invoice',
-        referenceId: returnInvoice._id
-      });
+    return ledgerService.createDoubleEntry(
+      { accountId: inventoryAccount._id, accountType: 'Account' },
+      { accountId: cogsAccount._id, accountType: 'Account' },
+      amount,
+      `Cost of goods returned - Sales Return ${returnInvoice.invoiceNumber} `
+        + `against Invoice ${originalInvoice.invoiceNumber}`,
+      'invoice',
+      returnInvoice._id,
+      returnInvoice.createdBy,
+      { session: options.session }
+    );
+  }
+
+  /**
+   * Create reverse ledger entries for sales returns
+   * @param {Object} returnInvoice - Return invoice
+   * @param {Object} originalInvoice - Original invoice
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object|null>} Created debit and credit entries
+   */
+  async createReverseLedgerEntries(returnInvoice, originalInvoice, options = {}) {
+    const amount = Math.abs(returnInvoice.totals.grandTotal);
+    if (!amount) {
+      return null;
     }
+
+    // The sale debited the customer and credited sales revenue with the grand total; the return reverses that
+    const salesRevenueAccount = await accountService.getAccountByCode('SALES_REVENUE');
+
+    return ledgerService.createDoubleEntry(
+      { accountId: salesRevenueAccount._id, accountType: 'Account' },
+      { accountId: originalInvoice.customerId, accountType: 'Customer' },
+      amount,
+      `Sales Return ${returnInvoice.invoiceNumber} against Invoice ${originalInvoice.invoiceNumber}`,
+      'invoice',
+      returnInvoice._id,
+      returnInvoice.createdBy,
+      { session: options.session }
+    );
   }
 }
 
@@ -0,0 +1,315 @@
+const Invoice = require('../models/Invoice');
+const exportService = require('./exportService');
+
+/**
+ * Annexure columns in the order of FBR IRIS sales tax return import templates
+ */
+const ANNEX_C_COLUMNS = [
+  { key: 'srNo', label: 'Sr.' },
+  { key: 'partyNTN', label: 'Buyer NTN' },
+  { key: 'partyCNIC', label: 'Buyer CNIC' },
+  { key: 'partyName', label: 'Buyer Name' },
+  { key: 'partyType', label: 'Buyer Type' },
+  { key: 'partySTRN', label: 'Buyer STRN' },
+  { key: 'documentType', label: 'Document Type' },
+  { key: 'documentNumber', label: 'Document Number' },
+  { key: 'documentDate', label: 'Document Date' },
+  { key: 'hsCode', label: 'HS Code' },
+  { key: 'saleType', label: 'Sale Type' },
+  { key: 'rate', label: 'Rate' },
+  { key: 'description', label: 'Description' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'uom', label: 'UOM' },
+  { key: 'value', label: 'Value of Sales Excluding Sales Tax' },
+  { key: 'salesTax', label: 'Sales Tax/FED in ST Mode' },
+  { key: 'totalValue', label: 'Total Value of Sales' }
+];
+
+const ANNEX_A_COLUMNS = [
+  { key: 'srNo', label: 'Sr.' },
+  { key: 'partyNTN', label: 'Seller NTN' },
+  { key: 'partyCNIC', label: 'Seller CNIC' },
+  { key: 'partyName', label: 'Seller Name' },
+  { key: 'partyType', label: 'Seller Type' },
+  { key: 'partySTRN', label: 'Seller STRN' },
+  { key: 'documentType', label: 'Document Type' },
+  { key: 'documentNumber', label: 'Document Number' },
+  { key: 'documentDate', label: 'Document Date' },
+  { key: 'hsCode', label: 'HS Code' },
+  { key: 'saleType', label: 'Purchase Type' },
+  { key: 'rate', label: 'Rate' },
+  { key: 'description', label: 'Description' },
+  { key: 'quantity', label: 'Quantity' },
+  { key: 'uom', label: 'UOM' },
+  { key: 'value', label: 'Value of Purchase Excluding Sales Tax' },
+  { key: 'salesTax', label: 'Sales Tax/FED in ST Mode' },
+  { key: 'totalValue', label: 'Total Value of Purchase' }
+];
+
+const ERROR_COLUMNS = [
+  { key: 'documentNumber', label: 'Document Number' },
+  { key: 'partyName', label: 'Party' },
+  { key: 'field', label: 'Field' },
+  { key: 'message', label: 'Problem' }
+];
+
+const ANNEXES = {
+  'annex-c': {
+    title: 'Annex-C',
+    invoiceType: 'sales',
+    partyField: 'customerId',
+    documentType: 'Sale Invoice',
+    columns: ANNEX_C_COLUMNS
+  },
+  'annex-a': {
+    title: 'Annex-A',
+    invoiceType: 'purchase',
+    partyField: 'supplierId',
+    documentType: 'Purchase Invoice',
+    columns: ANNEX_A_COLUMNS
+  }
+};
+
+const SALE_TYPES = {
+  18: 'Goods at standard rate (default)',
+  4: 'Goods at Reduced Rate',
+  0: 'Exempt goods'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Sales Tax Return Service
+ * Builds the monthly FBR sales tax return annexures (Annex-C sales, Annex-A purchases)
+ * from confirmed invoices, one row per invoice, HS code and GST rate.
+ */
+class SalesTaxReturnService {
+  /**
+   * Build an annexure for a tax period
+   * @param {string} annex - 'annex-c' (sales) or 'annex-a' (purchases)
+   * @param {string} period - Tax period as YYYY-MM
+   * @returns {Promise<Object>} Annexure {annex, period, rows, errors, summary}
+   */
+  async getAnnexure(annex, period) {
+    const definition = ANNEXES[annex];
+    if (!definition) {
+      const error = new Error(`Unknown annexure: ${annex}. Use annex-c or annex-a`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { startDate, endDate } = this.parsePeriod(period);
+
+    const invoices = await Invoice.find({
+      type: definition.invoiceType,
+      status: { $in: ['confirmed', 'paid'] },
+      invoiceDate: { $gte: startDate, $lte: endDate }
+    })
+      .populate(definition.partyField, 'code name financialInfo')
+      .populate('items.itemId', 'code name unit tax')
+      .sort({ invoiceDate: 1, invoiceNumber: 1 });
+
+    const rows = [];
+    const errors = [];
+
+    invoices.forEach((invoice) => {
+      const party = invoice[definition.partyField] || {};
+      const partyInfo = this.getPartyInfo(party);
+      const documentNumber = definition.invoiceType === 'purchase'
+        ? invoice.supplierBillNo || invoice.invoiceNumber
+        : invoice.invoiceNumber;
+
+      if (!partyInfo.partyNTN && !partyInfo.partyCNIC) {
+        errors.push({
+          documentNumber,
+          partyName: partyInfo.partyName,
+          field: 'NTN/CNIC',
+          message: 'Party has neither NTN nor CNIC in its financial info'
+        });
+      }
+
+      this.groupInvoiceLines(invoice).forEach((line) => {
+        if (!line.hsCode) {
+          errors.push({
+            documentNumber,
+            partyName: partyInfo.partyName,
+            field: 'HS Code',
+            message: `No HS code on item(s): ${line.description}`
+          });
+        }
+
+        rows.push({
+          srNo: rows.length + 1,
+          ...partyInfo,
+          documentType: definition.documentType,
+          documentNumber,
+          documentDate: this.formatDate(invoice.invoiceDate),
+          hsCode: line.hsCode,
+          saleType: SALE_TYPES[line.rate] || SALE_TYPES[18],
+          rate: `${line.rate}%`,
+          description: line.description,
+          quantity: line.quantity,
+          uom: line.uom,
+          value: round(line.value),
+          salesTax: round(line.salesTax),
+          totalValue: round(line.value + line.salesTax)
+        });
+      });
+    });
+
+    return {
+      annex: definition.title,
+      period,
+      rows,
+      errors,
+      summary: {
+        documentCount: invoices.length,
+        rowCount: rows.length,
+        errorCount: errors.length,
+        totalValue: round(rows.reduce((sum, row) => sum + row.value, 0)),
+        totalSalesTax: round(rows.reduce((sum, row) => sum + row.salesTax, 0))
+      }
+    };
+  }
+
+  /**
+   * Export an annexure as CSV (rows only, ready for IRIS import) or Excel
+   * (rows plus a validation errors sheet when there are errors)
+   * @param {string} annex - 'annex-c' or 'annex-a'
+   * @param {string} period - Tax period as YYYY-MM
+   * @param {string} format - 'csv' or 'excel'
+   * @returns {Promise<Object>} {content, filename, contentType, annexure}
+   */
+  async exportAnnexure(annex, period, format) {
+    const annexure = await this.getAnnexure(annex, period);
+    const { columns } = ANNEXES[annex];
+    const baseName = `${annexure.annex}_${period}`;
+
+    if (annexure.rows.length === 0) {
+      const error = new Error(`No confirmed invoices found for ${period}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    switch ((format || '').toLowerCase()) {
+      case 'csv':
+        return {
+          content: exportService.exportToCSV(annexure.rows, columns),
+          filename: `${baseName}.csv`,
+          contentType: 'text/csv',
+          annexure
+        };
+      case 'excel':
+        return {
+          content: await exportService.exportSheetsToExcel([
+            { name: annexure.annex, data: annexure.rows, columns },
+            { name: 'Validation Errors', data: annexure.errors, columns: ERROR_COLUMNS }
+          ]),
+          filename: `${baseName}.xlsx`,
+          contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          annexure
+        };
+      default: {
+        const error = new Error(`Unsupported export format: ${format}. Use csv or excel`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Merge an invoice's lines that share an HS code and GST rate
+   * @param {Object} invoice - Invoice with populated items
+   * @returns {Array} Lines {hsCode, rate, description, quantity, uom, value, salesTax}
+   */
+  groupInvoiceLines(invoice) {
+    const groups = new Map();
+
+    invoice.items.forEach((item) => {
+      const product = item.itemId || {};
+      const hsCode = (product.tax && product.tax.hsCode) || '';
+      const rate = item.gstRate || 0;
+      const key = `${hsCode}|${rate}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          hsCode,
+          rate,
+          names: [],
+          quantity: 0,
+          uom: product.unit || '',
+          value: 0,
+          salesTax: 0
+        });
+      }
+
+      const group = groups.get(key);
+      if (product.name && !group.names.includes(product.name)) {
+        group.names.push(product.name);
+      }
+      group.quantity += item.quantity;
+      // lineTotal includes GST and advance tax; the annexure reports the value before tax
+      group.value += (item.lineTotal || 0) - (item.taxAmount || 0);
+      group.salesTax += item.gstAmount || 0;
+    });
+
+    return Array.from(groups.values()).map(({ names, ...group }) => ({
+      ...group,
+      description: names.join('; ')
+    }));
+  }
+
+  /**
+   * Registration details of a customer or supplier as reported on the annexure
+   * @param {Object} party - Customer or supplier
+   * @returns {Object} {partyNTN, partyCNIC, partyName, partyType, partySTRN}
+   */
+  getPartyInfo(party) {
+    const financialInfo = party.financialInfo || {};
+    const strn = financialInfo.strn || '';
+
+    return {
+      partyNTN: financialInfo.ntn || '',
+      partyCNIC: (financialInfo.nicNumber || '').replace(/-/g, ''),
+      partyName: party.name || '',
+      partyType: strn ? 'Registered' : 'Unregistered',
+      partySTRN: strn
+    };
+  }
+
+  /**
+   * Parse a YYYY-MM tax period into its first and last moment
+   * @param {string} period - Tax period
+   * @returns {Object} {startDate, endDate}
+   */
+  parsePeriod(period) {
+    const match = /^(\d{4})-(\d{2})$/.exec(period || '');
+    const month = match ? Number(match[2]) : 0;
+
+    if (!match || month < 1 || month > 12) {
+      const error = new Error('Tax period must be in YYYY-MM format');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const year = Number(match[1]);
+    return {
+      startDate: new Date(year, month - 1, 1),
+      endDate: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+  }
+
+  /**
+   * Format a date as DD/MM/YYYY as expected by IRIS
+   * @param {Date} date - Date
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    const value = new Date(date);
+    const day = String(value.getDate()).padStart(2, '0');
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${value.getFullYear()}`;
+  }
+}
+
+module.exports = new SalesTaxReturnService();
@@ -0,0 +1,369 @@
+const Customer = require('../models/Customer');
+const ledgerService = require('./ledgerService');
+const exportService = require('./exportService');
+const mailService = require('./mailService');
+const AppError = require('../utils/appError');
+
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+const money = value => Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+const formatDate = value => (value ? new Date(value).toLocaleDateString('en-GB') : '');
+
+// Aging buckets from getCustomerReceivablesAging, in print order
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current' },
+  { key: 'days1to30', label: '1-30 days' },
+  { key: 'days31to60', label: '31-60 days' },
+  { key: 'days61to90', label: '61-90 days' },
+  { key: 'over90', label: 'Over 90 days' }
+];
+
+/**
+ * Statement Service
+ * Customer statements of account as PDF: opening balance, transactions with running balance,
+ * aging buckets and unpaid invoices. Generated one at a time or in bulk, and emailed.
+ */
+class StatementService {
+  /**
+   * Work out the statement period; defaults to the month to date
+   * @param {Object} [params] - {startDate, endDate}
+   * @returns {Object} {startDate, endDate}
+   */
+  resolvePeriod(params = {}) {
+    const endDate = params.endDate ? new Date(params.endDate) : new Date();
+    endDate.setHours(23, 59, 59, 999);
+    const startDate = params.startDate
+      ? new Date(params.startDate)
+      : new Date(endDate.getFullYear(), endDate.getMonth(), 1);
+    startDate.setHours(0, 0, 0, 0);
+
+    if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+      throw new AppError('Start date and end date must be valid dates', 400);
+    }
+    if (startDate > endDate) {
+      throw new AppError('Start date must be before end date', 400);
+    }
+
+    return { startDate, endDate };
+  }
+
+  /**
+   * Gather a customer's statement data
+   * @param {Object} customer - Customer
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   * @returns {Promise<Object>} Statement
+   */
+  async buildStatement(customer, startDate, endDate) {
+    const customerId = refId(customer._id);
+    const account = await ledgerService.generateAccountStatement(customerId, 'Customer', startDate, endDate);
+    const agingReport = await ledgerService.getCustomerReceivablesAging(endDate, customerId);
+    const [receivable] = agingReport.customers;
+    const contactInfo = customer.contactInfo || {};
+    const stamp = `${endDate.getFullYear()}${String(endDate.getMonth() + 1).padStart(2, '0')}`
+      + `${String(endDate.getDate()).padStart(2, '0')}`;
+
+    return {
+      statementNumber: `SOA-${customer.code}-${stamp}`,
+      company: {
+        name: process.env.COMPANY_NAME || 'Indus Traders',
+        ntn: process.env.COMPANY_NTN || '',
+        address: process.env.COMPANY_ADDRESS || ''
+      },
+      customer: {
+        id: customerId,
+        code: customer.code,
+        name: customer.name,
+        address: [contactInfo.address, contactInfo.city].filter(Boolean).join(', '),
+        email: contactInfo.email
+      },
+      period: { startDate, endDate },
+      openingBalance: roundAmount(account.balances.opening || 0),
+      closingBalance: roundAmount(account.balances.closing || 0),
+      transactions: account.transactions,
+      totals: {
+        debit: roundAmount(account.summary.totalDebits),
+        credit: roundAmount(account.summary.totalCredits)
+      },
+      aging: receivable
+        ? receivable.aging
+        : AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), { total: 0 }),
+      unpaidInvoices: receivable ? receivable.invoices : []
+    };
+  }
+
+  /**
+   * Generate one customer's statement PDF
+   * @param {string} customerId - Customer ID
+   * @param {Object} [params] - {startDate, endDate}
+   * @returns {Promise<Object>} {customer, statement, filename, content}
+   */
+  async generateStatement(customerId, params = {}) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const { startDate, endDate } = this.resolvePeriod(params);
+    const statement = await this.buildStatement(customer, startDate, endDate);
+    const content = await exportService.renderPDF(doc => this.drawStatement(doc, statement));
+
+    return {
+      customer,
+      statement,
+      filename: `${statement.statementNumber}.pdf`,
+      content
+    };
+  }
+
+  /**
+   * Email a customer their statement
+   * @param {string} customerId - Customer ID
+   * @param {Object} [params] - {startDate, endDate, to (default: the customer's email)}
+   * @returns {Promise<Object>} {customerId, email, statementNumber, messageId}
+   */
+  async emailStatement(customerId, params = {}) {
+    const { statement, filename, content } = await this.generateStatement(customerId, params);
+    return this.sendStatement(statement, filename, content, params.to);
+  }
+
+  /**
+   * Send a rendered statement
+   * @param {Object} statement - Statement
+   * @param {string} filename - Attachment file name
+   * @param {Buffer} content - PDF
+   * @param {string} [to] - Recipient (default: the customer's email)
+   * @returns {Promise<Object>} {customerId, email, statementNumber, messageId}
+   */
+  async sendStatement(statement, filename, content, to) {
+    const email = to || statement.customer.email;
+    if (!email) {
+      throw new AppError(`Customer ${statement.customer.name} has no email address`, 400);
+    }
+
+    const { startDate, endDate } = statement.period;
+    const info = await mailService.sendMail({
+      to: email,
+      subject: `Statement of account ${formatDate(startDate)} to ${formatDate(endDate)} - ${statement.company.name}`,
+      text: `Dear ${statement.customer.name},\n\n`
+        + `Please find attached your statement of account for ${formatDate(startDate)} to ${formatDate(endDate)}. `
+        + `The balance due is Rs. ${money(statement.closingBalance)}.\n\n${statement.company.name}`,
+      attachments: [{ filename, content, contentType: 'application/pdf' }]
+    });
+
+    return {
+      customerId: statement.customer.id,
+      email,
+      statementNumber: statement.statementNumber,
+      messageId: info.messageId
+    };
+  }
+
+  /**
+   * Statements for every customer on a route, or owing more than a minimum balance
+   * @param {Object} params - {startDate, endDate, routeId, minBalance}
+   * @returns {Promise<Object>} {startDate, endDate, statements}
+   */
+  async buildBulkStatements(params = {}) {
+    const hasMinBalance = params.minBalance !== undefined && params.minBalance !== null && params.minBalance !== '';
+    const minBalance = Number(params.minBalance);
+    if (!params.routeId && !hasMinBalance) {
+      throw new AppError('Choose a route or a minimum balance', 400);
+    }
+    if (hasMinBalance && !Number.isFinite(minBalance)) {
+      throw new AppError('Minimum balance must be a number', 400);
+    }
+
+    const { startDate, endDate } = this.resolvePeriod(params);
+    const query = { isActive: true, type: { $ne: 'supplier' } };
+    if (params.routeId) {
+      query.routeId = params.routeId;
+    }
+    const customers = await Customer.find(query).sort({ name: 1 });
+
+    const statements = [];
+    for (const customer of customers) {
+      const statement = await this.buildStatement(customer, startDate, endDate);
+      if (!hasMinBalance || statement.closingBalance > minBalance) {
+        statements.push(statement);
+      }
+    }
+
+    return { startDate, endDate, statements };
+  }
+
+  /**
+   * Render bulk statements into one PDF, each customer starting on a new page
+   * @param {Object} params - {startDate, endDate, routeId, minBalance}
+   * @returns {Promise<Object>} {count, filename, content}
+   */
+  async generateBulkStatements(params = {}) {
+    const { endDate, statements } = await this.buildBulkStatements(params);
+    if (statements.length === 0) {
+      throw new AppError('No customers match the statement criteria', 404);
+    }
+
+    const content = await exportService.renderPDF((doc) => {
+      statements.forEach((statement, index) => {
+        if (index > 0) {
+          doc.addPage();
+        }
+        this.drawStatement(doc, statement);
+      });
+    });
+
+    return {
+      count: statements.length,
+      filename: `statements-${endDate.toISOString().slice(0, 10)}.pdf`,
+      content
+    };
+  }
+
+  /**
+   * Email bulk statements. A customer without an email address is skipped and a failed
+   * send does not stop the rest.
+   * @param {Object} params - {startDate, endDate, routeId, minBalance}
+   * @returns {Promise<Object>} {sent, skipped, failed, summary}
+   */
+  async emailBulkStatements(params = {}) {
+    const { statements } = await this.buildBulkStatements(params);
+    const sent = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const statement of statements) {
+      const customer = {
+        customerId: statement.customer.id,
+        code: statement.customer.code,
+        name: statement.customer.name
+      };
+      if (!statement.customer.email) {
+        skipped.push({ ...customer, reason: 'No email address' });
+      } else {
+        try {
+          const content = await exportService.renderPDF(doc => this.drawStatement(doc, statement));
+          sent.push(await this.sendStatement(statement, `${statement.statementNumber}.pdf`, content));
+        } catch (error) {
+          failed.push({ ...customer, email: statement.customer.email, reason: error.message });
+        }
+      }
+    }
+
+    return {
+      sent,
+      skipped,
+      failed,
+      summary: {
+        statements: statements.length,
+        sent: sent.length,
+        skipped: skipped.length,
+        failed: failed.length
+      }
+    };
+  }
+
+  /**
+   * Draw the statement layout
+   * @param {Object} doc - PDFKit document
+   * @param {Object} statement - Statement data
+   */
+  drawStatement(doc, statement) {
+    const { company, customer, period } = statement;
+    const bottom = doc.page.height - 70;
+
+    const table = columns => (values, font = 'Helvetica') => {
+      if (doc.y > bottom) {
+        doc.addPage();
+      }
+      const { y } = doc;
+      doc.font(font);
+      columns.forEach((column, index) => {
+        doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+      });
+      doc.moveDown(0.5);
+    };
+
+    doc.fontSize(16).font('Helvetica-Bold').text(company.name, { align: 'center' });
+    doc.fontSize(9).font('Helvetica');
+    if (company.address) doc.text(company.address, { align: 'center' });
+    if (company.ntn) doc.text(`NTN: ${company.ntn}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(13).font('Helvetica-Bold').text('Statement of Account', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`Statement No: ${statement.statementNumber}`);
+    doc.text(`Period: ${formatDate(period.startDate)} to ${formatDate(period.endDate)}`);
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text(`${customer.name} (${customer.code})`);
+    doc.font('Helvetica');
+    if (customer.address) doc.text(customer.address);
+    doc.moveDown();
+
+    const ledgerRow = table([
+      { x: 50, width: 60 },
+      { x: 110, width: 160 },
+      { x: 270, width: 90 },
+      { x: 360, width: 60, align: 'right' },
+      { x: 420, width: 60, align: 'right' },
+      { x: 480, width: 70, align: 'right' }
+    ]);
+    doc.fontSize(9);
+    ledgerRow(['Date', 'Description', 'Reference', 'Debit', 'Credit', 'Balance'], 'Helvetica-Bold');
+    ledgerRow([formatDate(period.startDate), 'Opening balance', '', '', '', money(statement.openingBalance)]);
+    statement.transactions.forEach((line) => {
+      ledgerRow([
+        formatDate(line.date),
+        line.description || '',
+        line.reference || '',
+        line.debit ? money(line.debit) : '',
+        line.credit ? money(line.credit) : '',
+        money(line.balance)
+      ]);
+    });
+    ledgerRow(
+      ['', 'Closing balance', '', money(statement.totals.debit), money(statement.totals.credit),
+        money(statement.closingBalance)],
+      'Helvetica-Bold'
+    );
+
+    doc.moveDown();
+    doc.fontSize(11).font('Helvetica-Bold').text('Aging', 50, doc.y, { underline: true });
+    doc.fontSize(9);
+    const agingRow = table([...AGING_BUCKETS, { key: 'total' }].map((bucket, index) => ({
+      x: 50 + index * 83, width: 80, align: 'right'
+    })));
+    agingRow([...AGING_BUCKETS.map(bucket => bucket.label), 'Total'], 'Helvetica-Bold');
+    agingRow([...AGING_BUCKETS.map(bucket => money(statement.aging[bucket.key])), money(statement.aging.total)]);
+
+    doc.moveDown();
+    doc.fontSize(11).font('Helvetica-Bold').text('Unpaid invoices', 50, doc.y, { underline: true });
+    doc.fontSize(9);
+    if (statement.unpaidInvoices.length === 0) {
+      doc.font('Helvetica').text('No unpaid invoices.');
+      return;
+    }
+    const invoiceRow = table([
+      { x: 50, width: 110 },
+      { x: 160, width: 80 },
+      { x: 240, width: 80 },
+      { x: 320, width: 80, align: 'right' },
+      { x: 400, width: 100, align: 'right' }
+    ]);
+    invoiceRow(['Invoice', 'Date', 'Due Date', 'Days Overdue', 'Amount'], 'Helvetica-Bold');
+    statement.unpaidInvoices.forEach((invoice) => {
+      invoiceRow([
+        invoice.invoiceNumber,
+        formatDate(invoice.invoiceDate),
+        formatDate(invoice.dueDate),
+        invoice.daysOverdue > 0 ? String(invoice.daysOverdue) : '-',
+        money(invoice.amount)
+      ]);
+    });
+  }
+}
+
+module.exports = new StatementService();
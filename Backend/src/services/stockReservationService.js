@@ -0,0 +1,440 @@
+const StockReservation = require('../models/StockReservation');
+const Invoice = require('../models/Invoice');
+const Inventory = require('../models/Inventory');
+const Item = require('../models/Item');
+const Warehouse = require('../models/Warehouse');
+const batchRepository = require('../repositories/batchRepository');
+const batchService = require('./batchService');
+const {
+  STOCK_RESERVATION_STATUS,
+  STOCK_RESERVATION_SOURCES,
+  DEFAULT_RESERVATION_HOLD_HOURS
+} = require('../constants/stockReservationStatus');
+const { runInTransaction } = require('../utils/transaction');
+const AppError = require('../utils/appError');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_HOLD_HOURS = 720;
+const idOf = value => String(value && value._id ? value._id : value);
+const addTo = (map, key, quantity) => map.set(key, (map.get(key) || 0) + quantity);
+
+/**
+ * Stock Reservation Service
+ * Holds stock for estimates and approved sales orders so it cannot be promised twice.
+ * A reservation counts against availability until it is released, converted into an invoice
+ * or its hold time passes; expired reservations stop counting at once and are marked expired
+ * by releaseExpiredReservations. The reserved quantity is mirrored in Inventory.allocated.
+ */
+class StockReservationService {
+  /**
+   * Reserve the stock of a draft sales invoice or estimate
+   * Any earlier reservation of the document is replaced. Batch-tracked items are reserved
+   * against batches earliest-expiry-first; other items against the line's warehouse.
+   * Either every line is reserved or none is.
+   * @param {string} invoiceId - Sales invoice or estimate ID
+   * @param {string} userId - User reserving the stock
+   * @param {Object} [options] - Options
+   * @param {number} [options.holdHours] - Hours to hold the stock (default STOCK_RESERVATION_HOLD_HOURS)
+   * @returns {Promise<Object>} { invoiceId, invoiceNumber, expiresAt, reservations }
+   * @throws {AppError} 422 when some of the stock is not available
+   */
+  async reserveForInvoice(invoiceId, userId, options = {}) {
+    const holdHours = this.getHoldHours(options.holdHours);
+
+    return runInTransaction(async (session) => {
+      const invoice = await Invoice.findById(invoiceId).session(session);
+      if (!invoice) {
+        throw new AppError('Invoice not found', 404);
+      }
+      if (invoice.type !== 'sales') {
+        throw new AppError('Stock can only be reserved for sales invoices and estimates', 400);
+      }
+      if (invoice.status !== 'draft') {
+        throw new AppError(
+          `Stock can only be reserved for draft invoices. Invoice ${invoice.invoiceNumber} is ${invoice.status}.`,
+          400
+        );
+      }
+
+      const now = new Date();
+      let expiresAt = new Date(now.getTime() + holdHours * HOUR_MS);
+      if (invoice.estimatePrint && invoice.expiryDate) {
+        if (invoice.expiryDate < now) {
+          throw new AppError('Cannot reserve stock for an expired estimate', 400);
+        }
+        // An estimate never holds stock beyond its own validity
+        if (invoice.expiryDate < expiresAt) {
+          expiresAt = new Date(invoice.expiryDate);
+        }
+      }
+
+      await this.releaseReservations(
+        invoice._id,
+        STOCK_RESERVATION_STATUS.RELEASED,
+        userId,
+        'Replaced by a new reservation',
+        { session }
+      );
+
+      const picks = await this.pickStock(invoice.items, invoice._id, { session });
+
+      const sourceType = invoice.estimatePrint
+        ? STOCK_RESERVATION_SOURCES.ESTIMATE
+        : STOCK_RESERVATION_SOURCES.SALES_ORDER;
+      const reservations = await StockReservation.insertMany(
+        picks.map(pick => ({
+          ...pick,
+          sourceType,
+          sourceId: invoice._id,
+          sourceNumber: invoice.invoiceNumber,
+          customerId: invoice.customerId,
+          expiresAt,
+          createdBy: userId
+        })),
+        { session }
+      );
+
+      for (const reservation of reservations) {
+        await this.adjustInventoryAllocation(reservation.itemId, reservation.warehouseId, reservation.quantity, {
+          session
+        });
+      }
+
+      return {
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        expiresAt,
+        reservations
+      };
+    });
+  }
+
+  /**
+   * Work out where the stock of each line is taken from, after what other documents hold
+   * @param {Array} lines - Invoice lines
+   * @param {string} sourceId - Document the stock is for; its own reservations are ignored
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Array>} Picks: { itemId, warehouseId, batchId, batchNumber, quantity }
+   * @throws {AppError} 422 listing every line that cannot be covered
+   */
+  async pickStock(lines, sourceId, options = {}) {
+    const { session } = options;
+    const itemIds = [...new Set(lines.map(line => idOf(line.itemId)))];
+    const items = await Item.find({ _id: { $in: itemIds } }).select('code name inventory').session(session || null);
+    const reserved = await this.getReservedQuantities(itemIds, { excludeSourceId: sourceId, session });
+    const itemsById = new Map(items.map(item => [String(item._id), item]));
+
+    let defaultWarehouse;
+    const picks = [];
+    const shortages = [];
+
+    for (const line of lines) {
+      const itemId = idOf(line.itemId);
+      const item = itemsById.get(itemId);
+      if (!item) {
+        throw new AppError(`Item not found: ${itemId}`, 404);
+      }
+
+      let available = 0;
+      if (await batchService.isBatchTracked(itemId)) {
+        const batches = await batchRepository.findSellableBatches(itemId, { warehouseId: line.warehouseId, session });
+        let remaining = line.quantity;
+        for (const batch of batches) {
+          const free = batch.remainingQuantity - (reserved.byBatch.get(String(batch._id)) || 0);
+          if (free > 0) {
+            available += free;
+            if (remaining > 0) {
+              const take = Math.min(free, remaining);
+              picks.push({
+                itemId: item._id,
+                warehouseId: batch.warehouse,
+                batchId: batch._id,
+                batchNumber: batch.batchNumber,
+                quantity: take
+              });
+              addTo(reserved.byBatch, String(batch._id), take);
+              remaining -= take;
+            }
+          }
+        }
+      } else {
+        available = ((item.inventory && item.inventory.currentStock) || 0) - (reserved.byItem.get(itemId) || 0);
+        if (available >= line.quantity) {
+          if (!line.warehouseId && defaultWarehouse === undefined) {
+            defaultWarehouse = await Warehouse.findOne({ isActive: true, isTransit: { $ne: true } })
+              .sort({ createdAt: 1 })
+              .session(session || null);
+          }
+          const warehouseId = line.warehouseId || (defaultWarehouse && defaultWarehouse._id);
+          if (!warehouseId) {
+            throw new AppError(`No warehouse to reserve ${item.name} in`, 400);
+          }
+          picks.push({ itemId: item._id, warehouseId, quantity: line.quantity });
+        }
+      }
+
+      if (available < line.quantity) {
+        shortages.push(`${item.name} (${item.code}): Requested ${line.quantity}, Available ${Math.max(0, available)}`);
+      }
+      addTo(reserved.byItem, itemId, line.quantity);
+    }
+
+    if (shortages.length > 0) {
+      throw new AppError(`Insufficient unreserved stock for items: ${shortages.join('; ')}`, 422);
+    }
+
+    return picks;
+  }
+
+  /**
+   * Release the active reservations of a document
+   * @param {string} sourceId - Sales invoice or estimate ID
+   * @param {string} status - released, converted or expired
+   * @param {string} [userId] - User releasing the stock
+   * @param {string} [reason] - Why the stock is released
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Array>} Reservations released
+   */
+  async releaseReservations(sourceId, status, userId, reason, options = {}) {
+    if (!sourceId) {
+      throw new AppError('Invoice ID is required', 400);
+    }
+
+    const reservations = await StockReservation.find({
+      sourceId,
+      status: STOCK_RESERVATION_STATUS.ACTIVE
+    }).session(options.session || null);
+
+    if (reservations.length === 0) {
+      return [];
+    }
+
+    await this.closeReservations(reservations, {
+      status,
+      releasedAt: new Date(),
+      releasedBy: userId,
+      releaseReason: reason
+    }, options);
+
+    return reservations;
+  }
+
+  /**
+   * Mark reservations whose hold time has passed as expired and free their allocation
+   * @returns {Promise<Object>} { expired: number of reservations }
+   */
+  async releaseExpiredReservations() {
+    return runInTransaction(async (session) => {
+      const now = new Date();
+      const reservations = await StockReservation.find({
+        status: STOCK_RESERVATION_STATUS.ACTIVE,
+        expiresAt: { $lte: now }
+      }).session(session);
+
+      if (reservations.length > 0) {
+        await this.closeReservations(reservations, {
+          status: STOCK_RESERVATION_STATUS.EXPIRED,
+          releasedAt: now,
+          releaseReason: 'Hold time expired'
+        }, { session });
+      }
+
+      return { expired: reservations.length };
+    });
+  }
+
+  /**
+   * Close reservations and take their quantity off Inventory.allocated
+   * @param {Array} reservations - Active reservations
+   * @param {Object} update - Status and release fields to set
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   */
+  async closeReservations(reservations, update, options = {}) {
+    await StockReservation.updateMany(
+      { _id: { $in: reservations.map(reservation => reservation._id) }, status: STOCK_RESERVATION_STATUS.ACTIVE },
+      { $set: update },
+      { session: options.session }
+    );
+
+    for (const reservation of reservations) {
+      await this.adjustInventoryAllocation(reservation.itemId, reservation.warehouseId, -reservation.quantity, options);
+    }
+  }
+
+  /**
+   * Quantities held by active, unexpired reservations
+   * @param {Array} itemIds - Item IDs
+   * @param {Object} [options] - Options
+   * @param {string} [options.excludeSourceId] - Leave out the reservations of this document
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} { byItem: Map, byBatch: Map } of reserved quantities
+   */
+  async getReservedQuantities(itemIds, options = {}) {
+    const query = {
+      itemId: { $in: itemIds },
+      status: STOCK_RESERVATION_STATUS.ACTIVE,
+      expiresAt: { $gt: new Date() }
+    };
+    if (options.excludeSourceId) {
+      query.sourceId = { $ne: options.excludeSourceId };
+    }
+
+    const reservations = await StockReservation.find(query)
+      .select('itemId batchId quantity')
+      .session(options.session || null)
+      .lean();
+
+    const byItem = new Map();
+    const byBatch = new Map();
+    reservations.forEach((reservation) => {
+      addTo(byItem, String(reservation.itemId), reservation.quantity);
+      if (reservation.batchId) {
+        addTo(byBatch, String(reservation.batchId), reservation.quantity);
+      }
+    });
+
+    return { byItem, byBatch };
+  }
+
+  /**
+   * Stock on hand, reserved and free to sell for an item
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Object>} Availability with the active reservations
+   */
+  async getItemAvailability(itemId) {
+    const item = await Item.findById(itemId).select('code name inventory');
+    if (!item) {
+      throw new AppError('Item not found', 404);
+    }
+
+    const reservations = await StockReservation.find({
+      itemId,
+      status: STOCK_RESERVATION_STATUS.ACTIVE,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('warehouseId', 'code name')
+      .populate('customerId', 'code name')
+      .sort({ expiresAt: 1 })
+      .lean();
+
+    const onHand = (item.inventory && item.inventory.currentStock) || 0;
+    const reserved = reservations.reduce((sum, reservation) => sum + reservation.quantity, 0);
+
+    return {
+      item: { _id: item._id, code: item.code, name: item.name },
+      onHand,
+      reserved,
+      available: Math.max(0, onHand - reserved),
+      reservations
+    };
+  }
+
+  /**
+   * Get reservations with filtering and pagination
+   * @param {Object} filters - itemId, warehouseId, sourceId, status
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getReservations(filters = {}, page = 1, limit = 10) {
+    const query = {};
+    ['itemId', 'warehouseId', 'sourceId', 'status'].forEach((field) => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+
+    const [data, total] = await Promise.all([
+      StockReservation.find(query)
+        .populate('itemId', 'code name')
+        .populate('warehouseId', 'code name')
+        .populate('customerId', 'code name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockReservation.countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Add to (or take off) the allocated quantity of an inventory record, keeping available in step
+   * Stock without an inventory record for the warehouse is left alone.
+   * @param {string} itemId - Item ID
+   * @param {string} warehouseId - Warehouse ID
+   * @param {number} change - Quantity to add; negative to release
+   * @param {Object} [options] - Options
+   * @param {Object} [options.session] - Session of an enclosing transaction
+   */
+  async adjustInventoryAllocation(itemId, warehouseId, change, options = {}) {
+    await Inventory.updateOne(
+      { item: itemId, warehouse: warehouseId },
+      [
+        { $set: { allocated: { $max: [0, { $add: [{ $ifNull: ['$allocated', 0] }, change] }] } } },
+        {
+          $set: {
+            available: { $max: [0, { $subtract: ['$quantity', '$allocated'] }] },
+            lastUpdated: '$$NOW'
+          }
+        }
+      ],
+      { session: options.session }
+    );
+  }
+
+  /**
+   * Hours a new reservation holds stock
+   * @param {*} [holdHours] - Requested hold time
+   * @returns {number} Hours
+   */
+  getHoldHours(holdHours) {
+    const value = holdHours === undefined || holdHours === null || holdHours === ''
+      ? process.env.STOCK_RESERVATION_HOLD_HOURS || DEFAULT_RESERVATION_HOLD_HOURS
+      : holdHours;
+    const hours = Number(value);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_HOLD_HOURS) {
+      throw new AppError(`Hold time must be more than 0 and at most ${MAX_HOLD_HOURS} hours`, 400);
+    }
+    return hours;
+  }
+
+  /**
+   * Release expired reservations now and then once an hour, so Inventory.allocated
+   * does not keep counting holds that have lapsed
+   */
+  startExpirySchedule() {
+    if (this.expiryTimer) {
+      return;
+    }
+
+    // A failed run is retried by the next one; expired holds already stop counting towards availability
+    const run = () => this.releaseExpiredReservations().catch(() => {});
+    run();
+    this.expiryTimer = setInterval(run, HOUR_MS);
+    this.expiryTimer.unref();
+  }
+
+  /**
+   * Stop the hourly expiry run
+   */
+  stopExpirySchedule() {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+  }
+}
+
+module.exports = new StockReservationService();
@@ -0,0 +1,828 @@
+const mongoose = require('mongoose');
+const StockTake = require('../models/StockTake');
+const Inventory = require('../models/Inventory');
+const Warehouse = require('../models/Warehouse');
+const Item = require('../models/Item');
+const Batch = require('../models/Batch');
+const StockMovement = require('../models/StockMovement');
+const batchRepository = require('../repositories/batchRepository');
+const stockMovementRepository = require('../repositories/stockMovementRepository');
+const inventoryValuationService = require('./inventoryValuationService');
+const accountService = require('./accountService');
+const ledgerService = require('./ledgerService');
+const {
+  STOCK_TAKE_STATUS,
+  STOCK_TAKE_REASONS,
+  CYCLE_COUNT_FREQUENCY_DAYS
+} = require('../constants/stockTakeStatus');
+const { runInTransaction } = require('../utils/transaction');
+const AppError = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const roundAmount = value => Math.round(value * 100) / 100;
+
+/**
+ * Stock Take Service
+ * Physical stock-take sessions and ABC cycle count scheduling
+ */
+class StockTakeService {
+  /**
+   * Open a stock-take session and freeze the expected quantities by item and batch
+   * @param {Object} data - Session data
+   * @param {string} data.warehouse - Warehouse ID
+   * @param {string} [data.section] - Only count stock kept in this section of the warehouse
+   * @param {string} [data.category] - Only count items of this category
+   * @param {Array} [data.itemIds] - Only count these items (a cycle count)
+   * @param {string} [data.notes] - Notes
+   * @param {string} data.createdBy - User ID opening the session
+   * @returns {Promise<Object>} Stock take in counting status
+   */
+  async createStockTake(data) {
+    const {
+      warehouse: warehouseId,
+      section,
+      category,
+      itemIds,
+      notes,
+      createdBy
+    } = data;
+
+    if (!warehouseId) {
+      throw new AppError('Warehouse is required', 400);
+    }
+
+    const warehouse = await Warehouse.findById(warehouseId);
+    if (!warehouse || warehouse.isTransit) {
+      throw new AppError('Warehouse not found', 404);
+    }
+
+    const lines = await this.freezeExpectedQuantities(warehouse._id, { section, category, itemIds });
+    if (lines.length === 0) {
+      throw new AppError('No stock matches the stock take scope', 400);
+    }
+
+    const overlapping = await StockTake.findOne({
+      warehouse: warehouse._id,
+      status: { $in: [STOCK_TAKE_STATUS.COUNTING, STOCK_TAKE_STATUS.COMPLETED] },
+      'lines.itemId': { $in: lines.map(line => line.itemId) }
+    });
+    if (overlapping) {
+      throw new AppError(
+        `Stock take ${overlapping.stockTakeNumber} is still open for some of these items. Post or cancel it first.`,
+        409
+      );
+    }
+
+    const stockTake = new StockTake({
+      warehouse: warehouse._id,
+      section,
+      category,
+      countType: Array.isArray(itemIds) && itemIds.length > 0 ? 'cycle' : 'full',
+      status: STOCK_TAKE_STATUS.COUNTING,
+      frozenAt: new Date(),
+      notes,
+      lines,
+      createdBy
+    });
+
+    return stockTake.save();
+  }
+
+  /**
+   * Build the lines of a new session from the warehouse stock on the books
+   * Batch stock gets one line per batch; stock of an item not held in any batch gets a line
+   * without a batch number.
+   * @param {string} warehouseId - Warehouse ID
+   * @param {Object} scope - {section, category, itemIds}
+   * @returns {Promise<Array>} Session lines
+   */
+  async freezeExpectedQuantities(warehouseId, scope = {}) {
+    const query = { warehouse: warehouseId };
+    if (scope.section) {
+      query.section = scope.section;
+    }
+    if (Array.isArray(scope.itemIds) && scope.itemIds.length > 0) {
+      query.item = { $in: scope.itemIds };
+    }
+
+    const records = await Inventory.find(query).populate('item', 'code name category pricing.costPrice');
+    const inScope = records.filter(record => record.item
+      && (!scope.category || record.item.category === scope.category));
+
+    if (inScope.length === 0) {
+      return [];
+    }
+
+    const batches = await Batch.find({
+      warehouse: warehouseId,
+      item: { $in: inScope.map(record => record.item._id) },
+      remainingQuantity: { $gt: 0 }
+    }).sort({ expiryDate: 1 });
+
+    const lines = [];
+    inScope.forEach((record) => {
+      const { item } = record;
+      const itemBatches = batches.filter(batch => String(batch.item) === String(item._id));
+      const costPrice = (item.pricing && item.pricing.costPrice) || 0;
+
+      itemBatches.forEach((batch) => {
+        lines.push({
+          itemId: item._id,
+          batchId: batch._id,
+          batchNumber: batch.batchNumber,
+          expiryDate: batch.expiryDate,
+          expectedQuantity: batch.remainingQuantity,
+          unitCost: batch.unitCost || costPrice
+        });
+      });
+
+      const inBatches = itemBatches.reduce((sum, batch) => sum + batch.remainingQuantity, 0);
+      const unbatched = Math.max(0, (record.quantity || 0) - inBatches);
+      if (unbatched > 0 || itemBatches.length === 0) {
+        lines.push({
+          itemId: item._id,
+          expectedQuantity: unbatched,
+          unitCost: costPrice
+        });
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * Get a stock take by ID
+   * @param {string} id - Stock take ID
+   * @returns {Promise<Object|null>} Stock take or null if not found
+   */
+  async getStockTakeById(id) {
+    return StockTake.findById(id)
+      .populate('warehouse', 'code name')
+      .populate('lines.itemId', 'code name category')
+      .populate('createdBy completedBy postedBy cancelledBy', 'username');
+  }
+
+  /**
+   * Get stock takes with filtering and pagination (without their lines)
+   * @param {Object} filters - {warehouse, status, startDate, endDate}
+   * @param {number} [page] - Page number
+   * @param {number} [limit] - Items per page
+   * @returns {Promise<Object>} {data, pagination}
+   */
+  async getStockTakes(filters = {}, page = 1, limit = 10) {
+    const query = {};
+
+    if (filters.warehouse) {
+      query.warehouse = filters.warehouse;
+    }
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) {
+        query.createdAt.$gte = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        query.createdAt.$lte = new Date(filters.endDate);
+      }
+    }
+
+    const [data, total] = await Promise.all([
+      StockTake.find(query)
+        .select('-lines')
+        .populate('warehouse', 'code name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockTake.countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Record counted quantities from one device
+   * Several devices can count the same session; a line's counted quantity is the sum of the
+   * latest count from each device, so counters covering different shelves add up and a device
+   * recounting a line replaces its own earlier count. Counts for stock not on the session open
+   * a new line with nothing expected.
+   * @param {string} id - Stock take ID
+   * @param {Object} submission - Counts
+   * @param {string} [submission.deviceId] - Counting device (defaults to the user)
+   * @param {Array} submission.counts - {lineId} or {itemId, batchNumber}, plus quantity
+   * @param {string} userId - User submitting the counts
+   * @returns {Promise<Object>} Updated stock take
+   */
+  async submitCounts(id, submission, userId) {
+    const counts = (submission && submission.counts) || [];
+    if (!Array.isArray(counts) || counts.length === 0) {
+      throw new AppError('At least one count is required', 400);
+    }
+
+    const deviceId = (submission.deviceId && String(submission.deviceId).trim()) || `user:${userId}`;
+    const stockTake = await this.getStockTakeForUpdate(id, STOCK_TAKE_STATUS.COUNTING, 'counted');
+
+    for (const count of counts) {
+      const quantity = Number(count.quantity);
+      if (!Number.isFinite(quantity) || quantity < 0) {
+        throw new AppError('Counted quantity must be zero or more', 400);
+      }
+
+      const line = await this.findOrAddLine(stockTake, count);
+      line.counts = line.counts.filter(entry => entry.deviceId !== deviceId);
+      line.counts.push({
+        deviceId,
+        quantity,
+        countedBy: userId,
+        countedAt: new Date()
+      });
+      line.countedQuantity = line.counts.reduce((sum, entry) => sum + entry.quantity, 0);
+      line.variance = line.countedQuantity - line.expectedQuantity;
+    }
+
+    return stockTake.save();
+  }
+
+  /**
+   * Find the session line a count is for, adding one for stock found that was not expected
+   * @param {Object} stockTake - Stock take document
+   * @param {Object} count - {lineId} or {itemId, batchNumber}
+   * @returns {Promise<Object>} Session line
+   */
+  async findOrAddLine(stockTake, count) {
+    if (count.lineId) {
+      const line = stockTake.lines.id(count.lineId);
+      if (!line) {
+        throw new AppError(`Stock take line ${count.lineId} not found`, 400);
+      }
+      return line;
+    }
+
+    if (!count.itemId) {
+      throw new AppError('Each count needs a line ID or an item ID', 400);
+    }
+
+    const batchNumber = count.batchNumber ? String(count.batchNumber).trim().toUpperCase() : undefined;
+    const existing = stockTake.lines.find(line => String(line.itemId) === String(count.itemId)
+      && (line.batchNumber || undefined) === batchNumber);
+    if (existing) {
+      return existing;
+    }
+
+    const item = await Item.findById(count.itemId).select('code name category pricing.costPrice');
+    if (!item) {
+      throw new AppError(`Item ${count.itemId} not found`, 404);
+    }
+
+    let batch = null;
+    if (batchNumber) {
+      batch = await Batch.findOne({ batchNumber, item: item._id, warehouse: stockTake.warehouse });
+      if (!batch) {
+        throw new AppError(`Batch ${batchNumber} of ${item.name} is not known in this warehouse`, 400);
+      }
+    }
+
+    stockTake.lines.push({
+      itemId: item._id,
+      batchId: batch ? batch._id : undefined,
+      batchNumber,
+      expiryDate: batch ? batch.expiryDate : undefined,
+      expectedQuantity: 0,
+      unitCost: (batch && batch.unitCost) || (item.pricing && item.pricing.costPrice) || 0,
+      counts: [],
+      addedDuringCount: true
+    });
+
+    return stockTake.lines[stockTake.lines.length - 1];
+  }
+
+  /**
+   * Close counting and hand the variances to an approver
+   * @param {string} id - Stock take ID
+   * @param {string} userId - User closing the count
+   * @returns {Promise<Object>} Completed stock take
+   */
+  async completeStockTake(id, userId) {
+    const stockTake = await this.getStockTakeForUpdate(id, STOCK_TAKE_STATUS.COUNTING, 'completed');
+
+    if (!stockTake.lines.some(line => line.countedQuantity !== undefined)) {
+      throw new AppError('Nothing has been counted yet', 400);
+    }
+
+    stockTake.totals = this.summariseVariances(stockTake.lines);
+    stockTake.status = STOCK_TAKE_STATUS.COMPLETED;
+    stockTake.completedAt = new Date();
+    stockTake.completedBy = userId;
+
+    return stockTake.save();
+  }
+
+  /**
+   * Variance report of a stock take
+   * Uncounted lines are listed but are not adjusted when the session is posted.
+   * @param {string} id - Stock take ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.varianceOnly] - Only lines whose count differs from the books
+   * @returns {Promise<Object>} {stockTake, lines, totals}
+   */
+  async getVarianceReport(id, options = {}) {
+    const stockTake = await this.getStockTakeById(id);
+    if (!stockTake) {
+      throw new AppError('Stock take not found', 404);
+    }
+
+    const lines = stockTake.lines.map((line) => {
+      const counted = line.countedQuantity !== undefined && line.countedQuantity !== null;
+      const variance = counted ? line.countedQuantity - line.expectedQuantity : 0;
+      const item = line.itemId || {};
+
+      return {
+        lineId: line._id,
+        itemId: item._id || line.itemId,
+        code: item.code,
+        name: item.name,
+        batchNumber: line.batchNumber,
+        expiryDate: line.expiryDate,
+        expectedQuantity: line.expectedQuantity,
+        countedQuantity: counted ? line.countedQuantity : null,
+        counted,
+        variance,
+        variancePercent: line.expectedQuantity > 0
+          ? roundAmount((variance / line.expectedQuantity) * 100)
+          : null,
+        unitCost: line.unitCost,
+        valueImpact: line.valueImpact !== undefined ? line.valueImpact : roundAmount(variance * line.unitCost),
+        devices: line.counts.map(entry => entry.deviceId),
+        addedDuringCount: line.addedDuringCount,
+        reasonCode: line.reasonCode
+      };
+    });
+
+    const summary = this.summariseVariances(stockTake.lines);
+
+    return {
+      stockTake: {
+        _id: stockTake._id,
+        stockTakeNumber: stockTake.stockTakeNumber,
+        warehouse: stockTake.warehouse,
+        section: stockTake.section,
+        category: stockTake.category,
+        countType: stockTake.countType,
+        status: stockTake.status,
+        frozenAt: stockTake.frozenAt
+      },
+      lines: options.varianceOnly ? lines.filter(line => line.variance !== 0) : lines,
+      totals: {
+        lines: lines.length,
+        countedLines: lines.filter(line => line.counted).length,
+        uncountedLines: lines.filter(line => !line.counted).length,
+        linesWithVariance: lines.filter(line => line.variance !== 0).length,
+        ...summary,
+        netValue: roundAmount(summary.gainValue - summary.lossValue)
+      }
+    };
+  }
+
+  /**
+   * Post the variances of a completed stock take as stock adjustments
+   * Every line with a variance needs a reason code, given per line or as a default. Batches,
+   * warehouse stock, item stock, cost layers and the inventory ledger are adjusted in one
+   * transaction, and the counted items are marked as counted in the warehouse.
+   * @param {string} id - Stock take ID
+   * @param {Object} approval - Approval data
+   * @param {Array} [approval.reasons] - {lineId, reasonCode, notes} per line
+   * @param {string} [approval.defaultReasonCode] - Reason for lines without their own
+   * @param {string} userId - Approver posting the adjustments
+   * @returns {Promise<Object>} Posted stock take
+   */
+  async postStockTake(id, approval, userId) {
+    const reasons = (approval && approval.reasons) || [];
+    const defaultReasonCode = approval && approval.defaultReasonCode;
+    const validReasons = Object.values(STOCK_TAKE_REASONS);
+
+    return runInTransaction(async (session) => {
+      const stockTake = await this.getStockTakeForUpdate(id, STOCK_TAKE_STATUS.COMPLETED, 'posted', session);
+      const varianceLines = stockTake.lines.filter(line => line.countedQuantity !== undefined
+        && line.countedQuantity !== null
+        && line.countedQuantity !== line.expectedQuantity);
+
+      reasons.forEach((reason) => {
+        if (!stockTake.lines.id(reason.lineId)) {
+          throw new AppError(`Stock take line ${reason.lineId} not found`, 400);
+        }
+      });
+
+      for (const line of varianceLines) {
+        const reason = reasons.find(entry => String(entry.lineId) === String(line._id)) || {};
+        const reasonCode = reason.reasonCode || defaultReasonCode;
+        if (!reasonCode) {
+          throw new AppError('Every line with a variance needs a reason code', 400);
+        }
+        if (!validReasons.includes(reasonCode)) {
+          throw new AppError(`Reason code must be one of: ${validReasons.join(', ')}`, 400);
+        }
+        line.reasonCode = reasonCode;
+        line.reasonNotes = reason.notes;
+      }
+
+      const warehouse = await Warehouse.findById(stockTake.warehouse).session(session);
+      let gainValue = 0;
+      let lossValue = 0;
+
+      for (const line of varianceLines) {
+        const variance = line.countedQuantity - line.expectedQuantity;
+        line.variance = variance;
+
+        await this.adjustBatch(line, variance, session);
+        await this.adjustWarehouseStock(line.itemId, warehouse, variance, session);
+        await this.adjustItemStock(line.itemId, variance, session);
+
+        if (variance > 0) {
+          await inventoryValuationService.addLayer({
+            itemId: line.itemId,
+            warehouseId: stockTake.warehouse,
+            batchId: line.batchId,
+            batchNumber: line.batchNumber,
+            sourceType: 'adjustment',
+            sourceId: stockTake._id,
+            sourceNumber: stockTake.stockTakeNumber,
+            quantity: variance,
+            unitCost: line.unitCost
+          }, { session });
+          line.valueImpact = roundAmount(variance * line.unitCost);
+          gainValue += line.valueImpact;
+        } else {
+          const cost = await inventoryValuationService.consumeLayers(line.itemId, -variance, {
+            batchId: line.batchId,
+            batchNumber: line.batchNumber,
+            warehouseId: stockTake.warehouse,
+            session
+          });
+          line.valueImpact = -cost.amount;
+          lossValue += cost.amount;
+        }
+
+        await stockMovementRepository.create({
+          itemId: line.itemId,
+          movementType: 'adjustment',
+          quantity: variance,
+          referenceType: 'adjustment',
+          referenceId: stockTake._id,
+          warehouse: stockTake.warehouse,
+          batchInfo: line.batchNumber ? {
+            batchNumber: line.batchNumber,
+            expiryDate: line.expiryDate
+          } : undefined,
+          movementDate: new Date(),
+          notes: `Stock take ${stockTake.stockTakeNumber} - ${line.reasonCode}`
+            + `${line.reasonNotes ? `: ${line.reasonNotes}` : ''}`,
+          createdBy: userId
+        }, { session });
+      }
+
+      await this.postVarianceEntries(stockTake, roundAmount(gainValue), roundAmount(lossValue), userId, session);
+
+      const countedItemIds = stockTake.lines
+        .filter(line => line.countedQuantity !== undefined && line.countedQuantity !== null)
+        .map(line => line.itemId);
+      await Inventory.updateMany(
+        { warehouse: stockTake.warehouse, item: { $in: countedItemIds } },
+        { $set: { lastCounted: new Date() } },
+        { session }
+      );
+
+      stockTake.totals = {
+        ...this.summariseVariances(stockTake.lines),
+        gainValue: roundAmount(gainValue),
+        lossValue: roundAmount(lossValue)
+      };
+      stockTake.status = STOCK_TAKE_STATUS.POSTED;
+      stockTake.postedAt = new Date();
+      stockTake.postedBy = userId;
+
+      return stockTake.save({ session });
+    });
+  }
+
+  /**
+   * Cancel a stock take that has not been posted
+   * @param {string} id - Stock take ID
+   * @param {string} reason - Cancellation reason
+   * @param {string} userId - User cancelling the session
+   * @returns {Promise<Object>} Cancelled stock take
+   */
+  async cancelStockTake(id, reason, userId) {
+    const stockTake = await StockTake.findById(id);
+    if (!stockTake) {
+      throw new AppError('Stock take not found', 404);
+    }
+    if (![STOCK_TAKE_STATUS.COUNTING, STOCK_TAKE_STATUS.COMPLETED].includes(stockTake.status)) {
+      throw new AppError(`Stock take ${stockTake.stockTakeNumber} is ${stockTake.status} and cannot be cancelled`, 400);
+    }
+
+    stockTake.status = STOCK_TAKE_STATUS.CANCELLED;
+    stockTake.cancelledAt = new Date();
+    stockTake.cancelledBy = userId;
+    stockTake.cancellationReason = reason;
+
+    return stockTake.save();
+  }
+
+  /**
+   * Propose what to count in a warehouse today, by ABC class
+   * Items are ranked by the cost of what they sold over the lookback period: the items making
+   * up the first 80% of that value are class A, the next 15% class B and the rest class C.
+   * Each class is counted every CYCLE_COUNT_FREQUENCY_DAYS days, so a day's share of a class
+   * is its item count divided by its frequency; the items counted longest ago come first.
+   * @param {Object} options - Options
+   * @param {string} options.warehouseId - Warehouse ID
+   * @param {Date} [options.date] - Day to schedule (defaults to today)
+   * @param {number} [options.lookbackDays] - Days of sales used to rank items (default 365)
+   * @returns {Promise<Object>} {date, warehouseId, classes, proposals}
+   */
+  async getCycleCountSchedule(options = {}) {
+    const { warehouseId } = options;
+    if (!warehouseId) {
+      throw new AppError('Warehouse is required', 400);
+    }
+
+    const date = options.date ? new Date(options.date) : new Date();
+    const lookbackDays = parseInt(options.lookbackDays, 10) || 365;
+
+    const records = await Inventory.find({ warehouse: warehouseId })
+      .populate('item', 'code name category pricing.costPrice isActive');
+    const stocked = records.filter(record => record.item && record.item.isActive !== false);
+
+    const usage = await StockMovement.aggregate([
+      {
+        $match: {
+          warehouse: new mongoose.Types.ObjectId(warehouseId),
+          referenceType: 'sales_invoice',
+          movementDate: { $gte: new Date(date.getTime() - lookbackDays * DAY_MS), $lte: date }
+        }
+      },
+      { $group: { _id: '$itemId', quantity: { $sum: { $abs: '$quantity' } } } }
+    ]);
+    const usageByItem = new Map(usage.map(row => [String(row._id), row.quantity]));
+
+    const ranked = stocked
+      .map((record) => {
+        const costPrice = (record.item.pricing && record.item.pricing.costPrice) || 0;
+        return {
+          record,
+          usageValue: roundAmount((usageByItem.get(String(record.item._id)) || 0) * costPrice)
+        };
+      })
+      .sort((a, b) => b.usageValue - a.usageValue);
+
+    const totalValue = ranked.reduce((sum, entry) => sum + entry.usageValue, 0);
+    let cumulative = 0;
+    const classified = ranked.map((entry) => {
+      const share = totalValue > 0 ? cumulative / totalValue : 1;
+      cumulative += entry.usageValue;
+
+      let abcClass = 'C';
+      if (entry.usageValue > 0 && share < 0.8) {
+        abcClass = 'A';
+      } else if (entry.usageValue > 0 && share < 0.95) {
+        abcClass = 'B';
+      }
+      return { ...entry, abcClass };
+    });
+
+    const classes = {};
+    const proposals = [];
+
+    Object.entries(CYCLE_COUNT_FREQUENCY_DAYS).forEach(([abcClass, frequencyDays]) => {
+      const members = classified.filter(entry => entry.abcClass === abcClass);
+      const dailyQuota = Math.ceil(members.length / frequencyDays);
+      const due = members
+        .map((entry) => {
+          const { lastCounted } = entry.record;
+          const daysSinceCount = lastCounted
+            ? Math.floor((date - new Date(lastCounted)) / DAY_MS)
+            : null;
+          return { ...entry, daysSinceCount };
+        })
+        .filter(entry => entry.daysSinceCount === null || entry.daysSinceCount >= frequencyDays)
+        .sort((a, b) => (b.daysSinceCount === null ? Infinity : b.daysSinceCount)
+          - (a.daysSinceCount === null ? Infinity : a.daysSinceCount)
+          || b.usageValue - a.usageValue);
+
+      classes[abcClass] = {
+        items: members.length,
+        due: due.length,
+        frequencyDays,
+        dailyQuota
+      };
+
+      due.slice(0, dailyQuota).forEach((entry) => {
+        proposals.push({
+          itemId: entry.record.item._id,
+          code: entry.record.item.code,
+          name: entry.record.item.name,
+          abcClass,
+          usageValue: entry.usageValue,
+          quantity: entry.record.quantity,
+          lastCounted: entry.record.lastCounted || null,
+          daysSinceCount: entry.daysSinceCount
+        });
+      });
+    });
+
+    return {
+      date,
+      warehouseId,
+      lookbackDays,
+      classes,
+      proposals
+    };
+  }
+
+  /**
+   * Load a stock take and make sure it is in the status an action needs
+   * @param {string} id - Stock take ID
+   * @param {string} expectedStatus - Status the stock take must be in
+   * @param {string} action - Past tense of the action, for the error message
+   * @param {Object} [session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Stock take document
+   */
+  async getStockTakeForUpdate(id, expectedStatus, action, session = null) {
+    const stockTake = await StockTake.findById(id).session(session);
+    if (!stockTake) {
+      throw new AppError('Stock take not found', 404);
+    }
+    if (stockTake.status !== expectedStatus) {
+      throw new AppError(
+        `Only ${expectedStatus} stock takes can be ${action}. `
+        + `Stock take ${stockTake.stockTakeNumber} is ${stockTake.status}`,
+        400
+      );
+    }
+    return stockTake;
+  }
+
+  /**
+   * Gain and loss quantities and estimated values of the counted lines
+   * @param {Array} lines - Session lines
+   * @returns {Object} {gainQuantity, lossQuantity, gainValue, lossValue}
+   */
+  summariseVariances(lines) {
+    const totals = {
+      gainQuantity: 0,
+      lossQuantity: 0,
+      gainValue: 0,
+      lossValue: 0
+    };
+
+    lines
+      .filter(line => line.countedQuantity !== undefined && line.countedQuantity !== null)
+      .forEach((line) => {
+        const variance = line.countedQuantity - line.expectedQuantity;
+        if (variance > 0) {
+          totals.gainQuantity += variance;
+          totals.gainValue += variance * line.unitCost;
+        } else if (variance < 0) {
+          totals.lossQuantity -= variance;
+          totals.lossValue -= variance * line.unitCost;
+        }
+      });
+
+    totals.gainValue = roundAmount(totals.gainValue);
+    totals.lossValue = roundAmount(totals.lossValue);
+    return totals;
+  }
+
+  /**
+   * Apply a variance to the batch a line counted
+   * @param {Object} line - Session line
+   * @param {number} variance - Counted minus expected quantity
+   * @param {Object} session - Session of the enclosing transaction
+   */
+  async adjustBatch(line, variance, session) {
+    if (!line.batchId) {
+      return;
+    }
+
+    if (variance > 0) {
+      await batchRepository.incrementRemainingQuantity(line.batchId, variance, { session });
+      return;
+    }
+
+    const updated = await batchRepository.decrementRemainingQuantity(line.batchId, -variance, { session });
+    if (!updated) {
+      throw new AppError(
+        `Batch ${line.batchNumber} no longer holds the ${-variance} units to write off. `
+        + 'Stock has moved since the count; cancel and recount.',
+        409
+      );
+    }
+  }
+
+  /**
+   * Apply a variance to an item's stock in the warehouse
+   * @param {string} itemId - Item ID
+   * @param {Object} warehouse - Warehouse document
+   * @param {number} variance - Quantity to add (positive) or take (negative)
+   * @param {Object} session - Session of the enclosing transaction
+   */
+  async adjustWarehouseStock(itemId, warehouse, variance, session) {
+    let inventory = await Inventory.findOne({ item: itemId, warehouse: warehouse._id }).session(session);
+    const onHand = inventory ? inventory.quantity : 0;
+
+    if (onHand + variance < 0) {
+      throw new AppError(
+        `${warehouse.name} no longer holds the ${-variance} units to write off (on hand: ${onHand}). `
+        + 'Stock has moved since the count; cancel and recount.',
+        409
+      );
+    }
+
+    if (!inventory) {
+      inventory = new Inventory({ item: itemId, warehouse: warehouse._id, quantity: 0 });
+    }
+
+    inventory.quantity = onHand + variance;
+    await inventory.save({ session });
+  }
+
+  /**
+   * Apply a variance to an item's total stock
+   * @param {string} itemId - Item ID
+   * @param {number} variance - Quantity to add (positive) or take (negative)
+   * @param {Object} session - Session of the enclosing transaction
+   */
+  async adjustItemStock(itemId, variance, session) {
+    const item = await Item.findById(itemId).session(session);
+    if (!item) {
+      throw new AppError(`Item ${itemId} not found`, 404);
+    }
+
+    item.inventory.currentStock = Math.max(0, (item.inventory.currentStock || 0) + variance);
+    await item.save({ session });
+  }
+
+  /**
+   * Post the value of stock take gains and losses against the inventory account
+   * @param {Object} stockTake - Stock take document
+   * @param {number} gainValue - Value of stock found
+   * @param {number} lossValue - Value of stock written off
+   * @param {string} userId - Approver posting the session
+   * @param {Object} session - Session of the enclosing transaction
+   */
+  async postVarianceEntries(stockTake, gainValue, lossValue, userId, session) {
+    if (gainValue <= 0 && lossValue <= 0) {
+      return;
+    }
+
+    const inventoryAccount = await accountService.getOrCreateSystemAccount('INVENTORY_ASSET', {
+      name: 'Inventory Asset',
+      accountType: 'asset',
+      description: 'Inventory/Stock asset account'
+    });
+    const adjustmentAccount = await accountService.getOrCreateSystemAccount('STOCK_ADJUSTMENT', {
+      name: 'Stock Adjustment',
+      accountType: 'expense',
+      description: 'Stock gains and losses found by stock takes and write-offs'
+    });
+    const inventory = { accountId: inventoryAccount._id, accountType: 'Account' };
+    const adjustment = { accountId: adjustmentAccount._id, accountType: 'Account' };
+
+    if (gainValue > 0) {
+      await ledgerService.createDoubleEntry(
+        inventory,
+        adjustment,
+        gainValue,
+        `Stock take ${stockTake.stockTakeNumber} - stock found`,
+        'adjustment',
+        stockTake._id,
+        userId,
+        { session }
+      );
+    }
+
+    if (lossValue > 0) {
+      await ledgerService.createDoubleEntry(
+        adjustment,
+        inventory,
+        lossValue,
+        `Stock take ${stockTake.stockTakeNumber} - stock written off`,
+        'adjustment',
+        stockTake._id,
+        userId,
+        { session }
+      );
+    }
+  }
+}
+
+module.exports = new StockTakeService();
@@ -1,16 +1,25 @@
 const Inventory = require('../models/Inventory');
 const StockMovement = require('../models/StockMovement');
+const StockTransfer = require('../models/StockTransfer');
 const Warehouse = require('../models/Warehouse');
 const Item = require('../models/Item');
+const Batch = require('../models/Batch');
+const batchRepository = require('../repositories/batchRepository');
+const stockMovementRepository = require('../repositories/stockMovementRepository');
+const notificationService = require('./notificationService');
+const { TRANSFER_STATUS } = require('../constants/transferStatus');
+const { runInTransaction } = require('../utils/transaction');
 const AppError = require('../utils/appError');
 
+const TRANSIT_WAREHOUSE_CODE = 'TRANSIT';
+
 /**
  * Stock Transfer Service
  * Handles business logic for transferring stock between warehouses
  */
 class StockTransferService {
   /**
-   * Transfer stock between warehouses
+   * Transfer stock between warehouses in a single step, without a transfer document
    * @param {Object} transferData - Transfer data
    * @param {string} transferData.itemId - Item ID
    * @param {string} transferData.fromWarehouseId - Source warehouse ID
@@ -311,6 +320,599 @@ class StockTransferService {
       toWarehouse: toWarehouse ? { id: toWarehouse._id, code: toWarehouse.code, name: toWarehouse.name } : null
     };
   }
+
+  /**
+   * Create a pending transfer document
+   * Nothing moves until the transfer is dispatched.
+   * @param {Object} transferData - Transfer data
+   * @param {string} transferData.fromWarehouse - Source warehouse ID
+   * @param {string} transferData.toWarehouse - Destination warehouse ID
+   * @param {Array} transferData.items - Lines {itemId, quantity, batchNumber}
+   * @param {Date} [transferData.transferDate] - Transfer date (defaults to now)
+   * @param {string} [transferData.referenceNumber] - External reference
+   * @param {string} [transferData.notes] - Notes
+   * @param {string} transferData.createdBy - User ID creating the transfer
+   * @returns {Promise<Object>} Created transfer
+   */
+  async createTransfer(transferData) {
+    const {
+      fromWarehouse,
+      toWarehouse,
+      items = [],
+      transferDate,
+      referenceNumber,
+      notes,
+      createdBy
+    } = transferData;
+
+    if (!fromWarehouse || !toWarehouse) {
+      throw new AppError('Source and destination warehouses are required', 400);
+    }
+    if (String(fromWarehouse) === String(toWarehouse)) {
+      throw new AppError('Source and destination warehouses must be different', 400);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new AppError('A transfer needs at least one item', 400);
+    }
+
+    const [source, destination] = await Promise.all([
+      Warehouse.findById(fromWarehouse),
+      Warehouse.findById(toWarehouse)
+    ]);
+    if (!source || source.isTransit) {
+      throw new AppError('Source warehouse not found', 404);
+    }
+    if (!destination || destination.isTransit) {
+      throw new AppError('Destination warehouse not found', 404);
+    }
+    if (!source.isActive || !destination.isActive) {
+      throw new AppError('Cannot transfer stock from or to an inactive warehouse', 400);
+    }
+
+    const lines = items.map((line) => {
+      const quantity = Number(line.quantity);
+      if (!line.itemId) {
+        throw new AppError('Item ID is required on every transfer line', 400);
+      }
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        throw new AppError('Transfer quantity must be greater than 0', 400);
+      }
+      return {
+        itemId: line.itemId,
+        batchNumber: line.batchNumber ? String(line.batchNumber).trim().toUpperCase() : undefined,
+        quantity
+      };
+    });
+
+    const lineKeys = lines.map(line => `${line.itemId}:${line.batchNumber || ''}`);
+    if (new Set(lineKeys).size !== lineKeys.length) {
+      throw new AppError('Each item and batch can only appear once on a transfer', 400);
+    }
+
+    const itemIds = Array.from(new Set(lines.map(line => String(line.itemId))));
+    const found = await Item.find({ _id: { $in: itemIds } }).select('_id');
+    if (found.length !== itemIds.length) {
+      throw new AppError('One or more items not found', 404);
+    }
+
+    const transfer = new StockTransfer({
+      fromWarehouse,
+      toWarehouse,
+      items: lines,
+      transferDate: transferDate || new Date(),
+      referenceNumber,
+      notes,
+      status: TRANSFER_STATUS.PENDING,
+      createdBy
+    });
+
+    return transfer.save();
+  }
+
+  /**
+   * Get a transfer by ID
+   * @param {string} id - Transfer ID
+   * @returns {Promise<Object|null>} Transfer or null if not found
+   */
+  async getTransferById(id) {
+    return StockTransfer.findById(id)
+      .populate('fromWarehouse', 'code name')
+      .populate('toWarehouse', 'code name')
+      .populate('items.itemId', 'code name')
+      .populate('createdBy dispatchedBy receivedBy cancelledBy', 'username');
+  }
+
+  /**
+   * Get transfers with filtering and pagination
+   * @param {Object} filters - {fromWarehouse, toWarehouse, status, startDate, endDate}
+   * @param {number} [page] - Page number
+   * @param {number} [limit] - Items per page
+   * @returns {Promise<Object>} {data, pagination}
+   */
+  async getTransfers(filters = {}, page = 1, limit = 10) {
+    const query = {};
+
+    if (filters.fromWarehouse) {
+      query.fromWarehouse = filters.fromWarehouse;
+    }
+    if (filters.toWarehouse) {
+      query.toWarehouse = filters.toWarehouse;
+    }
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.startDate || filters.endDate) {
+      query.transferDate = {};
+      if (filters.startDate) {
+        query.transferDate.$gte = new Date(filters.startDate);
+      }
+      if (filters.endDate) {
+        query.transferDate.$lte = new Date(filters.endDate);
+      }
+    }
+
+    const [data, total] = await Promise.all([
+      StockTransfer.find(query)
+        .populate('fromWarehouse', 'code name')
+        .populate('toWarehouse', 'code name')
+        .sort({ transferDate: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockTransfer.countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Dispatch a pending transfer
+   * Debits the source warehouse (and the source batch of batch lines) and holds the stock in
+   * the in-transit warehouse until the destination confirms receipt.
+   * @param {string} id - Transfer ID
+   * @param {string} userId - User dispatching the transfer
+   * @returns {Promise<Object>} Transfer in transit
+   */
+  async dispatchTransfer(id, userId) {
+    return runInTransaction(async (session) => {
+      const transfer = await this.getTransferForUpdate(id, TRANSFER_STATUS.PENDING, 'dispatched', session);
+      const [source, transit] = await Promise.all([
+        Warehouse.findById(transfer.fromWarehouse).session(session),
+        this.getTransitWarehouse(session)
+      ]);
+
+      for (const line of transfer.items) {
+        if (line.batchNumber) {
+          const batch = await Batch.findOne({
+            batchNumber: line.batchNumber,
+            item: line.itemId,
+            warehouse: transfer.fromWarehouse
+          }).session(session);
+
+          if (!batch) {
+            throw new AppError(`Batch ${line.batchNumber} not found in ${source.name}`, 404);
+          }
+          if (batch.status === 'quarantined') {
+            throw new AppError(`Batch ${line.batchNumber} is quarantined and cannot be transferred`, 400);
+          }
+
+          const updated = await batchRepository.decrementRemainingQuantity(batch._id, line.quantity, { session });
+          if (!updated) {
+            throw new AppError(
+              `Insufficient stock in batch ${line.batchNumber}. Available: ${batch.remainingQuantity}, `
+              + `Requested: ${line.quantity}`,
+              400
+            );
+          }
+
+          line.expiryDate = batch.expiryDate;
+          line.manufacturingDate = batch.manufacturingDate;
+          line.unitCost = batch.unitCost;
+        }
+
+        await this.changeWarehouseStock(line.itemId, source, -line.quantity, session);
+        await this.changeWarehouseStock(line.itemId, transit, line.quantity, session);
+        await this.recordTransferMovement(transfer, line, 'out', transfer.fromWarehouse, line.quantity, {
+          userId,
+          session,
+          notes: `Transfer ${transfer.transferNumber} dispatched`
+        });
+      }
+
+      transfer.status = TRANSFER_STATUS.IN_TRANSIT;
+      transfer.dispatchedAt = new Date();
+      transfer.dispatchedBy = userId;
+      return transfer.save({ session });
+    });
+  }
+
+  /**
+   * Confirm receipt of a transfer in transit
+   * Only the quantity received in good condition is credited to the destination. Lines left
+   * out of the receipt are taken as fully received. Short or damaged quantities raise an open
+   * discrepancy on the transfer and notify users who manage transfers.
+   * @param {string} id - Transfer ID
+   * @param {Object} receipt - Receipt data
+   * @param {Array} [receipt.items] - Lines {lineId, receivedQuantity, damagedQuantity, notes}
+   * @param {string} userId - User confirming the receipt
+   * @returns {Promise<Object>} Completed transfer
+   */
+  async receiveTransfer(id, receipt, userId) {
+    const receiptLines = (receipt && receipt.items) || [];
+
+    const transfer = await runInTransaction(async (session) => {
+      const doc = await this.getTransferForUpdate(id, TRANSFER_STATUS.IN_TRANSIT, 'received', session);
+      const [destination, transit] = await Promise.all([
+        Warehouse.findById(doc.toWarehouse).session(session),
+        this.getTransitWarehouse(session)
+      ]);
+
+      receiptLines.forEach((received) => {
+        if (!doc.items.some(line => String(line._id) === String(received.lineId))) {
+          throw new AppError(`Transfer line ${received.lineId} not found`, 400);
+        }
+      });
+
+      let shortQuantity = 0;
+      let damagedQuantity = 0;
+
+      // Check every line before any stock moves
+      doc.items.forEach((line) => {
+        const received = receiptLines.find(entry => String(entry.lineId) === String(line._id)) || {};
+        const damaged = Number(received.damagedQuantity || 0);
+        const receivedQuantity = received.receivedQuantity !== undefined
+          ? Number(received.receivedQuantity)
+          : line.quantity - damaged;
+
+        if (!Number.isFinite(receivedQuantity) || receivedQuantity < 0
+          || !Number.isFinite(damaged) || damaged < 0) {
+          throw new AppError('Received and damaged quantities must be non-negative numbers', 400);
+        }
+        if (receivedQuantity + damaged > line.quantity) {
+          throw new AppError(
+            `Received and damaged quantities exceed the ${line.quantity} sent for line ${line._id}`,
+            400
+          );
+        }
+
+        line.receivedQuantity = receivedQuantity;
+        line.damagedQuantity = damaged;
+        line.shortQuantity = line.quantity - receivedQuantity - damaged;
+        line.receiptNotes = received.notes;
+        shortQuantity += line.shortQuantity;
+        damagedQuantity += damaged;
+      });
+
+      for (const line of doc.items) {
+        await this.changeWarehouseStock(line.itemId, transit, -line.quantity, session);
+
+        if (line.receivedQuantity > 0) {
+          await this.changeWarehouseStock(line.itemId, destination, line.receivedQuantity, session);
+          if (line.batchNumber) {
+            await this.creditDestinationBatch(doc, line, line.receivedQuantity, userId, session);
+          }
+          await this.recordTransferMovement(doc, line, 'in', doc.toWarehouse, line.receivedQuantity, {
+            userId,
+            session,
+            notes: `Transfer ${doc.transferNumber} received`
+          });
+        }
+      }
+
+      if (shortQuantity > 0 || damagedQuantity > 0) {
+        doc.discrepancy = { status: 'open', shortQuantity, damagedQuantity };
+      }
+
+      doc.status = TRANSFER_STATUS.COMPLETED;
+      doc.receivedAt = new Date();
+      doc.receivedBy = userId;
+      return doc.save({ session });
+    });
+
+    if (transfer.discrepancy && transfer.discrepancy.status === 'open') {
+      await this.notifyDiscrepancy(transfer, userId);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Reject a transfer in transit
+   * The whole shipment returns from the in-transit warehouse to the source warehouse and batches.
+   * @param {string} id - Transfer ID
+   * @param {string} reason - Rejection reason
+   * @param {string} userId - User rejecting the transfer
+   * @returns {Promise<Object>} Rejected transfer
+   */
+  async rejectTransfer(id, reason, userId) {
+    if (!reason) {
+      throw new AppError('Rejection reason is required', 400);
+    }
+
+    return runInTransaction(async (session) => {
+      const transfer = await this.getTransferForUpdate(id, TRANSFER_STATUS.IN_TRANSIT, 'rejected', session);
+      const [source, transit] = await Promise.all([
+        Warehouse.findById(transfer.fromWarehouse).session(session),
+        this.getTransitWarehouse(session)
+      ]);
+
+      for (const line of transfer.items) {
+        await this.changeWarehouseStock(line.itemId, transit, -line.quantity, session);
+        await this.changeWarehouseStock(line.itemId, source, line.quantity, session);
+
+        if (line.batchNumber) {
+          const batch = await Batch.findOne({
+            batchNumber: line.batchNumber,
+            item: line.itemId,
+            warehouse: transfer.fromWarehouse
+          }).session(session);
+
+          if (batch) {
+            await batchRepository.incrementRemainingQuantity(batch._id, line.quantity, { session });
+          }
+        }
+
+        await this.recordTransferMovement(transfer, line, 'in', transfer.fromWarehouse, line.quantity, {
+          userId,
+          session,
+          notes: `Transfer ${transfer.transferNumber} rejected: ${reason}`
+        });
+      }
+
+      transfer.status = TRANSFER_STATUS.REJECTED;
+      transfer.cancelledAt = new Date();
+      transfer.cancelledBy = userId;
+      transfer.cancellationReason = reason;
+      return transfer.save({ session });
+    });
+  }
+
+  /**
+   * Cancel a transfer that has not been dispatched
+   * @param {string} id - Transfer ID
+   * @param {string} reason - Cancellation reason
+   * @param {string} userId - User cancelling the transfer
+   * @returns {Promise<Object>} Cancelled transfer
+   */
+  async cancelTransfer(id, reason, userId) {
+    const transfer = await this.getTransferForUpdate(id, TRANSFER_STATUS.PENDING, 'cancelled');
+
+    transfer.status = TRANSFER_STATUS.CANCELLED;
+    transfer.cancelledAt = new Date();
+    transfer.cancelledBy = userId;
+    transfer.cancellationReason = reason;
+    return transfer.save();
+  }
+
+  /**
+   * Get completed transfers that were received short or damaged
+   * @param {Object} [filters] - {status ('open' | 'resolved'), fromWarehouse, toWarehouse}
+   * @returns {Promise<Array>} Transfers with their discrepancy
+   */
+  async getDiscrepancies(filters = {}) {
+    const query = { 'discrepancy.status': filters.status || 'open' };
+
+    if (filters.fromWarehouse) {
+      query.fromWarehouse = filters.fromWarehouse;
+    }
+    if (filters.toWarehouse) {
+      query.toWarehouse = filters.toWarehouse;
+    }
+
+    return StockTransfer.find(query)
+      .populate('fromWarehouse', 'code name')
+      .populate('toWarehouse', 'code name')
+      .populate('items.itemId', 'code name')
+      .sort({ receivedAt: -1 });
+  }
+
+  /**
+   * Resolve an open receipt discrepancy
+   * @param {string} id - Transfer ID
+   * @param {string} resolution - How the discrepancy was settled
+   * @param {string} userId - User resolving the discrepancy
+   * @returns {Promise<Object>} Updated transfer
+   */
+  async resolveDiscrepancy(id, resolution, userId) {
+    if (!resolution) {
+      throw new AppError('Resolution is required', 400);
+    }
+
+    const transfer = await StockTransfer.findById(id);
+    if (!transfer) {
+      throw new AppError('Transfer not found', 404);
+    }
+    if (!transfer.discrepancy || transfer.discrepancy.status !== 'open') {
+      throw new AppError('Transfer has no open discrepancy', 400);
+    }
+
+    transfer.discrepancy.status = 'resolved';
+    transfer.discrepancy.resolution = resolution;
+    transfer.discrepancy.resolvedAt = new Date();
+    transfer.discrepancy.resolvedBy = userId;
+    return transfer.save();
+  }
+
+  /**
+   * Load a transfer and make sure it is in the status an action needs
+   * @param {string} id - Transfer ID
+   * @param {string} expectedStatus - Status the transfer must be in
+   * @param {string} action - Past tense of the action, for the error message
+   * @param {Object} [session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Transfer document
+   */
+  async getTransferForUpdate(id, expectedStatus, action, session = null) {
+    const transfer = await StockTransfer.findById(id).session(session);
+    if (!transfer) {
+      throw new AppError('Transfer not found', 404);
+    }
+    if (transfer.status !== expectedStatus) {
+      throw new AppError(
+        `Only ${expectedStatus.replace('_', ' ')} transfers can be ${action}. `
+        + `Transfer ${transfer.transferNumber} is ${transfer.status.replace('_', ' ')}`,
+        400
+      );
+    }
+    return transfer;
+  }
+
+  /**
+   * Get the virtual warehouse holding dispatched stock, creating it on first use
+   * @param {Object} [session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} In-transit warehouse
+   */
+  async getTransitWarehouse(session = null) {
+    return Warehouse.findOneAndUpdate(
+      { code: TRANSIT_WAREHOUSE_CODE },
+      {
+        $setOnInsert: {
+          name: 'In Transit',
+          isTransit: true,
+          location: {
+            address: 'Stock dispatched between warehouses',
+            city: 'N/A',
+            country: 'N/A'
+          }
+        }
+      },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        session
+      }
+    );
+  }
+
+  /**
+   * Add to or take from an item's stock in a warehouse
+   * @param {string} itemId - Item ID
+   * @param {Object} warehouse - Warehouse document
+   * @param {number} change - Quantity to add (positive) or take (negative)
+   * @param {Object} [session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Updated inventory record
+   */
+  async changeWarehouseStock(itemId, warehouse, change, session = null) {
+    let inventory = await Inventory.findOne({ item: itemId, warehouse: warehouse._id }).session(session);
+
+    const available = inventory ? inventory.quantity : 0;
+    if (available + change < 0) {
+      throw new AppError(
+        `Insufficient stock in ${warehouse.name}. Available: ${available}, Requested: ${-change}`,
+        400
+      );
+    }
+
+    if (!inventory) {
+      inventory = new Inventory({ item: itemId, warehouse: warehouse._id, quantity: 0 });
+    }
+
+    inventory.quantity = available + change;
+    await inventory.save({ session });
+    return inventory;
+  }
+
+  /**
+   * Add received quantity to the destination batch, creating it from the source batch details
+   * @param {Object} transfer - Transfer document
+   * @param {Object} line - Transfer line
+   * @param {number} quantity - Quantity received in good condition
+   * @param {string} userId - User receiving the transfer
+   * @param {Object} [session] - Session of an enclosing transaction
+   * @returns {Promise<Object>} Destination batch
+   */
+  async creditDestinationBatch(transfer, line, quantity, userId, session = null) {
+    const unitCost = line.unitCost || 0;
+    const batch = await Batch.findOneAndUpdate(
+      { batchNumber: line.batchNumber, item: line.itemId, warehouse: transfer.toWarehouse },
+      {
+        $inc: { quantity, remainingQuantity: quantity, totalCost: quantity * unitCost },
+        $setOnInsert: {
+          manufacturingDate: line.manufacturingDate,
+          expiryDate: line.expiryDate,
+          unitCost,
+          referenceNumber: transfer.transferNumber,
+          referenceType: 'TRANSFER',
+          createdBy: userId
+        }
+      },
+      {
+        upsert: true,
+        new: true,
+        setDefaultsOnInsert: true,
+        session
+      }
+    );
+
+    if (batch.status === 'depleted') {
+      return Batch.findByIdAndUpdate(batch._id, { $set: { status: 'active' } }, { new: true, session });
+    }
+
+    return batch;
+  }
+
+  /**
+   * Record a stock movement for a transfer line
+   * @param {Object} transfer - Transfer document
+   * @param {Object} line - Transfer line
+   * @param {string} movementType - 'in' or 'out'
+   * @param {string} warehouseId - Warehouse the stock moved in or out of
+   * @param {number} quantity - Quantity moved
+   * @param {Object} options - {userId, session, notes}
+   * @returns {Promise<Object>} Created movement
+   */
+  async recordTransferMovement(transfer, line, movementType, warehouseId, quantity, options) {
+    return stockMovementRepository.create({
+      itemId: line.itemId,
+      movementType,
+      quantity,
+      referenceType: 'transfer',
+      referenceId: transfer._id,
+      warehouse: warehouseId,
+      transferInfo: {
+        fromWarehouse: transfer.fromWarehouse,
+        toWarehouse: transfer.toWarehouse,
+        transferId: transfer._id
+      },
+      batchInfo: line.batchNumber ? {
+        batchNumber: line.batchNumber,
+        expiryDate: line.expiryDate,
+        manufacturingDate: line.manufacturingDate
+      } : undefined,
+      movementDate: new Date(),
+      notes: options.notes,
+      createdBy: options.userId
+    }, { session: options.session });
+  }
+
+  /**
+   * Tell users who manage transfers about a short or damaged receipt
+   * A failed notification does not undo the receipt.
+   * @param {Object} transfer - Completed transfer with an open discrepancy
+   * @param {string} userId - User who confirmed the receipt
+   */
+  async notifyDiscrepancy(transfer, userId) {
+    const { shortQuantity, damagedQuantity } = transfer.discrepancy;
+
+    try {
+      await notificationService.notifyPermissionHolders(['transfer.manage'], {
+        type: 'transfer_discrepancy',
+        title: `Transfer ${transfer.transferNumber} received with a discrepancy`,
+        message: `Short: ${shortQuantity}, damaged: ${damagedQuantity}`,
+        referenceType: 'stock_transfer',
+        referenceId: transfer._id
+      }, { excludeUserId: userId });
+    } catch (error) {
+      console.error('Failed to send transfer discrepancy notification:', error.message);
+    }
+  }
 }
 
 module.exports = new StockTransferService();
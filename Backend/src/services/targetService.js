@@ -0,0 +1,533 @@
+const SalesTarget = require('../models/SalesTarget');
+const Salesman = require('../models/Salesman');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const Item = require('../models/Item');
+const { TARGET_PERIOD_TYPES, TARGET_SCOPES, TARGET_PROGRESS_STATUS } = require('../constants/salesTarget');
+const AppError = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Invoice statuses that count towards achievement
+const COUNTED_STATUSES = ['confirmed', 'paid'];
+const roundAmount = value => Math.round(value * 100) / 100;
+const refId = value => String(value && value._id ? value._id : value);
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Target Service
+ * Monthly and quarterly sales targets per salesman, route, item and manufacturer, and their
+ * achievement from confirmed sales invoices net of returns
+ */
+class TargetService {
+  /**
+   * First and last moment of a target period
+   * @param {string} periodType - monthly or quarterly
+   * @param {number|string} year - Year
+   * @param {number|string} number - Month (1-12) or quarter (1-4)
+   * @returns {Object} {periodType, year, month|quarter, startDate, endDate}
+   */
+  getPeriod(periodType, year, number) {
+    const y = parseInt(year, 10);
+    const n = parseInt(number, 10);
+    if (!Number.isInteger(y) || y < 2000) {
+      throw new AppError('A valid year is required', 400);
+    }
+
+    if (periodType === TARGET_PERIOD_TYPES.MONTHLY) {
+      if (!Number.isInteger(n) || n < 1 || n > 12) {
+        throw new AppError('Monthly targets need a month (1-12)', 400);
+      }
+      return {
+        periodType,
+        year: y,
+        month: n,
+        startDate: new Date(y, n - 1, 1),
+        endDate: new Date(y, n, 0, 23, 59, 59, 999)
+      };
+    }
+
+    if (periodType === TARGET_PERIOD_TYPES.QUARTERLY) {
+      if (!Number.isInteger(n) || n < 1 || n > 4) {
+        throw new AppError('Quarterly targets need a quarter (1-4)', 400);
+      }
+      return {
+        periodType,
+        year: y,
+        quarter: n,
+        startDate: new Date(y, (n - 1) * 3, 1),
+        endDate: new Date(y, n * 3, 0, 23, 59, 59, 999)
+      };
+    }
+
+    throw new AppError(`Period type must be one of: ${Object.values(TARGET_PERIOD_TYPES).join(', ')}`, 400);
+  }
+
+  /**
+   * Check what a target is set on and drop the fields its scope does not use
+   * @param {Object} data - {scope, salesmanId, routeId, itemId, manufacturer}
+   * @returns {Object} Scope fields
+   */
+  getScopeFields(data) {
+    const {
+      scope, salesmanId, routeId, itemId, manufacturer
+    } = data;
+    const fields = {
+      scope, salesmanId: null, routeId: null, itemId: null, manufacturer: null
+    };
+
+    switch (scope) {
+      case TARGET_SCOPES.SALESMAN:
+        if (!salesmanId) {
+          throw new AppError('Salesman targets need a salesman', 400);
+        }
+        fields.salesmanId = salesmanId;
+        break;
+      case TARGET_SCOPES.ROUTE:
+        if (!routeId) {
+          throw new AppError('Route targets need a route', 400);
+        }
+        fields.routeId = routeId;
+        break;
+      case TARGET_SCOPES.ITEM:
+        if (!itemId) {
+          throw new AppError('Item targets need an item', 400);
+        }
+        fields.itemId = itemId;
+        fields.salesmanId = salesmanId || null;
+        break;
+      case TARGET_SCOPES.MANUFACTURER:
+        if (!manufacturer || !String(manufacturer).trim()) {
+          throw new AppError('Manufacturer targets need a manufacturer', 400);
+        }
+        fields.manufacturer = String(manufacturer).trim();
+        fields.salesmanId = salesmanId || null;
+        break;
+      default:
+        throw new AppError(`Scope must be one of: ${Object.values(TARGET_SCOPES).join(', ')}`, 400);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Check a target sets a value or quantity to reach
+   * @param {Object} data - {valueTarget, quantityTarget}
+   * @returns {Object} {valueTarget, quantityTarget}
+   */
+  getTargetAmounts(data) {
+    const valueTarget = Number(data.valueTarget || 0);
+    const quantityTarget = Number(data.quantityTarget || 0);
+    if (!Number.isFinite(valueTarget) || valueTarget < 0 || !Number.isFinite(quantityTarget) || quantityTarget < 0) {
+      throw new AppError('Targets cannot be negative', 400);
+    }
+    if (valueTarget === 0 && quantityTarget === 0) {
+      throw new AppError('A value or quantity target is required', 400);
+    }
+    return { valueTarget, quantityTarget };
+  }
+
+  /**
+   * Set a sales target
+   * @param {Object} data - periodType, year, month|quarter, scope fields, valueTarget, quantityTarget, notes
+   * @param {string} userId - User setting the target
+   * @returns {Promise<Object>} Created target
+   */
+  async createTarget(data, userId) {
+    const period = this.getPeriod(
+      data.periodType,
+      data.year,
+      data.periodType === TARGET_PERIOD_TYPES.QUARTERLY ? data.quarter : data.month
+    );
+    const scopeFields = this.getScopeFields(data);
+    const amounts = this.getTargetAmounts(data);
+
+    const existing = await SalesTarget.findOne({
+      ...scopeFields,
+      startDate: period.startDate,
+      endDate: period.endDate
+    });
+    if (existing) {
+      throw new AppError('A target is already set for this scope and period', 409);
+    }
+
+    return SalesTarget.create({
+      ...period,
+      ...scopeFields,
+      ...amounts,
+      notes: data.notes,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Change the amounts of a target. Scope and period are fixed; set a new target to move one.
+   * @param {string} id - Target ID
+   * @param {Object} data - {valueTarget, quantityTarget, notes, isActive}
+   * @param {string} userId - User making the change
+   * @returns {Promise<Object>} Updated target
+   */
+  async updateTarget(id, data, userId) {
+    const target = await SalesTarget.findById(id);
+    if (!target) {
+      throw new AppError('Sales target not found', 404);
+    }
+
+    if (data.valueTarget !== undefined || data.quantityTarget !== undefined) {
+      const amounts = this.getTargetAmounts({
+        valueTarget: data.valueTarget !== undefined ? data.valueTarget : target.valueTarget,
+        quantityTarget: data.quantityTarget !== undefined ? data.quantityTarget : target.quantityTarget
+      });
+      target.valueTarget = amounts.valueTarget;
+      target.quantityTarget = amounts.quantityTarget;
+    }
+    if (data.notes !== undefined) {
+      target.notes = data.notes;
+    }
+    if (data.isActive !== undefined) {
+      target.isActive = data.isActive === true || data.isActive === 'true';
+    }
+    target.updatedBy = userId;
+
+    return target.save();
+  }
+
+  /**
+   * Delete a target
+   * @param {string} id - Target ID
+   * @returns {Promise<Object>} Deleted target
+   */
+  async deleteTarget(id) {
+    const target = await SalesTarget.findByIdAndDelete(id);
+    if (!target) {
+      throw new AppError('Sales target not found', 404);
+    }
+    return target;
+  }
+
+  /**
+   * Build the target query for list filters
+   * @param {Object} filters - scope, salesmanId, routeId, itemId, manufacturer, periodType, year, month,
+   *   quarter, isActive
+   * @returns {Object} Mongo query
+   */
+  buildQuery(filters = {}) {
+    const query = {};
+    ['scope', 'salesmanId', 'routeId', 'itemId', 'periodType'].forEach((field) => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+    if (filters.manufacturer) {
+      query.manufacturer = { $regex: `^${escapeRegExp(String(filters.manufacturer).trim())}$`, $options: 'i' };
+    }
+    ['year', 'month', 'quarter'].forEach((field) => {
+      if (filters[field]) {
+        query[field] = parseInt(filters[field], 10);
+      }
+    });
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive === true || filters.isActive === 'true';
+    }
+    return query;
+  }
+
+  /**
+   * Get sales targets
+   * @param {Object} [filters] - See buildQuery
+   * @returns {Promise<Array>} Targets, latest period first
+   */
+  async getTargets(filters = {}) {
+    return SalesTarget.find(this.buildQuery(filters))
+      .populate('salesmanId', 'code name')
+      .populate('routeId', 'code name')
+      .populate('itemId', 'code name')
+      .sort({ startDate: -1, scope: 1 });
+  }
+
+  /**
+   * Get a target with its achievement so far
+   * @param {string} id - Target ID
+   * @param {Date} [asOf] - Date to measure up to (default: now)
+   * @returns {Promise<Object>} Target progress
+   */
+  async getTargetById(id, asOf = new Date()) {
+    const target = await SalesTarget.findById(id)
+      .populate('salesmanId', 'code name')
+      .populate('routeId', 'code name')
+      .populate('itemId', 'code name')
+      .lean();
+    if (!target) {
+      throw new AppError('Sales target not found', 404);
+    }
+    return this.getProgress(target, asOf);
+  }
+
+  /**
+   * Progress of the active targets whose period takes in a date
+   * @param {Object} [filters] - See buildQuery
+   * @param {Date} [asOf] - Date to measure up to (default: now)
+   * @returns {Promise<Array>} Target progress
+   */
+  async getTargetProgress(filters = {}, asOf = new Date()) {
+    const at = new Date(asOf);
+    const targets = await SalesTarget.find({
+      ...this.buildQuery(filters),
+      isActive: true,
+      startDate: { $lte: at },
+      endDate: { $gte: at }
+    })
+      .populate('salesmanId', 'code name')
+      .populate('routeId', 'code name')
+      .populate('itemId', 'code name')
+      .sort({ scope: 1, startDate: 1 })
+      .lean();
+
+    const progress = [];
+    for (const target of targets) {
+      progress.push(await this.getProgress(target, at));
+    }
+    return progress;
+  }
+
+  /**
+   * A salesman's own targets, and the item and manufacturer targets narrowed to them, running on a date
+   * @param {string} salesmanId - Salesman ID
+   * @param {Date} [asOf] - Date to measure up to (default: now)
+   * @returns {Promise<Array>} Target progress
+   */
+  async getSalesmanTargetProgress(salesmanId, asOf = new Date()) {
+    return this.getTargetProgress({ salesmanId }, asOf);
+  }
+
+  /**
+   * Total value target of the active targets of one scope whose periods fall inside a date range
+   * @param {Object} scopeFilter - e.g. {scope: 'route', routeId}
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Promise<number|null>} Value target, or null when none is set
+   */
+  async getValueTarget(scopeFilter, startDate, endDate) {
+    const targets = await SalesTarget.find({
+      ...scopeFilter,
+      isActive: true,
+      startDate: { $gte: new Date(startDate) },
+      endDate: { $lte: new Date(endDate) }
+    }).lean();
+
+    const withValue = targets.filter(target => target.valueTarget > 0);
+    if (withValue.length === 0) {
+      return null;
+    }
+
+    // Monthly and quarterly targets can cover the same days; count whichever set spans more months
+    const quarterly = withValue.filter(target => target.periodType === TARGET_PERIOD_TYPES.QUARTERLY);
+    const monthly = withValue.filter(target => target.periodType === TARGET_PERIOD_TYPES.MONTHLY);
+    const quarterlyMonths = quarterly.length * 3;
+    const chosen = quarterlyMonths >= monthly.length ? quarterly : monthly;
+    return roundAmount(chosen.reduce((sum, target) => sum + target.valueTarget, 0));
+  }
+
+  /**
+   * A salesman's value target for a date range: their stored salesman targets, or their monthly
+   * sales target for each calendar month the range touches
+   * @param {Object|string} salesman - Salesman document or ID
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Promise<number>} Value target (0 when none is set)
+   */
+  async getSalesmanValueTarget(salesman, startDate, endDate) {
+    const stored = await this.getValueTarget(
+      { scope: TARGET_SCOPES.SALESMAN, salesmanId: refId(salesman) },
+      startDate,
+      endDate
+    );
+    if (stored !== null) {
+      return stored;
+    }
+
+    const record = salesman && salesman.monthlySalesTarget !== undefined
+      ? salesman
+      : await Salesman.findById(refId(salesman)).select('monthlySalesTarget').lean();
+    if (!record || !record.monthlySalesTarget) {
+      return 0;
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const months = ((end.getFullYear() - start.getFullYear()) * 12) + (end.getMonth() - start.getMonth()) + 1;
+    return roundAmount(record.monthlySalesTarget * Math.max(months, 1));
+  }
+
+  /**
+   * Item IDs a target's invoice lines are limited to, or null for whole invoices
+   * @param {Object} target - Target
+   * @returns {Promise<Array|null>} Item IDs
+   */
+  async getTargetItemIds(target) {
+    if (target.scope === TARGET_SCOPES.ITEM) {
+      return [refId(target.itemId)];
+    }
+    if (target.scope === TARGET_SCOPES.MANUFACTURER) {
+      const items = await Item.find({
+        manufacturer: { $regex: `^${escapeRegExp(target.manufacturer)}$`, $options: 'i' }
+      }).select('_id').lean();
+      return items.map(item => refId(item._id));
+    }
+    return null;
+  }
+
+  /**
+   * Value and quantity a target has reached, from confirmed sales invoices net of returns
+   * @param {Object} target - Target
+   * @param {Date} [asOf] - Date to measure up to (default: now)
+   * @returns {Promise<Object>} Actuals
+   */
+  async getActuals(target, asOf = new Date()) {
+    const actuals = {
+      grossValue: 0,
+      returnValue: 0,
+      value: 0,
+      grossQuantity: 0,
+      returnQuantity: 0,
+      quantity: 0,
+      invoiceCount: 0,
+      returnCount: 0
+    };
+
+    const until = new Date(Math.min(new Date(asOf).getTime(), new Date(target.endDate).getTime()));
+    if (until < new Date(target.startDate)) {
+      return actuals;
+    }
+
+    const invoiceDate = { $gte: new Date(target.startDate), $lte: until };
+    const salesQuery = { type: 'sales', status: { $in: COUNTED_STATUSES }, invoiceDate };
+    const returnsQuery = { type: 'return_sales', status: { $in: COUNTED_STATUSES }, invoiceDate };
+
+    if (target.scope === TARGET_SCOPES.ROUTE) {
+      const customers = await Customer.find({ routeId: refId(target.routeId) }).select('_id').lean();
+      const customerIds = customers.map(customer => customer._id);
+      salesQuery.customerId = { $in: customerIds };
+      returnsQuery.customerId = { $in: customerIds };
+    }
+
+    const itemIds = await this.getTargetItemIds(target);
+    if (itemIds) {
+      if (itemIds.length === 0) {
+        return actuals;
+      }
+      salesQuery['items.itemId'] = { $in: itemIds };
+      returnsQuery['items.itemId'] = { $in: itemIds };
+    }
+
+    const salesmanId = target.salesmanId ? refId(target.salesmanId) : null;
+    if (salesmanId) {
+      salesQuery.salesmanId = salesmanId;
+    }
+
+    const [sales, returns] = await Promise.all([
+      Invoice.find(salesQuery).select('items totals').lean(),
+      Invoice.find(returnsQuery)
+        .select('items totals originalInvoiceId')
+        .populate('originalInvoiceId', 'salesmanId')
+        .lean()
+    ]);
+
+    // Sales returns carry no salesman; they count against whoever made the original sale
+    const countedReturns = salesmanId
+      ? returns.filter(entry => entry.originalInvoiceId && refId(entry.originalInvoiceId.salesmanId) === salesmanId)
+      : returns;
+
+    // Return amounts may be stored negative; both sides are measured as positive figures
+    const itemSet = itemIds ? new Set(itemIds) : null;
+    const measure = (invoice) => {
+      const lines = (invoice.items || []).filter(line => !itemSet || itemSet.has(refId(line.itemId)));
+      const quantity = lines.reduce((sum, line) => sum + Math.abs(line.quantity || 0), 0);
+      const value = itemSet
+        ? lines.reduce((sum, line) => sum + Math.abs(line.lineTotal || 0), 0)
+        : Math.abs((invoice.totals && invoice.totals.grandTotal) || 0);
+      return { value, quantity };
+    };
+
+    sales.forEach((invoice) => {
+      const { value, quantity } = measure(invoice);
+      actuals.grossValue += value;
+      actuals.grossQuantity += quantity;
+      actuals.invoiceCount += 1;
+    });
+    countedReturns.forEach((invoice) => {
+      const { value, quantity } = measure(invoice);
+      actuals.returnValue += value;
+      actuals.returnQuantity += quantity;
+      actuals.returnCount += 1;
+    });
+
+    actuals.grossValue = roundAmount(actuals.grossValue);
+    actuals.returnValue = roundAmount(actuals.returnValue);
+    actuals.value = roundAmount(actuals.grossValue - actuals.returnValue);
+    actuals.quantity = actuals.grossQuantity - actuals.returnQuantity;
+    return actuals;
+  }
+
+  /**
+   * Target against achievement, with the run-rate projection to the end of the period
+   * @param {Object} target - Target
+   * @param {Date} [asOf] - Date to measure up to (default: now)
+   * @returns {Promise<Object>} Target progress
+   */
+  async getProgress(target, asOf = new Date()) {
+    const at = new Date(asOf);
+    const startDate = new Date(target.startDate);
+    const endDate = new Date(target.endDate);
+    const actuals = await this.getActuals(target, at);
+
+    const daysTotal = Math.ceil((endDate - startDate) / DAY_MS);
+    const daysElapsed = at < startDate
+      ? 0
+      : Math.min(Math.max(Math.ceil((at - startDate) / DAY_MS), 1), daysTotal);
+    const daysRemaining = daysTotal - daysElapsed;
+
+    const track = (goal, actual) => {
+      if (!goal) {
+        return null;
+      }
+      const projected = daysElapsed > 0 ? (actual / daysElapsed) * daysTotal : 0;
+      const remaining = Math.max(goal - actual, 0);
+      return {
+        target: goal,
+        actual,
+        achievementPercent: roundAmount((actual / goal) * 100),
+        projected: roundAmount(projected),
+        projectedPercent: roundAmount((projected / goal) * 100),
+        remaining: roundAmount(remaining),
+        requiredDailyRate: roundAmount(daysRemaining > 0 ? remaining / daysRemaining : remaining)
+      };
+    };
+
+    const value = track(target.valueTarget, actuals.value);
+    const quantity = track(target.quantityTarget, actuals.quantity);
+    const measures = [value, quantity].filter(Boolean);
+
+    let status = TARGET_PROGRESS_STATUS.BEHIND;
+    if (daysElapsed === 0) {
+      status = TARGET_PROGRESS_STATUS.NOT_STARTED;
+    } else if (measures.every(measure => measure.actual >= measure.target)) {
+      status = TARGET_PROGRESS_STATUS.ACHIEVED;
+    } else if (measures.every(measure => measure.projected >= measure.target)) {
+      status = TARGET_PROGRESS_STATUS.ON_TRACK;
+    }
+
+    return {
+      target,
+      asOf: at,
+      daysTotal,
+      daysElapsed,
+      daysRemaining,
+      actuals,
+      value,
+      quantity,
+      status
+    };
+  }
+}
+
+module.exports = new TargetService();
@@ -1,6 +1,7 @@
 const userRepository = require('../repositories/userRepository');
 const authService = require('./authService');
 const Salesman = require('../models/Salesman');
+const permissionService = require('./permissionService');
 
 /**
  * User Service
@@ -73,7 +74,7 @@ class UserService {
    * @returns {Promise<Array>} Array of users with specified role
    */
   async getUsersByRole(role) {
-    this.validateRole(role);
+    await this.validateRole(role);
     return userRepository.findActiveByRole(role);
   }
 
@@ -94,7 +95,7 @@ class UserService {
     }
 
     // Validate role
-    this.validateRole(role);
+    await this.validateRole(role);
 
     // Check if username already exists
     const usernameExists = await userRepository.usernameExists(username);
@@ -155,7 +156,7 @@ class UserService {
 
     // Validate role if provided
     if (updateData.role) {
-      this.validateRole(updateData.role);
+      await this.validateRole(updateData.role);
     }
 
     // Check username uniqueness if changing username
@@ -333,7 +334,7 @@ class UserService {
     }
 
     // Validate role
-    this.validateRole(newRole);
+    await this.validateRole(newRole);
 
     // Prevent changing role of last admin
     if (user.role === 'admin' && newRole !== 'admin') {
@@ -463,10 +464,9 @@ class UserService {
    * @param {String} role - Role to validate
    * @throws {Error} If role is invalid
    */
-  validateRole(role) {
-    const validRoles = ['admin', 'sales', 'purchase', 'inventory', 'accountant', 'data_entry'];
-    if (!validRoles.includes(role)) {
-      throw new Error(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
+  async validateRole(role) {
+    if (!(await permissionService.roleExists(role))) {
+      throw new Error('Invalid role. Must be a built-in role or an active custom role');
     }
   }
 
@@ -494,7 +494,7 @@ class UserService {
         }
 
         // Validate role
-        this.validateRole(userData.role);
+        await this.validateRole(userData.role);
 
         // Validate username length
         if (userData.username.length < 3) {
@@ -80,7 +80,8 @@ class WarehouseService {
    */
   async getAllWarehouses(filters = {}, options = {}) {
     const { search, ...otherFilters } = filters;
-    const query = {};
+    // The in-transit warehouse is internal to stock transfers
+    const query = { isTransit: { $ne: true } };
 
     // Apply search filter
     if (search) {
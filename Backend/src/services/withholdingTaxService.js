@@ -0,0 +1,460 @@
+const WithholdingTax = require('../models/WithholdingTax');
+const Invoice = require('../models/Invoice');
+const exportService = require('./exportService');
+const AppError = require('../utils/appError');
+
+const SECTION_TITLES = {
+  153: 'Section 153(1)(a) - Payments for supply of goods',
+  '236G': 'Section 236G - Advance tax on sales to distributors, dealers and wholesalers',
+  '236H': 'Section 236H - Advance tax on sales to retailers'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Withholding Tax Service
+ * Aggregates income tax withheld on invoices per party, section and month, tracks the
+ * challan (CPR) each amount was deposited under and issues withholding certificates
+ */
+class WithholdingTaxService {
+  /**
+   * Aggregate withholding tax for a month from confirmed invoices
+   * Records that already have a challan are left untouched.
+   * @param {string} period - Tax month as YYYY-MM
+   * @returns {Promise<Object>} {period, records, skipped}
+   */
+  async aggregatePeriod(period) {
+    const { startDate, endDate } = this.parsePeriod(period);
+
+    const invoices = await Invoice.find({
+      type: { $in: ['sales', 'purchase'] },
+      status: { $in: ['confirmed', 'paid'] },
+      invoiceDate: { $gte: startDate, $lte: endDate }
+    })
+      .populate('customerId', 'code name type financialInfo')
+      .populate('supplierId', 'code name financialInfo')
+      .sort({ invoiceDate: 1 });
+
+    const groups = this.groupWithholdings(invoices);
+    const records = [];
+    const skipped = [];
+
+    for (const group of groups) {
+      const key = {
+        period,
+        section: group.section,
+        direction: group.direction,
+        partyId: group.partyId
+      };
+      const existing = await WithholdingTax.findOne(key);
+
+      if (existing && existing.status === 'deposited') {
+        skipped.push(existing);
+      } else {
+        records.push(await WithholdingTax.findOneAndUpdate(
+          key,
+          { ...group, period },
+          { new: true, upsert: true, runValidators: true }
+        ));
+      }
+    }
+
+    return { period, records, skipped };
+  }
+
+  /**
+   * Split invoices into withholding lines and total them per section, direction and party
+   * @param {Array} invoices - Invoices with populated customer/supplier
+   * @returns {Array} Groups {section, direction, partyType, partyId, partyName, ..., invoices}
+   */
+  groupWithholdings(invoices) {
+    const groups = new Map();
+
+    invoices.forEach((invoice) => {
+      this.classifyInvoice(invoice).forEach((line) => {
+        const key = `${line.section}|${line.direction}|${line.party._id}`;
+
+        if (!groups.has(key)) {
+          const financialInfo = line.party.financialInfo || {};
+          groups.set(key, {
+            section: line.section,
+            direction: line.direction,
+            partyType: line.partyType,
+            partyId: line.party._id,
+            partyName: line.party.name,
+            partyNTN: financialInfo.ntn || '',
+            partyCNIC: financialInfo.nicNumber || '',
+            taxableAmount: 0,
+            taxAmount: 0,
+            invoices: []
+          });
+        }
+
+        const group = groups.get(key);
+        group.taxableAmount = round(group.taxableAmount + line.taxableAmount);
+        group.taxAmount = round(group.taxAmount + line.taxAmount);
+        group.invoices.push({
+          invoice: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          invoiceDate: invoice.invoiceDate,
+          taxableAmount: line.taxableAmount,
+          taxAmount: line.taxAmount
+        });
+      });
+    });
+
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Work out which withholdings an invoice carries
+   * - Advance tax on our sales is collected by us: 236H for retailers, 236G for other buyers
+   * - Advance tax on our purchases was collected from us by the supplier under 236G
+   * - Income tax on a purchase is section 153 deducted by us from the supplier's payment;
+   *   on a sale it is section 153 deducted from us by the customer
+   * @param {Object} invoice - Invoice with populated customer/supplier
+   * @returns {Array} Lines {section, direction, partyType, party, taxableAmount, taxAmount}
+   */
+  classifyInvoice(invoice) {
+    const isSale = invoice.type === 'sales';
+    const party = isSale ? invoice.customerId : invoice.supplierId;
+    if (!party || !party._id) {
+      return [];
+    }
+
+    const totals = invoice.totals || {};
+    const taxableAmount = round((totals.subtotal || 0) - (totals.totalDiscount || 0));
+    const advanceTax = totals.advanceTaxTotal
+      || (invoice.items || []).reduce((sum, item) => sum + (item.advanceTaxAmount || 0), 0);
+    const incomeTax = invoice.incomeTax || totals.incomeTaxTotal || 0;
+    const partyType = isSale ? 'Customer' : 'Supplier';
+    const lines = [];
+
+    if (advanceTax > 0) {
+      lines.push({
+        section: isSale && party.type === 'retail' ? '236H' : '236G',
+        direction: isSale ? 'deducted_by_us' : 'deducted_from_us',
+        partyType,
+        party,
+        taxableAmount,
+        taxAmount: round(advanceTax)
+      });
+    }
+
+    if (incomeTax > 0) {
+      lines.push({
+        section: '153',
+        direction: isSale ? 'deducted_from_us' : 'deducted_by_us',
+        partyType,
+        party,
+        taxableAmount,
+        taxAmount: round(incomeTax)
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Get withholding records with filtering and pagination
+   * @param {Object} [filters] - Filters (period, fromPeriod, toPeriod, section, direction, partyId, status)
+   * @param {Object} [options] - Pagination options (page, limit)
+   * @returns {Promise<Object>} Records, totals and pagination info
+   */
+  async getRecords(filters = {}, options = {}) {
+    const query = {};
+
+    ['section', 'direction', 'partyId', 'status'].forEach((field) => {
+      if (filters[field]) query[field] = filters[field];
+    });
+    if (filters.period) {
+      query.period = filters.period;
+    } else if (filters.fromPeriod || filters.toPeriod) {
+      query.period = {};
+      if (filters.fromPeriod) query.period.$gte = filters.fromPeriod;
+      if (filters.toPeriod) query.period.$lte = filters.toPeriod;
+    }
+
+    const page = options.page || 1;
+    const limit = options.limit || 50;
+
+    const [records, total, totals] = await Promise.all([
+      WithholdingTax.find(query)
+        .sort({ period: -1, section: 1, partyName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WithholdingTax.countDocuments(query),
+      WithholdingTax.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: { direction: '$direction', status: '$status' },
+            taxAmount: { $sum: '$taxAmount' },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    return {
+      records,
+      totals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Record the challan (CPR) a set of withholding amounts was deposited under
+   * One CPR commonly covers every party of a section for the month.
+   * @param {Object} challanData - Challan data
+   * @param {Array} challanData.recordIds - Withholding record IDs covered by the challan
+   * @param {string} challanData.cprNumber - CPR number
+   * @param {Date} challanData.challanDate - Deposit date
+   * @param {string} [challanData.bankName] - Bank the tax was deposited at
+   * @param {string} userId - User recording the challan
+   * @returns {Promise<Array>} Updated records
+   */
+  async recordChallan(challanData, userId) {
+    const {
+      recordIds,
+      cprNumber,
+      challanDate,
+      bankName
+    } = challanData;
+
+    if (!Array.isArray(recordIds) || recordIds.length === 0) {
+      throw new AppError('At least one withholding record is required', 400);
+    }
+    if (!cprNumber || !challanDate) {
+      throw new AppError('CPR number and challan date are required', 400);
+    }
+
+    const records = await WithholdingTax.find({ _id: { $in: recordIds } });
+    if (records.length !== recordIds.length) {
+      throw new AppError('One or more withholding records were not found', 404);
+    }
+
+    const deposited = records.filter(record => record.status === 'deposited');
+    if (deposited.length > 0) {
+      throw new AppError(
+        `Challan already recorded for: ${deposited.map(record => `${record.partyName} (${record.period})`).join(', ')}`,
+        409
+      );
+    }
+
+    const challan = {
+      cprNumber,
+      challanDate,
+      bankName,
+      recordedBy: userId
+    };
+
+    return Promise.all(records.map((record) => {
+      record.challan = challan;
+      record.status = 'deposited';
+      return record.save();
+    }));
+  }
+
+  /**
+   * Collect the withholding deducted by us from a party for a section over a range of months
+   * Every month must have its challan recorded, as the CPR is printed on the certificate.
+   * @param {Object} params - Certificate parameters
+   * @param {string} params.partyId - Customer or supplier ID
+   * @param {string} params.section - 153, 236G or 236H
+   * @param {string} params.fromPeriod - First month (YYYY-MM)
+   * @param {string} params.toPeriod - Last month (YYYY-MM)
+   * @returns {Promise<Object>} Certificate data
+   */
+  async getCertificateData(params) {
+    const {
+      partyId,
+      section,
+      fromPeriod,
+      toPeriod
+    } = params;
+
+    if (!partyId || !SECTION_TITLES[section]) {
+      throw new AppError('Party and a section of 153, 236G or 236H are required', 400);
+    }
+    this.parsePeriod(fromPeriod);
+    this.parsePeriod(toPeriod);
+    if (fromPeriod > toPeriod) {
+      throw new AppError('From period must not be after to period', 400);
+    }
+
+    const records = await WithholdingTax.find({
+      partyId,
+      section,
+      direction: 'deducted_by_us',
+      period: { $gte: fromPeriod, $lte: toPeriod }
+    }).sort({ period: 1 });
+
+    if (records.length === 0) {
+      throw new AppError(`No section ${section} withholding found for this party in ${fromPeriod} to ${toPeriod}`, 404);
+    }
+
+    const pending = records.filter(record => record.status !== 'deposited');
+    if (pending.length > 0) {
+      throw new AppError(
+        `Record the challan (CPR) first for: ${pending.map(record => record.period).join(', ')}`,
+        422
+      );
+    }
+
+    const [first] = records;
+    return {
+      certificateNumber: `WHT-${section}-${first.partyNTN || first.partyCNIC || partyId}-${fromPeriod}-${toPeriod}`,
+      section,
+      sectionTitle: SECTION_TITLES[section],
+      fromPeriod,
+      toPeriod,
+      withholdingAgent: {
+        name: process.env.COMPANY_NAME || 'Indus Traders',
+        ntn: process.env.COMPANY_NTN || '',
+        address: process.env.COMPANY_ADDRESS || ''
+      },
+      party: {
+        name: first.partyName,
+        ntn: first.partyNTN,
+        cnic: first.partyCNIC
+      },
+      months: records.map(record => ({
+        period: record.period,
+        taxableAmount: record.taxableAmount,
+        taxAmount: record.taxAmount,
+        cprNumber: record.challan.cprNumber,
+        challanDate: record.challan.challanDate
+      })),
+      totals: {
+        taxableAmount: round(records.reduce((sum, record) => sum + record.taxableAmount, 0)),
+        taxAmount: round(records.reduce((sum, record) => sum + record.taxAmount, 0))
+      },
+      records
+    };
+  }
+
+  /**
+   * Generate a printable withholding certificate PDF
+   * @param {Object} params - Same as getCertificateData
+   * @returns {Promise<Object>} {certificateNumber, filename, content}
+   */
+  async generateCertificate(params) {
+    const { records, ...certificate } = await this.getCertificateData(params);
+
+    const content = await exportService.renderPDF(doc => this.drawCertificate(doc, certificate));
+
+    await WithholdingTax.updateMany(
+      { _id: { $in: records.map(record => record._id) } },
+      { lastCertificateAt: new Date() }
+    );
+
+    return {
+      certificateNumber: certificate.certificateNumber,
+      filename: `${certificate.certificateNumber}.pdf`,
+      content
+    };
+  }
+
+  /**
+   * Draw the certificate layout
+   * @param {Object} doc - PDFKit document
+   * @param {Object} certificate - Certificate data
+   */
+  drawCertificate(doc, certificate) {
+    const { withholdingAgent, party, totals } = certificate;
+    const money = value => Number(value || 0).toLocaleString('en-US', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+
+    doc.fontSize(16).text('Certificate of Collection / Deduction of Income Tax', { align: 'center' });
+    doc.fontSize(10).text('(Under the Income Tax Ordinance, 2001)', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(11).text(certificate.sectionTitle, { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Certificate No: ${certificate.certificateNumber}`);
+    doc.text(`Period: ${certificate.fromPeriod} to ${certificate.toPeriod}`);
+    doc.text(`Date of issue: ${new Date().toLocaleDateString('en-GB')}`);
+    doc.moveDown();
+
+    doc.fontSize(11).text('Withholding agent', { underline: true });
+    doc.fontSize(10).text(`Name: ${withholdingAgent.name}`);
+    doc.text(`NTN: ${withholdingAgent.ntn}`);
+    if (withholdingAgent.address) doc.text(`Address: ${withholdingAgent.address}`);
+    doc.moveDown();
+
+    doc.fontSize(11).text('Taxpayer', { underline: true });
+    doc.fontSize(10).text(`Name: ${party.name}`);
+    doc.text(`NTN: ${party.ntn || '-'}`);
+    doc.text(`CNIC: ${party.cnic || '-'}`);
+    doc.moveDown();
+
+    const columns = [
+      { label: 'Month', x: 50, width: 70 },
+      { label: 'Taxable Amount', x: 120, width: 110 },
+      { label: 'Tax Deducted', x: 230, width: 90 },
+      { label: 'CPR Number', x: 320, width: 140 },
+      { label: 'Deposit Date', x: 460, width: 80 }
+    ];
+    const drawRow = (values, font) => {
+      const { y } = doc;
+      doc.font(font);
+      columns.forEach((column, index) => {
+        doc.text(values[index], column.x, y, { width: column.width });
+      });
+      doc.moveDown(0.5);
+    };
+
+    drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+    certificate.months.forEach((month) => {
+      drawRow([
+        month.period,
+        money(month.taxableAmount),
+        money(month.taxAmount),
+        month.cprNumber,
+        new Date(month.challanDate).toLocaleDateString('en-GB')
+      ], 'Helvetica');
+    });
+    drawRow(['Total', money(totals.taxableAmount), money(totals.taxAmount), '', ''], 'Helvetica-Bold');
+
+    doc.moveDown(2);
+    doc.x = 50;
+    doc.font('Helvetica').text(
+      `Certified that the sum of Rs. ${money(totals.taxAmount)} has been collected/deducted from the above taxpayer `
+      + 'and deposited in the Government Treasury under the CPR numbers shown above.'
+    );
+    doc.moveDown(3);
+    doc.text('Signature: ____________________', { align: 'right' });
+    doc.text(`For ${withholdingAgent.name}`, { align: 'right' });
+  }
+
+  /**
+   * Parse a YYYY-MM tax month into its first and last moment
+   * @param {string} period - Tax month
+   * @returns {Object} {startDate, endDate}
+   */
+  parsePeriod(period) {
+    const match = /^(\d{4})-(\d{2})$/.exec(period || '');
+    const month = match ? Number(match[2]) : 0;
+
+    if (!match || month < 1 || month > 12) {
+      throw new AppError('Period must be in YYYY-MM format', 400);
+    }
+
+    const year = Number(match[1]);
+    return {
+      startDate: new Date(year, month - 1, 1),
+      endDate: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+  }
+}
+
+module.exports = new WithholdingTaxService();
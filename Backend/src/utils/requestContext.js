@@ -0,0 +1,52 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request context
+ * Carries the acting user and client IP of the current request through async calls so
+ * the model layer (e.g. the audit trail) can see them without threading req everywhere.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware that opens a context for each request
+ * Must be mounted after the body parsers so the context survives into the route handlers.
+ */
+const requestContextMiddleware = (req, res, next) => {
+  storage.run({
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  }, next);
+};
+
+/**
+ * Get the context of the current request
+ * @returns {Object} {userId, username, ip, userAgent} (empty outside a request)
+ */
+const getRequestContext = () => storage.getStore() || {};
+
+/**
+ * Record the authenticated user on the current request context
+ * @param {Object} user - Authenticated user
+ */
+const setRequestUser = (user) => {
+  const store = storage.getStore();
+  if (store && user) {
+    store.userId = user._id;
+    store.username = user.username;
+  }
+};
+
+/**
+ * Run work inside a context outside of HTTP requests (scripts, scheduled jobs, tests)
+ * @param {Object} context - Context values
+ * @param {Function} work - Function to run
+ * @returns {*} Result of work
+ */
+const runWithContext = (context, work) => storage.run({ ...context }, work);
+
+module.exports = {
+  requestContextMiddleware,
+  getRequestContext,
+  setRequestUser,
+  runWithContext,
+};
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+/**
+ * Transaction Helper
+ * Runs a unit of work inside a single MongoDB transaction.
+ * The callback receives the session and must pass it to every write it makes;
+ * if the callback throws, all writes made with the session are rolled back.
+ * Note: the driver may retry the callback on transient transaction errors.
+ * @param {Function} work - Async function receiving the session
+ * @returns {Promise<*>} Whatever the callback resolved with
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction,
+};
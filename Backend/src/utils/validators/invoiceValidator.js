@@ -347,7 +347,7 @@ const getInvoicesRules = [
 
   query('status')
     .optional()
-    .isIn(['draft', 'confirmed', 'paid', 'cancelled'])
+    .isIn(['draft', 'pending_approval', 'confirmed', 'paid', 'cancelled'])
     .withMessage('Invalid status value'),
 
   query('paymentStatus')
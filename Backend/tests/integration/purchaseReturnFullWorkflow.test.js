@@ -136,7 +136,7 @@ describe('Purchase Return Workflow - Full Integration Tests', () => {
       expect(returnInvoice).toBeDefined();
       expect(returnInvoice.type).toBe('return_purchase');
       expect(returnInvoice.items).toHaveLength(2);
-      expect(returnInvoice.totals.grandTotal).toBe(-1724);
+      expect(returnInvoice.totals.grandTotal).toBe(1724);
     });
 
     test('should completely reverse inventory for full return', async () => {
@@ -0,0 +1,63 @@
+const JournalVoucher = require('../../src/models/JournalVoucher');
+const Counter = require('../../src/models/Counter');
+
+/**
+ * Query stand-in for findOne(...).sort().select().session()
+ */
+const query = (value) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    session: jest.fn(() => Promise.resolve(value)),
+  };
+  return chain;
+};
+
+describe('JournalVoucher.generateVoucherNumber', () => {
+  const prefix = `JV${new Date().getFullYear()}`;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should number vouchers from the counter for the year', async () => {
+    jest.spyOn(JournalVoucher, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Counter, 'next').mockResolvedValue(7);
+
+    const voucherNumber = await JournalVoucher.generateVoucherNumber();
+
+    expect(voucherNumber).toBe(`${prefix}000007`);
+    expect(Counter.next).toHaveBeenCalledWith(prefix, { floor: 0, session: undefined });
+  });
+
+  test('should keep the counter ahead of the highest number already issued', async () => {
+    jest.spyOn(JournalVoucher, 'findOne').mockReturnValue(query({ voucherNumber: `${prefix}000042` }));
+    jest.spyOn(Counter, 'next').mockResolvedValue(43);
+
+    const voucherNumber = await JournalVoucher.generateVoucherNumber({ session: 'session-1' });
+
+    expect(voucherNumber).toBe(`${prefix}000043`);
+    expect(Counter.next).toHaveBeenCalledWith(prefix, { floor: 42, session: 'session-1' });
+  });
+
+  test('should never hand out the same number twice when vouchers are deleted', async () => {
+    // Two vouchers on file after a draft in between was deleted; a count would reissue 000002
+    jest.spyOn(JournalVoucher, 'findOne').mockReturnValue(query({ voucherNumber: `${prefix}000003` }));
+    const findOneAndUpdate = jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 4 });
+    const updateOne = jest.spyOn(Counter, 'updateOne').mockResolvedValue({});
+
+    const voucherNumber = await JournalVoucher.generateVoucherNumber();
+
+    expect(voucherNumber).toBe(`${prefix}000004`);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: prefix },
+      { $max: { seq: 3 } },
+      { upsert: true, session: null },
+    );
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: prefix },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session: null },
+    );
+  });
+});
@@ -128,10 +128,10 @@ describe('Adjustment Account Service', () => {
       const entries = await adjustmentAccountService.createAdjustmentEntries(invoice);
 
       expect(entries).toHaveLength(1);
-      expect(entries[0].accountId.toString()).toBe(testAdjustmentAccount._id.toString());
-      expect(entries[0].debit).toBe(150);
-      expect(entries[0].credit).toBe(0);
-      expect(entries[0].transactionType).toBe('adjustment');
+      expect(entries[0].debitEntry.accountId.toString()).toBe(testAdjustmentAccount._id.toString());
+      expect(entries[0].debitEntry.amount).toBe(150);
+      expect(entries[0].creditEntry.amount).toBe(150);
+      expect(entries[0].debitEntry.referenceType).toBe('invoice_adjustment');
     });
 
     it('should create claim entry for scheme', async () => {
@@ -157,10 +157,10 @@ describe('Adjustment Account Service', () => {
       const entries = await adjustmentAccountService.createAdjustmentEntries(invoice);
 
       expect(entries).toHaveLength(1);
-      expect(entries[0].accountId.toString()).toBe(testClaimAccount._id.toString());
-      expect(entries[0].debit).toBe(300); // 2 * 150
-      expect(entries[0].credit).toBe(0);
-      expect(entries[0].transactionType).toBe('scheme_claim');
+      expect(entries[0].debitEntry.accountId.toString()).toBe(testClaimAccount._id.toString());
+      expect(entries[0].debitEntry.amount).toBe(300); // 2 * 150
+      expect(entries[0].creditEntry.amount).toBe(300);
+      expect(entries[0].debitEntry.referenceType).toBe('invoice_adjustment');
     });
 
     it('should create both adjustment and claim entries', async () => {
@@ -188,8 +188,8 @@ describe('Adjustment Account Service', () => {
       const entries = await adjustmentAccountService.createAdjustmentEntries(invoice);
 
       expect(entries).toHaveLength(2);
-      expect(entries[0].transactionType).toBe('adjustment');
-      expect(entries[1].transactionType).toBe('scheme_claim');
+      expect(entries[0].debitEntry.accountId.toString()).toBe(testAdjustmentAccount._id.toString());
+      expect(entries[1].debitEntry.accountId.toString()).toBe(testClaimAccount._id.toString());
     });
 
     it('should handle multiple discounts on items', async () => {
@@ -216,7 +216,7 @@ describe('Adjustment Account Service', () => {
       const entries = await adjustmentAccountService.createAdjustmentEntries(invoice);
 
       expect(entries).toHaveLength(1);
-      expect(entries[0].debit).toBe(200); // 150 + 50
+      expect(entries[0].debitEntry.amount).toBe(200); // 150 + 50
     });
 
     it('should not create entries if no adjustment account', async () => {
@@ -0,0 +1,412 @@
+const approvalService = require('../../src/services/approvalService');
+const cashPaymentService = require('../../src/services/cashPaymentService');
+const salesInvoiceService = require('../../src/services/salesInvoiceService');
+const balanceCalculationService = require('../../src/services/balanceCalculationService');
+const notificationService = require('../../src/services/notificationService');
+const ledgerService = require('../../src/services/ledgerService');
+const ApprovalRule = require('../../src/models/ApprovalRule');
+const ApprovalRequest = require('../../src/models/ApprovalRequest');
+const CashPayment = require('../../src/models/CashPayment');
+const FiscalYear = require('../../src/models/FiscalYear');
+const Supplier = require('../../src/models/Supplier');
+const Item = require('../../src/models/Item');
+const User = require('../../src/models/User');
+const Customer = require('../../src/models/Customer');
+const { caches } = require('../../src/utils/cache');
+
+jest.mock('../../src/models/ApprovalRule');
+jest.mock('../../src/models/ApprovalRequest');
+jest.mock('../../src/models/CashPayment');
+jest.mock('../../src/models/Item');
+jest.mock('../../src/models/User');
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/services/balanceCalculationService');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/salesInvoiceService');
+
+describe('Approval Service', () => {
+  const mockRules = (rules) => {
+    ApprovalRule.find.mockReturnValue({ lean: () => Promise.resolve(rules) });
+  };
+  const mockUser = (user) => {
+    User.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(user) }) });
+  };
+  const mockItems = (items) => {
+    Item.find.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(items) }) });
+  };
+
+  beforeEach(() => {
+    caches.short.flushAll();
+  });
+
+  describe('rules', () => {
+    test('should fall back to inactive defaults for rules that were never configured', async () => {
+      mockRules([{ type: 'discount_percent', isActive: true, threshold: 15 }]);
+
+      const rules = await approvalService.getRules();
+
+      expect(rules).toHaveLength(6);
+      expect(rules.find(rule => rule.type === 'discount_percent')).toMatchObject({
+        isActive: true,
+        threshold: 15,
+        approverPermission: 'approval.decide',
+      });
+      expect(rules.find(rule => rule.type === 'cash_payment_amount')).toMatchObject({
+        isActive: false,
+        threshold: 100000,
+      });
+    });
+
+    test('should validate thresholds and approver permissions before saving a rule', async () => {
+      await expect(approvalService.updateRule('overtime', { isActive: true }, 'admin1'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(approvalService.updateRule('below_cost', { threshold: 5 }, 'admin1'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Rule below_cost does not take a threshold' });
+      await expect(approvalService.updateRule('discount_percent', { threshold: 120 }, 'admin1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(approvalService.updateRule('credit_limit', { approverPermission: 'approval.x' }, 'admin1'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Unknown permission(s): approval.x' });
+      expect(ApprovalRule.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should upsert the rule and drop the cached rules', async () => {
+      mockRules([]);
+      await approvalService.getRules();
+      mockRules([{ type: 'cash_payment_amount', isActive: true, threshold: 50000 }]);
+
+      const rule = await approvalService.updateRule(
+        'cash_payment_amount',
+        { isActive: true, threshold: '50000' },
+        'admin1'
+      );
+
+      expect(ApprovalRule.findOneAndUpdate).toHaveBeenCalledWith(
+        { type: 'cash_payment_amount' },
+        {
+          type: 'cash_payment_amount',
+          isActive: true,
+          threshold: 50000,
+          updatedBy: 'admin1',
+        },
+        expect.objectContaining({ upsert: true })
+      );
+      expect(rule).toMatchObject({ isActive: true, threshold: 50000 });
+    });
+  });
+
+  describe('evaluation', () => {
+    const invoice = {
+      customerId: { _id: 'cust1', name: 'City Pharmacy' },
+      invoiceDate: new Date('2026-03-10'),
+      totals: { grandTotal: 9000 },
+      items: [
+        {
+          itemId: 'item1', quantity: 10, unitPrice: 500, totalDiscountAmount: 1000,
+        },
+        {
+          itemId: { _id: 'item2' }, quantity: 10, unitPrice: 400, totalDiscountAmount: 0,
+        },
+      ],
+    };
+
+    test('should report credit limit, discount and below-cost breaches of active rules', async () => {
+      mockRules([
+        { type: 'credit_limit', isActive: true },
+        { type: 'discount_percent', isActive: true, threshold: 15 },
+        { type: 'below_cost', isActive: true },
+      ]);
+      balanceCalculationService.calculateBalanceSummary.mockResolvedValue({
+        creditLimitExceeded: true,
+        totalBalance: 59000,
+        creditLimit: 50000,
+      });
+      mockItems([
+        { _id: 'item1', name: 'Panadol', pricing: { costPrice: 450 } },
+        { _id: 'item2', name: 'Brufen', pricing: { costPrice: 420 } },
+      ]);
+
+      const reasons = await approvalService.evaluateSalesInvoice(invoice);
+
+      expect(balanceCalculationService.calculateBalanceSummary)
+        .toHaveBeenCalledWith('cust1', invoice.invoiceDate, 9000, 'Customer');
+      expect(reasons).toEqual([
+        {
+          rule: 'credit_limit',
+          message: 'Customer balance 59000 would exceed the credit limit of 50000',
+          approverPermission: 'approval.decide',
+        },
+        {
+          rule: 'discount_percent',
+          message: 'Panadol is discounted 20%, above the 15% limit',
+          approverPermission: 'approval.decide',
+        },
+        {
+          rule: 'below_cost',
+          message: 'Brufen is priced at 400, below its cost of 420',
+          approverPermission: 'approval.decide',
+        },
+      ]);
+    });
+
+    test('should need approval for customers on credit watch', async () => {
+      mockRules([{ type: 'credit_watch', isActive: true }]);
+      const mockCustomer = (creditControl) => {
+        Customer.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ creditControl }) }) });
+      };
+
+      mockCustomer({ status: 'watch', reasons: ['1 invoice(s) past 30 credit days, oldest 4 days'] });
+      expect(await approvalService.evaluateSalesInvoice(invoice)).toEqual([
+        {
+          rule: 'credit_watch',
+          message: 'Customer is on credit watch: 1 invoice(s) past 30 credit days, oldest 4 days',
+          approverPermission: 'approval.decide',
+        },
+      ]);
+
+      mockCustomer({ status: 'watch', override: { status: 'active', reason: 'Cheque received' } });
+      expect(await approvalService.evaluateSalesInvoice(invoice)).toEqual([]);
+    });
+
+    test('should not look anything up while the rules are inactive', async () => {
+      mockRules([]);
+
+      expect(await approvalService.evaluateSalesInvoice(invoice)).toEqual([]);
+      expect(await approvalService.evaluateCashPayment({ amount: 5000000 })).toEqual([]);
+      expect(await approvalService.evaluateCancellation()).toEqual([]);
+      expect(balanceCalculationService.calculateBalanceSummary).not.toHaveBeenCalled();
+      expect(Item.find).not.toHaveBeenCalled();
+    });
+
+    test('should hold cash payments above the threshold only', async () => {
+      mockRules([{ type: 'cash_payment_amount', isActive: true, threshold: 50000 }]);
+
+      expect(await approvalService.evaluateCashPayment({ amount: 50000 })).toEqual([]);
+      expect(await approvalService.evaluateCashPayment({ amount: 50001 })).toEqual([
+        expect.objectContaining({ rule: 'cash_payment_amount' }),
+      ]);
+    });
+
+    test('should let users holding the approver permission approve their own documents', async () => {
+      const reasons = [{ rule: 'below_cost', message: 'x', approverPermission: 'approval.decide' }];
+
+      mockUser({ _id: 'u1', role: 'accountant' });
+      expect(await approvalService.reasonsNeedingApproval(reasons, 'u1')).toEqual([]);
+
+      mockUser({ _id: 'u2', role: 'sales' });
+      expect(await approvalService.reasonsNeedingApproval(reasons, 'u2')).toEqual(reasons);
+    });
+  });
+
+  describe('requests', () => {
+    const reasons = [{
+      rule: 'cash_payment_amount',
+      message: 'Payment of 80000 is above the approval limit of 50000',
+      approverPermission: 'approval.decide',
+    }];
+
+    test('should open a request and notify the users who can decide it', async () => {
+      ApprovalRequest.findOne.mockResolvedValue(null);
+      ApprovalRequest.generateRequestNumber.mockResolvedValue('APR2026000001');
+      ApprovalRequest.create.mockImplementation(data => Promise.resolve({ _id: 'req1', ...data }));
+
+      const request = await approvalService.openRequest({
+        documentType: 'cash_payment',
+        documentId: 'pay1',
+        documentNumber: 'CP2026000007',
+        action: 'post',
+        amount: 80000,
+        reasons,
+        requestedBy: 'clerk1',
+      });
+
+      expect(request.requestNumber).toBe('APR2026000001');
+      expect(notificationService.notifyPermissionHolders).toHaveBeenCalledWith(
+        ['approval.decide'],
+        expect.objectContaining({
+          type: 'approval_requested',
+          title: 'Cash payment CP2026000007 needs approval to post',
+          referenceId: 'req1',
+        }),
+        { excludeUserId: 'clerk1' }
+      );
+    });
+
+    test('should reuse the pending request for the same document and action', async () => {
+      const existing = { _id: 'req1', status: 'pending' };
+      ApprovalRequest.findOne.mockResolvedValue(existing);
+
+      const request = await approvalService.openRequest({
+        documentType: 'cash_payment',
+        documentId: 'pay1',
+        action: 'post',
+        reasons,
+        requestedBy: 'clerk1',
+      });
+
+      expect(request).toBe(existing);
+      expect(ApprovalRequest.create).not.toHaveBeenCalled();
+    });
+
+    test('should list only pending requests the user can decide in their inbox', async () => {
+      const decidable = { _id: 'req1', requestedBy: 'clerk1', reasons };
+      const own = { _id: 'req2', requestedBy: 'acc1', reasons };
+      const restricted = {
+        _id: 'req3',
+        requestedBy: 'clerk1',
+        reasons: [{ ...reasons[0], approverPermission: 'role.manage' }],
+      };
+      ApprovalRequest.find.mockReturnValue({ sort: () => Promise.resolve([decidable, own, restricted]) });
+      ApprovalRequest.populate.mockImplementation(docs => Promise.resolve(docs));
+
+      const inbox = await approvalService.getInbox({ _id: 'acc1', role: 'accountant' });
+
+      expect(inbox).toEqual([decidable]);
+      expect(ApprovalRequest.find).toHaveBeenCalledWith({ status: 'pending' });
+    });
+  });
+
+  describe('decisions', () => {
+    const buildRequest = overrides => ({
+      _id: 'req1',
+      requestNumber: 'APR2026000001',
+      documentType: 'cash_payment',
+      documentId: 'pay1',
+      documentNumber: 'CP2026000007',
+      action: 'post',
+      amount: 80000,
+      status: 'pending',
+      requestedBy: 'clerk1',
+      reasons: [{ rule: 'cash_payment_amount', message: 'x', approverPermission: 'approval.decide' }],
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    });
+
+    test('should post an approved cash payment and tell the requester', async () => {
+      const request = buildRequest();
+      const payment = {
+        _id: 'pay1', supplierId: 'sup1', amount: 80000, paymentNumber: 'CP2026000007',
+      };
+      ApprovalRequest.findById.mockResolvedValue(request);
+      mockUser({ _id: 'acc1', role: 'accountant' });
+      CashPayment.findOneAndUpdate.mockResolvedValue(payment);
+
+      const result = await approvalService.approve('req1', 'acc1', 'Verified with supplier');
+
+      expect(CashPayment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'pay1', status: 'pending_approval' },
+        { status: 'pending' },
+        { new: true }
+      );
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ accountId: 'sup1', accountType: 'Supplier' }),
+        expect.objectContaining({ accountId: 'CASH_ACCOUNT' }),
+        80000,
+        'Cash payment CP2026000007 to supplier',
+        'cash_payment',
+        'pay1',
+        'clerk1'
+      );
+      expect(result).toMatchObject({ status: 'approved', decidedBy: 'acc1', comment: 'Verified with supplier' });
+      expect(request.save).toHaveBeenCalled();
+      expect(notificationService.notifyUsers).toHaveBeenCalledWith(['clerk1'], expect.objectContaining({
+        type: 'approval_decided',
+        title: 'Cash payment CP2026000007: post approved',
+      }));
+    });
+
+    test('should cancel a rejected cash payment without posting it', async () => {
+      ApprovalRequest.findById.mockResolvedValue(buildRequest());
+      mockUser({ _id: 'acc1', role: 'accountant' });
+      CashPayment.findOneAndUpdate.mockResolvedValue({ _id: 'pay1' });
+
+      await approvalService.reject('req1', 'acc1', 'Split across two cheques');
+
+      expect(CashPayment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'pay1', status: 'pending_approval' },
+        { status: 'cancelled' },
+        { new: true }
+      );
+      expect(ledgerService.createDoubleEntry).not.toHaveBeenCalled();
+    });
+
+    test('should hand sales invoice decisions to the sales invoice service', async () => {
+      const request = buildRequest({ documentType: 'sales_invoice', action: 'confirm' });
+      ApprovalRequest.findById.mockResolvedValue(request);
+      mockUser({ _id: 'acc1', role: 'accountant' });
+
+      await approvalService.approve('req1', 'acc1');
+
+      expect(salesInvoiceService.resolveApproval).toHaveBeenCalledWith(request);
+    });
+
+    test('should refuse rejections without a comment, own requests and decided requests', async () => {
+      await expect(approvalService.reject('req1', 'acc1', ' ')).rejects.toMatchObject({ statusCode: 400 });
+
+      ApprovalRequest.findById.mockResolvedValue(buildRequest());
+      await expect(approvalService.approve('req1', 'clerk1')).rejects.toMatchObject({ statusCode: 403 });
+
+      ApprovalRequest.findById.mockResolvedValue(buildRequest({ status: 'approved' }));
+      await expect(approvalService.approve('req1', 'acc1')).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Approval request APR2026000001 is already approved',
+      });
+    });
+
+    test('should require the approver permission of every broken rule', async () => {
+      ApprovalRequest.findById.mockResolvedValue(buildRequest());
+      mockUser({ _id: 'sales1', role: 'sales' });
+
+      await expect(approvalService.approve('req1', 'sales1')).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Access denied. Required permission: approval.decide',
+      });
+    });
+
+    test('should leave the request pending when the document cannot be updated', async () => {
+      const request = buildRequest();
+      ApprovalRequest.findById.mockResolvedValue(request);
+      mockUser({ _id: 'acc1', role: 'accountant' });
+      CashPayment.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(approvalService.approve('req1', 'acc1')).rejects.toThrow('Cash payment is not awaiting approval');
+      expect(request.save).not.toHaveBeenCalled();
+      expect(notificationService.notifyUsers).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cash payment creation', () => {
+    test('should hold a payment above the limit instead of posting it', async () => {
+      mockRules([{ type: 'cash_payment_amount', isActive: true, threshold: 50000 }]);
+      mockUser({ _id: 'clerk1', role: 'purchase' });
+      jest.spyOn(Supplier, 'findById').mockResolvedValue({ _id: 'sup1', isActive: true });
+      const payment = {
+        _id: 'pay1',
+        paymentNumber: 'CP2026000007',
+        amount: 80000,
+        save: jest.fn().mockResolvedValue(true),
+        populate: jest.fn().mockReturnThis(),
+      };
+      CashPayment.mockImplementation(() => payment);
+      ApprovalRequest.findOne.mockResolvedValue(null);
+      ApprovalRequest.create.mockImplementation(data => Promise.resolve({ _id: 'req1', ...data }));
+      jest.spyOn(FiscalYear, 'findByDate').mockResolvedValue(null);
+
+      await cashPaymentService.createCashPayment({
+        supplierId: 'sup1',
+        amount: 80000,
+        paymentMethod: 'cash',
+        createdBy: 'clerk1',
+      });
+
+      expect(payment.status).toBe('pending_approval');
+      expect(ApprovalRequest.create).toHaveBeenCalledWith(expect.objectContaining({
+        documentType: 'cash_payment',
+        documentId: 'pay1',
+        action: 'post',
+        requestedBy: 'clerk1',
+      }));
+      expect(ledgerService.createDoubleEntry).not.toHaveBeenCalled();
+    });
+  });
+});
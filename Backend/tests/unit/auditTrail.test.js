@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const auditTrail = require('../../src/models/plugins/auditTrail');
+const auditService = require('../../src/services/auditService');
+const AuditLog = require('../../src/models/AuditLog');
+const {
+  runWithContext,
+  getRequestContext,
+  setRequestUser,
+} = require('../../src/utils/requestContext');
+
+jest.mock('../../src/models/AuditLog', () => ({
+  find: () => {},
+  countDocuments: () => {},
+  create: () => {},
+  schema: {
+    path: () => ({
+      enumValues: ['Invoice', 'CashReceipt', 'CashPayment', 'LedgerEntry', 'Customer', 'Item', 'Scheme'],
+    }),
+  },
+}));
+
+describe('Audit Trail', () => {
+  describe('diffSnapshots', () => {
+    const customerId = new mongoose.Types.ObjectId();
+
+    test('should report each changed nested field with before and after values', () => {
+      const changes = auditTrail.diffSnapshots(
+        {
+          _id: customerId,
+          name: 'City Pharmacy',
+          financialInfo: { creditLimit: 50000, paymentTerms: 30 },
+          updatedAt: new Date(2026, 0, 1),
+        },
+        {
+          _id: customerId,
+          name: 'City Pharmacy',
+          financialInfo: { creditLimit: 150000, paymentTerms: 30 },
+          updatedAt: new Date(2026, 0, 2),
+        }
+      );
+
+      expect(changes).toEqual([{ path: 'financialInfo.creditLimit', before: 50000, after: 150000 }]);
+    });
+
+    test('should only report tracked paths when paths are given', () => {
+      const changes = auditTrail.diffSnapshots(
+        { name: 'Panadol', pricing: { salePrice: 100 }, inventory: { currentStock: 10 } },
+        { name: 'Panadol Extra', pricing: { salePrice: 110 }, inventory: { currentStock: 4 } },
+        ['pricing']
+      );
+
+      expect(changes).toEqual([{ path: 'pricing.salePrice', before: 100, after: 110 }]);
+    });
+
+    test('should compare ObjectIds, dates and arrays by value', () => {
+      const accountId = new mongoose.Types.ObjectId();
+      const snapshot = () => ({
+        accountId: new mongoose.Types.ObjectId(accountId.toString()),
+        date: new Date(2026, 2, 1),
+        items: [{ quantity: 5 }],
+      });
+
+      expect(auditTrail.diffSnapshots(snapshot(), snapshot())).toEqual([]);
+      expect(auditTrail.diffSnapshots(snapshot(), { ...snapshot(), items: [{ quantity: 6 }] }))
+        .toEqual([{ path: 'items', before: [{ quantity: 5 }], after: [{ quantity: 6 }] }]);
+    });
+
+    test('should list every field on a create and a delete', () => {
+      expect(auditTrail.diffSnapshots({}, { amount: 500, description: 'Receipt' })).toEqual([
+        { path: 'amount', before: undefined, after: 500 },
+        { path: 'description', before: undefined, after: 'Receipt' },
+      ]);
+      expect(auditTrail.diffSnapshots({ amount: 500 }, {})).toEqual([
+        { path: 'amount', before: 500, after: undefined },
+      ]);
+    });
+  });
+
+  describe('request context', () => {
+    test('should carry the authenticated user and IP through async calls', async () => {
+      const context = await runWithContext({ ip: '10.0.0.7' }, async () => {
+        setRequestUser({ _id: 'user1', username: 'accounts' });
+        await Promise.resolve();
+        return getRequestContext();
+      });
+
+      expect(context).toEqual({ ip: '10.0.0.7', userId: 'user1', username: 'accounts' });
+      expect(getRequestContext()).toEqual({});
+    });
+  });
+
+  describe('auditService', () => {
+    test('should filter by entity, user, changed field and date range', () => {
+      const query = auditService.buildQuery({
+        entityType: 'Customer',
+        userId: 'user1',
+        path: 'financialInfo.creditLimit',
+        startDate: '2026-03-01',
+        endDate: '2026-03-31',
+      });
+
+      expect(query).toMatchObject({
+        entityType: 'Customer',
+        userId: 'user1',
+        'changes.path': { $regex: '^financialInfo\\.creditLimit(\\.|$)' },
+      });
+      expect(query.timestamp.$gte).toEqual(new Date('2026-03-01'));
+      expect(query.timestamp.$lte.getHours()).toBe(23);
+    });
+
+    test('should reject unknown entity types and invalid dates', () => {
+      expect(() => auditService.buildQuery({ entityType: 'User' })).toThrow('Entity type must be one of');
+      expect(() => auditService.buildQuery({ startDate: 'yesterday' })).toThrow('Invalid start or end date');
+    });
+
+    test('should page through entries newest first', async () => {
+      const query = {
+        populate: () => query,
+        sort: jest.fn(() => query),
+        skip: jest.fn(() => query),
+        limit: () => Promise.resolve([{ action: 'update' }]),
+      };
+      AuditLog.find = jest.fn(() => query);
+      AuditLog.countDocuments = jest.fn(() => Promise.resolve(51));
+
+      const result = await auditService.getAuditLogs({ entityType: 'Item' }, { page: 2, limit: 50 });
+
+      expect(AuditLog.find).toHaveBeenCalledWith({ entityType: 'Item' });
+      expect(query.sort).toHaveBeenCalledWith({ timestamp: -1 });
+      expect(query.skip).toHaveBeenCalledWith(50);
+      expect(result.pagination).toEqual({
+        page: 2,
+        limit: 50,
+        total: 51,
+        pages: 2,
+      });
+    });
+  });
+});
@@ -244,6 +244,178 @@ describe('Bank Reconciliation Service', () => {
         bankReconciliationService.matchTransactions('recon123', [])
       ).rejects.toThrow('Can only match transactions for draft reconciliations');
     });
+
+    describe('matching passes', () => {
+      let mockReconciliation;
+
+      const mockBooks = (receipts, payments = []) => {
+        CashReceipt.find = jest.fn().mockReturnValue({
+          populate: jest.fn().mockResolvedValue(receipts),
+        });
+        CashPayment.find = jest.fn().mockReturnValue({
+          populate: jest.fn().mockResolvedValue(payments),
+        });
+      };
+
+      const receipt = (id, amount, date, bankDetails) => ({
+        _id: id,
+        receiptNumber: `CR-${id}`,
+        amount,
+        receiptDate: new Date(date),
+        bankDetails,
+      });
+
+      const statementLine = (type, amount, date, reference, details = {}) => ({
+        type,
+        amount,
+        date: new Date(date),
+        reference,
+        ...details,
+      });
+
+      beforeEach(() => {
+        mockReconciliation = {
+          _id: 'recon123',
+          status: 'draft',
+          statementPeriod: {
+            startDate: new Date('2024-01-01'),
+            endDate: new Date('2024-01-31'),
+          },
+          items: [{ transactionNumber: 'from an earlier match' }],
+          save: jest.fn().mockResolvedValue(true),
+        };
+        BankReconciliation.findById = jest.fn().mockResolvedValue(mockReconciliation);
+      });
+
+      it('should match a cheque by its number whatever the clearing date', async () => {
+        mockBooks([receipt('receipt1', 25000, '2024-01-02', { chequeNumber: '4512' })]);
+
+        await bankReconciliationService.matchTransactions('recon123', [
+          statementLine('credit', 24900, '2024-01-12', 'DEP7', { chequeNumber: '004512' }),
+        ]);
+
+        expect(mockReconciliation.items).toEqual([expect.objectContaining({
+          transactionId: 'receipt1',
+          status: 'discrepancy',
+          bankStatementAmount: 24900,
+          bankReference: 'DEP7',
+          discrepancyAmount: -100,
+        })]);
+      });
+
+      it('should match one deposit against several receipts', async () => {
+        mockBooks([
+          receipt('receipt1', 1500, '2024-01-10'),
+          receipt('receipt2', 700, '2024-01-10'),
+          receipt('receipt3', 2500, '2024-01-11'),
+        ]);
+
+        await bankReconciliationService.matchTransactions('recon123', [
+          statementLine('credit', 4000, '2024-01-11', 'DEP9'),
+        ]);
+
+        const matched = mockReconciliation.items.filter((item) => item.status === 'matched');
+        expect(matched.map((item) => item.transactionId)).toEqual(['receipt1', 'receipt3']);
+        expect(matched.every((item) => item.matchGroup === 'G1' && item.bankReference === 'DEP9')).toBe(true);
+        expect(mockReconciliation.items).toContainEqual(expect.objectContaining({
+          transactionId: 'receipt2',
+          status: 'unmatched',
+        }));
+      });
+
+      it('should match several statement lines against one payment', async () => {
+        mockBooks([], [{
+          _id: 'payment1',
+          paymentNumber: 'CP1',
+          amount: 10000,
+          paymentDate: new Date('2024-01-20'),
+        }]);
+
+        await bankReconciliationService.matchTransactions('recon123', [
+          statementLine('debit', 6000, '2024-01-20', 'TRF1'),
+          statementLine('debit', 4000, '2024-01-21', 'TRF2'),
+        ]);
+
+        expect(mockReconciliation.items).toEqual([expect.objectContaining({
+          transactionId: 'payment1',
+          status: 'matched',
+          bankStatementAmount: 10000,
+          bankStatementDate: new Date('2024-01-21'),
+          bankReference: 'TRF1, TRF2',
+          matchGroup: 'G1',
+        })]);
+      });
+
+      it('should propose unmatched bank charges as payment entries', async () => {
+        mockBooks([]);
+
+        await bankReconciliationService.matchTransactions('recon123', [
+          statementLine('debit', 150, '2024-01-31', 'CHG01', { description: 'SMS alert charges' }),
+          statementLine('credit', 900, '2024-01-31', 'UNKNOWN'),
+        ]);
+
+        expect(mockReconciliation.proposedEntries).toEqual([{
+          entryType: 'bank_charge',
+          paymentDate: new Date('2024-01-31'),
+          amount: 150,
+          paymentMethod: 'bank_transfer',
+          referenceNumber: 'CHG01',
+          description: 'SMS alert charges',
+          status: 'proposed',
+        }]);
+        expect(mockReconciliation.items.map((item) => item.discrepancyReason)).toEqual([
+          'Bank charge - payment entry proposed',
+          'No matching book transaction',
+        ]);
+      });
+    });
+  });
+
+  describe('importStatement', () => {
+    it('should parse the statement and match its lines', async () => {
+      const mockReconciliation = {
+        _id: 'recon123',
+        status: 'draft',
+        statementPeriod: {
+          startDate: new Date('2024-01-01'),
+          endDate: new Date('2024-01-31'),
+        },
+        items: [],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      BankReconciliation.findById = jest.fn().mockResolvedValue(mockReconciliation);
+      CashReceipt.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue([{
+          _id: 'receipt1',
+          receiptNumber: 'CR1',
+          amount: 5000,
+          receiptDate: new Date(2024, 0, 15),
+        }]),
+      });
+      CashPayment.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue([]),
+      });
+
+      await bankReconciliationService.importStatement('recon123', {
+        format: 'csv',
+        content: 'Posted On,Narration,Amount\n16/01/2024,Transfer in,5000',
+        columnMapping: { date: 'Posted On', description: 'Narration', amount: 'Amount' },
+      });
+
+      expect(mockReconciliation.items).toEqual([expect.objectContaining({
+        transactionId: 'receipt1',
+        status: 'matched',
+        bankStatementDate: new Date(2024, 0, 16),
+        bankDescription: 'Transfer in',
+      })]);
+      expect(mockReconciliation.save).toHaveBeenCalled();
+    });
+
+    it('should reject an unsupported statement format', async () => {
+      await expect(
+        bankReconciliationService.importStatement('recon123', { format: 'qif', content: 'data' }),
+      ).rejects.toThrow('Statement format must be one of: csv, mt940, ofx');
+    });
   });
 
   describe('completeBankReconciliation', () => {
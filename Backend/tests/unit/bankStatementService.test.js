@@ -0,0 +1,196 @@
+const bankStatementService = require('../../src/services/bankStatementService');
+
+describe('Bank Statement Service', () => {
+  describe('parseCsv', () => {
+    it('should read debit and credit columns with the default headings', () => {
+      const csv = [
+        'Date,Description,Reference,Cheque No,Debit,Credit',
+        '05/01/2024,Cheque deposit,DEP001,004512,,"25,000.00"',
+        '06/01/2024,"Charges, SMS alert",CHG01,,150.00,',
+      ].join('\n');
+
+      const lines = bankStatementService.parseCsv(csv);
+
+      expect(lines).toEqual([
+        {
+          type: 'credit',
+          amount: 25000,
+          date: new Date(2024, 0, 5),
+          reference: 'DEP001',
+          chequeNumber: '004512',
+          description: 'Cheque deposit',
+        },
+        {
+          type: 'debit',
+          amount: 150,
+          date: new Date(2024, 0, 6),
+          reference: 'CHG01',
+          chequeNumber: '',
+          description: 'Charges, SMS alert',
+        },
+      ]);
+    });
+
+    it('should use the column mapping for a signed amount column', () => {
+      const csv = [
+        'Txn Date;Narration;Ref No;Amount',
+        '2024-01-15;Transfer in;TRF9;5000',
+        '2024-01-16;Supplier payment;TRF10;-1200.50',
+      ].join('\r\n');
+
+      const lines = bankStatementService.parseCsv(csv, {
+        columnMapping: {
+          date: 'Txn Date', description: 'Narration', reference: 'Ref No', amount: 'Amount',
+        },
+        delimiter: ';',
+        dateFormat: 'YYYY-MM-DD',
+      });
+
+      expect(lines.map((line) => [line.type, line.amount, line.date])).toEqual([
+        ['credit', 5000, new Date(2024, 0, 15)],
+        ['debit', 1200.5, new Date(2024, 0, 16)],
+      ]);
+    });
+
+    it('should take the direction from a type column', () => {
+      const csv = 'Date,Amount,Dr/Cr\n01/02/2024,300,DR\n02/02/2024,400,CR';
+
+      const lines = bankStatementService.parseCsv(csv, { columnMapping: { amount: 'Amount', type: 'Dr/Cr' } });
+
+      expect(lines.map((line) => line.type)).toEqual(['debit', 'credit']);
+    });
+
+    it('should reject a statement without the mapped date column', () => {
+      expect(() => bankStatementService.parseCsv('Posted,Debit,Credit\n01/01/2024,1,'))
+        .toThrow('Date column "Date" not found in the statement');
+    });
+
+    it('should reject an invalid date', () => {
+      expect(() => bankStatementService.parseCsv('Date,Debit,Credit\n31/02/2024,10,'))
+        .toThrow('Invalid date "31/02/2024" on statement row 2');
+    });
+  });
+
+  describe('parseMt940', () => {
+    it('should read statement lines with their descriptions', () => {
+      const mt940 = [
+        ':20:STMT2401',
+        ':25:HABBPKKA/0012345678',
+        ':28C:1/1',
+        ':60F:C240101PKR100000,00',
+        ':61:2401050105C25000,00NCHK004512//BR7781',
+        ':86:CHEQUE DEPOSIT',
+        'ABC TRADERS',
+        ':61:240106D150,00NCHGNONREF//CHG01',
+        ':86:SMS ALERT CHARGES',
+        ':61:240107RC500,00NTRFREV01',
+        ':62F:C240131PKR124350,00',
+        '-',
+      ].join('\n');
+
+      const lines = bankStatementService.parseMt940(mt940);
+
+      expect(lines).toEqual([
+        {
+          type: 'credit',
+          amount: 25000,
+          date: new Date(2024, 0, 5),
+          reference: '004512',
+          chequeNumber: '004512',
+          description: 'CHEQUE DEPOSIT ABC TRADERS',
+        },
+        {
+          type: 'debit',
+          amount: 150,
+          date: new Date(2024, 0, 6),
+          reference: 'CHG01',
+          chequeNumber: '',
+          description: 'SMS ALERT CHARGES',
+        },
+        {
+          type: 'debit',
+          amount: 500,
+          date: new Date(2024, 0, 7),
+          reference: 'REV01',
+          chequeNumber: '',
+          description: '',
+        },
+      ]);
+    });
+
+    it('should reject a malformed statement line', () => {
+      expect(() => bankStatementService.parseMt940(':61:2401X'))
+        .toThrow('Invalid MT940 statement line ":61:2401X"');
+    });
+  });
+
+  describe('parseOfx', () => {
+    it('should read SGML transactions', () => {
+      const ofx = [
+        'OFXHEADER:100',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+        '<STMTTRN>',
+        '<TRNTYPE>CHECK',
+        '<DTPOSTED>20240105120000',
+        '<TRNAMT>-3000.00',
+        '<FITID>9001',
+        '<CHECKNUM>778899',
+        '<NAME>Cheque paid',
+        '<STMTTRN>',
+        '<TRNTYPE>CREDIT',
+        '<DTPOSTED>20240108',
+        '<TRNAMT>5000.00',
+        '<FITID>9002',
+        '<MEMO>Transfer in',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+      ].join('\n');
+
+      const lines = bankStatementService.parseOfx(ofx);
+
+      expect(lines).toEqual([
+        {
+          type: 'debit',
+          amount: 3000,
+          date: new Date(2024, 0, 5),
+          reference: '9001',
+          chequeNumber: '778899',
+          description: 'Cheque paid',
+        },
+        {
+          type: 'credit',
+          amount: 5000,
+          date: new Date(2024, 0, 8),
+          reference: '9002',
+          chequeNumber: '',
+          description: 'Transfer in',
+        },
+      ]);
+    });
+
+    it('should read XML transactions', () => {
+      const ofx = '<STMTTRN><TRNTYPE>FEE</TRNTYPE><DTPOSTED>20240131</DTPOSTED>'
+        + '<TRNAMT>-75.50</TRNAMT><FITID>9003</FITID><REFNUM>FEE31</REFNUM><NAME>Service charge</NAME></STMTTRN>';
+
+      expect(bankStatementService.parseOfx(ofx)).toEqual([{
+        type: 'debit',
+        amount: 75.5,
+        date: new Date(2024, 0, 31),
+        reference: 'FEE31',
+        chequeNumber: '',
+        description: 'Service charge',
+      }]);
+    });
+  });
+
+  describe('parse', () => {
+    it('should reject an unknown format', () => {
+      expect(() => bankStatementService.parse('data', 'qif'))
+        .toThrow('Statement format must be one of: csv, mt940, ofx');
+    });
+
+    it('should reject a statement without transactions', () => {
+      expect(() => bankStatementService.parse('Date,Debit,Credit', 'csv'))
+        .toThrow('No transactions found in the bank statement');
+    });
+  });
+});
@@ -388,4 +388,116 @@ describe('Batch Service Unit Tests', () => {
       expect(result[0].totalQuantity).toBe(50);
     });
   });
+
+  describe('allocateBatchesFEFO', () => {
+    const sellableBatches = [
+      {
+        _id: 'batch1',
+        batchNumber: 'B-EARLY',
+        warehouse: 'wh1',
+        expiryDate: new Date('2030-01-31'),
+        manufacturingDate: new Date('2028-01-31'),
+        remainingQuantity: 30
+      },
+      {
+        _id: 'batch2',
+        batchNumber: 'B-LATE',
+        warehouse: 'wh1',
+        expiryDate: new Date('2031-06-30'),
+        manufacturingDate: new Date('2029-06-30'),
+        remainingQuantity: 50
+      }
+    ];
+
+    it('should take stock from the earliest expiring batch first', async () => {
+      batchRepository.findSellableBatches.mockResolvedValue(sellableBatches);
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ remainingQuantity: 10 });
+
+      const result = await batchService.allocateBatchesFEFO('item123', 20, { warehouseId: 'wh1' });
+
+      expect(batchRepository.findSellableBatches).toHaveBeenCalledWith('item123', { warehouseId: 'wh1' });
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ batchId: 'batch1', batchNumber: 'B-EARLY', quantity: 20 });
+      expect(batchRepository.decrementRemainingQuantity).toHaveBeenCalledTimes(1);
+      expect(batchRepository.decrementRemainingQuantity).toHaveBeenCalledWith('batch1', 20, { session: undefined });
+    });
+
+    it('should split a quantity across several batches', async () => {
+      batchRepository.findSellableBatches.mockResolvedValue(sellableBatches);
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ remainingQuantity: 0 });
+
+      const result = await batchService.allocateBatchesFEFO('item123', 45);
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({ batchNumber: 'B-EARLY', quantity: 30 });
+      expect(result[1]).toMatchObject({ batchNumber: 'B-LATE', quantity: 15 });
+      expect(batchRepository.decrementRemainingQuantity).toHaveBeenCalledWith('batch2', 15, { session: undefined });
+    });
+
+    it('should throw when sellable batches do not cover the quantity', async () => {
+      batchRepository.findSellableBatches.mockResolvedValue(sellableBatches);
+
+      await expect(batchService.allocateBatchesFEFO('item123', 100))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_BATCH_STOCK', statusCode: 422 });
+      expect(batchRepository.decrementRemainingQuantity).not.toHaveBeenCalled();
+    });
+
+    it('should restore earlier batches when a later batch runs short', async () => {
+      batchRepository.findSellableBatches.mockResolvedValue(sellableBatches);
+      batchRepository.decrementRemainingQuantity
+        .mockResolvedValueOnce({ remainingQuantity: 0 })
+        .mockResolvedValueOnce(null);
+      batchRepository.incrementRemainingQuantity.mockResolvedValue({});
+
+      await expect(batchService.allocateBatchesFEFO('item123', 45, { session: 'session-1' }))
+        .rejects.toMatchObject({ code: 'BATCH_ALLOCATION_CONFLICT' });
+      expect(batchRepository.incrementRemainingQuantity).toHaveBeenCalledWith('batch1', 30, { session: 'session-1' });
+    });
+
+    it('should leave stock reserved for other documents alone', async () => {
+      batchRepository.findSellableBatches.mockResolvedValue(sellableBatches);
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ remainingQuantity: 0 });
+
+      const result = await batchService.allocateBatchesFEFO('item123', 20, {
+        reservedByBatch: new Map([['batch1', 25]])
+      });
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({ batchNumber: 'B-EARLY', quantity: 5 });
+      expect(result[1]).toMatchObject({ batchNumber: 'B-LATE', quantity: 15 });
+      await expect(batchService.allocateBatchesFEFO('item123', 60, {
+        reservedByBatch: new Map([['batch1', 30]])
+      })).rejects.toMatchObject({ code: 'INSUFFICIENT_BATCH_STOCK', details: { available: 50 } });
+    });
+  });
+
+  describe('releaseBatchAllocations', () => {
+    it('should return each allocated quantity to its batch', async () => {
+      batchRepository.incrementRemainingQuantity.mockResolvedValue({});
+
+      await batchService.releaseBatchAllocations([
+        { batchId: 'batch1', quantity: 30 },
+        { batchId: 'batch2', quantity: 15 }
+      ]);
+
+      expect(batchRepository.incrementRemainingQuantity).toHaveBeenCalledTimes(2);
+      expect(batchRepository.incrementRemainingQuantity).toHaveBeenCalledWith('batch2', 15, { session: undefined });
+    });
+  });
+
+  describe('assertBatchSellable', () => {
+    it('should pass when the batch is not quarantined', async () => {
+      batchRepository.findQuarantined.mockResolvedValue([]);
+
+      await expect(batchService.assertBatchSellable('item123', 'B-100')).resolves.toBeUndefined();
+      expect(batchRepository.findQuarantined).toHaveBeenCalledWith('item123', 'B-100');
+    });
+
+    it('should reject a quarantined batch', async () => {
+      batchRepository.findQuarantined.mockResolvedValue([{ _id: 'batch1', status: 'quarantined' }]);
+
+      await expect(batchService.assertBatchSellable('item123', 'B-100'))
+        .rejects.toMatchObject({ code: 'BATCH_QUARANTINED', statusCode: 422 });
+    });
+  });
 });
@@ -13,6 +13,12 @@ jest.mock('../../src/models/CashPayment');
 jest.mock('../../src/models/Customer');
 jest.mock('../../src/models/Supplier');
 jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/fiscalPeriodService');
+// No approval rules configured: documents post straight away
+jest.mock('../../src/services/approvalService', () => ({
+  evaluateCashPayment: () => Promise.resolve([]),
+  reasonsNeedingApproval: () => Promise.resolve([]),
+}));
 
 describe('Cash-Ledger Integration', () => {
   beforeEach(() => {
@@ -5,6 +5,7 @@ const Supplier = require('../../src/models/Supplier');
 // Mock dependencies
 jest.mock('../../src/models/CashPayment');
 jest.mock('../../src/models/Supplier');
+jest.mock('../../src/services/fiscalPeriodService');
 
 describe('Cash Payment Service', () => {
   beforeEach(() => {
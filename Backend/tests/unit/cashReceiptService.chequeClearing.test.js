@@ -0,0 +1,121 @@
+const cashReceiptService = require('../../src/services/cashReceiptService');
+const CashReceipt = require('../../src/models/CashReceipt');
+const ledgerService = require('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
+
+jest.mock('../../src/models/CashReceipt');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/fiscalPeriodService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: (work) => work('session-1'),
+}));
+
+describe('Cash Receipt Service - Cheque Clearing', () => {
+  const makeCheque = (overrides) => {
+    const receipt = {
+      _id: 'receipt1',
+      receiptNumber: 'CR2026000001',
+      customerId: 'customer1',
+      amount: 10000,
+      paymentMethod: 'cheque',
+      postDatedCheque: true,
+      status: 'pending',
+      chequeStatus: 'deposited',
+      bankDetails: { bankName: 'HBL', chequeNumber: 'CHQ123456' },
+      ...overrides,
+    };
+    receipt.save = jest.fn().mockResolvedValue(receipt);
+    return receipt;
+  };
+
+  const mockFindById = (receipt) => {
+    CashReceipt.findById.mockImplementation((id, projection, options) => {
+      if (options) {
+        return Promise.resolve(receipt);
+      }
+      // Reloaded for display once the transaction has committed
+      const chain = { populate: jest.fn(() => chain), then: (resolve) => resolve(receipt) };
+      return chain;
+    });
+  };
+
+  beforeEach(() => {
+    accountService.getOrCreateSystemAccount.mockResolvedValue({ _id: 'bank1', code: 'BANK_ACCOUNT' });
+  });
+
+  describe('clearCheque', () => {
+    it('should post the cheque to the bank account with the status change', async () => {
+      const receipt = makeCheque();
+      mockFindById(receipt);
+
+      const result = await cashReceiptService.clearCheque('receipt1', 'user1');
+
+      expect(result.chequeStatus).toBe('cleared');
+      expect(CashReceipt.findById).toHaveBeenCalledWith('receipt1', null, { session: 'session-1' });
+      expect(receipt.save).toHaveBeenCalledWith({ session: 'session-1' });
+      expect(accountService.getOrCreateSystemAccount)
+        .toHaveBeenCalledWith('BANK_ACCOUNT', expect.objectContaining({ accountType: 'asset' }));
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'bank1', accountType: 'Account' },
+        { accountId: 'customer1', accountType: 'Customer' },
+        10000,
+        'Post-dated cheque cleared - CR2026000001 from HBL',
+        'cash_receipt',
+        'receipt1',
+        'user1',
+        { session: 'session-1' },
+      );
+    });
+
+    it('should use the session of an enclosing transaction', async () => {
+      const receipt = makeCheque();
+      mockFindById(receipt);
+
+      const result = await cashReceiptService.clearCheque('receipt1', 'user1', { session: 'outer-session' });
+
+      expect(result).toBe(receipt);
+      expect(receipt.save).toHaveBeenCalledWith({ session: 'outer-session' });
+      expect(ledgerService.createDoubleEntry.mock.calls[0][7]).toEqual({ session: 'outer-session' });
+    });
+
+    it('should not clear a cheque that has already cleared', async () => {
+      mockFindById(makeCheque({ chequeStatus: 'cleared' }));
+
+      await expect(cashReceiptService.clearCheque('receipt1', 'user1'))
+        .rejects.toThrow('Cannot clear cheque with status: cleared');
+      expect(ledgerService.createDoubleEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bounceCheque', () => {
+    it('should take a cleared cheque back out of the bank account', async () => {
+      const receipt = makeCheque({ chequeStatus: 'cleared', status: 'cleared' });
+      mockFindById(receipt);
+
+      const result = await cashReceiptService.bounceCheque('receipt1', 'Account closed', 'user1');
+
+      expect(result).toMatchObject({ chequeStatus: 'bounced', bounceReason: 'Account closed' });
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'customer1', accountType: 'Customer' },
+        { accountId: 'bank1', accountType: 'Account' },
+        10000,
+        'Cheque bounced - Reversal of CR2026000001. Reason: Account closed',
+        'cash_receipt',
+        'receipt1',
+        'user1',
+        { session: 'session-1' },
+      );
+    });
+
+    it('should post nothing for a cheque that never cleared', async () => {
+      const receipt = makeCheque();
+      mockFindById(receipt);
+
+      await cashReceiptService.bounceCheque('receipt1', 'Insufficient funds', 'user1');
+
+      expect(receipt.save).toHaveBeenCalledWith({ session: 'session-1' });
+      expect(ledgerService.createDoubleEntry).not.toHaveBeenCalled();
+    });
+  });
+});
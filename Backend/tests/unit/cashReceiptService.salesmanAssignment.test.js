@@ -9,6 +9,7 @@ jest.mock('../../src/models/CashReceipt');
 jest.mock('../../src/models/Customer');
 jest.mock('../../src/models/Salesman');
 jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/fiscalPeriodService');
 
 describe('Cash Receipt Service - Salesman Assignment Tests', () => {
   afterEach(() => {
@@ -5,6 +5,7 @@ const Customer = require('../../src/models/Customer');
 // Mock dependencies
 jest.mock('../../src/models/CashReceipt');
 jest.mock('../../src/models/Customer');
+jest.mock('../../src/services/fiscalPeriodService');
 
 describe('Cash Receipt Service', () => {
   beforeEach(() => {
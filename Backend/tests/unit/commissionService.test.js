@@ -0,0 +1,304 @@
+const commissionService = require('../../src/services/commissionService');
+const CommissionPlan = require('../../src/models/CommissionPlan');
+const CommissionStatement = require('../../src/models/CommissionStatement');
+const Salesman = require('../../src/models/Salesman');
+const Invoice = require('../../src/models/Invoice');
+const CashReceipt = require('../../src/models/CashReceipt');
+const accountService = require('../../src/services/accountService');
+const ledgerService = require('../../src/services/ledgerService');
+const targetService = require('../../src/services/targetService');
+
+jest.mock('../../src/models/CommissionPlan');
+jest.mock('../../src/models/CommissionStatement');
+jest.mock('../../src/models/Salesman');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/CashReceipt');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/targetService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    session: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const tieredPlan = {
+  _id: 'plan1',
+  name: 'Field force tiered',
+  basis: 'sales',
+  defaultRate: 2,
+  rules: [
+    { scope: 'category', value: 'Antibiotic', rate: 4 },
+    { scope: 'manufacturer', value: 'GSK', rate: 5 },
+    { scope: 'scheme_item', rate: 1 }
+  ],
+  targetSlabs: [
+    { minAchievementPercent: 0, payoutPercent: 50 },
+    { minAchievementPercent: 80, payoutPercent: 100 },
+    { minAchievementPercent: 110, payoutPercent: 120 }
+  ],
+  deductReturns: true,
+  lateCollection: { afterDays: 0, deductionPercent: 0 },
+  zeroOnOverdue: true,
+  overdueGraceDays: 0
+};
+
+const period = commissionService.getPeriod(2026, 9);
+
+describe('Commission Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    targetService.getSalesmanValueTarget
+      .mockImplementation(salesman => Promise.resolve(salesman.monthlySalesTarget || 0));
+  });
+
+  describe('getLineRate', () => {
+    it('should prefer scheme item, then manufacturer, then category rules', () => {
+      const line = overrides => ({ itemId: { category: 'Antibiotic', manufacturer: 'Getz' }, ...overrides });
+      const gskLine = line({ itemId: { category: 'Antibiotic', manufacturer: 'gsk' } });
+
+      expect(commissionService.getLineRate(tieredPlan, line({ scheme2Quantity: 1 }))).toBe(1);
+      expect(commissionService.getLineRate(tieredPlan, gskLine)).toBe(5);
+      expect(commissionService.getLineRate(tieredPlan, line())).toBe(4);
+      expect(commissionService.getLineRate(tieredPlan, line({ itemId: { category: 'Syrup' } }))).toBe(2);
+    });
+  });
+
+  describe('getPeriod', () => {
+    it('should span the whole calendar month', () => {
+      expect(period.startDate).toEqual(new Date(2026, 8, 1));
+      expect(period.endDate).toEqual(new Date(2026, 8, 30, 23, 59, 59, 999));
+      expect(() => commissionService.getPeriod(2026, 13)).toThrow('A valid year and month (1-12) are required');
+    });
+  });
+
+  describe('calculateStatement', () => {
+    it('should pay sales commission by rule, skip overdue accounts, take back returns and apply the slab', async () => {
+      const salesman = {
+        _id: 'sm1', code: 'SM0001', commissionPlanId: 'plan1', monthlySalesTarget: 9000
+      };
+      CommissionPlan.findById.mockReturnValue(query(tieredPlan));
+      Invoice.find
+        .mockReturnValueOnce(query([
+          {
+            _id: 'inv1',
+            invoiceNumber: 'SI2026000001',
+            customerId: 'cust1',
+            totals: { grandTotal: 9000 },
+            items: [
+              { itemId: { _id: 'item1', category: 'Antibiotic', manufacturer: 'Getz' }, lineTotal: 5000 },
+              { itemId: { _id: 'item2', category: 'Analgesic', manufacturer: 'GSK' }, lineTotal: 3000 },
+              { itemId: { _id: 'item3', category: 'Antibiotic' }, scheme1Quantity: 2, lineTotal: 1000 }
+            ]
+          },
+          {
+            _id: 'inv2',
+            invoiceNumber: 'SI2026000002',
+            customerId: 'cust2',
+            totals: { grandTotal: 2000 },
+            items: [{ itemId: { _id: 'item4', category: 'Analgesic' }, lineTotal: 2000 }]
+          }
+        ]))
+        .mockReturnValueOnce(query([
+          {
+            _id: 'ret1',
+            invoiceNumber: 'SR2026000001',
+            totals: { grandTotal: -1000 },
+            items: [{ itemId: 'item1', lineTotal: -1000 }],
+            originalInvoiceId: {
+              invoiceNumber: 'SI2026000001',
+              salesmanId: 'sm1',
+              items: [{ itemId: { _id: 'item1', category: 'Antibiotic', manufacturer: 'Getz' }, lineTotal: 5000 }]
+            }
+          },
+          {
+            _id: 'ret2',
+            totals: { grandTotal: -700 },
+            items: [{ itemId: 'item9', lineTotal: -700 }],
+            originalInvoiceId: { salesmanId: 'sm2', items: [] }
+          }
+        ]));
+      Invoice.distinct.mockResolvedValue(['cust2']);
+
+      const statement = await commissionService.calculateStatement(salesman, period);
+
+      expect(Invoice.distinct).toHaveBeenCalledWith('customerId', expect.objectContaining({
+        salesmanId: 'sm1',
+        paymentStatus: { $ne: 'paid' },
+        dueDate: { $lt: period.endDate }
+      }));
+      expect(statement.earnings).toEqual([
+        expect.objectContaining({ invoiceNumber: 'SI2026000001', commission: 360 }),
+        expect.objectContaining({
+          invoiceNumber: 'SI2026000002', commission: 0, excludedReason: 'Customer account overdue'
+        })
+      ]);
+      expect(statement.deductions).toEqual([
+        expect.objectContaining({ type: 'return', invoiceNumber: 'SR2026000001', amount: 40 })
+      ]);
+      expect(statement).toMatchObject({
+        planName: 'Field force tiered',
+        netSales: 10000,
+        achievementPercent: 111.11,
+        payoutPercent: 120
+      });
+      expect(statement.totals).toEqual({
+        grossCommission: 360,
+        returnDeductions: 40,
+        slabAdjustment: 64,
+        lateCollectionDeductions: 0,
+        netCommission: 384
+      });
+      expect(CashReceipt.find).not.toHaveBeenCalled();
+    });
+
+    it('should pay collections commission and take back part of it on late collections', async () => {
+      const salesman = { _id: 'sm1', commissionPlanId: 'plan2' };
+      CommissionPlan.findById.mockReturnValue(query({
+        _id: 'plan2',
+        name: 'Recovery plan',
+        basis: 'collections',
+        defaultRate: 1,
+        rules: [],
+        targetSlabs: [],
+        deductReturns: true,
+        lateCollection: { afterDays: 60, deductionPercent: 50 },
+        zeroOnOverdue: false
+      }));
+      CashReceipt.find.mockReturnValue(query([{
+        receiptNumber: 'CR000001',
+        customerId: 'cust1',
+        amount: 1500,
+        invoicePayments: [{
+          invoiceId: 'inv1', invoiceNumber: 'SI2026000001', paidAmount: 1000, daysOld: 90
+        }]
+      }]));
+      Invoice.find
+        .mockReturnValueOnce(query([]))
+        .mockReturnValueOnce(query([{
+          _id: 'inv1', totals: { grandTotal: 2000 }, items: [{ itemId: {}, lineTotal: 2000 }]
+        }]))
+        .mockReturnValueOnce(query([]));
+
+      const statement = await commissionService.calculateStatement(salesman, period);
+
+      expect(Invoice.distinct).not.toHaveBeenCalled();
+      expect(statement.earnings).toEqual([
+        expect.objectContaining({ invoiceNumber: 'SI2026000001', baseAmount: 1000, commission: 10 }),
+        expect.objectContaining({ receiptNumber: 'CR000001', baseAmount: 500, commission: 5 })
+      ]);
+      expect(statement.deductions).toEqual([
+        expect.objectContaining({ type: 'late_collection', amount: 5 })
+      ]);
+      expect(statement.totals).toMatchObject({ grossCommission: 15, lateCollectionDeductions: 5, netCommission: 10 });
+    });
+
+    it('should pay the flat commission rate on sales to salesmen without a plan', async () => {
+      Invoice.find
+        .mockReturnValueOnce(query([{
+          _id: 'inv1', customerId: 'cust1', totals: { grandTotal: 5000 }, items: [{ itemId: {}, lineTotal: 5000 }]
+        }]))
+        .mockReturnValueOnce(query([]));
+
+      const statement = await commissionService.calculateStatement({ _id: 'sm1', commissionRate: 3 }, period);
+
+      expect(CommissionPlan.findById).not.toHaveBeenCalled();
+      expect(statement.planName).toBe('Flat rate');
+      expect(statement.totals.netCommission).toBe(150);
+      expect(statement.payoutPercent).toBe(100);
+    });
+  });
+
+  describe('generateStatements', () => {
+    it('should recalculate drafts and leave locked statements alone', async () => {
+      const draft = { status: 'draft', set: jest.fn(), save: jest.fn().mockResolvedValue('saved-draft') };
+      Salesman.find.mockResolvedValue([{ _id: 'sm1', code: 'SM0001' }, { _id: 'sm2', code: 'SM0002' }]);
+      CommissionStatement.findOne
+        .mockResolvedValueOnce(draft)
+        .mockResolvedValueOnce({ status: 'locked', statementNumber: 'COM202609-SM0002' });
+      jest.spyOn(commissionService, 'calculateStatement').mockResolvedValue({ totals: { netCommission: 10 } });
+
+      const result = await commissionService.generateStatements({ year: 2026, month: 9 }, 'user1');
+
+      expect(commissionService.calculateStatement).toHaveBeenCalledTimes(1);
+      expect(draft.set).toHaveBeenCalledWith({ totals: { netCommission: 10 } });
+      expect(result.statements).toEqual(['saved-draft']);
+      expect(result.skipped).toEqual([
+        { salesmanId: 'sm2', statementNumber: 'COM202609-SM0002', reason: 'Statement is locked' }
+      ]);
+      commissionService.calculateStatement.mockRestore();
+    });
+  });
+
+  describe('lockStatement', () => {
+    it('should post the commission as payable and lock the statement', async () => {
+      const statement = {
+        _id: 'stmt1',
+        statementNumber: 'COM202609-SM0001',
+        salesmanId: 'sm1',
+        status: 'draft',
+        period: { year: 2026, month: 9 },
+        totals: { netCommission: 384 },
+        save: jest.fn(function save() { return Promise.resolve(this); })
+      };
+      CommissionStatement.findById.mockReturnValue(query(statement));
+      Salesman.findById.mockReturnValue(query({ name: 'Ali Raza' }));
+      accountService.getOrCreateSystemAccount.mockImplementation(code => Promise.resolve({ _id: `acc-${code}` }));
+
+      const locked = await commissionService.lockStatement('stmt1', 'user1');
+
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'acc-SALES_COMMISSION', accountType: 'Account' },
+        { accountId: 'acc-COMMISSION_PAYABLE', accountType: 'Account' },
+        384,
+        'Commission COM202609-SM0001 payable to Ali Raza for 09/2026',
+        'adjustment',
+        'stmt1',
+        'user1',
+        { session: 'session-1' }
+      );
+      expect(locked).toMatchObject({ status: 'locked', lockedBy: 'user1' });
+      expect(statement.save).toHaveBeenCalledWith({ session: 'session-1' });
+    });
+
+    it('should not lock a statement twice', async () => {
+      CommissionStatement.findById.mockReturnValue(query({ statementNumber: 'COM202609-SM0001', status: 'locked' }));
+
+      await expect(commissionService.lockStatement('stmt1', 'user1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(ledgerService.createDoubleEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assignPlan', () => {
+    it('should put salesmen on an active plan with their target', async () => {
+      CommissionPlan.findById.mockResolvedValue({ _id: 'plan1', name: 'Tiered', isActive: true });
+      Salesman.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const result = await commissionService.assignPlan('plan1', {
+        salesmanIds: ['sm1', 'sm2'],
+        monthlySalesTarget: 500000
+      });
+
+      expect(Salesman.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['sm1', 'sm2'] } },
+        { $set: { commissionPlanId: 'plan1', monthlySalesTarget: 500000 } }
+      );
+      expect(result).toEqual({ assigned: 2 });
+    });
+  });
+});
@@ -0,0 +1,206 @@
+const creditControlService = require('../../src/services/creditControlService');
+const Customer = require('../../src/models/Customer');
+const Invoice = require('../../src/models/Invoice');
+const CashReceipt = require('../../src/models/CashReceipt');
+const notificationService = require('../../src/services/notificationService');
+
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/CashReceipt');
+jest.mock('../../src/services/notificationService');
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    populate: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const policy = {
+  graceDays: 15, bounceHoldCount: 2, bounceLookbackDays: 180, watchUtilisation: 80, reviewHour: 1
+};
+const now = new Date(2026, 9, 19, 10, 0, 0);
+
+const makeCustomer = overrides => ({
+  _id: 'cust1',
+  code: 'C001',
+  name: 'Al-Shifa Medical Store',
+  financialInfo: { creditLimit: 100000, creditDays: 30, paymentTerms: 30 },
+  creditControl: { status: 'active', override: { status: null } },
+  ...overrides
+});
+
+// Unpaid invoice dated the given number of days before now
+const invoiceDaysOld = (days, grandTotal, paidAmount = 0) => ({
+  invoiceDate: new Date(2026, 9, 19 - days),
+  totals: { grandTotal, paidAmount }
+});
+
+describe('Credit Control Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('assessCustomer', () => {
+    it('should keep a customer paying within their credit days active', () => {
+      const result = creditControlService.assessCustomer(
+        makeCustomer(),
+        [invoiceDaysOld(10, 20000, 5000), invoiceDaysOld(30, 10000)],
+        0,
+        policy,
+        now
+      );
+
+      expect(result).toEqual({
+        status: 'active',
+        score: 100,
+        reasons: [],
+        balance: 25000,
+        overdueAmount: 0,
+        oldestOverdueDays: 0,
+        bouncedCheques: 0
+      });
+    });
+
+    it('should watch invoices past credit days and hold them once past the grace days', () => {
+      const watched = creditControlService.assessCustomer(makeCustomer(), [invoiceDaysOld(40, 10000)], 0, policy, now);
+      expect(watched).toMatchObject({
+        status: 'watch', overdueAmount: 10000, oldestOverdueDays: 10, score: 90
+      });
+      expect(watched.reasons).toEqual(['1 invoice(s) past 30 credit days, oldest 10 days']);
+
+      const held = creditControlService.assessCustomer(makeCustomer(), [invoiceDaysOld(46, 10000)], 0, policy, now);
+      expect(held.status).toBe('hold');
+      expect(held.reasons).toEqual(['1 invoice(s) more than 15 days past 30 credit days, oldest 16 days']);
+    });
+
+    it('should fall back to payment terms when no credit days are set', () => {
+      const customer = makeCustomer({ financialInfo: { creditLimit: 0, creditDays: 0, paymentTerms: 45 } });
+
+      const result = creditControlService.assessCustomer(customer, [invoiceDaysOld(40, 10000)], 0, policy, now);
+
+      expect(result.status).toBe('active');
+    });
+
+    it('should hold repeat bounced cheques and watch a single one', () => {
+      expect(creditControlService.assessCustomer(makeCustomer(), [], 1, policy, now)).toMatchObject({
+        status: 'watch', score: 85, reasons: ['1 bounced cheque(s) in the last 180 days']
+      });
+      expect(creditControlService.assessCustomer(makeCustomer(), [], 2, policy, now)).toMatchObject({
+        status: 'hold', score: 70
+      });
+    });
+
+    it('should watch a balance near the credit limit and hold one over it', () => {
+      const near = creditControlService.assessCustomer(makeCustomer(), [invoiceDaysOld(5, 85000)], 0, policy, now);
+      expect(near).toMatchObject({ status: 'watch', score: 90 });
+      expect(near.reasons).toEqual(['Balance 85000 uses 85% of the credit limit of 100000']);
+
+      const over = creditControlService.assessCustomer(makeCustomer(), [invoiceDaysOld(5, 120000)], 0, policy, now);
+      expect(over).toMatchObject({ status: 'hold', score: 80 });
+      expect(over.reasons).toEqual(['Balance 120000 is over the credit limit of 100000']);
+    });
+  });
+
+  describe('getEffectiveStatus', () => {
+    it('should let an unexpired override win over the policy rating', () => {
+      const customer = makeCustomer({
+        creditControl: {
+          status: 'hold',
+          reasons: ['2 bounced cheque(s) in the last 180 days'],
+          override: { status: 'active', reason: 'Cash deposited for both cheques', expiresAt: new Date(2026, 9, 25) }
+        }
+      });
+
+      expect(creditControlService.getEffectiveStatus(customer, now)).toEqual({
+        status: 'active',
+        overridden: true,
+        reasons: ['Set by credit manager: Cash deposited for both cheques']
+      });
+      expect(creditControlService.getEffectiveStatus(customer, new Date(2026, 9, 26))).toEqual({
+        status: 'hold',
+        overridden: false,
+        reasons: ['2 bounced cheque(s) in the last 180 days']
+      });
+    });
+
+    it('should treat customers never reviewed as active', () => {
+      expect(creditControlService.getEffectiveStatus({}).status).toBe('active');
+      expect(creditControlService.getEffectiveStatus(null).status).toBe('active');
+    });
+  });
+
+  describe('reviewAllCustomers', () => {
+    it('should rate every customer in one pass and report the new holds', async () => {
+      Customer.find.mockReturnValue(query([
+        makeCustomer(),
+        makeCustomer({ _id: 'cust2', code: 'C002', name: 'City Pharmacy' }),
+        makeCustomer({
+          _id: 'cust3', code: 'C003', name: 'Care Chemists', creditControl: { status: 'hold', override: {} }
+        })
+      ]));
+      Invoice.find.mockReturnValue(query([
+        { customerId: 'cust1', ...invoiceDaysOld(90, 10000) },
+        { customerId: 'cust3', ...invoiceDaysOld(90, 5000) }
+      ]));
+      CashReceipt.find.mockReturnValue(query([{ customerId: 'cust2' }]));
+
+      const result = await creditControlService.reviewAllCustomers();
+
+      expect(result.reviewed).toBe(3);
+      expect(result.counts).toEqual({ active: 0, watch: 1, hold: 2 });
+      expect(result.newlyOnHold).toEqual([{ customerId: 'cust1', code: 'C001', name: 'Al-Shifa Medical Store' }]);
+
+      const operations = Customer.bulkWrite.mock.calls[0][0];
+      expect(operations).toHaveLength(3);
+      expect(operations[1].updateOne).toMatchObject({
+        filter: { _id: 'cust2' },
+        update: { $set: { 'creditControl.status': 'watch', 'creditControl.bouncedCheques': 1 } }
+      });
+      expect(notificationService.notifyPermissionHolders).toHaveBeenCalledWith(
+        ['credit.override'],
+        expect.objectContaining({ type: 'credit_hold', message: 'C001 Al-Shifa Medical Store' })
+      );
+    });
+  });
+
+  describe('overrides', () => {
+    it('should record the credit manager, reason and expiry on the customer', async () => {
+      const customer = makeCustomer({ save: jest.fn().mockResolvedValue(true) });
+      Customer.findById.mockResolvedValue(customer);
+
+      const result = await creditControlService.overrideStatus('cust1', {
+        status: 'hold', reason: 'Disputed delivery', expiresAt: '2099-01-01'
+      }, 'manager1');
+
+      expect(customer.creditControl.override).toMatchObject({
+        status: 'hold', reason: 'Disputed delivery', overriddenBy: 'manager1', expiresAt: new Date('2099-01-01')
+      });
+      expect(customer.save).toHaveBeenCalled();
+      expect(result.effectiveStatus).toMatchObject({ status: 'hold', overridden: true });
+    });
+
+    it('should need a valid status, a reason and a future expiry', async () => {
+      await expect(creditControlService.overrideStatus('cust1', { status: 'blocked', reason: 'x' }, 'manager1'))
+        .rejects.toThrow('Credit status must be one of: active, watch, hold');
+      await expect(creditControlService.overrideStatus('cust1', { status: 'active' }, 'manager1'))
+        .rejects.toThrow('A reason is required to override a credit status');
+      await expect(creditControlService.overrideStatus('cust1', {
+        status: 'active', reason: 'x', expiresAt: '2020-01-01'
+      }, 'manager1')).rejects.toThrow('Override expiry must be a future date');
+      expect(Customer.findById).not.toHaveBeenCalled();
+    });
+
+    it('should only remove an override that is there', async () => {
+      Customer.findById.mockResolvedValue(makeCustomer());
+
+      await expect(creditControlService.clearOverride('cust1', {}, 'manager1'))
+        .rejects.toThrow('Customer C001 has no credit status override');
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const jwt = require('jsonwebtoken');
+const customerPortalService = require('../../src/services/customerPortalService');
+const authService = require('../../src/services/authService');
+const CustomerPortalUser = require('../../src/models/CustomerPortalUser');
+const Customer = require('../../src/models/Customer');
+const Invoice = require('../../src/models/Invoice');
+const Item = require('../../src/models/Item');
+const Route = require('../../src/models/Route');
+const Salesman = require('../../src/models/Salesman');
+const ledgerService = require('../../src/services/ledgerService');
+const schemeService = require('../../src/services/schemeService');
+const priceListService = require('../../src/services/priceListService');
+const stockReservationService = require('../../src/services/stockReservationService');
+const salesInvoiceService = require('../../src/services/salesInvoiceService');
+const notificationService = require('../../src/services/notificationService');
+
+jest.mock('../../src/models/CustomerPortalUser');
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/Item');
+jest.mock('../../src/models/Route');
+jest.mock('../../src/models/Salesman');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/schemeService');
+jest.mock('../../src/services/priceListService');
+jest.mock('../../src/services/stockReservationService');
+jest.mock('../../src/services/salesInvoiceService');
+jest.mock('../../src/services/notificationService');
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    populate: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const makePortalUser = overrides => ({
+  _id: 'portal1',
+  customerId: 'cust1',
+  username: 'alshifa',
+  isActive: true,
+  createdBy: 'staff1',
+  comparePassword: jest.fn().mockResolvedValue(true),
+  save: jest.fn().mockResolvedValue(true),
+  toJSON() { return { _id: this._id, username: this.username }; },
+  ...overrides
+});
+
+const makeCustomer = overrides => ({
+  _id: 'cust1',
+  code: 'C001',
+  name: 'Al-Shifa Medical Store',
+  isActive: true,
+  routeId: 'route1',
+  financialInfo: { creditLimit: 100000, creditDays: 30 },
+  creditControl: { status: 'active', override: { status: null } },
+  ...overrides
+});
+
+describe('Customer Portal Service', () => {
+  const secret = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'portal-test-secret';
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = secret;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('tokens', () => {
+    it('should keep portal and staff tokens apart', () => {
+      const portalToken = customerPortalService.generateToken(makePortalUser());
+      const staffToken = jwt.sign({ userId: 'staff1', role: 'sales' }, process.env.JWT_SECRET);
+
+      expect(customerPortalService.verifyToken(portalToken)).toMatchObject({
+        portalUserId: 'portal1', customerId: 'cust1', aud: 'customer-portal'
+      });
+      expect(() => customerPortalService.verifyToken(staffToken)).toThrow('Invalid token');
+      expect(() => authService.verifyAccessToken(portalToken)).toThrow('Invalid token');
+      expect(authService.verifyAccessToken(staffToken)).toMatchObject({ userId: 'staff1' });
+    });
+
+    it('should refuse a token whose login now belongs to another customer', async () => {
+      const token = customerPortalService.generateToken(makePortalUser());
+      CustomerPortalUser.findById.mockResolvedValue(makePortalUser({ customerId: 'cust2' }));
+
+      await expect(customerPortalService.validateTokenAndGetPortalUser(token)).rejects.toThrow('User not found');
+    });
+  });
+
+  describe('login', () => {
+    it('should issue a portal token and record the login', async () => {
+      const portalUser = makePortalUser();
+      CustomerPortalUser.findOne.mockResolvedValue(portalUser);
+      Customer.findById.mockReturnValue(query(makeCustomer()));
+
+      const result = await customerPortalService.login(' AlShifa ', 'secret123');
+
+      expect(CustomerPortalUser.findOne).toHaveBeenCalledWith({ $or: [{ username: 'alshifa' }, { email: 'alshifa' }] });
+      expect(result.customer).toEqual({ _id: 'cust1', code: 'C001', name: 'Al-Shifa Medical Store' });
+      expect(customerPortalService.verifyToken(result.accessToken).customerId).toBe('cust1');
+      expect(portalUser.lastLogin).toBeInstanceOf(Date);
+    });
+
+    it('should refuse wrong passwords and closed accounts alike', async () => {
+      CustomerPortalUser.findOne.mockResolvedValue(makePortalUser({
+        comparePassword: jest.fn().mockResolvedValue(false)
+      }));
+      await expect(customerPortalService.login('alshifa', 'wrong')).rejects.toMatchObject({
+        message: 'Invalid credentials', statusCode: 401
+      });
+
+      CustomerPortalUser.findOne.mockResolvedValue(makePortalUser());
+      Customer.findById.mockReturnValue(query(makeCustomer({ isActive: false })));
+      await expect(customerPortalService.login('alshifa', 'secret123'))
+        .rejects.toThrow('Portal access for this account is closed');
+    });
+  });
+
+  describe('getBalance', () => {
+    it('should show the ledger balance, overdue amount and available credit', async () => {
+      Customer.findById.mockResolvedValue(makeCustomer());
+      ledgerService.calculateAccountBalance.mockResolvedValue(45000.456);
+      ledgerService.getCustomerReceivablesAging.mockResolvedValue({
+        customers: [{
+          aging: {
+            current: 30000, days1to30: 10000, days31to60: 5000, days61to90: 0, over90: 0, total: 45000
+          },
+          invoices: [{ invoiceNumber: 'SI001' }]
+        }]
+      });
+
+      const balance = await customerPortalService.getBalance('cust1');
+
+      expect(ledgerService.getCustomerReceivablesAging).toHaveBeenCalledWith(expect.any(Date), 'cust1');
+      expect(balance).toMatchObject({
+        balance: 45000.46, outstanding: 45000, overdue: 15000, creditLimit: 100000, availableCredit: 54999.54
+      });
+      expect(balance.unpaidInvoices).toHaveLength(1);
+    });
+  });
+
+  describe('invoices', () => {
+    it('should only look at the customer\'s own billed invoices', async () => {
+      Invoice.find.mockReturnValue(query([]));
+      Invoice.countDocuments.mockResolvedValue(0);
+
+      await customerPortalService.getInvoices('cust1', { paymentStatus: 'pending' }, 1, 10);
+
+      expect(Invoice.find).toHaveBeenCalledWith({
+        customerId: 'cust1', type: 'sales', status: { $in: ['confirmed', 'paid'] }, paymentStatus: 'pending'
+      });
+    });
+
+    it('should not find another customer\'s invoice', async () => {
+      Invoice.findOne.mockReturnValue(query(null));
+
+      await expect(customerPortalService.getInvoiceById('cust1', 'inv9')).rejects.toMatchObject({ statusCode: 404 });
+      expect(Invoice.findOne.mock.calls[0][0]).toMatchObject({ _id: 'inv9', customerId: 'cust1' });
+    });
+  });
+
+  describe('getSchemes', () => {
+    const scheme = (id, customers) => ({
+      _id: id,
+      name: `Scheme ${id}`,
+      claimAccountId: 'acc1',
+      isCustomerEligible: jest.fn(customerId => customers.length === 0 || customers.includes(customerId))
+    });
+
+    it('should use the applicable schemes for an item', async () => {
+      schemeService.getApplicableSchemes.mockResolvedValue([scheme('s1', [])]);
+
+      const schemes = await customerPortalService.getSchemes('cust1', { itemId: 'item1' });
+
+      expect(schemeService.getApplicableSchemes).toHaveBeenCalledWith('item1', 'cust1');
+      expect(schemes[0]).toMatchObject({ _id: 's1', name: 'Scheme s1' });
+      expect(schemes[0]).not.toHaveProperty('claimAccountId');
+    });
+
+    it('should list every active scheme open to the customer', async () => {
+      schemeService.getActiveSchemes.mockResolvedValue([scheme('s1', []), scheme('s2', ['cust2'])]);
+
+      const schemes = await customerPortalService.getSchemes('cust1');
+
+      expect(schemes.map(entry => entry._id)).toEqual(['s1']);
+    });
+  });
+
+  describe('getItems', () => {
+    it('should show the customer\'s price and what is free after reservations', async () => {
+      Customer.findById.mockResolvedValue(makeCustomer());
+      Item.find.mockReturnValue(query([
+        {
+          _id: 'item1', code: 'I1', name: 'Panadol', pricing: { salePrice: 50 }, inventory: { currentStock: 100 }
+        },
+        {
+          _id: 'item2', code: 'I2', name: 'Brufen', pricing: { salePrice: 80 }, inventory: { currentStock: 10 }
+        }
+      ]));
+      Item.countDocuments.mockResolvedValue(2);
+      stockReservationService.getReservedQuantities.mockResolvedValue({
+        byItem: new Map([['item1', 30], ['item2', 15]]), byBatch: new Map()
+      });
+      priceListService.getPricesForCustomer.mockResolvedValue(new Map([['item2', { price: 72 }]]));
+
+      const result = await customerPortalService.getItems('cust1', { search: 'pan(' }, 1, 10);
+
+      expect(Item.find.mock.calls[0][0]).toEqual({
+        isActive: true, $or: [{ code: /pan\(/i }, { name: /pan\(/i }]
+      });
+      expect(result.items.map(item => [item.price, item.available, item.inStock])).toEqual([
+        [50, 70, true],
+        [72, 0, false]
+      ]);
+      expect(result.items[0]).not.toHaveProperty('inventory');
+    });
+  });
+
+  describe('createOrderRequest', () => {
+    beforeEach(() => {
+      Customer.findById.mockResolvedValue(makeCustomer());
+      Item.find.mockReturnValue(query([
+        { _id: 'item1', pricing: { salePrice: 50 } },
+        { _id: 'item2', pricing: { salePrice: 80 } }
+      ]));
+      priceListService.getPricesForCustomer.mockResolvedValue(new Map([['item2', { price: 72 }]]));
+      salesInvoiceService.createSalesInvoice.mockResolvedValue({
+        _id: 'inv1', invoiceNumber: 'SI000101', totals: { grandTotal: 1220 }
+      });
+    });
+
+    it('should land a draft sales order for the route salesman and tell them', async () => {
+      Route.findById.mockReturnValue(query({ salesmanId: 'sm1' }));
+      Salesman.findById.mockReturnValue(query({ _id: 'sm1', userId: 'salesUser1', isActive: true }));
+
+      const order = await customerPortalService.createOrderRequest(makePortalUser(), {
+        items: [{ itemId: 'item1', quantity: '10' }, { itemId: 'item2', quantity: 10 }],
+        notes: 'Deliver before Friday'
+      });
+
+      expect(order.invoiceNumber).toBe('SI000101');
+      expect(salesInvoiceService.createSalesInvoice).toHaveBeenCalledWith({
+        customerId: 'cust1',
+        items: [
+          { itemId: 'item1', quantity: 10, unitPrice: 50 },
+          { itemId: 'item2', quantity: 10, unitPrice: undefined }
+        ],
+        notes: 'Portal order request: Deliver before Friday',
+        salesmanId: 'sm1',
+        orderSource: 'customer_portal',
+        portalUserId: 'portal1',
+        createdBy: 'salesUser1'
+      });
+      expect(notificationService.notifyUsers).toHaveBeenCalledWith(['salesUser1'], expect.objectContaining({
+        type: 'portal_order', referenceId: 'inv1'
+      }));
+    });
+
+    it('should fall back to the staff who opened the login when the route has no salesman', async () => {
+      Customer.findById.mockResolvedValue(makeCustomer({ routeId: null }));
+
+      await customerPortalService.createOrderRequest(makePortalUser(), { items: [{ itemId: 'item1', quantity: 1 }] });
+
+      expect(salesInvoiceService.createSalesInvoice.mock.calls[0][0]).toMatchObject({
+        salesmanId: null, createdBy: 'staff1', notes: 'Portal order request'
+      });
+      expect(notificationService.notifyPermissionHolders).toHaveBeenCalledWith(
+        ['invoice.sales.confirm'],
+        expect.objectContaining({ type: 'portal_order' })
+      );
+    });
+
+    it('should check the lines before creating anything', async () => {
+      await expect(customerPortalService.createOrderRequest(makePortalUser(), { items: [] }))
+        .rejects.toThrow('At least one item is required');
+      await expect(customerPortalService.createOrderRequest(makePortalUser(), {
+        items: [{ itemId: 'item1', quantity: 0 }]
+      })).rejects.toThrow('Quantity must be greater than 0 for item item1');
+      await expect(customerPortalService.createOrderRequest(makePortalUser(), {
+        items: [{ itemId: 'item1', quantity: 1 }, { itemId: 'item3', quantity: 1 }]
+      })).rejects.toThrow('Items not available to order: item3');
+      expect(salesInvoiceService.createSalesInvoice).not.toHaveBeenCalled();
+    });
+  });
+});
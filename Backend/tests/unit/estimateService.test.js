@@ -1,10 +1,12 @@
 const estimateService = require('../../src/services/estimateService');
 const Invoice = require('../../src/models/Invoice');
 const Customer = require('../../src/models/Customer');
+const stockReservationService = require('../../src/services/stockReservationService');
 
 // Mock the models
 jest.mock('../../src/models/Invoice');
 jest.mock('../../src/models/Customer');
+jest.mock('../../src/services/stockReservationService');
 
 describe('Estimate Service - Task 75', () => {
     afterEach(() => {
@@ -34,6 +36,12 @@ describe('Estimate Service - Task 75', () => {
             expect(mockEstimate.expiryDate).toBeUndefined();
             expect(mockEstimate.printFormat).toBe('standard');
             expect(mockEstimate.save).toHaveBeenCalled();
+            expect(stockReservationService.releaseReservations).toHaveBeenCalledWith(
+                'estimate123',
+                'converted',
+                null,
+                'Estimate converted to invoice SI2024000001'
+            );
         });
 
         it('should throw error when estimate ID is not provided', async () => {
@@ -311,6 +319,12 @@ describe('Estimate Service - Task 75', () => {
             expect(mockEstimate.status).toBe('cancelled');
             expect(mockEstimate.notes).toContain('EXPIRED');
             expect(mockEstimate.save).toHaveBeenCalled();
+            expect(stockReservationService.releaseReservations).toHaveBeenCalledWith(
+                'estimate123',
+                'expired',
+                null,
+                'Estimate expired'
+            );
         });
 
         it('should throw error when estimate has not expired yet', async () => {
@@ -0,0 +1,337 @@
+const expiryManagementService = require('../../src/services/expiryManagementService');
+const Batch = require('../../src/models/Batch');
+const Supplier = require('../../src/models/Supplier');
+const Invoice = require('../../src/models/Invoice');
+const Inventory = require('../../src/models/Inventory');
+const Item = require('../../src/models/Item');
+const ExpiryClaim = require('../../src/models/ExpiryClaim');
+const batchRepository = require('../../src/repositories/batchRepository');
+const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
+const purchaseReturnService = require('../../src/services/purchaseReturnService');
+const inventoryValuationService = require('../../src/services/inventoryValuationService');
+const accountService = require('../../src/services/accountService');
+const ledgerService = require('../../src/services/ledgerService');
+
+jest.mock('../../src/models/Batch');
+jest.mock('../../src/models/Supplier');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/Inventory');
+jest.mock('../../src/models/Item');
+jest.mock('../../src/models/ExpiryClaim');
+jest.mock('../../src/repositories/batchRepository');
+jest.mock('../../src/repositories/stockMovementRepository');
+jest.mock('../../src/services/purchaseReturnService');
+jest.mock('../../src/services/inventoryValuationService');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    session: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = days => new Date(Date.now() + days * DAY_MS);
+
+const pharmaCo = {
+  _id: 'sup1',
+  code: 'PHC',
+  name: 'Pharma Co',
+  expiryReturnPolicy: { acceptsReturns: true, daysBeforeExpiry: 60, daysAfterExpiry: 10 }
+};
+
+const makeBatch = overrides => ({
+  _id: 'batch1',
+  batchNumber: 'B-001',
+  item: { _id: 'item1', code: 'PARA', name: 'Paracetamol' },
+  warehouse: { _id: 'wh1', code: 'MAIN', name: 'Main' },
+  supplier: 'sup1',
+  expiryDate: inDays(30),
+  remainingQuantity: 40,
+  unitCost: 12.5,
+  ...overrides
+});
+
+describe('Expiry Management Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.EXPIRY_LOSS_ACCOUNT_CODE;
+    accountService.getOrCreateSystemAccount.mockImplementation(code => Promise.resolve({ _id: `acc-${code}` }));
+    ledgerService.createDoubleEntry.mockResolvedValue({});
+    stockMovementRepository.create.mockResolvedValue({});
+  });
+
+  describe('getReturnableBatches', () => {
+    it('should list only batches inside their supplier\'s return window', async () => {
+      Supplier.find.mockReturnValue(query([pharmaCo]));
+      Batch.find.mockReturnValue(query([
+        makeBatch({ _id: 'batch-expired-recently', batchNumber: 'B-OLD', expiryDate: inDays(-5) }),
+        makeBatch({ _id: 'batch-too-late', batchNumber: 'B-GONE', expiryDate: inDays(-20) }),
+        makeBatch(),
+        makeBatch({ _id: 'batch-too-early', batchNumber: 'B-NEW', expiryDate: inDays(59.5 + 1) })
+      ]));
+
+      const result = await expiryManagementService.getReturnableBatches();
+
+      expect(Batch.find).toHaveBeenCalledWith(expect.objectContaining({
+        supplier: { $in: ['sup1'] },
+        remainingQuantity: { $gt: 0 }
+      }));
+      expect(result.suppliers).toHaveLength(1);
+      expect(result.suppliers[0].batches.map(batch => batch.batchNumber)).toEqual(['B-OLD', 'B-001']);
+      expect(result.suppliers[0].batches[1]).toMatchObject({ daysToExpiry: 30, quantity: 40, value: 500 });
+      expect(result.totals).toEqual({ batches: 2, quantity: 80, value: 1000 });
+    });
+
+    it('should return nothing when no supplier takes returns', async () => {
+      Supplier.find.mockReturnValue(query([]));
+
+      const result = await expiryManagementService.getReturnableBatches({ supplierId: 'sup1' });
+
+      expect(result.suppliers).toEqual([]);
+      expect(Batch.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createSupplierReturns', () => {
+    beforeEach(() => {
+      Supplier.find.mockReturnValue(query([pharmaCo]));
+      ExpiryClaim.mockImplementation(data => ({ _id: 'claim1', ...data, save: jest.fn().mockResolvedValue() }));
+      Inventory.findOne.mockReturnValue(query(null));
+    });
+
+    it('should raise one return and claim per purchase invoice and report batches it cannot trace', async () => {
+      Batch.find.mockReturnValue(query([
+        makeBatch(),
+        makeBatch({ _id: 'batch2', batchNumber: 'B-002', remainingQuantity: 10 }),
+        makeBatch({ _id: 'batch3', batchNumber: 'B-003' })
+      ]));
+      const purchase = { _id: 'pi1', supplierId: 'sup1' };
+      Invoice.findOne
+        .mockReturnValueOnce(query(purchase))
+        .mockReturnValueOnce(query(purchase))
+        .mockReturnValueOnce(query(null));
+      purchaseReturnService.createPurchaseReturn.mockResolvedValue({
+        _id: 'ret1',
+        items: [
+          { batchInfo: { batchNumber: 'B-001' }, lineTotal: -590 },
+          { batchInfo: { batchNumber: 'B-002' }, lineTotal: -147.5 }
+        ],
+        totals: { grandTotal: -737.5 }
+      });
+
+      const result = await expiryManagementService.createSupplierReturns({}, 'user1');
+
+      expect(purchaseReturnService.createPurchaseReturn).toHaveBeenCalledTimes(1);
+      expect(purchaseReturnService.createPurchaseReturn).toHaveBeenCalledWith(expect.objectContaining({
+        originalInvoiceId: 'pi1',
+        returnReason: 'expired',
+        createdBy: 'user1',
+        returnItems: [
+          expect.objectContaining({
+            itemId: 'item1', quantity: 40, batchId: 'batch1', batchNumber: 'B-001', warehouseId: 'wh1'
+          }),
+          expect.objectContaining({ batchId: 'batch2', quantity: 10 })
+        ]
+      }), { session: 'session-1' });
+      expect(result.returns).toHaveLength(1);
+      expect(result.returns[0].claim).toMatchObject({
+        supplierId: 'sup1',
+        returnInvoiceId: 'ret1',
+        claimAmount: 737.5
+      });
+      expect(result.returns[0].claim.lines[1]).toMatchObject({ batchNumber: 'B-002', amount: 147.5 });
+      expect(Inventory.findOne).toHaveBeenCalledWith({ item: 'item1', warehouse: 'wh1' });
+      expect(Inventory.findOne).toHaveBeenCalledTimes(2);
+      expect(result.skipped).toEqual([
+        { batchId: 'batch3', batchNumber: 'B-003', reason: 'No confirmed purchase invoice found for this batch' }
+      ]);
+    });
+
+    it('should take the returned stock out of the warehouse record', async () => {
+      const inventory = { quantity: 100, save: jest.fn().mockResolvedValue() };
+      Batch.find.mockReturnValue(query([makeBatch()]));
+      Invoice.findOne.mockReturnValue(query({ _id: 'pi1', supplierId: 'sup1' }));
+      Inventory.findOne.mockReturnValue(query(inventory));
+      purchaseReturnService.createPurchaseReturn.mockResolvedValue({
+        _id: 'ret1',
+        items: [{ batchInfo: { batchNumber: 'B-001' }, lineTotal: 590 }],
+        totals: { grandTotal: 590 }
+      });
+
+      await expiryManagementService.createSupplierReturns({}, 'user1');
+
+      expect(inventory.quantity).toBe(60);
+      expect(inventory.save).toHaveBeenCalledWith({ session: 'session-1' });
+    });
+
+    it('should report a failed return without dropping the others', async () => {
+      Batch.find.mockReturnValue(query([makeBatch()]));
+      Invoice.findOne.mockReturnValue(query({ _id: 'pi1', supplierId: 'sup1' }));
+      purchaseReturnService.createPurchaseReturn.mockRejectedValue(new Error('Return validation failed: too many'));
+
+      const result = await expiryManagementService.createSupplierReturns({}, 'user1');
+
+      expect(result.returns).toEqual([]);
+      expect(result.skipped[0]).toMatchObject({ batchNumber: 'B-001', reason: 'Return validation failed: too many' });
+    });
+
+    it('should refuse batches outside their supplier\'s return window', async () => {
+      Batch.find.mockReturnValue(query([makeBatch()]));
+
+      await expect(expiryManagementService.createSupplierReturns({ batchIds: ['batch1', 'batch9'] }, 'user1'))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('batch9') });
+      expect(purchaseReturnService.createPurchaseReturn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('writeOffExpiredStock', () => {
+    const expired = makeBatch({
+      _id: 'batch-x', batchNumber: 'B-X', item: 'item1', warehouse: 'wh1', supplier: 'sup2', expiryDate: inDays(-3)
+    });
+    const returnable = makeBatch({
+      _id: 'batch-r', batchNumber: 'B-R', item: 'item1', warehouse: 'wh1', expiryDate: inDays(-3)
+    });
+
+    beforeEach(() => {
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ remainingQuantity: 0 });
+      Inventory.findOne.mockReturnValue(query({ quantity: 100, save: jest.fn().mockResolvedValue() }));
+      Item.findById.mockReturnValue(query({ inventory: { currentStock: 100 }, save: jest.fn().mockResolvedValue() }));
+      inventoryValuationService.consumeLayers.mockResolvedValue({ amount: 480 });
+    });
+
+    it('should write off expired stock no supplier will take back', async () => {
+      process.env.EXPIRY_LOSS_ACCOUNT_CODE = 'DAMAGE_EXPIRY';
+      Batch.find
+        .mockReturnValueOnce(query([expired, returnable]))
+        .mockReturnValueOnce(query([returnable]));
+      Supplier.find.mockReturnValue(query([pharmaCo]));
+
+      const result = await expiryManagementService.writeOffExpiredStock({}, 'user1');
+
+      expect(batchRepository.decrementRemainingQuantity).toHaveBeenCalledTimes(1);
+      expect(batchRepository.decrementRemainingQuantity).toHaveBeenCalledWith('batch-x', 40, { session: 'session-1' });
+      expect(inventoryValuationService.consumeLayers).toHaveBeenCalledWith('item1', 40, {
+        batchId: 'batch-x', batchNumber: 'B-X', warehouseId: 'wh1', session: 'session-1'
+      });
+      expect(stockMovementRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        itemId: 'item1',
+        movementType: 'adjustment',
+        quantity: -40,
+        referenceType: 'adjustment',
+        referenceId: 'batch-x',
+        warehouse: 'wh1',
+        createdBy: 'user1'
+      }), { session: 'session-1' });
+      expect(accountService.getOrCreateSystemAccount)
+        .toHaveBeenCalledWith('DAMAGE_EXPIRY', expect.objectContaining({ accountType: 'expense' }));
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'acc-DAMAGE_EXPIRY', accountType: 'Account' },
+        { accountId: 'acc-INVENTORY_ASSET', accountType: 'Account' },
+        480,
+        'Expired batch B-X written off',
+        'adjustment',
+        'batch-x',
+        'user1',
+        { session: 'session-1' }
+      );
+      expect(result.totals).toEqual({ batches: 1, quantity: 40, value: 480 });
+    });
+
+    it('should only write off chosen batches that have expired', async () => {
+      Batch.find.mockReturnValue(query([makeBatch({ _id: 'batch1', batchNumber: 'B-FRESH' })]));
+
+      await expect(expiryManagementService.writeOffExpiredStock({ batchIds: ['batch1'] }, 'user1'))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('B-FRESH') });
+      expect(batchRepository.decrementRemainingQuantity).not.toHaveBeenCalled();
+    });
+
+    it('should stop when a batch changed under the write-off', async () => {
+      Batch.find.mockReturnValue(query([expired]));
+      batchRepository.decrementRemainingQuantity.mockResolvedValue(null);
+
+      await expect(expiryManagementService.writeOffExpiredStock({ batchIds: ['batch-x'] }, 'user1'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(ledgerService.createDoubleEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expiry claims', () => {
+    const makeClaim = overrides => ({
+      _id: 'claim1',
+      claimNumber: 'EXC2026000001',
+      supplierId: 'sup1',
+      claimAmount: 1000,
+      settledAmount: 0,
+      settlements: [],
+      status: 'open',
+      save: jest.fn(function save() { return Promise.resolve(this); }),
+      ...overrides
+    });
+
+    it('should track settlements until the claim is covered', async () => {
+      const claim = makeClaim();
+      ExpiryClaim.findById.mockReturnValue(query(claim));
+
+      await expiryManagementService.recordSettlement('claim1', {
+        amount: 400, method: 'credit_note', reference: 'CN-77'
+      }, 'user1');
+      expect(claim).toMatchObject({ settledAmount: 400, status: 'partially_settled' });
+
+      await expiryManagementService.recordSettlement('claim1', { amount: 600, method: 'replacement' }, 'user1');
+      expect(claim).toMatchObject({ settledAmount: 1000, status: 'settled' });
+      expect(claim.settlements).toHaveLength(2);
+    });
+
+    it('should not take more credit than the claim is owed', async () => {
+      ExpiryClaim.findById.mockReturnValue(query(makeClaim({ settledAmount: 900, status: 'partially_settled' })));
+
+      await expect(expiryManagementService.recordSettlement('claim1', { amount: 150, method: 'cash' }, 'user1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(expiryManagementService.recordSettlement('claim1', { amount: 50, method: 'cheque' }, 'user1'))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('credit_note') });
+    });
+
+    it('should charge a refused claim\'s unsettled credit back to the supplier', async () => {
+      const claim = makeClaim({ settledAmount: 250, status: 'partially_settled' });
+      ExpiryClaim.findById.mockReturnValue(query(claim));
+
+      await expiryManagementService.rejectClaim('claim1', 'Outside agreed terms', 'user1');
+
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'acc-EXPIRY_LOSS', accountType: 'Account' },
+        { accountId: 'sup1', accountType: 'Supplier' },
+        750,
+        'Expiry claim EXC2026000001 rejected by supplier',
+        'adjustment',
+        'claim1',
+        'user1',
+        { session: 'session-1' }
+      );
+      expect(claim).toMatchObject({ status: 'rejected', rejectionReason: 'Outside agreed terms' });
+    });
+
+    it('should leave closed claims alone', async () => {
+      ExpiryClaim.findById.mockReturnValue(query(makeClaim({ status: 'settled', settledAmount: 1000 })));
+
+      await expect(expiryManagementService.rejectClaim('claim1', 'Late', 'user1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(ledgerService.createDoubleEntry).not.toHaveBeenCalled();
+    });
+  });
+});
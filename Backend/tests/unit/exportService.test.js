@@ -1,3 +1,4 @@
+const ExcelJS = require('exceljs');
 const exportService = require('../../src/services/exportService');
 
 describe('ExportService', () => {
@@ -120,6 +121,26 @@ describe('ExportService', () => {
     });
   });
 
+  describe('exportSheetsToExcel', () => {
+    it('should write one sheet per populated data set', async () => {
+      const columns = [{ key: 'name', label: 'Name' }];
+
+      const buffer = await exportService.exportSheetsToExcel([
+        { name: 'Rows', data: [{ name: 'Item 1' }], columns },
+        { name: 'Errors', data: [], columns },
+      ]);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual(['Rows']);
+    });
+
+    it('should throw error when every sheet is empty', async () => {
+      await expect(exportService.exportSheetsToExcel([{ name: 'Rows', data: [], columns: [] }]))
+        .rejects.toThrow('No data to export');
+    });
+  });
+
   describe('exportToPDF', () => {
     it('should export data to PDF format', async () => {
       const reportData = {
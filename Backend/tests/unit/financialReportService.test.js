@@ -20,7 +20,9 @@ describe('Financial Report Service', () => {
 
       const mockSalesInvoices = [
         {
-          totals: { grandTotal: 10000, totalDiscount: 500, totalTax: 1000 },
+          totals: {
+            grandTotal: 10000, totalDiscount: 500, totalTax: 1000, costOfGoodsSold: 4000,
+          },
         },
       ];
 
@@ -40,7 +42,8 @@ describe('Financial Report Service', () => {
       expect(report.reportType).toBe('profit_loss');
       expect(report.revenue.sales).toBe(10000);
       expect(report.costOfGoodsSold.purchases).toBe(6000);
-      expect(report.grossProfit.amount).toBeGreaterThan(0);
+      expect(report.costOfGoodsSold.costOfSales).toBe(4000);
+      expect(report.grossProfit.amount).toBe(5500);
     });
 
     it('should throw error without dates', async () => {
@@ -144,7 +147,7 @@ describe('Financial Report Service', () => {
       // Mock the individual report methods
       jest.spyOn(financialReportService, 'generateProfitLossStatement').mockResolvedValue({
         revenue: { netSales: 10000 },
-        costOfGoodsSold: { netPurchases: 6000 },
+        costOfGoodsSold: { costOfSales: 4000, netPurchases: 6000 },
         netProfit: { amount: 3000, margin: 30 },
       });
 
@@ -0,0 +1,140 @@
+const fiscalPeriodService = require('../../src/services/fiscalPeriodService');
+const FiscalYear = require('../../src/models/FiscalYear');
+
+jest.mock('../../src/models/FiscalYear');
+jest.mock('../../src/models/Account');
+
+describe('Fiscal Period Service', () => {
+  const buildFiscalYear = (overrides = {}) => {
+    const periods = [
+      {
+        _id: 'p1',
+        name: '2026-01',
+        startDate: new Date(2026, 0, 1),
+        endDate: new Date(2026, 0, 31, 23, 59, 59, 999),
+        status: 'closed',
+      },
+      {
+        _id: 'p2',
+        name: '2026-02',
+        startDate: new Date(2026, 1, 1),
+        endDate: new Date(2026, 1, 28, 23, 59, 59, 999),
+        status: 'open',
+      },
+    ];
+    periods.id = id => periods.find(period => period._id === id) || null;
+
+    const fiscalYear = {
+      _id: 'fy1',
+      name: 'FY2026',
+      startDate: new Date(2026, 0, 1),
+      endDate: new Date(2026, 1, 28, 23, 59, 59, 999),
+      status: 'open',
+      periods,
+      auditLog: [],
+      findPeriodForDate: date => periods.find(period => period.startDate <= date && period.endDate >= date),
+      ...overrides,
+    };
+    fiscalYear.save = jest.fn().mockResolvedValue(fiscalYear);
+    return fiscalYear;
+  };
+
+  describe('createFiscalYear', () => {
+    test('should create twelve monthly periods from the start date', async () => {
+      FiscalYear.findOne.mockResolvedValue(null);
+      FiscalYear.create.mockImplementation(data => Promise.resolve(data));
+
+      const fiscalYear = await fiscalPeriodService.createFiscalYear({
+        name: 'FY2025-26',
+        startDate: new Date(2025, 6, 1),
+        createdBy: 'user1',
+      });
+
+      expect(fiscalYear.periods).toHaveLength(12);
+      expect(fiscalYear.periods[0].name).toBe('2025-07');
+      expect(fiscalYear.periods[11].name).toBe('2026-06');
+      expect(fiscalYear.endDate).toEqual(new Date(2026, 5, 30, 23, 59, 59, 999));
+    });
+
+    test('should reject a year overlapping an existing one', async () => {
+      FiscalYear.findOne.mockResolvedValue({ name: 'FY2025-26' });
+
+      await expect(fiscalPeriodService.createFiscalYear({
+        name: 'FY2026',
+        startDate: new Date(2026, 0, 1),
+        createdBy: 'user1',
+      })).rejects.toThrow('Fiscal year overlaps with existing fiscal year FY2025-26');
+      expect(FiscalYear.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertPeriodOpen', () => {
+    test('should allow dates outside any fiscal year', async () => {
+      FiscalYear.findByDate.mockResolvedValue(null);
+
+      await expect(fiscalPeriodService.assertPeriodOpen(new Date(2024, 0, 10))).resolves.toBeUndefined();
+    });
+
+    test('should allow dates in an open period', async () => {
+      FiscalYear.findByDate.mockResolvedValue(buildFiscalYear());
+
+      await expect(fiscalPeriodService.assertPeriodOpen(new Date(2026, 1, 10))).resolves.toBeUndefined();
+    });
+
+    test('should block dates in a closed period', async () => {
+      FiscalYear.findByDate.mockResolvedValue(buildFiscalYear());
+
+      await expect(fiscalPeriodService.assertPeriodOpen(new Date(2026, 0, 15), 'Invoice'))
+        .rejects.toMatchObject({ code: 'PERIOD_CLOSED', statusCode: 409, details: { period: '2026-01' } });
+    });
+
+    test('should block every date of a closed fiscal year', async () => {
+      FiscalYear.findByDate.mockResolvedValue(buildFiscalYear({ status: 'closed' }));
+
+      await expect(fiscalPeriodService.assertPeriodOpen(new Date(2026, 1, 10)))
+        .rejects.toMatchObject({ code: 'PERIOD_CLOSED' });
+    });
+  });
+
+  describe('closePeriod and reopenPeriod', () => {
+    test('should close a period and record it in the audit log', async () => {
+      const fiscalYear = buildFiscalYear();
+      FiscalYear.findById.mockResolvedValue(fiscalYear);
+
+      await fiscalPeriodService.closePeriod('fy1', 'p2', 'user1');
+
+      expect(fiscalYear.periods[1].status).toBe('closed');
+      expect(fiscalYear.periods[1].closedBy).toBe('user1');
+      expect(fiscalYear.auditLog).toEqual([
+        { action: 'close_period', periodName: '2026-02', performedBy: 'user1' },
+      ]);
+    });
+
+    test('should require a reason to reopen a period', async () => {
+      await expect(fiscalPeriodService.reopenPeriod('fy1', 'p1', 'admin1'))
+        .rejects.toThrow('Reason is required to reopen a period');
+    });
+
+    test('should reopen a closed period with an audited reason', async () => {
+      const fiscalYear = buildFiscalYear();
+      FiscalYear.findById.mockResolvedValue(fiscalYear);
+
+      await fiscalPeriodService.reopenPeriod('fy1', 'p1', 'admin1', 'Late supplier bill');
+
+      expect(fiscalYear.periods[0].status).toBe('open');
+      expect(fiscalYear.auditLog[0]).toMatchObject({
+        action: 'reopen_period',
+        periodName: '2026-01',
+        reason: 'Late supplier bill',
+        performedBy: 'admin1',
+      });
+    });
+
+    test('should not reopen periods of a closed year', async () => {
+      FiscalYear.findById.mockResolvedValue(buildFiscalYear({ status: 'closed' }));
+
+      await expect(fiscalPeriodService.reopenPeriod('fy1', 'p1', 'admin1', 'Audit adjustment'))
+        .rejects.toThrow('Fiscal year FY2026 is closed; its periods cannot be reopened');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const fiscalYearCloseService = require('../../src/services/fiscalYearCloseService');
+const FiscalYear = require('../../src/models/FiscalYear');
+const Account = require('../../src/models/Account');
+const ledgerRepository = require('../../src/repositories/ledgerRepository');
+const journalVoucherService = require('../../src/services/journalVoucherService');
+
+jest.mock('../../src/models/FiscalYear');
+jest.mock('../../src/models/Account');
+jest.mock('../../src/repositories/ledgerRepository');
+jest.mock('../../src/services/journalVoucherService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: (work) => work('session-1'),
+}));
+
+describe('Fiscal Year Close Service', () => {
+  const buildFiscalYear = () => {
+    const fiscalYear = {
+      _id: 'fy1',
+      name: 'FY2026',
+      startDate: new Date(2026, 0, 1),
+      endDate: new Date(2026, 1, 28, 23, 59, 59, 999),
+      status: 'open',
+      periods: [
+        { _id: 'p1', name: '2026-01', status: 'closed' },
+        { _id: 'p2', name: '2026-02', status: 'open' },
+      ],
+      auditLog: [],
+    };
+    fiscalYear.save = jest.fn().mockResolvedValue(fiscalYear);
+    return fiscalYear;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('closeFiscalYear', () => {
+    test('should refuse while periods are still open', async () => {
+      FiscalYear.findById.mockResolvedValue(buildFiscalYear());
+
+      await expect(fiscalYearCloseService.closeFiscalYear('fy1', 'user1', { retainedEarningsAccountId: 're1' }))
+        .rejects.toThrow('Close all periods first. Open periods: 2026-02');
+    });
+
+    test('should post a closing voucher moving net profit to retained earnings', async () => {
+      const fiscalYear = buildFiscalYear();
+      fiscalYear.periods[1].status = 'closed';
+      FiscalYear.findById.mockResolvedValue(fiscalYear);
+      Account.findById.mockResolvedValue({ _id: 're1', accountType: 'equity', isActive: true });
+      Account.find.mockReturnValue({ select: () => Promise.resolve([{ _id: 'sales1' }, { _id: 'rent1' }]) });
+      ledgerRepository.getNetBalancesByAccount.mockResolvedValue([
+        { _id: 'sales1', balance: -10000 },
+        { _id: 'rent1', balance: 2500.5 },
+      ]);
+      journalVoucherService.createJournalVoucher.mockResolvedValue({ _id: 'jv9' });
+      journalVoucherService.postJournalVoucher.mockResolvedValue({ _id: 'jv9', status: 'posted' });
+
+      await fiscalYearCloseService.closeFiscalYear('fy1', 'user1', { retainedEarningsAccountId: 're1' });
+
+      const [voucherData] = journalVoucherService.createJournalVoucher.mock.calls[0];
+      expect(voucherData.voucherType).toBe('closing');
+      expect(voucherData.lines.map((line) => [line.accountId, line.debit, line.credit])).toEqual([
+        ['sales1', 10000, 0],
+        ['rent1', 0, 2500.5],
+        ['re1', 0, 7499.5],
+      ]);
+      expect(fiscalYear.status).toBe('closed');
+      expect(fiscalYear.closingVoucherId).toBe('jv9');
+      expect(fiscalYear.auditLog).toEqual([{ action: 'close_year', performedBy: 'user1' }]);
+    });
+
+    test('should write the voucher, its posting and the year lock in one transaction', async () => {
+      const fiscalYear = buildFiscalYear();
+      fiscalYear.periods[1].status = 'closed';
+      FiscalYear.findById.mockResolvedValue(fiscalYear);
+      Account.findById.mockResolvedValue({ _id: 're1', accountType: 'equity', isActive: true });
+      Account.find.mockReturnValue({ select: () => Promise.resolve([{ _id: 'sales1' }]) });
+      ledgerRepository.getNetBalancesByAccount.mockResolvedValue([{ _id: 'sales1', balance: -500 }]);
+      journalVoucherService.createJournalVoucher.mockResolvedValue({ _id: 'jv9' });
+      journalVoucherService.postJournalVoucher.mockResolvedValue({ _id: 'jv9', status: 'posted' });
+
+      await fiscalYearCloseService.closeFiscalYear('fy1', 'user1', { retainedEarningsAccountId: 're1' });
+
+      expect(journalVoucherService.createJournalVoucher.mock.calls[0][1])
+        .toEqual({ allowClosedPeriod: true, session: 'session-1' });
+      expect(journalVoucherService.postJournalVoucher)
+        .toHaveBeenCalledWith('jv9', 'user1', { allowClosedPeriod: true, session: 'session-1' });
+      expect(fiscalYear.save).toHaveBeenCalledWith({ session: 'session-1' });
+    });
+
+    test('should leave the year open when the closing voucher cannot be posted', async () => {
+      const fiscalYear = buildFiscalYear();
+      fiscalYear.periods[1].status = 'closed';
+      FiscalYear.findById.mockResolvedValue(fiscalYear);
+      Account.findById.mockResolvedValue({ _id: 're1', accountType: 'equity', isActive: true });
+      Account.find.mockReturnValue({ select: () => Promise.resolve([{ _id: 'sales1' }]) });
+      ledgerRepository.getNetBalancesByAccount.mockResolvedValue([{ _id: 'sales1', balance: -500 }]);
+      journalVoucherService.createJournalVoucher.mockResolvedValue({ _id: 'jv9' });
+      journalVoucherService.postJournalVoucher.mockRejectedValue(new Error('Ledger entries are not balanced'));
+
+      await expect(fiscalYearCloseService.closeFiscalYear('fy1', 'user1', { retainedEarningsAccountId: 're1' }))
+        .rejects.toThrow('Ledger entries are not balanced');
+      expect(fiscalYear.save).not.toHaveBeenCalled();
+    });
+  });
+});
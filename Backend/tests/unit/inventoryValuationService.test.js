@@ -0,0 +1,394 @@
+const inventoryValuationService = require('../../src/services/inventoryValuationService');
+const CostLayer = require('../../src/models/CostLayer');
+const Batch = require('../../src/models/Batch');
+const Item = require('../../src/models/Item');
+
+jest.mock('../../src/models/CostLayer');
+jest.mock('../../src/models/Batch');
+jest.mock('../../src/models/Item');
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    populate: jest.fn(() => chain),
+    session: jest.fn(() => Promise.resolve(value))
+  };
+  return chain;
+};
+
+describe('Inventory Valuation Service', () => {
+  const originalMethod = process.env.INVENTORY_VALUATION_METHOD;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.INVENTORY_VALUATION_METHOD;
+    Item.findById = jest.fn(() => query({ company: null }));
+  });
+
+  afterAll(() => {
+    process.env.INVENTORY_VALUATION_METHOD = originalMethod;
+  });
+
+  describe('getValuationMethod', () => {
+    test('should default to FIFO', () => {
+      expect(inventoryValuationService.getValuationMethod()).toBe('fifo');
+    });
+
+    test('should read the configured method', () => {
+      process.env.INVENTORY_VALUATION_METHOD = 'Weighted_Average';
+      expect(inventoryValuationService.getValuationMethod()).toBe('weighted_average');
+    });
+
+    test('should reject an unknown method', () => {
+      process.env.INVENTORY_VALUATION_METHOD = 'lifo';
+      expect(() => inventoryValuationService.getValuationMethod())
+        .toThrow('Unknown inventory valuation method: lifo');
+    });
+  });
+
+  describe('getItemValuationMethod', () => {
+    test('should use the method of the item\'s company', async () => {
+      Item.findById = jest.fn(() => query({ company: { inventoryValuationMethod: 'weighted_average' } }));
+
+      await expect(inventoryValuationService.getItemValuationMethod('item1')).resolves.toBe('weighted_average');
+    });
+
+    test('should fall back to the configured method', async () => {
+      process.env.INVENTORY_VALUATION_METHOD = 'weighted_average';
+      Item.findById = jest.fn(() => query({ company: { name: 'Abbott' } }));
+
+      await expect(inventoryValuationService.getItemValuationMethod('item1')).resolves.toBe('weighted_average');
+    });
+  });
+
+  describe('createLayersForPurchase', () => {
+    const invoice = {
+      _id: 'pi1',
+      invoiceNumber: 'PI2024000001',
+      invoiceDate: new Date('2024-03-01'),
+      items: [
+        {
+          itemId: 'item1', quantity: 10, lineTotal: 1180, taxAmount: 180, batchInfo: { batchNumber: 'b-1' }
+        },
+        {
+          itemId: { _id: 'item2' }, quantity: 4, lineTotal: 460, taxAmount: 60
+        }
+      ]
+    };
+
+    test('should cost batch lines at the batch unit cost and others at their net invoiced cost', async () => {
+      Batch.findOne = jest.fn(() => query({ _id: 'batch1', warehouse: 'wh1', unitCost: 95 }));
+      CostLayer.insertMany = jest.fn(layers => Promise.resolve(layers));
+
+      await inventoryValuationService.createLayersForPurchase(invoice);
+
+      expect(Batch.findOne).toHaveBeenCalledTimes(1);
+      expect(Batch.findOne).toHaveBeenCalledWith({ item: 'item1', batchNumber: 'B-1' });
+
+      const [layers] = CostLayer.insertMany.mock.calls[0];
+      expect(layers[0]).toMatchObject({
+        itemId: 'item1',
+        batchId: 'batch1',
+        warehouseId: 'wh1',
+        sourceType: 'purchase_invoice',
+        sourceId: 'pi1',
+        quantity: 10,
+        remainingQuantity: 10,
+        unitCost: 95
+      });
+      expect(layers[1]).toMatchObject({ itemId: 'item2', unitCost: 100, remainingQuantity: 4 });
+    });
+
+    test('should re-average open layers under weighted average costing', async () => {
+      process.env.INVENTORY_VALUATION_METHOD = 'weighted_average';
+      Batch.findOne = jest.fn(() => query(null));
+      CostLayer.insertMany = jest.fn(layers => Promise.resolve(layers));
+      CostLayer.find = jest.fn(() => query([
+        { remainingQuantity: 10, unitCost: 100 },
+        { remainingQuantity: 30, unitCost: 120 }
+      ]));
+      CostLayer.updateMany = jest.fn().mockResolvedValue({});
+
+      await inventoryValuationService.createLayersForPurchase({ ...invoice, items: [invoice.items[0]] });
+
+      expect(CostLayer.updateMany).toHaveBeenCalledWith(
+        { itemId: 'item1', remainingQuantity: { $gt: 0 } },
+        { $set: { unitCost: 115 } },
+        { session: undefined }
+      );
+    });
+
+    test('should leave FIFO layers alone for a company costed by FIFO', async () => {
+      process.env.INVENTORY_VALUATION_METHOD = 'weighted_average';
+      Item.findById = jest.fn(() => query({ company: { inventoryValuationMethod: 'fifo' } }));
+      Batch.findOne = jest.fn(() => query(null));
+      CostLayer.insertMany = jest.fn(layers => Promise.resolve(layers));
+      CostLayer.updateMany = jest.fn();
+
+      await inventoryValuationService.createLayersForPurchase({ ...invoice, items: [invoice.items[0]] });
+
+      expect(CostLayer.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('consumeLayers', () => {
+    test('should consume the oldest layers first', async () => {
+      CostLayer.find = jest.fn(() => query([
+        { _id: 'layer1', remainingQuantity: 5, unitCost: 10 },
+        { _id: 'layer2', remainingQuantity: 20, unitCost: 12 }
+      ]));
+      CostLayer.findOneAndUpdate = jest.fn().mockResolvedValue({});
+
+      const result = await inventoryValuationService.consumeLayers('item1', 8, { session: 'session-1' });
+
+      expect(result.amount).toBe(86);
+      expect(result.unitCost).toBe(10.75);
+      expect(result.layers).toEqual([
+        { layerId: 'layer1', quantity: 5, unitCost: 10 },
+        { layerId: 'layer2', quantity: 3, unitCost: 12 }
+      ]);
+      expect(CostLayer.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'layer2', remainingQuantity: { $gte: 3 } },
+        { $inc: { remainingQuantity: -3 } },
+        { new: true, session: 'session-1' }
+      );
+      expect(Item.findById).not.toHaveBeenCalled();
+    });
+
+    test('should consume the allocated batch, then the issuing warehouse, before older layers', async () => {
+      CostLayer.find = jest.fn(() => query([
+        {
+          _id: 'old', remainingQuantity: 10, unitCost: 8, warehouseId: 'wh2'
+        },
+        {
+          _id: 'local', remainingQuantity: 10, unitCost: 9, warehouseId: 'wh1'
+        },
+        {
+          _id: 'lot', remainingQuantity: 4, unitCost: 11, batchId: 'batch1', warehouseId: 'wh1'
+        }
+      ]));
+      CostLayer.findOneAndUpdate = jest.fn().mockResolvedValue({});
+
+      const result = await inventoryValuationService.consumeLayers('item1', 6, {
+        batchId: 'batch1', warehouseId: 'wh1'
+      });
+
+      expect(result.layers).toEqual([
+        { layerId: 'lot', quantity: 4, unitCost: 11 },
+        { layerId: 'local', quantity: 2, unitCost: 9 }
+      ]);
+    });
+
+    test('should follow a lot moved to another warehouse by its batch number', async () => {
+      CostLayer.find = jest.fn(() => query([
+        { _id: 'old', remainingQuantity: 10, unitCost: 8 },
+        {
+          _id: 'lot', remainingQuantity: 10, unitCost: 11, batchId: 'batch-main', batchNumber: 'LOT7'
+        }
+      ]));
+      CostLayer.findOneAndUpdate = jest.fn().mockResolvedValue({});
+
+      const result = await inventoryValuationService.consumeLayers('item1', 3, {
+        batchId: 'batch-branch', batchNumber: 'lot7'
+      });
+
+      expect(result.layers).toEqual([{ layerId: 'lot', quantity: 3, unitCost: 11 }]);
+    });
+
+    test('should consume the layers of the given source document first', async () => {
+      CostLayer.find = jest.fn(() => query([
+        {
+          _id: 'old', remainingQuantity: 10, unitCost: 8, sourceId: 'pi1'
+        },
+        {
+          _id: 'returned', remainingQuantity: 10, unitCost: 12, sourceId: 'pi2'
+        }
+      ]));
+      CostLayer.findOneAndUpdate = jest.fn().mockResolvedValue({});
+
+      const result = await inventoryValuationService.consumeLayers('item1', 2, { sourceId: 'pi2' });
+
+      expect(result.amount).toBe(24);
+    });
+
+    test('should cost quantity without layers at the item cost price', async () => {
+      CostLayer.find = jest.fn(() => query([{ _id: 'layer1', remainingQuantity: 2, unitCost: 10 }]));
+      CostLayer.findOneAndUpdate = jest.fn().mockResolvedValue({});
+      Item.findById = jest.fn(() => query({ pricing: { costPrice: 15 } }));
+
+      const result = await inventoryValuationService.consumeLayers('item1', 5);
+
+      expect(result.amount).toBe(65);
+      expect(result.layers[1]).toEqual({ quantity: 3, unitCost: 15 });
+    });
+
+    test('should refuse when a layer was consumed concurrently', async () => {
+      CostLayer.find = jest.fn(() => query([{ _id: 'layer1', remainingQuantity: 5, unitCost: 10 }]));
+      CostLayer.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+
+      await expect(inventoryValuationService.consumeLayers('item1', 3))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('costInvoiceItems', () => {
+    test('should attach the cost to each line and total it', async () => {
+      jest.spyOn(inventoryValuationService, 'consumeLayers')
+        .mockResolvedValueOnce({ amount: 50.5, layers: [] })
+        .mockResolvedValueOnce({ amount: 20, layers: [] });
+
+      const result = await inventoryValuationService.costInvoiceItems([
+        { itemId: 'item1', quantity: 5 },
+        { itemId: { _id: 'item2' }, quantity: 2 }
+      ], { session: 'session-1' });
+
+      expect(result.totalCost).toBe(70.5);
+      expect(result.items[0].costOfGoods.amount).toBe(50.5);
+      expect(inventoryValuationService.consumeLayers).toHaveBeenLastCalledWith('item2', 2, {
+        batchId: undefined, batchNumber: undefined, warehouseId: undefined, session: 'session-1'
+      });
+    });
+
+    test('should cost a line from the layers of each batch allocated to it', async () => {
+      jest.spyOn(inventoryValuationService, 'consumeLayers')
+        .mockResolvedValueOnce({ amount: 30, layers: [{ layerId: 'layer1', quantity: 3, unitCost: 10 }] })
+        .mockResolvedValueOnce({ amount: 24, layers: [{ layerId: 'layer2', quantity: 2, unitCost: 12 }] });
+
+      const result = await inventoryValuationService.costInvoiceItems([{
+        itemId: 'item1',
+        quantity: 5,
+        warehouseId: 'wh1',
+        batchAllocations: [
+          {
+            batchId: 'batch1', batchNumber: 'LOT1', warehouseId: 'wh1', quantity: 3
+          },
+          {
+            batchId: 'batch2', batchNumber: 'LOT2', warehouseId: 'wh1', quantity: 2
+          }
+        ]
+      }], { session: 'session-1' });
+
+      expect(inventoryValuationService.consumeLayers).toHaveBeenNthCalledWith(1, 'item1', 3, {
+        batchId: 'batch1', batchNumber: 'LOT1', warehouseId: 'wh1', session: 'session-1'
+      });
+      expect(result.items[0].costOfGoods).toEqual({
+        quantity: 5,
+        unitCost: 10.8,
+        amount: 54,
+        layers: [
+          { layerId: 'layer1', quantity: 3, unitCost: 10 },
+          { layerId: 'layer2', quantity: 2, unitCost: 12 }
+        ]
+      });
+    });
+  });
+
+  describe('restoreReturnedQuantity', () => {
+    const saleLine = {
+      itemId: 'item1',
+      costOfGoods: {
+        layers: [
+          { layerId: 'layer1', quantity: 3, unitCost: 10 },
+          { layerId: 'layer2', quantity: 4, unitCost: 12 }
+        ]
+      }
+    };
+
+    test('should refill the layers the sale drew from last', async () => {
+      CostLayer.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+
+      const result = await inventoryValuationService.restoreReturnedQuantity(saleLine, 5, [], { session: 'session-1' });
+
+      expect(result).toEqual({
+        quantity: 5,
+        unitCost: 11.6,
+        amount: 58,
+        layers: [
+          { layerId: 'layer2', quantity: 4, unitCost: 12 },
+          { layerId: 'layer1', quantity: 1, unitCost: 10 }
+        ]
+      });
+      expect(CostLayer.findByIdAndUpdate).toHaveBeenCalledWith(
+        'layer2',
+        { $inc: { remainingQuantity: 4 } },
+        { session: 'session-1' }
+      );
+    });
+
+    test('should skip what earlier returns already put back', async () => {
+      CostLayer.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+
+      const result = await inventoryValuationService.restoreReturnedQuantity(saleLine, 2, [
+        { layerId: 'layer2', quantity: 4, unitCost: 12 }
+      ]);
+
+      expect(result.layers).toEqual([{ layerId: 'layer1', quantity: 2, unitCost: 10 }]);
+      expect(result.amount).toBe(20);
+    });
+  });
+
+  describe('restoreInvoiceLayers', () => {
+    test('should return consumed quantities to their layers', async () => {
+      CostLayer.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+
+      const restored = await inventoryValuationService.restoreInvoiceLayers([
+        {
+          itemId: 'item1',
+          costOfGoods: {
+            layers: [
+              { layerId: 'layer1', quantity: 5, unitCost: 10 },
+              { quantity: 3, unitCost: 15 }
+            ]
+          }
+        },
+        { itemId: 'item2' }
+      ], { session: 'session-1' });
+
+      expect(restored).toBe(1);
+      expect(CostLayer.findByIdAndUpdate).toHaveBeenCalledWith(
+        'layer1',
+        { $inc: { remainingQuantity: 5 } },
+        { session: 'session-1' }
+      );
+    });
+  });
+
+  describe('retireLayers', () => {
+    test('should empty the open layers of a cancelled purchase', async () => {
+      CostLayer.find = jest.fn(() => query([{ _id: 'layer1', itemId: 'item1' }]));
+      CostLayer.updateMany = jest.fn().mockResolvedValue({});
+
+      const retired = await inventoryValuationService.retireLayers('purchase_invoice', 'pi1');
+
+      expect(retired).toBe(1);
+      expect(CostLayer.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['layer1'] } },
+        { $set: { remainingQuantity: 0 } },
+        { session: undefined }
+      );
+    });
+  });
+
+  describe('getInventoryValuation', () => {
+    test('should value open layers by item', async () => {
+      CostLayer.aggregate = jest.fn().mockResolvedValue([
+        {
+          _id: 'item1', quantity: 10, value: 1150, layerCount: 2, item: { code: 'ITEM001', name: 'Paracetamol' }
+        },
+        {
+          _id: 'item2', quantity: 4, value: 400, layerCount: 1, item: { code: 'ITEM002', name: 'Syrup' }
+        }
+      ]);
+
+      const report = await inventoryValuationService.getInventoryValuation();
+
+      expect(report.method).toBe('fifo');
+      expect(report.items[0]).toMatchObject({ code: 'ITEM001', unitCost: 115, value: 1150 });
+      expect(report.totals).toEqual({ quantity: 14, value: 1550 });
+    });
+  });
+});
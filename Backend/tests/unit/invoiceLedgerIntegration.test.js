@@ -16,6 +16,15 @@ jest.mock('../../src/services/itemService');
 jest.mock('../../src/services/ledgerService');
 jest.mock('../../src/repositories/stockMovementRepository');
 jest.mock('../../src/models/Item');
+jest.mock('../../src/services/fiscalPeriodService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: (work) => work('session-1'),
+}));
+// No approval rules configured: documents post straight away
+jest.mock('../../src/services/approvalService', () => ({
+  evaluateSalesInvoice: () => Promise.resolve([]),
+  reasonsNeedingApproval: () => Promise.resolve([]),
+}));
 
 describe('Invoice-Ledger Integration Unit Tests', () => {
   afterEach(() => {
@@ -0,0 +1,159 @@
+const journalVoucherService = require('../../src/services/journalVoucherService');
+const JournalVoucher = require('../../src/models/JournalVoucher');
+const ledgerService = require('../../src/services/ledgerService');
+
+jest.mock('../../src/models/JournalVoucher');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/fiscalPeriodService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1'),
+}));
+
+describe('Journal Voucher Service', () => {
+  const lines = [
+    { accountId: 'expense1', accountType: 'Account', debit: 5000, description: 'Rent accrual' },
+    { accountId: 'payable1', accountType: 'Account', credit: 5000 },
+  ];
+
+  const buildVoucher = (overrides = {}) => {
+    const voucher = {
+      _id: 'jv1',
+      voucherNumber: 'JV2026000001',
+      voucherDate: new Date('2026-03-31'),
+      narration: 'March rent accrual',
+      status: 'draft',
+      lines: [
+        { accountId: 'expense1', accountType: 'Account', debit: 5000, credit: 0, description: 'Rent accrual' },
+        { accountId: 'payable1', accountType: 'Account', debit: 0, credit: 5000 },
+      ],
+      ...overrides,
+    };
+    voucher.save = jest.fn().mockResolvedValue(voucher);
+    return voucher;
+  };
+
+  const mockFindById = (voucher) => {
+    JournalVoucher.findById.mockReturnValue({ session: () => Promise.resolve(voucher) });
+  };
+
+  describe('validateLines', () => {
+    test('should require at least two lines', () => {
+      expect(() => journalVoucherService.validateLines([lines[0]]))
+        .toThrow('A journal voucher needs at least two lines');
+    });
+
+    test('should reject a line with both debit and credit', () => {
+      expect(() => journalVoucherService.validateLines([
+        { accountId: 'a1', accountType: 'Account', debit: 10, credit: 10 },
+        lines[1],
+      ])).toThrow('Line 1: enter either a debit or a credit amount');
+    });
+
+    test('should normalize missing sides to zero', () => {
+      expect(journalVoucherService.validateLines(lines)).toEqual([
+        { accountId: 'expense1', accountType: 'Account', debit: 5000, credit: 0, description: 'Rent accrual' },
+        { accountId: 'payable1', accountType: 'Account', debit: 0, credit: 5000, description: undefined },
+      ]);
+    });
+  });
+
+  describe('postJournalVoucher', () => {
+    test('should post one ledger entry per line and mark the voucher posted', async () => {
+      const voucher = buildVoucher();
+      mockFindById(voucher);
+      ledgerService.postBalancedEntries.mockResolvedValue([]);
+
+      await journalVoucherService.postJournalVoucher('jv1', 'user1');
+
+      expect(ledgerService.postBalancedEntries).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({
+            accountId: 'expense1',
+            transactionType: 'debit',
+            amount: 5000,
+            referenceType: 'journal',
+            referenceId: 'jv1',
+          }),
+          expect.objectContaining({
+            accountId: 'payable1',
+            transactionType: 'credit',
+            amount: 5000,
+            referenceType: 'journal',
+            referenceId: 'jv1',
+          }),
+        ],
+        { session: 'session-1' }
+      );
+      expect(voucher.status).toBe('posted');
+      expect(voucher.postedBy).toBe('user1');
+      expect(voucher.save).toHaveBeenCalledWith({ session: 'session-1' });
+    });
+
+    test('should leave the voucher in draft when it does not balance', async () => {
+      const voucher = buildVoucher();
+      mockFindById(voucher);
+      const unbalanced = new Error('Ledger entries are not balanced');
+      unbalanced.code = 'UNBALANCED_ENTRY';
+      ledgerService.postBalancedEntries.mockRejectedValue(unbalanced);
+
+      await expect(journalVoucherService.postJournalVoucher('jv1', 'user1'))
+        .rejects.toMatchObject({ code: 'UNBALANCED_ENTRY' });
+      expect(voucher.status).toBe('draft');
+      expect(voucher.save).not.toHaveBeenCalled();
+    });
+
+    test('should post in the session of an enclosing transaction', async () => {
+      const voucher = buildVoucher();
+      mockFindById(voucher);
+      ledgerService.postBalancedEntries.mockResolvedValue([]);
+
+      await journalVoucherService.postJournalVoucher('jv1', 'user1', {
+        allowClosedPeriod: true,
+        session: 'outer-session',
+      });
+
+      expect(ledgerService.postBalancedEntries)
+        .toHaveBeenCalledWith(expect.any(Array), { allowClosedPeriod: true, session: 'outer-session' });
+      expect(voucher.save).toHaveBeenCalledWith({ session: 'outer-session' });
+    });
+
+    test('should not post a voucher twice', async () => {
+      mockFindById(buildVoucher({ status: 'posted' }));
+
+      await expect(journalVoucherService.postJournalVoucher('jv1', 'user1'))
+        .rejects.toMatchObject({ code: 'INVALID_VOUCHER_STATUS', statusCode: 409 });
+      expect(ledgerService.postBalancedEntries).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reverseJournalVoucher', () => {
+    test('should require a reason', async () => {
+      await expect(journalVoucherService.reverseJournalVoucher('jv1', 'user1'))
+        .rejects.toThrow('Reason for reversal is required');
+    });
+
+    test('should post a mirror voucher and mark the original reversed', async () => {
+      const voucher = buildVoucher({ status: 'posted' });
+      mockFindById(voucher);
+      ledgerService.postBalancedEntries.mockResolvedValue([]);
+      JournalVoucher.mockImplementation(function (data) {
+        Object.assign(this, data, { _id: 'jv2', voucherNumber: 'JV2026000002' });
+        this.save = jest.fn().mockResolvedValue(this);
+      });
+
+      const { reversal } = await journalVoucherService.reverseJournalVoucher('jv1', 'user1', 'Posted to wrong period');
+
+      expect(reversal.lines.map(line => [line.debit, line.credit])).toEqual([[0, 5000], [5000, 0]]);
+      expect(reversal.reversalOf).toBe('jv1');
+      expect(ledgerService.postBalancedEntries).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({ accountId: 'expense1', transactionType: 'credit', referenceId: 'jv2' }),
+          expect.objectContaining({ accountId: 'payable1', transactionType: 'debit', referenceId: 'jv2' }),
+        ],
+        { session: 'session-1' }
+      );
+      expect(voucher.status).toBe('reversed');
+      expect(voucher.reversedByVoucher).toBe('jv2');
+    });
+  });
+});
@@ -2,104 +2,22 @@ const ledgerService = require('../../src/services/ledgerService');
 const ledgerRepository = require('../../src/repositories/ledgerRepository');
 const Customer = require('../../src/models/Customer');
 const Supplier = require('../../src/models/Supplier');
+const fiscalPeriodService = require('../../src/services/fiscalPeriodService');
 
 // Mock the repository and models
 jest.mock('../../src/repositories/ledgerRepository');
 jest.mock('../../src/models/Customer');
 jest.mock('../../src/models/Supplier');
+jest.mock('../../src/services/fiscalPeriodService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1'),
+}));
 
 describe('Ledger Service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
   });
 
-  describe('createLedgerEntry', () => {
-    test('should create a ledger entry with valid data', async () => {
-      const entryData = {
-        accountId: 'account123',
-        accountType: 'Customer',
-        transactionType: 'debit',
-        amount: 1000,
-        description: 'Test entry',
-        referenceType: 'invoice',
-        referenceId: 'invoice123',
-        createdBy: 'user123',
-      };
-
-      const mockCustomer = { _id: 'account123', isActive: true };
-      Customer.findById.mockResolvedValue(mockCustomer);
-
-      const mockEntry = { ...entryData, _id: 'entry123' };
-      ledgerRepository.create.mockResolvedValue(mockEntry);
-
-      const result = await ledgerService.createLedgerEntry(entryData);
-
-      expect(Customer.findById).toHaveBeenCalledWith('account123');
-      expect(ledgerRepository.create).toHaveBeenCalledWith(entryData);
-      expect(result).toEqual(mockEntry);
-    });
-
-    test('should throw error if account ID is missing', async () => {
-      const entryData = {
-        accountType: 'Customer',
-        transactionType: 'debit',
-        amount: 1000,
-        description: 'Test entry',
-        referenceType: 'invoice',
-        createdBy: 'user123',
-      };
-
-      await expect(ledgerService.createLedgerEntry(entryData)).rejects.toThrow('Account ID is required');
-    });
-
-    test('should throw error if amount is zero or negative', async () => {
-      const entryData = {
-        accountId: 'account123',
-        accountType: 'Customer',
-        transactionType: 'debit',
-        amount: 0,
-        description: 'Test entry',
-        referenceType: 'invoice',
-        createdBy: 'user123',
-      };
-
-      await expect(ledgerService.createLedgerEntry(entryData)).rejects.toThrow('Amount must be greater than 0');
-    });
-
-    test('should throw error if customer is not active', async () => {
-      const entryData = {
-        accountId: 'account123',
-        accountType: 'Customer',
-        transactionType: 'debit',
-        amount: 1000,
-        description: 'Test entry',
-        referenceType: 'invoice',
-        createdBy: 'user123',
-      };
-
-      const mockCustomer = { _id: 'account123', isActive: false };
-      Customer.findById.mockResolvedValue(mockCustomer);
-
-      await expect(ledgerService.createLedgerEntry(entryData)).rejects.toThrow('Customer is not active');
-    });
-
-    test('should throw error if customer not found', async () => {
-      const entryData = {
-        accountId: 'account123',
-        accountType: 'Customer',
-        transactionType: 'debit',
-        amount: 1000,
-        description: 'Test entry',
-        referenceType: 'invoice',
-        createdBy: 'user123',
-      };
-
-      Customer.findById.mockResolvedValue(null);
-
-      await expect(ledgerService.createLedgerEntry(entryData)).rejects.toThrow('Customer not found');
-    });
-  });
-
   describe('createDoubleEntry', () => {
     test('should create double entry with valid data', async () => {
       const debitAccount = { accountId: 'customer123', accountType: 'Customer' };
@@ -158,6 +76,106 @@ describe('Ledger Service', () => {
     });
   });
 
+  describe('postBalancedEntries', () => {
+    const buildEntries = (debitAmount, creditAmount) => [
+      {
+        accountId: 'customer123',
+        accountType: 'Customer',
+        transactionType: 'debit',
+        amount: debitAmount,
+        description: 'Opening balance',
+        referenceType: 'journal',
+        referenceId: 'jv123',
+        createdBy: 'user123',
+      },
+      {
+        accountId: 'supplier123',
+        accountType: 'Supplier',
+        transactionType: 'credit',
+        amount: creditAmount,
+        description: 'Opening balance',
+        referenceType: 'journal',
+        referenceId: 'jv123',
+        createdBy: 'user123',
+      },
+    ];
+
+    test('should post balanced entries in one transaction', async () => {
+      Customer.findById.mockResolvedValue({ _id: 'customer123', isActive: true });
+      Supplier.findById.mockResolvedValue({ _id: 'supplier123', isActive: true });
+      ledgerRepository.createBulk.mockResolvedValue([{ _id: 'entry1' }, { _id: 'entry2' }]);
+
+      const entries = buildEntries(0.1 + 0.2, 0.3);
+      const result = await ledgerService.postBalancedEntries(entries);
+
+      expect(ledgerRepository.createBulk).toHaveBeenCalledWith(entries, { session: 'session-1' });
+      expect(result).toHaveLength(2);
+    });
+
+    test('should reject entries that do not balance without writing anything', async () => {
+      await expect(ledgerService.postBalancedEntries(buildEntries(1000, 900)))
+        .rejects.toMatchObject({ code: 'UNBALANCED_ENTRY', details: { debit: 1000, credit: 900, difference: 100 } });
+
+      expect(ledgerRepository.createBulk).not.toHaveBeenCalled();
+    });
+
+    test('should reject a single-sided posting', async () => {
+      await expect(ledgerService.postBalancedEntries(buildEntries(1000, 1000).slice(0, 1)))
+        .rejects.toThrow('At least two ledger entries are required for a balanced posting');
+    });
+
+    test('should throw error if account ID is missing', async () => {
+      const [debit, credit] = buildEntries(1000, 1000);
+      delete debit.accountId;
+
+      await expect(ledgerService.postBalancedEntries([debit, credit]))
+        .rejects.toThrow('Account ID and account type are required for every entry');
+    });
+
+    test('should throw error if amount is zero or negative', async () => {
+      await expect(ledgerService.postBalancedEntries(buildEntries(0, 0)))
+        .rejects.toThrow('Amount must be greater than 0');
+    });
+
+    test('should throw error if customer is not active', async () => {
+      Customer.findById.mockResolvedValue({ _id: 'customer123', isActive: false });
+
+      await expect(ledgerService.postBalancedEntries(buildEntries(1000, 1000)))
+        .rejects.toThrow('Customer is not active');
+      expect(ledgerRepository.createBulk).not.toHaveBeenCalled();
+    });
+
+    test('should throw error if customer not found', async () => {
+      Customer.findById.mockResolvedValue(null);
+
+      await expect(ledgerService.postBalancedEntries(buildEntries(1000, 1000)))
+        .rejects.toThrow('Customer not found');
+    });
+
+    test('should not post into a closed period', async () => {
+      const closed = new Error('Ledger entry dated 2026-01-15 falls in closed period 2026-01');
+      closed.code = 'PERIOD_CLOSED';
+      fiscalPeriodService.assertPeriodOpen.mockRejectedValue(closed);
+
+      await expect(ledgerService.postBalancedEntries(buildEntries(1000, 1000)))
+        .rejects.toMatchObject({ code: 'PERIOD_CLOSED' });
+      expect(ledgerRepository.createBulk).not.toHaveBeenCalled();
+    });
+
+    test('should skip the period check for year-end closing entries', async () => {
+      Customer.findById.mockResolvedValue({ _id: 'customer123', isActive: true });
+      Supplier.findById.mockResolvedValue({ _id: 'supplier123', isActive: true });
+      ledgerRepository.createBulk.mockResolvedValue([]);
+
+      await ledgerService.postBalancedEntries(buildEntries(1000, 1000), {
+        session: 'session-2',
+        allowClosedPeriod: true,
+      });
+
+      expect(fiscalPeriodService.assertPeriodOpen).not.toHaveBeenCalled();
+    });
+  });
+
   describe('calculateAccountBalance', () => {
     test('should calculate account balance', async () => {
       const accountId = 'account123';
@@ -310,13 +328,16 @@ describe('Ledger Service', () => {
       Customer.findById.mockResolvedValue(mockCustomer);
       Supplier.findById.mockResolvedValue(mockSupplier);
 
-      const mockReversalEntry = { _id: 'reversal1', transactionType: 'credit', amount: 1000 };
-      ledgerRepository.create.mockResolvedValue(mockReversalEntry);
+      ledgerRepository.createBulk.mockImplementation(entries => Promise.resolve(entries));
 
       const result = await ledgerService.reverseLedgerEntries(referenceType, referenceId, reason, createdBy);
 
       expect(ledgerRepository.findByReference).toHaveBeenCalledWith(referenceType, referenceId);
+      expect(ledgerRepository.createBulk).toHaveBeenCalledTimes(1);
+      expect(ledgerRepository.createBulk.mock.calls[0][1]).toEqual({ session: 'session-1' });
       expect(result).toHaveLength(2);
+      expect(result.map(entry => entry.transactionType)).toEqual(['credit', 'debit']);
+      expect(ledgerService.calculateEntryTotals(result).difference).toBe(0);
     });
 
     test('should throw error if no entries found', async () => {
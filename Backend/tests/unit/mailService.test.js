@@ -0,0 +1,109 @@
+const net = require('net');
+const mailService = require('../../src/services/mailService');
+
+/**
+ * Minimal SMTP server that accepts every message and keeps what it received
+ */
+const startSmtpStub = () => new Promise((resolve) => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let current = { recipients: [] };
+
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index = buffer.indexOf('\r\n');
+      while (index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { recipients: [] };
+            socket.write('250 OK queued\r\n');
+          } else {
+            current.data = `${current.data || ''}${line}\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 stub\r\n');
+        } else if (/^MAIL FROM:/i.test(line)) {
+          current.from = line.slice(10);
+          socket.write('250 OK\r\n');
+        } else if (/^RCPT TO:/i.test(line)) {
+          current.recipients.push(line.slice(8));
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+        index = buffer.indexOf('\r\n');
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+});
+
+describe('Mail Service', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    mailService.setTransport(null);
+  });
+
+  it('should send through the SMTP server in the settings', async () => {
+    const stub = await startSmtpStub();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(stub.port);
+    process.env.MAIL_FROM = 'accounts@industraders.test';
+    delete process.env.SMTP_USER;
+
+    try {
+      const result = await mailService.sendMail({
+        to: 'shop@example.com',
+        subject: 'Statement of account',
+        text: 'Please find attached your statement.',
+        attachments: [{ filename: 'SOA-C001.pdf', content: Buffer.from('%PDF-1.3'), contentType: 'application/pdf' }]
+      });
+
+      expect(result.accepted).toEqual(['shop@example.com']);
+      expect(stub.messages).toHaveLength(1);
+      expect(stub.messages[0].from).toContain('accounts@industraders.test');
+      expect(stub.messages[0].recipients[0]).toContain('shop@example.com');
+      expect(stub.messages[0].data).toContain('Subject: Statement of account');
+      expect(stub.messages[0].data).toContain('filename=SOA-C001.pdf');
+    } finally {
+      mailService.getTransport().close();
+      await new Promise((resolve) => { stub.server.close(resolve); });
+    }
+  });
+
+  it('should use a plugged-in transport', async () => {
+    const transport = { sendMail: jest.fn().mockResolvedValue({ messageId: '<m1>', accepted: ['a@b.com'] }) };
+    mailService.setTransport(transport);
+    process.env.MAIL_FROM = 'accounts@industraders.test';
+
+    const result = await mailService.sendMail({ to: 'a@b.com', subject: 'Hello' });
+
+    expect(transport.sendMail).toHaveBeenCalledWith({
+      from: 'accounts@industraders.test', to: 'a@b.com', subject: 'Hello'
+    });
+    expect(result).toEqual({ messageId: '<m1>', accepted: ['a@b.com'], rejected: [] });
+  });
+
+  it('should refuse to send when email is not configured', async () => {
+    delete process.env.SMTP_HOST;
+
+    await expect(mailService.sendMail({ to: 'a@b.com', subject: 'Hello' }))
+      .rejects.toMatchObject({ statusCode: 503 });
+  });
+});
@@ -0,0 +1,278 @@
+const pdcService = require('../../src/services/pdcService');
+const ChequeDeposit = require('../../src/models/ChequeDeposit');
+const CashReceipt = require('../../src/models/CashReceipt');
+const cashReceiptService = require('../../src/services/cashReceiptService');
+const ledgerService = require('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
+const notificationService = require('../../src/services/notificationService');
+
+jest.mock('../../src/models/ChequeDeposit');
+jest.mock('../../src/models/CashReceipt');
+jest.mock('../../src/services/cashReceiptService');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/services/reportService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const makeCheque = (id, bankName, amount, overrides) => ({
+  _id: id,
+  receiptNumber: `CR-${id}`,
+  customerId: `cust-${id}`,
+  amount,
+  chequeStatus: 'pending',
+  bankDetails: { bankName, chequeNumber: `CH-${id}`, chequeDate: new Date(2026, 9, 19) },
+  save: jest.fn().mockImplementation(function save() { return Promise.resolve(this); }),
+  ...overrides
+});
+
+const makeSlip = overrides => ({
+  _id: 'slip1',
+  slipNumber: 'DS2026000001',
+  status: 'open',
+  cheques: [
+    {
+      receiptId: 'r1', chequeNumber: 'CH-r1', amount: 5000, outcome: 'pending'
+    },
+    {
+      receiptId: 'r2', chequeNumber: 'CH-r2', amount: 3000, outcome: 'pending'
+    }
+  ],
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('PDC Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateDepositSlips', () => {
+    it('should batch the cheques due into one slip per bank and mark them deposited', async () => {
+      CashReceipt.find.mockReturnValue(query([
+        makeCheque('r1', 'HBL', 5000),
+        makeCheque('r2', 'MCB', 3000),
+        makeCheque('r3', 'hbl', 2000.5)
+      ]));
+      ChequeDeposit.mockImplementation(doc => ({
+        _id: `slip-${doc.bankName}`,
+        ...doc,
+        save: jest.fn().mockResolvedValue(true)
+      }));
+
+      const slips = await pdcService.generateDepositSlips({ date: '2026-10-19' }, 'user1');
+
+      expect(CashReceipt.find).toHaveBeenCalledWith({
+        postDatedCheque: true,
+        chequeStatus: 'pending',
+        'bankDetails.chequeDate': { $lte: new Date(2026, 9, 19, 23, 59, 59, 999) }
+      });
+      expect(slips).toHaveLength(2);
+      expect(slips[0]).toMatchObject({
+        bankName: 'HBL', chequeCount: 2, totalAmount: 7000.5, createdBy: 'user1'
+      });
+      expect(slips[0].cheques.map(line => line.receiptId)).toEqual(['r1', 'r3']);
+      expect(CashReceipt.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['r1', 'r3'] }, chequeStatus: 'pending' },
+        { $set: { chequeStatus: 'deposited', depositSlipId: 'slip-HBL', depositedDate: new Date(2026, 9, 19) } }
+      );
+    });
+
+    it('should refuse when nothing is due', async () => {
+      CashReceipt.find.mockReturnValue(query([]));
+
+      await expect(pdcService.generateDepositSlips({ date: '2026-10-19' }, 'user1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('confirmDepositSlip', () => {
+    beforeEach(() => {
+      accountService.getOrCreateSystemAccount.mockResolvedValue({ _id: 'acc-charges' });
+    });
+
+    it('should clear the cheques the bank paid and bounce the rest with their charges', async () => {
+      const slip = makeSlip();
+      const bouncedReceipt = makeCheque('r2', 'HBL', 3000, { chequeStatus: 'deposited' });
+      ChequeDeposit.findById.mockResolvedValue(slip);
+      CashReceipt.findById.mockImplementation(id => Promise.resolve(id === 'r1'
+        ? makeCheque('r1', 'HBL', 5000, { chequeStatus: 'deposited' })
+        : bouncedReceipt));
+      cashReceiptService.bounceCheque.mockImplementation(() => {
+        bouncedReceipt.chequeStatus = 'bounced';
+        return Promise.resolve(bouncedReceipt);
+      });
+
+      await pdcService.confirmDepositSlip('slip1', {
+        bounced: [{ receiptId: 'r2', reason: 'Insufficient funds', charges: 500 }]
+      }, 'user1');
+
+      expect(cashReceiptService.clearCheque).toHaveBeenCalledWith('r1', 'user1', { session: 'session-1' });
+      expect(cashReceiptService.bounceCheque)
+        .toHaveBeenCalledWith('r2', 'Insufficient funds', 'user1', { session: 'session-1' });
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'cust-r2', accountType: 'Customer' },
+        { accountId: 'acc-charges', accountType: 'Account' },
+        500,
+        'Bounce charges - cheque CH-r2 (CR-r2)',
+        'adjustment',
+        'r2',
+        'user1',
+        { session: 'session-1' }
+      );
+      expect(bouncedReceipt.bounceCharges).toBe(500);
+      expect(bouncedReceipt.save).toHaveBeenCalledWith({ session: 'session-1' });
+      expect(slip.save).toHaveBeenCalledWith({ session: 'session-1' });
+      expect(slip.cheques.map(line => line.outcome)).toEqual(['cleared', 'bounced']);
+      expect(slip).toMatchObject({
+        status: 'confirmed', clearedAmount: 5000, bouncedAmount: 3000, confirmedBy: 'user1'
+      });
+      expect(notificationService.notifyPermissionHolders).toHaveBeenCalledWith(
+        ['pdc.manage'],
+        expect.objectContaining({ type: 'cheque_bounced', referenceId: 'slip1' }),
+        { excludeUserId: 'user1' }
+      );
+    });
+
+    it('should carry on from where an earlier attempt stopped', async () => {
+      const slip = makeSlip();
+      slip.cheques[0].outcome = 'cleared';
+      ChequeDeposit.findById.mockResolvedValue(slip);
+
+      await pdcService.confirmDepositSlip('slip1', {}, 'user1');
+
+      expect(cashReceiptService.clearCheque).toHaveBeenCalledTimes(1);
+      expect(cashReceiptService.clearCheque).toHaveBeenCalledWith('r2', 'user1', { session: 'session-1' });
+      expect(slip).toMatchObject({ status: 'confirmed', clearedAmount: 8000, bouncedAmount: 0 });
+      expect(notificationService.notifyPermissionHolders).not.toHaveBeenCalled();
+    });
+
+    it('should leave a cheque pending when its posting fails', async () => {
+      const slip = makeSlip();
+      ChequeDeposit.findById.mockResolvedValue(slip);
+      cashReceiptService.clearCheque
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Accounting period is closed'));
+
+      await expect(pdcService.confirmDepositSlip('slip1', {}, 'user1'))
+        .rejects.toThrow('Accounting period is closed');
+      expect(slip.cheques.map(line => line.outcome)).toEqual(['cleared', 'pending']);
+      expect(slip.save).toHaveBeenCalledTimes(1);
+      expect(slip.status).toBe('open');
+    });
+
+    it('should check every bounce before touching any cheque', async () => {
+      ChequeDeposit.findById.mockResolvedValue(makeSlip());
+
+      await expect(pdcService.confirmDepositSlip('slip1', {
+        bounced: [{ receiptId: 'r9', reason: 'Account closed' }]
+      }, 'user1')).rejects.toThrow('Cheque r9 is not on deposit slip DS2026000001');
+      await expect(pdcService.confirmDepositSlip('slip1', {
+        bounced: [{ receiptId: 'r2' }]
+      }, 'user1')).rejects.toThrow('A bounce reason is required for cheque CH-r2');
+      expect(cashReceiptService.clearCheque).not.toHaveBeenCalled();
+      expect(cashReceiptService.bounceCheque).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a slip that is no longer open', async () => {
+      ChequeDeposit.findById.mockResolvedValue(makeSlip({ status: 'confirmed' }));
+
+      await expect(pdcService.confirmDepositSlip('slip1', {}, 'user1'))
+        .rejects.toThrow('Deposit slip DS2026000001 is already confirmed');
+    });
+  });
+
+  describe('cancelDepositSlip', () => {
+    it('should put the cheques back in hand', async () => {
+      const slip = makeSlip();
+      ChequeDeposit.findById.mockResolvedValue(slip);
+
+      await pdcService.cancelDepositSlip('slip1');
+
+      expect(CashReceipt.updateMany).toHaveBeenCalledWith(
+        { depositSlipId: 'slip1', chequeStatus: 'deposited' },
+        { $set: { chequeStatus: 'pending', depositSlipId: null }, $unset: { depositedDate: 1 } }
+      );
+      expect(slip.status).toBe('cancelled');
+    });
+  });
+
+  describe('bounced cheques', () => {
+    it('should only charge cheques that bounced', async () => {
+      CashReceipt.findById.mockResolvedValue(makeCheque('r1', 'HBL', 5000, { chequeStatus: 'cleared' }));
+
+      await expect(pdcService.recordBounceCharges('r1', 300, 'user1')).rejects.toThrow('Cheque CH-r1 has not bounced');
+      await expect(pdcService.recordBounceCharges('r1', 0, 'user1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(ledgerService.createDoubleEntry).not.toHaveBeenCalled();
+    });
+
+    it('should lift the hold when a bounced cheque is resolved', async () => {
+      const receipt = makeCheque('r1', 'HBL', 5000, { chequeStatus: 'bounced', bounceResolvedAt: null });
+      CashReceipt.findById.mockResolvedValue(receipt);
+
+      await pdcService.resolveBouncedCheque('r1', { resolution: 'Replaced with cheque 445120' }, 'user1');
+
+      expect(receipt).toMatchObject({ bounceResolvedBy: 'user1', bounceResolution: 'Replaced with cheque 445120' });
+      expect(receipt.bounceResolvedAt).toBeInstanceOf(Date);
+      await expect(pdcService.resolveBouncedCheque('r1', { resolution: 'Again' }, 'user1'))
+        .rejects.toThrow('Bounced cheque CH-r1 is already resolved');
+    });
+
+    it('should group the unresolved bounces by customer', async () => {
+      CashReceipt.find.mockReturnValue(query([
+        makeCheque('r1', 'HBL', 5000, { customerId: { _id: 'c1', code: 'C001' }, bounceCharges: 500 }),
+        makeCheque('r2', 'MCB', 2000, { customerId: { _id: 'c1', code: 'C001' } })
+      ]));
+
+      const holds = await pdcService.getBouncedChequeHolds();
+
+      expect(CashReceipt.find).toHaveBeenCalledWith({ chequeStatus: 'bounced', bounceResolvedAt: null });
+      expect(holds).toHaveLength(1);
+      expect(holds[0]).toMatchObject({ totalAmount: 7000, totalCharges: 500 });
+      expect(holds[0].cheques).toHaveLength(2);
+    });
+  });
+
+  describe('sendMaturityReminders', () => {
+    it('should alert cheque managers once about cheques maturing soon', async () => {
+      CashReceipt.find.mockReturnValue(query([makeCheque('r1', 'HBL', 5000), makeCheque('r2', 'MCB', 3000)]));
+
+      const result = await pdcService.sendMaturityReminders({ daysAhead: 2 });
+
+      const filter = CashReceipt.find.mock.calls[0][0];
+      expect(filter).toMatchObject({ postDatedCheque: true, chequeStatus: 'pending', maturityReminderAt: null });
+      expect(result).toMatchObject({ count: 2, totalAmount: 8000 });
+      expect(notificationService.notifyPermissionHolders).toHaveBeenCalledWith(['pdc.manage'], expect.objectContaining({
+        type: 'cheque_maturing',
+        message: 'Prepare deposit slips for HBL, MCB'
+      }));
+      expect(CashReceipt.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['r1', 'r2'] } },
+        { $set: { maturityReminderAt: expect.any(Date) } }
+      );
+    });
+
+    it('should stay quiet when nothing is maturing', async () => {
+      CashReceipt.find.mockReturnValue(query([]));
+
+      const result = await pdcService.sendMaturityReminders();
+
+      expect(result.count).toBe(0);
+      expect(notificationService.notifyPermissionHolders).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const permissionService = require('../../src/services/permissionService');
+const { requirePermission } = require('../../src/middleware/auth');
+const Role = require('../../src/models/Role');
+const User = require('../../src/models/User');
+const { caches } = require('../../src/utils/cache');
+
+jest.mock('../../src/models/Role');
+jest.mock('../../src/models/User');
+
+describe('Permission Service', () => {
+  const mockRole = (role) => {
+    Role.findOne.mockReturnValue({ lean: () => Promise.resolve(role) });
+  };
+
+  beforeEach(() => {
+    caches.short.flushAll();
+  });
+
+  describe('hasPermission', () => {
+    test('should match exact names, prefix wildcards and the admin wildcard', () => {
+      const permissions = { granted: ['invoice.sales.*', 'report.financial.view'], revoked: [] };
+
+      expect(permissionService.hasPermission(permissions, 'invoice.sales.create')).toBe(true);
+      expect(permissionService.hasPermission(permissions, 'report.financial.view')).toBe(true);
+      expect(permissionService.hasPermission(permissions, 'invoice.cancel')).toBe(false);
+      expect(permissionService.hasPermission({ granted: ['*'], revoked: [] }, 'role.manage')).toBe(true);
+    });
+
+    test('should let a revocation win over any grant', () => {
+      const permissions = { granted: ['*'], revoked: ['invoice.cancel'] };
+
+      expect(permissionService.hasPermission(permissions, 'invoice.cancel')).toBe(false);
+      expect(permissionService.hasPermission(permissions, 'invoice.sales.create')).toBe(true);
+    });
+  });
+
+  describe('getUserPermissions', () => {
+    test('should combine built-in role permissions with user overrides', async () => {
+      const permissions = await permissionService.getUserPermissions({
+        role: 'sales',
+        permissionOverrides: { granted: ['invoice.cancel'], revoked: ['customer.status'] },
+      });
+
+      expect(permissions.granted).toEqual(expect.arrayContaining(['invoice.sales.create', 'invoice.cancel']));
+      expect(permissions.revoked).toEqual(['customer.status']);
+      expect(Role.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should load custom roles once and then serve them from cache', async () => {
+      mockRole({ name: 'branch_manager', permissions: ['invoice.*', 'report.financial.view'] });
+      const branchManager = { role: 'branch_manager' };
+
+      expect(await permissionService.userHasPermission(branchManager, 'invoice.cancel')).toBe(true);
+      expect(await permissionService.userHasPermission(branchManager, 'journal.manage')).toBe(false);
+      expect(Role.findOne).toHaveBeenCalledTimes(1);
+      expect(Role.findOne).toHaveBeenCalledWith({ name: 'branch_manager', isActive: true });
+    });
+
+    test('should grant nothing for an unknown role', async () => {
+      mockRole(null);
+
+      expect(await permissionService.userHasPermission({ role: 'purchase_manager' }, 'invoice.purchase.return'))
+        .toBe(false);
+    });
+  });
+
+  describe('custom roles', () => {
+    test('should create a role with catalogue permissions', async () => {
+      Role.exists.mockResolvedValue(null);
+      Role.create.mockImplementation((data) => Promise.resolve(data));
+
+      const role = await permissionService.createRole({
+        name: 'Branch_Manager',
+        permissions: ['invoice.sales.*', 'invoice.cancel', 'invoice.cancel'],
+      }, 'admin1');
+
+      expect(role).toMatchObject({
+        name: 'branch_manager',
+        permissions: ['invoice.sales.*', 'invoice.cancel'],
+        createdBy: 'admin1',
+      });
+    });
+
+    test('should reject unknown permissions and built-in role names', async () => {
+      Role.exists.mockResolvedValue(null);
+
+      await expect(permissionService.createRole({ name: 'auditor', permissions: ['invoice.approve'] }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Unknown permission(s): invoice.approve' });
+      await expect(permissionService.createRole({ name: 'sales', permissions: [] }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should refuse to delete a role that users still hold', async () => {
+      Role.findById.mockResolvedValue({ _id: 'role1', name: 'branch_manager' });
+      User.countDocuments.mockResolvedValue(2);
+
+      await expect(permissionService.deleteRole('role1'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Role branch_manager is assigned to 2 user(s)' });
+      expect(Role.deleteOne).not.toHaveBeenCalled();
+    });
+
+    test('should accept built-in and active custom roles as valid', async () => {
+      Role.exists.mockResolvedValue({ _id: 'role1' });
+
+      expect(await permissionService.roleExists('accountant')).toBe(true);
+      expect(await permissionService.roleExists('branch_manager')).toBe(true);
+      expect(Role.exists).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('requirePermission middleware', () => {
+    const run = async (user, permission) => {
+      const req = { user };
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      await requirePermission(permission)(req, res, next);
+      return { req, res, next };
+    };
+
+    test('should pass users holding the permission', async () => {
+      const { req, next } = await run({ role: 'accountant' }, 'report.financial.view');
+
+      expect(next).toHaveBeenCalled();
+      expect(req.permissions.granted).toContain('report.financial.view');
+    });
+
+    test('should reject users without the permission with 403', async () => {
+      const { res, next } = await run({ role: 'data_entry' }, 'invoice.cancel');
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Access denied. Required permission: invoice.cancel',
+      }));
+    });
+
+    test('should reject unauthenticated requests with 401', async () => {
+      const { res } = await run(undefined, 'invoice.cancel');
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
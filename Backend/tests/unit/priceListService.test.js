@@ -0,0 +1,207 @@
+const priceListService = require('../../src/services/priceListService');
+const PriceList = require('../../src/models/PriceList');
+const Customer = require('../../src/models/Customer');
+
+jest.mock('../../src/models/PriceList');
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const customer = { _id: 'cust1', type: 'distributor', routeId: 'route1' };
+
+const makeList = overrides => ({
+  _id: 'pl1',
+  name: 'Distributor rates',
+  validFrom: new Date('2026-01-01'),
+  validTo: null,
+  priority: 0,
+  customerTypes: [],
+  routeIds: [],
+  customerIds: [],
+  items: [],
+  ...overrides
+});
+
+describe('Price List Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Customer, 'findById');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getPricesForCustomer', () => {
+    it('should take each item from the most specific list that applies', async () => {
+      PriceList.find.mockReturnValue(query([
+        makeList({
+          _id: 'pl-type',
+          customerTypes: ['distributor'],
+          priority: 10,
+          items: [{ itemId: 'item1', price: 100 }, { itemId: 'item2', price: 50 }, { itemId: 'item3', price: 30 }]
+        }),
+        makeList({
+          _id: 'pl-route',
+          name: 'North route',
+          routeIds: ['route1'],
+          items: [{ itemId: 'item1', price: 95 }, { itemId: 'item2', price: 48 }]
+        }),
+        makeList({
+          _id: 'pl-contract',
+          name: 'City Hospital contract',
+          customerIds: ['cust1'],
+          items: [{
+            itemId: 'item1', price: 90, minPrice: 88, maxDiscountPercent: 2
+          }]
+        })
+      ]));
+
+      const prices = await priceListService.getPricesForCustomer(
+        customer,
+        ['item1', 'item2', 'item3', 'item4'],
+        new Date('2026-10-01')
+      );
+
+      expect(prices.get('item1')).toEqual({
+        priceListId: 'pl-contract',
+        priceListName: 'City Hospital contract',
+        price: 90,
+        minPrice: 88,
+        maxDiscountPercent: 2
+      });
+      expect(prices.get('item2')).toMatchObject({ priceListId: 'pl-route', price: 48 });
+      expect(prices.get('item3')).toMatchObject({ priceListId: 'pl-type', price: 30 });
+      expect(prices.has('item4')).toBe(false);
+      expect(PriceList.find).toHaveBeenCalledWith(expect.objectContaining({
+        isActive: true,
+        validFrom: { $lte: new Date('2026-10-01') },
+        'items.itemId': { $in: ['item1', 'item2', 'item3', 'item4'] },
+        $and: [
+          { $or: [{ validTo: null }, { validTo: { $gte: new Date('2026-10-01') } }] },
+          { $or: [{ customerIds: 'cust1' }, { routeIds: 'route1' }, { customerTypes: 'distributor' }] }
+        ]
+      }));
+    });
+
+    it('should break ties on priority, then the later list', async () => {
+      PriceList.find.mockReturnValue(query([
+        makeList({ _id: 'pl-old', customerTypes: ['distributor'], items: [{ itemId: 'item1', price: 100 }] }),
+        makeList({
+          _id: 'pl-new',
+          customerTypes: ['distributor'],
+          validFrom: new Date('2026-06-01'),
+          items: [{ itemId: 'item1', price: 97 }]
+        }),
+        makeList({
+          _id: 'pl-promo',
+          customerTypes: ['distributor'],
+          priority: 5,
+          items: [{ itemId: 'item2', price: 40 }]
+        })
+      ]));
+
+      const prices = await priceListService.getPricesForCustomer(customer, ['item1', 'item2']);
+
+      expect(prices.get('item1').priceListId).toBe('pl-new');
+      expect(prices.get('item2').priceListId).toBe('pl-promo');
+    });
+
+    it('should not look anything up without items', async () => {
+      const prices = await priceListService.getPricesForCustomer(customer, []);
+
+      expect(prices.size).toBe(0);
+      expect(PriceList.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolvePrices', () => {
+    it('should report items no list covers', async () => {
+      Customer.findById.mockReturnValue(query(customer));
+      PriceList.find.mockReturnValue(query([
+        makeList({ customerIds: ['cust1'], items: [{ itemId: 'item1', price: 90 }] })
+      ]));
+
+      const prices = await priceListService.resolvePrices('cust1', ['item1', 'item2']);
+
+      expect(prices).toEqual([
+        expect.objectContaining({ itemId: 'item1', price: 90, priceListId: 'pl1' }),
+        { itemId: 'item2', price: null }
+      ]);
+    });
+
+    it('should require the customer', async () => {
+      Customer.findById.mockReturnValue(query(null));
+
+      await expect(priceListService.resolvePrices('missing', ['item1']))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('createPriceList', () => {
+    it('should save a valid list', async () => {
+      PriceList.create.mockImplementation(doc => Promise.resolve(doc));
+
+      const priceList = await priceListService.createPriceList({
+        name: 'City Hospital contract',
+        validFrom: '2026-01-01',
+        validTo: '2026-12-31',
+        customerIds: ['cust1'],
+        items: [{
+          itemId: 'item1', price: 90, minPrice: 85, maxDiscountPercent: 2
+        }]
+      }, 'user1');
+
+      expect(priceList).toMatchObject({ name: 'City Hospital contract', createdBy: 'user1' });
+    });
+
+    it('should reject lists that cannot be applied', async () => {
+      const base = {
+        name: 'Bad list', validFrom: '2026-01-01', customerTypes: ['distributor'], items: []
+      };
+
+      await expect(priceListService.createPriceList({ ...base, customerTypes: [] }, 'user1'))
+        .rejects.toThrow('Assign the price list to at least one customer type, route or customer');
+      await expect(priceListService.createPriceList({ ...base, customerTypes: ['vip'] }, 'user1'))
+        .rejects.toThrow('Unknown customer type(s): vip');
+      await expect(priceListService.createPriceList({ ...base, validTo: '2025-12-31' }, 'user1'))
+        .rejects.toThrow('Valid to date cannot be before the valid from date');
+      await expect(priceListService.createPriceList({
+        ...base,
+        items: [{ itemId: 'item1', price: 90 }, { itemId: 'item1', price: 80 }]
+      }, 'user1')).rejects.toThrow('Item item1 appears more than once on the price list');
+      await expect(priceListService.createPriceList({
+        ...base,
+        items: [{ itemId: 'item1', price: 90, minPrice: 95 }]
+      }, 'user1')).rejects.toThrow('Minimum price for item item1 cannot be above its list price');
+      expect(PriceList.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePriceList', () => {
+    it('should keep the assignment and dates it already has', async () => {
+      const existing = {
+        ...makeList({ customerIds: ['cust1'] }),
+        set: jest.fn(),
+        save: jest.fn().mockResolvedValue('saved')
+      };
+      PriceList.findById.mockResolvedValue(existing);
+
+      await priceListService.updatePriceList('pl1', { items: [{ itemId: 'item1', price: 92 }] }, 'user2');
+
+      expect(existing.set).toHaveBeenCalledWith({ items: [{ itemId: 'item1', price: 92 }], updatedBy: 'user2' });
+      expect(existing.save).toHaveBeenCalled();
+    });
+  });
+});
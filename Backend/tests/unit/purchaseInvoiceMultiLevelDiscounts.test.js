@@ -8,6 +8,7 @@ const invoiceRepository = require('../../src/repositories/invoiceRepository');
 jest.mock('../../src/services/supplierService');
 jest.mock('../../src/services/itemService');
 jest.mock('../../src/repositories/invoiceRepository');
+jest.mock('../../src/services/fiscalPeriodService');
 
 describe('PurchaseInvoiceService - Multi-Level Discounts', () => {
   const mockSupplier = {
@@ -3,7 +3,11 @@ const invoiceRepository = require('../../src/repositories/invoiceRepository');
 const supplierService = require('../../src/services/supplierService');
 const itemService = require('../../src/services/itemService');
 const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
+const inventoryValuationService = require('../../src/services/inventoryValuationService');
+const ledgerService = require('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
 const Item = require('../../src/models/Item');
+const Warehouse = require('../../src/models/Warehouse');
 
 // Mock dependencies
 jest.mock('../../src/repositories/invoiceRepository');
@@ -11,6 +15,26 @@ jest.mock('../../src/services/supplierService');
 jest.mock('../../src/services/itemService');
 jest.mock('../../src/repositories/stockMovementRepository');
 jest.mock('../../src/models/Item');
+jest.mock('../../src/models/Warehouse');
+jest.mock('../../src/services/inventoryValuationService');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/approvalService');
+jest.mock('../../src/services/fiscalPeriodService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    session: jest.fn(() => Promise.resolve(value))
+  };
+  return chain;
+};
 
 describe('Purchase Invoice Service Unit Tests', () => {
   afterEach(() => {
@@ -401,7 +425,7 @@ describe('Purchase Invoice Service Unit Tests', () => {
       const result = await purchaseInvoiceService.getPurchaseInvoiceById('invoice123');
 
       expect(result).toEqual(mockInvoice);
-      expect(invoiceRepository.findById).toHaveBeenCalledWith('invoice123');
+      expect(invoiceRepository.findById).toHaveBeenCalledWith('invoice123', {});
     });
 
     test('should throw error when invoice not found', async () => {
@@ -556,6 +580,7 @@ describe('Purchase Invoice Service Unit Tests', () => {
       status: 'draft',
       invoiceNumber: 'PI2024000001',
       supplierId: 'supplier123',
+      totals: { grandTotal: 1000 },
       items: [
         {
           itemId: 'item123',
@@ -578,6 +603,9 @@ describe('Purchase Invoice Service Unit Tests', () => {
         inventory: { currentStock: 50 },
         save: jest.fn().mockResolvedValue(true)
       });
+      Warehouse.findOne = jest.fn(() => query({ _id: 'wh1' }));
+      accountService.getAccountByCode = jest.fn().mockResolvedValue({ _id: 'inventory1' });
+      ledgerService.createDoubleEntry = jest.fn().mockResolvedValue([]);
     });
 
     test('should confirm draft invoice and create stock movements', async () => {
@@ -613,5 +641,73 @@ describe('Purchase Invoice Service Unit Tests', () => {
       expect(mockItemDoc.inventory.currentStock).toBe(60); // 50 + 10
       expect(mockItemDoc.save).toHaveBeenCalled();
     });
+
+    test('should open cost layers and post the payable in the invoice transaction', async () => {
+      await purchaseInvoiceService.confirmPurchaseInvoice('invoice123', 'user123');
+
+      expect(invoiceRepository.findById).toHaveBeenCalledWith('invoice123', { session: 'session-1' });
+      expect(Item.findById).toHaveBeenCalledWith('item123', null, { session: 'session-1' });
+      expect(stockMovementRepository.create)
+        .toHaveBeenCalledWith(expect.objectContaining({ warehouse: 'wh1' }), { session: 'session-1' });
+      expect(inventoryValuationService.createLayersForPurchase)
+        .toHaveBeenCalledWith(mockInvoice, { session: 'session-1' });
+      expect(ledgerService.createDoubleEntry.mock.calls[0][7]).toEqual({ session: 'session-1' });
+      expect(invoiceRepository.update)
+        .toHaveBeenCalledWith('invoice123', expect.objectContaining({ status: 'confirmed' }), { session: 'session-1' });
+    });
+
+    test('should open no cost layers when the confirmation fails', async () => {
+      ledgerService.createDoubleEntry = jest.fn().mockRejectedValue(new Error('Accounting period is closed'));
+
+      await expect(purchaseInvoiceService.confirmPurchaseInvoice('invoice123', 'user123'))
+        .rejects.toThrow('Accounting period is closed');
+      expect(invoiceRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelPurchaseInvoice', () => {
+    const confirmedInvoice = {
+      _id: 'invoice123',
+      type: 'purchase',
+      status: 'confirmed',
+      invoiceNumber: 'PI2024000001',
+      totals: { grandTotal: 1000 },
+      items: [
+        {
+          itemId: 'item123',
+          quantity: 10,
+          warehouseId: 'wh2'
+        }
+      ]
+    };
+
+    beforeEach(() => {
+      invoiceRepository.findById = jest.fn().mockResolvedValue(confirmedInvoice);
+      invoiceRepository.update = jest.fn()
+        .mockImplementation((id, data) => Promise.resolve({ ...confirmedInvoice, ...data }));
+      stockMovementRepository.create = jest.fn().mockImplementation(data => Promise.resolve(data));
+      Item.findById = jest.fn().mockResolvedValue({
+        _id: 'item123',
+        inventory: { currentStock: 50 },
+        save: jest.fn().mockResolvedValue(true)
+      });
+      Warehouse.findOne = jest.fn(() => query({ _id: 'wh1' }));
+    });
+
+    test('should reverse the stock and retire the cost layers in one transaction', async () => {
+      const result = await purchaseInvoiceService.cancelPurchaseInvoice('invoice123', 'user123', 'Wrong supplier', {
+        approved: true
+      });
+
+      expect(result.status).toBe('cancelled');
+      expect(stockMovementRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ movementType: 'out', warehouse: 'wh2', quantity: 10 }),
+        { session: 'session-1' }
+      );
+      expect(inventoryValuationService.retireLayers)
+        .toHaveBeenCalledWith('purchase_invoice', 'invoice123', { session: 'session-1' });
+      expect(invoiceRepository.update)
+        .toHaveBeenCalledWith('invoice123', expect.objectContaining({ status: 'cancelled' }), { session: 'session-1' });
+    });
   });
 });
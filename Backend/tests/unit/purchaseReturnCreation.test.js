@@ -3,12 +3,20 @@ const Invoice = require('../../src/models/Invoice');
 const inventoryService = require('../../src/services/inventoryService');
 const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
 const ledgerService = require('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
+const Warehouse = require('../../src/models/Warehouse');
 
 // Mock dependencies
 jest.mock('../../src/models/Invoice');
 jest.mock('../../src/services/inventoryService');
 jest.mock('../../src/repositories/stockMovementRepository');
+jest.mock('../../src/services/inventoryValuationService');
 jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/models/Warehouse');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
 
 describe('PurchaseReturnService - createPurchaseReturn', () => {
   let mockOriginalInvoice;
@@ -16,6 +24,8 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    accountService.getAccountByCode.mockResolvedValue({ _id: 'inventoryAsset1' });
+    Warehouse.findOne.mockReturnValue({ sort: () => Promise.resolve({ _id: 'wh1' }) });
 
     // Mock original purchase invoice
     mockOriginalInvoice = {
@@ -55,7 +65,7 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
   });
 
   describe('Successful return creation', () => {
-    test('should create purchase return invoice with negative quantities', async () => {
+    test('should create purchase return invoice with positive quantities', async () => {
       Invoice.findById.mockResolvedValue(mockOriginalInvoice);
       Invoice.find.mockResolvedValue([]);
 
@@ -66,64 +76,60 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
         items: [
           {
             itemId: 'item1',
-            quantity: -5,
+            quantity: 5,
             unitPrice: 100,
             gstRate: 18,
-            gstAmount: -90,
-            lineTotal: -590
+            gstAmount: 90,
+            lineTotal: 590
           }
         ],
         totals: {
-          subtotal: -500,
-          totalTax: -90,
-          gst18Total: -90,
+          subtotal: 500,
+          totalTax: 90,
+          gst18Total: 90,
           gst4Total: 0,
-          grandTotal: -590
+          grandTotal: 590
         }
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const result = await purchaseReturnService.createPurchaseReturn(mockReturnData);
 
       expect(result.type).toBe('return_purchase');
-      expect(result.items[0].quantity).toBe(-5);
-      expect(result.totals.grandTotal).toBe(-590);
+      expect(result.items[0].quantity).toBe(5);
+      expect(result.totals.grandTotal).toBe(590);
     });
 
-    test('should calculate negative totals correctly', async () => {
+    test('should calculate return totals correctly', async () => {
       Invoice.findById.mockResolvedValue(mockOriginalInvoice);
       Invoice.find.mockResolvedValue([]);
 
       const mockSave = jest.fn().mockResolvedValue({
         totals: {
-          subtotal: -500,
-          totalTax: -90,
-          gst18Total: -90,
+          subtotal: 500,
+          totalTax: 90,
+          gst18Total: 90,
           gst4Total: 0,
-          grandTotal: -590
+          grandTotal: 590
         }
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const result = await purchaseReturnService.createPurchaseReturn(mockReturnData);
 
-      expect(result.totals.subtotal).toBeLessThan(0);
-      expect(result.totals.totalTax).toBeLessThan(0);
-      expect(result.totals.grandTotal).toBeLessThan(0);
+      expect(result.totals.subtotal).toBe(500);
+      expect(result.totals.totalTax).toBe(90);
+      expect(result.totals.grandTotal).toBe(590);
     });
 
     test('should link return invoice to original invoice', async () => {
@@ -134,13 +140,11 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
         originalInvoiceId: 'invoice123'
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const result = await purchaseReturnService.createPurchaseReturn(mockReturnData);
 
@@ -159,13 +163,11 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
         }
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const result = await purchaseReturnService.createPurchaseReturn(mockReturnData);
 
@@ -179,25 +181,23 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
 
       const mockSave = jest.fn().mockResolvedValue({
         items: [
-          { itemId: 'item1', quantity: -5, gstRate: 18, gstAmount: -90 },
-          { itemId: 'item2', quantity: -3, gstRate: 4, gstAmount: -24 }
+          { itemId: 'item1', quantity: 5, gstRate: 18, gstAmount: 90 },
+          { itemId: 'item2', quantity: 3, gstRate: 4, gstAmount: 24 }
         ],
         totals: {
-          subtotal: -1100,
-          totalTax: -114,
-          gst18Total: -90,
-          gst4Total: -24,
-          grandTotal: -1214
+          subtotal: 1100,
+          totalTax: 114,
+          gst18Total: 90,
+          gst4Total: 24,
+          grandTotal: 1214
         }
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const returnDataMultiple = {
         ...mockReturnData,
@@ -209,8 +209,8 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
 
       const result = await purchaseReturnService.createPurchaseReturn(returnDataMultiple);
 
-      expect(result.totals.gst18Total).toBe(-90);
-      expect(result.totals.gst4Total).toBe(-24);
+      expect(result.totals.gst18Total).toBe(90);
+      expect(result.totals.gst4Total).toBe(24);
     });
   });
 
@@ -271,16 +271,14 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
       Invoice.find.mockResolvedValue([]);
 
       const mockSave = jest.fn().mockResolvedValue({
-        items: [{ itemId: 'item1', quantity: -5 }]
+        items: [{ itemId: 'item1', quantity: 5 }]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       await purchaseReturnService.createPurchaseReturn(mockReturnData);
 
@@ -288,7 +286,8 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
         'item1',
         5,
         'decrease',
-        'Purchase return'
+        'Purchase return',
+        { session: 'session-1', userId: 'user123' }
       );
     });
 
@@ -297,155 +296,68 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
       Invoice.find.mockResolvedValue([]);
 
       const mockSave = jest.fn().mockResolvedValue({
-        items: [{ itemId: 'item1', quantity: -5 }]
+        items: [{ itemId: 'item1', quantity: 5 }]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       await purchaseReturnService.createPurchaseReturn(mockReturnData);
 
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
           itemId: 'item1',
-          movementType: 'return_to_supplier',
-          quantity: -5
-        })
+          movementType: 'out',
+          quantity: 5,
+          referenceType: 'purchase_invoice',
+          referenceId: 'return123',
+          warehouse: 'wh1',
+          createdBy: 'user123'
+        }),
+        { session: 'session-1' }
       );
     });
   });
 
   describe('Ledger entries', () => {
-    test('should create reverse ledger entries', async () => {
-      Invoice.findById.mockResolvedValue(mockOriginalInvoice);
-      Invoice.find.mockResolvedValue([]);
-
-      const mockSave = jest.fn().mockResolvedValue({
-        _id: 'return123',
-        invoiceNumber: 'PR2024000001',
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
-        }
-      });
-
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
-
-      inventoryService.adjustInventory.mockResolvedValue(true);
-      stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
-
-      await purchaseReturnService.createPurchaseReturn(mockReturnData);
-
-      // Should create 3 ledger entries: Inventory credit, AP debit, GST credit
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledTimes(3);
-    });
-
-    test('should credit Inventory Account', async () => {
+    beforeEach(() => {
       Invoice.findById.mockResolvedValue(mockOriginalInvoice);
       Invoice.find.mockResolvedValue([]);
-
-      const mockSave = jest.fn().mockResolvedValue({
+      Invoice.mockImplementation(data => ({
+        ...data,
         _id: 'return123',
         invoiceNumber: 'PR2024000001',
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
-        }
-      });
-
-      Invoice.mockImplementation(() => ({
-        save: mockSave
+        save: jest.fn().mockResolvedValue({})
       }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
-
-      await purchaseReturnService.createPurchaseReturn(mockReturnData);
-
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'INVENTORY_ACCOUNT',
-          debit: 0,
-          credit: 500
-        })
-      );
+      ledgerService.createDoubleEntry.mockResolvedValue({});
     });
 
-    test('should debit Accounts Payable', async () => {
-      Invoice.findById.mockResolvedValue(mockOriginalInvoice);
-      Invoice.find.mockResolvedValue([]);
-
-      const mockSave = jest.fn().mockResolvedValue({
-        _id: 'return123',
-        invoiceNumber: 'PR2024000001',
-        supplierId: 'supplier123',
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
-        }
-      });
-
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
-
-      inventoryService.adjustInventory.mockResolvedValue(true);
-      stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
-
+    test('should post one double entry for the grand total', async () => {
       await purchaseReturnService.createPurchaseReturn(mockReturnData);
 
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'supplier123',
-          debit: 590,
-          credit: 0
-        })
-      );
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledTimes(1);
+      expect(ledgerService.createDoubleEntry.mock.calls[0][2]).toBe(590);
     });
 
-    test('should credit GST Input', async () => {
-      Invoice.findById.mockResolvedValue(mockOriginalInvoice);
-      Invoice.find.mockResolvedValue([]);
-
-      const mockSave = jest.fn().mockResolvedValue({
-        _id: 'return123',
-        invoiceNumber: 'PR2024000001',
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
-        }
-      });
-
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
-
-      inventoryService.adjustInventory.mockResolvedValue(true);
-      stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
-
+    test('should debit the supplier and credit Inventory Asset', async () => {
       await purchaseReturnService.createPurchaseReturn(mockReturnData);
 
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'GST_INPUT_ACCOUNT',
-          debit: 0,
-          credit: 90
-        })
+      expect(accountService.getAccountByCode).toHaveBeenCalledWith('INVENTORY_ASSET');
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'supplier123', accountType: 'Supplier' },
+        { accountId: 'inventoryAsset1', accountType: 'Account' },
+        590,
+        expect.stringContaining('Purchase Return PR2024000001'),
+        'invoice',
+        'return123',
+        'user123',
+        { session: 'session-1' }
       );
     });
   });
@@ -457,18 +369,16 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
 
       const mockSave = jest.fn().mockResolvedValue({
         items: [
-          { itemId: 'item1', quantity: -5 },
-          { itemId: 'item2', quantity: -3 }
+          { itemId: 'item1', quantity: 5 },
+          { itemId: 'item2', quantity: 3 }
         ]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const multiItemReturnData = {
         ...mockReturnData,
@@ -491,16 +401,14 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
       Invoice.find.mockResolvedValue([]);
 
       const mockSave = jest.fn().mockResolvedValue({
-        items: [{ itemId: 'item1', quantity: -3 }]
+        items: [{ itemId: 'item1', quantity: 3 }]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const partialReturnData = {
         ...mockReturnData,
@@ -511,7 +419,7 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
 
       const result = await purchaseReturnService.createPurchaseReturn(partialReturnData);
 
-      expect(result.items[0].quantity).toBe(-3);
+      expect(result.items[0].quantity).toBe(3);
     });
 
     test('should account for existing returns when validating', async () => {
@@ -520,7 +428,7 @@ describe('PurchaseReturnService - createPurchaseReturn', () => {
       // Mock existing return of 3 items
       Invoice.find.mockResolvedValue([
         {
-          items: [{ itemId: 'item1', quantity: -3 }],
+          items: [{ itemId: 'item1', quantity: 3 }],
           status: 'confirmed'
         }
       ]);
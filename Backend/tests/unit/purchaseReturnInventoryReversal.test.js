@@ -1,14 +1,21 @@
 const purchaseReturnService = require('../../src/services/purchaseReturnService');
 const inventoryService = require('../../src/services/inventoryService');
 const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
+const batchRepository = require('../../src/repositories/batchRepository');
+const inventoryValuationService = require('../../src/services/inventoryValuationService');
+const Warehouse = require('../../src/models/Warehouse');
 
 // Mock dependencies
 jest.mock('../../src/services/inventoryService');
 jest.mock('../../src/repositories/stockMovementRepository');
+jest.mock('../../src/services/inventoryValuationService');
+jest.mock('../../src/repositories/batchRepository');
+jest.mock('../../src/models/Warehouse');
 
 describe('PurchaseReturnService - Inventory Reversal', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    Warehouse.findOne.mockReturnValue({ sort: () => Promise.resolve({ _id: 'wh1' }) });
   });
 
   describe('reverseInventory', () => {
@@ -41,18 +48,20 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
         'item1',
         5,
         'decrease',
-        'Purchase return'
+        'Purchase return',
+        { session: undefined }
       );
 
       expect(inventoryService.adjustInventory).toHaveBeenCalledWith(
         'item2',
         3,
         'decrease',
-        'Purchase return'
+        'Purchase return',
+        { session: undefined }
       );
     });
 
-    test('should create stock movement records with type return_to_supplier', async () => {
+    test('should create outward stock movement records', async () => {
       const returnItems = [
         {
           itemId: 'item1',
@@ -65,8 +74,8 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
       stockMovementRepository.create.mockResolvedValue({
         _id: 'movement1',
         itemId: 'item1',
-        movementType: 'return_to_supplier',
-        quantity: -5
+        movementType: 'out',
+        quantity: 5
       });
 
       await purchaseReturnService.reverseInventory(returnItems);
@@ -74,11 +83,12 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
           itemId: 'item1',
-          movementType: 'return_to_supplier',
-          quantity: -5,
-          reference: 'Purchase Return',
-          notes: 'Item returned to supplier'
-        })
+          movementType: 'out',
+          quantity: 5,
+          referenceType: 'purchase_invoice',
+          warehouse: 'wh1'
+        }),
+        { session: undefined }
       );
     });
 
@@ -101,11 +111,12 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
         'item1',
         10, // Positive quantity
         'decrease',
-        'Purchase return'
+        'Purchase return',
+        { session: undefined }
       );
     });
 
-    test('should create stock movement with negative quantity', async () => {
+    test('should create stock movement with positive quantity', async () => {
       const returnItems = [
         {
           itemId: 'item1',
@@ -121,8 +132,9 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
 
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
-          quantity: -7 // Negative quantity for stock movement
-        })
+          quantity: 7 // Positive quantity, the movement type gives the direction
+        }),
+        { session: undefined }
       );
     });
 
@@ -155,7 +167,7 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
       const afterDate = new Date();
 
       const createCall = stockMovementRepository.create.mock.calls[0][0];
-      const movementDate = createCall.date;
+      const { movementDate } = createCall;
 
       expect(movementDate).toBeInstanceOf(Date);
       expect(movementDate.getTime()).toBeGreaterThanOrEqual(beforeDate.getTime());
@@ -209,6 +221,7 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
         'item2',
         expect.anything(),
         expect.anything(),
+        expect.anything(),
         expect.anything()
       );
     });
@@ -227,25 +240,38 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
         expect.anything(),
         expect.anything(),
         'decrease', // Should be decrease for purchase return
-        expect.anything()
+        expect.anything(),
+        { session: undefined }
       );
     });
 
-    test('should include proper reference in stock movement', async () => {
+    test('should reference the return invoice in stock movement', async () => {
       const returnItems = [
-        { itemId: 'item1', quantity: -5 }
+        { itemId: 'item1', quantity: -5, warehouseId: 'wh2' }
       ];
+      const returnInvoice = {
+        _id: 'return1',
+        invoiceNumber: 'PR2026000001',
+        invoiceDate: new Date(2026, 9, 19),
+        createdBy: 'user1'
+      };
 
       inventoryService.adjustInventory.mockResolvedValue({});
       stockMovementRepository.create.mockResolvedValue({});
 
-      await purchaseReturnService.reverseInventory(returnItems);
+      await purchaseReturnService.reverseInventory(returnItems, { returnInvoice });
 
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
-          reference: 'Purchase Return'
-        })
+          referenceType: 'purchase_invoice',
+          referenceId: 'return1',
+          warehouse: 'wh2',
+          movementDate: new Date(2026, 9, 19),
+          createdBy: 'user1'
+        }),
+        { session: undefined }
       );
+      expect(Warehouse.findOne).not.toHaveBeenCalled();
     });
 
     test('should include descriptive notes in stock movement', async () => {
@@ -256,15 +282,26 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
       inventoryService.adjustInventory.mockResolvedValue({});
       stockMovementRepository.create.mockResolvedValue({});
 
-      await purchaseReturnService.reverseInventory(returnItems);
+      await purchaseReturnService.reverseInventory(returnItems, {
+        returnInvoice: { _id: 'return1', invoiceNumber: 'PR2026000001' }
+      });
 
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
-          notes: 'Item returned to supplier'
-        })
+          notes: 'Purchase return PR2026000001 - Item returned to supplier'
+        }),
+        { session: undefined }
       );
     });
 
+    test('should refuse when no warehouse can take the movement', async () => {
+      Warehouse.findOne.mockReturnValue({ sort: () => Promise.resolve(null) });
+
+      await expect(purchaseReturnService.reverseInventory([{ itemId: 'item1', quantity: -5 }]))
+        .rejects.toThrow('No active warehouse found to assign stock movement');
+      expect(inventoryService.adjustInventory).not.toHaveBeenCalled();
+    });
+
     test('should handle large quantities', async () => {
       const returnItems = [
         { itemId: 'item1', quantity: -1000 }
@@ -279,7 +316,8 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
         'item1',
         1000,
         'decrease',
-        'Purchase return'
+        'Purchase return',
+        { session: undefined }
       );
     });
 
@@ -297,9 +335,76 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
         'item1',
         5.5,
         'decrease',
-        'Purchase return'
+        'Purchase return',
+        { session: undefined }
       );
     });
+
+    test('should take returned stock out of the batch it came from', async () => {
+      const returnItems = [
+        {
+          itemId: 'item1',
+          quantity: -5,
+          batchAllocations: [{ batchId: 'batch1', batchNumber: 'B-001', quantity: 5 }]
+        }
+      ];
+
+      inventoryService.adjustInventory.mockResolvedValue({});
+      stockMovementRepository.create.mockResolvedValue({});
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ _id: 'batch1', remainingQuantity: 0 });
+
+      await purchaseReturnService.reverseInventory(returnItems, { session: 'session-1' });
+
+      expect(batchRepository.decrementRemainingQuantity).toHaveBeenCalledWith('batch1', 5, { session: 'session-1' });
+    });
+
+    test('should take returned stock out of the cost layers of the purchase returned', async () => {
+      const returnItems = [
+        {
+          itemId: 'item1',
+          quantity: -5,
+          warehouseId: 'wh2',
+          batchAllocations: [{ batchId: 'batch1', batchNumber: 'B-001', quantity: 5 }]
+        },
+        {
+          itemId: 'item2',
+          quantity: -2,
+          batchInfo: { batchNumber: 'B-009' }
+        }
+      ];
+
+      inventoryService.adjustInventory.mockResolvedValue({});
+      stockMovementRepository.create.mockResolvedValue({});
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ _id: 'batch1', remainingQuantity: 0 });
+
+      await purchaseReturnService.reverseInventory(returnItems, {
+        session: 'session-1',
+        returnInvoice: { _id: 'return1', originalInvoiceId: 'pi1' }
+      });
+
+      expect(inventoryValuationService.consumeLayers).toHaveBeenCalledWith('item1', 5, {
+        sourceId: 'pi1', batchId: 'batch1', batchNumber: 'B-001', warehouseId: 'wh2', session: 'session-1'
+      });
+      expect(inventoryValuationService.consumeLayers).toHaveBeenCalledWith('item2', 2, {
+        sourceId: 'pi1', batchId: undefined, batchNumber: 'B-009', warehouseId: 'wh1', session: 'session-1'
+      });
+    });
+
+    test('should refuse to return more than the batch holds', async () => {
+      const returnItems = [
+        {
+          itemId: 'item1',
+          quantity: -5,
+          batchAllocations: [{ batchId: 'batch1', batchNumber: 'B-001', quantity: 5 }]
+        }
+      ];
+
+      batchRepository.decrementRemainingQuantity.mockResolvedValue(null);
+
+      await expect(purchaseReturnService.reverseInventory(returnItems))
+        .rejects.toThrow('Batch B-001 no longer holds 5 units to return');
+      expect(inventoryService.adjustInventory).not.toHaveBeenCalled();
+    });
   });
 
   describe('Integration with createPurchaseReturn', () => {
@@ -329,7 +434,7 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
 
       inventoryService.adjustInventory.mockResolvedValue({});
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry = jest.fn().mockResolvedValue({});
+      ledgerService.createDoubleEntry = jest.fn().mockResolvedValue({});
 
       const returnData = {
         originalInvoiceId: 'invoice123',
@@ -361,11 +466,12 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
           itemId: 'item1'
-        })
+        }),
+        { session: undefined }
       );
     });
 
-    test('should track movement type as return_to_supplier', async () => {
+    test('should track movement type as out', async () => {
       const returnItems = [
         { itemId: 'item1', quantity: -5 }
       ];
@@ -377,8 +483,9 @@ describe('PurchaseReturnService - Inventory Reversal', () => {
 
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
-          movementType: 'return_to_supplier'
-        })
+          movementType: 'out'
+        }),
+        { session: undefined }
       );
     });
   });
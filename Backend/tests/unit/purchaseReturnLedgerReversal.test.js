@@ -1,468 +1,191 @@
+const mongoose = require('mongoose');
 const purchaseReturnService = require('../../src/services/purchaseReturnService');
 const ledgerService = require('../../src/services/ledgerService');
-
-// Mock dependencies
-jest.mock('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
+const inventoryService = require('../../src/services/inventoryService');
+const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
+const batchRepository = require('../../src/repositories/batchRepository');
+const Invoice = require('../../src/models/Invoice');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Supplier = require('../../src/models/Supplier');
+const Account = require('../../src/models/Account');
+
+// The ledger service is real; only the documents it looks up and the database writes are stubbed
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/services/fiscalPeriodService');
+jest.mock('../../src/repositories/stockMovementRepository');
+jest.mock('../../src/services/inventoryValuationService');
+jest.mock('../../src/repositories/batchRepository');
+jest.mock('../../src/models/Supplier');
+jest.mock('../../src/models/Account');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Stand-in for Document#save that runs the schema validators and records the session
+ */
+function validatingSave(options = {}) {
+  const error = this.validateSync();
+  if (error) {
+    return Promise.reject(error);
+  }
+  this.savedWithSession = options.session;
+  return Promise.resolve(this);
+}
 
 describe('PurchaseReturnService - Ledger Reversal', () => {
+  const inventoryAccountId = objectId();
+  const supplierId = objectId();
+  const userId = objectId();
+  let savedEntries;
+
   beforeEach(() => {
     jest.clearAllMocks();
-  });
-
-  describe('createReverseLedgerEntries', () => {
-    let mockReturnInvoice;
-    let mockOriginalInvoice;
-
-    beforeEach(() => {
-      mockReturnInvoice = {
-        _id: 'return123',
-        type: 'return_purchase',
-        invoiceNumber: 'PR2024000001',
-        supplierId: 'supplier123',
-        invoiceDate: new Date('2024-01-15'),
-        items: [
-          {
-            itemId: 'item1',
-            quantity: -5,
-            unitPrice: 100,
-            gstRate: 18,
-            gstAmount: -90,
-            lineTotal: -590
-          }
-        ],
-        totals: {
-          subtotal: -500,
-          totalDiscount: 0,
-          totalTax: -90,
-          gst18Total: -90,
-          gst4Total: 0,
-          grandTotal: -590
-        }
-      };
-
-      mockOriginalInvoice = {
-        _id: 'invoice123',
-        type: 'purchase',
-        supplierId: 'supplier123',
-        invoiceNumber: 'PI2024000001'
-      };
-
-      ledgerService.createLedgerEntry.mockResolvedValue({
-        _id: 'ledger123',
-        success: true
-      });
-    });
-
-    test('should create three ledger entries for purchase return', async () => {
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
+    jest.restoreAllMocks();
 
-      // Should create 3 entries: Inventory credit, AP debit, GST credit
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledTimes(3);
+    savedEntries = [];
+    jest.spyOn(LedgerEntry.prototype, 'save').mockImplementation(function save(options) {
+      savedEntries.push(this);
+      return validatingSave.call(this, options);
     });
 
-    test('should credit Inventory Account to reduce asset', async () => {
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'INVENTORY_ACCOUNT',
-          debit: 0,
-          credit: 500, // Positive amount (absolute value of subtotal)
-          description: expect.stringContaining('Purchase Return'),
-          referenceType: 'Invoice',
-          referenceId: 'return123'
-        })
-      );
-    });
-
-    test('should debit Accounts Payable to reduce liability', async () => {
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'supplier123',
-          debit: 590, // Grand total (absolute value)
-          credit: 0,
-          description: expect.stringContaining('Purchase Return'),
-          referenceType: 'Invoice',
-          referenceId: 'return123'
-        })
-      );
-    });
-
-    test('should credit GST Input to reverse tax credit', async () => {
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'GST_INPUT_ACCOUNT',
-          debit: 0,
-          credit: 90, // Tax amount (absolute value)
-          description: expect.stringContaining('Purchase Return GST'),
-          referenceType: 'Invoice',
-          referenceId: 'return123'
-        })
-      );
-    });
-
-    test('should use correct invoice date in ledger entries', async () => {
-      const invoiceDate = new Date('2024-01-15');
-      mockReturnInvoice.invoiceDate = invoiceDate;
-
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      // All three entries should use the return invoice date
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      calls.forEach(call => {
-        expect(call[0].date).toEqual(invoiceDate);
-      });
-    });
-
-    test('should include invoice number in description', async () => {
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
+    accountService.getAccountByCode.mockResolvedValue({ _id: inventoryAccountId, code: 'INVENTORY_ASSET' });
+    Supplier.findById.mockResolvedValue({ _id: supplierId, isActive: true });
+    Account.findById.mockResolvedValue({ _id: inventoryAccountId, isActive: true });
+  });
 
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      calls.forEach(call => {
-        expect(call[0].description).toContain('PR2024000001');
+  describe('createReverseLedgerEntries', () => {
+    const returnInvoice = {
+      _id: objectId(),
+      invoiceNumber: 'PR2026000001',
+      createdBy: userId,
+      totals: {
+        subtotal: 500, totalDiscount: 0, totalTax: 90, grandTotal: 590
+      }
+    };
+    const originalInvoice = { _id: objectId(), invoiceNumber: 'PI2026000001', supplierId };
+
+    test('should debit the supplier and credit inventory with the grand total', async () => {
+      await purchaseReturnService.createReverseLedgerEntries(returnInvoice, originalInvoice, { session: 'session-1' });
+
+      expect(accountService.getAccountByCode).toHaveBeenCalledWith('INVENTORY_ASSET');
+      expect(savedEntries).toHaveLength(2);
+
+      const [debit, credit] = savedEntries;
+      expect(debit.transactionType).toBe('debit');
+      expect(String(debit.accountId)).toBe(String(supplierId));
+      expect(debit.accountType).toBe('Supplier');
+      expect(debit.amount).toBe(590);
+
+      expect(credit.transactionType).toBe('credit');
+      expect(String(credit.accountId)).toBe(String(inventoryAccountId));
+      expect(credit.accountType).toBe('Account');
+      expect(credit.amount).toBe(590);
+    });
+
+    test('should post valid entries referencing the return invoice in the given session', async () => {
+      await purchaseReturnService.createReverseLedgerEntries(returnInvoice, originalInvoice, { session: 'session-1' });
+
+      savedEntries.forEach((entry) => {
+        expect(entry.referenceType).toBe('invoice');
+        expect(String(entry.referenceId)).toBe(String(returnInvoice._id));
+        expect(entry.description).toContain('PR2026000001');
+        expect(entry.description).toContain('PI2026000001');
+        expect(String(entry.createdBy)).toBe(String(userId));
+        expect(entry.savedWithSession).toBe('session-1');
       });
     });
 
-    test('should handle returns with zero tax', async () => {
-      mockReturnInvoice.totals.totalTax = 0;
-      mockReturnInvoice.totals.gst18Total = 0;
-
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      // Should still create 3 entries, but GST entry should have 0 amount
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledTimes(3);
-      
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_INPUT_ACCOUNT'
-      );
-      
-      expect(gstCall[0].credit).toBe(0);
-    });
-
-    test('should handle large return amounts correctly', async () => {
-      mockReturnInvoice.totals = {
-        subtotal: -10000,
-        totalTax: -1800,
-        gst18Total: -1800,
-        gst4Total: 0,
-        grandTotal: -11800
-      };
-
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      // Verify amounts are converted to positive
-      const inventoryCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'INVENTORY_ACCOUNT'
-      );
-      expect(inventoryCall[0].credit).toBe(10000);
-
-      const apCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'supplier123'
-      );
-      expect(apCall[0].debit).toBe(11800);
-
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_INPUT_ACCOUNT'
-      );
-      expect(gstCall[0].credit).toBe(1800);
-    });
-
-    test('should handle decimal amounts correctly', async () => {
-      mockReturnInvoice.totals = {
-        subtotal: -123.45,
-        totalTax: -22.22,
-        gst18Total: -22.22,
-        gst4Total: 0,
-        grandTotal: -145.67
-      };
-
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const inventoryCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'INVENTORY_ACCOUNT'
-      );
-      expect(inventoryCall[0].credit).toBe(123.45);
-
-      const apCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'supplier123'
+    test('should post nothing for a zero value return', async () => {
+      const result = await purchaseReturnService.createReverseLedgerEntries(
+        { ...returnInvoice, totals: { grandTotal: 0 } },
+        originalInvoice
       );
-      expect(apCall[0].debit).toBe(145.67);
 
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_INPUT_ACCOUNT'
-      );
-      expect(gstCall[0].credit).toBe(22.22);
-    });
-
-    test('should link all entries to return invoice', async () => {
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      calls.forEach(call => {
-        expect(call[0].referenceType).toBe('Invoice');
-        expect(call[0].referenceId).toBe('return123');
-      });
+      expect(result).toBeNull();
+      expect(savedEntries).toHaveLength(0);
     });
 
-    test('should handle ledger service errors', async () => {
-      ledgerService.createLedgerEntry.mockRejectedValue(
-        new Error('Ledger entry creation failed')
-      );
+    test('should refuse to post against a missing supplier', async () => {
+      Supplier.findById.mockResolvedValue(null);
 
       await expect(
-        purchaseReturnService.createReverseLedgerEntries(
-          mockReturnInvoice,
-          mockOriginalInvoice
-        )
-      ).rejects.toThrow('Ledger entry creation failed');
-    });
-
-    test('should create entries in correct order', async () => {
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      
-      // First call should be Inventory Account credit
-      expect(calls[0][0].accountId).toBe('INVENTORY_ACCOUNT');
-      expect(calls[0][0].credit).toBeGreaterThan(0);
-      
-      // Second call should be Accounts Payable debit
-      expect(calls[1][0].accountId).toBe('supplier123');
-      expect(calls[1][0].debit).toBeGreaterThan(0);
-      
-      // Third call should be GST Input credit
-      expect(calls[2][0].accountId).toBe('GST_INPUT_ACCOUNT');
-    });
-
-    test('should use absolute values for all amounts', async () => {
-      // Ensure negative amounts in return invoice are converted to positive
-      mockReturnInvoice.totals = {
-        subtotal: -500,
-        totalTax: -90,
-        gst18Total: -90,
-        gst4Total: 0,
-        grandTotal: -590
-      };
-
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      calls.forEach(call => {
-        if (call[0].debit > 0) {
-          expect(call[0].debit).toBeGreaterThan(0);
-        }
-        if (call[0].credit > 0) {
-          expect(call[0].credit).toBeGreaterThan(0);
-        }
-      });
-    });
-
-    test('should handle mixed GST rates', async () => {
-      mockReturnInvoice.items = [
-        { itemId: 'item1', quantity: -5, gstRate: 18, gstAmount: -90 },
-        { itemId: 'item2', quantity: -3, gstRate: 4, gstAmount: -24 }
-      ];
-      mockReturnInvoice.totals = {
-        subtotal: -1100,
-        totalTax: -114,
-        gst18Total: -90,
-        gst4Total: -24,
-        grandTotal: -1214
-      };
-
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_INPUT_ACCOUNT'
-      );
-      
-      expect(gstCall[0].credit).toBe(114); // Total GST (90 + 24)
+        purchaseReturnService.createReverseLedgerEntries(returnInvoice, originalInvoice)
+      ).rejects.toThrow('Supplier not found');
+      expect(savedEntries).toHaveLength(0);
     });
   });
 
-  describe('Accounting accuracy', () => {
-    test('should maintain double-entry bookkeeping balance', async () => {
-      const mockReturnInvoice = {
-        _id: 'return123',
-        invoiceNumber: 'PR2024000001',
-        supplierId: 'supplier123',
-        invoiceDate: new Date(),
-        totals: {
-          subtotal: -1000,
-          totalTax: -180,
-          gst18Total: -180,
-          gst4Total: 0,
-          grandTotal: -1180
-        }
-      };
-
-      const mockOriginalInvoice = {
-        _id: 'invoice123',
-        supplierId: 'supplier123'
-      };
-
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
+  describe('Integration with createPurchaseReturn', () => {
+    const itemId = objectId();
+    const batchId = objectId();
+    const warehouseId = objectId();
+    const originalInvoice = {
+      _id: objectId(),
+      type: 'purchase',
+      invoiceNumber: 'PI2026000001',
+      supplierId,
+      supplierBillNo: 'BILL-77',
+      items: [{
+        itemId, quantity: 10, unitPrice: 100, discount: 0, gstRate: 18
+      }]
+    };
+    const returnData = {
+      originalInvoiceId: originalInvoice._id,
+      returnItems: [{
+        itemId, quantity: 5, batchId, batchNumber: 'B-1', warehouseId, expiryDate: new Date('2026-01-31')
+      }],
+      returnReason: 'expired',
+      createdBy: userId
+    };
 
-      // Calculate total debits and credits
-      let totalDebits = 0;
-      let totalCredits = 0;
-
-      ledgerService.createLedgerEntry.mock.calls.forEach(call => {
-        totalDebits += call[0].debit || 0;
-        totalCredits += call[0].credit || 0;
-      });
-
-      // Debits should equal credits (double-entry bookkeeping)
-      expect(totalDebits).toBe(totalCredits);
-      expect(totalDebits).toBe(1180); // subtotal + tax
+    beforeEach(() => {
+      jest.spyOn(Invoice, 'findById').mockResolvedValue(originalInvoice);
+      jest.spyOn(Invoice, 'find').mockResolvedValue([]);
+      jest.spyOn(Invoice, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(Invoice, 'generateInvoiceNumber').mockResolvedValue('PR2026000001');
+      jest.spyOn(Invoice.prototype, 'save').mockImplementation(validatingSave);
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ _id: batchId });
+      inventoryService.adjustInventory.mockResolvedValue({});
+      stockMovementRepository.create.mockResolvedValue({});
     });
 
-    test('should correctly split inventory and tax components', async () => {
-      const mockReturnInvoice = {
-        _id: 'return123',
-        invoiceNumber: 'PR2024000001',
-        supplierId: 'supplier123',
-        invoiceDate: new Date(),
-        totals: {
-          subtotal: -1000,
-          totalTax: -180,
-          gst18Total: -180,
-          gst4Total: 0,
-          grandTotal: -1180
-        }
-      };
-
-      const mockOriginalInvoice = {
-        _id: 'invoice123',
-        supplierId: 'supplier123'
-      };
+    test('should save a valid return invoice and post a balanced reversal with the same session', async () => {
+      const returnInvoice = await purchaseReturnService.createPurchaseReturn(returnData);
 
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
+      expect(returnInvoice.invoiceNumber).toBe('PR2026000001');
+      expect(returnInvoice.supplierBillNo).toBe('BILL-77-RET');
+      expect(returnInvoice.savedWithSession).toBe('session-1');
+      expect(returnInvoice.items[0].quantity).toBe(5);
+      expect(returnInvoice.items[0].batchAllocations[0].quantity).toBe(5);
+      expect(returnInvoice.totals.grandTotal).toBe(590);
 
-      const inventoryCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'INVENTORY_ACCOUNT'
-      );
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_INPUT_ACCOUNT'
-      );
-
-      // Inventory + GST should equal grand total
-      expect(inventoryCall[0].credit + gstCall[0].credit).toBe(1180);
+      const totals = ledgerService.calculateEntryTotals(savedEntries);
+      expect(totals).toEqual({ debit: 590, credit: 590, difference: 0 });
+      savedEntries.forEach(entry => expect(entry.savedWithSession).toBe('session-1'));
     });
 
-    test('should handle partial GST scenarios', async () => {
-      const mockReturnInvoice = {
-        _id: 'return123',
-        invoiceNumber: 'PR2024000001',
-        supplierId: 'supplier123',
-        invoiceDate: new Date(),
-        totals: {
-          subtotal: -1000,
-          totalTax: -40, // Only 4% GST
-          gst18Total: 0,
-          gst4Total: -40,
-          grandTotal: -1040
-        }
-      };
+    test('should give a later return against the same bill its own supplier bill number', async () => {
+      Invoice.countDocuments.mockResolvedValue(1);
 
-      const mockOriginalInvoice = {
-        _id: 'invoice123',
-        supplierId: 'supplier123'
-      };
+      const returnInvoice = await purchaseReturnService.createPurchaseReturn(returnData);
 
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_INPUT_ACCOUNT'
-      );
-      
-      expect(gstCall[0].credit).toBe(40);
+      expect(Invoice.countDocuments).toHaveBeenCalledWith({
+        originalInvoiceId: originalInvoice._id,
+        type: 'return_purchase'
+      });
+      expect(returnInvoice.supplierBillNo).toBe('BILL-77-RET2');
     });
-  });
-
-  describe('Supplier account handling', () => {
-    test('should use correct supplier ID for AP account', async () => {
-      const mockReturnInvoice = {
-        _id: 'return123',
-        invoiceNumber: 'PR2024000001',
-        supplierId: 'supplier456',
-        invoiceDate: new Date(),
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          gst18Total: -90,
-          gst4Total: 0,
-          grandTotal: -590
-        }
-      };
 
-      const mockOriginalInvoice = {
-        _id: 'invoice123',
-        supplierId: 'supplier456'
-      };
+    test('should post in the session of an enclosing transaction', async () => {
+      await purchaseReturnService.createPurchaseReturn(returnData, { session: 'outer-session' });
 
-      await purchaseReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const apCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].debit > 0
-      );
-      
-      expect(apCall[0].accountId).toBe('supplier456');
+      expect(savedEntries).toHaveLength(2);
+      savedEntries.forEach(entry => expect(entry.savedWithSession).toBe('outer-session'));
     });
   });
 });
@@ -1,14 +1,20 @@
 const rateSuggestionService = require('../../src/services/rateSuggestionService');
 const quotationHistoryService = require('../../src/services/quotationHistoryService');
 const purchaseOrderService = require('../../src/services/purchaseOrderService');
+const priceListService = require('../../src/services/priceListService');
 const Invoice = require('../../src/models/Invoice');
 
 // Mock dependencies
 jest.mock('../../src/services/quotationHistoryService');
 jest.mock('../../src/services/purchaseOrderService');
+jest.mock('../../src/services/priceListService');
 jest.mock('../../src/models/Invoice');
 
 describe('Rate Suggestion Service - Phase 2 (Requirement 18.4, 18.5)', () => {
+    beforeEach(() => {
+        priceListService.resolvePrices.mockResolvedValue([]);
+    });
+
     afterEach(() => {
         jest.clearAllMocks();
     });
@@ -55,6 +61,31 @@ describe('Rate Suggestion Service - Phase 2 (Requirement 18.4, 18.5)', () => {
             expect(result.recommendedRate.source).toBe('quotation_history');
         });
 
+        it('should recommend the customer\'s price list rate for sales', async () => {
+            quotationHistoryService.getQuotationHistory.mockResolvedValue([
+                {
+                    finalRate: 100,
+                    quantity: 10,
+                    transactionDate: new Date('2024-01-15'),
+                    invoiceNumber: 'INV001'
+                }
+            ]);
+            priceListService.resolvePrices.mockResolvedValue([{
+                itemId: mockItemId,
+                price: 88,
+                minPrice: 85,
+                priceListId: 'pl1',
+                priceListName: 'Hospital contract 2024'
+            }]);
+
+            const result = await rateSuggestionService.getRateSuggestions(mockItemId, mockPartyId, 'sales');
+
+            expect(priceListService.resolvePrices).toHaveBeenCalledWith(mockPartyId, [mockItemId]);
+            expect(result.priceList).toMatchObject({ rate: 88, minPrice: 85, priceListId: 'pl1' });
+            expect(result.recommendedRate.rate).toBe(88);
+            expect(result.recommendedRate.source).toBe('price_list');
+        });
+
         it('should get rate suggestions for purchase transaction with PO rate', async () => {
             const mockQuotationHistory = [
                 {
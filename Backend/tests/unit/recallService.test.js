@@ -0,0 +1,241 @@
+const recallService = require('../../src/services/recallService');
+const Recall = require('../../src/models/Recall');
+const Invoice = require('../../src/models/Invoice');
+const batchRepository = require('../../src/repositories/batchRepository');
+
+jest.mock('../../src/models/Recall');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/repositories/batchRepository');
+
+describe('Recall Service', () => {
+  const batches = [
+    {
+      _id: 'batch1',
+      batchNumber: 'B-100',
+      item: { _id: 'item1', code: 'ITM1', name: 'Paracetamol' },
+      warehouse: { _id: 'wh1', code: 'WH1', name: 'Main' },
+      supplier: { _id: 'sup1', code: 'SUP1', name: 'Pharma Co' },
+      quantity: 100,
+      remainingQuantity: 40,
+      status: 'active'
+    },
+    {
+      _id: 'batch2',
+      batchNumber: 'B-100',
+      item: { _id: 'item1', code: 'ITM1', name: 'Paracetamol' },
+      warehouse: { _id: 'wh2', code: 'WH2', name: 'Branch' },
+      supplier: { _id: 'sup1', code: 'SUP1', name: 'Pharma Co' },
+      quantity: 50,
+      remainingQuantity: 10,
+      status: 'depleted'
+    }
+  ];
+
+  const route = { _id: 'route1', code: 'R1', name: 'City Route' };
+  const invoices = [
+    {
+      _id: 'inv1',
+      invoiceNumber: 'SI2026000001',
+      invoiceDate: new Date('2026-01-10'),
+      customerId: { _id: 'cust1', code: 'C1', name: 'Care Pharmacy', routeId: route },
+      salesmanId: { _id: 'sm1', code: 'S1', name: 'Ali' },
+      items: [
+        {
+          itemId: 'item1',
+          quantity: 30,
+          batchAllocations: [
+            { batchId: 'batch1', quantity: 20 },
+            { batchId: 'batch9', quantity: 10 }
+          ]
+        }
+      ]
+    },
+    {
+      _id: 'inv2',
+      invoiceNumber: 'SI2026000002',
+      invoiceDate: new Date('2026-01-12'),
+      customerId: { _id: 'cust2', code: 'C2', name: 'City Medicos', routeId: route },
+      salesmanId: { _id: 'sm1', code: 'S1', name: 'Ali' },
+      items: [
+        { itemId: 'item1', quantity: 15, batchInfo: { batchNumber: 'b-100' } },
+        { itemId: 'item2', quantity: 5, batchInfo: { batchNumber: 'X-1' } }
+      ]
+    }
+  ];
+
+  const mockInvoiceQuery = (result) => {
+    const query = {
+      populate: () => query,
+      sort: () => query,
+      lean: () => Promise.resolve(result)
+    };
+    Invoice.find.mockReturnValue(query);
+  };
+
+  const mockRecallLookup = (recall) => {
+    const query = {
+      populate: () => query,
+      then: (resolve, reject) => Promise.resolve(recall).then(resolve, reject)
+    };
+    Recall.findById.mockReturnValue(query);
+  };
+
+  const buildRecall = (overrides = {}) => {
+    const recall = {
+      _id: 'recall1',
+      recallNumber: 'RCL20260001',
+      status: 'open',
+      batches: [
+        { batch: 'batch1', batchNumber: 'B-100', warehouse: 'wh1' },
+        { batch: 'batch2', batchNumber: 'B-100', warehouse: 'wh2' }
+      ],
+      returnRequests: [],
+      ...overrides
+    };
+    recall.save = jest.fn().mockResolvedValue(recall);
+    return recall;
+  };
+
+  describe('traceBatch', () => {
+    it('should require a batch number or supplier lot', async () => {
+      await expect(recallService.traceBatch({})).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should return 404 when no batch matches', async () => {
+      batchRepository.findByBatchOrLot.mockResolvedValue([]);
+
+      await expect(recallService.traceBatch({ batchNumber: 'NOPE' })).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should trace sold quantities per invoice, customer, route and salesman', async () => {
+      batchRepository.findByBatchOrLot.mockResolvedValue(batches);
+      mockInvoiceQuery(invoices);
+
+      const trace = await recallService.traceBatch({ batchNumber: 'b-100' });
+
+      expect(batchRepository.findByBatchOrLot).toHaveBeenCalledWith({ batchNumber: 'b-100' });
+      expect(trace.invoices.map(sale => [sale.invoiceNumber, sale.quantity])).toEqual([
+        ['SI2026000001', 20],
+        ['SI2026000002', 15]
+      ]);
+      expect(trace.customers).toHaveLength(2);
+      expect(trace.routes).toEqual([
+        expect.objectContaining({ _id: 'route1', quantity: 35, invoiceCount: 2 })
+      ]);
+      expect(trace.salesmen).toEqual([
+        expect.objectContaining({ _id: 'sm1', quantity: 35, invoiceCount: 2 })
+      ]);
+      expect(trace.warehouseStock.map(stock => [stock.warehouse.code, stock.quantity])).toEqual([
+        ['WH1', 40],
+        ['WH2', 10]
+      ]);
+      expect(trace.totals).toEqual({
+        receivedQuantity: 150,
+        soldQuantity: 35,
+        inStockQuantity: 50,
+        invoiceCount: 2
+      });
+    });
+  });
+
+  describe('createRecall', () => {
+    it('should require a reason', async () => {
+      await expect(recallService.createRecall({ batchNumber: 'B-100', createdBy: 'user1' }))
+        .rejects.toThrow('Recall reason is required');
+    });
+
+    it('should record every matching batch on the recall', async () => {
+      batchRepository.findByBatchOrLot.mockResolvedValue(batches);
+      Recall.create.mockImplementation(data => Promise.resolve({ _id: 'recall1', ...data }));
+
+      const recall = await recallService.createRecall({
+        batchNumber: 'B-100',
+        reason: 'DRAP alert: failed dissolution test',
+        createdBy: 'user1'
+      });
+
+      expect(recall.item).toBe('item1');
+      expect(recall.supplier).toBe('sup1');
+      expect(recall.batches).toEqual([
+        { batch: 'batch1', batchNumber: 'B-100', warehouse: 'wh1' },
+        { batch: 'batch2', batchNumber: 'B-100', warehouse: 'wh2' }
+      ]);
+    });
+  });
+
+  describe('quarantineRecall', () => {
+    it('should quarantine the batches and remember their previous status', async () => {
+      const recall = buildRecall();
+      mockRecallLookup(recall);
+      batchRepository.findByIds.mockResolvedValue(batches);
+
+      await recallService.quarantineRecall('recall1', 'user1');
+
+      expect(batchRepository.setStatus).toHaveBeenCalledWith('batch1', 'quarantined', 'user1');
+      expect(batchRepository.setStatus).toHaveBeenCalledWith('batch2', 'quarantined', 'user1');
+      expect(recall.batches.map(entry => entry.previousStatus)).toEqual(['active', 'depleted']);
+      expect(recall.status).toBe('quarantined');
+      expect(recall.save).toHaveBeenCalled();
+    });
+
+    it('should not quarantine batches of a closed recall', async () => {
+      mockRecallLookup(buildRecall({ status: 'closed' }));
+
+      await expect(recallService.quarantineRecall('recall1', 'user1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(batchRepository.setStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateReturnRequests', () => {
+    it('should create one return request per customer, skipping pending ones', async () => {
+      const recall = buildRecall({
+        returnRequests: [{ requestNumber: 'RCL20260001-RR001', customer: 'cust2', status: 'pending' }]
+      });
+      mockRecallLookup(recall);
+      batchRepository.findByIds.mockResolvedValue(batches);
+      mockInvoiceQuery(invoices);
+
+      await recallService.generateReturnRequests('recall1');
+
+      expect(recall.returnRequests).toHaveLength(2);
+      expect(recall.returnRequests[1]).toEqual({
+        requestNumber: 'RCL20260001-RR002',
+        customer: 'cust1',
+        invoices: [
+          {
+            invoice: 'inv1',
+            invoiceNumber: 'SI2026000001',
+            invoiceDate: invoices[0].invoiceDate,
+            quantity: 20
+          }
+        ],
+        totalQuantity: 20
+      });
+      expect(recall.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('closeRecall', () => {
+    it('should keep batches quarantined by default', async () => {
+      const recall = buildRecall({ status: 'quarantined' });
+      recall.batches[0].previousStatus = 'active';
+      mockRecallLookup(recall);
+
+      await recallService.closeRecall('recall1', 'user1');
+
+      expect(batchRepository.setStatus).not.toHaveBeenCalled();
+      expect(recall.status).toBe('closed');
+    });
+
+    it('should restore previous batch statuses when releasing', async () => {
+      const recall = buildRecall({ status: 'quarantined' });
+      recall.batches[0].previousStatus = 'active';
+      mockRecallLookup(recall);
+
+      await recallService.closeRecall('recall1', 'user1', { releaseBatches: true });
+
+      expect(batchRepository.setStatus).toHaveBeenCalledTimes(1);
+      expect(batchRepository.setStatus).toHaveBeenCalledWith('batch1', 'active', 'user1');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const recoverySummaryService = require('../../src/services/recoverySummaryService');
+const RecoverySummary = require('../../src/models/RecoverySummary');
+const Customer = require('../../src/models/Customer');
+const Invoice = require('../../src/models/Invoice');
+const CashReceipt = require('../../src/models/CashReceipt');
+const ledgerService = require('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
+
+// The cash receipt service runs for real; only storage and the ledger are stubbed
+jest.mock('../../src/models/RecoverySummary');
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/CashReceipt');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/fiscalPeriodService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const makeInvoice = (id, grandTotal, paidAmount) => ({
+  _id: id,
+  invoiceNumber: `SI-${id}`,
+  customerId: 'cust1',
+  status: 'confirmed',
+  invoiceDate: new Date(2026, 8, 1),
+  totals: { grandTotal, paidAmount },
+  save: jest.fn().mockResolvedValue(true)
+});
+
+const makeSummary = () => ({
+  _id: 'rs1',
+  date: new Date(2026, 9, 19),
+  salesmanId: 'sm1',
+  town: 'Hyderabad',
+  source: 'generated',
+  status: 'open',
+  accounts: [{
+    accountId: 'cust1',
+    recoveryAmount: 0,
+    invoices: [
+      { invoiceId: 'inv1', dueAmount: 3000, recoveredAmount: 0 },
+      { invoiceId: 'inv2', dueAmount: 5000, recoveredAmount: 0 }
+    ]
+  }],
+  save: jest.fn().mockResolvedValue(true),
+  populate: jest.fn().mockResolvedValue(true)
+});
+
+describe('Recovery Summary Service - Posting Receipts', () => {
+  let invoices;
+  let receipt;
+
+  beforeEach(() => {
+    invoices = { inv1: makeInvoice('inv1', 5000, 2000), inv2: makeInvoice('inv2', 5000, 0) };
+    receipt = null;
+
+    Customer.findById.mockResolvedValue({ _id: 'cust1', isActive: true });
+    Invoice.find.mockReturnValue(query([invoices.inv1, invoices.inv2]));
+    Invoice.findById.mockImplementation(id => Promise.resolve(invoices[id]));
+    CashReceipt.generateReceiptNumber.mockResolvedValue('CR2026000001');
+    CashReceipt.mockImplementation((data) => {
+      receipt = { _id: 'receipt1', ...data, save: jest.fn().mockResolvedValue(true) };
+      return receipt;
+    });
+    accountService.getOrCreateSystemAccount.mockResolvedValue({ _id: 'cash1', code: 'CASH_IN_HAND' });
+  });
+
+  it('should write the receipt, the invoices and the cash posting in the sheet\'s transaction', async () => {
+    const summary = makeSummary();
+    RecoverySummary.findOne.mockResolvedValue(summary);
+
+    await recoverySummaryService.postRecoveries('rs1', {
+      accounts: [{ accountId: 'cust1', recoveryAmount: 4000 }],
+      createdBy: 'user1'
+    });
+
+    expect(receipt.save).toHaveBeenCalledWith({ session: 'session-1' });
+    expect(Invoice.findById).toHaveBeenCalledWith('inv1', null, { session: 'session-1' });
+    expect(invoices.inv1).toMatchObject({ paymentStatus: 'paid', totals: { paidAmount: 5000 } });
+    expect(invoices.inv2).toMatchObject({ paymentStatus: 'partial', totals: { paidAmount: 1000 } });
+    expect(invoices.inv2.save).toHaveBeenCalledWith({ session: 'session-1' });
+    expect(accountService.getOrCreateSystemAccount).toHaveBeenCalledWith('CASH_IN_HAND', expect.any(Object));
+    expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+      { accountId: 'cash1', accountType: 'Account' },
+      { accountId: 'cust1', accountType: 'Customer' },
+      4000,
+      'Cash receipt CR2026000001 - Payment against 2 invoice(s)',
+      'cash_receipt',
+      'receipt1',
+      'user1',
+      { session: 'session-1' }
+    );
+    expect(summary.accounts[0].cashReceiptId).toBe('receipt1');
+    expect(summary.save).toHaveBeenCalledWith({ session: 'session-1' });
+    expect(summary.status).toBe('posted');
+  });
+
+  it('should leave the account unposted when the ledger refuses the receipt', async () => {
+    const summary = makeSummary();
+    RecoverySummary.findOne.mockResolvedValue(summary);
+    ledgerService.createDoubleEntry.mockRejectedValue(new Error('Accounting period is closed'));
+
+    await expect(recoverySummaryService.postRecoveries('rs1', {
+      accounts: [{ accountId: 'cust1', recoveryAmount: 4000 }],
+      createdBy: 'user1'
+    })).rejects.toThrow('Accounting period is closed');
+
+    expect(summary.accounts[0].cashReceiptId).toBeUndefined();
+    expect(summary.save).not.toHaveBeenCalled();
+    expect(summary.status).toBe('open');
+  });
+});
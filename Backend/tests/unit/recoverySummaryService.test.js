@@ -0,0 +1,258 @@
+const recoverySummaryService = require('../../src/services/recoverySummaryService');
+const RecoverySummary = require('../../src/models/RecoverySummary');
+const Salesman = require('../../src/models/Salesman');
+const Customer = require('../../src/models/Customer');
+const Invoice = require('../../src/models/Invoice');
+const CashReceipt = require('../../src/models/CashReceipt');
+const cashReceiptService = require('../../src/services/cashReceiptService');
+
+jest.mock('../../src/models/RecoverySummary');
+jest.mock('../../src/models/Salesman');
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/CashReceipt');
+jest.mock('../../src/services/cashReceiptService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const makeSummary = overrides => ({
+  _id: 'rs1',
+  date: new Date(2026, 9, 19),
+  salesmanId: 'sm1',
+  town: 'Hyderabad',
+  source: 'generated',
+  status: 'open',
+  accounts: [
+    {
+      accountId: 'cust1',
+      recoveryAmount: 0,
+      invoices: [
+        { invoiceId: 'inv1', dueAmount: 3000, recoveredAmount: 0 },
+        { invoiceId: 'inv2', dueAmount: 5000, recoveredAmount: 0 }
+      ]
+    },
+    {
+      accountId: 'cust2',
+      recoveryAmount: 0,
+      invoices: [{ invoiceId: 'inv3', dueAmount: 1200, recoveredAmount: 0 }]
+    }
+  ],
+  save: jest.fn().mockResolvedValue(true),
+  populate: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('Recovery Summary Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generateRecoverySummary', () => {
+    beforeEach(() => {
+      Salesman.findById.mockResolvedValue({
+        _id: 'sm1', name: 'Asif', routeId: 'route1', isActive: true
+      });
+      Customer.find.mockReturnValue(query([{ _id: 'cust1' }, { _id: 'cust2' }]));
+      RecoverySummary.mockImplementation(doc => ({
+        ...doc,
+        save: jest.fn().mockResolvedValue(true),
+        populate: jest.fn().mockResolvedValue(true)
+      }));
+    });
+
+    it('should build each account\'s balance from its unpaid invoices', async () => {
+      Invoice.find.mockReturnValue(query([
+        {
+          _id: 'inv1', customerId: 'cust1', invoiceNumber: 'SI1', totals: { grandTotal: 5000, paidAmount: 2000 }
+        },
+        {
+          _id: 'inv2', customerId: 'cust1', invoiceNumber: 'SI2', totals: { grandTotal: 5000, paidAmount: 0 }
+        },
+        {
+          _id: 'inv3', customerId: 'cust2', invoiceNumber: 'SI3', totals: { grandTotal: 1200 }
+        }
+      ]));
+
+      const summary = await recoverySummaryService.generateRecoverySummary({
+        salesmanId: 'sm1', town: 'Hyderabad', createdBy: 'user1'
+      });
+
+      expect(Customer.find).toHaveBeenCalledWith({
+        routeId: 'route1',
+        'contactInfo.town': /^Hyderabad$/i
+      });
+      expect(Invoice.find).toHaveBeenCalledWith({
+        type: 'sales',
+        status: 'confirmed',
+        paymentStatus: { $in: ['pending', 'partial'] },
+        customerId: { $in: ['cust1', 'cust2'] }
+      });
+      expect(summary).toMatchObject({ source: 'generated', routeId: 'route1', town: 'Hyderabad' });
+      expect(summary.accounts).toHaveLength(2);
+      expect(summary.accounts[0]).toMatchObject({
+        accountId: 'cust1', invoiceAmount: 10000, balance: 8000, recoveryAmount: 0
+      });
+      expect(summary.accounts[0].invoices.map(line => line.dueAmount)).toEqual([3000, 5000]);
+    });
+
+    it('should refuse a town with nothing outstanding', async () => {
+      Invoice.find.mockReturnValue(query([]));
+
+      await expect(recoverySummaryService.generateRecoverySummary({
+        salesmanId: 'sm1', town: 'Kotri', createdBy: 'user1'
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should need a route for the salesman', async () => {
+      Salesman.findById.mockResolvedValue({
+        _id: 'sm1', name: 'Asif', routeId: null, isActive: true
+      });
+
+      await expect(recoverySummaryService.generateRecoverySummary({
+        salesmanId: 'sm1', town: 'Hyderabad', createdBy: 'user1'
+      })).rejects.toThrow('Salesman Asif has no route');
+    });
+  });
+
+  describe('postRecoveries', () => {
+    beforeEach(() => {
+      CashReceipt.generateReceiptNumber.mockResolvedValue('CR2026000001');
+      cashReceiptService.applyPaymentToInvoices.mockImplementation(data => Promise.resolve({
+        _id: `receipt-${data.customerId}`
+      }));
+    });
+
+    it('should post each collection as a cash receipt against the oldest invoices first', async () => {
+      const summary = makeSummary();
+      RecoverySummary.findOne.mockResolvedValue(summary);
+      Invoice.find
+        .mockReturnValueOnce(query([
+          { _id: 'inv1', totals: { grandTotal: 5000, paidAmount: 2000 } },
+          { _id: 'inv2', totals: { grandTotal: 5000, paidAmount: 0 } }
+        ]))
+        .mockReturnValueOnce(query([{ _id: 'inv3', totals: { grandTotal: 1200 } }]));
+
+      await recoverySummaryService.postRecoveries('rs1', {
+        accounts: [{ accountId: 'cust1', recoveryAmount: 4000 }, { accountId: 'cust2', recoveryAmount: 1200 }],
+        createdBy: 'user1'
+      });
+
+      expect(cashReceiptService.applyPaymentToInvoices).toHaveBeenCalledTimes(2);
+      expect(cashReceiptService.applyPaymentToInvoices).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        customerId: 'cust1',
+        amount: 4000,
+        paymentMethod: 'cash',
+        salesmanId: 'sm1',
+        invoicePayments: [{ invoiceId: 'inv1', paidAmount: 3000 }, { invoiceId: 'inv2', paidAmount: 1000 }],
+        createdBy: 'user1'
+      }), { session: 'session-1' });
+      expect(summary.save).toHaveBeenCalledWith({ session: 'session-1' });
+      expect(summary.accounts[0]).toMatchObject({ recoveryAmount: 4000, cashReceiptId: 'receipt-cust1' });
+      expect(summary.accounts[0].invoices.map(line => line.recoveredAmount)).toEqual([3000, 1000]);
+      expect(summary).toMatchObject({ status: 'posted', receiptsTotal: 5200, postedBy: 'user1' });
+    });
+
+    it('should post nothing when a collection is more than is still due', async () => {
+      RecoverySummary.findOne.mockResolvedValue(makeSummary());
+      Invoice.find
+        .mockReturnValueOnce(query([
+          { _id: 'inv1', totals: { grandTotal: 5000, paidAmount: 2000 } },
+          { _id: 'inv2', totals: { grandTotal: 5000, paidAmount: 0 } }
+        ]))
+        .mockReturnValueOnce(query([{ _id: 'inv3', totals: { grandTotal: 1200, paidAmount: 1200 } }]));
+
+      await expect(recoverySummaryService.postRecoveries('rs1', {
+        accounts: [{ accountId: 'cust1', recoveryAmount: 1000 }, { accountId: 'cust2', recoveryAmount: 500 }],
+        createdBy: 'user1'
+      })).rejects.toThrow('Recovery of 500 from account cust2 is more than the 0 still due on its invoices');
+      expect(cashReceiptService.applyPaymentToInvoices).not.toHaveBeenCalled();
+    });
+
+    it('should skip accounts posted on an earlier attempt', async () => {
+      const summary = makeSummary();
+      summary.accounts[0].cashReceiptId = 'receipt-cust1';
+      summary.accounts[0].recoveryAmount = 4000;
+      RecoverySummary.findOne.mockResolvedValue(summary);
+      Invoice.find.mockReturnValueOnce(query([{ _id: 'inv3', totals: { grandTotal: 1200 } }]));
+
+      await recoverySummaryService.postRecoveries('rs1', {
+        accounts: [{ accountId: 'cust1', recoveryAmount: 4000 }, { accountId: 'cust2', recoveryAmount: 1200 }],
+        createdBy: 'user1'
+      });
+
+      expect(cashReceiptService.applyPaymentToInvoices).toHaveBeenCalledTimes(1);
+      expect(summary.receiptsTotal).toBe(5200);
+    });
+
+    it('should refuse hand-keyed summaries and accounts not on the sheet', async () => {
+      RecoverySummary.findOne.mockResolvedValue(makeSummary({ source: 'manual' }));
+      await expect(recoverySummaryService.postRecoveries('rs1', { accounts: [], createdBy: 'user1' }))
+        .rejects.toThrow('Only recovery summaries generated from invoices can be posted');
+
+      RecoverySummary.findOne.mockResolvedValue(makeSummary());
+      await expect(recoverySummaryService.postRecoveries('rs1', {
+        accounts: [{ accountId: 'cust9', recoveryAmount: 100 }], createdBy: 'user1'
+      })).rejects.toThrow('Account cust9 is not on this recovery summary');
+    });
+  });
+
+  describe('reconcileCash', () => {
+    const postedSummary = () => {
+      const summary = makeSummary({ status: 'posted' });
+      summary.accounts[0].cashReceiptId = 'r1';
+      summary.accounts[1].cashReceiptId = 'r2';
+      return summary;
+    };
+
+    it('should flag cash handed over that does not tally with the receipts', async () => {
+      const summary = postedSummary();
+      RecoverySummary.findOne.mockResolvedValue(summary);
+      CashReceipt.find.mockReturnValue(query([{ amount: 4000 }, { amount: 1200 }]));
+
+      await recoverySummaryService.reconcileCash('rs1', { cashHandedOver: 5000, reconciledBy: 'user2' });
+
+      expect(CashReceipt.find).toHaveBeenCalledWith({
+        _id: { $in: ['r1', 'r2'] },
+        status: { $nin: ['cancelled', 'bounced'] }
+      });
+      expect(summary).toMatchObject({
+        cashHandedOver: 5000,
+        receiptsTotal: 5200,
+        cashDifference: -200,
+        hasCashDifference: true,
+        status: 'reconciled',
+        reconciledBy: 'user2'
+      });
+    });
+
+    it('should clear the flag when the cash tallies', async () => {
+      const summary = postedSummary();
+      RecoverySummary.findOne.mockResolvedValue(summary);
+      CashReceipt.find.mockReturnValue(query([{ amount: 4000 }, { amount: 1200 }]));
+
+      await recoverySummaryService.reconcileCash('rs1', { cashHandedOver: 5200, reconciledBy: 'user2' });
+
+      expect(summary).toMatchObject({ cashDifference: 0, hasCashDifference: false });
+    });
+
+    it('should wait for the recoveries to be posted', async () => {
+      RecoverySummary.findOne.mockResolvedValue(makeSummary());
+
+      await expect(recoverySummaryService.reconcileCash('rs1', { cashHandedOver: 5000 }))
+        .rejects.toThrow('Post the recoveries before reconciling the cash handed over');
+    });
+  });
+});
@@ -0,0 +1,316 @@
+const replenishmentService = require('../../src/services/replenishmentService');
+const Inventory = require('../../src/models/Inventory');
+const Invoice = require('../../src/models/Invoice');
+const PurchaseOrder = require('../../src/models/PurchaseOrder');
+const Supplier = require('../../src/models/Supplier');
+const Warehouse = require('../../src/models/Warehouse');
+const purchaseOrderService = require('../../src/services/purchaseOrderService');
+
+jest.mock('../../src/models/Inventory');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/PurchaseOrder');
+jest.mock('../../src/models/Supplier');
+jest.mock('../../src/models/Warehouse');
+jest.mock('../../src/services/purchaseOrderService');
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const ITEM_ID = '64b000000000000000000001';
+const OTHER_ITEM_ID = '64b000000000000000000002';
+const MAIN = { _id: '64c000000000000000000001', code: 'MAIN', name: 'Main Store' };
+const BRANCH = { _id: '64c000000000000000000002', code: 'BR1', name: 'Branch' };
+const SUPPLIER = {
+  _id: '64d000000000000000000001', code: 'SUP1', name: 'Pharma Distributors', leadTimeDays: 10
+};
+
+const makeItem = overrides => ({
+  _id: ITEM_ID,
+  code: 'PARA',
+  name: 'Paracetamol',
+  unit: 'strip',
+  packSize: 1,
+  isActive: true,
+  inventory: { minimumStock: 0, maximumStock: 1000 },
+  pricing: { costPrice: 8 },
+  ...overrides
+});
+
+/**
+ * Wire the mocks: stock records, quantity sold per item and warehouse over the window,
+ * open purchase orders and the latest purchase of each item
+ */
+const arrange = ({
+  stock, sales = [], orders = [], purchases = [], suppliers = [SUPPLIER]
+}) => {
+  Warehouse.find.mockReturnValue(query([]));
+  Inventory.find.mockReturnValue(query(stock));
+  PurchaseOrder.find.mockReturnValue(query(orders));
+  Supplier.find.mockReturnValue(query(suppliers));
+  Invoice.aggregate.mockImplementation((pipeline) => {
+    if (pipeline[0].$match.type === 'sales') {
+      return Promise.resolve(sales.map(row => ({
+        _id: { itemId: row.itemId, warehouseId: row.warehouseId },
+        quantity: row.quantity
+      })));
+    }
+    return Promise.resolve(purchases);
+  });
+};
+
+describe('Replenishment Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getReorderSuggestions', () => {
+    it('should suggest the quantity that brings stock back to the target level', async () => {
+      // 900 sold over 90 days = 10 a day; lead time 10, safety 7, cover 30
+      arrange({
+        stock: [{ item: makeItem({ preferredSupplier: SUPPLIER._id }), warehouse: MAIN, quantity: 50 }],
+        sales: [{ itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 900 }],
+        purchases: [{ _id: ITEM_ID, supplierId: SUPPLIER._id, unitPrice: 7.5 }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions();
+
+      expect(result.suppliers).toHaveLength(1);
+      const [suggestion] = result.suppliers[0].suggestions;
+      expect(suggestion).toMatchObject({
+        averageDailySales: 10,
+        leadTimeDays: 10,
+        safetyStock: 70,
+        reorderPoint: 170,
+        targetLevel: 470,
+        onHand: 50,
+        onOrder: 0,
+        suggestedQuantity: 420,
+        unitPrice: 7.5,
+        estimatedCost: 3150
+      });
+      expect(result.unassigned).toHaveLength(0);
+      expect(result.totals).toEqual({ suggestions: 1, estimatedCost: 3150 });
+    });
+
+    it('should count open purchase orders for the warehouse as stock on order', async () => {
+      arrange({
+        stock: [{ item: makeItem({ preferredSupplier: SUPPLIER._id }), warehouse: MAIN, quantity: 50 }],
+        sales: [{ itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 900 }],
+        orders: [{
+          warehouseId: MAIN._id,
+          items: [{ itemId: ITEM_ID, pendingQuantity: 100 }, { itemId: OTHER_ITEM_ID, pendingQuantity: 40 }]
+        }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions();
+
+      const [suggestion] = result.suppliers[0].suggestions;
+      expect(suggestion.onOrder).toBe(100);
+      expect(suggestion.suggestedQuantity).toBe(320);
+      expect(PurchaseOrder.find).toHaveBeenCalledWith(expect.objectContaining({
+        isDeleted: false,
+        status: { $in: ['draft', 'pending', 'approved'] },
+        fulfillmentStatus: { $ne: 'fulfilled' }
+      }));
+    });
+
+    it('should not suggest an order while stock on hand and on order covers the reorder point', async () => {
+      arrange({
+        stock: [{ item: makeItem({ preferredSupplier: SUPPLIER._id }), warehouse: MAIN, quantity: 120 }],
+        sales: [{ itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 900 }],
+        orders: [{ warehouseId: MAIN._id, items: [{ itemId: ITEM_ID, pendingQuantity: 60 }] }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions();
+
+      expect(result.suppliers).toHaveLength(0);
+      expect(result.totals.suggestions).toBe(0);
+    });
+
+    it('should round the suggested quantity up to whole packs', async () => {
+      arrange({
+        stock: [{
+          item: makeItem({ preferredSupplier: SUPPLIER._id, packSize: 12 }), warehouse: MAIN, quantity: 50
+        }],
+        sales: [{ itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 900 }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions();
+
+      expect(result.suppliers[0].suggestions[0].suggestedQuantity).toBe(420);
+
+      arrange({
+        stock: [{
+          item: makeItem({ preferredSupplier: SUPPLIER._id, packSize: 25 }), warehouse: MAIN, quantity: 50
+        }],
+        sales: [{ itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 900 }]
+      });
+
+      const rounded = await replenishmentService.getReorderSuggestions();
+
+      expect(rounded.suppliers[0].suggestions[0].suggestedQuantity).toBe(425);
+    });
+
+    it('should cap the target level at maximum stock but never below the reorder point', async () => {
+      arrange({
+        stock: [{
+          item: makeItem({ preferredSupplier: SUPPLIER._id, inventory: { minimumStock: 0, maximumStock: 200 } }),
+          warehouse: MAIN,
+          quantity: 50
+        }],
+        sales: [{ itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 900 }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions();
+
+      const [suggestion] = result.suppliers[0].suggestions;
+      expect(suggestion.targetLevel).toBe(200);
+      expect(suggestion.suggestedQuantity).toBe(150);
+    });
+
+    it('should reorder slow movers up to minimum stock', async () => {
+      arrange({
+        stock: [{
+          item: makeItem({ preferredSupplier: SUPPLIER._id, inventory: { minimumStock: 40, maximumStock: 1000 } }),
+          warehouse: MAIN,
+          quantity: 10
+        }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions();
+
+      const [suggestion] = result.suppliers[0].suggestions;
+      expect(suggestion.averageDailySales).toBe(0);
+      expect(suggestion.reorderPoint).toBe(40);
+      expect(suggestion.suggestedQuantity).toBe(30);
+    });
+
+    it('should fall back to the last supplier invoiced and leave items with no supplier unassigned', async () => {
+      arrange({
+        stock: [
+          { item: makeItem(), warehouse: MAIN, quantity: 0 },
+          {
+            item: makeItem({ _id: OTHER_ITEM_ID, code: 'IBU', pricing: { costPrice: 5 } }),
+            warehouse: MAIN,
+            quantity: 0
+          }
+        ],
+        sales: [
+          { itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 90 },
+          { itemId: OTHER_ITEM_ID, warehouseId: MAIN._id, quantity: 90 }
+        ],
+        purchases: [{ _id: ITEM_ID, supplierId: SUPPLIER._id, unitPrice: 7 }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions();
+
+      expect(result.suppliers[0].supplier).toEqual({ _id: SUPPLIER._id, code: 'SUP1', name: 'Pharma Distributors' });
+      expect(result.suppliers[0].suggestions[0].item.code).toBe('PARA');
+      expect(result.unassigned).toHaveLength(1);
+      expect(result.unassigned[0]).toMatchObject({ supplier: null, leadTimeDays: 7, unitPrice: 5 });
+    });
+
+    it('should spread stock on order without a warehouse over the neediest warehouses first', async () => {
+      arrange({
+        stock: [
+          { item: makeItem({ preferredSupplier: SUPPLIER._id }), warehouse: MAIN, quantity: 50 },
+          { item: makeItem({ preferredSupplier: SUPPLIER._id }), warehouse: BRANCH, quantity: 0 }
+        ],
+        sales: [
+          { itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 900 },
+          { itemId: ITEM_ID, warehouseId: BRANCH._id, quantity: 90 }
+        ],
+        orders: [{ items: [{ itemId: ITEM_ID, pendingQuantity: 425 }] }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions();
+
+      // Main needs 420 to reach its target of 470 and takes that first; the branch gets the other 5
+      const suggestions = result.suppliers.length ? result.suppliers[0].suggestions : [];
+      const branch = suggestions.find(suggestion => suggestion.warehouse._id === BRANCH._id);
+      expect(suggestions.find(suggestion => suggestion.warehouse._id === MAIN._id)).toBeUndefined();
+      expect(branch).toMatchObject({ onOrder: 5, targetLevel: 47, suggestedQuantity: 42 });
+    });
+
+    it('should keep only the items of the requested supplier', async () => {
+      arrange({
+        stock: [
+          { item: makeItem({ preferredSupplier: SUPPLIER._id }), warehouse: MAIN, quantity: 0 },
+          { item: makeItem({ _id: OTHER_ITEM_ID }), warehouse: MAIN, quantity: 0 }
+        ],
+        sales: [{ itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 90 }]
+      });
+
+      const result = await replenishmentService.getReorderSuggestions({ supplierId: SUPPLIER._id });
+
+      expect(result.totals.suggestions).toBe(1);
+      expect(result.unassigned).toHaveLength(0);
+    });
+
+    it('should reject out-of-range day options', async () => {
+      await expect(replenishmentService.getReorderSuggestions({ lookbackDays: 0 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(replenishmentService.getReorderSuggestions({ coverDays: 'abc' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('generateDraftPurchaseOrders', () => {
+    it('should raise one draft purchase order per supplier and warehouse', async () => {
+      arrange({
+        stock: [
+          { item: makeItem({ preferredSupplier: SUPPLIER._id }), warehouse: MAIN, quantity: 50 },
+          {
+            item: makeItem({ _id: OTHER_ITEM_ID, code: 'IBU', preferredSupplier: SUPPLIER._id }),
+            warehouse: MAIN,
+            quantity: 0
+          },
+          { item: makeItem({ preferredSupplier: SUPPLIER._id }), warehouse: BRANCH, quantity: 0 }
+        ],
+        sales: [
+          { itemId: ITEM_ID, warehouseId: MAIN._id, quantity: 900 },
+          { itemId: OTHER_ITEM_ID, warehouseId: MAIN._id, quantity: 90 },
+          { itemId: ITEM_ID, warehouseId: BRANCH._id, quantity: 90 }
+        ]
+      });
+      purchaseOrderService.createPurchaseOrder.mockImplementation(data => Promise.resolve({ _id: 'po', ...data }));
+
+      const result = await replenishmentService.generateDraftPurchaseOrders({}, 'user1');
+
+      expect(purchaseOrderService.createPurchaseOrder).toHaveBeenCalledTimes(2);
+      expect(purchaseOrderService.createPurchaseOrder).toHaveBeenCalledWith(expect.objectContaining({
+        supplierId: SUPPLIER._id,
+        warehouseId: MAIN._id,
+        createdBy: 'user1',
+        items: [
+          { itemId: ITEM_ID, quantity: 420, unitPrice: 8 },
+          { itemId: OTHER_ITEM_ID, quantity: 47, unitPrice: 8 }
+        ]
+      }));
+      expect(purchaseOrderService.createPurchaseOrder).toHaveBeenCalledWith(expect.objectContaining({
+        warehouseId: BRANCH._id,
+        items: [{ itemId: ITEM_ID, quantity: 47, unitPrice: 8 }]
+      }));
+      expect(result.purchaseOrders).toHaveLength(2);
+    });
+
+    it('should not raise anything when nothing needs ordering', async () => {
+      arrange({ stock: [] });
+
+      const result = await replenishmentService.generateDraftPurchaseOrders({}, 'user1');
+
+      expect(purchaseOrderService.createPurchaseOrder).not.toHaveBeenCalled();
+      expect(result).toEqual({ purchaseOrders: [], unassigned: [] });
+    });
+  });
+});
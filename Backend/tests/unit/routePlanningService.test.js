@@ -0,0 +1,280 @@
+const routePlanningService = require('../../src/services/routePlanningService');
+const BeatPlan = require('../../src/models/BeatPlan');
+const VisitSheet = require('../../src/models/VisitSheet');
+const Route = require('../../src/models/Route');
+const Customer = require('../../src/models/Customer');
+const Invoice = require('../../src/models/Invoice');
+const reportService = require('../../src/services/reportService');
+
+jest.mock('../../src/models/BeatPlan');
+jest.mock('../../src/models/VisitSheet');
+jest.mock('../../src/models/Route');
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/models/Salesman');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/services/reportService');
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const saveSelf = () => jest.fn().mockImplementation(function save() { return Promise.resolve(this); });
+
+// 2026-10-19 is a Monday
+const monday = new Date(2026, 9, 19);
+
+const makeSheet = overrides => ({
+  _id: 'vs1',
+  sheetNumber: 'VS2026000001',
+  status: 'open',
+  visits: [
+    { customerId: 'cust1', sequence: 1, outcome: 'pending' },
+    { customerId: 'cust2', sequence: 2, outcome: 'pending' }
+  ],
+  save: saveSelf(),
+  ...overrides
+});
+
+describe('Route Planning Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createBeatPlan', () => {
+    beforeEach(() => {
+      Route.findById.mockResolvedValue({ _id: 'route1', name: 'Saddar', isActive: true });
+      BeatPlan.findOne.mockResolvedValue(null);
+      BeatPlan.create.mockImplementation(doc => Promise.resolve(doc));
+    });
+
+    it('should keep the shops in calling order', async () => {
+      Customer.find.mockReturnValue(query([{ _id: 'cust1' }, { _id: 'cust2' }]));
+
+      const plan = await routePlanningService.createBeatPlan({
+        routeId: 'route1',
+        weekday: 'monday',
+        customers: [{ customerId: 'cust2', sequence: 2 }, { customerId: 'cust1', sequence: 1 }]
+      }, 'user1');
+
+      expect(Customer.find).toHaveBeenCalledWith({ _id: { $in: ['cust2', 'cust1'] }, routeId: 'route1' });
+      expect(plan).toMatchObject({ salesmanId: null, createdBy: 'user1' });
+      expect(plan.customers.map(stop => stop.customerId)).toEqual(['cust1', 'cust2']);
+    });
+
+    it('should refuse shops that are not on the route', async () => {
+      Customer.find.mockReturnValue(query([{ _id: 'cust1' }]));
+
+      await expect(routePlanningService.createBeatPlan({
+        routeId: 'route1', weekday: 'monday', customers: ['cust1', 'cust9']
+      }, 'user1')).rejects.toThrow('Customer(s) not on this route: cust9');
+      expect(BeatPlan.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second plan for the route and weekday', async () => {
+      BeatPlan.findOne.mockResolvedValue({ _id: 'bp1' });
+
+      await expect(routePlanningService.createBeatPlan({
+        routeId: 'route1', weekday: 'monday', customers: ['cust1']
+      }, 'user1')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse an unknown weekday and a shop listed twice', async () => {
+      await expect(routePlanningService.createBeatPlan({
+        routeId: 'route1', weekday: 'funday', customers: ['cust1']
+      }, 'user1')).rejects.toThrow('Weekday must be one of');
+
+      await expect(routePlanningService.createBeatPlan({
+        routeId: 'route1', weekday: 'monday', customers: ['cust1', 'cust1']
+      }, 'user1')).rejects.toThrow('A customer can only appear once on a beat plan');
+    });
+  });
+
+  describe('generateVisitSheets', () => {
+    const plan = {
+      _id: 'bp1',
+      routeId: {
+        _id: 'route1', name: 'Saddar', salesmanId: 'sm1', isActive: true
+      },
+      salesmanId: null,
+      customers: [{ customerId: 'cust2', sequence: 2 }, { customerId: 'cust1', sequence: 1 }]
+    };
+
+    beforeEach(() => {
+      VisitSheet.create.mockImplementation(doc => Promise.resolve(doc));
+      reportService.getRouteDueInvoices.mockResolvedValue({
+        visitPlan: [{
+          customer: { _id: 'cust2' },
+          totalDue: 8000,
+          overdueAmount: 5000,
+          invoices: [{
+            invoiceId: 'inv1',
+            invoiceNumber: 'SI2026000001',
+            invoiceDate: new Date(2026, 8, 1),
+            dueDate: new Date(2026, 9, 1),
+            amount: 5000,
+            daysOverdue: 18,
+            priority: 'high'
+          }]
+        }]
+      });
+    });
+
+    it('should put each shop\'s outstanding bills on the sheet for the route\'s salesman', async () => {
+      BeatPlan.find.mockReturnValue(query([plan]));
+      VisitSheet.findOne.mockResolvedValue(null);
+
+      const result = await routePlanningService.generateVisitSheets({ date: monday }, 'user1');
+
+      expect(BeatPlan.find).toHaveBeenCalledWith({ weekday: 'monday', isActive: true });
+      expect(reportService.getRouteDueInvoices).toHaveBeenCalledWith('route1');
+      expect(result.created).toHaveLength(1);
+
+      const sheet = result.created[0];
+      expect(sheet).toMatchObject({ salesmanId: 'sm1', routeId: 'route1', visitDate: monday });
+      expect(sheet.visits[0]).toMatchObject({ customerId: 'cust1', dueAmount: 0, dueInvoices: [] });
+      expect(sheet.visits[1]).toMatchObject({ customerId: 'cust2', dueAmount: 8000, overdueAmount: 5000 });
+      expect(sheet.visits[1].dueInvoices[0]).toEqual({
+        invoiceId: 'inv1',
+        invoiceNumber: 'SI2026000001',
+        invoiceDate: new Date(2026, 8, 1),
+        dueDate: new Date(2026, 9, 1),
+        amount: 5000,
+        daysOverdue: 18
+      });
+    });
+
+    it('should leave a sheet already generated and skip routes without a salesman', async () => {
+      BeatPlan.find.mockReturnValue(query([
+        plan,
+        { ...plan, _id: 'bp2', routeId: { ...plan.routeId, _id: 'route2', salesmanId: null } }
+      ]));
+      VisitSheet.findOne.mockResolvedValue({ _id: 'vs1' });
+
+      const result = await routePlanningService.generateVisitSheets({ date: monday }, 'user1');
+
+      expect(result.created).toHaveLength(0);
+      expect(result.existing).toEqual([{ _id: 'vs1' }]);
+      expect(result.skipped).toEqual([{ beatPlanId: 'bp2', reason: 'No salesman works route Saddar' }]);
+      expect(VisitSheet.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordVisit', () => {
+    it('should record an order taken', async () => {
+      const sheet = makeSheet();
+      VisitSheet.findById.mockResolvedValue(sheet);
+      Invoice.findById.mockReturnValue(query({ type: 'sales', customerId: 'cust1' }));
+
+      await routePlanningService.recordVisit('vs1', 'cust1', { outcome: 'order_taken', orderInvoiceId: 'inv9' });
+
+      expect(sheet.visits[0]).toMatchObject({ outcome: 'order_taken', orderInvoiceId: 'inv9', collectedAmount: 0 });
+      expect(sheet.visits[0].visitedAt).toBeInstanceOf(Date);
+      expect(sheet.save).toHaveBeenCalled();
+    });
+
+    it('should need a reason when no order was given', async () => {
+      VisitSheet.findById.mockResolvedValue(makeSheet());
+
+      await expect(routePlanningService.recordVisit('vs1', 'cust1', { outcome: 'no_order' }))
+        .rejects.toThrow('No order reason must be one of');
+    });
+
+    it('should need the amount when a payment was collected', async () => {
+      VisitSheet.findById.mockResolvedValue(makeSheet());
+
+      await expect(routePlanningService.recordVisit('vs1', 'cust2', { outcome: 'payment_collected' }))
+        .rejects.toThrow('Enter the amount collected');
+    });
+
+    it('should refuse another customer\'s invoice as the order', async () => {
+      VisitSheet.findById.mockResolvedValue(makeSheet());
+      Invoice.findById.mockReturnValue(query({ type: 'sales', customerId: 'cust2' }));
+
+      await expect(routePlanningService.recordVisit('vs1', 'cust1', {
+        outcome: 'order_taken', orderInvoiceId: 'inv9'
+      })).rejects.toThrow('Order must be a sales invoice for this customer');
+    });
+
+    it('should refuse a closed sheet', async () => {
+      VisitSheet.findById.mockResolvedValue(makeSheet({ status: 'closed' }));
+
+      await expect(routePlanningService.recordVisit('vs1', 'cust1', { outcome: 'shop_closed' }))
+        .rejects.toThrow('Visit sheet VS2026000001 is closed');
+    });
+  });
+
+  describe('closeVisitSheet', () => {
+    it('should mark the shops not called on as not visited', async () => {
+      const sheet = makeSheet();
+      sheet.visits[0].outcome = 'shop_closed';
+      VisitSheet.findById.mockResolvedValue(sheet);
+
+      const closed = await routePlanningService.closeVisitSheet('vs1', 'user1');
+
+      expect(closed.visits.map(visit => visit.outcome)).toEqual(['shop_closed', 'not_visited']);
+      expect(closed).toMatchObject({ status: 'closed', closedBy: 'user1' });
+    });
+  });
+
+  describe('getUnvisitedCustomers', () => {
+    it('should list missed shops and each salesman\'s coverage', async () => {
+      const salesman = { _id: 'sm1', name: 'Asif' };
+      const route = { _id: 'route1', name: 'Saddar' };
+      VisitSheet.find.mockReturnValue(query([
+        {
+          visitDate: monday,
+          salesmanId: salesman,
+          routeId: route,
+          visits: [
+            { customerId: { _id: 'cust1' }, outcome: 'order_taken' },
+            { customerId: { _id: 'cust2' }, outcome: 'not_visited', dueAmount: 3000 },
+            {
+              customerId: { _id: 'cust3' }, outcome: 'not_visited', dueAmount: 9000, overdueAmount: 4000
+            }
+          ]
+        },
+        {
+          visitDate: new Date(2026, 9, 26),
+          salesmanId: salesman,
+          routeId: route,
+          visits: [
+            { customerId: { _id: 'cust1' }, outcome: 'no_order' },
+            { customerId: { _id: 'cust2' }, outcome: 'pending', dueAmount: 2500 },
+            { customerId: { _id: 'cust3' }, outcome: 'payment_collected' }
+          ]
+        }
+      ]));
+
+      const report = await routePlanningService.getUnvisitedCustomers({
+        startDate: monday, endDate: new Date(2026, 9, 26)
+      });
+
+      expect(report.summary).toEqual({
+        sheets: 2,
+        plannedVisits: 6,
+        completedVisits: 3,
+        missedVisits: 3,
+        coveragePercent: 50
+      });
+      expect(report.coverageBySalesman).toEqual([{
+        salesman, plannedVisits: 6, completedVisits: 3, missedVisits: 3, coveragePercent: 50
+      }]);
+      expect(report.unvisitedCustomers.map(entry => entry.customer._id)).toEqual(['cust2', 'cust3']);
+      expect(report.unvisitedCustomers[0]).toMatchObject({ missedVisits: 2, dueAmount: 2500 });
+    });
+
+    it('should require a start date', async () => {
+      await expect(routePlanningService.getUnvisitedCustomers({})).rejects.toThrow('Start date is required');
+    });
+  });
+});
@@ -2,11 +2,13 @@ const reportService = require('../../src/services/reportService');
 const Invoice = require('../../src/models/Invoice');
 const Customer = require('../../src/models/Customer');
 const Route = require('../../src/models/Route');
+const targetService = require('../../src/services/targetService');
 
 // Mock the models
 jest.mock('../../src/models/Invoice');
 jest.mock('../../src/models/Customer');
 jest.mock('../../src/models/Route');
+jest.mock('../../src/services/targetService');
 
 describe('Route-wise Reporting - Phase 2 (Requirement 17.3, 17.4, 17.5)', () => {
     afterEach(() => {
@@ -398,6 +400,40 @@ describe('Route-wise Reporting - Phase 2 (Requirement 17.3, 17.4, 17.5)', () =>
             expect(result.achievement.visits.percentage).toBe(0);
         });
 
+        it('should use the stored route target when no sales target is passed', async () => {
+            const dateRange = {
+                startDate: new Date('2024-01-01'),
+                endDate: new Date('2024-01-31')
+            };
+
+            Route.findById = jest.fn().mockReturnValue({
+                populate: jest.fn().mockResolvedValue(mockRoute)
+            });
+            Customer.find = jest.fn().mockResolvedValue(mockCustomers);
+            Invoice.find = jest.fn()
+                .mockReturnValueOnce({
+                    populate: jest.fn().mockReturnThis(),
+                    sort: jest.fn().mockResolvedValue([{
+                        _id: 'inv1',
+                        type: 'sales',
+                        customerId: { _id: 'cust1', code: 'C001', name: 'Customer 1' },
+                        totals: { grandTotal: 40000 }
+                    }])
+                })
+                .mockResolvedValueOnce([]);
+            targetService.getValueTarget.mockResolvedValueOnce(50000);
+
+            const result = await reportService.getRoutePerformance(mockRouteId, dateRange);
+
+            expect(targetService.getValueTarget).toHaveBeenCalledWith(
+                { scope: 'route', routeId: mockRouteId },
+                dateRange.startDate,
+                dateRange.endDate
+            );
+            expect(result.targets.sales).toBe(50000);
+            expect(result.achievement.sales.percentage).toBe(80);
+        });
+
         it('should calculate performance status correctly', async () => {
             const dateRange = {
                 startDate: new Date('2024-01-01'),
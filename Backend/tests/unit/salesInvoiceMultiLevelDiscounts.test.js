@@ -9,6 +9,20 @@ jest.mock('../../src/services/customerService');
 jest.mock('../../src/services/itemService');
 jest.mock('../../src/repositories/invoiceRepository');
 jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/services/fiscalPeriodService');
+// No approval rules configured: documents post straight away
+jest.mock('../../src/services/approvalService', () => ({
+  evaluateSalesInvoice: () => Promise.resolve([]),
+  reasonsNeedingApproval: () => Promise.resolve([]),
+}));
+// No bounced cheques on file: customers are not put on hold
+jest.mock('../../src/models/CashReceipt', () => ({
+  findUnresolvedBouncedCheques: () => Promise.resolve([]),
+}));
+// No customer price lists: lines keep the rates they were entered with
+jest.mock('../../src/services/priceListService', () => ({
+  getPricesForCustomer: () => Promise.resolve(new Map()),
+}));
 
 describe('SalesInvoiceService - Multi-Level Discounts', () => {
   const mockCustomer = {
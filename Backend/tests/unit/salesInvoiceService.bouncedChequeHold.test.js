@@ -0,0 +1,45 @@
+const salesInvoiceService = require('../../src/services/salesInvoiceService');
+const customerService = require('../../src/services/customerService');
+const CashReceipt = require('../../src/models/CashReceipt');
+
+// Mock dependencies
+jest.mock('../../src/services/customerService');
+jest.mock('../../src/models/CashReceipt');
+
+describe('Sales Invoice Service - Bounced Cheque Hold', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    customerService.getCustomerById.mockResolvedValue({
+      _id: 'cust1',
+      financialInfo: { creditLimit: 100000 }
+    });
+  });
+
+  it('should hold credit sales while the customer has an unresolved bounced cheque', async () => {
+    CashReceipt.findUnresolvedBouncedCheques.mockResolvedValue([
+      { bankDetails: { chequeNumber: '100234' } },
+      { bankDetails: { chequeNumber: '100235' } }
+    ]);
+
+    await expect(salesInvoiceService.validateCreditLimit('cust1', 5000)).rejects.toMatchObject({
+      code: 'BOUNCED_CHEQUE_HOLD',
+      statusCode: 422,
+      message: 'Customer is on credit hold for bounced cheque(s) 100234, 100235 until they are resolved'
+    });
+    expect(CashReceipt.findUnresolvedBouncedCheques).toHaveBeenCalledWith('cust1');
+  });
+
+  it('should hold customers without a credit limit too', async () => {
+    customerService.getCustomerById.mockResolvedValue({ _id: 'cust1', financialInfo: { creditLimit: 0 } });
+    CashReceipt.findUnresolvedBouncedCheques.mockResolvedValue([{ bankDetails: { chequeNumber: '100234' } }]);
+
+    await expect(salesInvoiceService.validateCreditLimit('cust1', 5000))
+      .rejects.toMatchObject({ code: 'BOUNCED_CHEQUE_HOLD' });
+  });
+
+  it('should allow the sale once the bounced cheques are resolved', async () => {
+    CashReceipt.findUnresolvedBouncedCheques.mockResolvedValue([]);
+
+    await expect(salesInvoiceService.validateCreditLimit('cust1', 5000)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,50 @@
+const salesInvoiceService = require('../../src/services/salesInvoiceService');
+const customerService = require('../../src/services/customerService');
+const CashReceipt = require('../../src/models/CashReceipt');
+
+// Mock dependencies
+jest.mock('../../src/services/customerService');
+jest.mock('../../src/models/CashReceipt');
+
+describe('Sales Invoice Service - Credit Policy Hold', () => {
+  const customerWith = creditControl => ({
+    _id: 'cust1',
+    financialInfo: { creditLimit: 100000 },
+    creditControl
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CashReceipt.findUnresolvedBouncedCheques.mockResolvedValue([]);
+  });
+
+  it('should block sales to customers the credit policy has put on hold', async () => {
+    customerService.getCustomerById.mockResolvedValue(customerWith({
+      status: 'hold',
+      reasons: ['1 invoice(s) more than 15 days past 30 credit days, oldest 21 days'],
+      override: { status: null }
+    }));
+
+    await expect(salesInvoiceService.validateCreditLimit('cust1', 5000)).rejects.toMatchObject({
+      code: 'CREDIT_HOLD',
+      statusCode: 422,
+      message: 'Customer is on credit hold: 1 invoice(s) more than 15 days past 30 credit days, oldest 21 days'
+    });
+  });
+
+  it('should follow a credit manager\'s override', async () => {
+    customerService.getCustomerById.mockResolvedValue(customerWith({
+      status: 'hold',
+      reasons: ['Balance 120000 is over the credit limit of 100000'],
+      override: { status: 'active', reason: 'Payment promised by Friday' }
+    }));
+    await expect(salesInvoiceService.validateCreditLimit('cust1', 5000)).resolves.toBe(true);
+
+    customerService.getCustomerById.mockResolvedValue(customerWith({
+      status: 'active',
+      override: { status: 'hold', reason: 'Disputed delivery' }
+    }));
+    await expect(salesInvoiceService.validateCreditLimit('cust1', 5000))
+      .rejects.toThrow('Customer is on credit hold: Set by credit manager: Disputed delivery');
+  });
+});
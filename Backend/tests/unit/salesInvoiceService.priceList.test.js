@@ -0,0 +1,85 @@
+const salesInvoiceService = require('../../src/services/salesInvoiceService');
+const itemService = require('../../src/services/itemService');
+const priceListService = require('../../src/services/priceListService');
+
+// Mock dependencies
+jest.mock('../../src/services/itemService');
+jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/models/PriceList');
+
+describe('Sales Invoice Service - Price List Pricing', () => {
+  const customer = { _id: 'cust1', type: 'distributor', routeId: 'route1' };
+
+  const mockItem = {
+    _id: 'item1',
+    name: 'Ceftriaxone 1g',
+    isActive: true,
+    inventory: { currentStock: 500 },
+    tax: { gstRate: 0, whtRate: 0 }
+  };
+
+  const contract = {
+    priceListId: 'pl1',
+    priceListName: 'City Hospital contract',
+    price: 180,
+    minPrice: 170,
+    maxDiscountPercent: 5
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    itemService.getItemById.mockResolvedValue(mockItem);
+    jest.spyOn(priceListService, 'getPricesForCustomer').mockResolvedValue(new Map([['item1', contract]]));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should price a line without a unit price from the customer\'s list', async () => {
+    const invoiceDate = new Date('2026-10-01');
+
+    const [line] = await salesInvoiceService.processInvoiceItems(
+      [{ itemId: 'item1', quantity: 10 }],
+      { customer, invoiceDate }
+    );
+
+    expect(priceListService.getPricesForCustomer).toHaveBeenCalledWith(customer, ['item1'], invoiceDate);
+    expect(line).toMatchObject({
+      unitPrice: 180,
+      listPrice: 180,
+      priceListId: 'pl1',
+      lineSubtotal: 1800
+    });
+  });
+
+  it('should keep a price the salesman entered within the list minimum', async () => {
+    const [line] = await salesInvoiceService.processInvoiceItems(
+      [{ itemId: 'item1', quantity: 10, unitPrice: 175 }],
+      { customer }
+    );
+
+    expect(line).toMatchObject({ unitPrice: 175, listPrice: 180 });
+
+    await expect(salesInvoiceService.processInvoiceItems(
+      [{ itemId: 'item1', quantity: 10, unitPrice: 160 }],
+      { customer }
+    )).rejects.toMatchObject({ code: 'PRICE_BELOW_LIST_MINIMUM', statusCode: 422 });
+  });
+
+  it('should refuse a discount over the list maximum', async () => {
+    await expect(salesInvoiceService.processInvoiceItems(
+      [{
+        itemId: 'item1', quantity: 10, discount1Percent: 4, discount2Percent: 2
+      }],
+      { customer }
+    )).rejects.toThrow('Discount 5.92% for Ceftriaxone 1g exceeds the 5% allowed on price list City Hospital contract');
+  });
+
+  it('should leave pricing alone when no customer is given', async () => {
+    const [line] = await salesInvoiceService.processInvoiceItems([{ itemId: 'item1', quantity: 2, unitPrice: 200 }]);
+
+    expect(priceListService.getPricesForCustomer).not.toHaveBeenCalled();
+    expect(line).toMatchObject({ unitPrice: 200, priceListId: null, listPrice: null });
+  });
+});
@@ -1,14 +1,18 @@
 const salesReturnService = require('../../src/services/salesReturnService');
 const inventoryService = require('../../src/services/inventoryService');
 const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
+const Warehouse = require('../../src/models/Warehouse');
 
 // Mock dependencies
 jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/services/inventoryValuationService');
 jest.mock('../../src/repositories/stockMovementRepository');
+jest.mock('../../src/models/Warehouse');
 
 describe('SalesReturnService - Inventory Reversal', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    Warehouse.findOne.mockReturnValue({ sort: () => Promise.resolve({ _id: 'wh1' }) });
   });
 
   describe('reverseSalesInventory', () => {
@@ -45,18 +49,20 @@ describe('SalesReturnService - Inventory Reversal', () => {
         'item1',
         5,
         'increase',
-        'Sales return'
+        'Sales return',
+        { session: undefined }
       );
 
       expect(inventoryService.adjustInventory).toHaveBeenCalledWith(
         'item2',
         3,
         'increase',
-        'Sales return'
+        'Sales return',
+        { session: undefined }
       );
     });
 
-    test('should create stock movement records with type return_from_customer', async () => {
+    test('should create inward stock movement records into the default warehouse', async () => {
       const returnItems = [
         {
           itemId: 'item1',
@@ -71,7 +77,7 @@ describe('SalesReturnService - Inventory Reversal', () => {
       stockMovementRepository.create.mockResolvedValue({
         _id: 'movement1',
         itemId: 'item1',
-        movementType: 'return_from_customer',
+        movementType: 'in',
         quantity: 5
       });
 
@@ -80,11 +86,13 @@ describe('SalesReturnService - Inventory Reversal', () => {
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
           itemId: 'item1',
-          movementType: 'return_from_customer',
+          movementType: 'in',
           quantity: 5,
-          reference: 'Sales Return',
-          notes: 'Item returned by customer'
-        })
+          warehouse: 'wh1',
+          referenceType: 'sales_invoice',
+          notes: expect.stringContaining('Item returned by customer')
+        }),
+        { session: undefined }
       );
     });
 
@@ -109,7 +117,8 @@ describe('SalesReturnService - Inventory Reversal', () => {
         'item1',
         10, // Positive quantity
         'increase',
-        'Sales return'
+        'Sales return',
+        { session: undefined }
       );
     });
 
@@ -132,7 +141,8 @@ describe('SalesReturnService - Inventory Reversal', () => {
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
           quantity: 7 // Positive quantity for stock movement
-        })
+        }),
+        { session: undefined }
       );
     });
 
@@ -165,7 +175,7 @@ describe('SalesReturnService - Inventory Reversal', () => {
       const afterDate = new Date();
 
       const createCall = stockMovementRepository.create.mock.calls[0][0];
-      const movementDate = createCall.date;
+      const { movementDate } = createCall;
 
       expect(movementDate).toBeInstanceOf(Date);
       expect(movementDate.getTime()).toBeGreaterThanOrEqual(beforeDate.getTime());
@@ -219,6 +229,7 @@ describe('SalesReturnService - Inventory Reversal', () => {
         'item2',
         expect.anything(),
         expect.anything(),
+        expect.anything(),
         expect.anything()
       );
     });
@@ -251,7 +262,7 @@ describe('SalesReturnService - Inventory Reversal', () => {
 
       inventoryService.adjustInventory.mockResolvedValue({});
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry = jest.fn().mockResolvedValue({});
+      ledgerService.createDoubleEntry = jest.fn().mockResolvedValue({});
 
       const returnData = {
         originalInvoiceId: 'invoice123',
@@ -278,12 +289,41 @@ describe('SalesReturnService - Inventory Reversal', () => {
       inventoryService.adjustInventory.mockResolvedValue({});
       stockMovementRepository.create.mockResolvedValue({});
 
-      await salesReturnService.reverseSalesInventory(returnItems);
+      await salesReturnService.reverseSalesInventory(returnItems, {
+        session: 'session-1',
+        returnInvoice: { _id: 'return1', invoiceNumber: 'SR2026000001', createdBy: 'user1' }
+      });
 
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
-          reference: 'Sales Return'
-        })
+          referenceType: 'sales_invoice',
+          referenceId: 'return1',
+          createdBy: 'user1'
+        }),
+        { session: 'session-1' }
+      );
+    });
+
+    test('should return stock to the warehouse and batch the sale took it from', async () => {
+      inventoryService.adjustInventory.mockResolvedValue({});
+      stockMovementRepository.create.mockResolvedValue({});
+
+      await salesReturnService.reverseSalesInventory([{ itemId: 'item1', quantity: 2 }], {
+        originalInvoice: {
+          items: [{
+            itemId: 'item1',
+            quantity: 10,
+            batchAllocations: [{
+              batchId: 'batch1', batchNumber: 'LOT1', warehouseId: 'wh2', quantity: 10
+            }]
+          }]
+        }
+      });
+
+      expect(Warehouse.findOne).not.toHaveBeenCalled();
+      expect(stockMovementRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ warehouse: 'wh2', batchInfo: expect.objectContaining({ batchNumber: 'LOT1' }) }),
+        { session: undefined }
       );
     });
 
@@ -299,8 +339,9 @@ describe('SalesReturnService - Inventory Reversal', () => {
 
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
-          notes: 'Item returned by customer'
-        })
+          notes: expect.stringContaining('Item returned by customer')
+        }),
+        { session: undefined }
       );
     });
   });
@@ -1,417 +1,193 @@
+const mongoose = require('mongoose');
 const salesReturnService = require('../../src/services/salesReturnService');
 const ledgerService = require('../../src/services/ledgerService');
-
-// Mock dependencies
-jest.mock('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
+const inventoryService = require('../../src/services/inventoryService');
+const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
+const Invoice = require('../../src/models/Invoice');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Customer = require('../../src/models/Customer');
+const Account = require('../../src/models/Account');
+const Warehouse = require('../../src/models/Warehouse');
+
+// The ledger service is real; only the documents it looks up and the database writes are stubbed
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/services/fiscalPeriodService');
+jest.mock('../../src/repositories/stockMovementRepository');
+jest.mock('../../src/models/Warehouse');
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/models/Account');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Stand-in for Document#save that runs the schema validators and records the session
+ */
+function validatingSave(options = {}) {
+  const error = this.validateSync();
+  if (error) {
+    return Promise.reject(error);
+  }
+  this.savedWithSession = options.session;
+  return Promise.resolve(this);
+}
 
 describe('SalesReturnService - Ledger Reversal', () => {
+  const salesRevenueAccountId = objectId();
+  const customerId = objectId();
+  const userId = objectId();
+  let savedEntries;
+
   beforeEach(() => {
     jest.clearAllMocks();
-  });
-
-  describe('createReverseLedgerEntries', () => {
-    let mockReturnInvoice;
-    let mockOriginalInvoice;
-
-    beforeEach(() => {
-      mockReturnInvoice = {
-        _id: 'return123',
-        type: 'return_sales',
-        invoiceNumber: 'SR2024000001',
-        customerId: 'customer123',
-        originalInvoiceId: 'invoice123',
-        invoiceDate: new Date('2024-01-15'),
-        items: [
-          {
-            itemId: 'item1',
-            quantity: -5,
-            unitPrice: 100,
-            taxAmount: -90,
-            lineTotal: -590
-          }
-        ],
-        totals: {
-          subtotal: -500,
-          totalDiscount: 0,
-          totalTax: -90,
-          grandTotal: -590
-        }
-      };
-
-      mockOriginalInvoice = {
-        _id: 'invoice123',
-        type: 'sales',
-        customerId: 'customer123',
-        invoiceNumber: 'SI2024000001'
-      };
-
-      ledgerService.createLedgerEntry.mockResolvedValue({
-        _id: 'ledger123',
-        success: true
-      });
-    });
-
-    test('should create three ledger entries for sales return', async () => {
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      // Should create 3 entries: Sales debit, AR credit, GST debit
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledTimes(3);
-    });
-
-    test('should debit Sales Account to reduce revenue', async () => {
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'SALES_ACCOUNT',
-          debit: 500, // Positive amount (absolute value of subtotal)
-          credit: 0,
-          description: expect.stringContaining('Sales Return'),
-          referenceType: 'Invoice',
-          referenceId: 'return123'
-        })
-      );
-    });
-
-    test('should credit Accounts Receivable to reduce asset', async () => {
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'customer123',
-          debit: 0,
-          credit: 590, // Grand total (absolute value)
-          description: expect.stringContaining('Sales Return'),
-          referenceType: 'Invoice',
-          referenceId: 'return123'
-        })
-      );
-    });
+    jest.restoreAllMocks();
 
-    test('should debit GST Output to reverse tax liability', async () => {
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'GST_OUTPUT_ACCOUNT',
-          debit: 90, // Tax amount (absolute value)
-          credit: 0,
-          description: expect.stringContaining('Sales Return GST'),
-          referenceType: 'Invoice',
-          referenceId: 'return123'
-        })
-      );
-    });
-
-    test('should use correct invoice date in ledger entries', async () => {
-      const invoiceDate = new Date('2024-01-15');
-      mockReturnInvoice.invoiceDate = invoiceDate;
-
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      // All three entries should use the return invoice date
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      calls.forEach(call => {
-        expect(call[0].date).toEqual(invoiceDate);
-      });
+    savedEntries = [];
+    jest.spyOn(LedgerEntry.prototype, 'save').mockImplementation(function save(options) {
+      savedEntries.push(this);
+      return validatingSave.call(this, options);
     });
 
-    test('should include invoice number in description', async () => {
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
+    accountService.getAccountByCode.mockResolvedValue({ _id: salesRevenueAccountId, code: 'SALES_REVENUE' });
+    Customer.findById.mockResolvedValue({ _id: customerId, isActive: true });
+    Account.findById.mockResolvedValue({ _id: salesRevenueAccountId, isActive: true });
+  });
 
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      calls.forEach(call => {
-        expect(call[0].description).toContain('SR2024000001');
+  describe('createReverseLedgerEntries', () => {
+    const returnInvoice = {
+      _id: objectId(),
+      invoiceNumber: 'SR2026000001',
+      createdBy: userId,
+      totals: {
+        subtotal: 500, totalDiscount: 0, totalTax: 90, grandTotal: 590
+      }
+    };
+    const originalInvoice = { _id: objectId(), invoiceNumber: 'SI2026000001', customerId };
+
+    test('should debit sales revenue and credit the customer with the grand total', async () => {
+      await salesReturnService.createReverseLedgerEntries(returnInvoice, originalInvoice, { session: 'session-1' });
+
+      expect(accountService.getAccountByCode).toHaveBeenCalledWith('SALES_REVENUE');
+      expect(savedEntries).toHaveLength(2);
+
+      const [debit, credit] = savedEntries;
+      expect(debit.transactionType).toBe('debit');
+      expect(String(debit.accountId)).toBe(String(salesRevenueAccountId));
+      expect(debit.accountType).toBe('Account');
+      expect(debit.amount).toBe(590);
+
+      expect(credit.transactionType).toBe('credit');
+      expect(String(credit.accountId)).toBe(String(customerId));
+      expect(credit.accountType).toBe('Customer');
+      expect(credit.amount).toBe(590);
+    });
+
+    test('should post valid entries referencing the return invoice in the given session', async () => {
+      await salesReturnService.createReverseLedgerEntries(returnInvoice, originalInvoice, { session: 'session-1' });
+
+      savedEntries.forEach((entry) => {
+        expect(entry.referenceType).toBe('invoice');
+        expect(String(entry.referenceId)).toBe(String(returnInvoice._id));
+        expect(entry.description).toContain('SR2026000001');
+        expect(entry.description).toContain('SI2026000001');
+        expect(String(entry.createdBy)).toBe(String(userId));
+        expect(entry.savedWithSession).toBe('session-1');
       });
     });
 
-    test('should handle returns with zero tax', async () => {
-      mockReturnInvoice.totals.totalTax = 0;
-
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      // Should still create 3 entries, but GST entry should have 0 amount
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledTimes(3);
-      
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_OUTPUT_ACCOUNT'
-      );
-      
-      expect(gstCall[0].debit).toBe(0);
-    });
-
-    test('should handle large return amounts correctly', async () => {
-      mockReturnInvoice.totals = {
-        subtotal: -10000,
-        totalTax: -1800,
-        grandTotal: -11800
-      };
-
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      // Verify amounts are converted to positive
-      const salesCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'SALES_ACCOUNT'
-      );
-      expect(salesCall[0].debit).toBe(10000);
-
-      const arCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'customer123'
-      );
-      expect(arCall[0].credit).toBe(11800);
-
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_OUTPUT_ACCOUNT'
-      );
-      expect(gstCall[0].debit).toBe(1800);
-    });
-
-    test('should handle decimal amounts correctly', async () => {
-      mockReturnInvoice.totals = {
-        subtotal: -123.45,
-        totalTax: -22.22,
-        grandTotal: -145.67
-      };
-
+    test('should accept return totals stored as negative figures', async () => {
       await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const salesCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'SALES_ACCOUNT'
-      );
-      expect(salesCall[0].debit).toBe(123.45);
-
-      const arCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'customer123'
+        { ...returnInvoice, totals: { grandTotal: -145.67 } },
+        originalInvoice,
+        { session: 'session-1' }
       );
-      expect(arCall[0].credit).toBe(145.67);
 
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_OUTPUT_ACCOUNT'
-      );
-      expect(gstCall[0].debit).toBe(22.22);
+      expect(savedEntries.map(entry => entry.amount)).toEqual([145.67, 145.67]);
     });
 
-    test('should link all entries to return invoice', async () => {
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
+    test('should post nothing for a zero value return', async () => {
+      const result = await salesReturnService.createReverseLedgerEntries(
+        { ...returnInvoice, totals: { grandTotal: 0 } },
+        originalInvoice
       );
 
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      calls.forEach(call => {
-        expect(call[0].referenceType).toBe('Invoice');
-        expect(call[0].referenceId).toBe('return123');
-      });
+      expect(result).toBeNull();
+      expect(savedEntries).toHaveLength(0);
     });
 
-    test('should handle ledger service errors', async () => {
-      ledgerService.createLedgerEntry.mockRejectedValue(
-        new Error('Ledger entry creation failed')
-      );
+    test('should refuse to post against an inactive customer', async () => {
+      Customer.findById.mockResolvedValue({ _id: customerId, isActive: false });
 
       await expect(
-        salesReturnService.createReverseLedgerEntries(
-          mockReturnInvoice,
-          mockOriginalInvoice
-        )
-      ).rejects.toThrow('Ledger entry creation failed');
+        salesReturnService.createReverseLedgerEntries(returnInvoice, originalInvoice)
+      ).rejects.toThrow('Customer is not active');
+      expect(savedEntries).toHaveLength(0);
     });
 
-    test('should create entries in correct order', async () => {
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      
-      // First call should be Sales Account debit
-      expect(calls[0][0].accountId).toBe('SALES_ACCOUNT');
-      expect(calls[0][0].debit).toBeGreaterThan(0);
-      
-      // Second call should be Accounts Receivable credit
-      expect(calls[1][0].accountId).toBe('customer123');
-      expect(calls[1][0].credit).toBeGreaterThan(0);
-      
-      // Third call should be GST Output debit
-      expect(calls[2][0].accountId).toBe('GST_OUTPUT_ACCOUNT');
-    });
-
-    test('should use absolute values for all amounts', async () => {
-      // Ensure negative amounts in return invoice are converted to positive
-      mockReturnInvoice.totals = {
-        subtotal: -500,
-        totalTax: -90,
-        grandTotal: -590
-      };
-
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
+    test('should fail when the sales revenue account is missing', async () => {
+      accountService.getAccountByCode.mockRejectedValue(new Error('Account with code SALES_REVENUE not found'));
 
-      const calls = ledgerService.createLedgerEntry.mock.calls;
-      calls.forEach(call => {
-        if (call[0].debit > 0) {
-          expect(call[0].debit).toBeGreaterThan(0);
-        }
-        if (call[0].credit > 0) {
-          expect(call[0].credit).toBeGreaterThan(0);
-        }
-      });
+      await expect(
+        salesReturnService.createReverseLedgerEntries(returnInvoice, originalInvoice)
+      ).rejects.toThrow('Account with code SALES_REVENUE not found');
     });
   });
 
   describe('Integration with createSalesReturn', () => {
-    test('should call createReverseLedgerEntries during return creation', async () => {
-      const Invoice = require('../../src/models/Invoice');
-      const inventoryService = require('../../src/services/inventoryService');
-      const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
-
-      jest.mock('../../src/models/Invoice');
-      jest.mock('../../src/services/inventoryService');
-      jest.mock('../../src/repositories/stockMovementRepository');
-
-      const mockOriginalInvoice = {
-        _id: 'invoice123',
-        type: 'sales',
-        customerId: 'customer123',
-        items: [
-          { itemId: 'item1', quantity: 10, unitPrice: 100 }
-        ]
-      };
+    const itemId = objectId();
+    const originalInvoice = {
+      _id: objectId(),
+      type: 'sales',
+      invoiceNumber: 'SI2026000001',
+      customerId,
+      items: [{
+        itemId, quantity: 10, unitPrice: 100, discount: 0, gstRate: 18
+      }]
+    };
 
-      Invoice.findById = jest.fn().mockResolvedValue(mockOriginalInvoice);
-      Invoice.find = jest.fn().mockResolvedValue([]);
-      Invoice.mockImplementation(() => ({
-        save: jest.fn().mockResolvedValue({
-          _id: 'return123',
-          items: [{ itemId: 'item1', quantity: -5 }],
-          totals: {
-            subtotal: -500,
-            totalTax: -90,
-            grandTotal: -590
-          }
-        })
-      }));
-
-      inventoryService.adjustInventory = jest.fn().mockResolvedValue({});
-      stockMovementRepository.create = jest.fn().mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
-
-      const returnData = {
-        originalInvoiceId: 'invoice123',
-        returnItems: [{ itemId: 'item1', quantity: 5 }],
+    beforeEach(() => {
+      jest.spyOn(Invoice, 'findById').mockResolvedValue(originalInvoice);
+      jest.spyOn(Invoice, 'find').mockResolvedValue([]);
+      jest.spyOn(Invoice, 'generateInvoiceNumber').mockResolvedValue('SR2026000001');
+      jest.spyOn(Invoice.prototype, 'save').mockImplementation(validatingSave);
+      inventoryService.adjustInventory.mockResolvedValue({});
+      stockMovementRepository.create.mockResolvedValue({});
+      Warehouse.findOne.mockReturnValue({ sort: () => Promise.resolve({ _id: objectId() }) });
+    });
+
+    test('should save a valid return invoice and post a balanced reversal with the same session', async () => {
+      const returnInvoice = await salesReturnService.createSalesReturn({
+        originalInvoiceId: originalInvoice._id,
+        returnItems: [{ itemId, quantity: 5 }],
         returnReason: 'damaged',
-        returnNotes: 'Product damaged',
-        createdBy: 'user123'
-      };
-
-      await salesReturnService.createSalesReturn(returnData);
-
-      // Verify ledger entries were created
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalled();
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledTimes(3);
-    });
-  });
-
-  describe('Accounting accuracy', () => {
-    test('should maintain double-entry bookkeeping balance', async () => {
-      const mockReturnInvoice = {
-        _id: 'return123',
-        invoiceNumber: 'SR2024000001',
-        customerId: 'customer123',
-        invoiceDate: new Date(),
-        totals: {
-          subtotal: -1000,
-          totalTax: -180,
-          grandTotal: -1180
-        }
-      };
-
-      const mockOriginalInvoice = {
-        _id: 'invoice123',
-        customerId: 'customer123'
-      };
-
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
-
-      // Calculate total debits and credits
-      let totalDebits = 0;
-      let totalCredits = 0;
-
-      ledgerService.createLedgerEntry.mock.calls.forEach(call => {
-        totalDebits += call[0].debit || 0;
-        totalCredits += call[0].credit || 0;
+        createdBy: userId
       });
 
-      // Debits should equal credits (double-entry bookkeeping)
-      expect(totalDebits).toBe(totalCredits);
-      expect(totalDebits).toBe(1180); // subtotal + tax
-    });
-
-    test('should correctly split revenue and tax components', async () => {
-      const mockReturnInvoice = {
-        _id: 'return123',
-        invoiceNumber: 'SR2024000001',
-        customerId: 'customer123',
-        invoiceDate: new Date(),
-        totals: {
-          subtotal: -1000,
-          totalTax: -180,
-          grandTotal: -1180
-        }
-      };
+      expect(returnInvoice.invoiceNumber).toBe('SR2026000001');
+      expect(returnInvoice.savedWithSession).toBe('session-1');
+      expect(returnInvoice.items[0].quantity).toBe(5);
+      expect(returnInvoice.totals.grandTotal).toBe(590);
 
-      const mockOriginalInvoice = {
-        _id: 'invoice123',
-        customerId: 'customer123'
-      };
+      const totals = ledgerService.calculateEntryTotals(savedEntries);
+      expect(totals).toEqual({ debit: 590, credit: 590, difference: 0 });
+      savedEntries.forEach(entry => expect(entry.savedWithSession).toBe('session-1'));
+    });
 
-      await salesReturnService.createReverseLedgerEntries(
-        mockReturnInvoice,
-        mockOriginalInvoice
-      );
+    test('should not post to the ledger when the return cannot be saved', async () => {
+      Invoice.prototype.save.mockRejectedValue(new Error('Invoice save failed'));
 
-      const salesCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'SALES_ACCOUNT'
-      );
-      const gstCall = ledgerService.createLedgerEntry.mock.calls.find(
-        call => call[0].accountId === 'GST_OUTPUT_ACCOUNT'
-      );
+      await expect(salesReturnService.createSalesReturn({
+        originalInvoiceId: originalInvoice._id,
+        returnItems: [{ itemId, quantity: 5 }],
+        returnReason: 'damaged',
+        createdBy: userId
+      })).rejects.toThrow('Invoice save failed');
 
-      // Sales + GST should equal grand total
-      expect(salesCall[0].debit + gstCall[0].debit).toBe(1180);
+      expect(savedEntries).toHaveLength(0);
     });
   });
 });
@@ -3,12 +3,21 @@ const Invoice = require('../../src/models/Invoice');
 const inventoryService = require('../../src/services/inventoryService');
 const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
 const ledgerService = require('../../src/services/ledgerService');
+const accountService = require('../../src/services/accountService');
+const inventoryValuationService = require('../../src/services/inventoryValuationService');
+const Warehouse = require('../../src/models/Warehouse');
 
 // Mock dependencies
 jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/Warehouse');
 jest.mock('../../src/services/inventoryService');
+jest.mock('../../src/services/inventoryValuationService');
 jest.mock('../../src/repositories/stockMovementRepository');
 jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
 
 describe('SalesReturnService - createSalesReturn', () => {
   let mockOriginalInvoice;
@@ -16,6 +25,9 @@ describe('SalesReturnService - createSalesReturn', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    accountService.getAccountByCode.mockResolvedValue({ _id: 'salesRevenue1' });
+    Warehouse.findOne.mockReturnValue({ sort: () => Promise.resolve({ _id: 'wh1' }) });
+    inventoryValuationService.restoreReturnedQuantity.mockResolvedValue({ amount: 0, layers: [] });
 
     // Mock original sales invoice
     mockOriginalInvoice = {
@@ -29,6 +41,7 @@ describe('SalesReturnService - createSalesReturn', () => {
           quantity: 10,
           unitPrice: 100,
           discount: 0,
+          gstRate: 18,
           taxAmount: 180,
           lineTotal: 1180
         },
@@ -37,6 +50,7 @@ describe('SalesReturnService - createSalesReturn', () => {
           quantity: 5,
           unitPrice: 200,
           discount: 0,
+          gstRate: 18,
           taxAmount: 180,
           lineTotal: 1180
         }
@@ -62,7 +76,7 @@ describe('SalesReturnService - createSalesReturn', () => {
   });
 
   describe('Successful return creation', () => {
-    test('should create sales return invoice with negative quantities', async () => {
+    test('should create sales return invoice with positive quantities', async () => {
       // Mock Invoice.findById to return original invoice
       Invoice.findById.mockResolvedValue(mockOriginalInvoice);
 
@@ -78,28 +92,26 @@ describe('SalesReturnService - createSalesReturn', () => {
         items: [
           {
             itemId: 'item1',
-            quantity: -5,
+            quantity: 5,
             unitPrice: 100,
-            taxAmount: -90,
-            lineTotal: -590
+            taxAmount: 90,
+            lineTotal: 590
           }
         ],
         totals: {
-          subtotal: -500,
+          subtotal: 500,
           totalDiscount: 0,
-          totalTax: -90,
-          grandTotal: -590
+          totalTax: 90,
+          grandTotal: 590
         }
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       // Mock inventory and ledger services
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       // Execute
       const result = await salesReturnService.createSalesReturn(mockReturnData);
@@ -109,33 +121,32 @@ describe('SalesReturnService - createSalesReturn', () => {
       expect(mockSave).toHaveBeenCalled();
       expect(result.type).toBe('return_sales');
       expect(result.originalInvoiceId).toBe('invoice123');
+      expect(result.items[0].quantity).toBe(5);
     });
 
-    test('should calculate negative totals correctly', async () => {
+    test('should calculate return totals correctly', async () => {
       Invoice.findById.mockResolvedValue(mockOriginalInvoice);
       Invoice.find.mockResolvedValue([]);
 
       const mockSave = jest.fn().mockResolvedValue({
         totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
+          subtotal: 500,
+          totalTax: 90,
+          grandTotal: 590
         }
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const result = await salesReturnService.createSalesReturn(mockReturnData);
 
-      expect(result.totals.subtotal).toBeLessThan(0);
-      expect(result.totals.totalTax).toBeLessThan(0);
-      expect(result.totals.grandTotal).toBeLessThan(0);
+      expect(result.totals.subtotal).toBe(500);
+      expect(result.totals.totalTax).toBe(90);
+      expect(result.totals.grandTotal).toBe(590);
     });
 
     test('should link return invoice to original invoice', async () => {
@@ -146,13 +157,11 @@ describe('SalesReturnService - createSalesReturn', () => {
         originalInvoiceId: 'invoice123'
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const result = await salesReturnService.createSalesReturn(mockReturnData);
 
@@ -171,13 +180,11 @@ describe('SalesReturnService - createSalesReturn', () => {
         }
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const result = await salesReturnService.createSalesReturn(mockReturnData);
 
@@ -243,16 +250,14 @@ describe('SalesReturnService - createSalesReturn', () => {
       Invoice.find.mockResolvedValue([]);
 
       const mockSave = jest.fn().mockResolvedValue({
-        items: [{ itemId: 'item1', quantity: -5 }]
+        items: [{ itemId: 'item1', quantity: 5 }]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       await salesReturnService.createSalesReturn(mockReturnData);
 
@@ -260,7 +265,8 @@ describe('SalesReturnService - createSalesReturn', () => {
         'item1',
         5,
         'increase',
-        'Sales return'
+        'Sales return',
+        { session: 'session-1' }
       );
     });
 
@@ -269,155 +275,137 @@ describe('SalesReturnService - createSalesReturn', () => {
       Invoice.find.mockResolvedValue([]);
 
       const mockSave = jest.fn().mockResolvedValue({
-        items: [{ itemId: 'item1', quantity: -5 }]
+        items: [{ itemId: 'item1', quantity: 5 }]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       await salesReturnService.createSalesReturn(mockReturnData);
 
       expect(stockMovementRepository.create).toHaveBeenCalledWith(
         expect.objectContaining({
           itemId: 'item1',
-          movementType: 'return_from_customer',
-          quantity: 5
-        })
+          movementType: 'in',
+          quantity: 5,
+          warehouse: 'wh1'
+        }),
+        { session: 'session-1' }
       );
     });
   });
 
   describe('Ledger entries', () => {
-    test('should create reverse ledger entries', async () => {
+    beforeEach(() => {
       Invoice.findById.mockResolvedValue(mockOriginalInvoice);
       Invoice.find.mockResolvedValue([]);
-
-      const mockSave = jest.fn().mockResolvedValue({
+      Invoice.mockImplementation(data => ({
+        ...data,
         _id: 'return123',
         invoiceNumber: 'SR2024000001',
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
-        }
-      });
-
-      Invoice.mockImplementation(() => ({
-        save: mockSave
+        save: jest.fn().mockResolvedValue({})
       }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
+    });
 
+    test('should post one double entry for the grand total', async () => {
       await salesReturnService.createSalesReturn(mockReturnData);
 
-      // Should create 3 ledger entries: Sales debit, AR credit, GST debit
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledTimes(3);
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledTimes(1);
+      expect(ledgerService.createDoubleEntry.mock.calls[0][2]).toBe(590);
     });
 
-    test('should debit Sales Account to reduce revenue', async () => {
-      Invoice.findById.mockResolvedValue(mockOriginalInvoice);
-      Invoice.find.mockResolvedValue([]);
-
-      const mockSave = jest.fn().mockResolvedValue({
-        _id: 'return123',
-        invoiceNumber: 'SR2024000001',
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
-        }
-      });
-
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
-
-      inventoryService.adjustInventory.mockResolvedValue(true);
-      stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
-
+    test('should debit Sales Revenue and credit the customer', async () => {
       await salesReturnService.createSalesReturn(mockReturnData);
 
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'SALES_ACCOUNT',
-          debit: 500,
-          credit: 0
-        })
+      expect(accountService.getAccountByCode).toHaveBeenCalledWith('SALES_REVENUE');
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'salesRevenue1', accountType: 'Account' },
+        { accountId: 'customer123', accountType: 'Customer' },
+        590,
+        expect.stringContaining('Sales Return SR2024000001'),
+        'invoice',
+        'return123',
+        'user123',
+        { session: 'session-1' }
       );
     });
+  });
 
-    test('should credit Accounts Receivable to reduce asset', async () => {
-      Invoice.findById.mockResolvedValue(mockOriginalInvoice);
-      Invoice.find.mockResolvedValue([]);
+  describe('Cost of goods', () => {
+    const costedSale = () => ({
+      ...mockOriginalInvoice,
+      items: [{
+        ...mockOriginalInvoice.items[0],
+        costOfGoods: { amount: 600, layers: [{ layerId: 'layer1', quantity: 10, unitCost: 60 }] }
+      }]
+    });
 
-      const mockSave = jest.fn().mockResolvedValue({
+    beforeEach(() => {
+      Invoice.mockImplementation(data => ({
+        ...data,
         _id: 'return123',
         invoiceNumber: 'SR2024000001',
-        customerId: 'customer123',
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
-        }
-      });
-
-      Invoice.mockImplementation(() => ({
-        save: mockSave
+        save: jest.fn().mockResolvedValue({})
       }));
-
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
-
-      await salesReturnService.createSalesReturn(mockReturnData);
-
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'customer123',
-          debit: 0,
-          credit: 590
-        })
-      );
+      ledgerService.createDoubleEntry.mockResolvedValue({});
+      accountService.getOrCreateSystemAccount.mockImplementation(code => Promise.resolve({ _id: `acc-${code}` }));
+      inventoryValuationService.restoreReturnedQuantity.mockResolvedValue({
+        quantity: 5, unitCost: 60, amount: 300, layers: [{ layerId: 'layer1', quantity: 5, unitCost: 60 }]
+      });
     });
 
-    test('should debit GST Output to reverse tax liability', async () => {
-      Invoice.findById.mockResolvedValue(mockOriginalInvoice);
-      Invoice.find.mockResolvedValue([]);
+    test('should restore the layers the sale consumed, less earlier returns', async () => {
+      const sale = costedSale();
+      Invoice.findById.mockResolvedValue(sale);
+      Invoice.find.mockResolvedValue([{
+        items: [{ itemId: 'item1', quantity: 2, costOfGoods: { layers: [{ layerId: 'layer1', quantity: 2 }] } }]
+      }]);
 
-      const mockSave = jest.fn().mockResolvedValue({
-        _id: 'return123',
-        invoiceNumber: 'SR2024000001',
-        totals: {
-          subtotal: -500,
-          totalTax: -90,
-          grandTotal: -590
-        }
+      const result = await salesReturnService.createSalesReturn({
+        ...mockReturnData,
+        returnItems: [{ itemId: 'item1', quantity: 3 }]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      expect(Invoice.find).toHaveBeenLastCalledWith(
+        { originalInvoiceId: 'invoice123', type: 'return_sales' },
+        null,
+        { session: 'session-1' }
+      );
+      expect(inventoryValuationService.restoreReturnedQuantity).toHaveBeenCalledWith(
+        sale.items[0],
+        3,
+        [{ layerId: 'layer1', quantity: 2 }],
+        { session: 'session-1' }
+      );
+      expect(result.items[0].costOfGoods.amount).toBe(300);
+      expect(result.totals.costOfGoodsSold).toBe(300);
+    });
 
-      inventoryService.adjustInventory.mockResolvedValue(true);
-      stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+    test('should move the returned cost from COGS back to inventory', async () => {
+      Invoice.findById.mockResolvedValue(costedSale());
+      Invoice.find.mockResolvedValue([]);
 
       await salesReturnService.createSalesReturn(mockReturnData);
 
-      expect(ledgerService.createLedgerEntry).toHaveBeenCalledWith(
-        expect.objectContaining({
-          accountId: 'GST_OUTPUT_ACCOUNT',
-          debit: 90,
-          credit: 0
-        })
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledTimes(2);
+      expect(ledgerService.createDoubleEntry).toHaveBeenLastCalledWith(
+        { accountId: 'acc-INVENTORY_ASSET', accountType: 'Account' },
+        { accountId: 'acc-COGS', accountType: 'Account' },
+        300,
+        expect.stringContaining('Sales Return SR2024000001'),
+        'invoice',
+        'return123',
+        'user123',
+        { session: 'session-1' }
       );
     });
   });
@@ -437,18 +425,16 @@ describe('SalesReturnService - createSalesReturn', () => {
 
       const mockSave = jest.fn().mockResolvedValue({
         items: [
-          { itemId: 'item1', quantity: -5 },
-          { itemId: 'item2', quantity: -3 }
+          { itemId: 'item1', quantity: 5 },
+          { itemId: 'item2', quantity: 3 }
         ]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       await salesReturnService.createSalesReturn(multiItemReturnData);
 
@@ -470,20 +456,18 @@ describe('SalesReturnService - createSalesReturn', () => {
       };
 
       const mockSave = jest.fn().mockResolvedValue({
-        items: [{ itemId: 'item1', quantity: -3 }]
+        items: [{ itemId: 'item1', quantity: 3 }]
       });
 
-      Invoice.mockImplementation(() => ({
-        save: mockSave
-      }));
+      Invoice.mockImplementation(data => ({ ...data, _id: 'return123', save: mockSave }));
 
       inventoryService.adjustInventory.mockResolvedValue(true);
       stockMovementRepository.create.mockResolvedValue({});
-      ledgerService.createLedgerEntry.mockResolvedValue({});
+      ledgerService.createDoubleEntry.mockResolvedValue({});
 
       const result = await salesReturnService.createSalesReturn(partialReturnData);
 
-      expect(result.items[0].quantity).toBe(-3);
+      expect(result.items[0].quantity).toBe(3);
     });
 
     test('should account for existing returns when validating', async () => {
@@ -492,7 +476,7 @@ describe('SalesReturnService - createSalesReturn', () => {
       // Mock existing return of 3 items
       Invoice.find.mockResolvedValue([
         {
-          items: [{ itemId: 'item1', quantity: -3 }],
+          items: [{ itemId: 'item1', quantity: 3 }],
           status: 'confirmed'
         }
       ]);
@@ -0,0 +1,157 @@
+const salesTaxReturnService = require('../../src/services/salesTaxReturnService');
+const Invoice = require('../../src/models/Invoice');
+
+jest.mock('../../src/models/Invoice');
+
+describe('Sales Tax Return Service', () => {
+  const mockInvoices = (invoices) => {
+    const query = {
+      populate: () => query,
+      sort: () => Promise.resolve(invoices),
+    };
+    Invoice.find.mockReturnValue(query);
+  };
+
+  const panadol = { name: 'Panadol 500mg', unit: 'strip', tax: { hsCode: '3004.9099' } };
+  const brufen = { name: 'Brufen 400mg', unit: 'strip', tax: { hsCode: '3004.9099' } };
+  const syrup = { name: 'Cough Syrup', unit: 'bottle', tax: {} };
+
+  // Line at the given GST rate; taxAmount may also carry advance tax on top of GST
+  const line = (itemId, quantity, gstRate, gstAmount, taxAmount, lineTotal) => ({
+    itemId,
+    quantity,
+    gstRate,
+    gstAmount,
+    taxAmount,
+    lineTotal,
+  });
+
+  const salesInvoice = (customer, items) => ({
+    invoiceNumber: 'SI2026000001',
+    invoiceDate: new Date(2026, 2, 5),
+    customerId: customer,
+    items,
+  });
+
+  describe('getAnnexure', () => {
+    test('should merge lines sharing an HS code and rate into one Annex-C row', async () => {
+      mockInvoices([
+        salesInvoice(
+          { name: 'City Pharmacy', financialInfo: { ntn: '1234567-8', strn: '3277876543210' } },
+          [
+            line(panadol, 10, 18, 180, 180, 1180),
+            line(brufen, 5, 18, 90, 95, 595),
+          ]
+        ),
+      ]);
+
+      const annexure = await salesTaxReturnService.getAnnexure('annex-c', '2026-03');
+
+      expect(Invoice.find).toHaveBeenCalledWith(expect.objectContaining({ type: 'sales' }));
+      expect(annexure.rows).toEqual([
+        expect.objectContaining({
+          srNo: 1,
+          partyNTN: '1234567-8',
+          partySTRN: '3277876543210',
+          partyType: 'Registered',
+          documentNumber: 'SI2026000001',
+          documentDate: '05/03/2026',
+          hsCode: '3004.9099',
+          rate: '18%',
+          description: 'Panadol 500mg; Brufen 400mg',
+          quantity: 15,
+          value: 1500,
+          salesTax: 270,
+          totalValue: 1770,
+        }),
+      ]);
+      expect(annexure.errors).toEqual([]);
+      expect(annexure.summary).toMatchObject({ rowCount: 1, totalValue: 1500, totalSalesTax: 270 });
+    });
+
+    test('should flag parties without NTN or CNIC and items without HS code', async () => {
+      mockInvoices([
+        salesInvoice(
+          { name: 'Walk-in Store', financialInfo: {} },
+          [line(syrup, 2, 18, 36, 36, 236)]
+        ),
+      ]);
+
+      const annexure = await salesTaxReturnService.getAnnexure('annex-c', '2026-03');
+
+      expect(annexure.rows[0].partyType).toBe('Unregistered');
+      expect(annexure.errors).toEqual([
+        expect.objectContaining({ documentNumber: 'SI2026000001', field: 'NTN/CNIC' }),
+        expect.objectContaining({ field: 'HS Code', message: 'No HS code on item(s): Cough Syrup' }),
+      ]);
+    });
+
+    test('should accept a CNIC in place of an NTN', async () => {
+      mockInvoices([
+        salesInvoice(
+          { name: 'Dr. Clinic', financialInfo: { nicNumber: '42101-1234567-1' } },
+          [line(panadol, 1, 18, 18, 18, 118)]
+        ),
+      ]);
+
+      const annexure = await salesTaxReturnService.getAnnexure('annex-c', '2026-03');
+
+      expect(annexure.rows[0].partyCNIC).toBe('4210112345671');
+      expect(annexure.errors).toEqual([]);
+    });
+
+    test('should report purchases on Annex-A under the supplier bill number', async () => {
+      mockInvoices([
+        {
+          invoiceNumber: 'PI2026000001',
+          supplierBillNo: 'GSK-7781',
+          invoiceDate: new Date(2026, 2, 9),
+          supplierId: { name: 'GSK Pakistan', financialInfo: { ntn: '0712345-1', strn: '1700000000001' } },
+          items: [line(panadol, 100, 4, 400, 400, 10400)],
+        },
+      ]);
+
+      const annexure = await salesTaxReturnService.getAnnexure('annex-a', '2026-03');
+
+      expect(Invoice.find).toHaveBeenCalledWith(expect.objectContaining({ type: 'purchase' }));
+      expect(annexure.annex).toBe('Annex-A');
+      expect(annexure.rows[0]).toMatchObject({
+        documentNumber: 'GSK-7781',
+        saleType: 'Goods at Reduced Rate',
+        value: 10000,
+        salesTax: 400,
+      });
+    });
+
+    test('should reject an unknown annexure or malformed period', async () => {
+      await expect(salesTaxReturnService.getAnnexure('annex-b', '2026-03'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(salesTaxReturnService.getAnnexure('annex-c', '2026-13'))
+        .rejects.toThrow('Tax period must be in YYYY-MM format');
+    });
+  });
+
+  describe('exportAnnexure', () => {
+    test('should export Annex-C rows as CSV with FBR column headers', async () => {
+      mockInvoices([
+        salesInvoice(
+          { name: 'City Pharmacy', financialInfo: { ntn: '1234567-8' } },
+          [line(panadol, 10, 18, 180, 180, 1180)]
+        ),
+      ]);
+
+      const file = await salesTaxReturnService.exportAnnexure('annex-c', '2026-03', 'csv');
+
+      expect(file.filename).toBe('Annex-C_2026-03.csv');
+      expect(file.content.split('\n')[0]).toContain('Sr.,Buyer NTN,Buyer CNIC,Buyer Name');
+      expect(file.content).toContain('SI2026000001,05/03/2026,3004.9099');
+    });
+
+    test('should refuse to export an empty period', async () => {
+      mockInvoices([]);
+
+      await expect(salesTaxReturnService.exportAnnexure('annex-c', '2026-03', 'excel'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const statementService = require('../../src/services/statementService');
+const Customer = require('../../src/models/Customer');
+const ledgerService = require('../../src/services/ledgerService');
+const mailService = require('../../src/services/mailService');
+
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/services/mailService');
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const makeCustomer = overrides => ({
+  _id: 'cust1',
+  code: 'C001',
+  name: 'Al-Shifa Medical Store',
+  contactInfo: { address: 'Shop 4, Saddar', city: 'Hyderabad', email: 'alshifa@example.com' },
+  ...overrides
+});
+
+const mockLedger = (closing) => {
+  ledgerService.generateAccountStatement.mockResolvedValue({
+    balances: { opening: 1000, closing },
+    transactions: [
+      {
+        date: new Date(2026, 8, 5),
+        description: 'Invoice SI001',
+        reference: 'SI001',
+        debit: 5000,
+        credit: 0,
+        balance: 6000
+      },
+      {
+        date: new Date(2026, 8, 20),
+        description: 'Cash receipt',
+        reference: 'CR001',
+        debit: 0,
+        credit: 2000,
+        balance: 4000
+      }
+    ],
+    summary: { totalDebits: 5000, totalCredits: 2000 }
+  });
+  ledgerService.getCustomerReceivablesAging.mockResolvedValue({
+    customers: [{
+      aging: {
+        current: 1000, days1to30: 3000, days31to60: 0, days61to90: 0, over90: 0, total: 4000
+      },
+      invoices: [{
+        invoiceNumber: 'SI001',
+        invoiceDate: new Date(2026, 8, 5),
+        dueDate: new Date(2026, 8, 20),
+        amount: 3000,
+        daysOverdue: 10
+      }]
+    }]
+  });
+};
+
+describe('Statement Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mailService.sendMail.mockResolvedValue({ messageId: '<m1>', accepted: ['alshifa@example.com'] });
+  });
+
+  describe('resolvePeriod', () => {
+    it('should default to the month to date', () => {
+      const { startDate, endDate } = statementService.resolvePeriod({ endDate: '2026-09-30' });
+
+      expect(startDate).toEqual(new Date(2026, 8, 1));
+      expect(endDate).toEqual(new Date(2026, 8, 30, 23, 59, 59, 999));
+      expect(() => statementService.resolvePeriod({ startDate: '2026-10-01', endDate: '2026-09-30' }))
+        .toThrow('Start date must be before end date');
+    });
+  });
+
+  describe('generateStatement', () => {
+    it('should render the customer\'s balances, aging and unpaid invoices to PDF', async () => {
+      Customer.findById.mockResolvedValue(makeCustomer());
+      mockLedger(4000);
+
+      const result = await statementService.generateStatement('cust1', {
+        startDate: '2026-09-01', endDate: '2026-09-30'
+      });
+
+      expect(ledgerService.generateAccountStatement).toHaveBeenCalledWith(
+        'cust1',
+        'Customer',
+        new Date(2026, 8, 1),
+        new Date(2026, 8, 30, 23, 59, 59, 999)
+      );
+      expect(result.statement).toMatchObject({
+        statementNumber: 'SOA-C001-20260930',
+        customer: { code: 'C001', address: 'Shop 4, Saddar, Hyderabad' },
+        openingBalance: 1000,
+        closingBalance: 4000,
+        totals: { debit: 5000, credit: 2000 }
+      });
+      expect(result.statement.aging.days1to30).toBe(3000);
+      expect(result.statement.unpaidInvoices).toHaveLength(1);
+      expect(result.filename).toBe('SOA-C001-20260930.pdf');
+      expect(result.content.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should show zero aging for a customer with nothing unpaid', async () => {
+      Customer.findById.mockResolvedValue(makeCustomer());
+      mockLedger(0);
+      ledgerService.getCustomerReceivablesAging.mockResolvedValue({ customers: [] });
+
+      const { statement } = await statementService.generateStatement('cust1', { endDate: '2026-09-30' });
+
+      expect(statement.aging).toEqual({
+        total: 0, current: 0, days1to30: 0, days31to60: 0, days61to90: 0, over90: 0
+      });
+      expect(statement.unpaidInvoices).toEqual([]);
+    });
+  });
+
+  describe('emailStatement', () => {
+    it('should attach the PDF and send it to the customer', async () => {
+      Customer.findById.mockResolvedValue(makeCustomer());
+      mockLedger(4000);
+
+      const result = await statementService.emailStatement('cust1', { endDate: '2026-09-30' });
+
+      const message = mailService.sendMail.mock.calls[0][0];
+      expect(message.to).toBe('alshifa@example.com');
+      expect(message.subject).toContain('Statement of account 01/09/2026 to 30/09/2026');
+      expect(message.text).toContain('Rs. 4,000.00');
+      expect(message.attachments[0]).toMatchObject({
+        filename: 'SOA-C001-20260930.pdf', contentType: 'application/pdf'
+      });
+      expect(result).toMatchObject({ email: 'alshifa@example.com', messageId: '<m1>' });
+    });
+
+    it('should need an email address', async () => {
+      Customer.findById.mockResolvedValue(makeCustomer({ contactInfo: {} }));
+      mockLedger(4000);
+
+      await expect(statementService.emailStatement('cust1')).rejects.toThrow('has no email address');
+      expect(mailService.sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulk statements', () => {
+    it('should keep only customers owing more than the minimum balance', async () => {
+      Customer.find.mockReturnValue(query([makeCustomer(), makeCustomer({ _id: 'cust2', code: 'C002' })]));
+      mockLedger(4000);
+      ledgerService.generateAccountStatement
+        .mockResolvedValueOnce({
+          balances: { opening: 0, closing: 4000 }, transactions: [], summary: { totalDebits: 0, totalCredits: 0 }
+        })
+        .mockResolvedValueOnce({
+          balances: { opening: 0, closing: 500 }, transactions: [], summary: { totalDebits: 0, totalCredits: 0 }
+        });
+
+      const result = await statementService.generateBulkStatements({ routeId: 'route1', minBalance: '1000' });
+
+      expect(Customer.find).toHaveBeenCalledWith({ isActive: true, type: { $ne: 'supplier' }, routeId: 'route1' });
+      expect(result.count).toBe(1);
+      expect(result.content.slice(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should need a route or a minimum balance', async () => {
+      await expect(statementService.generateBulkStatements({})).rejects.toThrow('Choose a route or a minimum balance');
+    });
+
+    it('should email each customer and carry on past failures', async () => {
+      Customer.find.mockReturnValue(query([
+        makeCustomer(),
+        makeCustomer({ _id: 'cust2', code: 'C002', contactInfo: {} }),
+        makeCustomer({ _id: 'cust3', code: 'C003', contactInfo: { email: 'bad@example.com' } })
+      ]));
+      mockLedger(4000);
+      mailService.sendMail
+        .mockResolvedValueOnce({ messageId: '<m1>' })
+        .mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+      const result = await statementService.emailBulkStatements({ minBalance: 0 });
+
+      expect(result.summary).toEqual({
+        statements: 3, sent: 1, skipped: 1, failed: 1
+      });
+      expect(result.skipped[0]).toMatchObject({ code: 'C002', reason: 'No email address' });
+      expect(result.failed[0]).toMatchObject({ code: 'C003', reason: 'Mailbox unavailable' });
+    });
+  });
+});
@@ -0,0 +1,303 @@
+const stockReservationService = require('../../src/services/stockReservationService');
+const StockReservation = require('../../src/models/StockReservation');
+const Invoice = require('../../src/models/Invoice');
+const Inventory = require('../../src/models/Inventory');
+const Item = require('../../src/models/Item');
+const Warehouse = require('../../src/models/Warehouse');
+const batchRepository = require('../../src/repositories/batchRepository');
+const batchService = require('../../src/services/batchService');
+
+jest.mock('../../src/models/StockReservation');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/Inventory');
+jest.mock('../../src/models/Item');
+jest.mock('../../src/models/Warehouse');
+jest.mock('../../src/repositories/batchRepository');
+jest.mock('../../src/services/batchService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    session: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const makeInvoice = overrides => ({
+  _id: 'inv1',
+  invoiceNumber: 'SI2024000010',
+  type: 'sales',
+  status: 'draft',
+  customerId: 'cust1',
+  items: [{ itemId: 'item1', quantity: 50 }],
+  ...overrides
+});
+
+const paracetamol = {
+  _id: 'item1', code: 'PARA', name: 'Paracetamol', inventory: { currentStock: 120 }
+};
+
+describe('Stock Reservation Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.STOCK_RESERVATION_HOLD_HOURS;
+    StockReservation.insertMany.mockImplementation(docs => Promise.resolve(docs.map((doc, index) => ({
+      _id: `res${index + 1}`,
+      ...doc
+    }))));
+    StockReservation.updateMany.mockResolvedValue({});
+    Inventory.updateOne.mockResolvedValue({});
+  });
+
+  describe('reserveForInvoice', () => {
+    it('should reserve batch stock earliest-expiry-first around what other documents hold', async () => {
+      Invoice.findById.mockReturnValue(query(makeInvoice()));
+      Item.find.mockReturnValue(query([paracetamol]));
+      StockReservation.find
+        .mockReturnValueOnce(query([]))
+        .mockReturnValueOnce(query([{ itemId: 'item1', batchId: 'batch1', quantity: 20 }]));
+      batchService.isBatchTracked.mockResolvedValue(true);
+      batchRepository.findSellableBatches.mockResolvedValue([
+        {
+          _id: 'batch1', batchNumber: 'B-EARLY', warehouse: 'wh1', remainingQuantity: 30
+        },
+        {
+          _id: 'batch2', batchNumber: 'B-LATE', warehouse: 'wh1', remainingQuantity: 100
+        }
+      ]);
+
+      const before = Date.now();
+      const result = await stockReservationService.reserveForInvoice('inv1', 'user1');
+
+      expect(StockReservation.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({
+          itemId: 'item1', warehouseId: 'wh1', batchId: 'batch1', batchNumber: 'B-EARLY', quantity: 10
+        }),
+        expect.objectContaining({ batchId: 'batch2', quantity: 40 })
+      ], { session: 'session-1' });
+      expect(result.reservations[0]).toMatchObject({
+        sourceType: 'sales_order',
+        sourceId: 'inv1',
+        sourceNumber: 'SI2024000010',
+        customerId: 'cust1',
+        createdBy: 'user1'
+      });
+      expect(result.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 48 * HOUR_MS);
+      expect(Inventory.updateOne).toHaveBeenCalledTimes(2);
+      expect(Inventory.updateOne).toHaveBeenCalledWith(
+        { item: 'item1', warehouse: 'wh1' },
+        expect.any(Array),
+        { session: 'session-1' }
+      );
+    });
+
+    it('should refuse to promise stock another order already holds', async () => {
+      Invoice.findById.mockReturnValue(query(makeInvoice()));
+      Item.find.mockReturnValue(query([paracetamol]));
+      StockReservation.find
+        .mockReturnValueOnce(query([]))
+        .mockReturnValueOnce(query([{ itemId: 'item1', quantity: 100 }]));
+      batchService.isBatchTracked.mockResolvedValue(false);
+
+      await expect(stockReservationService.reserveForInvoice('inv1', 'user1'))
+        .rejects.toMatchObject({
+          statusCode: 422,
+          message: 'Insufficient unreserved stock for items: Paracetamol (PARA): Requested 50, Available 20'
+        });
+      expect(StockReservation.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should reserve unbatched stock in the default warehouse', async () => {
+      Invoice.findById.mockReturnValue(query(makeInvoice()));
+      Item.find.mockReturnValue(query([paracetamol]));
+      StockReservation.find.mockReturnValue(query([]));
+      batchService.isBatchTracked.mockResolvedValue(false);
+      Warehouse.findOne.mockReturnValue(query({ _id: 'wh-main' }));
+
+      const result = await stockReservationService.reserveForInvoice('inv1', 'user1', { holdHours: 4 });
+
+      expect(result.reservations).toHaveLength(1);
+      expect(result.reservations[0]).toMatchObject({ itemId: 'item1', warehouseId: 'wh-main', quantity: 50 });
+      expect(result.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 4 * HOUR_MS);
+    });
+
+    it('should hold estimate stock no longer than the estimate is valid', async () => {
+      const expiryDate = new Date(Date.now() + 6 * HOUR_MS);
+      Invoice.findById.mockReturnValue(query(makeInvoice({ estimatePrint: true, expiryDate })));
+      Item.find.mockReturnValue(query([paracetamol]));
+      StockReservation.find.mockReturnValue(query([]));
+      batchService.isBatchTracked.mockResolvedValue(false);
+      Warehouse.findOne.mockReturnValue(query({ _id: 'wh-main' }));
+
+      const result = await stockReservationService.reserveForInvoice('inv1', 'user1');
+
+      expect(result.expiresAt).toEqual(expiryDate);
+      expect(result.reservations[0].sourceType).toBe('estimate');
+    });
+
+    it('should replace the earlier reservation of the same document', async () => {
+      const earlier = {
+        _id: 'old1', itemId: 'item1', warehouseId: 'wh1', quantity: 30
+      };
+      Invoice.findById.mockReturnValue(query(makeInvoice()));
+      Item.find.mockReturnValue(query([paracetamol]));
+      StockReservation.find
+        .mockReturnValueOnce(query([earlier]))
+        .mockReturnValueOnce(query([]));
+      batchService.isBatchTracked.mockResolvedValue(false);
+      Warehouse.findOne.mockReturnValue(query({ _id: 'wh1' }));
+
+      await stockReservationService.reserveForInvoice('inv1', 'user1');
+
+      expect(StockReservation.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['old1'] }, status: 'active' },
+        { $set: expect.objectContaining({ status: 'released', releaseReason: 'Replaced by a new reservation' }) },
+        { session: 'session-1' }
+      );
+      expect(StockReservation.find).toHaveBeenLastCalledWith(expect.objectContaining({
+        sourceId: { $ne: 'inv1' }
+      }));
+    });
+
+    it('should only reserve for draft sales invoices', async () => {
+      Invoice.findById.mockReturnValue(query(makeInvoice({ status: 'confirmed' })));
+
+      await expect(stockReservationService.reserveForInvoice('inv1', 'user1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      Invoice.findById.mockReturnValue(query(null));
+
+      await expect(stockReservationService.reserveForInvoice('inv1', 'user1'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should reject an invalid hold time', async () => {
+      await expect(stockReservationService.reserveForInvoice('inv1', 'user1', { holdHours: 0 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      process.env.STOCK_RESERVATION_HOLD_HOURS = 'soon';
+      expect(() => stockReservationService.getHoldHours()).toThrow('Hold time must be more than 0');
+    });
+  });
+
+  describe('releaseReservations', () => {
+    it('should close the active reservations and free their allocation', async () => {
+      StockReservation.find.mockReturnValue(query([{
+        _id: 'res1', itemId: 'item1', warehouseId: 'wh1', quantity: 30
+      }]));
+
+      const released = await stockReservationService.releaseReservations('inv1', 'converted', 'user1', 'Invoiced');
+
+      expect(released).toHaveLength(1);
+      expect(StockReservation.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['res1'] }, status: 'active' },
+        {
+          $set: {
+            status: 'converted', releasedAt: expect.any(Date), releasedBy: 'user1', releaseReason: 'Invoiced'
+          }
+        },
+        { session: undefined }
+      );
+      expect(Inventory.updateOne).toHaveBeenCalledWith({ item: 'item1', warehouse: 'wh1' }, expect.any(Array), {
+        session: undefined
+      });
+    });
+
+    it('should do nothing when the document holds no stock', async () => {
+      StockReservation.find.mockReturnValue(query([]));
+
+      const released = await stockReservationService.releaseReservations('inv1', 'released');
+
+      expect(released).toEqual([]);
+      expect(StockReservation.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should require the document', async () => {
+      await expect(stockReservationService.releaseReservations(undefined, 'released'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(StockReservation.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseExpiredReservations', () => {
+    it('should mark reservations past their hold time as expired', async () => {
+      StockReservation.find.mockReturnValue(query([
+        {
+          _id: 'res1', itemId: 'item1', warehouseId: 'wh1', quantity: 30
+        },
+        {
+          _id: 'res2', itemId: 'item2', warehouseId: 'wh1', quantity: 5
+        }
+      ]));
+
+      const result = await stockReservationService.releaseExpiredReservations();
+
+      expect(result).toEqual({ expired: 2 });
+      expect(StockReservation.find).toHaveBeenCalledWith({ status: 'active', expiresAt: { $lte: expect.any(Date) } });
+      expect(StockReservation.updateMany).toHaveBeenCalledWith(
+        expect.anything(),
+        { $set: expect.objectContaining({ status: 'expired' }) },
+        { session: 'session-1' }
+      );
+      expect(Inventory.updateOne).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('startExpirySchedule', () => {
+    afterEach(() => {
+      stockReservationService.stopExpirySchedule();
+      jest.useRealTimers();
+    });
+
+    it('should release expired reservations at once and then every hour', () => {
+      jest.useFakeTimers();
+      const release = jest.spyOn(stockReservationService, 'releaseExpiredReservations')
+        .mockResolvedValue({ expired: 0 });
+
+      stockReservationService.startExpirySchedule();
+      stockReservationService.startExpirySchedule();
+      expect(release).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(60 * 60 * 1000);
+      expect(release).toHaveBeenCalledTimes(2);
+
+      release.mockRestore();
+    });
+  });
+
+  describe('getReservedQuantities', () => {
+    it('should total unexpired reservations by item and batch', async () => {
+      StockReservation.find.mockReturnValue(query([
+        { itemId: 'item1', batchId: 'batch1', quantity: 10 },
+        { itemId: 'item1', batchId: 'batch2', quantity: 15 },
+        { itemId: 'item2', quantity: 4 }
+      ]));
+
+      const reserved = await stockReservationService.getReservedQuantities(['item1', 'item2'], {
+        excludeSourceId: 'inv1'
+      });
+
+      expect(reserved.byItem.get('item1')).toBe(25);
+      expect(reserved.byItem.get('item2')).toBe(4);
+      expect(reserved.byBatch.get('batch2')).toBe(15);
+      expect(StockReservation.find).toHaveBeenCalledWith({
+        itemId: { $in: ['item1', 'item2'] },
+        status: 'active',
+        expiresAt: { $gt: expect.any(Date) },
+        sourceId: { $ne: 'inv1' }
+      });
+    });
+  });
+});
@@ -0,0 +1,395 @@
+const stockTakeService = require('../../src/services/stockTakeService');
+const StockTake = require('../../src/models/StockTake');
+const Inventory = require('../../src/models/Inventory');
+const Warehouse = require('../../src/models/Warehouse');
+const Item = require('../../src/models/Item');
+const Batch = require('../../src/models/Batch');
+const StockMovement = require('../../src/models/StockMovement');
+const batchRepository = require('../../src/repositories/batchRepository');
+const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
+const inventoryValuationService = require('../../src/services/inventoryValuationService');
+const accountService = require('../../src/services/accountService');
+const ledgerService = require('../../src/services/ledgerService');
+
+jest.mock('../../src/models/StockTake');
+jest.mock('../../src/models/Inventory');
+jest.mock('../../src/models/Warehouse');
+jest.mock('../../src/models/Item');
+jest.mock('../../src/models/Batch');
+jest.mock('../../src/models/StockMovement');
+jest.mock('../../src/repositories/batchRepository');
+jest.mock('../../src/repositories/stockMovementRepository');
+jest.mock('../../src/services/inventoryValuationService');
+jest.mock('../../src/services/accountService');
+jest.mock('../../src/services/ledgerService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    session: jest.fn(() => Promise.resolve(value)),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+/**
+ * Stock take document stand-in with subdocument-style lines
+ */
+const makeStockTake = (lines, overrides = {}) => {
+  const docLines = lines.map(line => ({ counts: [], ...line }));
+  docLines.id = lineId => docLines.find(line => String(line._id) === String(lineId)) || null;
+
+  const stockTake = {
+    _id: 'stk1',
+    stockTakeNumber: 'STK2024000001',
+    warehouse: 'wh1',
+    status: 'counting',
+    lines: docLines,
+    ...overrides
+  };
+  stockTake.save = jest.fn().mockResolvedValue(stockTake);
+  return stockTake;
+};
+
+describe('Stock Take Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createStockTake', () => {
+    const paracetamol = {
+      _id: 'item1', code: 'PARA', name: 'Paracetamol', category: 'Tablets', pricing: { costPrice: 8 }
+    };
+    const syrup = {
+      _id: 'item2', code: 'SYR', name: 'Cough Syrup', category: 'Syrups', pricing: { costPrice: 50 }
+    };
+
+    beforeEach(() => {
+      Warehouse.findById = jest.fn().mockResolvedValue({ _id: 'wh1', name: 'Main' });
+      StockTake.findOne = jest.fn().mockResolvedValue(null);
+      StockTake.mockImplementation(data => ({ ...data, save: jest.fn().mockResolvedValue(data) }));
+      Inventory.find = jest.fn(() => query([
+        { item: paracetamol, quantity: 120 },
+        { item: syrup, quantity: 10 }
+      ]));
+      Batch.find = jest.fn(() => query([
+        {
+          _id: 'batch1', item: 'item1', batchNumber: 'P-01', remainingQuantity: 70, unitCost: 7.5
+        },
+        {
+          _id: 'batch2', item: 'item1', batchNumber: 'P-02', remainingQuantity: 30, unitCost: 0
+        }
+      ]));
+    });
+
+    test('should freeze expected quantities by batch, with unbatched stock on its own line', async () => {
+      const stockTake = await stockTakeService.createStockTake({ warehouse: 'wh1', createdBy: 'user1' });
+
+      expect(stockTake.status).toBe('counting');
+      expect(stockTake.countType).toBe('full');
+      expect(stockTake.lines).toEqual([
+        expect.objectContaining({
+          itemId: 'item1', batchId: 'batch1', expectedQuantity: 70, unitCost: 7.5
+        }),
+        expect.objectContaining({ itemId: 'item1', batchNumber: 'P-02', unitCost: 8 }),
+        expect.objectContaining({ itemId: 'item1', expectedQuantity: 20, unitCost: 8 }),
+        expect.objectContaining({ itemId: 'item2', expectedQuantity: 10, unitCost: 50 })
+      ]);
+      expect(stockTake.lines[2].batchNumber).toBeUndefined();
+    });
+
+    test('should limit the session to a section, a category and chosen items', async () => {
+      const stockTake = await stockTakeService.createStockTake({
+        warehouse: 'wh1',
+        section: 'Cold Room',
+        category: 'Syrups',
+        itemIds: ['item1', 'item2'],
+        createdBy: 'user1'
+      });
+
+      expect(Inventory.find).toHaveBeenCalledWith({
+        warehouse: 'wh1',
+        section: 'Cold Room',
+        item: { $in: ['item1', 'item2'] }
+      });
+      expect(stockTake.countType).toBe('cycle');
+      expect(stockTake.lines.map(line => line.itemId)).toEqual(['item2']);
+    });
+
+    test('should refuse while another open session counts the same items', async () => {
+      StockTake.findOne = jest.fn().mockResolvedValue({ stockTakeNumber: 'STK2024000007' });
+
+      await expect(stockTakeService.createStockTake({ warehouse: 'wh1', createdBy: 'user1' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('submitCounts', () => {
+    test('should add up counts from different devices and replace a recount from the same device', async () => {
+      const stockTake = makeStockTake([{ _id: 'line1', itemId: 'item1', expectedQuantity: 50 }]);
+      StockTake.findById = jest.fn(() => query(stockTake));
+
+      await stockTakeService.submitCounts('stk1', {
+        deviceId: 'scanner-1',
+        counts: [{ lineId: 'line1', quantity: 30 }]
+      }, 'user1');
+      await stockTakeService.submitCounts('stk1', {
+        deviceId: 'scanner-2',
+        counts: [{ lineId: 'line1', quantity: 15 }]
+      }, 'user2');
+      await stockTakeService.submitCounts('stk1', {
+        deviceId: 'scanner-1',
+        counts: [{ lineId: 'line1', quantity: 32 }]
+      }, 'user1');
+
+      const [line] = stockTake.lines;
+      expect(line.counts).toHaveLength(2);
+      expect(line.countedQuantity).toBe(47);
+      expect(line.variance).toBe(-3);
+    });
+
+    test('should open a line for stock that was not expected', async () => {
+      const stockTake = makeStockTake([{ _id: 'line1', itemId: 'item1', expectedQuantity: 50 }]);
+      StockTake.findById = jest.fn(() => query(stockTake));
+      Item.findById = jest.fn(() => query({ _id: 'item9', name: 'Bandage', pricing: { costPrice: 12 } }));
+
+      await stockTakeService.submitCounts('stk1', { counts: [{ itemId: 'item9', quantity: 4 }] }, 'user1');
+
+      const added = stockTake.lines[1];
+      expect(added).toMatchObject({
+        itemId: 'item9',
+        expectedQuantity: 0,
+        unitCost: 12,
+        addedDuringCount: true,
+        countedQuantity: 4,
+        variance: 4
+      });
+      expect(added.counts[0].deviceId).toBe('user:user1');
+    });
+
+    test('should refuse counts once counting has closed', async () => {
+      StockTake.findById = jest.fn(() => query(makeStockTake([], { status: 'completed' })));
+
+      await expect(stockTakeService.submitCounts('stk1', { counts: [{ lineId: 'x', quantity: 1 }] }, 'user1'))
+        .rejects.toThrow('Only counting stock takes can be counted');
+    });
+  });
+
+  describe('completeStockTake', () => {
+    test('should need at least one counted line', async () => {
+      StockTake.findById = jest.fn(() => query(makeStockTake([{ _id: 'line1', expectedQuantity: 5 }])));
+
+      await expect(stockTakeService.completeStockTake('stk1', 'user1'))
+        .rejects.toThrow('Nothing has been counted yet');
+    });
+
+    test('should total the gains and losses', async () => {
+      const stockTake = makeStockTake([
+        {
+          _id: 'line1', expectedQuantity: 50, countedQuantity: 47, unitCost: 10
+        },
+        {
+          _id: 'line2', expectedQuantity: 0, countedQuantity: 4, unitCost: 12
+        },
+        { _id: 'line3', expectedQuantity: 9, unitCost: 5 }
+      ]);
+      StockTake.findById = jest.fn(() => query(stockTake));
+
+      const completed = await stockTakeService.completeStockTake('stk1', 'user1');
+
+      expect(completed.status).toBe('completed');
+      expect(completed.totals).toEqual({
+        gainQuantity: 4, lossQuantity: 3, gainValue: 48, lossValue: 30
+      });
+    });
+  });
+
+  describe('getVarianceReport', () => {
+    test('should report variances, value impact and uncounted lines', async () => {
+      const stockTake = makeStockTake([
+        {
+          _id: 'line1', itemId: { _id: 'item1', code: 'PARA' }, expectedQuantity: 50, countedQuantity: 47, unitCost: 10,
+        },
+        {
+          _id: 'line2', itemId: { _id: 'item2', code: 'SYR' }, expectedQuantity: 9, countedQuantity: 9, unitCost: 5,
+        },
+        {
+          _id: 'line3', itemId: { _id: 'item3', code: 'BAND' }, expectedQuantity: 2, unitCost: 3,
+        },
+      ]);
+      StockTake.findById = jest.fn(() => query(stockTake));
+
+      const report = await stockTakeService.getVarianceReport('stk1', { varianceOnly: true });
+
+      expect(report.lines).toHaveLength(1);
+      expect(report.lines[0]).toMatchObject({
+        code: 'PARA', variance: -3, variancePercent: -6, valueImpact: -30
+      });
+      expect(report.totals).toMatchObject({
+        lines: 3,
+        countedLines: 2,
+        uncountedLines: 1,
+        linesWithVariance: 1,
+        netValue: -30
+      });
+    });
+  });
+
+  describe('postStockTake', () => {
+    let stockTake;
+
+    beforeEach(() => {
+      stockTake = makeStockTake([
+        {
+          _id: 'line1',
+          itemId: 'item1',
+          batchId: 'batch1',
+          batchNumber: 'P-01',
+          expectedQuantity: 50,
+          countedQuantity: 47,
+          unitCost: 10
+        },
+        {
+          _id: 'line2', itemId: 'item2', expectedQuantity: 0, countedQuantity: 4, unitCost: 12
+        },
+        {
+          _id: 'line3', itemId: 'item3', expectedQuantity: 9, countedQuantity: 9, unitCost: 5
+        }
+      ], { status: 'completed' });
+
+      StockTake.findById = jest.fn(() => query(stockTake));
+      Warehouse.findById = jest.fn(() => query({ _id: 'wh1', name: 'Main' }));
+      Inventory.findOne = jest.fn(() => query({ quantity: 50, save: jest.fn().mockResolvedValue(true) }));
+      Inventory.updateMany = jest.fn().mockResolvedValue({});
+      Item.findById = jest.fn(() => query({
+        inventory: { currentStock: 60 },
+        save: jest.fn().mockResolvedValue(true)
+      }));
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ _id: 'batch1' });
+      inventoryValuationService.consumeLayers.mockResolvedValue({ amount: 28.5 });
+      inventoryValuationService.addLayer.mockResolvedValue({});
+      accountService.getOrCreateSystemAccount.mockImplementation(code => Promise.resolve({ _id: `acc-${code}` }));
+      ledgerService.createDoubleEntry.mockResolvedValue({});
+      stockMovementRepository.create.mockResolvedValue({});
+    });
+
+    test('should need a reason code for every variance', async () => {
+      await expect(stockTakeService.postStockTake('stk1', {
+        reasons: [{ lineId: 'line1', reasonCode: 'damaged' }]
+      }, 'approver'))
+        .rejects.toThrow('Every line with a variance needs a reason code');
+
+      expect(batchRepository.decrementRemainingQuantity).not.toHaveBeenCalled();
+    });
+
+    test('should post every variance in one go', async () => {
+      const posted = await stockTakeService.postStockTake('stk1', {
+        reasons: [{ lineId: 'line1', reasonCode: 'damaged', notes: 'Crushed carton' }],
+        defaultReasonCode: 'miscount'
+      }, 'approver');
+
+      expect(batchRepository.decrementRemainingQuantity)
+        .toHaveBeenCalledWith('batch1', 3, { session: 'session-1' });
+      expect(inventoryValuationService.consumeLayers)
+        .toHaveBeenCalledWith('item1', 3, {
+          batchId: 'batch1', batchNumber: 'P-01', warehouseId: 'wh1', session: 'session-1'
+        });
+      expect(inventoryValuationService.addLayer).toHaveBeenCalledWith(
+        expect.objectContaining({
+          itemId: 'item2', quantity: 4, unitCost: 12, sourceType: 'adjustment'
+        }),
+        { session: 'session-1' }
+      );
+      expect(stockMovementRepository.create).toHaveBeenCalledTimes(2);
+      expect(stockMovementRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        itemId: 'item1',
+        quantity: -3,
+        referenceType: 'adjustment',
+        notes: 'Stock take STK2024000001 - damaged: Crushed carton'
+      }), { session: 'session-1' });
+
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'acc-INVENTORY_ASSET', accountType: 'Account' },
+        { accountId: 'acc-STOCK_ADJUSTMENT', accountType: 'Account' },
+        48,
+        expect.any(String),
+        'adjustment',
+        'stk1',
+        'approver',
+        { session: 'session-1' }
+      );
+      expect(ledgerService.createDoubleEntry).toHaveBeenCalledWith(
+        { accountId: 'acc-STOCK_ADJUSTMENT', accountType: 'Account' },
+        { accountId: 'acc-INVENTORY_ASSET', accountType: 'Account' },
+        28.5,
+        expect.any(String),
+        'adjustment',
+        'stk1',
+        'approver',
+        { session: 'session-1' }
+      );
+
+      expect(Inventory.updateMany).toHaveBeenCalledWith(
+        { warehouse: 'wh1', item: { $in: ['item1', 'item2', 'item3'] } },
+        { $set: { lastCounted: expect.any(Date) } },
+        { session: 'session-1' }
+      );
+      expect(posted.status).toBe('posted');
+      expect(stockTake.lines[1].reasonCode).toBe('miscount');
+      expect(posted.totals).toMatchObject({ gainValue: 48, lossValue: 28.5 });
+    });
+
+    test('should refuse when the batch no longer holds the loss', async () => {
+      batchRepository.decrementRemainingQuantity.mockResolvedValue(null);
+
+      await expect(stockTakeService.postStockTake('stk1', { defaultReasonCode: 'miscount' }, 'approver'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getCycleCountSchedule', () => {
+    test('should class items by sales value and propose the most overdue of each class', async () => {
+      const item = (id, costPrice) => ({
+        _id: id, code: id.toUpperCase(), name: id, pricing: { costPrice }
+      });
+      const date = new Date('2024-06-30');
+      Inventory.find = jest.fn(() => query([
+        { item: item('a1', 10), quantity: 100, lastCounted: new Date('2024-05-01') },
+        { item: item('b1', 10), quantity: 40, lastCounted: new Date('2024-06-20') },
+        { item: item('c1', 1), quantity: 5 },
+        { item: item('c2', 1), quantity: 5, lastCounted: new Date('2024-06-01') }
+      ]));
+      StockMovement.aggregate = jest.fn().mockResolvedValue([
+        { _id: 'a1', quantity: 850 },
+        { _id: 'b1', quantity: 120 },
+        { _id: 'c1', quantity: 300 }
+      ]);
+
+      const schedule = await stockTakeService.getCycleCountSchedule({
+        warehouseId: '507f1f77bcf86cd799439011',
+        date
+      });
+
+      expect(schedule.classes.A).toMatchObject({ items: 1, due: 1, dailyQuota: 1 });
+      expect(schedule.classes.B).toMatchObject({ items: 1, due: 0 });
+      expect(schedule.classes.C).toMatchObject({ items: 2, due: 1, dailyQuota: 1 });
+      expect(schedule.proposals).toEqual([
+        expect.objectContaining({ code: 'A1', abcClass: 'A', daysSinceCount: 60 }),
+        expect.objectContaining({ code: 'C1', abcClass: 'C', daysSinceCount: null })
+      ]);
+    });
+
+    test('should need a warehouse', async () => {
+      await expect(stockTakeService.getCycleCountSchedule({}))
+        .rejects.toThrow('Warehouse is required');
+    });
+  });
+});
@@ -3,11 +3,24 @@ const Inventory = require('../../src/models/Inventory');
 const StockMovement = require('../../src/models/StockMovement');
 const Warehouse = require('../../src/models/Warehouse');
 const Item = require('../../src/models/Item');
+const StockTransfer = require('../../src/models/StockTransfer');
+const Batch = require('../../src/models/Batch');
+const batchRepository = require('../../src/repositories/batchRepository');
+const stockMovementRepository = require('../../src/repositories/stockMovementRepository');
+const notificationService = require('../../src/services/notificationService');
 
 jest.mock('../../src/models/Inventory');
 jest.mock('../../src/models/StockMovement');
 jest.mock('../../src/models/Warehouse');
 jest.mock('../../src/models/Item');
+jest.mock('../../src/models/StockTransfer');
+jest.mock('../../src/models/Batch');
+jest.mock('../../src/repositories/batchRepository');
+jest.mock('../../src/repositories/stockMovementRepository');
+jest.mock('../../src/services/notificationService');
+jest.mock('../../src/utils/transaction', () => ({
+  runInTransaction: work => work('session-1')
+}));
 
 describe('Stock Transfer Service', () => {
   beforeEach(() => {
@@ -441,4 +454,215 @@ describe('Stock Transfer Service', () => {
       expect(result.errors).toContain('Transfer quantity must be greater than 0');
     });
   });
+  describe('transfer documents', () => {
+    const source = {
+      _id: 'wh1', code: 'WH001', name: 'Main Store', isActive: true
+    };
+    const destination = {
+      _id: 'wh2', code: 'WH002', name: 'Branch Store', isActive: true
+    };
+    const transit = {
+      _id: 'transit', code: 'TRANSIT', name: 'In Transit', isTransit: true
+    };
+    const withSession = value => ({ session: () => Promise.resolve(value) });
+
+    let stock;
+
+    const mockStock = (levels) => {
+      stock = Object.entries(levels).reduce((records, [key, quantity]) => {
+        const [item, warehouse] = key.split('@');
+        records[key] = {
+          item,
+          warehouse,
+          quantity,
+          save: jest.fn().mockResolvedValue(true)
+        };
+        return records;
+      }, {});
+      Inventory.findOne = jest.fn(query => withSession(stock[`${query.item}@${query.warehouse}`] || null));
+      Inventory.mockImplementation(function (data) {
+        Object.assign(this, data);
+        this.save = jest.fn().mockResolvedValue(true);
+        stock[`${data.item}@${data.warehouse}`] = this;
+      });
+    };
+
+    const buildTransfer = (overrides = {}) => ({
+      _id: 'trf1',
+      transferNumber: 'TRF2026000001',
+      fromWarehouse: 'wh1',
+      toWarehouse: 'wh2',
+      status: 'pending',
+      items: [
+        {
+          _id: 'line1', itemId: 'item1', quantity: 100, batchNumber: 'B-100'
+        },
+        { _id: 'line2', itemId: 'item2', quantity: 40 }
+      ],
+      save: jest.fn().mockImplementation(function () { return Promise.resolve(this); }),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      Warehouse.findById = jest.fn(id => withSession({ wh1: source, wh2: destination }[id]));
+      Warehouse.findOneAndUpdate = jest.fn().mockResolvedValue(transit);
+      stockMovementRepository.create.mockResolvedValue({ _id: 'mov1' });
+    });
+
+    test('should create a pending transfer without moving stock', async () => {
+      Warehouse.findById = jest.fn(id => Promise.resolve({ wh1: source, wh2: destination }[id]));
+      Item.find = jest.fn().mockReturnValue({ select: () => Promise.resolve([{ _id: 'item1' }, { _id: 'item2' }]) });
+      StockTransfer.prototype.save = jest.fn().mockResolvedValue({ transferNumber: 'TRF2026000001' });
+
+      await stockTransferService.createTransfer({
+        fromWarehouse: 'wh1',
+        toWarehouse: 'wh2',
+        items: [
+          { itemId: 'item1', quantity: '100', batchNumber: 'b-100' },
+          { itemId: 'item2', quantity: 40 }
+        ],
+        createdBy: 'user1'
+      });
+
+      expect(StockTransfer).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'pending',
+        items: [
+          { itemId: 'item1', batchNumber: 'B-100', quantity: 100 },
+          { itemId: 'item2', batchNumber: undefined, quantity: 40 }
+        ]
+      }));
+      expect(Inventory.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should reject transfers listing the same item and batch twice', async () => {
+      await expect(stockTransferService.createTransfer({
+        fromWarehouse: 'wh1',
+        toWarehouse: 'wh2',
+        items: [
+          { itemId: 'item1', quantity: 10 },
+          { itemId: 'item1', quantity: 5 }
+        ]
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should debit the source and hold the stock in transit on dispatch', async () => {
+      const transfer = buildTransfer();
+      StockTransfer.findById = jest.fn().mockReturnValue(withSession(transfer));
+      mockStock({ 'item1@wh1': 150, 'item2@wh1': 40 });
+      Batch.findOne = jest.fn().mockReturnValue(withSession({
+        _id: 'batch1',
+        status: 'active',
+        remainingQuantity: 120,
+        expiryDate: new Date('2027-06-30'),
+        manufacturingDate: new Date('2025-06-30'),
+        unitCost: 45
+      }));
+      batchRepository.decrementRemainingQuantity.mockResolvedValue({ _id: 'batch1', remainingQuantity: 20 });
+
+      const result = await stockTransferService.dispatchTransfer('trf1', 'user1');
+
+      expect(result.status).toBe('in_transit');
+      expect(result.dispatchedBy).toBe('user1');
+      expect(batchRepository.decrementRemainingQuantity)
+        .toHaveBeenCalledWith('batch1', 100, { session: 'session-1' });
+      expect(transfer.items[0].unitCost).toBe(45);
+      expect(stock['item1@wh1'].quantity).toBe(50);
+      expect(stock['item2@wh1'].quantity).toBe(0);
+      expect(stock['item1@transit'].quantity).toBe(100);
+      expect(stock['item2@transit'].quantity).toBe(40);
+      expect(stockMovementRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          itemId: 'item1',
+          movementType: 'out',
+          quantity: 100,
+          referenceType: 'transfer',
+          warehouse: 'wh1'
+        }),
+        { session: 'session-1' }
+      );
+    });
+
+    test('should refuse to dispatch more than the source warehouse holds', async () => {
+      StockTransfer.findById = jest.fn().mockReturnValue(withSession(buildTransfer({
+        items: [{ _id: 'line2', itemId: 'item2', quantity: 40 }]
+      })));
+      mockStock({ 'item2@wh1': 25 });
+
+      await expect(stockTransferService.dispatchTransfer('trf1', 'user1')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Insufficient stock in Main Store. Available: 25, Requested: 40'
+      });
+    });
+
+    test('should credit only the good quantity received and raise a discrepancy', async () => {
+      const transfer = buildTransfer({ status: 'in_transit' });
+      transfer.items[0].unitCost = 45;
+      StockTransfer.findById = jest.fn().mockReturnValue(withSession(transfer));
+      mockStock({ 'item1@transit': 100, 'item2@transit': 40, 'item1@wh2': 10 });
+      Batch.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: 'batch2', status: 'active' });
+
+      const result = await stockTransferService.receiveTransfer('trf1', {
+        items: [{ lineId: 'line1', receivedQuantity: 95, damagedQuantity: 2 }]
+      }, 'user2');
+
+      expect(result.status).toBe('completed');
+      expect(stock['item1@transit'].quantity).toBe(0);
+      expect(stock['item2@transit'].quantity).toBe(0);
+      expect(stock['item1@wh2'].quantity).toBe(105);
+      expect(stock['item2@wh2'].quantity).toBe(40);
+      expect(transfer.items[0]).toMatchObject({
+        receivedQuantity: 95, damagedQuantity: 2, shortQuantity: 3
+      });
+      expect(transfer.items[1]).toMatchObject({
+        receivedQuantity: 40, damagedQuantity: 0, shortQuantity: 0
+      });
+      expect(Batch.findOneAndUpdate).toHaveBeenCalledWith(
+        { batchNumber: 'B-100', item: 'item1', warehouse: 'wh2' },
+        expect.objectContaining({ $inc: { quantity: 95, remainingQuantity: 95, totalCost: 4275 } }),
+        expect.objectContaining({ upsert: true, session: 'session-1' })
+      );
+      expect(result.discrepancy).toEqual({ status: 'open', shortQuantity: 3, damagedQuantity: 2 });
+      expect(notificationService.notifyPermissionHolders).toHaveBeenCalledWith(
+        ['transfer.manage'],
+        expect.objectContaining({ type: 'transfer_discrepancy', referenceId: 'trf1' }),
+        { excludeUserId: 'user2' }
+      );
+    });
+
+    test('should refuse receipts above the quantity sent', async () => {
+      StockTransfer.findById = jest.fn().mockReturnValue(withSession(buildTransfer({ status: 'in_transit' })));
+      mockStock({ 'item1@transit': 100, 'item2@transit': 40 });
+
+      await expect(stockTransferService.receiveTransfer('trf1', {
+        items: [{ lineId: 'line2', receivedQuantity: 40, damagedQuantity: 1 }]
+      }, 'user2')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('should return rejected stock from transit to the source warehouse and batch', async () => {
+      const transfer = buildTransfer({ status: 'in_transit' });
+      StockTransfer.findById = jest.fn().mockReturnValue(withSession(transfer));
+      mockStock({
+        'item1@transit': 100, 'item2@transit': 40, 'item1@wh1': 50, 'item2@wh1': 0
+      });
+      Batch.findOne = jest.fn().mockReturnValue(withSession({ _id: 'batch1' }));
+
+      const result = await stockTransferService.rejectTransfer('trf1', 'Wrong items sent', 'user2');
+
+      expect(result.status).toBe('rejected');
+      expect(stock['item1@wh1'].quantity).toBe(150);
+      expect(stock['item2@wh1'].quantity).toBe(40);
+      expect(stock['item1@transit'].quantity).toBe(0);
+      expect(batchRepository.incrementRemainingQuantity)
+        .toHaveBeenCalledWith('batch1', 100, { session: 'session-1' });
+    });
+
+    test('should only cancel transfers that have not been dispatched', async () => {
+      StockTransfer.findById = jest.fn().mockReturnValue(withSession(buildTransfer({ status: 'in_transit' })));
+
+      await expect(stockTransferService.cancelTransfer('trf1', 'Not needed', 'user1')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Only pending transfers can be cancelled. Transfer TRF2026000001 is in transit'
+      });
+    });
+  });
 });
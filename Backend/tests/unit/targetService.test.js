@@ -0,0 +1,298 @@
+const targetService = require('../../src/services/targetService');
+const SalesTarget = require('../../src/models/SalesTarget');
+const Salesman = require('../../src/models/Salesman');
+const Invoice = require('../../src/models/Invoice');
+const Customer = require('../../src/models/Customer');
+const Item = require('../../src/models/Item');
+
+jest.mock('../../src/models/SalesTarget');
+jest.mock('../../src/models/Salesman');
+jest.mock('../../src/models/Invoice');
+jest.mock('../../src/models/Customer');
+jest.mock('../../src/models/Item');
+
+/**
+ * Mongoose query stand-in resolving to the given value
+ */
+const query = (value) => {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    lean: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+const september = targetService.getPeriod('monthly', 2026, 9);
+
+const makeTarget = overrides => ({
+  _id: 'tgt1',
+  ...september,
+  scope: 'salesman',
+  salesmanId: 'sm1',
+  valueTarget: 30000,
+  quantityTarget: 0,
+  ...overrides
+});
+
+describe('Target Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getPeriod', () => {
+    it('should span the calendar month or quarter', () => {
+      expect(september.startDate).toEqual(new Date(2026, 8, 1));
+      expect(september.endDate).toEqual(new Date(2026, 8, 30, 23, 59, 59, 999));
+
+      const q4 = targetService.getPeriod('quarterly', 2026, 4);
+      expect(q4).toMatchObject({ quarter: 4, startDate: new Date(2026, 9, 1) });
+      expect(q4.endDate).toEqual(new Date(2026, 11, 31, 23, 59, 59, 999));
+
+      expect(() => targetService.getPeriod('quarterly', 2026, 5)).toThrow('Quarterly targets need a quarter (1-4)');
+      expect(() => targetService.getPeriod('weekly', 2026, 1)).toThrow('Period type must be one of');
+    });
+  });
+
+  describe('createTarget', () => {
+    it('should keep only the fields the scope uses', async () => {
+      SalesTarget.findOne.mockResolvedValue(null);
+      SalesTarget.create.mockImplementation(doc => Promise.resolve(doc));
+
+      const target = await targetService.createTarget({
+        periodType: 'monthly',
+        year: 2026,
+        month: 9,
+        scope: 'item',
+        itemId: 'item1',
+        salesmanId: 'sm1',
+        routeId: 'route1',
+        quantityTarget: 500
+      }, 'user1');
+
+      expect(target).toMatchObject({
+        month: 9,
+        scope: 'item',
+        itemId: 'item1',
+        salesmanId: 'sm1',
+        routeId: null,
+        valueTarget: 0,
+        quantityTarget: 500,
+        createdBy: 'user1'
+      });
+    });
+
+    it('should refuse a second target for the same scope and period', async () => {
+      SalesTarget.findOne.mockResolvedValue({ _id: 'tgt1' });
+
+      await expect(targetService.createTarget({
+        periodType: 'monthly', year: 2026, month: 9, scope: 'route', routeId: 'route1', valueTarget: 100000
+      }, 'user1')).rejects.toMatchObject({ statusCode: 409 });
+      expect(SalesTarget.create).not.toHaveBeenCalled();
+    });
+
+    it('should require the scope reference and an amount', async () => {
+      await expect(targetService.createTarget({
+        periodType: 'monthly', year: 2026, month: 9, scope: 'route', valueTarget: 100000
+      }, 'user1')).rejects.toThrow('Route targets need a route');
+
+      await expect(targetService.createTarget({
+        periodType: 'monthly', year: 2026, month: 9, scope: 'salesman', salesmanId: 'sm1'
+      }, 'user1')).rejects.toThrow('A value or quantity target is required');
+    });
+  });
+
+  describe('getActuals', () => {
+    it('should net a salesman\'s returns off their confirmed sales', async () => {
+      Invoice.find
+        .mockReturnValueOnce(query([
+          { totals: { grandTotal: 10000 }, items: [{ itemId: 'item1', quantity: 40 }] },
+          { totals: { grandTotal: 5000 }, items: [{ itemId: 'item2', quantity: 10 }] }
+        ]))
+        .mockReturnValueOnce(query([
+          {
+            totals: { grandTotal: -1500 },
+            items: [{ itemId: 'item1', quantity: -6 }],
+            originalInvoiceId: { salesmanId: 'sm1' }
+          },
+          {
+            totals: { grandTotal: -900 },
+            items: [{ itemId: 'item1', quantity: -3 }],
+            originalInvoiceId: { salesmanId: 'sm2' }
+          }
+        ]));
+
+      const actuals = await targetService.getActuals(makeTarget(), new Date(2026, 8, 20));
+
+      expect(Invoice.find).toHaveBeenNthCalledWith(1, {
+        type: 'sales',
+        status: { $in: ['confirmed', 'paid'] },
+        invoiceDate: { $gte: september.startDate, $lte: new Date(2026, 8, 20) },
+        salesmanId: 'sm1'
+      });
+      expect(actuals).toMatchObject({
+        grossValue: 15000,
+        returnValue: 1500,
+        value: 13500,
+        quantity: 44,
+        invoiceCount: 2,
+        returnCount: 1
+      });
+    });
+
+    it('should count only the manufacturer\'s lines', async () => {
+      Item.find.mockReturnValue(query([{ _id: 'item1' }]));
+      Invoice.find
+        .mockReturnValueOnce(query([{
+          totals: { grandTotal: 9000 },
+          items: [
+            { itemId: 'item1', quantity: 20, lineTotal: 6000 },
+            { itemId: 'item2', quantity: 5, lineTotal: 3000 }
+          ]
+        }]))
+        .mockReturnValueOnce(query([]));
+
+      const actuals = await targetService.getActuals(makeTarget({
+        scope: 'manufacturer', manufacturer: 'Getz', salesmanId: null, quantityTarget: 100
+      }), new Date(2026, 8, 20));
+
+      expect(Item.find).toHaveBeenCalledWith({ manufacturer: { $regex: '^Getz$', $options: 'i' } });
+      expect(Invoice.find.mock.calls[0][0]).toMatchObject({ 'items.itemId': { $in: ['item1'] } });
+      expect(Invoice.find.mock.calls[0][0].salesmanId).toBeUndefined();
+      expect(actuals).toMatchObject({ value: 6000, quantity: 20 });
+    });
+
+    it('should measure a route through the customers on it', async () => {
+      Customer.find.mockReturnValue(query([{ _id: 'cust1' }, { _id: 'cust2' }]));
+      Invoice.find
+        .mockReturnValueOnce(query([{ totals: { grandTotal: 4000 }, items: [] }]))
+        .mockReturnValueOnce(query([
+          { totals: { grandTotal: 1000 }, items: [], originalInvoiceId: { salesmanId: 'sm9' } }
+        ]));
+
+      const actuals = await targetService.getActuals(makeTarget({
+        scope: 'route', routeId: 'route1', salesmanId: null
+      }), new Date(2026, 8, 20));
+
+      expect(Customer.find).toHaveBeenCalledWith({ routeId: 'route1' });
+      expect(Invoice.find.mock.calls[1][0].customerId).toEqual({ $in: ['cust1', 'cust2'] });
+      expect(actuals.value).toBe(3000);
+    });
+
+    it('should not look at invoices before the period starts', async () => {
+      const actuals = await targetService.getActuals(makeTarget(), new Date(2026, 7, 20));
+
+      expect(actuals.value).toBe(0);
+      expect(Invoice.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getProgress', () => {
+    const mockActuals = (value, quantity = 0) => {
+      jest.spyOn(targetService, 'getActuals').mockResolvedValueOnce({ value, quantity });
+    };
+
+    it('should project the run rate to the end of the period', async () => {
+      mockActuals(12000);
+
+      const progress = await targetService.getProgress(makeTarget(), new Date(2026, 8, 10, 12));
+
+      expect(progress).toMatchObject({
+        daysTotal: 30,
+        daysElapsed: 10,
+        daysRemaining: 20,
+        status: 'on_track',
+        quantity: null
+      });
+      expect(progress.value).toEqual({
+        target: 30000,
+        actual: 12000,
+        achievementPercent: 40,
+        projected: 36000,
+        projectedPercent: 120,
+        remaining: 18000,
+        requiredDailyRate: 900
+      });
+    });
+
+    it('should flag a target the run rate will not reach', async () => {
+      mockActuals(30000, 100);
+
+      const progress = await targetService.getProgress(
+        makeTarget({ quantityTarget: 400 }),
+        new Date(2026, 8, 15, 12)
+      );
+
+      expect(progress.status).toBe('behind');
+      expect(progress.quantity.projected).toBe(200);
+    });
+
+    it('should mark a reached target achieved and one not yet begun not started', async () => {
+      mockActuals(31000);
+      expect((await targetService.getProgress(makeTarget(), new Date(2026, 8, 25))).status).toBe('achieved');
+
+      mockActuals(0);
+      expect((await targetService.getProgress(makeTarget(), new Date(2026, 7, 25))).status).toBe('not_started');
+    });
+  });
+
+  describe('getValueTarget', () => {
+    it('should total the targets inside the range without counting months twice', async () => {
+      SalesTarget.find.mockReturnValue(query([
+        makeTarget({ valueTarget: 30000 }),
+        makeTarget({ valueTarget: 35000, month: 10 }),
+        makeTarget({ periodType: 'quarterly', valueTarget: 100000 })
+      ]));
+
+      const target = await targetService.getValueTarget(
+        { scope: 'salesman', salesmanId: 'sm1' },
+        new Date(2026, 6, 1),
+        new Date(2026, 11, 31)
+      );
+
+      expect(target).toBe(100000);
+      expect(SalesTarget.find).toHaveBeenCalledWith(expect.objectContaining({
+        scope: 'salesman', salesmanId: 'sm1', isActive: true
+      }));
+    });
+
+    it('should return null when no target is set', async () => {
+      SalesTarget.find.mockReturnValue(query([]));
+
+      const target = await targetService.getValueTarget(
+        { scope: 'route', routeId: 'route1' },
+        september.startDate,
+        september.endDate
+      );
+
+      expect(target).toBeNull();
+    });
+  });
+
+  describe('getSalesmanValueTarget', () => {
+    it('should fall back to the monthly sales target for each month in the range', async () => {
+      SalesTarget.find.mockReturnValue(query([]));
+      Salesman.findById.mockReturnValue(query({ monthlySalesTarget: 20000 }));
+
+      const target = await targetService.getSalesmanValueTarget('sm1', new Date(2026, 6, 1), new Date(2026, 8, 30));
+
+      expect(target).toBe(60000);
+    });
+  });
+
+  describe('updateTarget', () => {
+    it('should change the amounts and keep the other one', async () => {
+      const target = {
+        ...makeTarget({ quantityTarget: 200 }),
+        save: jest.fn().mockImplementation(function save() { return Promise.resolve(this); })
+      };
+      SalesTarget.findById.mockResolvedValue(target);
+
+      const updated = await targetService.updateTarget('tgt1', { valueTarget: 45000 }, 'user2');
+
+      expect(updated).toMatchObject({ valueTarget: 45000, quantityTarget: 200, updatedBy: 'user2' });
+    });
+  });
+});
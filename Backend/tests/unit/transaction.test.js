@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { runInTransaction } = require('../../src/utils/transaction');
+
+describe('runInTransaction', () => {
+  let mockSession;
+
+  beforeEach(() => {
+    mockSession = {
+      withTransaction: jest.fn(async (fn) => fn()),
+      endSession: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession);
+  });
+
+  it('should pass the session to the work and return its result', async () => {
+    const work = jest.fn().mockResolvedValue({ posted: true });
+
+    const result = await runInTransaction(work);
+
+    expect(work).toHaveBeenCalledWith(mockSession);
+    expect(mockSession.withTransaction).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ posted: true });
+    expect(mockSession.endSession).toHaveBeenCalled();
+  });
+
+  it('should end the session and rethrow when the work fails', async () => {
+    const work = jest.fn().mockRejectedValue(new Error('Ledger posting failed'));
+
+    await expect(runInTransaction(work)).rejects.toThrow('Ledger posting failed');
+    expect(mockSession.endSession).toHaveBeenCalled();
+  });
+});
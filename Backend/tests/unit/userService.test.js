@@ -1,10 +1,12 @@
 const userService = require('../../src/services/userService');
 const userRepository = require('../../src/repositories/userRepository');
 const authService = require('../../src/services/authService');
+const Role = require('../../src/models/Role');
 
 // Mock the repositories and services
 jest.mock('../../src/repositories/userRepository');
 jest.mock('../../src/services/authService');
+jest.mock('../../src/models/Role');
 
 describe('UserService Unit Tests', () => {
   beforeEach(() => {
@@ -797,16 +799,18 @@ describe('UserService Unit Tests', () => {
   });
 
   describe('validateRole', () => {
-    it('should not throw error for valid roles', () => {
+    it('should not throw error for valid roles', async () => {
       const validRoles = ['admin', 'sales', 'purchase', 'inventory', 'accountant', 'data_entry'];
 
-      validRoles.forEach((role) => {
-        expect(() => userService.validateRole(role)).not.toThrow();
-      });
+      await Promise.all(validRoles.map(
+        (role) => expect(userService.validateRole(role)).resolves.toBeUndefined(),
+      ));
     });
 
-    it('should throw error for invalid role', () => {
-      expect(() => userService.validateRole('invalid_role')).toThrow('Invalid role');
+    it('should throw error for invalid role', async () => {
+      Role.exists.mockResolvedValue(null);
+
+      await expect(userService.validateRole('invalid_role')).rejects.toThrow('Invalid role');
     });
   });
 
@@ -0,0 +1,239 @@
+const withholdingTaxService = require('../../src/services/withholdingTaxService');
+const WithholdingTax = require('../../src/models/WithholdingTax');
+const Invoice = require('../../src/models/Invoice');
+
+jest.mock('../../src/models/WithholdingTax');
+jest.mock('../../src/models/Invoice');
+
+describe('Withholding Tax Service', () => {
+  const retailer = {
+    _id: 'cust1',
+    name: 'City Pharmacy',
+    type: 'retail',
+    financialInfo: { ntn: '1234567-8' },
+  };
+  const distributor = {
+    _id: 'cust2',
+    name: 'Medico Distributors',
+    type: 'distributor',
+    financialInfo: { nicNumber: '42101-1234567-1' },
+  };
+  const supplier = { _id: 'sup1', name: 'GSK Pakistan', financialInfo: { ntn: '0712345-1' } };
+
+  const invoice = (overrides) => ({
+    _id: `inv-${overrides.invoiceNumber}`,
+    invoiceDate: new Date(2026, 2, 5),
+    totals: { subtotal: 10000, totalDiscount: 0 },
+    ...overrides,
+  });
+
+  const record = overrides => ({
+    _id: 'wht1',
+    period: '2026-03',
+    section: '236H',
+    direction: 'deducted_by_us',
+    partyId: 'cust1',
+    partyName: 'City Pharmacy',
+    partyNTN: '1234567-8',
+    taxableAmount: 10000,
+    taxAmount: 50,
+    status: 'deposited',
+    challan: { cprNumber: 'IT20260405123456', challanDate: new Date(2026, 3, 5) },
+    save() { return Promise.resolve(this); },
+    ...overrides,
+  });
+
+  const mockFind = (records) => {
+    WithholdingTax.find.mockReturnValue({ sort: () => Promise.resolve(records) });
+  };
+
+  describe('classifyInvoice', () => {
+    test('should classify advance tax on sales by customer type', () => {
+      const retailSale = invoice({
+        invoiceNumber: 'SI1',
+        type: 'sales',
+        customerId: retailer,
+        totals: { subtotal: 10000, totalDiscount: 500, advanceTaxTotal: 47.5 },
+      });
+      const wholesale = invoice({
+        invoiceNumber: 'SI2',
+        type: 'sales',
+        customerId: distributor,
+        totals: { subtotal: 10000, totalDiscount: 0, advanceTaxTotal: 100 },
+      });
+
+      expect(withholdingTaxService.classifyInvoice(retailSale)).toEqual([
+        expect.objectContaining({
+          section: '236H',
+          direction: 'deducted_by_us',
+          partyType: 'Customer',
+          taxableAmount: 9500,
+          taxAmount: 47.5,
+        }),
+      ]);
+      expect(withholdingTaxService.classifyInvoice(wholesale)[0].section).toBe('236G');
+    });
+
+    test('should treat income tax on purchases as section 153 deducted by us', () => {
+      const purchase = invoice({
+        invoiceNumber: 'PI1',
+        type: 'purchase',
+        supplierId: supplier,
+        incomeTax: 550,
+        totals: { subtotal: 10000, totalDiscount: 0, advanceTaxTotal: 50 },
+      });
+
+      expect(withholdingTaxService.classifyInvoice(purchase)).toEqual([
+        expect.objectContaining({ section: '236G', direction: 'deducted_from_us', taxAmount: 50 }),
+        expect.objectContaining({ section: '153', direction: 'deducted_by_us', taxAmount: 550 }),
+      ]);
+    });
+
+    test('should skip invoices without withholding', () => {
+      const sale = invoice({ invoiceNumber: 'SI3', type: 'sales', customerId: retailer });
+
+      expect(withholdingTaxService.classifyInvoice(sale)).toEqual([]);
+    });
+  });
+
+  describe('groupWithholdings', () => {
+    test('should total invoices per section, direction and party', () => {
+      const groups = withholdingTaxService.groupWithholdings([
+        invoice({
+          invoiceNumber: 'SI1',
+          type: 'sales',
+          customerId: retailer,
+          totals: { subtotal: 10000, totalDiscount: 0, advanceTaxTotal: 50 },
+        }),
+        invoice({
+          invoiceNumber: 'SI2',
+          type: 'sales',
+          customerId: retailer,
+          totals: { subtotal: 4000, totalDiscount: 0, advanceTaxTotal: 20 },
+        }),
+        invoice({
+          invoiceNumber: 'SI3',
+          type: 'sales',
+          customerId: distributor,
+          totals: { subtotal: 2000, totalDiscount: 0, advanceTaxTotal: 20 },
+        }),
+      ]);
+
+      expect(groups).toHaveLength(2);
+      expect(groups[0]).toMatchObject({
+        section: '236H',
+        partyName: 'City Pharmacy',
+        partyNTN: '1234567-8',
+        taxableAmount: 14000,
+        taxAmount: 70,
+      });
+      expect(groups[0].invoices.map(line => line.invoiceNumber)).toEqual(['SI1', 'SI2']);
+      expect(groups[1]).toMatchObject({ section: '236G', partyCNIC: '42101-1234567-1' });
+    });
+  });
+
+  describe('aggregatePeriod', () => {
+    test('should upsert pending records and leave deposited ones untouched', async () => {
+      const query = {
+        populate: () => query,
+        sort: () => Promise.resolve([
+          invoice({
+            invoiceNumber: 'SI1',
+            type: 'sales',
+            customerId: retailer,
+            totals: { subtotal: 10000, totalDiscount: 0, advanceTaxTotal: 50 },
+          }),
+          invoice({
+            invoiceNumber: 'SI2',
+            type: 'sales',
+            customerId: distributor,
+            totals: { subtotal: 2000, totalDiscount: 0, advanceTaxTotal: 20 },
+          }),
+        ]),
+      };
+      Invoice.find.mockReturnValue(query);
+      WithholdingTax.findOne
+        .mockResolvedValueOnce(record())
+        .mockResolvedValueOnce(null);
+      WithholdingTax.findOneAndUpdate.mockImplementation((key, update) => Promise.resolve(update));
+
+      const result = await withholdingTaxService.aggregatePeriod('2026-03');
+
+      expect(result.skipped).toHaveLength(1);
+      expect(result.records).toEqual([expect.objectContaining({ partyId: 'cust2', period: '2026-03' })]);
+      expect(WithholdingTax.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a malformed period', async () => {
+      await expect(withholdingTaxService.aggregatePeriod('2026-3'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('recordChallan', () => {
+    test('should mark records as deposited under the CPR', async () => {
+      const pending = record({ status: 'pending', challan: undefined });
+      WithholdingTax.find.mockResolvedValue([pending]);
+
+      const [updated] = await withholdingTaxService.recordChallan({
+        recordIds: ['wht1'],
+        cprNumber: 'IT20260405123456',
+        challanDate: '2026-04-05',
+      }, 'user1');
+
+      expect(updated.status).toBe('deposited');
+      expect(updated.challan).toMatchObject({ cprNumber: 'IT20260405123456', recordedBy: 'user1' });
+    });
+
+    test('should refuse records that already have a challan', async () => {
+      WithholdingTax.find.mockResolvedValue([record()]);
+
+      await expect(withholdingTaxService.recordChallan({
+        recordIds: ['wht1'],
+        cprNumber: 'IT20260405999999',
+        challanDate: '2026-04-05',
+      }, 'user1')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('certificates', () => {
+    const params = {
+      partyId: 'cust1',
+      section: '236H',
+      fromPeriod: '2026-03',
+      toPeriod: '2026-04',
+    };
+
+    test('should require a challan for every month on the certificate', async () => {
+      mockFind([record(), record({ period: '2026-04', status: 'pending', challan: undefined })]);
+
+      await expect(withholdingTaxService.getCertificateData(params))
+        .rejects.toMatchObject({ statusCode: 422, message: expect.stringContaining('2026-04') });
+    });
+
+    test('should total the months and list their CPR numbers', async () => {
+      mockFind([record(), record({ period: '2026-04', taxAmount: 25.25 })]);
+
+      const certificate = await withholdingTaxService.getCertificateData(params);
+
+      expect(certificate.certificateNumber).toBe('WHT-236H-1234567-8-2026-03-2026-04');
+      expect(certificate.totals).toEqual({ taxableAmount: 20000, taxAmount: 75.25 });
+      expect(certificate.months.map(month => month.cprNumber))
+        .toEqual(['IT20260405123456', 'IT20260405123456']);
+    });
+
+    test('should render the certificate as a PDF', async () => {
+      mockFind([record()]);
+      WithholdingTax.updateMany.mockResolvedValue({});
+
+      const certificate = await withholdingTaxService.generateCertificate({ ...params, toPeriod: '2026-03' });
+
+      expect(certificate.filename).toBe('WHT-236H-1234567-8-2026-03-2026-03.pdf');
+      expect(certificate.content.slice(0, 4).toString()).toBe('%PDF');
+      expect(WithholdingTax.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['wht1'] } },
+        expect.objectContaining({ lastCertificateAt: expect.any(Date) })
+      );
+    });
+  });
+});